@@ -3,7 +3,8 @@ const path = require('path');
 const fs = require('fs');
 const bcrypt = require('bcryptjs');
 
-const DB_PATH = path.join(__dirname, '..', 'database', 'supply_chain.db');
+// DB_PATH overrides the location; the tests use ':memory:'
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, '..', 'database', 'supply_chain.db');
 
 // Ensure database directory exists
 const dbDir = path.dirname(DB_PATH);
@@ -30,6 +31,14 @@ const createUpdateTimestampTrigger = (tableName) => {
     `);
 };
 
+// --- Helper function to add a column to a table created by an older schema ---
+const addColumnIfMissing = (tableName, columnName, definition) => {
+    const columns = db.prepare(`PRAGMA table_info(${tableName})`).all();
+    if (!columns.some(column => column.name === columnName)) {
+        db.exec(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${definition}`);
+    }
+};
+
 const createTables = () => {
     // Users table
     db.exec(`
@@ -112,7 +121,33 @@ const createTables = () => {
         )
     `);
 
-    // Stock locations table
+    // Shipment lines: which order_items quantities travel in which parcel (an order may ship in several)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS shipment_items (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            shipment_id INTEGER NOT NULL,
+            order_item_id INTEGER NOT NULL,
+            quantity INTEGER NOT NULL CHECK(quantity > 0),
+            FOREIGN KEY (shipment_id) REFERENCES shipments(id) ON DELETE CASCADE,
+            FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
+            UNIQUE (shipment_id, order_item_id)
+        )
+    `);
+
+    // Warehouses table
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS warehouses (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            code TEXT UNIQUE NOT NULL,
+            name TEXT UNIQUE NOT NULL,
+            address TEXT,
+            is_active INTEGER NOT NULL DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Stock locations table (per-warehouse quantities, the source of truth for products.stock_quantity)
     db.exec(`
         CREATE TABLE IF NOT EXISTS stock_locations (
             id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -125,6 +160,37 @@ const createTables = () => {
         )
     `);
 
+    // Stock transfers between warehouses (draft -> in_transit -> received, or cancelled while draft)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS stock_transfers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            source_warehouse_id INTEGER NOT NULL,
+            destination_warehouse_id INTEGER NOT NULL,
+            status TEXT NOT NULL DEFAULT 'draft' CHECK(status IN ('draft', 'in_transit', 'received', 'cancelled')),
+            notes TEXT,
+            created_by INTEGER,
+            shipped_at DATETIME,
+            received_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (source_warehouse_id) REFERENCES warehouses(id),
+            FOREIGN KEY (destination_warehouse_id) REFERENCES warehouses(id),
+            FOREIGN KEY (created_by) REFERENCES users(id)
+        )
+    `);
+
+    // Stock transfer lines
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS stock_transfer_items (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            transfer_id INTEGER NOT NULL,
+            product_id INTEGER NOT NULL,
+            quantity INTEGER NOT NULL CHECK(quantity > 0),
+            FOREIGN KEY (transfer_id) REFERENCES stock_transfers(id) ON DELETE CASCADE,
+            FOREIGN KEY (product_id) REFERENCES products(id)
+        )
+    `);
+
     // Feedback table
     db.exec(`
         CREATE TABLE IF NOT EXISTS feedback (
@@ -172,15 +238,660 @@ const createTables = () => {
         )
     `);
 
+    // Stock reservations table (cart holds that expire after a TTL)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS stock_reservations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            product_id INTEGER NOT NULL,
+            quantity INTEGER NOT NULL CHECK(quantity > 0),
+            expires_at TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+            UNIQUE (user_id, product_id)
+        )
+    `);
+
+    // Refunds table (one row per money-back event on an order)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS refunds (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_id INTEGER NOT NULL,
+            amount DECIMAL(10,2) NOT NULL CHECK(amount >= 0),
+            reason TEXT,
+            created_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (order_id) REFERENCES orders(id),
+            FOREIGN KEY (created_by) REFERENCES users(id)
+        )
+    `);
+
+    // Status history table (every order and shipment status change, with who made it)
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS status_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            entity_type TEXT NOT NULL CHECK(entity_type IN ('order', 'shipment')),
+            entity_id INTEGER NOT NULL,
+            from_status TEXT,
+            to_status TEXT NOT NULL,
+            changed_by INTEGER,
+            note TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (changed_by) REFERENCES users(id)
+        )
+    `);
+
+    // Return requests (RMAs): one per customer request against a delivered order
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS return_requests (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            rma_number TEXT UNIQUE NOT NULL,
+            order_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            status TEXT NOT NULL DEFAULT 'requested' CHECK(status IN ('requested', 'approved', 'rejected', 'in_transit', 'received', 'completed')),
+            reason TEXT NOT NULL,
+            admin_notes TEXT,
+            decided_by INTEGER,
+            decided_at DATETIME,
+            received_at DATETIME,
+            completed_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (order_id) REFERENCES orders(id),
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            FOREIGN KEY (decided_by) REFERENCES users(id)
+        )
+    `);
+
+    // Return lines, each against one order_items line; disposition is set at inspection
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS return_items (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            return_id INTEGER NOT NULL,
+            order_item_id INTEGER NOT NULL,
+            product_id INTEGER NOT NULL,
+            quantity INTEGER NOT NULL CHECK(quantity > 0),
+            reason TEXT,
+            disposition TEXT CHECK(disposition IN ('restock', 'write_off')),
+            warehouse_id INTEGER,
+            inspection_notes TEXT,
+            inspected_by INTEGER,
+            inspected_at DATETIME,
+            FOREIGN KEY (return_id) REFERENCES return_requests(id) ON DELETE CASCADE,
+            FOREIGN KEY (order_item_id) REFERENCES order_items(id),
+            FOREIGN KEY (product_id) REFERENCES products(id),
+            FOREIGN KEY (warehouse_id) REFERENCES warehouses(id),
+            FOREIGN KEY (inspected_by) REFERENCES users(id)
+        )
+    `);
+
+    // Return shipments (customer to warehouse), created when an RMA is approved
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS return_shipments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            return_id INTEGER UNIQUE NOT NULL,
+            tracking_number TEXT UNIQUE NOT NULL,
+            status TEXT NOT NULL DEFAULT 'awaiting_pickup' CHECK(status IN ('awaiting_pickup', 'in_transit', 'received')),
+            shipped_at DATETIME,
+            received_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (return_id) REFERENCES return_requests(id) ON DELETE CASCADE
+        )
+    `);
+
+    // Credit notes issued once every line of an RMA has been inspected
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS credit_notes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            credit_note_number TEXT UNIQUE NOT NULL,
+            return_id INTEGER UNIQUE NOT NULL,
+            order_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            amount DECIMAL(10,2) NOT NULL CHECK(amount >= 0),
+            created_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (return_id) REFERENCES return_requests(id),
+            FOREIGN KEY (order_id) REFERENCES orders(id),
+            FOREIGN KEY (user_id) REFERENCES users(id),
+            FOREIGN KEY (created_by) REFERENCES users(id)
+        )
+    `);
+
+    // Backorders: the short part of an order line for a backorderable product, filled first-in first-out
+    // as stock is received. The order_items row has no warehouse until the backorder is allocated.
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS backorders (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_id INTEGER NOT NULL,
+            order_item_id INTEGER UNIQUE NOT NULL,
+            product_id INTEGER NOT NULL,
+            quantity INTEGER NOT NULL CHECK(quantity > 0),
+            status TEXT NOT NULL DEFAULT 'waiting' CHECK(status IN ('waiting', 'allocated', 'cancelled')),
+            allocated_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+            FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
+            FOREIGN KEY (product_id) REFERENCES products(id)
+        )
+    `);
+
+    // Suppliers and what they sell us: supplier_products holds the per-SKU cost and, optionally,
+    // a lead time that overrides the supplier's default
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS suppliers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT UNIQUE NOT NULL,
+            contact_name TEXT,
+            email TEXT,
+            phone TEXT,
+            address TEXT,
+            lead_time_days INTEGER NOT NULL DEFAULT 7 CHECK(lead_time_days >= 0),
+            notes TEXT,
+            is_active INTEGER NOT NULL DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS supplier_products (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            supplier_id INTEGER NOT NULL,
+            product_id INTEGER NOT NULL,
+            supplier_sku TEXT,
+            unit_cost DECIMAL(10,2) NOT NULL CHECK(unit_cost >= 0),
+            lead_time_days INTEGER CHECK(lead_time_days >= 0),
+            min_order_quantity INTEGER NOT NULL DEFAULT 1 CHECK(min_order_quantity > 0),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(supplier_id, product_id),
+            FOREIGN KEY (supplier_id) REFERENCES suppliers(id) ON DELETE CASCADE,
+            FOREIGN KEY (product_id) REFERENCES products(id)
+        )
+    `);
+
+    // Purchase orders: stock ordered from a supplier for one warehouse. Each line tracks how much has arrived.
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS purchase_orders (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            po_number TEXT UNIQUE NOT NULL,
+            supplier_id INTEGER NOT NULL,
+            warehouse_id INTEGER NOT NULL,
+            status TEXT NOT NULL DEFAULT 'draft' CHECK(status IN ('draft', 'sent', 'partially_received', 'received', 'cancelled')),
+            expected_date DATE,
+            notes TEXT,
+            created_by INTEGER,
+            sent_at DATETIME,
+            received_at DATETIME,
+            cancelled_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (supplier_id) REFERENCES suppliers(id),
+            FOREIGN KEY (warehouse_id) REFERENCES warehouses(id),
+            FOREIGN KEY (created_by) REFERENCES users(id)
+        )
+    `);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS purchase_order_items (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            purchase_order_id INTEGER NOT NULL,
+            product_id INTEGER NOT NULL,
+            quantity_ordered INTEGER NOT NULL CHECK(quantity_ordered > 0),
+            quantity_received INTEGER NOT NULL DEFAULT 0 CHECK(quantity_received >= 0 AND quantity_received <= quantity_ordered),
+            unit_cost DECIMAL(10,2) NOT NULL CHECK(unit_cost >= 0),
+            UNIQUE(purchase_order_id, product_id),
+            FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id) ON DELETE CASCADE,
+            FOREIGN KEY (product_id) REFERENCES products(id)
+        )
+    `);
+
+    // Goods receipts: one row per delivery booked in against a purchase order
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS goods_receipts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            receipt_number TEXT UNIQUE NOT NULL,
+            purchase_order_id INTEGER NOT NULL,
+            warehouse_id INTEGER NOT NULL,
+            notes TEXT,
+            received_by INTEGER,
+            received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id),
+            FOREIGN KEY (warehouse_id) REFERENCES warehouses(id),
+            FOREIGN KEY (received_by) REFERENCES users(id)
+        )
+    `);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS goods_receipt_items (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            goods_receipt_id INTEGER NOT NULL,
+            purchase_order_item_id INTEGER NOT NULL,
+            product_id INTEGER NOT NULL,
+            quantity INTEGER NOT NULL CHECK(quantity > 0),
+            FOREIGN KEY (goods_receipt_id) REFERENCES goods_receipts(id) ON DELETE CASCADE,
+            FOREIGN KEY (purchase_order_item_id) REFERENCES purchase_order_items(id),
+            FOREIGN KEY (product_id) REFERENCES products(id)
+        )
+    `);
+
+    // Lots (batches) of a product, identified by the supplier's lot number. Tracked products record
+    // the lot every unit shipped from, so a lot can be recalled
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS lots (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id INTEGER NOT NULL,
+            lot_number TEXT NOT NULL,
+            expiry_date DATE,
+            goods_receipt_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(product_id, lot_number),
+            FOREIGN KEY (product_id) REFERENCES products(id),
+            FOREIGN KEY (goods_receipt_id) REFERENCES goods_receipts(id)
+        )
+    `);
+
+    // On-hand quantity of each lot per warehouse; part of (never more than) the warehouse's stock_locations quantity
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS lot_stock (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            lot_id INTEGER NOT NULL,
+            warehouse_id INTEGER NOT NULL,
+            quantity INTEGER NOT NULL DEFAULT 0 CHECK(quantity >= 0),
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(lot_id, warehouse_id),
+            FOREIGN KEY (lot_id) REFERENCES lots(id) ON DELETE CASCADE,
+            FOREIGN KEY (warehouse_id) REFERENCES warehouses(id)
+        )
+    `);
+
+    // Lots a shipped transfer line took from the source warehouse, put back into the destination on receipt
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS stock_transfer_item_lots (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            transfer_item_id INTEGER NOT NULL,
+            lot_id INTEGER NOT NULL,
+            quantity INTEGER NOT NULL CHECK(quantity > 0),
+            FOREIGN KEY (transfer_item_id) REFERENCES stock_transfer_items(id) ON DELETE CASCADE,
+            FOREIGN KEY (lot_id) REFERENCES lots(id)
+        )
+    `);
+
+    // Serials scanned onto a transfer line as it ships; they reach the destination warehouse when it is received
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS stock_transfer_item_serials (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            transfer_item_id INTEGER NOT NULL,
+            serial_id INTEGER NOT NULL,
+            UNIQUE(transfer_item_id, serial_id),
+            FOREIGN KEY (transfer_item_id) REFERENCES stock_transfer_items(id) ON DELETE CASCADE,
+            FOREIGN KEY (serial_id) REFERENCES serial_numbers(id)
+        )
+    `);
+
+    // Serial-numbered units of products that track serials: one row per physical unit
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS serial_numbers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id INTEGER NOT NULL,
+            serial_number TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'in_stock' CHECK(status IN ('in_stock', 'allocated', 'shipped', 'written_off')),
+            warehouse_id INTEGER,
+            goods_receipt_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(product_id, serial_number),
+            FOREIGN KEY (product_id) REFERENCES products(id),
+            FOREIGN KEY (warehouse_id) REFERENCES warehouses(id),
+            FOREIGN KEY (goods_receipt_id) REFERENCES goods_receipts(id)
+        )
+    `);
+
+    // Serials scanned into a parcel at fulfillment. Rows are removed if the unit is taken out again before
+    // the parcel ships, and kept for good once it has shipped
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS order_item_serials (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_item_id INTEGER NOT NULL,
+            shipment_id INTEGER NOT NULL,
+            serial_id INTEGER NOT NULL,
+            assigned_by INTEGER,
+            assigned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (order_item_id) REFERENCES order_items(id),
+            FOREIGN KEY (shipment_id) REFERENCES shipments(id),
+            FOREIGN KEY (serial_id) REFERENCES serial_numbers(id),
+            FOREIGN KEY (assigned_by) REFERENCES users(id)
+        )
+    `);
+
+    // Everything that happened to a serial-numbered unit, for the serial lookup
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS serial_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            serial_id INTEGER NOT NULL,
+            event TEXT NOT NULL CHECK(event IN ('received', 'registered', 'allocated', 'released', 'shipped', 'restocked', 'written_off')),
+            reference TEXT,
+            order_id INTEGER,
+            warehouse_id INTEGER,
+            created_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (serial_id) REFERENCES serial_numbers(id) ON DELETE CASCADE,
+            FOREIGN KEY (order_id) REFERENCES orders(id),
+            FOREIGN KEY (warehouse_id) REFERENCES warehouses(id),
+            FOREIGN KEY (created_by) REFERENCES users(id)
+        )
+    `);
+
+    // Cycle counts (stock-takes): one session counts the products of one warehouse, optionally one category
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS cycle_counts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            count_number TEXT UNIQUE NOT NULL,
+            warehouse_id INTEGER NOT NULL,
+            category TEXT,
+            status TEXT NOT NULL DEFAULT 'counting' CHECK(status IN ('counting', 'review', 'posted', 'cancelled')),
+            approval_threshold REAL NOT NULL, -- Variances worth more than this (at selling price) need approval
+            notes TEXT,
+            created_by INTEGER,
+            submitted_at DATETIME,
+            posted_by INTEGER,
+            posted_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (warehouse_id) REFERENCES warehouses(id),
+            FOREIGN KEY (created_by) REFERENCES users(id),
+            FOREIGN KEY (posted_by) REFERENCES users(id)
+        )
+    `);
+
+    // One line per product on the count sheet. system_quantity is the stock when the sheet was generated;
+    // counted_quantity is set once the counters agree
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS cycle_count_lines (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            cycle_count_id INTEGER NOT NULL,
+            product_id INTEGER NOT NULL,
+            system_quantity INTEGER NOT NULL,
+            counted_quantity INTEGER,
+            status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'counted', 'disputed', 'awaiting_approval', 'approved')),
+            reason_code TEXT,
+            notes TEXT,
+            approved_by INTEGER,
+            approved_at DATETIME,
+            UNIQUE(cycle_count_id, product_id),
+            FOREIGN KEY (cycle_count_id) REFERENCES cycle_counts(id) ON DELETE CASCADE,
+            FOREIGN KEY (product_id) REFERENCES products(id),
+            FOREIGN KEY (approved_by) REFERENCES users(id)
+        )
+    `);
+
+    // What each counter counted for a line; a counter recounting replaces their own entry
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS cycle_count_entries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            line_id INTEGER NOT NULL,
+            counted_by INTEGER NOT NULL,
+            quantity INTEGER NOT NULL CHECK(quantity >= 0),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(line_id, counted_by),
+            FOREIGN KEY (line_id) REFERENCES cycle_count_lines(id) ON DELETE CASCADE,
+            FOREIGN KEY (counted_by) REFERENCES users(id)
+        )
+    `);
+
+    // FIFO cost layers: every inbound movement adds a layer at its unit cost and outbound movements
+    // use up the oldest layers first. The layers of a product in a warehouse add up to its stock there
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS cost_layers (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id INTEGER NOT NULL,
+            warehouse_id INTEGER NOT NULL,
+            inventory_transaction_id INTEGER,
+            unit_cost DECIMAL(10,4) NOT NULL CHECK(unit_cost >= 0),
+            quantity INTEGER NOT NULL CHECK(quantity > 0),
+            remaining_quantity INTEGER NOT NULL CHECK(remaining_quantity >= 0),
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (product_id) REFERENCES products(id),
+            FOREIGN KEY (warehouse_id) REFERENCES warehouses(id),
+            FOREIGN KEY (inventory_transaction_id) REFERENCES inventory_transactions(id)
+        )
+    `);
+
+    // Versioned fraud rule sets. One set is active and scores new orders; a draft is edited and
+    // dry-run before it is activated, and activating retires the previous set. Active and retired sets
+    // are never edited, so orders.fraud_rule_set_id always points at the rules that scored the order
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS fraud_rule_sets (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            version INTEGER UNIQUE NOT NULL,
+            status TEXT NOT NULL DEFAULT 'draft' CHECK(status IN ('draft', 'active', 'retired')),
+            medium_threshold INTEGER NOT NULL CHECK(medium_threshold > 0), -- Score from which an order is medium risk
+            high_threshold INTEGER NOT NULL CHECK(high_threshold > 0), -- Score from which an order is high risk
+            notes TEXT,
+            based_on_id INTEGER, -- The set this draft was copied from
+            created_by INTEGER,
+            activated_by INTEGER,
+            activated_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (based_on_id) REFERENCES fraud_rule_sets(id),
+            FOREIGN KEY (created_by) REFERENCES users(id),
+            FOREIGN KEY (activated_by) REFERENCES users(id)
+        )
+    `);
+
+    // A rule adds its weight to the score when its condition (see FRAUD_CONDITIONS) holds for the order
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS fraud_rules (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            rule_set_id INTEGER NOT NULL,
+            code TEXT NOT NULL,
+            name TEXT NOT NULL,
+            condition_type TEXT NOT NULL,
+            params TEXT NOT NULL DEFAULT '{}', -- JSON thresholds for the condition
+            weight INTEGER NOT NULL CHECK(weight >= 0),
+            enabled INTEGER NOT NULL DEFAULT 1,
+            sort_order INTEGER NOT NULL DEFAULT 0,
+            UNIQUE(rule_set_id, code),
+            FOREIGN KEY (rule_set_id) REFERENCES fraud_rule_sets(id) ON DELETE CASCADE
+        )
+    `);
+
+    // Every login attempt, successful or not; failed attempts before an order feed the fraud rules
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS login_attempts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER, -- NULL when the email matched no account
+            email TEXT NOT NULL,
+            success INTEGER NOT NULL,
+            ip_address TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+    `);
+
+    // The review trail of orders held for fraud review: the automatic hold at checkout, then each
+    // reviewer decision. Approving releases the order to fulfillment, rejecting cancels and restocks it
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS fraud_reviews (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_id INTEGER NOT NULL,
+            action TEXT NOT NULL CHECK(action IN ('hold', 'approve', 'reject', 'request_info')),
+            notes TEXT,
+            reviewed_by INTEGER, -- NULL for the automatic hold
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+            FOREIGN KEY (reviewed_by) REFERENCES users(id)
+        )
+    `);
+
+    // Block and allow lists checked at registration and checkout. Values are stored normalised (see
+    // normaliseListValue); trusted customers are listed by email and bypass score-based fraud holds
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS fraud_list_entries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            list_type TEXT NOT NULL CHECK(list_type IN ('email', 'email_domain', 'address', 'ip', 'trusted_customer')),
+            value TEXT NOT NULL,
+            reason TEXT,
+            created_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(list_type, value),
+            FOREIGN KEY (created_by) REFERENCES users(id)
+        )
+    `);
+
+    // Refresh tokens, stored as SHA-256 hashes. Each use rotates the token: the old row is revoked and points
+    // at its replacement. Every token issued from one login shares a family, so presenting a rotated-out
+    // token (a sign it was stolen) revokes the whole family
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS refresh_tokens (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            token_hash TEXT UNIQUE NOT NULL,
+            family_id TEXT NOT NULL,
+            token_version INTEGER NOT NULL, -- users.token_version when issued; bumping it invalidates the token
+            expires_at DATETIME NOT NULL,
+            revoked_at DATETIME,
+            replaced_by_id INTEGER,
+            ip_address TEXT,
+            user_agent TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (replaced_by_id) REFERENCES refresh_tokens(id)
+        )
+    `);
+
+    // Single-use links mailed to a user: password resets and email verification. Only a hash of the token is
+    // stored; used_at is set when the link is followed, and issuing a new link retires the user's unused ones
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS account_tokens (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            purpose TEXT NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+            token_hash TEXT UNIQUE NOT NULL,
+            expires_at DATETIME NOT NULL,
+            used_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+
+    // One-time backup codes for two-factor sign-in, hashed; a code is spent when used_at is set.
+    // Regenerating the codes replaces the whole set
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS two_factor_backup_codes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            code_hash TEXT NOT NULL,
+            used_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+
+    // Columns added after the initial schema (existing databases are migrated in place)
+    addColumnIfMissing('products', 'archived_at', 'DATETIME'); // Soft-archive: archived products stay referenced by order_items
+    addColumnIfMissing('stock_locations', 'warehouse_id', 'INTEGER REFERENCES warehouses(id)');
+    addColumnIfMissing('stock_locations', 'in_transit_quantity', 'INTEGER NOT NULL DEFAULT 0'); // Inbound transfer stock, not sellable
+    addColumnIfMissing('inventory_transactions', 'warehouse_id', 'INTEGER REFERENCES warehouses(id)');
+    addColumnIfMissing('order_items', 'warehouse_id', 'INTEGER REFERENCES warehouses(id)'); // Warehouse the line was allocated from
+    addColumnIfMissing('orders', 'cancelled_at', 'DATETIME');
+    addColumnIfMissing('orders', 'cancellation_reason', 'TEXT');
+    addColumnIfMissing('shipments', 'warehouse_id', 'INTEGER REFERENCES warehouses(id)'); // Warehouse the parcel ships from
+    addColumnIfMissing('products', 'allow_backorder', 'INTEGER NOT NULL DEFAULT 0'); // Opt-in: accept orders beyond available stock
+    addColumnIfMissing('products', 'track_lots', 'INTEGER NOT NULL DEFAULT 0'); // Receipts must name a lot; shipments record it
+    addColumnIfMissing('products', 'track_serials', 'INTEGER NOT NULL DEFAULT 0'); // Every unit carries a serial, scanned at receipt and fulfillment
+    addColumnIfMissing('order_items', 'lot_id', 'INTEGER REFERENCES lots(id)'); // Lot the line shipped from (tracked products)
+    addColumnIfMissing('goods_receipt_items', 'lot_id', 'INTEGER REFERENCES lots(id)');
+    addColumnIfMissing('inventory_transactions', 'reason_code', 'TEXT'); // Why an `adjustment` was made (see ADJUSTMENT_REASON_CODES)
+    addColumnIfMissing('inventory_transactions', 'unit_cost', 'DECIMAL(10,4)'); // Cost per unit moved, under the configured valuation method
+    addColumnIfMissing('stock_locations', 'average_cost', 'DECIMAL(10,4)'); // Moving weighted-average unit cost of the stock held
+    addColumnIfMissing('goods_receipt_items', 'unit_cost', 'DECIMAL(10,2)'); // What the delivered units cost; defaults to the PO price
+    addColumnIfMissing('order_items', 'unit_cost', 'DECIMAL(10,4)'); // Cost of goods sold per unit, captured at sale time
+    addColumnIfMissing('order_items', 'cogs', 'DECIMAL(10,2)'); // unit_cost x quantity
+    addColumnIfMissing('stock_transfer_items', 'unit_cost', 'DECIMAL(10,4)'); // Cost the units left the source warehouse at
+    addColumnIfMissing('products', 'abc_class', 'TEXT'); // A/B/C by share of revenue, set by the ABC/XYZ analysis
+    addColumnIfMissing('products', 'xyz_class', 'TEXT'); // X/Y/Z by variability of weekly demand
+    addColumnIfMissing('products', 'classified_at', 'DATETIME');
+    addColumnIfMissing('orders', 'fraud_score', 'INTEGER'); // Sum of the weights of the rules that matched
+    addColumnIfMissing('orders', 'fraud_rule_set_id', 'INTEGER REFERENCES fraud_rule_sets(id)'); // Rule set version that scored the order
+    addColumnIfMissing('fraud_rule_sets', 'hold_threshold', 'INTEGER'); // Score from which new orders go on hold for review; NULL = high_threshold
+    addColumnIfMissing('orders', 'ip_address', 'TEXT'); // Where the order was placed from, checked against the IP blocklist
+    addColumnIfMissing('users', 'token_version', 'INTEGER NOT NULL DEFAULT 0'); // Carried in access tokens; bumping it revokes every session
+    addColumnIfMissing('users', 'email_verified_at', 'DATETIME'); // Set when the user follows their verification link
+    addColumnIfMissing('users', 'totp_secret', 'TEXT'); // Base32 TOTP secret; two-factor sign-in is on when totp_enabled_at is set
+    addColumnIfMissing('users', 'totp_pending_secret', 'TEXT'); // Secret being enrolled, until a code from it is confirmed
+    addColumnIfMissing('users', 'totp_enabled_at', 'DATETIME');
+    addColumnIfMissing('users', 'totp_last_step', 'INTEGER'); // Time step of the last accepted code, so a code cannot be replayed
+    addColumnIfMissing('orders', 'normalised_shipping_address', 'TEXT'); // normaliseAddress(shipping_address), to find accounts sharing it
+    addColumnIfMissing('users', 'normalised_address', 'TEXT'); // normaliseAddress(address), likewise
+
+    db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_locations_product_warehouse ON stock_locations (product_id, warehouse_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_stock_reservations_expires_at ON stock_reservations (expires_at)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_status_history_entity ON status_history (entity_type, entity_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_return_requests_order ON return_requests (order_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_return_items_order_item ON return_items (order_item_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_shipments_order ON shipments (order_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_backorders_product_status ON backorders (product_id, status)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_supplier_products_product ON supplier_products (product_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_purchase_orders_supplier ON purchase_orders (supplier_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_goods_receipts_purchase_order ON goods_receipts (purchase_order_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_lots_expiry_date ON lots (expiry_date)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_order_items_lot ON order_items (lot_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_serial_numbers_serial ON serial_numbers (serial_number)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_order_item_serials_order_item ON order_item_serials (order_item_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_serial_events_serial ON serial_events (serial_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_cost_layers_product_warehouse ON cost_layers (product_id, warehouse_id, remaining_quantity)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_cycle_count_lines_count ON cycle_count_lines (cycle_count_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_fraud_rules_rule_set ON fraud_rules (rule_set_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_login_attempts_user ON login_attempts (user_id, created_at)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_orders_user ON orders (user_id, order_date)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_orders_status ON orders (status)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_fraud_reviews_order ON fraud_reviews (order_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens (user_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens (family_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_account_tokens_user ON account_tokens (user_id, purpose)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_two_factor_backup_codes_user ON two_factor_backup_codes (user_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_orders_normalised_shipping_address ON orders (normalised_shipping_address, user_id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_users_normalised_address ON users (normalised_address)');
+
+    // Orders placed before split shipments have one shipment and no shipment_items: it carries every line
+    db.exec(`
+        INSERT INTO shipment_items (shipment_id, order_item_id, quantity)
+        SELECT s.id, oi.id, oi.quantity
+        FROM shipments s
+        JOIN order_items oi ON oi.order_id = s.order_id
+        WHERE NOT EXISTS (
+            SELECT 1 FROM shipment_items si JOIN shipments s2 ON si.shipment_id = s2.id WHERE s2.order_id = s.order_id
+        )
+    `);
+
     // Add triggers for automatic timestamp updates
     createUpdateTimestampTrigger('users');
     createUpdateTimestampTrigger('products');
     createUpdateTimestampTrigger('orders');
     createUpdateTimestampTrigger('shipments');
+    createUpdateTimestampTrigger('warehouses');
     createUpdateTimestampTrigger('stock_locations');
+    createUpdateTimestampTrigger('stock_transfers');
     createUpdateTimestampTrigger('feedback');
     createUpdateTimestampTrigger('inventory_transactions');
     createUpdateTimestampTrigger('cart_items');
+    createUpdateTimestampTrigger('stock_reservations');
+    createUpdateTimestampTrigger('return_requests');
+    createUpdateTimestampTrigger('return_shipments');
+    createUpdateTimestampTrigger('backorders');
+    createUpdateTimestampTrigger('suppliers');
+    createUpdateTimestampTrigger('supplier_products');
+    createUpdateTimestampTrigger('purchase_orders');
+    createUpdateTimestampTrigger('lot_stock');
+    createUpdateTimestampTrigger('serial_numbers');
+    createUpdateTimestampTrigger('cycle_counts');
+    createUpdateTimestampTrigger('fraud_rule_sets');
 
     console.log('📋 Database tables created or verified successfully!');
 };
@@ -195,11 +906,18 @@ const insertSampleData = () => {
     // Wrap all insertions in a transaction for data integrity
     const insertTransaction = db.transaction(() => {
         // Insert sample users
-        const insertUser = db.prepare(`INSERT INTO users (name, email, password, role) VALUES (?, ?, ?, ?)`);
+        const insertUser = db.prepare(`INSERT INTO users (name, email, password, role, email_verified_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`);
         const hashedPassword = bcrypt.hashSync('password', 10);
         insertUser.run('Admin User', 'admin@supply-chain.com', hashedPassword, 'admin');
         insertUser.run('John Doe', 'user@supply-chain.com', hashedPassword, 'user');
 
+        // Insert sample warehouses
+        const insertWarehouse = db.prepare(`INSERT INTO warehouses (code, name, address) VALUES (?, ?, ?)`);
+        insertWarehouse.run('WH-A', 'Warehouse A', '12 Harbour Road, Mumbai');
+        insertWarehouse.run('WH-B', 'Warehouse B', '48 Industrial Estate, Pune');
+        insertWarehouse.run('WH-C', 'Warehouse C', '7 Logistics Park, Bengaluru');
+        insertWarehouse.run('WH-D', 'Warehouse D', '221 Ring Road, Delhi');
+
         // Insert 15 sample products
         const insertProduct = db.prepare(`INSERT INTO products (name, description, price, stock_quantity, category, sku, min_stock, location) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`);
 
@@ -224,6 +942,27 @@ const insertSampleData = () => {
         products.forEach(product => insertProduct.run(...product));
 
         console.log('🎯 15 sample products inserted successfully!');
+
+        // Insert sample suppliers and the SKUs they supply (product ids follow the insert order above)
+        const insertSupplier = db.prepare(`INSERT INTO suppliers (name, contact_name, email, phone, lead_time_days) VALUES (?, ?, ?, ?, ?)`);
+        insertSupplier.run('Apex Electronics Distribution', 'Priya Nair', 'orders@apex-electronics.example', '+91 22 4000 1200', 10);
+        insertSupplier.run('Northwind Furnishings', 'Arjun Mehta', 'sales@northwind-furnishings.example', '+91 20 2600 3400', 14);
+
+        const insertSupplierProduct = db.prepare(`INSERT INTO supplier_products (supplier_id, product_id, supplier_sku, unit_cost, min_order_quantity) VALUES (?, ?, ?, ?, ?)`);
+        insertSupplierProduct.run(1, 1, 'APX-QL-1300', 910.00, 5);
+        insertSupplierProduct.run(1, 2, 'APX-ECM-050', 22.50, 50);
+        insertSupplierProduct.run(1, 6, 'APX-SFH-250', 140.00, 10);
+        insertSupplierProduct.run(2, 3, 'NWF-AER-01', 610.00, 2);
+        insertSupplierProduct.run(2, 7, 'NWF-LUD-01', 280.00, 2);
+
+        // Home goods and fitness consumables are lot-tracked; the yoga mats on hand came in as two lots
+        db.prepare("UPDATE products SET track_lots = 1 WHERE category IN ('Home Goods', 'Sports & Fitness')").run();
+        // High-value devices are tracked unit by unit; their opening stock gets serials registered before it can ship
+        db.prepare("UPDATE products SET track_serials = 1 WHERE sku IN ('ELEC-LP-01', 'ELEC-PH-01')").run();
+        const insertLot = db.prepare(`INSERT INTO lots (product_id, lot_number, expiry_date) VALUES (?, ?, date('now', ?))`);
+        const insertLotStock = db.prepare(`INSERT INTO lot_stock (lot_id, warehouse_id, quantity) VALUES (?, ?, ?)`);
+        insertLotStock.run(insertLot.run(11, 'YM-24-0117', '+20 days').lastInsertRowid, 3, 60);
+        insertLotStock.run(insertLot.run(11, 'YM-24-0342', '+300 days').lastInsertRowid, 3, 140);
     });
 
     try {
@@ -233,11 +972,189 @@ const insertSampleData = () => {
     }
 };
 
+// Gives every product without per-warehouse stock a stock_locations row holding its current
+// stock_quantity at its `location`, creating that warehouse if it does not exist yet.
+// Databases created before warehouses existed are migrated this way on startup.
+const backfillStockLocations = () => {
+    const productsWithoutLocations = db.prepare(`
+        SELECT p.id, p.stock_quantity, p.location
+        FROM products p
+        WHERE NOT EXISTS (SELECT 1 FROM stock_locations sl WHERE sl.product_id = p.id AND sl.warehouse_id IS NOT NULL)
+    `).all();
+    if (productsWithoutLocations.length === 0) {
+        return;
+    }
+
+    const findWarehouse = db.prepare('SELECT id FROM warehouses WHERE name = ?');
+    const insertWarehouse = db.prepare('INSERT INTO warehouses (code, name) VALUES (?, ?)');
+    const insertStockLocation = db.prepare('INSERT INTO stock_locations (product_id, warehouse_id, location, quantity) VALUES (?, ?, ?, ?)');
+
+    db.transaction(() => {
+        productsWithoutLocations.forEach(product => {
+            const warehouseName = product.location || 'Warehouse A';
+            let warehouse = findWarehouse.get(warehouseName);
+            if (!warehouse) {
+                const code = `WH-${warehouseName.replace(/^Warehouse\s+/i, '').replace(/[^A-Za-z0-9]+/g, '-').toUpperCase()}`;
+                warehouse = { id: insertWarehouse.run(code, warehouseName).lastInsertRowid };
+            }
+            insertStockLocation.run(product.id, warehouse.id, warehouseName, product.stock_quantity);
+        });
+    })();
+
+    console.log(`🏬 Stock locations created for ${productsWithoutLocations.length} products.`);
+};
+
+// Gives every product that holds stock but has no inventory_transactions at all an `opening_balance`
+// row per warehouse, so the ledger replays to its stock. Covers the sample data and databases
+// whose stock predates the ledger; products with any ledger history are left to the integrity check.
+const backfillOpeningBalances = () => {
+    const locations = db.prepare(`
+        SELECT sl.product_id, sl.warehouse_id, sl.quantity
+        FROM stock_locations sl
+        WHERE sl.warehouse_id IS NOT NULL AND sl.quantity > 0
+          AND NOT EXISTS (SELECT 1 FROM inventory_transactions it WHERE it.product_id = sl.product_id)
+        ORDER BY sl.product_id, sl.warehouse_id
+    `).all();
+    if (locations.length === 0) {
+        return;
+    }
+
+    const insertOpeningBalance = db.prepare(`
+        INSERT INTO inventory_transactions (product_id, type, quantity, previous_quantity, new_quantity, reason, warehouse_id)
+        VALUES (?, 'opening_balance', ?, ?, ?, 'Opening balance', ?)
+    `);
+    db.transaction(() => {
+        const totals = {};
+        locations.forEach(location => {
+            const previous = totals[location.product_id] || 0;
+            totals[location.product_id] = previous + location.quantity;
+            insertOpeningBalance.run(location.product_id, location.quantity, previous, totals[location.product_id], location.warehouse_id);
+        });
+    })();
+
+    console.log(`📒 Opening balances recorded for ${new Set(locations.map(location => location.product_id)).size} products.`);
+};
+
+// Gives stock that has no cost layers yet (the sample data, or stock from before valuation existed)
+// an opening layer, costed at the cheapest supplier price or 0 when no supplier lists the product.
+const backfillCostLayers = () => {
+    const locations = db.prepare(`
+        SELECT sl.product_id, sl.warehouse_id, sl.quantity,
+               (SELECT MIN(sp.unit_cost) FROM supplier_products sp WHERE sp.product_id = sl.product_id) as unit_cost
+        FROM stock_locations sl
+        WHERE sl.warehouse_id IS NOT NULL AND sl.quantity > 0
+          AND NOT EXISTS (SELECT 1 FROM cost_layers cl WHERE cl.product_id = sl.product_id AND cl.warehouse_id = sl.warehouse_id)
+    `).all();
+    if (locations.length === 0) {
+        return;
+    }
+
+    const insertLayer = db.prepare('INSERT INTO cost_layers (product_id, warehouse_id, unit_cost, quantity, remaining_quantity) VALUES (?, ?, ?, ?, ?)');
+    const setAverageCost = db.prepare('UPDATE stock_locations SET average_cost = ? WHERE product_id = ? AND warehouse_id = ?');
+    db.transaction(() => {
+        locations.forEach(location => {
+            const unitCost = location.unit_cost || 0;
+            insertLayer.run(location.product_id, location.warehouse_id, unitCost, location.quantity, location.quantity);
+            setAverageCost.run(unitCost, location.product_id, location.warehouse_id);
+        });
+    })();
+
+    console.log(`💰 Opening cost layers created for ${locations.length} stock locations.`);
+};
+
+// Orders and profiles saved before the normalised address columns existed get them filled in
+const backfillNormalisedAddresses = () => {
+    // Required here rather than at the top: fraudDetection itself requires this module
+    const { normaliseAddress } = require('../utils/fraudDetection');
+    const orders = db.prepare('SELECT id, shipping_address FROM orders WHERE normalised_shipping_address IS NULL AND shipping_address IS NOT NULL').all();
+    const users = db.prepare('SELECT id, address FROM users WHERE normalised_address IS NULL AND address IS NOT NULL').all();
+    if (orders.length === 0 && users.length === 0) {
+        return;
+    }
+
+    const setOrderAddress = db.prepare('UPDATE orders SET normalised_shipping_address = ? WHERE id = ?');
+    const setUserAddress = db.prepare('UPDATE users SET normalised_address = ? WHERE id = ?');
+    db.transaction(() => {
+        orders.forEach(order => setOrderAddress.run(normaliseAddress(order.shipping_address), order.id));
+        users.forEach(user => setUserAddress.run(normaliseAddress(user.address), user.id));
+    })();
+
+    console.log(`🏠 Normalised addresses filled in for ${orders.length} orders and ${users.length} users.`);
+};
+
+// Built-in fraud rules: [code, name, condition type, params, weight, enabled]. The first five are the
+// checks that used to be hard-coded in detectFraudRisk; the address rule ships disabled.
+const DEFAULT_FRAUD_RULES = [
+    ['invalid_amount', 'Invalid order amount', 'invalid_order_amount', {}, 10, 1],
+    ['high_order_value', 'High order value', 'order_total_above', { amount: 1000 }, 40, 1],
+    ['large_first_order', 'Large first order', 'first_order_total_above', { amount: 500 }, 50, 1],
+    ['bulk_high_value_item', 'Bulk order of a high-value item', 'bulk_high_value_item', { unit_price: 300, quantity: 3 }, 30, 1],
+    ['new_shipping_address', 'Shipping address not used before', 'new_shipping_address', {}, 20, 0],
+    ['orders_last_hour', 'Many orders in an hour', 'orders_in_window_above', { hours: 1, count: 3 }, 30, 1],
+    ['orders_last_day', 'Many orders in a day', 'orders_in_window_above', { hours: 24, count: 10 }, 20, 1],
+    ['spend_last_hour', 'High spend in an hour', 'spend_in_window_above', { hours: 1, amount: 2000 }, 30, 1],
+    ['spend_last_day', 'High spend in a day', 'spend_in_window_above', { hours: 24, amount: 5000 }, 20, 1],
+    ['many_shipping_addresses', 'Many shipping addresses', 'distinct_addresses_above', { days: 30, count: 3 }, 25, 1],
+    ['address_not_profile', 'Ships away from the profile address', 'address_differs_from_profile', {}, 15, 1],
+    ['new_account', 'New account', 'account_age_below', { hours: 24 }, 20, 1],
+    ['failed_logins', 'Failed logins before ordering', 'failed_logins_above', { hours: 24, count: 3 }, 25, 1],
+    ['shared_address', 'Address shared with other accounts', 'address_shared_by_accounts_above', { count: 1 }, 30, 1]
+];
+
+// Creates fraud rule set version 1 from DEFAULT_FRAUD_RULES. Built-in rules added later that no rule set
+// has contained yet are brought in as a new active version (copying the active one), so rule sets that
+// already scored orders stay untouched.
+const seedFraudRules = () => {
+    const known = new Set(db.prepare('SELECT DISTINCT code FROM fraud_rules').all().map(rule => rule.code));
+    const missing = DEFAULT_FRAUD_RULES.filter(([code]) => !known.has(code));
+    if (missing.length === 0) {
+        return;
+    }
+
+    const version = db.transaction(() => {
+        const active = db.prepare("SELECT * FROM fraud_rule_sets WHERE status = 'active'").get();
+        const { latest } = db.prepare('SELECT MAX(version) as latest FROM fraud_rule_sets').get();
+        const ruleSetId = db.prepare(`
+            INSERT INTO fraud_rule_sets (version, status, medium_threshold, high_threshold, hold_threshold, notes, based_on_id, activated_at)
+            VALUES (?, 'active', ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `).run(
+            (latest || 0) + 1,
+            active ? active.medium_threshold : 40,
+            active ? active.high_threshold : 70,
+            active ? active.hold_threshold : null,
+            active ? `Built-in rules added: ${missing.map(([code]) => code).join(', ')}` : 'Initial rules',
+            active ? active.id : null
+        ).lastInsertRowid;
+        if (active) {
+            db.prepare("UPDATE fraud_rule_sets SET status = 'retired' WHERE id = ?").run(active.id);
+        }
+
+        const insertRule = db.prepare(`
+            INSERT INTO fraud_rules (rule_set_id, code, name, condition_type, params, weight, enabled, sort_order)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        const rules = active
+            ? db.prepare('SELECT code, name, condition_type, params, weight, enabled FROM fraud_rules WHERE rule_set_id = ? ORDER BY sort_order, id').all(active.id)
+            : [];
+        rules.forEach((rule, index) => insertRule.run(ruleSetId, rule.code, rule.name, rule.condition_type, rule.params, rule.weight, rule.enabled, index));
+        missing.forEach(([code, name, conditionType, params, weight, enabled], index) =>
+            insertRule.run(ruleSetId, code, name, conditionType, JSON.stringify(params), weight, enabled, rules.length + index));
+        return (latest || 0) + 1;
+    })();
+
+    console.log(`🛡️  Fraud rule set v${version} created.`);
+};
+
 const initializeDatabase = () => {
     try {
         console.log('🗄️  Initializing database...');
         createTables();
         insertSampleData();
+        backfillStockLocations();
+        backfillOpeningBalances();
+        backfillCostLayers();
+        backfillNormalisedAddresses();
+        seedFraudRules();
         console.log('✅ Database initialization complete!');
     } catch (error) {
         console.error('❌ Failed to initialize database:', error);
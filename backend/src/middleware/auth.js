@@ -1,5 +1,5 @@
-const jwt = require('jsonwebtoken');
 const { db } = require('../config/database');
+const { verifyAccessToken } = require('../utils/authTokens');
 
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -9,21 +9,32 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+  let user;
+  try {
+    user = verifyAccessToken(token);
+  } catch (err) {
+    // An expired token is a 401 so the client refreshes it; a forged or malformed one stays a 403
+    if (err.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Access token expired', code: 'token_expired' });
     }
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
 
-    // Get user from database
-    const userFromDb = db.prepare('SELECT id, name, email, role FROM users WHERE id = ?').get(user.id);
+  // Get user from database
+  const userFromDb = db.prepare('SELECT id, name, email, role, token_version FROM users WHERE id = ?').get(user.id);
 
-    if (!userFromDb) {
-      return res.status(401).json({ error: 'User not found' });
-    }
+  if (!userFromDb) {
+    return res.status(401).json({ error: 'User not found' });
+  }
 
-    req.user = userFromDb;
-    next();
-  });
+  // Tokens issued before the last password change (or other revocation) no longer count
+  if ((user.tv || 0) !== userFromDb.token_version) {
+    return res.status(401).json({ error: 'Session has been revoked', code: 'token_revoked' });
+  }
+
+  const { token_version, ...currentUser } = userFromDb;
+  req.user = currentUser;
+  next();
 };
 
 const requireRole = (roles) => {
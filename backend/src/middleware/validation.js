@@ -1,4 +1,7 @@
 const Joi = require('joi');
+const { ADJUSTMENT_REASON_CODES } = require('../utils/cycleCounts');
+const { FRAUD_CONDITIONS } = require('../utils/fraudDetection');
+const { FRAUD_LIST_TYPES } = require('../utils/fraudLists');
 
 const validateRequest = (schema) => {
     return (req, res, next) => {
@@ -13,6 +16,16 @@ const validateRequest = (schema) => {
     };
 };
 
+// One rule of a fraud rule set; which params it needs depends on the condition (checked in utils/fraudRules)
+const fraudRule = Joi.object({
+    code: Joi.string().pattern(/^[a-z0-9_]+$/).max(50).required(),
+    name: Joi.string().max(100).required(),
+    condition_type: Joi.string().valid(...Object.keys(FRAUD_CONDITIONS)).required(),
+    params: Joi.object().pattern(Joi.string(), Joi.number().min(0)).optional(),
+    weight: Joi.number().integer().min(0).max(1000).required(),
+    enabled: Joi.boolean().required()
+});
+
 const schemas = {
     register: Joi.object({
         name: Joi.string().min(2).max(50).required(),
@@ -38,16 +51,347 @@ const schemas = {
         newPassword: Joi.string().min(6).required()
     }),
 
+    refreshToken: Joi.object({
+        refreshToken: Joi.string().max(200).required()
+    }),
+
+    // Without a refresh token there is no server-side session to end
+    logout: Joi.object({
+        refreshToken: Joi.string().max(200).optional()
+    }),
+
+    forgotPassword: Joi.object({
+        email: Joi.string().email().required()
+    }),
+
+    resetPassword: Joi.object({
+        token: Joi.string().max(200).required(),
+        password: Joi.string().min(6).required()
+    }),
+
+    verifyEmail: Joi.object({
+        token: Joi.string().max(200).required()
+    }),
+
+    // Second sign-in step: a code from the authenticator app or a backup code
+    twoFactorLogin: Joi.object({
+        challengeToken: Joi.string().max(1000).required(),
+        code: Joi.string().trim().max(20).required()
+    }),
+
+    // challengeToken is given instead of an access token while enrolling at sign-in
+    twoFactorSetup: Joi.object({
+        challengeToken: Joi.string().max(1000).optional()
+    }),
+
+    twoFactorCode: Joi.object({
+        challengeToken: Joi.string().max(1000).optional(),
+        code: Joi.string().trim().max(20).required()
+    }),
+
     createOrder: Joi.object({
         items: Joi.array().items(
             Joi.object({
                 productId: Joi.number().integer().positive().required(),
                 quantity: Joi.number().integer().positive().required()
             })
-        ).min(1).required(),
+        ).min(1).unique('productId').required(), // One line per product, so its stock is checked against the whole quantity
         shippingAddress: Joi.string().required()
     }),
 
+    cancelOrder: Joi.object({
+        reason: Joi.string().max(500).optional().allow('')
+    }),
+
+    // --- PRODUCT CATALOG SCHEMAS ---
+    createProduct: Joi.object({
+        name: Joi.string().min(2).max(100).required(),
+        description: Joi.string().max(1000).optional().allow(''),
+        price: Joi.number().positive().precision(2).required(),
+        stock_quantity: Joi.number().integer().min(0).optional(),
+        category: Joi.string().min(2).max(50).required(),
+        sku: Joi.string().pattern(/^[A-Z0-9][A-Z0-9-]*$/).max(32).required()
+            .messages({ 'string.pattern.base': '"sku" may only contain uppercase letters, digits and dashes' }),
+        min_stock: Joi.number().integer().min(0).optional(),
+        location: Joi.string().min(1).max(100).optional(),
+        allow_backorder: Joi.boolean().optional(),
+        track_lots: Joi.boolean().optional(),
+        track_serials: Joi.boolean().optional(),
+        lot_number: Joi.string().max(50).optional(), // Required with initial stock of a lot-tracked product
+        expiry_date: Joi.date().iso().optional().allow(null),
+        serial_numbers: Joi.array().items(Joi.string().max(100)).optional() // One per unit of initial stock for serial-tracked products
+    }),
+
+    updateProduct: Joi.object({
+        name: Joi.string().min(2).max(100).optional(),
+        description: Joi.string().max(1000).optional().allow(''),
+        price: Joi.number().positive().precision(2).optional(),
+        category: Joi.string().min(2).max(50).optional(),
+        sku: Joi.string().pattern(/^[A-Z0-9][A-Z0-9-]*$/).max(32).optional()
+            .messages({ 'string.pattern.base': '"sku" may only contain uppercase letters, digits and dashes' }),
+        min_stock: Joi.number().integer().min(0).optional(),
+        location: Joi.string().min(1).max(100).optional(),
+        allow_backorder: Joi.boolean().optional(),
+        track_lots: Joi.boolean().optional(),
+        track_serials: Joi.boolean().optional()
+    }).min(1), // Stock is changed through /products/:id/stock, not here
+
+    // --- WAREHOUSE SCHEMAS ---
+    createWarehouse: Joi.object({
+        code: Joi.string().pattern(/^[A-Z0-9][A-Z0-9-]*$/).max(16).required(),
+        name: Joi.string().min(2).max(100).required(),
+        address: Joi.string().max(255).optional().allow('')
+    }),
+
+    updateWarehouse: Joi.object({
+        name: Joi.string().min(2).max(100).optional(),
+        address: Joi.string().max(255).optional().allow(''),
+        is_active: Joi.boolean().optional()
+    }).min(1),
+
+    // --- STOCK TRANSFER SCHEMAS ---
+    createTransfer: Joi.object({
+        source_warehouse_id: Joi.number().integer().positive().required(),
+        destination_warehouse_id: Joi.number().integer().positive().invalid(Joi.ref('source_warehouse_id')).required()
+            .messages({ 'any.invalid': '"destination_warehouse_id" must differ from the source warehouse' }),
+        items: Joi.array().items(
+            Joi.object({
+                productId: Joi.number().integer().positive().required(),
+                quantity: Joi.number().integer().positive().required()
+            })
+        ).min(1).unique('productId').required(),
+        notes: Joi.string().max(500).optional().allow('')
+    }),
+
+    // Serials scanned onto the serial-tracked lines of a transfer as it ships
+    shipTransfer: Joi.object({
+        items: Joi.array().items(
+            Joi.object({
+                transfer_item_id: Joi.number().integer().positive().required(),
+                serial_numbers: Joi.array().items(Joi.string().max(100)).required()
+            })
+        ).unique('transfer_item_id').optional()
+    }),
+
+    // --- SHIPMENT SCHEMAS ---
+    splitShipment: Joi.object({
+        items: Joi.array().items(
+            Joi.object({
+                order_item_id: Joi.number().integer().positive().required(),
+                quantity: Joi.number().integer().positive().required()
+            })
+        ).min(1).unique('order_item_id').required(),
+        notes: Joi.string().max(500).optional().allow('')
+    }),
+
+    // Replaces the serials scanned into a pending parcel, per line
+    assignShipmentSerials: Joi.object({
+        items: Joi.array().items(
+            Joi.object({
+                order_item_id: Joi.number().integer().positive().required(),
+                serial_numbers: Joi.array().items(Joi.string().max(100)).required()
+            })
+        ).min(1).unique('order_item_id').required()
+    }),
+
+    // --- RETURN (RMA) SCHEMAS ---
+    createReturn: Joi.object({
+        reason: Joi.string().min(3).max(500).required(),
+        items: Joi.array().items(
+            Joi.object({
+                orderItemId: Joi.number().integer().positive().required(),
+                quantity: Joi.number().integer().positive().required(),
+                reason: Joi.string().max(500).optional().allow('')
+            })
+        ).min(1).unique('orderItemId').required()
+    }),
+
+    decideReturn: Joi.object({
+        notes: Joi.string().max(500).optional().allow('')
+    }),
+
+    inspectReturn: Joi.object({
+        items: Joi.array().items(
+            Joi.object({
+                returnItemId: Joi.number().integer().positive().required(),
+                disposition: Joi.string().valid('restock', 'write_off').required(),
+                warehouseId: Joi.number().integer().positive().optional(),
+                serialNumbers: Joi.array().items(Joi.string().max(100)).optional(), // Defaults to the serials the line shipped with
+                notes: Joi.string().max(500).optional().allow('')
+            })
+        ).min(1).unique('returnItemId').required()
+    }),
+
+    // --- SUPPLIER & PURCHASE ORDER SCHEMAS ---
+    createSupplier: Joi.object({
+        name: Joi.string().min(2).max(100).required(),
+        contact_name: Joi.string().max(100).optional().allow(''),
+        email: Joi.string().email().optional().allow(''),
+        phone: Joi.string().max(30).optional().allow(''),
+        address: Joi.string().max(255).optional().allow(''),
+        lead_time_days: Joi.number().integer().min(0).max(365).optional(),
+        notes: Joi.string().max(1000).optional().allow('')
+    }),
+
+    updateSupplier: Joi.object({
+        name: Joi.string().min(2).max(100).optional(),
+        contact_name: Joi.string().max(100).optional().allow(''),
+        email: Joi.string().email().optional().allow(''),
+        phone: Joi.string().max(30).optional().allow(''),
+        address: Joi.string().max(255).optional().allow(''),
+        lead_time_days: Joi.number().integer().min(0).max(365).optional(),
+        notes: Joi.string().max(1000).optional().allow(''),
+        is_active: Joi.boolean().optional()
+    }).min(1),
+
+    upsertSupplierProduct: Joi.object({
+        supplier_sku: Joi.string().max(50).optional().allow(''),
+        unit_cost: Joi.number().min(0).precision(2).required(),
+        lead_time_days: Joi.number().integer().min(0).max(365).optional().allow(null), // null falls back to the supplier's lead time
+        min_order_quantity: Joi.number().integer().positive().optional()
+    }),
+
+    createPurchaseOrder: Joi.object({
+        supplier_id: Joi.number().integer().positive().required(),
+        warehouse_id: Joi.number().integer().positive().required(),
+        items: Joi.array().items(
+            Joi.object({
+                productId: Joi.number().integer().positive().required(),
+                quantity: Joi.number().integer().positive().required(),
+                unitCost: Joi.number().min(0).precision(2).optional() // Defaults to the supplier's cost for the product
+            })
+        ).min(1).unique('productId').required(),
+        expected_date: Joi.date().iso().optional().allow(null),
+        notes: Joi.string().max(500).optional().allow('')
+    }),
+
+    updatePurchaseOrder: Joi.object({
+        warehouse_id: Joi.number().integer().positive().optional(),
+        items: Joi.array().items(
+            Joi.object({
+                productId: Joi.number().integer().positive().required(),
+                quantity: Joi.number().integer().positive().required(),
+                unitCost: Joi.number().min(0).precision(2).optional()
+            })
+        ).min(1).unique('productId').optional(),
+        expected_date: Joi.date().iso().optional().allow(null),
+        notes: Joi.string().max(500).optional().allow('')
+    }).min(1),
+
+    receivePurchaseOrder: Joi.object({
+        items: Joi.array().items(
+            Joi.object({
+                purchase_order_item_id: Joi.number().integer().positive().required(),
+                quantity: Joi.number().integer().positive().required(),
+                lot_number: Joi.string().max(50).optional(), // Required for lot-tracked products
+                expiry_date: Joi.date().iso().optional().allow(null),
+                serial_numbers: Joi.array().items(Joi.string().max(100)).optional(), // One per unit for serial-tracked products
+                unit_cost: Joi.number().min(0).precision(2).optional() // What the units actually cost; defaults to the PO price
+            })
+        ).min(1).unique((a, b) => a.purchase_order_item_id === b.purchase_order_item_id && a.lot_number === b.lot_number).required(), // A line may arrive in several lots
+        warehouse_id: Joi.number().integer().positive().optional(), // Defaults to the purchase order's warehouse
+        notes: Joi.string().max(500).optional().allow('')
+    }),
+
+    // --- SERIAL NUMBER SCHEMAS ---
+    registerSerials: Joi.object({
+        product_id: Joi.number().integer().positive().required(),
+        warehouse_id: Joi.number().integer().positive().required(),
+        serial_numbers: Joi.array().items(Joi.string().max(100)).min(1).required()
+    }),
+
+    createReplenishmentOrders: Joi.object({
+        product_ids: Joi.array().items(Joi.number().integer().positive()).min(1).unique().optional(), // Default: every SKU that needs reordering
+        window_days: Joi.number().integer().min(7).max(365).optional()
+    }),
+
+    // --- INVENTORY LEDGER SCHEMAS ---
+    rebuildInventoryLedger: Joi.object({
+        product_ids: Joi.array().items(Joi.number().integer().positive()).min(1).unique().optional() // Defaults to every mismatched product
+    }),
+
+    // --- ABC/XYZ CLASSIFICATION SCHEMAS ---
+    runClassification: Joi.object({
+        period_days: Joi.number().integer().min(28).max(365).optional() // Defaults to 91 days (13 weeks)
+    }),
+
+    // --- FRAUD RULE SCHEMAS ---
+    createFraudRuleSet: Joi.object({
+        based_on_id: Joi.number().integer().positive().optional(), // Defaults to the active rule set
+        notes: Joi.string().max(500).optional().allow('')
+    }),
+
+    updateFraudRuleSet: Joi.object({
+        medium_threshold: Joi.number().integer().min(1).required(),
+        high_threshold: Joi.number().integer().min(1).required(),
+        hold_threshold: Joi.number().integer().min(1).optional().allow(null), // Defaults to high_threshold
+        notes: Joi.string().max(500).optional().allow('', null),
+        rules: Joi.array().items(fraudRule).min(1).unique('code').required()
+    }),
+
+    // Either a saved rule set or an unsaved candidate (thresholds and rules)
+    dryRunFraudRules: Joi.object({
+        rule_set_id: Joi.number().integer().positive(),
+        medium_threshold: Joi.number().integer().min(1),
+        high_threshold: Joi.number().integer().min(1),
+        hold_threshold: Joi.number().integer().min(1).allow(null),
+        rules: Joi.array().items(fraudRule).min(1).unique('code'),
+        from: Joi.string().isoDate().optional(),
+        to: Joi.string().isoDate().optional(),
+        limit: Joi.number().integer().min(1).max(5000).optional() // Most recent orders scored; defaults to 500
+    }).xor('rule_set_id', 'rules').with('rules', ['medium_threshold', 'high_threshold']),
+
+    // --- FRAUD REVIEW SCHEMAS ---
+    fraudReviewDecision: Joi.object({
+        notes: Joi.string().max(1000).optional().allow('')
+    }),
+
+    // Asking for information only makes sense with a note of what is needed
+    requestFraudReviewInfo: Joi.object({
+        notes: Joi.string().max(1000).required()
+    }),
+
+    // --- FRAUD LIST SCHEMAS ---
+    createFraudListEntry: Joi.object({
+        list_type: Joi.string().valid(...Object.keys(FRAUD_LIST_TYPES)).required(),
+        value: Joi.string().max(255).required(),
+        reason: Joi.string().max(500).optional().allow('')
+    }),
+
+    // The CSV is what the export produces: list_type,value,reason
+    importFraudListEntries: Joi.object({
+        csv: Joi.string().max(1000000).required(),
+        replace: Joi.boolean().optional() // Empty the lists named in the file before importing
+    }),
+
+    // --- CYCLE COUNT SCHEMAS ---
+    createCycleCount: Joi.object({
+        warehouse_id: Joi.number().integer().positive().required(),
+        category: Joi.string().max(50).optional().allow(null), // Count only one category
+        product_ids: Joi.array().items(Joi.number().integer().positive()).min(1).unique().optional(), // Count only these products
+        approval_threshold: Joi.number().min(0).precision(2).optional(), // Variance value needing approval; defaults from config
+        notes: Joi.string().max(500).optional().allow('')
+    }),
+
+    recordCycleCounts: Joi.object({
+        items: Joi.array().items(
+            Joi.object({
+                line_id: Joi.number().integer().positive().required(),
+                quantity: Joi.number().integer().min(0).required()
+            })
+        ).min(1).unique('line_id').required()
+    }),
+
+    approveCycleCountLines: Joi.object({
+        items: Joi.array().items(
+            Joi.object({
+                line_id: Joi.number().integer().positive().required(),
+                reason_code: Joi.string().valid(...ADJUSTMENT_REASON_CODES).optional(),
+                notes: Joi.string().max(500).optional().allow('')
+            })
+        ).min(1).unique('line_id').required()
+    }),
+
     updateStock: Joi.object({
         quantity: Joi.number().integer().min(0).required(),
         reason: Joi.string().optional().allow('')
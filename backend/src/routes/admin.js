@@ -3,6 +3,15 @@ const express = require('express');
 const { db } = require('../config/database');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const { validateRequest, schemas } = require('../middleware/validation'); // Assuming this is still used elsewhere for validation
+const { getWarehouseStock, getBackorderedQuantity, getDefaultWarehouse, setTrackedStock } = require('../utils/inventory');
+const { getAvailableToPromise } = require('../utils/reservations');
+const { cancelOrder, broadcastOrderCancelled } = require('../utils/orders');
+const { getNextStatuses, isKnownStatus, getOrderHistory, getShipmentItems, getShipmentWithOrder } = require('../utils/statusTransitions');
+const { getOrderShipments, splitShipment } = require('../utils/shipments');
+const { assignShipmentSerials, dispatchShipment, dispatchOrder } = require('../utils/serials');
+const { listBackorders, fillBackorders, broadcastBackordersFilled } = require('../utils/backorders');
+const { ADJUSTMENT_REASON_CODES } = require('../utils/cycleCounts');
+const { ABC_CLASSES, XYZ_CLASSES } = require('../utils/classification');
 
 const router = express.Router();
 
@@ -18,8 +27,8 @@ router.get('/dashboard', (req, res) => {
         // This is the line that already correctly counts pending shipments
         const pendingOrders = db.prepare('SELECT COUNT(*) as count FROM shipments WHERE status = ?').get('pending').count;
         const totalUsers = db.prepare('SELECT COUNT(*) as count FROM users WHERE role = ?').get('user').count;
-        const totalProducts = db.prepare('SELECT COUNT(*) as count FROM products').get().count;
-        const lowStockProducts = db.prepare('SELECT COUNT(*) as count FROM products WHERE stock_quantity <= min_stock').get().count;
+        const totalProducts = db.prepare('SELECT COUNT(*) as count FROM products WHERE archived_at IS NULL').get().count;
+        const lowStockProducts = db.prepare('SELECT COUNT(*) as count FROM products WHERE stock_quantity <= min_stock AND archived_at IS NULL').get().count;
 
         // Get recent orders
         const recentOrders = db.prepare(`
@@ -75,10 +84,11 @@ router.get('/orders', (req, res) => {
 
         let query = `
             SELECT o.*, u.name as user_name, u.email as user_email,
-            s.status as shipment_status, s.current_location
+            (SELECT rs.version FROM fraud_rule_sets rs WHERE rs.id = o.fraud_rule_set_id) as fraud_rule_set_version,
+            (SELECT COUNT(*) FROM shipments s WHERE s.order_id = o.id AND s.status != 'cancelled') as shipment_count,
+            (SELECT COUNT(*) FROM shipments s WHERE s.order_id = o.id AND s.status NOT IN ('pending', 'cancelled')) as dispatched_shipment_count
             FROM orders o
             JOIN users u ON o.user_id = u.id
-            LEFT JOIN shipments s ON o.id = s.order_id
         `;
 
         let params = [];
@@ -132,30 +142,18 @@ router.put('/orders/:id/status', (req, res) => {
         const orderId = parseInt(req.params.id);
         const { status } = req.body;
 
-        const validStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
-        if (!validStatuses.includes(status)) {
+        if (!isKnownStatus('order', status)) {
             return res.status(400).json({ error: 'Invalid status' });
         }
 
-        const updateOrder = db.prepare(`
-            UPDATE orders
-            SET status = ?, updated_at = CURRENT_TIMESTAMP
-            WHERE id = ?
-        `);
-
-        const result = updateOrder.run(status, orderId);
-
-        if (result.changes === 0) {
-            return res.status(404).json({ error: 'Order not found' });
+        // Cancelling is more than a status change: stock goes back and a refund is recorded
+        if (status === 'cancelled') {
+            const result = cancelOrder(orderId, { cancelledBy: req.user.id, reason: req.body.reason || null });
+            broadcastOrderCancelled(req.app.get('socketio'), result);
+            return res.json({ message: 'Order cancelled successfully', order: result.order, refund: result.refund });
         }
 
-        // Get order details to emit real-time event
-        const order = db.prepare(`
-            SELECT o.*, u.name as user_name
-            FROM orders o
-            JOIN users u ON o.user_id = u.id
-            WHERE o.id = ?
-        `).get(orderId);
+        const { order, shipments } = dispatchOrder(orderId, status, { changedBy: req.user.id, note: req.body.note || null });
 
         // After successfully updating the order in the database...
         const io = req.app.get('socketio'); // Use req.app.get('socketio') as per common practice
@@ -166,16 +164,55 @@ router.put('/orders/:id/status', (req, res) => {
                 status: order.status,
                 timestamp: new Date().toISOString()
             });
+            shipments.forEach(shipment => io.emit('shipment_status_updated', shipment));
         }
 
-
-        res.json({ message: 'Order status updated successfully' });
+        res.json({ message: 'Order status updated successfully', order, shipments });
     } catch (error) {
         console.error('Update order status error:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         res.status(500).json({ error: 'Failed to update order status' });
     }
 });
 
+// POST /api/admin/orders/:id/cancel - Cancels an unshipped order, restocks it and records a refund
+router.post('/orders/:id/cancel', validateRequest(schemas.cancelOrder), (req, res) => {
+    try {
+        const result = cancelOrder(parseInt(req.params.id), { cancelledBy: req.user.id, reason: req.body.reason || null });
+        broadcastOrderCancelled(req.io, result);
+        res.json({ message: 'Order cancelled successfully', order: result.order, refund: result.refund });
+    } catch (error) {
+        console.error('Cancel order error:', error.message);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to cancel order' });
+    }
+});
+
+// GET /api/admin/orders/:id/history - Status changes of an order and its shipments
+router.get('/orders/:id/history', (req, res) => {
+    try {
+        const orderId = parseInt(req.params.id);
+        const order = db.prepare('SELECT id, status FROM orders WHERE id = ?').get(orderId);
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        res.json({
+            order,
+            shipments: getOrderShipments(orderId),
+            history: getOrderHistory(orderId),
+            // partially_shipped follows from shipment statuses and cannot be chosen; held orders are released by the fraud review
+            next_statuses: getNextStatuses('order', order.status).filter(next => next !== 'partially_shipped' && !(order.status === 'on_hold' && next === 'pending'))
+        });
+    } catch (error) {
+        console.error('Get order history error:', error);
+        res.status(500).json({ error: 'Failed to fetch order history' });
+    }
+});
+
 // GET /api/admin/shipments - Fetches all shipments with pagination
 router.get('/shipments', (req, res) => {
     try {
@@ -186,7 +223,7 @@ router.get('/shipments', (req, res) => {
         const stmt = db.prepare(`
             SELECT
                 s.id, s.order_id, s.tracking_number, s.status, s.current_location, s.estimated_delivery, s.actual_delivery, s.created_at, s.notes,
-                o.total_amount, u.name as user_name, u.email as user_email
+                o.total_amount, o.status as order_status, u.name as user_name, u.email as user_email
             FROM shipments s
             JOIN orders o ON s.order_id = o.id
             JOIN users u ON o.user_id = u.id
@@ -194,6 +231,11 @@ router.get('/shipments', (req, res) => {
             LIMIT ? OFFSET ?
         `);
         const shipments = stmt.all(limit, offset);
+        shipments.forEach(shipment => {
+            // Cancelling a shipment happens through its order, so it is not offered here
+            shipment.next_statuses = getNextStatuses('shipment', shipment.status).filter(status => status !== 'cancelled');
+            shipment.items = getShipmentItems(shipment.id);
+        });
 
         const totalStmt = db.prepare('SELECT COUNT(*) as total FROM shipments');
         const { total } = totalStmt.get();
@@ -205,6 +247,49 @@ router.get('/shipments', (req, res) => {
     }
 });
 
+// POST /api/admin/shipments/:id/split - Moves some of a pending parcel's units into a new parcel with its own tracking number
+router.post('/shipments/:id/split', validateRequest(schemas.splitShipment), (req, res) => {
+    try {
+        const { source, shipment } = splitShipment(parseInt(req.params.id), req.body.items, {
+            createdBy: req.user.id,
+            notes: req.body.notes || null
+        });
+
+        if (req.io) {
+            req.io.emit('shipment_status_updated', source);
+            req.io.emit('shipment_status_updated', shipment);
+        }
+        res.status(201).json({ message: `Shipment split. New parcel ${shipment.tracking_number} created.`, source, shipment });
+    } catch (error) {
+        console.error('Split shipment error:', error.message);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to split shipment' });
+    }
+});
+
+// PUT /api/admin/shipments/:id/serials
+// Scans serial numbers into a pending parcel, per line. Units of serial-tracked products need one before the parcel can leave
+router.put('/shipments/:id/serials', validateRequest(schemas.assignShipmentSerials), (req, res) => {
+    try {
+        const shipmentId = parseInt(req.params.id);
+        assignShipmentSerials(shipmentId, req.body.items, { assignedBy: req.user.id });
+        const shipment = getShipmentWithOrder(shipmentId);
+
+        if (req.io) {
+            req.io.emit('shipment_status_updated', shipment);
+        }
+        res.json({ message: 'Serial numbers saved', shipment });
+    } catch (error) {
+        console.error('Assign shipment serials error:', error.message);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to save serial numbers' });
+    }
+});
+
 // PUT /api/admin/shipments/:id/status - Updates shipment status and details
 router.put('/shipments/:id/status', (req, res) => {
     const shipmentId = parseInt(req.params.id);
@@ -212,39 +297,25 @@ router.put('/shipments/:id/status', (req, res) => {
     const io = req.io;
 
     try {
-        const validStatuses = ['pending', 'in_transit', 'out_for_delivery', 'delivered', 'failed_attempt', 'cancelled'];
-        if (!validStatuses.includes(status)) {
+        if (!isKnownStatus('shipment', status)) {
             return res.status(400).json({ error: 'Invalid shipment status provided.' });
         }
 
-        const updateStmt = db.prepare(`
-            UPDATE shipments
-            SET status = ?, current_location = ?, notes = ?, estimated_delivery = ?, actual_delivery = ?, updated_at = CURRENT_TIMESTAMP
-            WHERE id = ?
-        `);
-        const info = updateStmt.run(
-            status,
-            current_location,
-            notes,
-            estimated_delivery || null,
-            actual_delivery || null,
-            shipmentId
-        );
-
-        if (info.changes === 0) {
-            return res.status(404).json({ error: 'Shipment not found.' });
-        }
-
-        const updatedShipment = db.prepare(`
-            SELECT s.*, o.user_id, u.name as user_name, u.email as user_email, o.total_amount
-            FROM shipments s
-            JOIN orders o ON s.order_id = o.id
-            JOIN users u ON o.user_id = u.id
-            WHERE s.id = ?
-        `).get(shipmentId);
+        const { shipment: updatedShipment, order, orderChanged } = dispatchShipment(shipmentId, status, {
+            changedBy: req.user.id,
+            fields: { current_location, notes, estimated_delivery, actual_delivery }
+        });
 
         if (io) {
             io.emit('shipment_status_updated', updatedShipment);
+            if (orderChanged) {
+                io.emit('order_status_updated', {
+                    orderId: order.id,
+                    userId: order.user_id,
+                    status: order.status,
+                    timestamp: new Date().toISOString()
+                });
+            }
         } else {
             console.warn('Socket.io instance not found in req.io. Shipment status updates will not be broadcast in real-time.');
         }
@@ -252,21 +323,178 @@ router.put('/shipments/:id/status', (req, res) => {
         res.status(200).json(updatedShipment);
     } catch (error) {
         console.error('Failed to update shipment status:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         res.status(500).json({ error: 'Failed to update shipment status.' });
     }
 });
 
+// Fetches a single product in the same shape as the admin product list
+const getAdminProduct = (productId) => {
+    const product = db.prepare(`
+        SELECT p.*, COUNT(oi.id) as total_orders
+        FROM products p
+        LEFT JOIN order_items oi ON p.id = oi.product_id
+        WHERE p.id = ?
+        GROUP BY p.id
+    `).get(productId);
+    if (product) {
+        product.stock_locations = getWarehouseStock(productId);
+        product.available_to_promise = getAvailableToPromise(productId);
+        product.backordered_quantity = getBackorderedQuantity(productId);
+    }
+    return product;
+};
+
+// --- BACKORDER ROUTES ---
+
+// GET /api/admin/backorders - The backorder queue, oldest first (?status=waiting|allocated|cancelled, ?product_id=)
+router.get('/backorders', (req, res) => {
+    try {
+        const { status, product_id } = req.query;
+        if (status && !['waiting', 'allocated', 'cancelled'].includes(status)) {
+            return res.status(400).json({ error: `Invalid backorder status '${status}'.` });
+        }
+        const backorders = listBackorders({ status: status || null, productId: product_id ? parseInt(product_id) : null });
+        res.json({ backorders });
+    } catch (error) {
+        console.error('Error fetching backorders:', error);
+        res.status(500).json({ error: 'Failed to retrieve backorders' });
+    }
+});
+
+// --- WAREHOUSE ROUTES ---
+
+// GET /api/admin/warehouses - Lists warehouses with the number of products and units they hold
+router.get('/warehouses', (req, res) => {
+    try {
+        const warehouses = db.prepare(`
+            SELECT w.*,
+                   COUNT(CASE WHEN sl.quantity > 0 THEN 1 END) as product_count,
+                   COALESCE(SUM(sl.quantity), 0) as total_units,
+                   COALESCE(SUM(sl.in_transit_quantity), 0) as in_transit_units
+            FROM warehouses w
+            LEFT JOIN stock_locations sl ON sl.warehouse_id = w.id
+            GROUP BY w.id
+            ORDER BY w.name
+        `).all();
+
+        res.json({ warehouses });
+    } catch (error) {
+        console.error('Get warehouses error:', error);
+        res.status(500).json({ error: 'Failed to fetch warehouses' });
+    }
+});
+
+// POST /api/admin/warehouses - Creates a warehouse
+router.post('/warehouses', validateRequest(schemas.createWarehouse), (req, res) => {
+    const { code, name, address } = req.body;
+
+    try {
+        const existing = db.prepare('SELECT id FROM warehouses WHERE code = ? OR name = ?').get(code, name);
+        if (existing) {
+            return res.status(400).json({ error: 'A warehouse with this code or name already exists.' });
+        }
+
+        const info = db.prepare('INSERT INTO warehouses (code, name, address) VALUES (?, ?, ?)').run(code, name, address || null);
+        const warehouse = db.prepare('SELECT * FROM warehouses WHERE id = ?').get(info.lastInsertRowid);
+
+        res.status(201).json(warehouse);
+    } catch (error) {
+        console.error('Create warehouse error:', error);
+        res.status(500).json({ error: 'Failed to create warehouse' });
+    }
+});
+
+// PUT /api/admin/warehouses/:id - Renames, re-addresses or (de)activates a warehouse
+// Inactive warehouses keep their stock but are skipped when allocating orders.
+router.put('/warehouses/:id', validateRequest(schemas.updateWarehouse), (req, res) => {
+    const warehouseId = parseInt(req.params.id);
+    const { name, address, is_active } = req.body;
+
+    try {
+        const warehouse = db.prepare('SELECT * FROM warehouses WHERE id = ?').get(warehouseId);
+        if (!warehouse) {
+            return res.status(404).json({ error: 'Warehouse not found.' });
+        }
+        if (name && db.prepare('SELECT id FROM warehouses WHERE name = ? AND id != ?').get(name, warehouseId)) {
+            return res.status(400).json({ error: 'A warehouse with this name already exists.' });
+        }
+
+        db.transaction(() => {
+            db.prepare(`
+                UPDATE warehouses
+                SET name = COALESCE(?, name), address = COALESCE(?, address), is_active = COALESCE(?, is_active), updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(name, address, is_active === undefined ? null : (is_active ? 1 : 0), warehouseId);
+
+            // products.location and stock_locations.location refer to warehouses by name
+            if (name && name !== warehouse.name) {
+                db.prepare('UPDATE products SET location = ? WHERE location = ?').run(name, warehouse.name);
+                db.prepare('UPDATE stock_locations SET location = ? WHERE warehouse_id = ?').run(name, warehouseId);
+            }
+        })();
+
+        res.json(db.prepare('SELECT * FROM warehouses WHERE id = ?').get(warehouseId));
+    } catch (error) {
+        console.error('Update warehouse error:', error);
+        res.status(500).json({ error: 'Failed to update warehouse' });
+    }
+});
+
 // GET /api/admin/products
 // Fetches all products directly from the database, now includes total_orders for display
+// Optional ?status=active|archived narrows the list; archived products are included by default.
+// Optional ?abc_class=A|B|C and ?xyz_class=X|Y|Z filter by the classes stored by the ABC/XYZ analysis
 router.get('/products', (req, res) => {
     try {
+        const { status, abc_class, xyz_class } = req.query;
+        if ((abc_class && !ABC_CLASSES.includes(abc_class)) || (xyz_class && !XYZ_CLASSES.includes(xyz_class))) {
+            return res.status(400).json({ error: `abc_class must be one of ${ABC_CLASSES.join(', ')} and xyz_class one of ${XYZ_CLASSES.join(', ')}.` });
+        }
+        const conditions = [];
+        const params = [];
+        if (status === 'active') {
+            conditions.push('p.archived_at IS NULL');
+        } else if (status === 'archived') {
+            conditions.push('p.archived_at IS NOT NULL');
+        }
+        if (abc_class) {
+            conditions.push('p.abc_class = ?');
+            params.push(abc_class);
+        }
+        if (xyz_class) {
+            conditions.push('p.xyz_class = ?');
+            params.push(xyz_class);
+        }
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
         const products = db.prepare(`
-            SELECT p.*, COUNT(oi.id) as total_orders
+            SELECT p.*, COUNT(oi.id) as total_orders,
+                   (SELECT COALESCE(SUM(b.quantity), 0) FROM backorders b WHERE b.product_id = p.id AND b.status = 'waiting') as backordered_quantity
             FROM products p
             LEFT JOIN order_items oi ON p.id = oi.product_id
+            ${whereClause}
             GROUP BY p.id
             ORDER BY p.name
+        `).all(...params);
+
+        // Attach the per-warehouse breakdown to each product
+        const stockRows = db.prepare(`
+            SELECT sl.product_id, sl.warehouse_id, w.code as warehouse_code, w.name as warehouse_name, sl.quantity, sl.in_transit_quantity
+            FROM stock_locations sl
+            JOIN warehouses w ON sl.warehouse_id = w.id
+            ORDER BY w.name
         `).all();
+        const stockByProduct = new Map();
+        stockRows.forEach(({ product_id, ...row }) => {
+            if (!stockByProduct.has(product_id)) stockByProduct.set(product_id, []);
+            stockByProduct.get(product_id).push(row);
+        });
+        products.forEach(product => {
+            product.stock_locations = stockByProduct.get(product.id) || [];
+        });
 
         res.json({ products }); // Sends { products: [...] }
     } catch (error) {
@@ -275,43 +503,270 @@ router.get('/products', (req, res) => {
     }
 });
 
+// POST /api/admin/products
+// Creates a new catalog product and broadcasts it to connected clients
+router.post('/products', validateRequest(schemas.createProduct), (req, res) => {
+    const { name, description, price, stock_quantity = 0, category, sku, min_stock = 10, location = 'Warehouse A', allow_backorder = false, track_lots = false, track_serials = false, lot_number, expiry_date, serial_numbers } = req.body;
+    const io = req.io;
+
+    try {
+        const existingProduct = db.prepare('SELECT id FROM products WHERE sku = ?').get(sku);
+        if (existingProduct) {
+            return res.status(400).json({ error: `A product with SKU ${sku} already exists.` });
+        }
+        const warehouse = db.prepare('SELECT id FROM warehouses WHERE name = ?').get(location);
+        if (!warehouse) {
+            return res.status(400).json({ error: `Unknown location: ${location}. Use the name of an existing warehouse.` });
+        }
+
+        const productId = db.transaction(() => {
+            const info = db.prepare(`
+                INSERT INTO products (name, description, price, stock_quantity, category, sku, min_stock, location, allow_backorder, track_lots, track_serials)
+                VALUES (?, ?, ?, 0, ?, ?, ?, ?, ?, ?, ?)
+            `).run(name, description || null, price, category, sku, min_stock, location, allow_backorder ? 1 : 0, track_lots ? 1 : 0, track_serials ? 1 : 0);
+
+            // Initial stock is placed in the product's default warehouse, in its lot and under its serials when tracked
+            setTrackedStock(info.lastInsertRowid, warehouse.id, stock_quantity, {
+                lotNumber: lot_number,
+                expiryDate: expiry_date ? new Date(expiry_date).toISOString().slice(0, 10) : null,
+                serialNumbers: serial_numbers
+            }, { type: 'restock', reason: 'Initial stock', createdBy: req.user.id });
+            return info.lastInsertRowid;
+        })();
+
+        const newProduct = getAdminProduct(productId);
+
+        if (io) {
+            io.emit('product_created', newProduct);
+        } else {
+            console.warn('Socket.io instance not found in req.io. New products will not be broadcast in real-time.');
+        }
+
+        res.status(201).json(newProduct);
+    } catch (error) {
+        console.error('Error creating product:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        if (error.message && error.message.includes('UNIQUE constraint failed: products.sku')) {
+            return res.status(400).json({ error: `A product with SKU ${sku} already exists.` });
+        }
+        res.status(500).json({ error: 'Failed to create product' });
+    }
+});
+
+// PUT /api/admin/products/:id
+// Edits catalog fields of a product (stock is managed by /products/:id/stock)
+router.put('/products/:id', validateRequest(schemas.updateProduct), (req, res) => {
+    const productId = parseInt(req.params.id);
+    const { name, description, price, category, sku, min_stock, location, allow_backorder, track_lots, track_serials } = req.body;
+    const io = req.io;
+
+    try {
+        const product = db.prepare('SELECT id, sku, stock_quantity, archived_at, track_lots, track_serials FROM products WHERE id = ?').get(productId);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found.' });
+        }
+        if (product.archived_at) {
+            return res.status(400).json({ error: 'Archived products cannot be edited. Restore the product first.' });
+        }
+
+        // Stock already held has no lots or serials to track, so tracking starts with an empty shelf
+        const startsTracking = (track_lots && !product.track_lots) || (track_serials && !product.track_serials);
+        if (startsTracking) {
+            const { in_transit } = db.prepare('SELECT COALESCE(SUM(in_transit_quantity), 0) as in_transit FROM stock_locations WHERE product_id = ?').get(productId);
+            const held = product.stock_quantity + in_transit;
+            if (held > 0) {
+                return res.status(400).json({
+                    error: `${track_lots && !product.track_lots ? 'Lot' : 'Serial number'} tracking can only be switched on while no stock of ${product.sku} is on hand or in transit (${held} unit(s)).`
+                });
+            }
+        }
+
+        if (sku) {
+            const skuOwner = db.prepare('SELECT id FROM products WHERE sku = ? AND id != ?').get(sku, productId);
+            if (skuOwner) {
+                return res.status(400).json({ error: `A product with SKU ${sku} already exists.` });
+            }
+        }
+        // `location` is the default warehouse new stock goes to; existing stock is not moved
+        if (location && !db.prepare('SELECT id FROM warehouses WHERE name = ?').get(location)) {
+            return res.status(400).json({ error: `Unknown location: ${location}. Use the name of an existing warehouse.` });
+        }
+
+        db.prepare(`
+            UPDATE products
+            SET name = COALESCE(?, name),
+                description = COALESCE(?, description),
+                price = COALESCE(?, price),
+                category = COALESCE(?, category),
+                sku = COALESCE(?, sku),
+                min_stock = COALESCE(?, min_stock),
+                location = COALESCE(?, location),
+                allow_backorder = COALESCE(?, allow_backorder),
+                track_lots = COALESCE(?, track_lots),
+                track_serials = COALESCE(?, track_serials),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(
+            name, description, price, category, sku, min_stock, location,
+            allow_backorder === undefined ? null : (allow_backorder ? 1 : 0),
+            track_lots === undefined ? null : (track_lots ? 1 : 0),
+            track_serials === undefined ? null : (track_serials ? 1 : 0),
+            productId
+        );
+
+        const updatedProduct = getAdminProduct(productId);
+
+        if (io) {
+            io.emit('inventory_changed', updatedProduct);
+        } else {
+            console.warn('Socket.io instance not found in req.io. Admin changes will not be broadcast in real-time.');
+        }
+
+        res.status(200).json(updatedProduct);
+    } catch (error) {
+        console.error(`Error updating product ${productId}:`, error);
+        if (error.message && error.message.includes('UNIQUE constraint failed: products.sku')) {
+            return res.status(400).json({ error: `A product with SKU ${sku} already exists.` });
+        }
+        res.status(500).json({ error: 'Failed to update product' });
+    }
+});
+
+// DELETE /api/admin/products/:id
+// Archives a product instead of deleting it, so historical order_items keep their product reference
+router.delete('/products/:id', (req, res) => {
+    const productId = parseInt(req.params.id);
+    const io = req.io;
+
+    try {
+        const product = db.prepare('SELECT id, archived_at FROM products WHERE id = ?').get(productId);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found.' });
+        }
+        if (product.archived_at) {
+            return res.status(400).json({ error: 'Product is already archived.' });
+        }
+
+        const affectedCarts = db.transaction(() => {
+            db.prepare('UPDATE products SET archived_at = CURRENT_TIMESTAMP WHERE id = ?').run(productId);
+            // Archived products can no longer be bought, so drop them from any open carts
+            const cartOwners = db.prepare('SELECT user_id FROM cart_items WHERE product_id = ?').all(productId);
+            db.prepare('DELETE FROM cart_items WHERE product_id = ?').run(productId);
+            db.prepare('DELETE FROM stock_reservations WHERE product_id = ?').run(productId);
+            return cartOwners.map(row => row.user_id);
+        })();
+
+        const archivedProduct = getAdminProduct(productId);
+
+        if (io) {
+            io.emit('product_archived', archivedProduct);
+            affectedCarts.forEach(userId => {
+                io.emit('cart_updated', { userId, message: `${archivedProduct.name} is no longer available and was removed from your cart.` });
+            });
+        } else {
+            console.warn('Socket.io instance not found in req.io. Admin changes will not be broadcast in real-time.');
+        }
+
+        res.status(200).json({ message: 'Product archived successfully', product: archivedProduct });
+    } catch (error) {
+        console.error(`Error archiving product ${productId}:`, error);
+        res.status(500).json({ error: 'Failed to archive product' });
+    }
+});
+
+// POST /api/admin/products/:id/restore
+// Brings an archived product back into the sellable catalog
+router.post('/products/:id/restore', (req, res) => {
+    const productId = parseInt(req.params.id);
+    const io = req.io;
+
+    try {
+        const info = db.prepare('UPDATE products SET archived_at = NULL WHERE id = ? AND archived_at IS NOT NULL').run(productId);
+        if (info.changes === 0) {
+            return res.status(404).json({ error: 'Archived product not found.' });
+        }
+
+        const restoredProduct = getAdminProduct(productId);
+
+        if (io) {
+            io.emit('product_created', restoredProduct);
+        }
+
+        res.status(200).json(restoredProduct);
+    } catch (error) {
+        console.error(`Error restoring product ${productId}:`, error);
+        res.status(500).json({ error: 'Failed to restore product' });
+    }
+});
+
 // PUT /api/admin/products/:id/stock
-// Updates the stock for a single product and broadcasts the change
+// Sets the stock a product holds in one warehouse (its default warehouse unless warehouse_id is given),
+// recomputes the product total, records the change as a reason-coded `adjustment` and broadcasts it
 router.put('/products/:id/stock', (req, res) => {
     const { id } = req.params;
-    const { stock_quantity } = req.body;
+    const { stock_quantity, warehouse_id, reason_code = 'other', reason, lot_number, expiry_date, serial_numbers } = req.body;
     const io = req.io;
 
     if (typeof stock_quantity !== 'number' || stock_quantity < 0) {
         return res.status(400).json({ error: 'Invalid stock quantity provided.' });
     }
+    if (!ADJUSTMENT_REASON_CODES.includes(reason_code)) {
+        return res.status(400).json({ error: `Invalid reason code. Use one of: ${ADJUSTMENT_REASON_CODES.join(', ')}.` });
+    }
+    // Lot-tracked products name the lot the units are added to or removed from, serial-tracked ones each unit
+    if (lot_number !== undefined && lot_number !== null && typeof lot_number !== 'string') {
+        return res.status(400).json({ error: 'Invalid lot number provided.' });
+    }
+    if (expiry_date && isNaN(Date.parse(expiry_date))) {
+        return res.status(400).json({ error: 'Invalid expiry date provided.' });
+    }
+    if (serial_numbers !== undefined && (!Array.isArray(serial_numbers) || serial_numbers.some(serial => typeof serial !== 'string'))) {
+        return res.status(400).json({ error: 'Serial numbers must be a list of strings.' });
+    }
 
     try {
-        const stmt = db.prepare('UPDATE products SET stock_quantity = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
-        const info = stmt.run(stock_quantity, id);
-
-        if (info.changes === 0) {
+        const product = db.prepare('SELECT id, location FROM products WHERE id = ?').get(id);
+        if (!product) {
             return res.status(404).json({ error: 'Product not found.' });
         }
 
-        const updatedProductStmt = db.prepare(`
-            SELECT p.*, COUNT(oi.id) as total_orders
-            FROM products p
-            LEFT JOIN order_items oi ON p.id = oi.product_id
-            WHERE p.id = ?
-            GROUP BY p.id
-        `);
-        const updatedProduct = updatedProductStmt.get(id);
+        const warehouse = warehouse_id
+            ? db.prepare('SELECT id FROM warehouses WHERE id = ?').get(warehouse_id)
+            : getDefaultWarehouse(product);
+        if (!warehouse) {
+            return res.status(400).json({ error: 'Warehouse not found.' });
+        }
+
+        setTrackedStock(product.id, warehouse.id, stock_quantity, {
+            lotNumber: lot_number,
+            expiryDate: expiry_date ? new Date(expiry_date).toISOString().slice(0, 10) : null,
+            serialNumbers: serial_numbers
+        }, {
+            type: 'adjustment',
+            reason: reason || 'Manual stock update',
+            reasonCode: reason_code,
+            createdBy: req.user.id
+        });
+        // Received stock goes to customers waiting on backorders first
+        const filledBackorders = fillBackorders(product.id, { changedBy: req.user.id });
+
+        const updatedProduct = getAdminProduct(product.id);
 
         if (io) {
             io.emit('inventory_changed', updatedProduct);
         } else {
             console.warn('Socket.io instance not found in req.io. Admin changes will not be broadcast in real-time.');
         }
+        broadcastBackordersFilled(io, filledBackorders);
 
-        res.status(200).json(updatedProduct);
+        res.status(200).json({ ...updatedProduct, filled_backorders: filledBackorders.map(filled => filled.backorder) });
     } catch (error) {
         console.error(`Error updating stock for product ${id}:`, error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         res.status(500).json({ error: 'Failed to update product stock' });
     }
 });
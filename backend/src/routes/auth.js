@@ -1,12 +1,80 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { db } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
 const { validateRequest, schemas } = require('../middleware/validation');
+const { checkFraudLists } = require('../utils/fraudLists');
+const { normaliseAddress } = require('../utils/fraudDetection');
+const { issueTokens, rotateRefreshToken, revokeRefreshToken, revokeAllSessions } = require('../utils/authTokens');
+const { sendVerificationEmail, sendPasswordResetEmail, verifyEmail, resetPassword } = require('../utils/accountTokens');
+const {
+    isTwoFactorRequired,
+    getTwoFactorStatus,
+    startEnrolment,
+    confirmEnrolment,
+    verifySecondFactor,
+    regenerateBackupCodes,
+    disableTwoFactor,
+    signChallengeToken,
+    verifyChallengeToken
+} = require('../utils/twoFactor');
 
 const router = express.Router();
 
+// Sends the error's own status code when it carries one (bad code, expired challenge, policy), and its code if any
+const sendAuthError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, ...(error.code ? { code: error.code } : {}) });
+    }
+    res.status(500).json({ error: fallbackMessage });
+};
+
+// Starts a session once every sign-in step has passed: tokens plus the user the client keeps
+const completeLogin = (req, user) => {
+    recordLoginAttempt(req, user.email, user.id, true);
+    const { token, refreshToken } = issueTokens(user, req);
+    return {
+        message: 'Login successful',
+        token,
+        refreshToken,
+        user: {
+            id: user.id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            phone: user.phone,
+            address: user.address,
+            email_verified: Boolean(user.email_verified_at)
+        }
+    };
+};
+
+// Two-factor enrolment is either part of signing in (the policy requires it; a challenge token stands in for
+// the access token) or done from an existing session
+const authenticateEnrolment = (req, res, next) => {
+    if (!req.body.challengeToken) {
+        return authenticateToken(req, res, next);
+    }
+    try {
+        req.user = verifyChallengeToken(req.body.challengeToken, 'enrol');
+        req.enrollingAtSignIn = true;
+        next();
+    } catch (error) {
+        sendAuthError(res, error, 'Two-factor setup failed');
+    }
+};
+
+// Mail goes out after the response: a slow or failing mail server neither fails the request nor shows in its timing
+const sendInBackground = (sending, description) => {
+    sending.catch(error => console.error(`Failed to send ${description}:`, error.message));
+};
+
+// Logs a login attempt; repeated failures before an order raise its fraud score
+const recordLoginAttempt = (req, email, userId, success) => {
+    db.prepare('INSERT INTO login_attempts (user_id, email, success, ip_address) VALUES (?, ?, ?, ?)')
+        .run(userId, email, success ? 1 : 0, req.ip || null);
+};
+
 // Register
 router.post('/register', validateRequest(schemas.register), async (req, res) => {
     try {
@@ -18,26 +86,30 @@ router.post('/register', validateRequest(schemas.register), async (req, res) =>
             return res.status(400).json({ error: 'User already exists with this email' });
         }
 
+        // Blocked emails, domains, addresses and IPs cannot sign up; which list matched is not revealed
+        const { blocked } = checkFraudLists({ email, ipAddress: req.ip, address });
+        if (blocked.length > 0) {
+            console.warn(`Registration refused for ${email}: ${blocked.map(hit => hit.description).join('; ')}`);
+            return res.status(403).json({ error: 'Registration is not available. Please contact support.' });
+        }
+
         // Hash password
         const hashedPassword = await bcrypt.hash(password, 10);
 
         // Insert user
         const insertUser = db.prepare(`
-            INSERT INTO users (name, email, password, phone, address)
-            VALUES (?, ?, ?, ?, ?)
+            INSERT INTO users (name, email, password, phone, address, normalised_address)
+            VALUES (?, ?, ?, ?, ?, ?)
         `);
 
-        const newUserInfo = insertUser.run(name, email, hashedPassword, phone, address);
+        const newUserInfo = insertUser.run(name, email, hashedPassword, phone, address, address ? normaliseAddress(address) : null);
         const newUserId = newUserInfo.lastInsertRowid;
 
-        // Generate JWT token
-        // Use the actual role from the DB for the token payload
+        // Short-lived access token plus a refresh token to renew it
         const userRole = 'user'; // Default role for registration
-        const token = jwt.sign(
-            { id: newUserId, email, role: userRole }, // Include role in token payload
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-        );
+        const { token, refreshToken } = issueTokens({ id: newUserId, email, role: userRole, token_version: 0 }, req);
+
+        sendInBackground(sendVerificationEmail({ id: newUserId, name, email }), `verification email to ${email}`);
 
         // --- Socket.IO Broadcast for New User ---
         const io = req.io; // Access io from req (set in server.js middleware)
@@ -61,13 +133,15 @@ router.post('/register', validateRequest(schemas.register), async (req, res) =>
         res.status(201).json({
             message: 'User registered successfully',
             token,
+            refreshToken,
             user: { // Respond to the registering client with their user details
                 id: newUserId,
                 name,
                 email,
                 role: userRole, // Ensure role is included
                 phone: phone || null,
-                address: address || null
+                address: address || null,
+                email_verified: false
             }
         });
     } catch (error) {
@@ -88,49 +162,233 @@ router.post('/login', validateRequest(schemas.login), async (req, res) => {
         // Find user
         const user = db.prepare('SELECT * FROM users WHERE email = ?').get(email);
         if (!user) {
+            recordLoginAttempt(req, email, null, false);
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
         // Verify password
         const validPassword = await bcrypt.compare(password, user.password);
         if (!validPassword) {
+            recordLoginAttempt(req, email, user.id, false);
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { id: user.id, email: user.email, role: user.role }, // Ensure role is in token for middleware
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-        );
+        // With two-factor sign-in on, the password only earns a challenge for POST /login/2fa
+        if (user.totp_enabled_at) {
+            return res.json({ twoFactorRequired: true, challengeToken: signChallengeToken(user, 'verify') });
+        }
+        // Roles the policy covers must enrol before they get a session
+        if (isTwoFactorRequired(user)) {
+            return res.json({ twoFactorSetupRequired: true, challengeToken: signChallengeToken(user, 'enrol') });
+        }
 
-        res.json({
-            message: 'Login successful',
-            token,
-            user: {
-                id: user.id,
-                name: user.name,
-                email: user.email,
-                role: user.role,
-                phone: user.phone,
-                address: user.address
-            }
-        });
+        res.json(completeLogin(req, user));
     } catch (error) {
         console.error('Login error:', error);
         res.status(500).json({ error: 'Login failed' });
     }
 });
 
+// POST /api/auth/login/2fa
+// Second sign-in step: the challenge from /login plus a code from the authenticator app or a backup code
+router.post('/login/2fa', validateRequest(schemas.twoFactorLogin), (req, res) => {
+    try {
+        const user = verifyChallengeToken(req.body.challengeToken, 'verify');
+        let result;
+        try {
+            result = verifySecondFactor(user.id, req.body.code);
+        } catch (error) {
+            recordLoginAttempt(req, user.email, user.id, false);
+            throw error;
+        }
+        res.json({ ...completeLogin(req, user), backupCodesRemaining: result.backup_codes_remaining });
+    } catch (error) {
+        console.error('Two-factor login error:', error.message);
+        sendAuthError(res, error, 'Login failed');
+    }
+});
+
+// POST /api/auth/refresh
+// Exchanges a refresh token for a new access token and a new refresh token; the old refresh token stops working
+router.post('/refresh', validateRequest(schemas.refreshToken), (req, res) => {
+    try {
+        const { token, refreshToken, user } = rotateRefreshToken(req.body.refreshToken, req);
+        // Sessions from before the policy covered the user's role end, so the next sign-in enrols them
+        if (isTwoFactorRequired(user) && !getTwoFactorStatus(user.id).enabled) {
+            revokeRefreshToken(refreshToken);
+            return res.status(401).json({ error: 'Two-factor authentication is now required for your account. Please sign in again.' });
+        }
+        res.json({ token, refreshToken, user: { id: user.id, name: user.name, email: user.email, role: user.role } });
+    } catch (error) {
+        console.error('Token refresh error:', error.message);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Token refresh failed' });
+    }
+});
+
+// POST /api/auth/logout
+// Ends the session the refresh token belongs to. Works with an expired access token, so no authentication
+router.post('/logout', validateRequest(schemas.logout), (req, res) => {
+    try {
+        if (req.body.refreshToken) {
+            revokeRefreshToken(req.body.refreshToken);
+        }
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Logout failed' });
+    }
+});
+
+// POST /api/auth/forgot-password
+// Mails a reset link if the email belongs to an account. The answer is the same either way, so it cannot be
+// used to find out who has an account
+router.post('/forgot-password', validateRequest(schemas.forgotPassword), (req, res) => {
+    try {
+        const user = db.prepare('SELECT id, name, email FROM users WHERE email = ?').get(req.body.email);
+        if (user) {
+            sendInBackground(sendPasswordResetEmail(user), `password reset email to ${user.email}`);
+        }
+        res.json({ message: 'If an account exists for that email, a password reset link is on its way.' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Failed to start password reset' });
+    }
+});
+
+// POST /api/auth/reset-password
+// Sets a new password with the token from a reset link; every session of the account is signed out
+router.post('/reset-password', validateRequest(schemas.resetPassword), async (req, res) => {
+    try {
+        const hashedPassword = await bcrypt.hash(req.body.password, 10);
+        const user = resetPassword(req.body.token, hashedPassword);
+        revokeAllSessions(user.id);
+        res.json({ message: 'Your password has been reset. Please sign in with your new password.' });
+    } catch (error) {
+        console.error('Reset password error:', error.message);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Password reset failed' });
+    }
+});
+
+// POST /api/auth/verify-email
+// Marks the email verified with the token from a verification link
+router.post('/verify-email', validateRequest(schemas.verifyEmail), (req, res) => {
+    try {
+        const user = verifyEmail(req.body.token);
+        res.json({ message: `${user.email} has been verified.` });
+    } catch (error) {
+        console.error('Verify email error:', error.message);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Email verification failed' });
+    }
+});
+
+// POST /api/auth/resend-verification
+// Mails a new verification link to the signed-in user; earlier links stop working
+router.post('/resend-verification', authenticateToken, (req, res) => {
+    try {
+        const user = db.prepare('SELECT id, name, email, email_verified_at FROM users WHERE id = ?').get(req.user.id);
+        if (user.email_verified_at) {
+            return res.status(400).json({ error: 'Your email is already verified' });
+        }
+        sendInBackground(sendVerificationEmail(user), `verification email to ${user.email}`);
+        res.json({ message: `A new verification link has been sent to ${user.email}.` });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Failed to send verification email' });
+    }
+});
+
+// GET /api/auth/2fa
+router.get('/2fa', authenticateToken, (req, res) => {
+    try {
+        res.json(getTwoFactorStatus(req.user.id));
+    } catch (error) {
+        console.error('Two-factor status error:', error);
+        res.status(500).json({ error: 'Failed to fetch two-factor status' });
+    }
+});
+
+// POST /api/auth/2fa/setup
+// A new secret and its QR code for the authenticator app; nothing changes until /2fa/enable confirms a code
+router.post('/2fa/setup', validateRequest(schemas.twoFactorSetup), authenticateEnrolment, async (req, res) => {
+    try {
+        res.json(await startEnrolment(req.user));
+    } catch (error) {
+        console.error('Two-factor setup error:', error.message);
+        sendAuthError(res, error, 'Two-factor setup failed');
+    }
+});
+
+// POST /api/auth/2fa/enable
+// Confirms the app with a code and turns two-factor sign-in on. The backup codes are only shown here.
+// Other sessions are signed out; at sign-in the session starts now
+router.post('/2fa/enable', validateRequest(schemas.twoFactorCode), authenticateEnrolment, (req, res) => {
+    try {
+        let backupCodes;
+        try {
+            backupCodes = confirmEnrolment(req.user.id, req.body.code);
+        } catch (error) {
+            if (req.enrollingAtSignIn) {
+                recordLoginAttempt(req, req.user.email, req.user.id, false);
+            }
+            throw error;
+        }
+        const message = 'Two-factor authentication is enabled. Store your backup codes somewhere safe.';
+        if (req.enrollingAtSignIn) {
+            const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.user.id);
+            return res.json({ ...completeLogin(req, user), message, backupCodes });
+        }
+        const { token, refreshToken } = issueTokens(revokeAllSessions(req.user.id), req);
+        res.json({ message, backupCodes, token, refreshToken });
+    } catch (error) {
+        console.error('Two-factor enable error:', error.message);
+        sendAuthError(res, error, 'Failed to enable two-factor authentication');
+    }
+});
+
+// POST /api/auth/2fa/backup-codes
+// Replaces the backup codes; takes a current code
+router.post('/2fa/backup-codes', authenticateToken, validateRequest(schemas.twoFactorCode), (req, res) => {
+    try {
+        const backupCodes = regenerateBackupCodes(req.user.id, req.body.code);
+        res.json({ message: 'New backup codes generated. The old ones no longer work.', backupCodes });
+    } catch (error) {
+        console.error('Backup code error:', error.message);
+        sendAuthError(res, error, 'Failed to generate backup codes');
+    }
+});
+
+// POST /api/auth/2fa/disable
+// Takes a current code; refused when the policy requires two-factor sign-in for the user's role
+router.post('/2fa/disable', authenticateToken, validateRequest(schemas.twoFactorCode), (req, res) => {
+    try {
+        disableTwoFactor(req.user, req.body.code);
+        res.json({ message: 'Two-factor authentication is disabled' });
+    } catch (error) {
+        console.error('Two-factor disable error:', error.message);
+        sendAuthError(res, error, 'Failed to disable two-factor authentication');
+    }
+});
+
 // Get current user
 router.get('/me', authenticateToken, (req, res) => {
     // req.user is populated by authenticateToken middleware
+    const { email_verified_at } = db.prepare('SELECT email_verified_at FROM users WHERE id = ?').get(req.user.id);
     res.json({
         user: {
             id: req.user.id,
             name: req.user.name,
             email: req.user.email,
-            role: req.user.role // Ensure role is passed to frontend
+            role: req.user.role, // Ensure role is passed to frontend
+            email_verified: Boolean(email_verified_at)
         }
     });
 });
@@ -145,11 +403,12 @@ router.put('/profile', authenticateToken, validateRequest(schemas.updateProfile)
             SET name = COALESCE(?, name),
                 phone = COALESCE(?, phone),
                 address = COALESCE(?, address),
+                normalised_address = COALESCE(?, normalised_address),
                 updated_at = CURRENT_TIMESTAMP
             WHERE id = ?
         `);
 
-        updateUser.run(name, phone, address, req.user.id);
+        updateUser.run(name, phone, address, address != null ? normaliseAddress(address) : null, req.user.id);
 
         const updatedUser = db.prepare('SELECT id, name, email, phone, address, role FROM users WHERE id = ?').get(req.user.id);
 
@@ -189,7 +448,10 @@ router.put('/change-password', authenticateToken, validateRequest(schemas.change
 
         updatePassword.run(hashedNewPassword, req.user.id);
 
-        res.json({ message: 'Password changed successfully' });
+        // Every other session ends; this one continues with fresh tokens
+        const { token, refreshToken } = issueTokens(revokeAllSessions(req.user.id), req);
+
+        res.json({ message: 'Password changed successfully. Other sessions have been signed out.', token, refreshToken });
     } catch (error) {
         console.error('Password change error:', error);
         res.status(500).json({ error: 'Password change failed' });
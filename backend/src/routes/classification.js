@@ -0,0 +1,28 @@
+// routes/classification.js
+// ABC/XYZ product classification, mounted at /api/admin/classification
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateRequest, schemas } = require('../middleware/validation');
+const { classifyProducts, broadcastClassificationUpdate } = require('../utils/classification');
+
+const router = express.Router();
+
+// All classification routes require authentication and admin role
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+// POST /api/admin/classification
+// Reclassifies every product by revenue contribution (ABC) and demand variability (XYZ) over the last
+// period_days and stores the classes on the products
+router.post('/', validateRequest(schemas.runClassification), (req, res) => {
+    try {
+        const result = classifyProducts({ periodDays: req.body.period_days || 91 });
+        broadcastClassificationUpdate(req.io, result);
+        res.json({ message: `${result.products.length} product(s) classified`, ...result });
+    } catch (error) {
+        console.error('Product classification error:', error);
+        res.status(500).json({ error: 'Failed to classify products' });
+    }
+});
+
+module.exports = router;
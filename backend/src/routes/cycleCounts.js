@@ -0,0 +1,183 @@
+// routes/cycleCounts.js
+// Cycle counts (stock-takes) and their reconciliation, mounted at /api/admin/cycle-counts
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateRequest, schemas } = require('../middleware/validation');
+const {
+    ADJUSTMENT_REASON_CODES,
+    getCycleCount,
+    listCycleCounts,
+    createCycleCount,
+    recordCounts,
+    requestRecount,
+    submitCycleCount,
+    approveLines,
+    postCycleCount,
+    cancelCycleCount,
+    broadcastCycleCountUpdate
+} = require('../utils/cycleCounts');
+
+const router = express.Router();
+
+// All cycle count routes require authentication and admin role
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+// Sends the error's own status code when it carries one (not found, wrong status, bad line)
+const sendCycleCountError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: fallbackMessage });
+};
+
+// Quotes a CSV field when it needs it
+const csvField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// GET /api/admin/cycle-counts - Lists cycle counts, optionally filtered by ?status=
+router.get('/', (req, res) => {
+    try {
+        res.json({ cycleCounts: listCycleCounts({ status: req.query.status || null }), reasonCodes: ADJUSTMENT_REASON_CODES });
+    } catch (error) {
+        console.error('Get cycle counts error:', error);
+        res.status(500).json({ error: 'Failed to fetch cycle counts' });
+    }
+});
+
+// GET /api/admin/cycle-counts/:id - A cycle count with its lines, counters' entries and variances
+router.get('/:id', (req, res) => {
+    try {
+        const cycleCount = getCycleCount(parseInt(req.params.id));
+        if (!cycleCount) {
+            return res.status(404).json({ error: 'Cycle count not found' });
+        }
+        res.json({ cycleCount });
+    } catch (error) {
+        console.error('Get cycle count error:', error);
+        res.status(500).json({ error: 'Failed to fetch cycle count' });
+    }
+});
+
+// GET /api/admin/cycle-counts/:id/sheet
+// The printable count sheet as CSV. System quantities are left off so the count stays blind
+router.get('/:id/sheet', (req, res) => {
+    try {
+        const cycleCount = getCycleCount(parseInt(req.params.id));
+        if (!cycleCount) {
+            return res.status(404).json({ error: 'Cycle count not found' });
+        }
+        const rows = [
+            ['Line', 'SKU', 'Product', 'Category', 'Counted Quantity'],
+            ...cycleCount.lines.map(line => [line.id, line.sku, line.product_name, line.category, ''])
+        ];
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="${cycleCount.count_number}.csv"`);
+        res.send(rows.map(row => row.map(csvField).join(',')).join('\n'));
+    } catch (error) {
+        console.error('Cycle count sheet error:', error);
+        res.status(500).json({ error: 'Failed to generate count sheet' });
+    }
+});
+
+// POST /api/admin/cycle-counts
+// Generates a count sheet for a warehouse, optionally one category or a list of products
+router.post('/', validateRequest(schemas.createCycleCount), (req, res) => {
+    try {
+        const cycleCount = createCycleCount({
+            warehouseId: req.body.warehouse_id,
+            category: req.body.category || null,
+            productIds: req.body.product_ids || null,
+            approvalThreshold: req.body.approval_threshold,
+            notes: req.body.notes || null,
+            createdBy: req.user.id
+        });
+        broadcastCycleCountUpdate(req.io, cycleCount);
+        res.status(201).json({ cycleCount });
+    } catch (error) {
+        console.error('Create cycle count error:', error.message);
+        sendCycleCountError(res, error, 'Failed to create cycle count');
+    }
+});
+
+// POST /api/admin/cycle-counts/:id/counts
+// Records the signed-in counter's quantities; a line is counted once all of its counters agree
+router.post('/:id/counts', validateRequest(schemas.recordCycleCounts), (req, res) => {
+    try {
+        const cycleCount = recordCounts(parseInt(req.params.id), req.body.items, { countedBy: req.user.id });
+        broadcastCycleCountUpdate(req.io, cycleCount);
+        res.json({ cycleCount });
+    } catch (error) {
+        console.error('Record cycle counts error:', error.message);
+        sendCycleCountError(res, error, 'Failed to record counts');
+    }
+});
+
+// POST /api/admin/cycle-counts/:id/lines/:lineId/recount - Clears a line's counts so it is counted again
+router.post('/:id/lines/:lineId/recount', (req, res) => {
+    try {
+        const cycleCount = requestRecount(parseInt(req.params.id), parseInt(req.params.lineId));
+        broadcastCycleCountUpdate(req.io, cycleCount);
+        res.json({ cycleCount });
+    } catch (error) {
+        console.error('Recount error:', error.message);
+        sendCycleCountError(res, error, 'Failed to request recount');
+    }
+});
+
+// POST /api/admin/cycle-counts/:id/submit - Closes counting; variances above the threshold wait for approval
+router.post('/:id/submit', (req, res) => {
+    try {
+        const cycleCount = submitCycleCount(parseInt(req.params.id));
+        broadcastCycleCountUpdate(req.io, cycleCount);
+        res.json({ cycleCount });
+    } catch (error) {
+        console.error('Submit cycle count error:', error.message);
+        sendCycleCountError(res, error, 'Failed to submit cycle count');
+    }
+});
+
+// POST /api/admin/cycle-counts/:id/approve - Approves variances and records their reason codes
+router.post('/:id/approve', validateRequest(schemas.approveCycleCountLines), (req, res) => {
+    try {
+        const cycleCount = approveLines(parseInt(req.params.id), req.body.items, { approvedBy: req.user.id });
+        broadcastCycleCountUpdate(req.io, cycleCount);
+        res.json({ cycleCount });
+    } catch (error) {
+        console.error('Approve cycle count error:', error.message);
+        sendCycleCountError(res, error, 'Failed to approve variances');
+    }
+});
+
+// POST /api/admin/cycle-counts/:id/post
+// Posts every variance as an `adjustment` ledger row with its reason code and fills waiting backorders
+router.post('/:id/post', (req, res) => {
+    try {
+        const result = postCycleCount(parseInt(req.params.id), { postedBy: req.user.id });
+        broadcastCycleCountUpdate(req.io, result.cycleCount, result);
+        res.json({
+            message: `Cycle count ${result.cycleCount.count_number} posted: ${result.productIds.length} product(s) adjusted`,
+            cycleCount: result.cycleCount,
+            filled_backorders: result.filledBackorders.map(filled => filled.backorder)
+        });
+    } catch (error) {
+        console.error('Post cycle count error:', error.message);
+        sendCycleCountError(res, error, 'Failed to post cycle count');
+    }
+});
+
+// POST /api/admin/cycle-counts/:id/cancel - Abandons a count without adjusting anything
+router.post('/:id/cancel', (req, res) => {
+    try {
+        const cycleCount = cancelCycleCount(parseInt(req.params.id));
+        broadcastCycleCountUpdate(req.io, cycleCount);
+        res.json({ cycleCount });
+    } catch (error) {
+        console.error('Cancel cycle count error:', error.message);
+        sendCycleCountError(res, error, 'Failed to cancel cycle count');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+// routes/forecast.js
+// Per-product demand forecasts, mounted at /api/admin/forecast
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { Z_SCORES, forecastProduct } = require('../utils/forecasting');
+
+const router = express.Router();
+
+// All forecast routes require authentication and admin role
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+// GET /api/admin/forecast/:productId
+// Daily demand history and forecasts with confidence bands. ?history= days of history (28-365, default 91),
+// ?horizon= days ahead (1-90, default 28), ?confidence= 80, 90 or 95 (default 95)
+router.get('/:productId', (req, res) => {
+    try {
+        const historyDays = req.query.history ? parseInt(req.query.history) : 91;
+        const horizonDays = req.query.horizon ? parseInt(req.query.horizon) : 28;
+        const confidence = req.query.confidence ? parseInt(req.query.confidence) : 95;
+
+        if (isNaN(historyDays) || historyDays < 28 || historyDays > 365) {
+            return res.status(400).json({ error: 'history must be a whole number of days between 28 and 365.' });
+        }
+        if (isNaN(horizonDays) || horizonDays < 1 || horizonDays > 90) {
+            return res.status(400).json({ error: 'horizon must be a whole number of days between 1 and 90.' });
+        }
+        if (!Z_SCORES[confidence]) {
+            return res.status(400).json({ error: `confidence must be one of ${Object.keys(Z_SCORES).join(', ')}.` });
+        }
+
+        const forecast = forecastProduct(parseInt(req.params.productId), { historyDays, horizonDays, confidence });
+        if (!forecast) {
+            return res.status(404).json({ error: 'Product not found.' });
+        }
+        res.json(forecast);
+    } catch (error) {
+        console.error('Forecast error:', error);
+        res.status(500).json({ error: 'Failed to compute forecast' });
+    }
+});
+
+module.exports = router;
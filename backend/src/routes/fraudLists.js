@@ -0,0 +1,108 @@
+// routes/fraudLists.js
+// Blocked emails, domains, address fragments and IPs, and trusted customers, mounted at /api/admin/fraud-lists
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateRequest, schemas } = require('../middleware/validation');
+const {
+    FRAUD_LIST_TYPES,
+    listFraudListEntries,
+    addFraudListEntry,
+    deleteFraudListEntry,
+    importFraudListEntries,
+    exportFraudListEntries
+} = require('../utils/fraudLists');
+
+const router = express.Router();
+
+// All fraud list routes require authentication and admin role
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+// Sends the error's own status code when it carries one (bad value, duplicate, not found)
+const sendFraudListError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: fallbackMessage });
+};
+
+// Quotes a CSV field when it needs it
+const csvField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Only known list types filter; anything else is a 400
+const parseListType = (req, res) => {
+    const listType = req.query.list_type || null;
+    if (listType && !FRAUD_LIST_TYPES[listType]) {
+        res.status(400).json({ error: `list_type must be one of ${Object.keys(FRAUD_LIST_TYPES).join(', ')}` });
+        return undefined;
+    }
+    return listType;
+};
+
+// GET /api/admin/fraud-lists - Every entry (or one list with ?list_type=), plus the list types
+router.get('/', (req, res) => {
+    try {
+        const listType = parseListType(req, res);
+        if (listType === undefined) return;
+        const listTypes = Object.entries(FRAUD_LIST_TYPES).map(([type, list]) => ({ type, ...list }));
+        res.json({ entries: listFraudListEntries({ listType }), listTypes });
+    } catch (error) {
+        console.error('Get fraud lists error:', error);
+        res.status(500).json({ error: 'Failed to fetch fraud lists' });
+    }
+});
+
+// GET /api/admin/fraud-lists/export
+// Every entry (or one list with ?list_type=) as CSV, in the format the import takes
+router.get('/export', (req, res) => {
+    try {
+        const listType = parseListType(req, res);
+        if (listType === undefined) return;
+        const rows = exportFraudListEntries({ listType });
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="fraud-lists${listType ? `-${listType}` : ''}.csv"`);
+        res.send(rows.map(row => row.map(csvField).join(',')).join('\n'));
+    } catch (error) {
+        console.error('Export fraud lists error:', error);
+        res.status(500).json({ error: 'Failed to export fraud lists' });
+    }
+});
+
+// POST /api/admin/fraud-lists
+router.post('/', validateRequest(schemas.createFraudListEntry), (req, res) => {
+    try {
+        const entry = addFraudListEntry(req.body, req.user.id);
+        res.status(201).json({ message: `${entry.value} added to ${FRAUD_LIST_TYPES[entry.list_type].label.toLowerCase()}`, entry });
+    } catch (error) {
+        console.error('Add fraud list entry error:', error.message);
+        sendFraudListError(res, error, 'Failed to add list entry');
+    }
+});
+
+// POST /api/admin/fraud-lists/import
+// Adds the entries of an exported CSV; nothing is imported if any row is invalid
+router.post('/import', validateRequest(schemas.importFraudListEntries), (req, res) => {
+    try {
+        const result = importFraudListEntries(req.body.csv, { replace: Boolean(req.body.replace), userId: req.user.id });
+        res.json({ message: `${result.added} entr${result.added === 1 ? 'y' : 'ies'} imported, ${result.skipped} already listed`, ...result });
+    } catch (error) {
+        console.error('Import fraud lists error:', error.message);
+        sendFraudListError(res, error, 'Failed to import fraud lists');
+    }
+});
+
+// DELETE /api/admin/fraud-lists/:id
+router.delete('/:id', (req, res) => {
+    try {
+        deleteFraudListEntry(parseInt(req.params.id));
+        res.json({ message: 'List entry removed' });
+    } catch (error) {
+        console.error('Delete fraud list entry error:', error.message);
+        sendFraudListError(res, error, 'Failed to remove list entry');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+// routes/fraudReviews.js
+// Review queue of orders held for fraud, mounted at /api/admin/fraud-reviews
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateRequest, schemas } = require('../middleware/validation');
+const { broadcastOrderCancelled } = require('../utils/orders');
+const {
+    getReviewOrder,
+    getReviewQueue,
+    approveHeldOrder,
+    rejectHeldOrder,
+    requestHeldOrderInfo,
+    broadcastFraudReview
+} = require('../utils/fraudReviews');
+
+const router = express.Router();
+
+// All fraud review routes require authentication and admin role
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+// Sends the error's own status code when it carries one (not found, no longer on hold, cannot be cancelled)
+const sendFraudReviewError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: fallbackMessage });
+};
+
+// GET /api/admin/fraud-reviews
+// Every order on hold, oldest first
+router.get('/', (req, res) => {
+    try {
+        res.json({ orders: getReviewQueue() });
+    } catch (error) {
+        console.error('Get fraud review queue error:', error);
+        res.status(500).json({ error: 'Failed to fetch fraud review queue' });
+    }
+});
+
+// GET /api/admin/fraud-reviews/:orderId
+// An order's fraud assessment and review trail, held or not
+router.get('/:orderId', (req, res) => {
+    try {
+        const order = getReviewOrder(parseInt(req.params.orderId));
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        res.json({ order });
+    } catch (error) {
+        console.error('Get fraud review error:', error);
+        res.status(500).json({ error: 'Failed to fetch fraud review' });
+    }
+});
+
+// POST /api/admin/fraud-reviews/:orderId/approve
+// Releases a held order to fulfillment
+router.post('/:orderId/approve', validateRequest(schemas.fraudReviewDecision), (req, res) => {
+    try {
+        const { order } = approveHeldOrder(parseInt(req.params.orderId), { reviewedBy: req.user.id, notes: req.body.notes || null });
+        broadcastFraudReview(req.io, order, 'approve');
+        res.json({ message: `Order #${order.id} approved and released for fulfillment`, order });
+    } catch (error) {
+        console.error('Approve held order error:', error.message);
+        sendFraudReviewError(res, error, 'Failed to approve order');
+    }
+});
+
+// POST /api/admin/fraud-reviews/:orderId/reject
+// Cancels a held order; its stock is returned and a refund recorded
+router.post('/:orderId/reject', validateRequest(schemas.fraudReviewDecision), (req, res) => {
+    try {
+        const result = rejectHeldOrder(parseInt(req.params.orderId), { reviewedBy: req.user.id, notes: req.body.notes || null });
+        broadcastOrderCancelled(req.io, result);
+        broadcastFraudReview(req.io, result.order, 'reject');
+        res.json({ message: `Order #${result.order.id} rejected, cancelled and restocked`, order: result.order, refund: result.refund });
+    } catch (error) {
+        console.error('Reject held order error:', error.message);
+        sendFraudReviewError(res, error, 'Failed to reject order');
+    }
+});
+
+// POST /api/admin/fraud-reviews/:orderId/request-info
+// Notes what is needed before a decision; the order stays on hold
+router.post('/:orderId/request-info', validateRequest(schemas.requestFraudReviewInfo), (req, res) => {
+    try {
+        const { order } = requestHeldOrderInfo(parseInt(req.params.orderId), { reviewedBy: req.user.id, notes: req.body.notes });
+        broadcastFraudReview(req.io, order, 'request_info');
+        res.json({ message: `Information requested for order #${order.id}`, order });
+    } catch (error) {
+        console.error('Request held order info error:', error.message);
+        sendFraudReviewError(res, error, 'Failed to request information');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+// routes/fraudRules.js
+// Versioned fraud rule sets and dry runs, mounted at /api/admin/fraud-rules
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateRequest, schemas } = require('../middleware/validation');
+const { FRAUD_CONDITIONS, getRuleSet } = require('../utils/fraudDetection');
+const {
+    listRuleSets,
+    createDraftRuleSet,
+    updateDraftRuleSet,
+    activateRuleSet,
+    deleteDraftRuleSet,
+    dryRunRuleSet
+} = require('../utils/fraudRules');
+
+const router = express.Router();
+
+// All fraud rule routes require authentication and admin role
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+// Sends the error's own status code when it carries one (not found, not a draft, invalid rule)
+const sendFraudRuleError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: fallbackMessage });
+};
+
+// GET /api/admin/fraud-rules
+// Every rule set version, plus the conditions rules can be built from
+router.get('/', (req, res) => {
+    try {
+        const conditions = Object.entries(FRAUD_CONDITIONS).map(([type, condition]) => ({ type, description: condition.description, params: condition.params }));
+        res.json({ ruleSets: listRuleSets(), conditions });
+    } catch (error) {
+        console.error('Get fraud rule sets error:', error);
+        res.status(500).json({ error: 'Failed to fetch fraud rule sets' });
+    }
+});
+
+// POST /api/admin/fraud-rules/dry-run
+// Scores recent orders with a saved or unsaved rule set and reports which would be rated differently. Saves nothing
+router.post('/dry-run', validateRequest(schemas.dryRunFraudRules), (req, res) => {
+    try {
+        const { rule_set_id, medium_threshold, high_threshold, hold_threshold, rules, from, to, limit } = req.body;
+        const candidate = rule_set_id ? { ruleSetId: rule_set_id } : { medium_threshold, high_threshold, hold_threshold, rules };
+        res.json(dryRunRuleSet(candidate, { from: from || null, to: to || null, limit: limit || 500 }));
+    } catch (error) {
+        console.error('Fraud rule dry run error:', error.message);
+        sendFraudRuleError(res, error, 'Failed to dry-run fraud rules');
+    }
+});
+
+// GET /api/admin/fraud-rules/:id
+router.get('/:id', (req, res) => {
+    try {
+        const ruleSet = getRuleSet(parseInt(req.params.id));
+        if (!ruleSet) {
+            return res.status(404).json({ error: 'Fraud rule set not found' });
+        }
+        res.json({ ruleSet });
+    } catch (error) {
+        console.error('Get fraud rule set error:', error);
+        res.status(500).json({ error: 'Failed to fetch fraud rule set' });
+    }
+});
+
+// POST /api/admin/fraud-rules
+// Starts a new draft version as a copy of based_on_id (default: the active set)
+router.post('/', validateRequest(schemas.createFraudRuleSet), (req, res) => {
+    try {
+        const ruleSet = createDraftRuleSet({ basedOnId: req.body.based_on_id || null, notes: req.body.notes || null }, req.user.id);
+        res.status(201).json({ message: `Draft version ${ruleSet.version} created`, ruleSet });
+    } catch (error) {
+        console.error('Create fraud rule set error:', error.message);
+        sendFraudRuleError(res, error, 'Failed to create fraud rule set');
+    }
+});
+
+// PUT /api/admin/fraud-rules/:id
+// Replaces the thresholds and rules of a draft
+router.put('/:id', validateRequest(schemas.updateFraudRuleSet), (req, res) => {
+    try {
+        const ruleSet = updateDraftRuleSet(parseInt(req.params.id), req.body);
+        res.json({ message: `Draft version ${ruleSet.version} saved`, ruleSet });
+    } catch (error) {
+        console.error('Update fraud rule set error:', error.message);
+        sendFraudRuleError(res, error, 'Failed to update fraud rule set');
+    }
+});
+
+// POST /api/admin/fraud-rules/:id/activate
+// New orders are scored with this draft from now on; the previously active set is retired
+router.post('/:id/activate', (req, res) => {
+    try {
+        const ruleSet = activateRuleSet(parseInt(req.params.id), req.user.id);
+        if (req.io) {
+            req.io.emit('fraud_rules_activated', { id: ruleSet.id, version: ruleSet.version });
+        }
+        res.json({ message: `Version ${ruleSet.version} is now active`, ruleSet });
+    } catch (error) {
+        console.error('Activate fraud rule set error:', error.message);
+        sendFraudRuleError(res, error, 'Failed to activate fraud rule set');
+    }
+});
+
+// DELETE /api/admin/fraud-rules/:id
+// Discards a draft
+router.delete('/:id', (req, res) => {
+    try {
+        deleteDraftRuleSet(parseInt(req.params.id));
+        res.json({ message: 'Draft deleted' });
+    } catch (error) {
+        console.error('Delete fraud rule set error:', error.message);
+        sendFraudRuleError(res, error, 'Failed to delete fraud rule set');
+    }
+});
+
+module.exports = router;
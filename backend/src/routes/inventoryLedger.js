@@ -0,0 +1,48 @@
+// routes/inventoryLedger.js
+// Inventory ledger integrity check and rebuild, mounted at /api/admin/inventory-ledger
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateRequest, schemas } = require('../middleware/validation');
+const { checkLedgerIntegrity, rebuildFromLedger, broadcastLedgerRebuild } = require('../utils/inventoryLedger');
+
+const router = express.Router();
+
+// All inventory ledger routes require authentication and admin role
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+// GET /api/admin/inventory-ledger/integrity
+// Replays inventory_transactions per product and reports where they disagree with stock.
+// ?product_id= checks one product; ?mismatched_only=true leaves out products that reconcile
+router.get('/integrity', (req, res) => {
+    try {
+        const productId = req.query.product_id ? parseInt(req.query.product_id) : null;
+        res.json(checkLedgerIntegrity({
+            productIds: productId ? [productId] : null,
+            mismatchedOnly: req.query.mismatched_only === 'true'
+        }));
+    } catch (error) {
+        console.error('Inventory ledger check error:', error);
+        res.status(500).json({ error: 'Failed to check the inventory ledger' });
+    }
+});
+
+// POST /api/admin/inventory-ledger/rebuild
+// Resets stock balances to the ledger for the given products, or every mismatched product
+router.post('/rebuild', validateRequest(schemas.rebuildInventoryLedger), (req, res) => {
+    try {
+        const { rebuilt, skipped } = rebuildFromLedger({ productIds: req.body.product_ids || null });
+        broadcastLedgerRebuild(req.io, rebuilt);
+        res.json({
+            message: `${rebuilt.length} product(s) rebuilt from the ledger${skipped.length > 0 ? `, ${skipped.length} skipped` : ''}`,
+            rebuilt,
+            skipped,
+            integrity: checkLedgerIntegrity({ mismatchedOnly: true })
+        });
+    } catch (error) {
+        console.error('Inventory ledger rebuild error:', error);
+        res.status(500).json({ error: 'Failed to rebuild stock from the ledger' });
+    }
+});
+
+module.exports = router;
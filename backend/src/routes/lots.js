@@ -0,0 +1,71 @@
+// routes/lots.js
+// Lot / batch traceability, mounted at /api/admin/lots
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { listLots, getExpiringLots, getLotRecall } = require('../utils/lots');
+
+const router = express.Router();
+
+// All lot routes require authentication and admin role
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+// GET /api/admin/lots
+// Lists lots with their stock per warehouse, shortest expiry first.
+// ?product_id= narrows to one product, ?status=in_stock hides lots with nothing left
+router.get('/', (req, res) => {
+    try {
+        const productId = req.query.product_id ? parseInt(req.query.product_id) : null;
+        const lots = listLots({ productId, inStockOnly: req.query.status === 'in_stock' });
+        res.json({ lots });
+    } catch (error) {
+        console.error('List lots error:', error);
+        res.status(500).json({ error: 'Failed to fetch lots' });
+    }
+});
+
+// GET /api/admin/lots/expiring
+// Expiring-soon report: lots in stock that expire within ?days= days (1-365, default 30), expired ones included
+router.get('/expiring', (req, res) => {
+    try {
+        const days = req.query.days ? parseInt(req.query.days) : 30;
+        if (isNaN(days) || days < 1 || days > 365) {
+            return res.status(400).json({ error: 'days must be a whole number between 1 and 365.' });
+        }
+        const lots = getExpiringLots(days);
+        res.json({
+            days,
+            lots,
+            expired_units: lots.filter(lot => lot.days_until_expiry < 0).reduce((sum, lot) => sum + lot.on_hand, 0),
+            expiring_units: lots.filter(lot => lot.days_until_expiry >= 0).reduce((sum, lot) => sum + lot.on_hand, 0)
+        });
+    } catch (error) {
+        console.error('Expiring lots error:', error);
+        res.status(500).json({ error: 'Failed to fetch expiring lots' });
+    }
+});
+
+// GET /api/admin/lots/recall/:lotNumber
+// Recall lookup: every order that received the lot and the units of it still in stock. ?product_id= narrows
+// the lookup when several products use the same lot number
+router.get('/recall/:lotNumber', (req, res) => {
+    try {
+        const productId = req.query.product_id ? parseInt(req.query.product_id) : null;
+        const lots = getLotRecall(req.params.lotNumber, { productId });
+        if (lots.length === 0) {
+            return res.status(404).json({ error: `Lot ${req.params.lotNumber} not found.` });
+        }
+        res.json({
+            lot_number: req.params.lotNumber,
+            lots,
+            order_count: lots.reduce((sum, lot) => sum + lot.orders.length, 0),
+            units_shipped: lots.reduce((sum, lot) => sum + lot.orders.reduce((units, order) => units + order.quantity, 0), 0),
+            units_in_stock: lots.reduce((sum, lot) => sum + lot.on_hand, 0)
+        });
+    } catch (error) {
+        console.error('Lot recall error:', error);
+        res.status(500).json({ error: 'Failed to look up lot' });
+    }
+});
+
+module.exports = router;
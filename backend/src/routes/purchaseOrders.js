@@ -0,0 +1,153 @@
+// routes/purchaseOrders.js
+// Purchase orders and goods receipts, mounted at /api/admin/purchase-orders
+const express = require('express');
+const { db } = require('../config/database');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateRequest, schemas } = require('../middleware/validation');
+const {
+    getPurchaseOrder,
+    createPurchaseOrder,
+    updatePurchaseOrder,
+    sendPurchaseOrder,
+    cancelPurchaseOrder,
+    receivePurchaseOrder,
+    broadcastPurchaseOrderUpdate
+} = require('../utils/purchaseOrders');
+
+const router = express.Router();
+
+// All purchase order routes require authentication and admin role
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+// Sends the error's own status code when it carries one (not found, illegal transition, bad line)
+const sendPurchaseOrderError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: fallbackMessage });
+};
+
+// GET /api/admin/purchase-orders - Lists purchase orders, optionally filtered by ?status= and ?supplier_id=
+router.get('/', (req, res) => {
+    try {
+        const { status, supplier_id } = req.query;
+        let query = `
+            SELECT po.*, s.name as supplier_name, w.name as warehouse_name,
+                   COUNT(poi.id) as line_count,
+                   COALESCE(SUM(poi.quantity_ordered), 0) as units_ordered,
+                   COALESCE(SUM(poi.quantity_received), 0) as units_received,
+                   ROUND(COALESCE(SUM(poi.quantity_ordered * poi.unit_cost), 0), 2) as total_cost
+            FROM purchase_orders po
+            JOIN suppliers s ON po.supplier_id = s.id
+            JOIN warehouses w ON po.warehouse_id = w.id
+            LEFT JOIN purchase_order_items poi ON poi.purchase_order_id = po.id
+        `;
+        const conditions = [];
+        const params = [];
+        if (status) {
+            conditions.push('po.status = ?');
+            params.push(status);
+        }
+        if (supplier_id) {
+            conditions.push('po.supplier_id = ?');
+            params.push(parseInt(supplier_id));
+        }
+        if (conditions.length > 0) {
+            query += ` WHERE ${conditions.join(' AND ')}`;
+        }
+        query += ' GROUP BY po.id ORDER BY po.created_at DESC, po.id DESC';
+
+        const purchaseOrders = db.prepare(query).all(...params);
+        res.json({ purchaseOrders });
+    } catch (error) {
+        console.error('Get purchase orders error:', error);
+        res.status(500).json({ error: 'Failed to fetch purchase orders' });
+    }
+});
+
+// GET /api/admin/purchase-orders/:id - A single purchase order with its lines and goods receipts
+router.get('/:id', (req, res) => {
+    try {
+        const purchaseOrder = getPurchaseOrder(parseInt(req.params.id));
+        if (!purchaseOrder) {
+            return res.status(404).json({ error: 'Purchase order not found' });
+        }
+        res.json({ purchaseOrder });
+    } catch (error) {
+        console.error('Get purchase order error:', error);
+        res.status(500).json({ error: 'Failed to fetch purchase order' });
+    }
+});
+
+// POST /api/admin/purchase-orders - Creates a draft purchase order; unit costs default to the supplier's price list
+router.post('/', validateRequest(schemas.createPurchaseOrder), (req, res) => {
+    try {
+        const purchaseOrder = createPurchaseOrder(req.body, { createdBy: req.user.id });
+        broadcastPurchaseOrderUpdate(req.io, purchaseOrder);
+        res.status(201).json({ purchaseOrder });
+    } catch (error) {
+        console.error('Create purchase order error:', error.message);
+        sendPurchaseOrderError(res, error, 'Failed to create purchase order');
+    }
+});
+
+// PUT /api/admin/purchase-orders/:id - Edits a draft purchase order (its lines are replaced when items is given)
+router.put('/:id', validateRequest(schemas.updatePurchaseOrder), (req, res) => {
+    try {
+        const purchaseOrder = updatePurchaseOrder(parseInt(req.params.id), req.body);
+        broadcastPurchaseOrderUpdate(req.io, purchaseOrder);
+        res.json({ purchaseOrder });
+    } catch (error) {
+        console.error('Update purchase order error:', error.message);
+        sendPurchaseOrderError(res, error, 'Failed to update purchase order');
+    }
+});
+
+// POST /api/admin/purchase-orders/:id/send - Marks a draft as sent to the supplier
+router.post('/:id/send', (req, res) => {
+    try {
+        const purchaseOrder = sendPurchaseOrder(parseInt(req.params.id));
+        broadcastPurchaseOrderUpdate(req.io, purchaseOrder);
+        res.json({ message: `Purchase order ${purchaseOrder.po_number} sent to ${purchaseOrder.supplier_name}`, purchaseOrder });
+    } catch (error) {
+        console.error('Send purchase order error:', error.message);
+        sendPurchaseOrderError(res, error, 'Failed to send purchase order');
+    }
+});
+
+// POST /api/admin/purchase-orders/:id/receive
+// Books a delivery in: adds the received quantities to stock (`purchase` ledger rows) and fills waiting backorders
+router.post('/:id/receive', validateRequest(schemas.receivePurchaseOrder), (req, res) => {
+    try {
+        const result = receivePurchaseOrder(parseInt(req.params.id), req.body.items, {
+            receivedBy: req.user.id,
+            warehouseId: req.body.warehouse_id || null,
+            notes: req.body.notes || null
+        });
+        broadcastPurchaseOrderUpdate(req.io, result.purchaseOrder, result);
+        res.json({
+            message: `Goods receipt ${result.receipt.receipt_number} posted`,
+            purchaseOrder: result.purchaseOrder,
+            receipt: result.receipt,
+            filled_backorders: result.filledBackorders.map(filled => filled.backorder)
+        });
+    } catch (error) {
+        console.error('Receive purchase order error:', error.message);
+        sendPurchaseOrderError(res, error, 'Failed to receive purchase order');
+    }
+});
+
+// POST /api/admin/purchase-orders/:id/cancel - Cancels a purchase order nothing has been received against
+router.post('/:id/cancel', (req, res) => {
+    try {
+        const purchaseOrder = cancelPurchaseOrder(parseInt(req.params.id));
+        broadcastPurchaseOrderUpdate(req.io, purchaseOrder);
+        res.json({ message: 'Purchase order cancelled', purchaseOrder });
+    } catch (error) {
+        console.error('Cancel purchase order error:', error.message);
+        sendPurchaseOrderError(res, error, 'Failed to cancel purchase order');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+// routes/replenishment.js
+// Reorder suggestions from sales velocity, mounted at /api/admin/replenishment
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateRequest, schemas } = require('../middleware/validation');
+const { DEFAULT_WINDOW_DAYS, getReplenishmentReport, createReplenishmentOrders } = require('../utils/replenishment');
+const { broadcastPurchaseOrderUpdate } = require('../utils/purchaseOrders');
+
+const router = express.Router();
+
+// All replenishment routes require authentication and admin role
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+// GET /api/admin/replenishment
+// Reorder point and suggested quantity per SKU. ?days= sets the sales window (7-365, default 28);
+// ?status=reorder lists only the SKUs at or below their reorder point
+router.get('/', (req, res) => {
+    try {
+        const windowDays = req.query.days ? parseInt(req.query.days) : DEFAULT_WINDOW_DAYS;
+        if (isNaN(windowDays) || windowDays < 7 || windowDays > 365) {
+            return res.status(400).json({ error: 'days must be a whole number between 7 and 365.' });
+        }
+
+        const report = getReplenishmentReport({ windowDays, onlyReorder: req.query.status === 'reorder' });
+        res.json(report);
+    } catch (error) {
+        console.error('Get replenishment error:', error);
+        res.status(500).json({ error: 'Failed to compute reorder suggestions' });
+    }
+});
+
+// POST /api/admin/replenishment/purchase-orders
+// Turns the current suggestions (all of them, or just product_ids) into draft purchase orders, one per supplier and warehouse
+router.post('/purchase-orders', validateRequest(schemas.createReplenishmentOrders), (req, res) => {
+    try {
+        const { purchaseOrders, skipped } = createReplenishmentOrders({
+            productIds: req.body.product_ids || null,
+            windowDays: req.body.window_days || DEFAULT_WINDOW_DAYS,
+            createdBy: req.user.id
+        });
+        purchaseOrders.forEach(purchaseOrder => broadcastPurchaseOrderUpdate(req.io, purchaseOrder));
+
+        res.status(purchaseOrders.length > 0 ? 201 : 200).json({
+            message: purchaseOrders.length > 0
+                ? `${purchaseOrders.length} draft purchase order(s) created`
+                : 'Nothing to order',
+            purchaseOrders,
+            skipped
+        });
+    } catch (error) {
+        console.error('Create replenishment orders error:', error.message);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to create draft purchase orders' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+// routes/returns.js
+// Return (RMA) handling for admins, mounted at /api/admin/returns
+const express = require('express');
+const { db } = require('../config/database');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateRequest, schemas } = require('../middleware/validation');
+const {
+    getReturnRequest,
+    decideReturnRequest,
+    receiveReturn,
+    inspectReturn,
+    broadcastReturnUpdate
+} = require('../utils/returns');
+
+const router = express.Router();
+
+// All return routes require authentication and admin role
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+// Sends the error's own status code when it carries one (not found, illegal transition, bad line)
+const sendReturnError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: fallbackMessage });
+};
+
+// GET /api/admin/returns - Lists returns, optionally filtered by ?status=
+router.get('/', (req, res) => {
+    try {
+        const { status } = req.query;
+        let query = `
+            SELECT r.*, u.name as user_name, u.email as user_email,
+                   COUNT(ri.id) as line_count, COALESCE(SUM(ri.quantity), 0) as total_units,
+                   rs.tracking_number as return_tracking_number, cn.amount as credit_amount
+            FROM return_requests r
+            JOIN users u ON r.user_id = u.id
+            LEFT JOIN return_items ri ON ri.return_id = r.id
+            LEFT JOIN return_shipments rs ON rs.return_id = r.id
+            LEFT JOIN credit_notes cn ON cn.return_id = r.id
+        `;
+        const params = [];
+        if (status) {
+            query += ' WHERE r.status = ?';
+            params.push(status);
+        }
+        query += ' GROUP BY r.id ORDER BY r.created_at DESC, r.id DESC';
+
+        const returns = db.prepare(query).all(...params);
+        res.json({ returns });
+    } catch (error) {
+        console.error('Get returns error:', error);
+        res.status(500).json({ error: 'Failed to fetch returns' });
+    }
+});
+
+// GET /api/admin/returns/:id - A single return with its lines, shipment and credit note
+router.get('/:id', (req, res) => {
+    try {
+        const returnRequest = getReturnRequest(parseInt(req.params.id));
+        if (!returnRequest) {
+            return res.status(404).json({ error: 'Return not found' });
+        }
+        res.json({ return: returnRequest });
+    } catch (error) {
+        console.error('Get return error:', error);
+        res.status(500).json({ error: 'Failed to fetch return' });
+    }
+});
+
+// POST /api/admin/returns/:id/approve - Approves a return and issues its return tracking number
+router.post('/:id/approve', validateRequest(schemas.decideReturn), (req, res) => {
+    try {
+        const returnRequest = decideReturnRequest(parseInt(req.params.id), true, { decidedBy: req.user.id, notes: req.body.notes || null });
+        broadcastReturnUpdate(req.io, returnRequest);
+        res.json({ message: 'Return approved', return: returnRequest });
+    } catch (error) {
+        console.error('Approve return error:', error.message);
+        sendReturnError(res, error, 'Failed to approve return');
+    }
+});
+
+// POST /api/admin/returns/:id/reject - Rejects a return; its lines become returnable again
+router.post('/:id/reject', validateRequest(schemas.decideReturn), (req, res) => {
+    try {
+        const returnRequest = decideReturnRequest(parseInt(req.params.id), false, { decidedBy: req.user.id, notes: req.body.notes || null });
+        broadcastReturnUpdate(req.io, returnRequest);
+        res.json({ message: 'Return rejected', return: returnRequest });
+    } catch (error) {
+        console.error('Reject return error:', error.message);
+        sendReturnError(res, error, 'Failed to reject return');
+    }
+});
+
+// POST /api/admin/returns/:id/receive - Books the returned parcel in at the warehouse
+router.post('/:id/receive', (req, res) => {
+    try {
+        const returnRequest = receiveReturn(parseInt(req.params.id));
+        broadcastReturnUpdate(req.io, returnRequest);
+        res.json({ message: 'Return received', return: returnRequest });
+    } catch (error) {
+        console.error('Receive return error:', error.message);
+        sendReturnError(res, error, 'Failed to receive return');
+    }
+});
+
+// POST /api/admin/returns/:id/inspect
+// Restocks or writes off received lines; the credit note is issued once every line is inspected
+router.post('/:id/inspect', validateRequest(schemas.inspectReturn), (req, res) => {
+    try {
+        const result = inspectReturn(parseInt(req.params.id), req.body.items, { inspectedBy: req.user.id });
+        broadcastReturnUpdate(req.io, result.returnRequest, result);
+        res.json({
+            message: result.creditNote ? `Return completed. Credit note ${result.creditNote.credit_note_number} issued.` : 'Inspection recorded',
+            return: result.returnRequest,
+            creditNote: result.creditNote
+        });
+    } catch (error) {
+        console.error('Inspect return error:', error.message);
+        sendReturnError(res, error, 'Failed to inspect return');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+// routes/serials.js
+// Unit-level serial number tracking, mounted at /api/admin/serials
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateRequest, schemas } = require('../middleware/validation');
+const { listSerials, registerSerials, lookupSerial } = require('../utils/serials');
+
+const router = express.Router();
+
+// All serial routes require authentication and admin role
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+const SERIAL_STATUSES = ['in_stock', 'allocated', 'shipped', 'written_off'];
+
+// GET /api/admin/serials
+// Lists serial numbers, newest first. ?product_id= and ?status= narrow the list
+router.get('/', (req, res) => {
+    try {
+        const productId = req.query.product_id ? parseInt(req.query.product_id) : null;
+        const status = req.query.status || null;
+        if (status && !SERIAL_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of ${SERIAL_STATUSES.join(', ')}.` });
+        }
+        res.json({ serials: listSerials({ productId, status }) });
+    } catch (error) {
+        console.error('List serials error:', error);
+        res.status(500).json({ error: 'Failed to fetch serial numbers' });
+    }
+});
+
+// POST /api/admin/serials
+// Registers serial numbers for units already on the shelf (stock received before the product was serial-tracked)
+router.post('/', validateRequest(schemas.registerSerials), (req, res) => {
+    try {
+        const { product_id, warehouse_id, serial_numbers } = req.body;
+        const serials = registerSerials(product_id, warehouse_id, serial_numbers, { createdBy: req.user.id });
+        res.status(201).json({ message: `${serials.length} serial number(s) registered`, serials });
+    } catch (error) {
+        console.error('Register serials error:', error.message);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to register serial numbers' });
+    }
+});
+
+// GET /api/admin/serials/:serialNumber
+// Serial lookup: the unit's receipt, where it is now, the order it shipped on and its full history including returns
+router.get('/:serialNumber', (req, res) => {
+    try {
+        const units = lookupSerial(req.params.serialNumber.trim());
+        if (units.length === 0) {
+            return res.status(404).json({ error: `Serial number ${req.params.serialNumber} not found.` });
+        }
+        res.json({ serial_number: req.params.serialNumber.trim(), units });
+    } catch (error) {
+        console.error('Serial lookup error:', error);
+        res.status(500).json({ error: 'Failed to look up serial number' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,153 @@
+// routes/suppliers.js
+// Supplier management, mounted at /api/admin/suppliers
+const express = require('express');
+const { db } = require('../config/database');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateRequest, schemas } = require('../middleware/validation');
+const { getSupplier } = require('../utils/purchaseOrders');
+
+const router = express.Router();
+
+// All supplier routes require authentication and admin role
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+// GET /api/admin/suppliers - Lists suppliers with how many SKUs they supply and their open purchase orders
+// Optional ?status=active|inactive narrows the list
+router.get('/', (req, res) => {
+    try {
+        const { status } = req.query;
+        let query = `
+            SELECT s.*,
+                   (SELECT COUNT(*) FROM supplier_products sp WHERE sp.supplier_id = s.id) as product_count,
+                   (SELECT COUNT(*) FROM purchase_orders po WHERE po.supplier_id = s.id AND po.status IN ('sent', 'partially_received')) as open_po_count
+            FROM suppliers s
+        `;
+        if (status === 'active') {
+            query += ' WHERE s.is_active = 1';
+        } else if (status === 'inactive') {
+            query += ' WHERE s.is_active = 0';
+        }
+        query += ' ORDER BY s.name';
+
+        const suppliers = db.prepare(query).all();
+        res.json({ suppliers });
+    } catch (error) {
+        console.error('Get suppliers error:', error);
+        res.status(500).json({ error: 'Failed to fetch suppliers' });
+    }
+});
+
+// GET /api/admin/suppliers/:id - A single supplier with the products it supplies
+router.get('/:id', (req, res) => {
+    try {
+        const supplier = getSupplier(parseInt(req.params.id));
+        if (!supplier) {
+            return res.status(404).json({ error: 'Supplier not found' });
+        }
+        res.json({ supplier });
+    } catch (error) {
+        console.error('Get supplier error:', error);
+        res.status(500).json({ error: 'Failed to fetch supplier' });
+    }
+});
+
+// POST /api/admin/suppliers - Creates a supplier
+router.post('/', validateRequest(schemas.createSupplier), (req, res) => {
+    const { name, contact_name, email, phone, address, lead_time_days, notes } = req.body;
+
+    try {
+        if (db.prepare('SELECT id FROM suppliers WHERE name = ?').get(name)) {
+            return res.status(400).json({ error: 'A supplier with this name already exists.' });
+        }
+
+        const info = db.prepare(`
+            INSERT INTO suppliers (name, contact_name, email, phone, address, lead_time_days, notes)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(name, contact_name || null, email || null, phone || null, address || null, lead_time_days === undefined ? 7 : lead_time_days, notes || null);
+
+        res.status(201).json({ supplier: getSupplier(info.lastInsertRowid) });
+    } catch (error) {
+        console.error('Create supplier error:', error);
+        res.status(500).json({ error: 'Failed to create supplier' });
+    }
+});
+
+// PUT /api/admin/suppliers/:id - Updates contact details, the default lead time or (de)activates a supplier
+// Inactive suppliers keep their purchase orders but no new ones can be raised against them.
+router.put('/:id', validateRequest(schemas.updateSupplier), (req, res) => {
+    const supplierId = parseInt(req.params.id);
+    const { name, contact_name, email, phone, address, lead_time_days, notes, is_active } = req.body;
+
+    try {
+        if (!db.prepare('SELECT id FROM suppliers WHERE id = ?').get(supplierId)) {
+            return res.status(404).json({ error: 'Supplier not found' });
+        }
+        if (name && db.prepare('SELECT id FROM suppliers WHERE name = ? AND id != ?').get(name, supplierId)) {
+            return res.status(400).json({ error: 'A supplier with this name already exists.' });
+        }
+
+        db.prepare(`
+            UPDATE suppliers
+            SET name = COALESCE(?, name), contact_name = COALESCE(?, contact_name), email = COALESCE(?, email),
+                phone = COALESCE(?, phone), address = COALESCE(?, address), lead_time_days = COALESCE(?, lead_time_days),
+                notes = COALESCE(?, notes), is_active = COALESCE(?, is_active)
+            WHERE id = ?
+        `).run(name, contact_name, email, phone, address, lead_time_days, notes, is_active === undefined ? null : (is_active ? 1 : 0), supplierId);
+
+        res.json({ supplier: getSupplier(supplierId) });
+    } catch (error) {
+        console.error('Update supplier error:', error);
+        res.status(500).json({ error: 'Failed to update supplier' });
+    }
+});
+
+// PUT /api/admin/suppliers/:id/products/:productId - Adds a product to the supplier's price list or updates its cost and terms
+router.put('/:id/products/:productId', validateRequest(schemas.upsertSupplierProduct), (req, res) => {
+    const supplierId = parseInt(req.params.id);
+    const productId = parseInt(req.params.productId);
+    const { supplier_sku, unit_cost, lead_time_days, min_order_quantity } = req.body;
+
+    try {
+        if (!db.prepare('SELECT id FROM suppliers WHERE id = ?').get(supplierId)) {
+            return res.status(404).json({ error: 'Supplier not found' });
+        }
+        if (!db.prepare('SELECT id FROM products WHERE id = ?').get(productId)) {
+            return res.status(404).json({ error: 'Product not found.' });
+        }
+
+        db.prepare(`
+            INSERT INTO supplier_products (supplier_id, product_id, supplier_sku, unit_cost, lead_time_days, min_order_quantity)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(supplier_id, product_id) DO UPDATE SET
+                supplier_sku = excluded.supplier_sku,
+                unit_cost = excluded.unit_cost,
+                lead_time_days = excluded.lead_time_days,
+                min_order_quantity = excluded.min_order_quantity
+        `).run(supplierId, productId, supplier_sku || null, unit_cost, lead_time_days === undefined ? null : lead_time_days, min_order_quantity || 1);
+
+        res.json({ supplier: getSupplier(supplierId) });
+    } catch (error) {
+        console.error('Save supplier product error:', error);
+        res.status(500).json({ error: 'Failed to save supplier product' });
+    }
+});
+
+// DELETE /api/admin/suppliers/:id/products/:productId - Removes a product from the supplier's price list
+// Purchase orders already raised keep the cost they were raised at.
+router.delete('/:id/products/:productId', (req, res) => {
+    const supplierId = parseInt(req.params.id);
+
+    try {
+        const info = db.prepare('DELETE FROM supplier_products WHERE supplier_id = ? AND product_id = ?').run(supplierId, parseInt(req.params.productId));
+        if (info.changes === 0) {
+            return res.status(404).json({ error: 'This supplier does not supply that product.' });
+        }
+        res.json({ supplier: getSupplier(supplierId) });
+    } catch (error) {
+        console.error('Remove supplier product error:', error);
+        res.status(500).json({ error: 'Failed to remove supplier product' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,277 @@
+// routes/transfers.js
+// Inter-warehouse stock transfers, mounted at /api/admin/transfers
+const express = require('express');
+const { db } = require('../config/database');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateRequest, schemas } = require('../middleware/validation');
+const { changeStock, adjustInTransitQuantity, getInventorySnapshot } = require('../utils/inventory');
+const { addLotStock, takeLots } = require('../utils/lots');
+const { shipTransferSerials, receiveTransferSerials } = require('../utils/serials');
+
+const router = express.Router();
+
+// All transfer routes require authentication and admin role
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+// Fetches a transfer with warehouse names and its lines
+const getTransfer = (transferId) => {
+    const transfer = db.prepare(`
+        SELECT t.*, src.name as source_warehouse_name, dst.name as destination_warehouse_name, u.name as created_by_name
+        FROM stock_transfers t
+        JOIN warehouses src ON t.source_warehouse_id = src.id
+        JOIN warehouses dst ON t.destination_warehouse_id = dst.id
+        LEFT JOIN users u ON t.created_by = u.id
+        WHERE t.id = ?
+    `).get(transferId);
+
+    if (transfer) {
+        transfer.items = db.prepare(`
+            SELECT ti.id, ti.product_id, ti.quantity, ti.unit_cost, p.name as product_name, p.sku, p.track_serials,
+                   (SELECT GROUP_CONCAT(sn.serial_number, ', ')
+                    FROM stock_transfer_item_serials tis JOIN serial_numbers sn ON tis.serial_id = sn.id
+                    WHERE tis.transfer_item_id = ti.id) as serial_numbers
+            FROM stock_transfer_items ti
+            JOIN products p ON ti.product_id = p.id
+            WHERE ti.transfer_id = ?
+            ORDER BY p.name
+        `).all(transferId);
+        // Lots are known once the transfer has shipped
+        const lotsStmt = db.prepare(`
+            SELECT til.lot_id, l.lot_number, l.expiry_date, til.quantity
+            FROM stock_transfer_item_lots til
+            JOIN lots l ON til.lot_id = l.id
+            WHERE til.transfer_item_id = ?
+        `);
+        transfer.items.forEach(item => { item.lots = lotsStmt.all(item.id); });
+    }
+    return transfer;
+};
+
+// Broadcasts the transfer and the stock of every product it touched
+const broadcastTransfer = (io, transfer) => {
+    if (!io) {
+        console.warn('Socket.io instance not found in req.io. Transfer updates will not be broadcast in real-time.');
+        return;
+    }
+    io.emit('transfer_updated', transfer);
+    transfer.items.forEach(item => io.emit('inventory_changed', getInventorySnapshot(item.product_id)));
+};
+
+// GET /api/admin/transfers - Lists transfers, optionally filtered by ?status=
+router.get('/', (req, res) => {
+    try {
+        const { status } = req.query;
+        let query = `
+            SELECT t.*, src.name as source_warehouse_name, dst.name as destination_warehouse_name,
+                   COUNT(ti.id) as line_count, COALESCE(SUM(ti.quantity), 0) as total_units
+            FROM stock_transfers t
+            JOIN warehouses src ON t.source_warehouse_id = src.id
+            JOIN warehouses dst ON t.destination_warehouse_id = dst.id
+            LEFT JOIN stock_transfer_items ti ON ti.transfer_id = t.id
+        `;
+        const params = [];
+        if (status) {
+            query += ' WHERE t.status = ?';
+            params.push(status);
+        }
+        query += ' GROUP BY t.id ORDER BY t.created_at DESC, t.id DESC';
+
+        const transfers = db.prepare(query).all(...params);
+        res.json({ transfers });
+    } catch (error) {
+        console.error('Get transfers error:', error);
+        res.status(500).json({ error: 'Failed to fetch transfers' });
+    }
+});
+
+// GET /api/admin/transfers/:id - A single transfer with its lines
+router.get('/:id', (req, res) => {
+    try {
+        const transfer = getTransfer(parseInt(req.params.id));
+        if (!transfer) {
+            return res.status(404).json({ error: 'Transfer not found' });
+        }
+        res.json({ transfer });
+    } catch (error) {
+        console.error('Get transfer error:', error);
+        res.status(500).json({ error: 'Failed to fetch transfer' });
+    }
+});
+
+// POST /api/admin/transfers - Creates a draft transfer; no stock moves until it is shipped
+router.post('/', validateRequest(schemas.createTransfer), (req, res) => {
+    const { source_warehouse_id, destination_warehouse_id, items, notes } = req.body;
+
+    try {
+        const warehouseStmt = db.prepare('SELECT id, is_active FROM warehouses WHERE id = ?');
+        const source = warehouseStmt.get(source_warehouse_id);
+        const destination = warehouseStmt.get(destination_warehouse_id);
+        if (!source || !destination) {
+            return res.status(404).json({ error: 'Source or destination warehouse not found.' });
+        }
+        if (!destination.is_active) {
+            return res.status(400).json({ error: 'Cannot transfer stock into an inactive warehouse.' });
+        }
+
+        for (const item of items) {
+            const product = db.prepare('SELECT id FROM products WHERE id = ?').get(item.productId);
+            if (!product) {
+                return res.status(404).json({ error: `Product with ID ${item.productId} not found.` });
+            }
+        }
+
+        const transferId = db.transaction(() => {
+            const info = db.prepare(`
+                INSERT INTO stock_transfers (source_warehouse_id, destination_warehouse_id, notes, created_by)
+                VALUES (?, ?, ?, ?)
+            `).run(source_warehouse_id, destination_warehouse_id, notes || null, req.user.id);
+
+            const insertItem = db.prepare('INSERT INTO stock_transfer_items (transfer_id, product_id, quantity) VALUES (?, ?, ?)');
+            items.forEach(item => insertItem.run(info.lastInsertRowid, item.productId, item.quantity));
+            return info.lastInsertRowid;
+        })();
+
+        const transfer = getTransfer(transferId);
+        if (req.io) {
+            req.io.emit('transfer_updated', transfer);
+        }
+        res.status(201).json({ transfer });
+    } catch (error) {
+        console.error('Create transfer error:', error);
+        res.status(500).json({ error: 'Failed to create transfer' });
+    }
+});
+
+// POST /api/admin/transfers/:id/ship
+// Takes the stock out of the source warehouse (transfer_out) and books it as in transit at the destination.
+// Lot-tracked stock leaves first-expiry-first-out and the lots taken are kept with the line.
+// Serial-tracked lines need a scanned serial per unit ({ items: [{ transfer_item_id, serial_numbers }] })
+router.post('/:id/ship', validateRequest(schemas.shipTransfer), (req, res) => {
+    const transferId = parseInt(req.params.id);
+
+    try {
+        const transfer = getTransfer(transferId);
+        if (!transfer) {
+            return res.status(404).json({ error: 'Transfer not found' });
+        }
+        if (transfer.status !== 'draft') {
+            return res.status(400).json({ error: `Only draft transfers can be shipped (current status: ${transfer.status}).` });
+        }
+        const destination = db.prepare('SELECT is_active FROM warehouses WHERE id = ?').get(transfer.destination_warehouse_id);
+        if (!destination.is_active) {
+            return res.status(400).json({ error: `Cannot ship stock to ${transfer.destination_warehouse_name}: the warehouse is inactive.` });
+        }
+
+        const insertItemLot = db.prepare('INSERT INTO stock_transfer_item_lots (transfer_item_id, lot_id, quantity) VALUES (?, ?, ?)');
+
+        db.transaction(() => {
+            shipTransferSerials(transfer, req.body.items);
+            for (const item of transfer.items) {
+                const available = db.prepare('SELECT quantity FROM stock_locations WHERE product_id = ? AND warehouse_id = ?').get(item.product_id, transfer.source_warehouse_id);
+                if (!available || available.quantity < item.quantity) {
+                    throw new Error(`Insufficient stock for '${item.product_name}' in ${transfer.source_warehouse_name}. Available: ${available ? available.quantity : 0}, Requested: ${item.quantity}.`);
+                }
+
+                // Expired lots move with the stock they are part of
+                takeLots(item.product_id, transfer.source_warehouse_id, item.quantity, { includeExpired: true })
+                    .filter(portion => portion.lotId)
+                    .forEach(portion => insertItemLot.run(item.id, portion.lotId, portion.quantity));
+                const shipped = changeStock(item.product_id, transfer.source_warehouse_id, -item.quantity, {
+                    type: 'transfer_out',
+                    reason: `Transfer #${transferId} to ${transfer.destination_warehouse_name}`,
+                    createdBy: req.user.id
+                });
+                // The destination books the units in at what they cost the source
+                db.prepare('UPDATE stock_transfer_items SET unit_cost = ? WHERE id = ?').run(shipped.unitCost, item.id);
+                adjustInTransitQuantity(item.product_id, transfer.destination_warehouse_id, item.quantity);
+            }
+
+            db.prepare("UPDATE stock_transfers SET status = 'in_transit', shipped_at = CURRENT_TIMESTAMP WHERE id = ?").run(transferId);
+        })();
+
+        const updatedTransfer = getTransfer(transferId);
+        broadcastTransfer(req.io, updatedTransfer);
+        res.json({ message: 'Transfer shipped', transfer: updatedTransfer });
+    } catch (error) {
+        console.error('Ship transfer error:', error.message);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        const statusCode = error.message.includes('stock') ? 400 : 500;
+        res.status(statusCode).json({ error: statusCode === 400 ? error.message : 'Failed to ship transfer' });
+    }
+});
+
+// POST /api/admin/transfers/:id/receive
+// Moves the in-transit stock into the destination warehouse (transfer_in), making it sellable, in the lots
+// and with the serials it left with
+router.post('/:id/receive', (req, res) => {
+    const transferId = parseInt(req.params.id);
+
+    try {
+        const transfer = getTransfer(transferId);
+        if (!transfer) {
+            return res.status(404).json({ error: 'Transfer not found' });
+        }
+        if (transfer.status !== 'in_transit') {
+            return res.status(400).json({ error: `Only in-transit transfers can be received (current status: ${transfer.status}).` });
+        }
+        // The destination may have been deactivated while the stock was on its way
+        const destination = db.prepare('SELECT is_active FROM warehouses WHERE id = ?').get(transfer.destination_warehouse_id);
+        if (!destination.is_active) {
+            return res.status(400).json({ error: `Cannot receive stock into ${transfer.destination_warehouse_name}: the warehouse is inactive.` });
+        }
+
+        const itemLotsStmt = db.prepare('SELECT lot_id, quantity FROM stock_transfer_item_lots WHERE transfer_item_id = ?');
+
+        db.transaction(() => {
+            for (const item of transfer.items) {
+                adjustInTransitQuantity(item.product_id, transfer.destination_warehouse_id, -item.quantity);
+                changeStock(item.product_id, transfer.destination_warehouse_id, item.quantity, {
+                    type: 'transfer_in',
+                    reason: `Transfer #${transferId} from ${transfer.source_warehouse_name}`,
+                    createdBy: req.user.id,
+                    unitCost: item.unit_cost
+                });
+                itemLotsStmt.all(item.id).forEach(itemLot => addLotStock(itemLot.lot_id, transfer.destination_warehouse_id, itemLot.quantity));
+            }
+            receiveTransferSerials(transfer);
+
+            db.prepare("UPDATE stock_transfers SET status = 'received', received_at = CURRENT_TIMESTAMP WHERE id = ?").run(transferId);
+        })();
+
+        const updatedTransfer = getTransfer(transferId);
+        broadcastTransfer(req.io, updatedTransfer);
+        res.json({ message: 'Transfer received', transfer: updatedTransfer });
+    } catch (error) {
+        console.error('Receive transfer error:', error);
+        res.status(500).json({ error: 'Failed to receive transfer' });
+    }
+});
+
+// POST /api/admin/transfers/:id/cancel - Cancels a transfer that has not shipped yet
+router.post('/:id/cancel', (req, res) => {
+    const transferId = parseInt(req.params.id);
+
+    try {
+        const info = db.prepare("UPDATE stock_transfers SET status = 'cancelled' WHERE id = ? AND status = 'draft'").run(transferId);
+        if (info.changes === 0) {
+            const exists = db.prepare('SELECT status FROM stock_transfers WHERE id = ?').get(transferId);
+            return exists
+                ? res.status(400).json({ error: `Only draft transfers can be cancelled (current status: ${exists.status}).` })
+                : res.status(404).json({ error: 'Transfer not found' });
+        }
+
+        const transfer = getTransfer(transferId);
+        if (req.io) {
+            req.io.emit('transfer_updated', transfer);
+        }
+        res.json({ message: 'Transfer cancelled', transfer });
+    } catch (error) {
+        console.error('Cancel transfer error:', error);
+        res.status(500).json({ error: 'Failed to cancel transfer' });
+    }
+});
+
+module.exports = router;
@@ -4,11 +4,32 @@ const express = require('express');
 const { db } = require('../config/database');
 const { authenticateToken, requireUser } = require('../middleware/auth');
 const { validateRequest, schemas } = require('../middleware/validation');
-const { detectFraudRisk } = require('../utils/fraudDetection');
+const { detectFraudRisk, normaliseAddress } = require('../utils/fraudDetection');
+const { recordFraudReview } = require('../utils/fraudReviews');
+const { applyFraudLists, normaliseIp } = require('../utils/fraudLists');
+const { allocateOrderLines, changeStock, getInventorySnapshot } = require('../utils/inventory');
+const { getAvailableToPromise, reserveCartLine, releaseReservations } = require('../utils/reservations');
+const { cancelOrder, broadcastOrderCancelled } = require('../utils/orders');
+const { recordStatusChange, getOrderHistory } = require('../utils/statusTransitions');
+const { generateTrackingNumber, createOrderShipments, getOrderShipments } = require('../utils/shipments');
+const { getReturnRequest, getReturnableQuantities, createReturnRequest, markReturnShipped, broadcastReturnUpdate } = require('../utils/returns');
+const { createBackorder } = require('../utils/backorders');
+const { takeLots } = require('../utils/lots');
 const PDFDocument = require('pdfkit'); // Import pdfkit
 
 const router = express.Router();
 
+// What a customer sees of their own orders; fraud scores, reasons and the IP address stay with the admins
+const CUSTOMER_ORDER_COLUMNS = `
+    o.id, o.user_id, o.total_amount, o.status, o.tracking_number, o.shipping_address,
+    o.order_date, o.updated_at, o.cancelled_at, o.cancellation_reason
+`;
+
+// ...and of the lines on them; unit_cost and cogs are the store's cost of goods
+const CUSTOMER_ORDER_ITEM_COLUMNS = `
+    oi.id, oi.order_id, oi.product_id, oi.quantity, oi.price, oi.lot_id
+`;
+
 // --- Colors and Fonts for the Invoice Style ---
 const primaryColor = '#FF5722'; // A warm orange/red, similar to the example
 const accentColor = '#3F51B5'; // A deep blue/purple for contrast
@@ -37,14 +58,37 @@ router.use(authenticateToken);
 router.use(requireUser);
 
 // --- PRODUCT ROUTES ---
+// Sums the unexpired cart holds per product, for the available-to-promise figure
+const activeReservationsJoin = `
+    LEFT JOIN (
+        SELECT product_id, SUM(quantity) as reserved
+        FROM stock_reservations
+        WHERE expires_at > ?
+        GROUP BY product_id
+    ) r ON r.product_id = p.id
+`;
+// Sums the units per product held in lots past their expiry date, which are on hand but cannot be sold
+const expiredLotsJoin = `
+    LEFT JOIN (
+        SELECT l.product_id, SUM(ls.quantity) as expired
+        FROM lot_stock ls
+        JOIN lots l ON ls.lot_id = l.id
+        WHERE l.expiry_date < date('now')
+        GROUP BY l.product_id
+    ) x ON x.product_id = p.id
+`;
+
 router.get('/products', (req, res) => {
     try {
         const products = db.prepare(`
-            SELECT id, name, description, price, stock_quantity, category, sku, location
-            FROM products
-            WHERE stock_quantity > 0
-            ORDER BY name ASC
-        `).all();
+            SELECT p.id, p.name, p.description, p.price, p.stock_quantity, p.category, p.sku, p.location, p.allow_backorder,
+                   MAX(0, p.stock_quantity - COALESCE(x.expired, 0) - COALESCE(r.reserved, 0)) as available_to_promise
+            FROM products p
+            ${activeReservationsJoin}
+            ${expiredLotsJoin}
+            WHERE (p.stock_quantity > 0 OR p.allow_backorder = 1) AND p.archived_at IS NULL
+            ORDER BY p.name ASC
+        `).all(new Date().toISOString());
         res.json(products);
     } catch (error) {
         console.error('Get products error:', error);
@@ -56,10 +100,13 @@ router.get('/products/:id', (req, res) => {
     try {
         const productId = parseInt(req.params.id);
         const product = db.prepare(`
-            SELECT id, name, description, price, stock_quantity, category, sku, location
-            FROM products
-            WHERE id = ?
-        `).get(productId);
+            SELECT p.id, p.name, p.description, p.price, p.stock_quantity, p.category, p.sku, p.location, p.allow_backorder,
+                   MAX(0, p.stock_quantity - COALESCE(x.expired, 0) - COALESCE(r.reserved, 0)) as available_to_promise
+            FROM products p
+            ${activeReservationsJoin}
+            ${expiredLotsJoin}
+            WHERE p.id = ? AND p.archived_at IS NULL
+        `).get(new Date().toISOString(), productId);
 
         if (!product) {
             return res.status(404).json({ error: 'Product not found' });
@@ -73,6 +120,29 @@ router.get('/products/:id', (req, res) => {
 
 
 // --- CART ROUTES ---
+
+// Tells other shoppers how much of a product is still available after a cart hold changes
+const broadcastAvailability = (io, productId) => {
+    if (!io) {
+        console.warn('Socket.io instance not found in req.io. Availability changes will not be broadcast in real-time.');
+        return;
+    }
+    const product = getInventorySnapshot(productId);
+    if (product) {
+        io.emit('inventory_changed', product);
+    }
+};
+
+// Holds a cart line's stock. Backorderable products only hold what is in stock; the rest is backordered at checkout.
+const holdCartLine = (userId, product, quantity, available) => {
+    const holdQuantity = product.allow_backorder ? Math.min(quantity, available) : quantity;
+    if (holdQuantity > 0) {
+        return reserveCartLine(userId, product.id, holdQuantity);
+    }
+    releaseReservations(userId, product.id);
+    return null;
+};
+
 router.get('/cart', (req, res) => {
     try {
         const userId = req.user.id;
@@ -87,12 +157,15 @@ router.get('/cart', (req, res) => {
                 p.stock_quantity as product_stock_quantity,
                 p.category as product_category,
                 p.sku as product_sku,
-                p.location as product_location
+                p.location as product_location,
+                p.allow_backorder as product_allow_backorder,
+                sr.expires_at as reserved_until
             FROM cart_items ci
             JOIN products p ON ci.product_id = p.id
+            LEFT JOIN stock_reservations sr ON sr.user_id = ci.user_id AND sr.product_id = ci.product_id AND sr.expires_at > ?
             WHERE ci.user_id = ?
             ORDER BY p.name ASC
-        `).all(userId);
+        `).all(new Date().toISOString(), userId);
 
         const formattedCart = cartItems.map(item => ({
             productId: item.product_id,
@@ -105,6 +178,11 @@ router.get('/cart', (req, res) => {
             category: item.product_category,
             sku: item.product_sku,
             location: item.product_location,
+            allow_backorder: item.product_allow_backorder,
+            // What this user can hold: on hand minus other carts' holds
+            available_to_promise: getAvailableToPromise(item.product_id, userId),
+            // null once the hold has expired; the line stays in the cart but no longer holds stock
+            reserved_until: item.reserved_until,
         }));
 
         res.json(formattedCart);
@@ -119,11 +197,12 @@ router.post('/cart/items', validateRequest(schemas.addToCart), (req, res) => {
     const userId = req.user.id;
 
     try {
-        const product = db.prepare('SELECT id, name, price, stock_quantity FROM products WHERE id = ?').get(productId);
+        const product = db.prepare('SELECT id, name, price, stock_quantity, allow_backorder FROM products WHERE id = ? AND archived_at IS NULL').get(productId);
         if (!product) {
             return res.status(404).json({ error: 'Product not found.' });
         }
-        if (product.stock_quantity === 0) {
+        const available = getAvailableToPromise(productId, userId);
+        if (available === 0 && !product.allow_backorder) {
             return res.status(400).json({ error: `${product.name} is currently out of stock.` });
         }
         if (quantity <= 0) {
@@ -134,17 +213,25 @@ router.post('/cart/items', validateRequest(schemas.addToCart), (req, res) => {
 
         if (existingCartItem) {
             const newQuantity = existingCartItem.quantity + quantity;
-            if (newQuantity > product.stock_quantity) {
-                return res.status(400).json({ error: `Cannot add more ${product.name}. Total requested (${newQuantity}) exceeds available stock (${product.stock_quantity}).` });
+            if (newQuantity > available && !product.allow_backorder) {
+                return res.status(400).json({ error: `Cannot add more ${product.name}. Total requested (${newQuantity}) exceeds available stock (${available}).` });
             }
-            db.prepare('UPDATE cart_items SET quantity = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND product_id = ?').run(newQuantity, userId, productId);
-            res.status(200).json({ message: 'Cart item quantity updated successfully.', productId, newQuantity });
+            const reservedUntil = db.transaction(() => {
+                db.prepare('UPDATE cart_items SET quantity = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND product_id = ?').run(newQuantity, userId, productId);
+                return holdCartLine(userId, product, newQuantity, available);
+            })();
+            broadcastAvailability(req.io, productId);
+            res.status(200).json({ message: 'Cart item quantity updated successfully.', productId, newQuantity, reservedUntil });
         } else {
-            if (quantity > product.stock_quantity) {
-                return res.status(400).json({ error: `Cannot add ${quantity} of ${product.name}. Only ${product.stock_quantity} available.` });
+            if (quantity > available && !product.allow_backorder) {
+                return res.status(400).json({ error: `Cannot add ${quantity} of ${product.name}. Only ${available} available.` });
             }
-            db.prepare('INSERT INTO cart_items (user_id, product_id, quantity) VALUES (?, ?, ?)').run(userId, productId, quantity);
-            res.status(201).json({ message: 'Product added to cart successfully.', productId, quantity });
+            const reservedUntil = db.transaction(() => {
+                db.prepare('INSERT INTO cart_items (user_id, product_id, quantity) VALUES (?, ?, ?)').run(userId, productId, quantity);
+                return holdCartLine(userId, product, quantity, available);
+            })();
+            broadcastAvailability(req.io, productId);
+            res.status(201).json({ message: 'Product added to cart successfully.', productId, quantity, reservedUntil });
         }
     } catch (error) {
         console.error('Add to cart error:', error);
@@ -158,24 +245,33 @@ router.put('/cart/items/:productId', validateRequest(schemas.updateCartItem), (r
     const userId = req.user.id;
 
     try {
-        const product = db.prepare('SELECT id, name, stock_quantity FROM products WHERE id = ?').get(productId);
+        const product = db.prepare('SELECT id, name, stock_quantity, allow_backorder FROM products WHERE id = ?').get(productId);
         if (!product) {
             return res.status(404).json({ error: 'Product not found.' });
         }
         if (quantity <= 0) {
-            db.prepare('DELETE FROM cart_items WHERE user_id = ? AND product_id = ?').run(userId, productId);
+            db.transaction(() => {
+                db.prepare('DELETE FROM cart_items WHERE user_id = ? AND product_id = ?').run(userId, productId);
+                releaseReservations(userId, product.id);
+            })();
+            broadcastAvailability(req.io, product.id);
             return res.status(200).json({ message: 'Cart item removed successfully due to zero quantity.', productId });
         }
-        if (quantity > product.stock_quantity) {
-            return res.status(400).json({ error: `Cannot set quantity to ${quantity} for ${product.name}. Only ${product.stock_quantity} available.` });
+        const available = getAvailableToPromise(product.id, userId);
+        if (quantity > available && !product.allow_backorder) {
+            return res.status(400).json({ error: `Cannot set quantity to ${quantity} for ${product.name}. Only ${available} available.` });
         }
 
-        const result = db.prepare('UPDATE cart_items SET quantity = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND product_id = ?').run(quantity, userId, productId);
+        const updated = db.transaction(() => {
+            const result = db.prepare('UPDATE cart_items SET quantity = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND product_id = ?').run(quantity, userId, productId);
+            return result.changes === 0 ? null : { reservedUntil: holdCartLine(userId, product, quantity, available) };
+        })();
 
-        if (result.changes === 0) {
+        if (!updated) {
             return res.status(404).json({ error: 'Cart item not found for this user and product.' });
         }
-        res.status(200).json({ message: 'Cart item quantity updated successfully.', productId, newQuantity: quantity });
+        broadcastAvailability(req.io, product.id);
+        res.status(200).json({ message: 'Cart item quantity updated successfully.', productId, newQuantity: quantity, reservedUntil: updated.reservedUntil });
     } catch (error) {
         console.error('Update cart item error:', error);
         res.status(500).json({ error: 'Failed to update cart item.' });
@@ -187,10 +283,14 @@ router.delete('/cart/items/:productId', (req, res) => {
     const userId = req.user.id;
 
     try {
-        const result = db.prepare('DELETE FROM cart_items WHERE user_id = ? AND product_id = ?').run(userId, productId);
+        const result = db.transaction(() => {
+            releaseReservations(userId, parseInt(productId));
+            return db.prepare('DELETE FROM cart_items WHERE user_id = ? AND product_id = ?').run(userId, productId);
+        })();
         if (result.changes === 0) {
             return res.status(404).json({ error: 'Cart item not found for this user and product.' });
         }
+        broadcastAvailability(req.io, parseInt(productId));
         res.status(200).json({ message: 'Cart item removed successfully.', productId });
     } catch (error) {
         console.error('Remove cart item error:', error);
@@ -201,7 +301,11 @@ router.delete('/cart/items/:productId', (req, res) => {
 router.delete('/cart', (req, res) => {
     const userId = req.user.id;
     try {
-        db.prepare('DELETE FROM cart_items WHERE user_id = ?').run(userId);
+        const releasedProductIds = db.transaction(() => {
+            db.prepare('DELETE FROM cart_items WHERE user_id = ?').run(userId);
+            return releaseReservations(userId);
+        })();
+        releasedProductIds.forEach(productId => broadcastAvailability(req.io, productId));
         res.status(200).json({ message: 'Cart cleared successfully.' });
     } catch (error) {
         console.error('Clear cart error:', error);
@@ -229,91 +333,113 @@ router.post('/orders', validateRequest(schemas.createOrder), (req, res) => {
             const productUpdates = [];
 
             for (const item of items) {
-                const product = db.prepare('SELECT id, name, price, stock_quantity FROM products WHERE id = ?').get(item.productId);
+                const product = db.prepare('SELECT id, name, price, stock_quantity, archived_at, allow_backorder FROM products WHERE id = ?').get(item.productId);
 
                 if (!product) {
                     throw new Error(`Product with ID ${item.productId} not found.`);
                 }
-                if (product.stock_quantity < item.quantity) {
-                    throw new Error(`Insufficient stock for product '${product.name}'. Available: ${product.stock_quantity}, Requested: ${item.quantity}.`);
+                if (product.archived_at) {
+                    throw new Error(`Product '${product.name}' is no longer available.`);
+                }
+                // Stock other shoppers hold in their carts cannot be sold here
+                const available = getAvailableToPromise(product.id, userId);
+                if (available < item.quantity && !product.allow_backorder) {
+                    throw new Error(`Insufficient stock for product '${product.name}'. Available: ${available}, Requested: ${item.quantity}.`);
                 }
 
                 const itemTotal = product.price * item.quantity;
                 totalAmount += itemTotal;
 
+                // Backorderable products take the order; what is not in stock waits for the next receipt
+                const inStockQuantity = Math.min(available, item.quantity);
                 productUpdates.push({
                     productId: product.id,
                     productName: product.name,
-                    quantity: item.quantity,
-                    price: product.price,
-                    previousStock: product.stock_quantity,
-                    newStock: product.stock_quantity - item.quantity
+                    quantity: inStockQuantity,
+                    backorderQuantity: item.quantity - inStockQuantity,
+                    price: product.price
                 });
             }
 
-            const historyStmt = db.prepare('SELECT COUNT(*) as total_orders, SUM(total_amount) as total_spent FROM orders WHERE user_id = ?');
-            const userHistory = historyStmt.get(userId);
-
-            const { fraud_risk, fraud_reasons } = detectFraudRisk(
-                { total_amount: totalAmount, shippingAddress, items, userId, userHistory },
-                userHistory
-            );
+            // Scored with the active fraud rule set, which the order records, then checked against the block and allow lists
+            const customer = db.prepare('SELECT email FROM users WHERE id = ?').get(userId);
+            const ipAddress = normaliseIp(req.ip) || null;
+            const { fraud_risk, fraud_score, fraud_reasons, rule_set_id, hold, hold_reason } = applyFraudLists(detectFraudRisk({
+                userId,
+                totalAmount,
+                shippingAddress,
+                items: productUpdates.map(item => ({ productId: item.productId, name: item.productName, price: item.price, quantity: item.quantity + item.backorderQuantity }))
+            }), { email: customer.email, ipAddress, address: shippingAddress });
 
-            const trackingNumber = `TRK${Date.now()}${Math.floor(Math.random() * 100000)}`;
+            const trackingNumber = generateTrackingNumber();
 
             const insertOrder = db.prepare(`
-                INSERT INTO orders (user_id, total_amount, shipping_address, status, tracking_number, fraud_risk, fraud_reasons)
-                VALUES (?, ?, ?, 'pending', ?, ?, ?)
+                INSERT INTO orders (user_id, total_amount, shipping_address, normalised_shipping_address, status, tracking_number, fraud_risk, fraud_reasons, fraud_score, fraud_rule_set_id, ip_address)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `);
-            const orderResult = insertOrder.run(userId, totalAmount, shippingAddress, trackingNumber, fraud_risk, JSON.stringify(fraud_reasons));
+            // Orders at or above the hold threshold, or on a blocklist, take their stock like any other but wait for a fraud review
+            const status = hold ? 'on_hold' : 'pending';
+            const orderResult = insertOrder.run(userId, totalAmount, shippingAddress, normaliseAddress(shippingAddress), status, trackingNumber, fraud_risk, JSON.stringify(fraud_reasons), fraud_score, rule_set_id, ipAddress);
             const orderId = orderResult.lastInsertRowid;
 
-            const insertOrderItem = db.prepare('INSERT INTO order_items (order_id, product_id, quantity, price) VALUES (?, ?, ?, ?)');
-            const updateStock = db.prepare('UPDATE products SET stock_quantity = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
-            const insertTransaction = db.prepare(`
-                INSERT INTO inventory_transactions (product_id, type, quantity, previous_quantity, new_quantity, reason, created_by)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
-            `);
+            const insertOrderItem = db.prepare('INSERT INTO order_items (order_id, product_id, quantity, price, warehouse_id, lot_id, unit_cost, cogs) VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
+
+            // Pick the fulfilling warehouse(s) for every line; lines no single warehouse can cover are split
+            const inStockLines = productUpdates.filter(item => item.quantity > 0);
+            const allocations = allocateOrderLines(inStockLines);
+            const shipmentLines = [];
+
+            inStockLines.forEach((item, index) => {
+                for (const allocation of allocations[index]) {
+                    // Stock leaves first-expiry-first-out; every lot it comes from gets an order line of its own,
+                    // costed as it leaves so the line carries its cost of goods sold
+                    for (const portion of takeLots(item.productId, allocation.warehouseId, allocation.quantity)) {
+                        const sale = changeStock(item.productId, allocation.warehouseId, -portion.quantity, { type: 'sale', reason: `Order #${orderId}`, createdBy: userId });
+                        const orderItem = insertOrderItem.run(orderId, item.productId, portion.quantity, item.price, allocation.warehouseId, portion.lotId, sale.unitCost, sale.cost);
+                        shipmentLines.push({
+                            orderItemId: orderItem.lastInsertRowid,
+                            quantity: portion.quantity,
+                            warehouseId: allocation.warehouseId,
+                            warehouseName: allocation.warehouseName
+                        });
+                    }
+                }
+            });
 
-            for (const item of productUpdates) {
-                insertOrderItem.run(orderId, item.productId, item.quantity, item.price);
-                updateStock.run(item.newStock, item.productId);
-
-                insertTransaction.run(
-                    item.productId,
-                    'sale',
-                    -item.quantity,
-                    item.previousStock,
-                    item.newStock,
-                    `Order #${orderId}`,
-                    userId
-                );
-            }
+            const backorderedItems = productUpdates.filter(item => item.backorderQuantity > 0).map(item => {
+                createBackorder(orderId, { productId: item.productId, quantity: item.backorderQuantity, price: item.price });
+                return { productId: item.productId, productName: item.productName, quantity: item.backorderQuantity };
+            });
 
-            const insertShipment = db.prepare(`
-                INSERT INTO shipments (order_id, tracking_number, status, current_location)
-                VALUES (?, ?, ?, ?)
-            `);
-            insertShipment.run(orderId, trackingNumber, 'pending', 'Processing Center');
+            // One parcel per fulfilling warehouse; the first keeps the order's tracking number
+            recordStatusChange('order', orderId, null, status, userId, hold ? 'Order placed and held for fraud review' : 'Order placed');
+            if (hold) {
+                recordFraudReview(orderId, 'hold', null, hold_reason);
+            }
+            createOrderShipments(orderId, shipmentLines, { trackingNumber, createdBy: userId });
 
             db.prepare('DELETE FROM cart_items WHERE user_id = ?').run(userId);
+            releaseReservations(userId);
 
-            return { orderId, trackingNumber, totalAmount, fraud_risk, fraud_reasons, productUpdates };
+            return { orderId, trackingNumber, totalAmount, status, productUpdates, backorderedItems };
         })();
 
         const newOrderForBroadcast = db.prepare(`
-            SELECT o.*, u.name as user_name, u.email as user_email
-            FROM orders o JOIN users u ON o.user_id = u.id WHERE o.id = ?
+            SELECT o.*, u.name as user_name, u.email as user_email, rs.version as fraud_rule_set_version
+            FROM orders o JOIN users u ON o.user_id = u.id
+            LEFT JOIN fraud_rule_sets rs ON o.fraud_rule_set_id = rs.id
+            WHERE o.id = ?
         `).get(transactionResult.orderId);
 
         newOrderForBroadcast.fraud_reasons = JSON.parse(newOrderForBroadcast.fraud_reasons || '[]');
 
         if (io) {
-            io.emit('order_created', newOrderForBroadcast);
+            // Carries the fraud assessment, the IP address and the customer's email, so only admins receive it
+            io.to('admin').emit('order_created', newOrderForBroadcast);
             console.log(`Socket.IO: 'order_created' emitted for Order ID: ${newOrderForBroadcast.id}`);
 
             for (const item of transactionResult.productUpdates) {
-                const updatedProduct = db.prepare('SELECT id, name, description, price, stock_quantity, category, sku, location FROM products WHERE id = ?').get(item.productId);
+                const updatedProduct = getInventorySnapshot(item.productId);
                 io.emit('inventory_changed', updatedProduct);
                 console.log(`Socket.IO: 'inventory_changed' emitted for Product ID: ${updatedProduct.id}, new stock: ${updatedProduct.stock_quantity}`);
             }
@@ -324,21 +450,111 @@ router.post('/orders', validateRequest(schemas.createOrder), (req, res) => {
         }
 
         res.status(201).json({
-            message: 'Order created successfully!',
+            message: transactionResult.status === 'on_hold'
+                ? 'Order received. It is being reviewed and will be processed once confirmed.'
+                : transactionResult.backorderedItems.length > 0
+                    ? 'Order created. Some items are backordered and will ship as soon as they are back in stock.'
+                    : 'Order created successfully!',
             orderId: transactionResult.orderId,
+            status: transactionResult.status,
             trackingNumber: transactionResult.trackingNumber,
             totalAmount: transactionResult.totalAmount,
-            fraudRisk: transactionResult.fraud_risk,
-            fraudReasons: transactionResult.fraud_reasons
+            backorderedItems: transactionResult.backorderedItems
         });
 
     } catch (error) {
         console.error('Order creation failed:', error.message);
-        const statusCode = error.message.includes('stock') || error.message.includes('not found') ? 400 : 500;
+        const statusCode = error.message.includes('stock') || error.message.includes('not found') || error.message.includes('no longer available') ? 400 : 500;
         res.status(statusCode).json({ error: error.message });
     }
 });
 
+/**
+ * POST /api/user/orders/:id/cancel
+ * Lets a customer cancel their own order until it ships; the stock is returned and a refund recorded.
+ */
+router.post('/orders/:id/cancel', validateRequest(schemas.cancelOrder), (req, res) => {
+    try {
+        const result = cancelOrder(parseInt(req.params.id), {
+            cancelledBy: req.user.id,
+            reason: req.body.reason || 'Cancelled by customer',
+            userId: req.user.id
+        });
+        broadcastOrderCancelled(req.io, result);
+        const order = db.prepare(`SELECT ${CUSTOMER_ORDER_COLUMNS} FROM orders o WHERE o.id = ?`).get(result.order.id);
+        res.json({ message: 'Order cancelled. Your refund has been recorded.', order, refund: result.refund });
+    } catch (error) {
+        console.error('Cancel order error:', error.message);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to cancel order' });
+    }
+});
+
+// --- RETURN (RMA) ROUTES ---
+
+/**
+ * POST /api/user/orders/:id/returns
+ * Requests a return of some or all units of one or more lines of a delivered order.
+ */
+router.post('/orders/:id/returns', validateRequest(schemas.createReturn), (req, res) => {
+    try {
+        const returnRequest = createReturnRequest(req.user.id, parseInt(req.params.id), req.body);
+        broadcastReturnUpdate(req.io, returnRequest);
+        res.status(201).json({ message: `Return ${returnRequest.rma_number} requested. We will review it shortly.`, return: returnRequest });
+    } catch (error) {
+        console.error('Create return error:', error.message);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to request return' });
+    }
+});
+
+router.get('/returns', (req, res) => {
+    try {
+        const returns = db.prepare('SELECT id FROM return_requests WHERE user_id = ? ORDER BY created_at DESC, id DESC')
+            .all(req.user.id)
+            .map(row => getReturnRequest(row.id));
+        res.json({ returns });
+    } catch (error) {
+        console.error('Get returns error:', error);
+        res.status(500).json({ error: 'Failed to fetch your returns' });
+    }
+});
+
+router.get('/returns/:id', (req, res) => {
+    try {
+        const returnRequest = getReturnRequest(parseInt(req.params.id));
+        if (!returnRequest || returnRequest.user_id !== req.user.id) {
+            return res.status(404).json({ error: 'Return not found' });
+        }
+        res.json({ return: returnRequest });
+    } catch (error) {
+        console.error('Get return error:', error);
+        res.status(500).json({ error: 'Failed to fetch return' });
+    }
+});
+
+/**
+ * POST /api/user/returns/:id/ship
+ * The customer confirms the approved return has been handed to the carrier.
+ */
+router.post('/returns/:id/ship', (req, res) => {
+    try {
+        const returnRequest = markReturnShipped(parseInt(req.params.id), req.user.id);
+        broadcastReturnUpdate(req.io, returnRequest);
+        res.json({ message: 'Return marked as shipped', return: returnRequest });
+    } catch (error) {
+        console.error('Ship return error:', error.message);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to update return' });
+    }
+});
+
 // --- ORDER VIEWING & FEEDBACK ROUTES ---
 
 router.get('/orders', (req, res) => {
@@ -348,9 +564,8 @@ router.get('/orders', (req, res) => {
         const limit = parseInt(req.query.limit);
 
         let query = `
-            SELECT o.*, s.id as shipment_id, s.tracking_number, s.status as shipment_status, s.current_location, s.estimated_delivery, s.actual_delivery, s.notes
+            SELECT ${CUSTOMER_ORDER_COLUMNS}
             FROM orders o
-            LEFT JOIN shipments s ON o.id = s.order_id
             WHERE o.user_id = ?
             ORDER BY o.order_date DESC
         `;
@@ -378,16 +593,15 @@ router.get('/orders', (req, res) => {
 
         const ordersWithItems = ordersData.map(order => {
             const items = db.prepare(`
-                SELECT oi.*, p.name as product_name, p.sku
+                SELECT ${CUSTOMER_ORDER_ITEM_COLUMNS}, p.name as product_name, p.sku, b.status as backorder_status
                 FROM order_items oi
                 JOIN products p ON oi.product_id = p.id
+                LEFT JOIN backorders b ON b.order_item_id = oi.id
                 WHERE oi.order_id = ?
             `).all(order.id);
 
-            const { shipment_id, tracking_number, shipment_status, current_location, estimated_delivery, actual_delivery, notes, ...orderData } = order;
-            orderData.shipment = shipment_id ? { id: shipment_id, tracking_number, status: shipment_status, current_location, estimated_delivery, actual_delivery, notes } : null;
-
-            orderData.fraud_reasons = JSON.parse(orderData.fraud_reasons || '[]');
+            // An order ships in one parcel per fulfilling warehouse, or more when an admin splits one
+            const orderData = { ...order, shipments: getOrderShipments(order.id) };
             return { ...orderData, items };
         });
 
@@ -402,24 +616,30 @@ router.get('/orders', (req, res) => {
 router.get('/orders/:id', (req, res) => {
     try {
         const orderId = parseInt(req.params.id);
-        const order = db.prepare(`
-            SELECT o.*, s.status as shipment_status, s.current_location, s.estimated_delivery, s.actual_delivery, s.notes
-            FROM orders o
-            LEFT JOIN shipments s ON o.id = s.order_id
-            WHERE o.id = ? AND o.user_id = ?
-        `).get(orderId, req.user.id);
+        const order = db.prepare(`SELECT ${CUSTOMER_ORDER_COLUMNS} FROM orders o WHERE o.id = ? AND o.user_id = ?`).get(orderId, req.user.id);
 
         if (!order) {
             return res.status(404).json({ error: 'Order not found' });
         }
+        const returnable = getReturnableQuantities(orderId);
         const items = db.prepare(`
-            SELECT oi.*, p.name as product_name, p.sku
+            SELECT ${CUSTOMER_ORDER_ITEM_COLUMNS}, p.name as product_name, p.sku, b.status as backorder_status, l.lot_number, l.expiry_date,
+                   (SELECT GROUP_CONCAT(sn.serial_number, ', ')
+                    FROM order_item_serials ois JOIN serial_numbers sn ON ois.serial_id = sn.id
+                    WHERE ois.order_item_id = oi.id) as serial_numbers
             FROM order_items oi
             JOIN products p ON oi.product_id = p.id
+            LEFT JOIN backorders b ON b.order_item_id = oi.id
+            LEFT JOIN lots l ON oi.lot_id = l.id
             WHERE oi.order_id = ?
-        `).all(orderId);
-        order.fraud_reasons = JSON.parse(order.fraud_reasons || '[]');
-        res.json({ order: { ...order, items } });
+        `).all(orderId).map(item => ({
+            ...item,
+            returnable_quantity: order.status === 'delivered' ? returnable[item.id] : 0
+        }));
+        const refunds = db.prepare('SELECT id, amount, reason, created_at FROM refunds WHERE order_id = ? ORDER BY created_at').all(orderId);
+        const returns = db.prepare('SELECT id FROM return_requests WHERE order_id = ? ORDER BY created_at, id').all(orderId)
+            .map(row => getReturnRequest(row.id));
+        res.json({ order: { ...order, items, shipments: getOrderShipments(orderId), refunds, returns, status_history: getOrderHistory(orderId) } });
     } catch (error) {
         console.error('Get order error:', error);
         res.status(500).json({ error: 'Failed to fetch order' });
@@ -439,12 +659,11 @@ router.get('/orders/:orderId/invoice', (req, res) => {
         // 1. Fetch Order Data with Items and User Details
         const orderStmt = db.prepare(`
             SELECT
-                o.id, o.order_date, o.total_amount, o.status, o.shipping_address, o.fraud_risk, o.fraud_reasons,
+                o.id, o.order_date, o.total_amount, o.status, o.shipping_address,
                 u.name as user_name, u.email as user_email, u.address as user_address, u.phone as user_phone,
-                s.tracking_number, s.status as shipment_status, s.estimated_delivery, s.actual_delivery
+                (SELECT GROUP_CONCAT(s.tracking_number, ', ') FROM shipments s WHERE s.order_id = o.id AND s.status != 'cancelled') as tracking_numbers
             FROM orders o
             JOIN users u ON o.user_id = u.id
-            LEFT JOIN shipments s ON o.id = s.order_id
             WHERE o.id = ? AND o.user_id = ?
         `);
         const order = orderStmt.get(orderId, userId);
@@ -456,9 +675,15 @@ router.get('/orders/:orderId/invoice', (req, res) => {
         const orderItemsStmt = db.prepare(`
             SELECT
                 oi.quantity, oi.price,
-                p.name as product_name, p.sku
+                p.name as product_name, p.sku, b.status as backorder_status,
+                l.lot_number, l.expiry_date,
+                (SELECT GROUP_CONCAT(sn.serial_number, ', ')
+                 FROM order_item_serials ois JOIN serial_numbers sn ON ois.serial_id = sn.id
+                 WHERE ois.order_item_id = oi.id) as serial_numbers
             FROM order_items oi
             JOIN products p ON oi.product_id = p.id
+            LEFT JOIN backorders b ON b.order_item_id = oi.id
+            LEFT JOIN lots l ON oi.lot_id = l.id
             WHERE oi.order_id = ?
         `);
         const orderItems = orderItemsStmt.all(orderId);
@@ -533,8 +758,9 @@ router.get('/orders/:orderId/invoice', (req, res) => {
         doc.font(fontNormal).fontSize(10);
         doc.text(`Order ID: INV-${order.id}`, pageMargin, currentY);
         doc.text(`Order Date: ${formatDateForInvoice(order.order_date)}`, pageMargin, currentY + 12);
-        if (order.tracking_number) {
-            doc.text(`Tracking Number: ${order.tracking_number}`, pageMargin, currentY + 24);
+        if (order.tracking_numbers) {
+            // One tracking number per parcel when the order ships in several
+            doc.text(`Tracking Number: ${order.tracking_numbers}`, pageMargin, currentY + 24, { width: contentWidth });
         }
         doc.text(`Order Status: ${order.status.toUpperCase()}`, pageMargin, currentY + 36);
         doc.text(`Shipping Address: ${order.shipping_address}`, pageMargin, currentY + 48, { width: contentWidth / 2 }); // Allow wrapping for address
@@ -570,11 +796,19 @@ router.get('/orders/:orderId/invoice', (req, res) => {
         currentY += 25; // Move past header to start rows
 
         let subTotal = 0;
-        const rowHeight = 25; // Standard row height for items
 
         orderItems.forEach((item, index) => {
             const itemTotal = item.quantity * item.price;
             subTotal += itemTotal;
+            const itemName = `${item.product_name} (SKU: ${item.sku})${item.backorder_status === 'waiting' ? ' - BACKORDERED' : ''}`;
+            doc.fontSize(10);
+            const nameHeight = doc.heightOfString(itemName, { width: 200 });
+            // Lot- and serial-tracked lines print their lot and serials under the item name, so the row grows to fit
+            const serialText = item.serial_numbers ? `S/N: ${item.serial_numbers}` : null;
+            doc.fontSize(8);
+            const serialHeight = serialText ? doc.heightOfString(serialText, { width: 200 }) + 2 : 0;
+            doc.fontSize(10);
+            const rowHeight = Math.max(25, nameHeight + 14 + (item.lot_number ? 12 : 0) + serialHeight);
 
             // Alternating row background
             if (index % 2 === 0) {
@@ -585,7 +819,19 @@ router.get('/orders/:orderId/invoice', (req, res) => {
 
             // Item Name (can wrap)
             doc.fontSize(10)
-               .text(`${item.product_name} (SKU: ${item.sku})`, itemColX + 10, currentY + 8, { width: 200, continued: false });
+               .text(itemName, itemColX + 10, currentY + 8, { width: 200, continued: false });
+            if (item.lot_number) {
+                doc.fillColor(darkGray)
+                   .fontSize(8)
+                   .text(`Lot: ${item.lot_number}${item.expiry_date ? ` (exp. ${formatDateForInvoice(item.expiry_date)})` : ''}`, itemColX + 10, currentY + 10 + nameHeight, { width: 200 });
+                doc.fillColor(textColor).fontSize(10);
+            }
+            if (serialText) {
+                doc.fillColor(darkGray)
+                   .fontSize(8)
+                   .text(serialText, itemColX + 10, currentY + 10 + nameHeight + (item.lot_number ? 12 : 0), { width: 200 });
+                doc.fillColor(textColor).fontSize(10);
+            }
 
             // Price, QTY, Total (right aligned within their columns)
             doc.text(`$${item.price.toFixed(2)}`, priceColX, currentY + 8, { width: 80, align: 'left' });
@@ -0,0 +1,48 @@
+// routes/valuation.js
+// Inventory valuation and gross margin reports, mounted at /api/admin/valuation
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { VALUATION_METHODS, VALUATION_METHOD, getInventoryValue, getGrossMargin } = require('../utils/valuation');
+
+const router = express.Router();
+
+// All valuation routes require authentication and admin role
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+// GET /api/admin/valuation
+// Stock on hand at cost, by product and warehouse with warehouse and category totals.
+// ?method=fifo|weighted_average, defaulting to the method cost of goods sold is booked at
+router.get('/', (req, res) => {
+    const method = req.query.method || VALUATION_METHOD;
+    if (!VALUATION_METHODS.includes(method)) {
+        return res.status(400).json({ error: `method must be one of ${VALUATION_METHODS.join(', ')}.` });
+    }
+
+    try {
+        res.json({ ...getInventoryValue({ method }), cogs_method: VALUATION_METHOD });
+    } catch (error) {
+        console.error('Inventory valuation error:', error);
+        res.status(500).json({ error: 'Failed to value inventory' });
+    }
+});
+
+// GET /api/admin/valuation/margin
+// Revenue, cost of goods sold and gross margin per product for orders placed between ?from= and ?to= (YYYY-MM-DD)
+router.get('/margin', (req, res) => {
+    const { from, to } = req.query;
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+        return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format.' });
+    }
+
+    try {
+        res.json({ ...getGrossMargin({ from: from || null, to: to || null }), cogs_method: VALUATION_METHOD });
+    } catch (error) {
+        console.error('Gross margin report error:', error);
+        res.status(500).json({ error: 'Failed to build the gross margin report' });
+    }
+});
+
+module.exports = router;
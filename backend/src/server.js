@@ -5,7 +5,6 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
-const jwt = require('jsonwebtoken'); // Import jsonwebtoken
 require('dotenv').config();
 
 // Ensure JWT_SECRET is loaded
@@ -14,12 +13,29 @@ if (!process.env.JWT_SECRET) {
     process.exit(1); // Exit the process if critical environment variable is missing
 }
 
-const { initializeDatabase } = require('./config/database'); // Assuming this exists
+const { initializeDatabase, db } = require('./config/database'); // Assuming this exists
+const { startReservationSweeper } = require('./utils/reservations');
+const { verifyAccessToken } = require('./utils/authTokens');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
 const adminRoutes = require('./routes/admin');
+const transferRoutes = require('./routes/transfers');
+const returnRoutes = require('./routes/returns');
+const supplierRoutes = require('./routes/suppliers');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const replenishmentRoutes = require('./routes/replenishment');
+const forecastRoutes = require('./routes/forecast');
+const lotRoutes = require('./routes/lots');
+const serialRoutes = require('./routes/serials');
+const cycleCountRoutes = require('./routes/cycleCounts');
+const inventoryLedgerRoutes = require('./routes/inventoryLedger');
+const valuationRoutes = require('./routes/valuation');
+const classificationRoutes = require('./routes/classification');
+const fraudRuleRoutes = require('./routes/fraudRules');
+const fraudReviewRoutes = require('./routes/fraudReviews');
+const fraudListRoutes = require('./routes/fraudLists');
 
 const app = express();
 const server = http.createServer(app);
@@ -75,20 +91,29 @@ io.use((socket, next) => {
         return next(new Error('Authentication error: Token missing'));
     }
 
-    jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-        if (err) {
-            console.warn(`Socket authentication failed for token: ${err.message}`);
-            return next(new Error('Authentication error: Invalid or expired token'));
-        }
-        socket.data.user = decoded; // Attach user payload to socket
-        console.log(`Socket authenticated for user: ${decoded.id} (${decoded.role})`); // Log successful socket auth with role
-        next();
-    });
+    let decoded;
+    try {
+        // Only access tokens open sockets; a two-factor challenge token is refused like any invalid one
+        decoded = verifyAccessToken(token);
+    } catch (err) {
+        console.warn(`Socket authentication failed for token: ${err.message}`);
+        return next(new Error('Authentication error: Invalid or expired token'));
+    }
+    // Tokens from before a password change (token_version bump) cannot open sockets
+    const account = db.prepare('SELECT token_version FROM users WHERE id = ?').get(decoded.id);
+    if (!account || (decoded.tv || 0) !== account.token_version) {
+        return next(new Error('Authentication error: Session has been revoked'));
+    }
+    socket.data.user = decoded; // Attach user payload to socket
+    console.log(`Socket authenticated for user: ${decoded.id} (${decoded.role})`); // Log successful socket auth with role
+    next();
 });
 
 // --- Socket.IO Connection Event Handler ---
 io.on('connection', (socket) => {
     console.log(`User connected via Socket.IO: ${socket.id} (User ID: ${socket.data.user ? socket.data.user.id : 'N/A'})`);
+    // One room per role, so admin-only events (io.to('admin')) reach no customer sockets
+    socket.join(socket.data.user.role);
 
     socket.on('hello_from_client', (data) => {
         console.log(`Received 'hello_from_client': ${data} from socket ${socket.id}`);
@@ -100,6 +125,9 @@ io.on('connection', (socket) => {
     });
 });
 
+// Release cart holds whose TTL has passed
+startReservationSweeper(io);
+
 // Make io accessible in ALL Express routes via req.io
 // This must be BEFORE route definitions that use req.io
 app.use((req, res, next) => {
@@ -111,6 +139,21 @@ app.use((req, res, next) => {
 // These routes are defined AFTER all general middleware and req.io setup
 app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
+app.use('/api/admin/transfers', transferRoutes); // Mounted before the general admin router
+app.use('/api/admin/returns', returnRoutes);
+app.use('/api/admin/suppliers', supplierRoutes);
+app.use('/api/admin/purchase-orders', purchaseOrderRoutes);
+app.use('/api/admin/replenishment', replenishmentRoutes);
+app.use('/api/admin/forecast', forecastRoutes);
+app.use('/api/admin/lots', lotRoutes);
+app.use('/api/admin/serials', serialRoutes);
+app.use('/api/admin/cycle-counts', cycleCountRoutes);
+app.use('/api/admin/inventory-ledger', inventoryLedgerRoutes);
+app.use('/api/admin/valuation', valuationRoutes);
+app.use('/api/admin/classification', classificationRoutes);
+app.use('/api/admin/fraud-rules', fraudRuleRoutes);
+app.use('/api/admin/fraud-reviews', fraudReviewRoutes);
+app.use('/api/admin/fraud-lists', fraudListRoutes);
 app.use('/api/admin', adminRoutes);
 
 // Health check endpoint (can be before or after routes, usually before 404)
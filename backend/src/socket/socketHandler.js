@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const { db } = require('../config/database');
+const { getDefaultWarehouse, setStock } = require('../utils/inventory');
+const { isKnownStatus } = require('../utils/statusTransitions');
+const { dispatchShipment, dispatchOrder } = require('../utils/serials');
 
 const connectedUsers = new Map();
 
@@ -59,7 +62,7 @@ const setupSocketHandlers = (io) => {
             totalOrders: db.prepare('SELECT COUNT(*) as count FROM orders').get().count,
             pendingOrders: db.prepare('SELECT COUNT(*) as count FROM orders WHERE status = ?').get('pending').count,
             totalUsers: db.prepare('SELECT COUNT(*) as count FROM users WHERE role = ?').get('user').count,
-            lowStockProducts: db.prepare('SELECT COUNT(*) as count FROM products WHERE stock_quantity <= min_stock').get().count,
+            lowStockProducts: db.prepare('SELECT COUNT(*) as count FROM products WHERE stock_quantity <= min_stock AND archived_at IS NULL').get().count,
             onlineUsers: Array.from(connectedUsers.values()).filter(user => user.userRole === 'user').length
           };
 
@@ -78,50 +81,41 @@ const setupSocketHandlers = (io) => {
           const { productId, quantity, reason } = data;
 
           // Get current stock
-          const currentProduct = db.prepare('SELECT stock_quantity FROM products WHERE id = ?').get(productId);
+          const currentProduct = db.prepare('SELECT id, stock_quantity, location FROM products WHERE id = ?').get(productId);
           if (!currentProduct) {
             socket.emit('error', { message: 'Product not found' });
             return;
           }
 
-          // Update stock
-          const updateStock = db.prepare(`
-            UPDATE products 
-            SET stock_quantity = ?, updated_at = CURRENT_TIMESTAMP
-            WHERE id = ?
-          `);
-
-          updateStock.run(quantity, productId);
-
-          // Log transaction
-          const insertTransaction = db.prepare(`
-            INSERT INTO inventory_transactions (product_id, type, quantity, previous_quantity, new_quantity, reason, created_by)
-            VALUES (?, ?, ?, ?, ?, ?, ?)
-          `);
-
-          const changeQuantity = quantity - currentProduct.stock_quantity;
-          const transactionType = changeQuantity > 0 ? 'restock' : 'adjustment';
+          // Real-time adjustments apply to the product's default warehouse
+          const warehouse = getDefaultWarehouse(currentProduct);
+          if (!warehouse) {
+            socket.emit('error', { message: 'No warehouse available for this product' });
+            return;
+          }
 
-          insertTransaction.run(
-            productId,
-            transactionType,
-            changeQuantity,
-            currentProduct.stock_quantity,
-            quantity,
-            reason || 'Real-time adjustment',
-            socket.userId
-          );
+          // Increases are logged as restocks, decreases as adjustments
+          const location = db.prepare('SELECT quantity FROM stock_locations WHERE product_id = ? AND warehouse_id = ?').get(productId, warehouse.id);
+          const isRestock = quantity > (location ? location.quantity : 0);
+          const stockChange = setStock(productId, warehouse.id, quantity, {
+            type: isRestock ? 'restock' : 'adjustment',
+            reason: reason || 'Real-time adjustment',
+            reasonCode: isRestock ? null : 'other',
+            createdBy: socket.userId
+          });
+          const changeQuantity = stockChange.newTotal - stockChange.previousTotal;
 
           // Broadcast to all users
           io.emit('inventory_updated', {
             productId,
-            newQuantity: quantity,
+            warehouseId: warehouse.id,
+            newQuantity: stockChange.newTotal,
             change: changeQuantity,
             reason: reason || 'Admin adjustment',
             timestamp: new Date().toISOString()
           });
 
-          socket.emit('inventory_update_success', { productId, newQuantity: quantity });
+          socket.emit('inventory_update_success', { productId, newQuantity: stockChange.newTotal });
         } catch (error) {
           console.error('Inventory update error:', error);
           socket.emit('error', { message: 'Failed to update inventory' });
@@ -135,24 +129,12 @@ const setupSocketHandlers = (io) => {
         try {
           const { orderId, status } = data;
 
-          const validStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
-          if (!validStatuses.includes(status)) {
+          if (!isKnownStatus('order', status)) {
             socket.emit('error', { message: 'Invalid status' });
             return;
           }
 
-          const updateOrder = db.prepare(`
-            UPDATE orders 
-            SET status = ?, updated_at = CURRENT_TIMESTAMP
-            WHERE id = ?
-          `);
-
-          const result = updateOrder.run(status, orderId);
-
-          if (result.changes === 0) {
-            socket.emit('error', { message: 'Order not found' });
-            return;
-          }
+          const { shipments } = dispatchOrder(orderId, status, { changedBy: socket.userId });
 
           // Get order details
           const order = db.prepare(`
@@ -171,10 +153,12 @@ const setupSocketHandlers = (io) => {
             timestamp: new Date().toISOString()
           });
 
+          shipments.forEach(shipment => io.emit('shipment_status_updated', shipment));
+
           socket.emit('order_status_update_success', { orderId, status });
         } catch (error) {
           console.error('Order status update error:', error);
-          socket.emit('error', { message: 'Failed to update order status' });
+          socket.emit('error', { message: error.statusCode ? error.message : 'Failed to update order status' });
         }
       }
     });
@@ -185,24 +169,15 @@ const setupSocketHandlers = (io) => {
         try {
           const { shipmentId, status, currentLocation, notes } = data;
 
-          const validStatuses = ['pending', 'started', 'picked', 'placed', 'sent', 'received', 'inspected', 'completed'];
-          if (!validStatuses.includes(status)) {
+          if (!isKnownStatus('shipment', status)) {
             socket.emit('error', { message: 'Invalid shipment status' });
             return;
           }
 
-          const updateShipment = db.prepare(`
-            UPDATE shipments 
-            SET status = ?, current_location = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
-            WHERE id = ?
-          `);
-
-          const result = updateShipment.run(status, currentLocation, notes, shipmentId);
-
-          if (result.changes === 0) {
-            socket.emit('error', { message: 'Shipment not found' });
-            return;
-          }
+          dispatchShipment(shipmentId, status, {
+            changedBy: socket.userId,
+            fields: { current_location: currentLocation, notes }
+          });
 
           // Get shipment details
           const shipment = db.prepare(`
@@ -228,7 +203,7 @@ const setupSocketHandlers = (io) => {
           socket.emit('shipment_status_update_success', { shipmentId, status });
         } catch (error) {
           console.error('Shipment status update error:', error);
-          socket.emit('error', { message: 'Failed to update shipment status' });
+          socket.emit('error', { message: error.statusCode ? error.message : 'Failed to update shipment status' });
         }
       }
     });
@@ -240,7 +215,7 @@ const setupSocketHandlers = (io) => {
           const lowStockProducts = db.prepare(`
             SELECT id, name, stock_quantity, min_stock
             FROM products
-            WHERE stock_quantity <= min_stock
+            WHERE stock_quantity <= min_stock AND archived_at IS NULL
           `).all();
 
           if (lowStockProducts.length > 0) {
@@ -293,7 +268,7 @@ const setupSocketHandlers = (io) => {
       const lowStockProducts = db.prepare(`
         SELECT id, name, stock_quantity, min_stock
         FROM products
-        WHERE stock_quantity <= min_stock
+        WHERE stock_quantity <= min_stock AND archived_at IS NULL
       `).all();
 
       if (lowStockProducts.length > 0) {
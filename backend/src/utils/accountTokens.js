@@ -0,0 +1,125 @@
+// backend/src/utils/accountTokens.js
+const crypto = require('crypto');
+const { db } = require('../config/database');
+const { statusError } = require('./statusTransitions');
+const { hashToken } = require('./authTokens');
+const { sendMail } = require('./mailer');
+
+// Where the links in the emails point: the React app
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+// How long a password reset link works, configurable via PASSWORD_RESET_TTL_MINUTES
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60') || 60;
+// How long an email verification link works, configurable via EMAIL_VERIFICATION_TTL_HOURS
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '48') || 48;
+
+const TOKEN_TTL_MS = {
+    password_reset: PASSWORD_RESET_TTL_MINUTES * 60 * 1000,
+    email_verification: EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+};
+
+/**
+ * Issues a single-use token for a user and retires their unused ones of the same purpose, so only the
+ * latest link works.
+ * @param {number} userId - The user.
+ * @param {string} purpose - 'password_reset' or 'email_verification'.
+ * @returns {string} The token as put in the link; only its hash is stored.
+ */
+function createAccountToken(userId, purpose) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + TOKEN_TTL_MS[purpose]).toISOString();
+    db.transaction(() => {
+        db.prepare('DELETE FROM account_tokens WHERE user_id = ? AND purpose = ? AND used_at IS NULL').run(userId, purpose);
+        db.prepare('INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, ?)')
+            .run(userId, purpose, hashToken(token), expiresAt);
+    })();
+    return token;
+}
+
+/**
+ * Marks a token used and returns its user. Call inside the transaction that acts on it, so a failure leaves
+ * the link usable.
+ * @param {string} token - The token from the link.
+ * @param {string} purpose - The purpose it must have been issued for.
+ * @returns {object} The user row (id, name, email, email_verified_at).
+ * @throws {Error} 400 if the token is unknown, used, expired or for another purpose.
+ */
+function consumeAccountToken(token, purpose) {
+    const stored = db.prepare('SELECT * FROM account_tokens WHERE token_hash = ? AND purpose = ?').get(hashToken(token), purpose);
+    if (!stored || stored.used_at || stored.expires_at < new Date().toISOString()) {
+        throw statusError('This link is invalid or has expired. Please request a new one.', 400);
+    }
+    db.prepare('UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ?').run(stored.id);
+    return db.prepare('SELECT id, name, email, email_verified_at FROM users WHERE id = ?').get(stored.user_id);
+}
+
+/**
+ * Mails a user a link to verify their email address.
+ * @param {object} user - { id, name, email }.
+ * @returns {Promise<object>} What the mailer returned.
+ */
+async function sendVerificationEmail(user) {
+    const link = `${CLIENT_URL}/verify-email?token=${encodeURIComponent(createAccountToken(user.id, 'email_verification'))}`;
+    return sendMail({
+        to: user.email,
+        subject: 'Verify your email address',
+        text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\n`
+            + `The link works once and expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+    });
+}
+
+/**
+ * Mails a user a link to choose a new password.
+ * @param {object} user - { id, name, email }.
+ * @returns {Promise<object>} What the mailer returned.
+ */
+async function sendPasswordResetEmail(user) {
+    const link = `${CLIENT_URL}/reset-password?token=${encodeURIComponent(createAccountToken(user.id, 'password_reset'))}`;
+    return sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.name},\n\nWe received a request to reset your password. Choose a new one here:\n${link}\n\n`
+            + `The link works once and expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. `
+            + 'If you did not ask for this, you can ignore this email; your password has not changed.'
+    });
+}
+
+/**
+ * Marks a user's email verified with a verification token.
+ * @param {string} token - The token from the link.
+ * @returns {object} The user row.
+ * @throws {Error} 400 if the link is invalid or has expired.
+ */
+function verifyEmail(token) {
+    return db.transaction(() => {
+        const user = consumeAccountToken(token, 'email_verification');
+        db.prepare('UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(user.id);
+        return user;
+    })();
+}
+
+/**
+ * Sets a new password with a reset token. Following the link also proves the user reads that inbox, so the
+ * email counts as verified.
+ * @param {string} token - The token from the link.
+ * @param {string} hashedPassword - The new password, already hashed.
+ * @returns {object} The user row.
+ * @throws {Error} 400 if the link is invalid or has expired.
+ */
+function resetPassword(token, hashedPassword) {
+    return db.transaction(() => {
+        const user = consumeAccountToken(token, 'password_reset');
+        db.prepare(`
+            UPDATE users
+            SET password = ?, email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(hashedPassword, user.id);
+        return user;
+    })();
+}
+
+module.exports = {
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    verifyEmail,
+    resetPassword
+};
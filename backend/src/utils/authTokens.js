@@ -0,0 +1,170 @@
+// backend/src/utils/authTokens.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { db } = require('../config/database');
+const { statusError } = require('./statusTransitions');
+
+// Access token lifetime (a jsonwebtoken duration), configurable via JWT_EXPIRES_IN
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+// Claim that marks a JWT as an access token; other JWTs signed with JWT_SECRET (e.g. sign-in challenges) lack it
+const ACCESS_TOKEN_TYPE = 'access';
+// How long a refresh token stays usable, configurable via REFRESH_TOKEN_TTL_DAYS
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30') || 30;
+
+/**
+ * Hashes a refresh token for storage and lookup; tokens are random, so no salt is needed.
+ * @param {string} token - The token as given to the client.
+ * @returns {string} The hex SHA-256 digest.
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Signs a short-lived access token. `tv` is the user's token_version, checked by authenticateToken.
+ * @param {object} user - { id, email, role, token_version }.
+ * @returns {string} The JWT.
+ */
+function signAccessToken(user) {
+    return jwt.sign(
+        { id: user.id, email: user.email, role: user.role, tv: user.token_version || 0, typ: ACCESS_TOKEN_TYPE },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+}
+
+/**
+ * Verifies an access token. Only tokens signed by signAccessToken pass: any other JWT, such as a two-factor
+ * challenge, is refused even though it carries a user id and a valid signature.
+ * @param {string} token - The bearer token.
+ * @returns {object} The payload { id, email, role, tv }.
+ * @throws {Error} jsonwebtoken's TokenExpiredError when it has expired, JsonWebTokenError when it is invalid
+ * or not an access token.
+ */
+function verifyAccessToken(token) {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    if (payload.typ !== ACCESS_TOKEN_TYPE || payload.purpose || payload.aud) {
+        throw new jwt.JsonWebTokenError('not an access token');
+    }
+    return payload;
+}
+
+/**
+ * Stores a new refresh token and returns it; only its hash is kept.
+ * @param {object} user - { id, token_version }.
+ * @param {object} options - { familyId: continue a login's family (default: start a new one), req: for IP and user agent }.
+ * @returns {object} { token, id }.
+ */
+function createRefreshToken(user, { familyId = null, req = null } = {}) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    // Expired tokens are of no further use, not even for reuse detection; unlink them from the tokens they replaced first
+    const now = new Date().toISOString();
+    db.prepare(`
+        UPDATE refresh_tokens SET replaced_by_id = NULL
+        WHERE replaced_by_id IN (SELECT id FROM refresh_tokens WHERE user_id = ? AND expires_at < ?)
+    `).run(user.id, now);
+    db.prepare('DELETE FROM refresh_tokens WHERE user_id = ? AND expires_at < ?').run(user.id, now);
+    const info = db.prepare(`
+        INSERT INTO refresh_tokens (user_id, token_hash, family_id, token_version, expires_at, ip_address, user_agent)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        user.id,
+        hashToken(token),
+        familyId || crypto.randomUUID(),
+        user.token_version || 0,
+        expiresAt,
+        req ? req.ip || null : null,
+        req ? (req.get('user-agent') || '').slice(0, 255) || null : null
+    );
+    return { token, id: info.lastInsertRowid };
+}
+
+/**
+ * Starts a session: an access token and a refresh token in a new family.
+ * @param {object} user - { id, email, role, token_version }.
+ * @param {object} [req] - The request, for the IP and user agent stored with the refresh token.
+ * @returns {object} { token, refreshToken } as sent to the client.
+ */
+function issueTokens(user, req = null) {
+    return { token: signAccessToken(user), refreshToken: createRefreshToken(user, { req }).token };
+}
+
+/**
+ * Exchanges a refresh token for a new access token and a new refresh token; the presented token is revoked.
+ * Presenting a token that was already rotated or revoked revokes every token of its family.
+ * @param {string} token - The refresh token.
+ * @param {object} [req] - The request, for the IP and user agent stored with the new refresh token.
+ * @returns {object} { token, refreshToken, user }.
+ * @throws {Error} 401 if the token is unknown, expired, revoked or older than the user's token version.
+ */
+function rotateRefreshToken(token, req = null) {
+    // The checks stay outside the transaction: a family revoked on reuse must not roll back with the error
+    const stored = db.prepare('SELECT * FROM refresh_tokens WHERE token_hash = ?').get(hashToken(token));
+    if (!stored) {
+        throw statusError('Invalid refresh token', 401);
+    }
+    if (stored.revoked_at) {
+        revokeTokenFamily(stored.family_id);
+        console.warn(`Refresh token reuse detected for user ${stored.user_id}; session family revoked.`);
+        throw statusError('Refresh token has been revoked', 401);
+    }
+    if (stored.expires_at < new Date().toISOString()) {
+        throw statusError('Refresh token has expired', 401);
+    }
+    const user = db.prepare('SELECT id, name, email, role, phone, address, token_version FROM users WHERE id = ?').get(stored.user_id);
+    if (!user || user.token_version !== stored.token_version) {
+        revokeTokenFamily(stored.family_id);
+        throw statusError('Session has been revoked', 401);
+    }
+
+    return db.transaction(() => {
+        const next = createRefreshToken(user, { familyId: stored.family_id, req });
+        db.prepare('UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by_id = ? WHERE id = ?').run(next.id, stored.id);
+        return { token: signAccessToken(user), refreshToken: next.token, user };
+    })();
+}
+
+/**
+ * Revokes every unrevoked token of a login's family.
+ * @param {string} familyId - The family.
+ */
+function revokeTokenFamily(familyId) {
+    db.prepare('UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = ? AND revoked_at IS NULL').run(familyId);
+}
+
+/**
+ * Ends the session a refresh token belongs to. Unknown tokens are ignored so logging out twice is harmless.
+ * @param {string} token - The refresh token.
+ * @returns {boolean} Whether a session was found.
+ */
+function revokeRefreshToken(token) {
+    const stored = db.prepare('SELECT family_id FROM refresh_tokens WHERE token_hash = ?').get(hashToken(token));
+    if (stored) {
+        revokeTokenFamily(stored.family_id);
+    }
+    return Boolean(stored);
+}
+
+/**
+ * Ends every session of a user: bumps token_version, so outstanding access tokens stop working, and revokes
+ * every refresh token.
+ * @param {number} userId - The user.
+ * @returns {object} The user row with the new token_version.
+ */
+function revokeAllSessions(userId) {
+    return db.transaction(() => {
+        db.prepare('UPDATE users SET token_version = token_version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(userId);
+        db.prepare('UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL').run(userId);
+        return db.prepare('SELECT id, name, email, role, phone, address, token_version FROM users WHERE id = ?').get(userId);
+    })();
+}
+
+module.exports = {
+    hashToken,
+    verifyAccessToken,
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAllSessions
+};
@@ -0,0 +1,169 @@
+// backend/src/utils/backorders.js
+const { db } = require('../config/database');
+const { changeStock, allocateOrderLines } = require('./inventory');
+const { getAvailableToPromise } = require('./reservations');
+const { takeLots } = require('./lots');
+const { recordStatusChange, getShipmentWithOrder } = require('./statusTransitions');
+const { generateTrackingNumber, createOrderShipments } = require('./shipments');
+
+/**
+ * Fetches a backorder with its product and customer.
+ * @param {number} backorderId - The backorder to look up.
+ * @returns {object | undefined} The backorders row with product_name, sku, user_id, user_name and order_status.
+ */
+function getBackorder(backorderId) {
+    return db.prepare(`
+        SELECT b.*, p.name as product_name, p.sku, o.user_id, u.name as user_name, o.status as order_status
+        FROM backorders b
+        JOIN products p ON b.product_id = p.id
+        JOIN orders o ON b.order_id = o.id
+        JOIN users u ON o.user_id = u.id
+        WHERE b.id = ?
+    `).get(backorderId);
+}
+
+/**
+ * Lists backorders, oldest first (the order they are filled in).
+ * @param {object} filters - { status, productId }, both optional.
+ * @returns {Array<object>} Rows shaped like getBackorder.
+ */
+function listBackorders({ status = null, productId = null } = {}) {
+    return db.prepare(`
+        SELECT b.*, p.name as product_name, p.sku, o.user_id, u.name as user_name, o.status as order_status
+        FROM backorders b
+        JOIN products p ON b.product_id = p.id
+        JOIN orders o ON b.order_id = o.id
+        JOIN users u ON o.user_id = u.id
+        WHERE (? IS NULL OR b.status = ?) AND (? IS NULL OR b.product_id = ?)
+        ORDER BY b.id ASC
+    `).all(status, status, productId, productId);
+}
+
+/**
+ * Records the short part of an order line as a backordered order_items row (no warehouse yet)
+ * and queues it. Must be called inside the order's db.transaction.
+ * @param {number} orderId - The order being placed.
+ * @param {object} line - { productId, quantity, price }.
+ * @returns {number} The id of the backorder.
+ */
+function createBackorder(orderId, { productId, quantity, price }) {
+    const orderItem = db.prepare('INSERT INTO order_items (order_id, product_id, quantity, price, warehouse_id) VALUES (?, ?, ?, ?, NULL)')
+        .run(orderId, productId, quantity, price);
+    const info = db.prepare('INSERT INTO backorders (order_id, order_item_id, product_id, quantity) VALUES (?, ?, ?, ?)')
+        .run(orderId, orderItem.lastInsertRowid, productId, quantity);
+    return info.lastInsertRowid;
+}
+
+/**
+ * Allocates received stock to a product's waiting backorders, first in first out. Each filled backorder
+ * takes its stock (a `sale` ledger row per warehouse used) and gets its own pending shipment.
+ * The queue stops at the first backorder that cannot be filled whole, so later ones never jump it.
+ * @param {number} productId - The product whose stock was received.
+ * @param {object} options - { changedBy: the acting user id }.
+ * @returns {Array<object>} Per filled backorder: { backorder, shipments }.
+ */
+function fillBackorders(productId, { changedBy = null } = {}) {
+    return db.transaction(() => {
+        const waiting = db.prepare(`
+            SELECT b.*, oi.price, o.status as order_status, p.sku
+            FROM backorders b
+            JOIN order_items oi ON b.order_item_id = oi.id
+            JOIN orders o ON b.order_id = o.id
+            JOIN products p ON b.product_id = p.id
+            WHERE b.product_id = ? AND b.status = 'waiting'
+            ORDER BY b.id ASC
+        `).all(productId);
+
+        const insertOrderItem = db.prepare('INSERT INTO order_items (order_id, product_id, quantity, price, warehouse_id, lot_id, unit_cost, cogs) VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
+
+        const filled = [];
+        for (const backorder of waiting) {
+            // Stock held in shoppers' carts stays promised to them
+            if (getAvailableToPromise(productId) < backorder.quantity) {
+                break;
+            }
+
+            // The backordered line takes the first warehouse and lot; any further ones get lines of their own.
+            // Within a warehouse, lots ship first-expiry-first-out
+            const allocations = allocateOrderLines([{ productId, quantity: backorder.quantity }])[0];
+            const shipmentLines = [];
+            for (const allocation of allocations) {
+                for (const portion of takeLots(productId, allocation.warehouseId, allocation.quantity)) {
+                    const sale = changeStock(productId, allocation.warehouseId, -portion.quantity, {
+                        type: 'sale',
+                        reason: `Order #${backorder.order_id} (backorder)`,
+                        createdBy: changedBy
+                    });
+                    let orderItemId = backorder.order_item_id;
+                    if (shipmentLines.length === 0) {
+                        db.prepare('UPDATE order_items SET quantity = ?, warehouse_id = ?, lot_id = ?, unit_cost = ?, cogs = ? WHERE id = ?')
+                            .run(portion.quantity, allocation.warehouseId, portion.lotId, sale.unitCost, sale.cost, backorder.order_item_id);
+                    } else {
+                        orderItemId = insertOrderItem.run(backorder.order_id, productId, portion.quantity, backorder.price, allocation.warehouseId, portion.lotId, sale.unitCost, sale.cost).lastInsertRowid;
+                    }
+                    shipmentLines.push({
+                        orderItemId,
+                        quantity: portion.quantity,
+                        warehouseId: allocation.warehouseId,
+                        warehouseName: allocation.warehouseName
+                    });
+                }
+            }
+
+            const shipmentIds = createOrderShipments(backorder.order_id, shipmentLines, {
+                trackingNumber: generateTrackingNumber(),
+                createdBy: changedBy,
+                note: 'Backorder allocated'
+            });
+            db.prepare("UPDATE backorders SET status = 'allocated', allocated_at = CURRENT_TIMESTAMP WHERE id = ?").run(backorder.id);
+            recordStatusChange('order', backorder.order_id, backorder.order_status, backorder.order_status, changedBy,
+                `Backorder allocated: ${backorder.quantity} x ${backorder.sku}`);
+
+            filled.push({
+                backorder: getBackorder(backorder.id),
+                shipments: shipmentIds.map(shipmentId => getShipmentWithOrder(shipmentId))
+            });
+        }
+        return filled;
+    })();
+}
+
+/**
+ * Tells each customer their backorder has been allocated (`order_status_updated`) and broadcasts the
+ * new parcels. The caller broadcasts the product's stock along with the receipt.
+ * @param {object} io - The Socket.IO server.
+ * @param {Array<object>} filled - The value returned by fillBackorders.
+ */
+function broadcastBackordersFilled(io, filled) {
+    if (filled.length === 0) {
+        return;
+    }
+    if (!io) {
+        console.warn('Socket.io instance not found. Backorder allocations will not be broadcast in real-time.');
+        return;
+    }
+    for (const { backorder, shipments } of filled) {
+        io.emit('order_status_updated', {
+            orderId: backorder.order_id,
+            userId: backorder.user_id,
+            status: backorder.order_status,
+            backorder: {
+                id: backorder.id,
+                productId: backorder.product_id,
+                productName: backorder.product_name,
+                quantity: backorder.quantity
+            },
+            message: `${backorder.quantity} x ${backorder.product_name} on order #${backorder.order_id} is back in stock and will ship soon.`,
+            timestamp: new Date().toISOString()
+        });
+        shipments.forEach(shipment => io.emit('shipment_status_updated', shipment));
+    }
+}
+
+module.exports = {
+    getBackorder,
+    listBackorders,
+    createBackorder,
+    fillBackorders,
+    broadcastBackordersFilled
+};
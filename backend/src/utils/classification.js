@@ -0,0 +1,129 @@
+// backend/src/utils/classification.js
+const { db } = require('../config/database');
+const { getDailyDemand } = require('./forecasting');
+
+// Cumulative share of revenue (%) up to which products are class A, then class B; the rest are C
+const ABC_THRESHOLDS = { A: 80, B: 95 };
+// Coefficient of variation of weekly demand up to which products are class X, then class Y; the rest are Z
+const XYZ_THRESHOLDS = { X: 0.5, Y: 1.0 };
+const ABC_CLASSES = ['A', 'B', 'C'];
+const XYZ_CLASSES = ['X', 'Y', 'Z'];
+
+/**
+ * Coefficient of variation (population standard deviation over mean) of a demand series.
+ * @param {Array<number>} series - Units per period.
+ * @returns {number|null} The coefficient, or null when there was no demand at all.
+ */
+function coefficientOfVariation(series) {
+    const mean = series.reduce((sum, value) => sum + value, 0) / series.length;
+    if (mean === 0) {
+        return null;
+    }
+    const variance = series.reduce((sum, value) => sum + (value - mean) ** 2, 0) / series.length;
+    return Math.sqrt(variance) / mean;
+}
+
+/**
+ * Classifies every product and stores the result on products.abc_class / xyz_class.
+ * ABC ranks products by revenue from order_items (cancelled orders left out): products making up the
+ * first 80% of revenue are A, the next 15% B, everything else C. A product is placed by the share
+ * reached before it, so the top seller is always A.
+ * XYZ looks at how steady weekly demand is: X up to a coefficient of variation of 0.5, Y up to 1.0,
+ * Z beyond that or with no demand at all.
+ * @param {object} [options] - { periodDays: days of history analysed, rounded down to whole weeks (default 91) }.
+ * @returns {object} { classified_at, period_days, thresholds, matrix: { AX: { products, revenue }, ... }, products: [...] }.
+ */
+function classifyProducts({ periodDays = 91 } = {}) {
+    const weeks = Math.floor(periodDays / 7);
+    const historyDays = weeks * 7;
+    const products = db.prepare('SELECT id, name, sku, category, archived_at FROM products').all();
+    const revenueByProduct = new Map(db.prepare(`
+        SELECT oi.product_id, SUM(oi.quantity * oi.price) as revenue
+        FROM order_items oi
+        JOIN orders o ON oi.order_id = o.id
+        WHERE o.status != 'cancelled' AND DATE(o.order_date) >= date('now', ?) AND DATE(o.order_date) < date('now')
+        GROUP BY oi.product_id
+    `).all(`-${historyDays} days`).map(row => [row.product_id, row.revenue]));
+
+    const totalRevenue = [...revenueByProduct.values()].reduce((sum, revenue) => sum + revenue, 0);
+    const ranked = products
+        .map(product => ({ ...product, revenue: Math.round((revenueByProduct.get(product.id) || 0) * 100) / 100 }))
+        .sort((a, b) => b.revenue - a.revenue || a.name.localeCompare(b.name));
+
+    let cumulativeShare = 0;
+    const results = ranked.map(product => {
+        const share = totalRevenue > 0 ? (product.revenue / totalRevenue) * 100 : 0;
+        let abcClass = 'C';
+        if (product.revenue > 0) {
+            abcClass = cumulativeShare < ABC_THRESHOLDS.A ? 'A' : cumulativeShare < ABC_THRESHOLDS.B ? 'B' : 'C';
+        }
+        cumulativeShare += share;
+
+        const daily = getDailyDemand(product.id, historyDays);
+        const weekly = Array.from({ length: weeks }, (_, week) =>
+            daily.slice(week * 7, week * 7 + 7).reduce((sum, day) => sum + day.units, 0));
+        const cv = coefficientOfVariation(weekly);
+        let xyzClass = 'Z';
+        if (cv !== null) {
+            xyzClass = cv <= XYZ_THRESHOLDS.X ? 'X' : cv <= XYZ_THRESHOLDS.Y ? 'Y' : 'Z';
+        }
+
+        return {
+            product_id: product.id,
+            name: product.name,
+            sku: product.sku,
+            category: product.category,
+            archived: !!product.archived_at,
+            revenue: product.revenue,
+            revenue_share: Math.round(share * 10) / 10,
+            cumulative_share: Math.round(cumulativeShare * 10) / 10,
+            units: weekly.reduce((sum, units) => sum + units, 0),
+            demand_cv: cv === null ? null : Math.round(cv * 100) / 100,
+            abc_class: abcClass,
+            xyz_class: xyzClass
+        };
+    });
+
+    const classifiedAt = new Date().toISOString();
+    const updateStmt = db.prepare('UPDATE products SET abc_class = ?, xyz_class = ?, classified_at = ? WHERE id = ?');
+    db.transaction(() => {
+        results.forEach(result => updateStmt.run(result.abc_class, result.xyz_class, classifiedAt, result.product_id));
+    })();
+
+    const matrix = {};
+    ABC_CLASSES.forEach(abcClass => XYZ_CLASSES.forEach(xyzClass => {
+        const cell = results.filter(result => result.abc_class === abcClass && result.xyz_class === xyzClass);
+        matrix[`${abcClass}${xyzClass}`] = {
+            products: cell.length,
+            revenue: Math.round(cell.reduce((sum, result) => sum + result.revenue, 0) * 100) / 100
+        };
+    }));
+
+    return {
+        classified_at: classifiedAt,
+        period_days: historyDays,
+        thresholds: { abc: ABC_THRESHOLDS, xyz: XYZ_THRESHOLDS },
+        matrix,
+        products: results
+    };
+}
+
+/**
+ * Tells connected admin clients that product classes changed.
+ * @param {object} io - The Socket.IO server.
+ * @param {object} result - The result of classifyProducts.
+ */
+function broadcastClassificationUpdate(io, result) {
+    if (!io) {
+        console.warn('Socket.io instance not found. Product classes will not be broadcast in real-time.');
+        return;
+    }
+    io.emit('products_classified', { classified_at: result.classified_at, matrix: result.matrix });
+}
+
+module.exports = {
+    ABC_CLASSES,
+    XYZ_CLASSES,
+    classifyProducts,
+    broadcastClassificationUpdate
+};
@@ -0,0 +1,380 @@
+// backend/src/utils/cycleCounts.js
+const { db } = require('../config/database');
+const { changeStock, getInventorySnapshot } = require('./inventory');
+const { statusError } = require('./statusTransitions');
+const { fillBackorders, broadcastBackordersFilled } = require('./backorders');
+
+// Why stock was adjusted; every `adjustment` ledger row carries one
+const ADJUSTMENT_REASON_CODES = ['damaged', 'expired', 'lost', 'theft', 'found', 'miscount', 'data_entry', 'other'];
+
+// Variances worth more than this at selling price need an approver, unless a count sets its own threshold
+const DEFAULT_APPROVAL_THRESHOLD = parseFloat(process.env.CYCLE_COUNT_APPROVAL_THRESHOLD || '100') || 100;
+
+/**
+ * Fetches a cycle count with its lines, each with the counters' entries and its variance.
+ * variance is counted - system quantity and variance_value its size at selling price; both are null
+ * until the line is counted.
+ * @param {number} cycleCountId - The cycle count to fetch.
+ * @returns {object | undefined} The cycle_counts row with warehouse_name, created_by_name, lines and summary.
+ */
+function getCycleCount(cycleCountId) {
+    const cycleCount = db.prepare(`
+        SELECT cc.*, w.name as warehouse_name, u.name as created_by_name, pu.name as posted_by_name
+        FROM cycle_counts cc
+        JOIN warehouses w ON cc.warehouse_id = w.id
+        LEFT JOIN users u ON cc.created_by = u.id
+        LEFT JOIN users pu ON cc.posted_by = pu.id
+        WHERE cc.id = ?
+    `).get(cycleCountId);
+    if (!cycleCount) {
+        return cycleCount;
+    }
+
+    const entriesStmt = db.prepare(`
+        SELECT e.counted_by, u.name as counted_by_name, e.quantity, e.created_at
+        FROM cycle_count_entries e
+        JOIN users u ON e.counted_by = u.id
+        WHERE e.line_id = ?
+        ORDER BY e.created_at, e.id
+    `);
+    cycleCount.lines = db.prepare(`
+        SELECT ccl.*, p.name as product_name, p.sku, p.category, p.price, au.name as approved_by_name
+        FROM cycle_count_lines ccl
+        JOIN products p ON ccl.product_id = p.id
+        LEFT JOIN users au ON ccl.approved_by = au.id
+        WHERE ccl.cycle_count_id = ?
+        ORDER BY p.category, p.name
+    `).all(cycleCountId).map(line => {
+        const variance = line.counted_quantity === null ? null : line.counted_quantity - line.system_quantity;
+        return {
+            ...line,
+            variance,
+            variance_value: variance === null ? null : Math.round(Math.abs(variance) * line.price * 100) / 100,
+            entries: entriesStmt.all(line.id)
+        };
+    });
+
+    const counted = cycleCount.lines.filter(line => line.variance !== null);
+    cycleCount.summary = {
+        lines: cycleCount.lines.length,
+        counted: counted.length,
+        disputed: cycleCount.lines.filter(line => line.status === 'disputed').length,
+        with_variance: counted.filter(line => line.variance !== 0).length,
+        awaiting_approval: cycleCount.lines.filter(line => line.status === 'awaiting_approval').length,
+        units_over: counted.filter(line => line.variance > 0).reduce((sum, line) => sum + line.variance, 0),
+        units_short: counted.filter(line => line.variance < 0).reduce((sum, line) => sum - line.variance, 0)
+    };
+    return cycleCount;
+}
+
+/**
+ * Lists cycle counts, newest first, with their line and variance counts.
+ * @param {object} filters - { status }, optional.
+ * @returns {Array<object>} cycle_counts rows with warehouse_name, line_count, counted_lines and variance_lines.
+ */
+function listCycleCounts({ status = null } = {}) {
+    return db.prepare(`
+        SELECT cc.*, w.name as warehouse_name, u.name as created_by_name,
+               COUNT(ccl.id) as line_count,
+               SUM(CASE WHEN ccl.counted_quantity IS NOT NULL THEN 1 ELSE 0 END) as counted_lines,
+               SUM(CASE WHEN ccl.counted_quantity IS NOT NULL AND ccl.counted_quantity != ccl.system_quantity THEN 1 ELSE 0 END) as variance_lines
+        FROM cycle_counts cc
+        JOIN warehouses w ON cc.warehouse_id = w.id
+        LEFT JOIN users u ON cc.created_by = u.id
+        LEFT JOIN cycle_count_lines ccl ON ccl.cycle_count_id = cc.id
+        WHERE (? IS NULL OR cc.status = ?)
+        GROUP BY cc.id
+        ORDER BY cc.created_at DESC, cc.id DESC
+    `).all(status, status);
+}
+
+/**
+ * Loads a cycle count for a change, throwing unless it exists and is in one of the given statuses.
+ * @param {number} cycleCountId - The cycle count.
+ * @param {Array<string>} statuses - Statuses the change is allowed in.
+ * @param {string} action - What is being done, for the error message.
+ * @returns {object} The cycle_counts row.
+ */
+function getCycleCountFor(cycleCountId, statuses, action) {
+    const cycleCount = db.prepare('SELECT * FROM cycle_counts WHERE id = ?').get(cycleCountId);
+    if (!cycleCount) {
+        throw statusError('Cycle count not found', 404);
+    }
+    if (!statuses.includes(cycleCount.status)) {
+        throw statusError(`Cannot ${action} cycle count ${cycleCount.count_number} (current status: ${cycleCount.status}).`, 409);
+    }
+    return cycleCount;
+}
+
+/**
+ * Generates a count sheet: every active product held (or defaulting to) the warehouse, optionally only
+ * one category or a list of products. Each line snapshots the system quantity at generation time.
+ * A product can only be on one open count per warehouse.
+ * @param {object} params - { warehouseId, category, productIds, approvalThreshold, notes, createdBy }.
+ * @returns {object} The new cycle count (see getCycleCount).
+ */
+function createCycleCount({ warehouseId, category = null, productIds = null, approvalThreshold = null, notes = null, createdBy }) {
+    const cycleCountId = db.transaction(() => {
+        const warehouse = db.prepare('SELECT id, name FROM warehouses WHERE id = ?').get(warehouseId);
+        if (!warehouse) {
+            throw statusError(`Warehouse ${warehouseId} not found.`, 404);
+        }
+
+        const products = db.prepare(`
+            SELECT p.id, p.sku, COALESCE(sl.quantity, 0) as quantity
+            FROM products p
+            LEFT JOIN stock_locations sl ON sl.product_id = p.id AND sl.warehouse_id = ?
+            WHERE p.archived_at IS NULL
+              AND (sl.id IS NOT NULL OR p.location = ?)
+              AND (? IS NULL OR p.category = ?)
+            ORDER BY p.category, p.name
+        `).all(warehouse.id, warehouse.name, category, category)
+            .filter(product => !productIds || productIds.includes(product.id));
+        if (products.length === 0) {
+            throw statusError(`${warehouse.name} holds no products${category ? ` in ${category}` : ''} to count.`, 400);
+        }
+
+        const openLine = db.prepare(`
+            SELECT cc.count_number
+            FROM cycle_count_lines ccl
+            JOIN cycle_counts cc ON ccl.cycle_count_id = cc.id
+            WHERE ccl.product_id = ? AND cc.warehouse_id = ? AND cc.status IN ('counting', 'review')
+        `);
+        for (const product of products) {
+            const open = openLine.get(product.id, warehouse.id);
+            if (open) {
+                throw statusError(`${product.sku} is already being counted in ${warehouse.name} on ${open.count_number}.`, 409);
+            }
+        }
+
+        const countNumber = `CC${Date.now()}${Math.floor(Math.random() * 100000)}`;
+        const info = db.prepare(`
+            INSERT INTO cycle_counts (count_number, warehouse_id, category, approval_threshold, notes, created_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(countNumber, warehouse.id, category, approvalThreshold ?? DEFAULT_APPROVAL_THRESHOLD, notes, createdBy);
+        const insertLine = db.prepare('INSERT INTO cycle_count_lines (cycle_count_id, product_id, system_quantity) VALUES (?, ?, ?)');
+        products.forEach(product => insertLine.run(info.lastInsertRowid, product.id, product.quantity));
+        return info.lastInsertRowid;
+    })();
+    return getCycleCount(cycleCountId);
+}
+
+/**
+ * Settles a line from its counters' entries: counted when they all agree, disputed when they do not.
+ * @param {number} lineId - The cycle_count_lines row.
+ */
+function reconcileLine(lineId) {
+    const quantities = db.prepare('SELECT DISTINCT quantity FROM cycle_count_entries WHERE line_id = ?').all(lineId);
+    if (quantities.length === 0) {
+        db.prepare("UPDATE cycle_count_lines SET status = 'pending', counted_quantity = NULL WHERE id = ?").run(lineId);
+    } else if (quantities.length === 1) {
+        db.prepare("UPDATE cycle_count_lines SET status = 'counted', counted_quantity = ? WHERE id = ?").run(quantities[0].quantity, lineId);
+    } else {
+        db.prepare("UPDATE cycle_count_lines SET status = 'disputed', counted_quantity = NULL WHERE id = ?").run(lineId);
+    }
+}
+
+/**
+ * Records what one counter counted. Several counters may count the same line; a counter counting
+ * a line again replaces their earlier figure.
+ * @param {number} cycleCountId - The cycle count being counted.
+ * @param {Array<object>} items - [{ line_id, quantity }].
+ * @param {object} options - { countedBy: the counter's user id }.
+ * @returns {object} The updated cycle count.
+ */
+function recordCounts(cycleCountId, items, { countedBy }) {
+    db.transaction(() => {
+        getCycleCountFor(cycleCountId, ['counting'], 'record counts on');
+        const lineStmt = db.prepare('SELECT id FROM cycle_count_lines WHERE id = ? AND cycle_count_id = ?');
+        for (const item of items) {
+            if (!lineStmt.get(item.line_id, cycleCountId)) {
+                throw statusError(`Line ${item.line_id} is not on this count sheet.`, 400);
+            }
+            db.prepare(`
+                INSERT INTO cycle_count_entries (line_id, counted_by, quantity) VALUES (?, ?, ?)
+                ON CONFLICT(line_id, counted_by) DO UPDATE SET quantity = excluded.quantity, created_at = CURRENT_TIMESTAMP
+            `).run(item.line_id, countedBy, item.quantity);
+            reconcileLine(item.line_id);
+        }
+    })();
+    return getCycleCount(cycleCountId);
+}
+
+/**
+ * Sends a line back to be counted again: its entries are cleared, and a count under review returns to counting.
+ * Used to settle disputed lines and by approvers who do not accept a variance.
+ * @param {number} cycleCountId - The cycle count.
+ * @param {number} lineId - The line to recount.
+ * @returns {object} The updated cycle count.
+ */
+function requestRecount(cycleCountId, lineId) {
+    db.transaction(() => {
+        const cycleCount = getCycleCountFor(cycleCountId, ['counting', 'review'], 'recount lines on');
+        const line = db.prepare('SELECT id FROM cycle_count_lines WHERE id = ? AND cycle_count_id = ?').get(lineId, cycleCountId);
+        if (!line) {
+            throw statusError(`Line ${lineId} is not on this count sheet.`, 400);
+        }
+        db.prepare('DELETE FROM cycle_count_entries WHERE line_id = ?').run(lineId);
+        db.prepare("UPDATE cycle_count_lines SET status = 'pending', counted_quantity = NULL, approved_by = NULL, approved_at = NULL WHERE id = ?").run(lineId);
+        if (cycleCount.status === 'review') {
+            // Lines already reviewed go back to counted; they are re-assessed on the next submit
+            db.prepare("UPDATE cycle_count_lines SET status = 'counted', approved_by = NULL, approved_at = NULL WHERE cycle_count_id = ? AND status IN ('awaiting_approval', 'approved')").run(cycleCountId);
+            db.prepare("UPDATE cycle_counts SET status = 'counting', submitted_at = NULL WHERE id = ?").run(cycleCountId);
+        }
+    })();
+    return getCycleCount(cycleCountId);
+}
+
+/**
+ * Closes counting and computes variances. Lines whose variance is worth more than the count's approval
+ * threshold wait for approval; the rest are approved as counted.
+ * @param {number} cycleCountId - The cycle count.
+ * @returns {object} The updated cycle count.
+ */
+function submitCycleCount(cycleCountId) {
+    db.transaction(() => {
+        const cycleCount = getCycleCountFor(cycleCountId, ['counting'], 'submit');
+        const open = db.prepare("SELECT COUNT(*) as pending FROM cycle_count_lines WHERE cycle_count_id = ? AND status IN ('pending', 'disputed')").get(cycleCountId);
+        if (open.pending > 0) {
+            throw statusError(`${open.pending} line(s) are not counted yet or have counters who disagree. Count or recount them first.`, 409);
+        }
+
+        const lines = db.prepare(`
+            SELECT ccl.id, ccl.system_quantity, ccl.counted_quantity, p.price
+            FROM cycle_count_lines ccl
+            JOIN products p ON ccl.product_id = p.id
+            WHERE ccl.cycle_count_id = ?
+        `).all(cycleCountId);
+        for (const line of lines) {
+            const varianceValue = Math.abs(line.counted_quantity - line.system_quantity) * line.price;
+            db.prepare('UPDATE cycle_count_lines SET status = ? WHERE id = ?')
+                .run(varianceValue > cycleCount.approval_threshold ? 'awaiting_approval' : 'approved', line.id);
+        }
+        db.prepare("UPDATE cycle_counts SET status = 'review', submitted_at = CURRENT_TIMESTAMP WHERE id = ?").run(cycleCountId);
+    })();
+    return getCycleCount(cycleCountId);
+}
+
+/**
+ * Approves variances and records why they happened. Lines over the threshold must be approved here;
+ * any line with a variance needs a reason code before the count can be posted.
+ * @param {number} cycleCountId - The cycle count under review.
+ * @param {Array<object>} items - [{ line_id, reason_code, notes }].
+ * @param {object} options - { approvedBy: admin user id }.
+ * @returns {object} The updated cycle count.
+ */
+function approveLines(cycleCountId, items, { approvedBy }) {
+    db.transaction(() => {
+        getCycleCountFor(cycleCountId, ['review'], 'approve lines on');
+        const lineStmt = db.prepare('SELECT * FROM cycle_count_lines WHERE id = ? AND cycle_count_id = ?');
+        for (const item of items) {
+            const line = lineStmt.get(item.line_id, cycleCountId);
+            if (!line) {
+                throw statusError(`Line ${item.line_id} is not on this count sheet.`, 400);
+            }
+            db.prepare(`
+                UPDATE cycle_count_lines
+                SET status = 'approved', reason_code = COALESCE(?, reason_code), notes = COALESCE(?, notes),
+                    approved_by = CASE WHEN status = 'awaiting_approval' THEN ? ELSE approved_by END,
+                    approved_at = CASE WHEN status = 'awaiting_approval' THEN CURRENT_TIMESTAMP ELSE approved_at END
+                WHERE id = ?
+            `).run(item.reason_code || null, item.notes || null, approvedBy, line.id);
+        }
+    })();
+    return getCycleCount(cycleCountId);
+}
+
+/**
+ * Posts an approved count: each variance becomes an `adjustment` ledger row with its reason code.
+ * The variance is applied to the stock as it is now, so units sold or received while counting are kept;
+ * stock never goes below zero. Positive adjustments fill waiting backorders.
+ * @param {number} cycleCountId - The cycle count under review.
+ * @param {object} options - { postedBy: admin user id }.
+ * @returns {object} { cycleCount, productIds adjusted, filledBackorders }.
+ */
+function postCycleCount(cycleCountId, { postedBy }) {
+    const result = db.transaction(() => {
+        const cycleCount = getCycleCountFor(cycleCountId, ['review'], 'post');
+        const lines = db.prepare(`
+            SELECT ccl.*, p.sku
+            FROM cycle_count_lines ccl
+            JOIN products p ON ccl.product_id = p.id
+            WHERE ccl.cycle_count_id = ?
+        `).all(cycleCountId);
+        const unapproved = lines.filter(line => line.status !== 'approved');
+        if (unapproved.length > 0) {
+            throw statusError(`Variances on ${unapproved.map(line => line.sku).join(', ')} are waiting for approval.`, 409);
+        }
+        const variances = lines.filter(line => line.counted_quantity !== line.system_quantity);
+        const unexplained = variances.filter(line => !line.reason_code);
+        if (unexplained.length > 0) {
+            throw statusError(`Give a reason code for the variance on ${unexplained.map(line => line.sku).join(', ')}.`, 400);
+        }
+
+        const increased = [];
+        for (const line of variances) {
+            const location = db.prepare('SELECT quantity FROM stock_locations WHERE product_id = ? AND warehouse_id = ?').get(line.product_id, cycleCount.warehouse_id);
+            const onHand = location ? location.quantity : 0;
+            const delta = Math.max(line.counted_quantity - line.system_quantity, -onHand);
+            if (delta === 0) {
+                continue;
+            }
+            changeStock(line.product_id, cycleCount.warehouse_id, delta, {
+                type: 'adjustment',
+                reason: `${cycleCount.count_number}: counted ${line.counted_quantity}, system ${line.system_quantity}${line.notes ? ` (${line.notes})` : ''}`,
+                reasonCode: line.reason_code,
+                createdBy: postedBy
+            });
+            if (delta > 0) {
+                increased.push(line.product_id);
+            }
+        }
+
+        db.prepare("UPDATE cycle_counts SET status = 'posted', posted_by = ?, posted_at = CURRENT_TIMESTAMP WHERE id = ?").run(postedBy, cycleCountId);
+        return { productIds: variances.map(line => line.product_id), increased };
+    })();
+
+    const filledBackorders = result.increased.flatMap(productId => fillBackorders(productId, { changedBy: postedBy }));
+    return { cycleCount: getCycleCount(cycleCountId), productIds: result.productIds, filledBackorders };
+}
+
+/**
+ * Abandons a count that has not been posted. Nothing is adjusted.
+ * @param {number} cycleCountId - The cycle count.
+ * @returns {object} The updated cycle count.
+ */
+function cancelCycleCount(cycleCountId) {
+    getCycleCountFor(cycleCountId, ['counting', 'review'], 'cancel');
+    db.prepare("UPDATE cycle_counts SET status = 'cancelled' WHERE id = ?").run(cycleCountId);
+    return getCycleCount(cycleCountId);
+}
+
+/**
+ * Broadcasts a cycle count change, plus the adjusted products and filled backorders once it is posted.
+ * @param {object} io - The Socket.IO server.
+ * @param {object} cycleCount - The cycle count as returned by getCycleCount.
+ * @param {object} [extras] - { productIds, filledBackorders } from postCycleCount.
+ */
+function broadcastCycleCountUpdate(io, cycleCount, { productIds = [], filledBackorders = [] } = {}) {
+    if (!io) {
+        console.warn('Socket.io instance not found. Cycle count updates will not be broadcast in real-time.');
+        return;
+    }
+    io.emit('cycle_count_updated', cycleCount);
+    productIds.forEach(productId => io.emit('inventory_changed', getInventorySnapshot(productId)));
+    broadcastBackordersFilled(io, filledBackorders);
+}
+
+module.exports = {
+    ADJUSTMENT_REASON_CODES,
+    getCycleCount,
+    listCycleCounts,
+    createCycleCount,
+    recordCounts,
+    requestRecount,
+    submitCycleCount,
+    approveLines,
+    postCycleCount,
+    cancelCycleCount,
+    broadcastCycleCountUpdate
+};
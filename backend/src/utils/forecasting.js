@@ -0,0 +1,233 @@
+// backend/src/utils/forecasting.js
+const { db } = require('../config/database');
+
+// Days in the seasonal cycle: demand follows the day of the week
+const SEASON_LENGTH = 7;
+// Trailing days the moving average is taken over
+const MOVING_AVERAGE_WINDOW = 7;
+// z-scores for the supported confidence levels
+const Z_SCORES = { 80: 1.2816, 90: 1.6449, 95: 1.96 };
+// Smoothing parameters tried when fitting the seasonal model (level, trend, season)
+const ALPHAS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+const BETAS = [0, 0.05, 0.1];
+const GAMMAS = [0.05, 0.1, 0.2, 0.3, 0.5];
+
+/**
+ * Shifts a YYYY-MM-DD date by a number of days.
+ * @param {string} date - The starting date.
+ * @param {number} days - Days to add (negative to go back).
+ * @returns {string} The shifted date as YYYY-MM-DD.
+ */
+function addDays(date, days) {
+    const shifted = new Date(`${date}T00:00:00Z`);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * Units of a product ordered per day over the last `historyDays` complete days (today, still under way,
+ * is left out), from order_items. Cancelled orders are left out; days without orders count as zero.
+ * @param {number} productId - The product to look up.
+ * @param {number} historyDays - How many days of history to return.
+ * @returns {Array<object>} [{ date, units }], oldest first.
+ */
+function getDailyDemand(productId, historyDays) {
+    const { today } = db.prepare("SELECT date('now') as today").get();
+    const start = addDays(today, -historyDays);
+    const rows = db.prepare(`
+        SELECT DATE(o.order_date) as date, SUM(oi.quantity) as units
+        FROM order_items oi
+        JOIN orders o ON oi.order_id = o.id
+        WHERE oi.product_id = ? AND o.status != 'cancelled' AND DATE(o.order_date) >= ? AND DATE(o.order_date) < ?
+        GROUP BY DATE(o.order_date)
+    `).all(productId, start, today);
+
+    const unitsByDate = new Map(rows.map(row => [row.date, row.units]));
+    return Array.from({ length: historyDays }, (_, index) => {
+        const date = addDays(start, index);
+        return { date, units: unitsByDate.get(date) || 0 };
+    });
+}
+
+/**
+ * Root mean square and mean absolute value of one-step-ahead forecast errors.
+ * @param {Array<number>} errors - Actual minus forecast, per day.
+ * @returns {object} { rmse, mae }.
+ */
+function summariseErrors(errors) {
+    if (errors.length === 0) {
+        return { rmse: 0, mae: 0 };
+    }
+    return {
+        rmse: Math.sqrt(errors.reduce((sum, error) => sum + error * error, 0) / errors.length),
+        mae: errors.reduce((sum, error) => sum + Math.abs(error), 0) / errors.length
+    };
+}
+
+/**
+ * Trailing moving average: every future day is forecast as the mean of the last `window` days.
+ * @param {Array<number>} series - Daily units, oldest first.
+ * @param {number} horizon - Days to forecast.
+ * @param {number} window - Days averaged.
+ * @returns {object} { values: forecast per future day, errors: in-sample one-step-ahead errors }.
+ */
+function movingAverage(series, horizon, window = MOVING_AVERAGE_WINDOW) {
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const errors = [];
+    for (let t = window; t < series.length; t++) {
+        errors.push(series[t] - mean(series.slice(t - window, t)));
+    }
+    const level = series.length >= window ? mean(series.slice(-window)) : mean(series);
+    return { values: new Array(horizon).fill(level), errors };
+}
+
+/**
+ * Additive Holt-Winters exponential smoothing (level, trend and a weekly season) with fixed parameters.
+ * The first two seasons initialise the level, trend and seasonal indices.
+ * @param {Array<number>} series - Daily units, oldest first; at least two seasons long.
+ * @param {number} horizon - Days to forecast.
+ * @param {object} params - { alpha, beta, gamma }.
+ * @returns {object} { values: forecast per future day, errors: in-sample one-step-ahead errors }.
+ */
+function holtWinters(series, horizon, { alpha, beta, gamma }) {
+    const m = SEASON_LENGTH;
+    const firstSeason = series.slice(0, m);
+    const secondSeason = series.slice(m, 2 * m);
+    const firstMean = firstSeason.reduce((sum, value) => sum + value, 0) / m;
+    const secondMean = secondSeason.reduce((sum, value) => sum + value, 0) / m;
+
+    let level = firstMean;
+    let trend = (secondMean - firstMean) / m;
+    const seasonals = firstSeason.map(value => value - firstMean);
+    const errors = [];
+
+    for (let t = m; t < series.length; t++) {
+        const season = seasonals[t % m];
+        errors.push(series[t] - (level + trend + season));
+
+        const previousLevel = level;
+        level = alpha * (series[t] - season) + (1 - alpha) * (level + trend);
+        trend = beta * (level - previousLevel) + (1 - beta) * trend;
+        seasonals[t % m] = gamma * (series[t] - level) + (1 - gamma) * season;
+    }
+
+    const last = series.length - 1;
+    const values = Array.from({ length: horizon }, (_, index) => level + (index + 1) * trend + seasonals[(last + index + 1) % m]);
+    return { values, errors };
+}
+
+/**
+ * Fits Holt-Winters by trying every parameter combination on the grid and keeping the one with
+ * the smallest in-sample squared error.
+ * @param {Array<number>} series - Daily units, oldest first.
+ * @param {number} horizon - Days to forecast.
+ * @returns {object | null} { alpha, beta, gamma, values, errors }, or null when there are fewer than two seasons.
+ */
+function fitHoltWinters(series, horizon) {
+    if (series.length < 2 * SEASON_LENGTH) {
+        return null;
+    }
+    let best = null;
+    for (const alpha of ALPHAS) {
+        for (const beta of BETAS) {
+            for (const gamma of GAMMAS) {
+                const fit = holtWinters(series, horizon, { alpha, beta, gamma });
+                const sse = fit.errors.reduce((sum, error) => sum + error * error, 0);
+                if (!best || sse < best.sse) {
+                    best = { alpha, beta, gamma, sse, ...fit };
+                }
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Turns point forecasts into dated rows with a confidence band. The band widens with the square root
+ * of the horizon, from the model's one-step-ahead error; demand never goes below zero.
+ * @param {Array<number>} values - Forecast per future day.
+ * @param {Array<number>} errors - In-sample one-step-ahead errors.
+ * @param {string} lastDate - The last day of history (YYYY-MM-DD); the forecast starts the day after.
+ * @param {number} z - z-score of the confidence level.
+ * @returns {Array<object>} [{ date, value, lower, upper }].
+ */
+function toForecastRows(values, errors, lastDate, z) {
+    const { rmse } = summariseErrors(errors);
+    const round = (value) => Math.round(Math.max(0, value) * 100) / 100;
+    return values.map((value, index) => {
+        const margin = z * rmse * Math.sqrt(index + 1);
+        return {
+            date: addDays(lastDate, index + 1),
+            value: round(value),
+            lower: round(value - margin),
+            upper: round(value + margin)
+        };
+    });
+}
+
+/**
+ * Forecasts a product's daily demand with a moving average and with weekly-seasonal exponential smoothing.
+ * The model with the lower in-sample mean absolute error is returned as `recommended`.
+ * @param {number} productId - The product to forecast.
+ * @param {object} options - { historyDays, horizonDays, confidence: 80 | 90 | 95 }.
+ * @returns {object | undefined} The forecast, or undefined when the product does not exist.
+ */
+function forecastProduct(productId, { historyDays = 91, horizonDays = 28, confidence = 95 } = {}) {
+    const product = db.prepare('SELECT id, name, sku, category, stock_quantity FROM products WHERE id = ?').get(productId);
+    if (!product) {
+        return undefined;
+    }
+
+    const history = getDailyDemand(productId, historyDays);
+    const series = history.map(day => day.units);
+    const lastDate = history[history.length - 1].date;
+    const z = Z_SCORES[confidence];
+    const round = (value) => Math.round(value * 100) / 100;
+
+    const average = movingAverage(series, horizonDays);
+    const models = {
+        moving_average: {
+            window: MOVING_AVERAGE_WINDOW,
+            mae: round(summariseErrors(average.errors).mae),
+            forecast: toForecastRows(average.values, average.errors, lastDate, z)
+        },
+        exponential_smoothing: null
+    };
+
+    const smoothing = fitHoltWinters(series, horizonDays);
+    if (smoothing) {
+        models.exponential_smoothing = {
+            alpha: smoothing.alpha,
+            beta: smoothing.beta,
+            gamma: smoothing.gamma,
+            season_length: SEASON_LENGTH,
+            mae: round(summariseErrors(smoothing.errors).mae),
+            forecast: toForecastRows(smoothing.values, smoothing.errors, lastDate, z)
+        };
+    }
+
+    const recommended = models.exponential_smoothing && models.exponential_smoothing.mae <= models.moving_average.mae
+        ? 'exponential_smoothing'
+        : 'moving_average';
+    const total = (rows) => round(rows.reduce((sum, row) => sum + row.value, 0));
+
+    return {
+        product,
+        history_days: historyDays,
+        horizon_days: horizonDays,
+        confidence,
+        history,
+        models,
+        recommended,
+        forecast_total: total(models[recommended].forecast),
+        history_total: series.reduce((sum, units) => sum + units, 0)
+    };
+}
+
+module.exports = {
+    Z_SCORES,
+    getDailyDemand,
+    movingAverage,
+    holtWinters,
+    forecastProduct
+};
@@ -1,71 +1,320 @@
-// backend/src/utils/fraudDetection.js
-
-/**
- * Analyzes an order and returns a fraud risk assessment.
- * @param {object} orderData - The incoming order data from the request body.
- * @param {object | null} userHistory - The historical data for the user placing the order (can be null/undefined).
- * @returns {object} An object containing the fraud_risk ('low', 'medium', 'high') and fraud_reasons.
- */
-function detectFraudRisk(orderData, userHistory) {
-    let riskScore = 0;
-    const reasons = [];
-
-    // Ensure orderData.total_amount is a number for reliable comparison
-    const totalAmount = parseFloat(orderData.total_amount);
-    if (isNaN(totalAmount)) {
-        // Handle case where total_amount is not a valid number
-        // This might indicate bad input, but for fraud, we can assign a base risk
-        riskScore += 10;
-        reasons.push("Invalid order amount detected.");
-        // Optionally, you might want to return early or throw an error depending on desired behavior
-        // For now, we'll continue with calculated risk based on other factors.
-    }
-
-
-    // Rule 1: High order value
-    if (totalAmount > 1000) {
-        riskScore += 40;
-        reasons.push(`High order value ($${totalAmount.toFixed(2)})`);
-    }
-
-    // Rule 2: New user placing a large order
-    // Added a check for userHistory existence before accessing its properties
-    if (userHistory && userHistory.total_orders === 0 && totalAmount > 500) {
-        riskScore += 50;
-        reasons.push("Unusually large order for a first-time customer.");
-    }
-
-    // Rule 3: Multiple items of the same high-value product
-    if (orderData.items && Array.isArray(orderData.items)) {
-        const highValueItem = orderData.items.find(item => item.price > 300 && item.quantity > 3);
-        if (highValueItem) {
-            riskScore += 30;
-            reasons.push(`Bulk order of high-value item: ${highValueItem.name}`);
-        }
-    }
-
-    // Rule 4 (Example): Shipping address differs significantly from usual user address (requires more data)
-    // For a more advanced rule, you'd compare orderData.shippingAddress with a
-    // stored user.defaultShippingAddress or historical addresses.
-    // This is just a placeholder example if you decide to implement it later.
-    /*
-    if (userHistory && userHistory.default_shipping_address &&
-        orderData.shippingAddress !== userHistory.default_shipping_address) {
-        riskScore += 20;
-        reasons.push("Shipping address differs from usual address.");
-    }
-    */
-
-
-    let fraud_risk = 'low';
-    if (riskScore >= 70) {
-        fraud_risk = 'high';
-    } else if (riskScore >= 40) {
-        fraud_risk = 'medium';
-    }
-
-    // Return the risk level and the reasons as a JSON string for database storage.
-    return { fraud_risk, fraud_reasons: JSON.stringify(reasons) };
-}
-
-module.exports = { detectFraudRisk };
\ No newline at end of file
+// backend/src/utils/fraudDetection.js
+const { db } = require('../config/database');
+
+/**
+ * Normalises a shipping address for comparison: case, punctuation and spacing are ignored.
+ * @param {string} address - The address as entered.
+ * @returns {string} The normalised address.
+ */
+function normaliseAddress(address) {
+    return String(address || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Milliseconds since the epoch of a stored timestamp. SQLite's CURRENT_TIMESTAMP is UTC without a zone.
+ * @param {string} timestamp - 'YYYY-MM-DD HH:MM:SS' or an ISO string.
+ * @returns {number} The time in milliseconds.
+ */
+function toTime(timestamp) {
+    return new Date(timestamp.includes('T') ? timestamp : `${timestamp.replace(' ', 'T')}Z`).getTime();
+}
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * The customer's orders (including this one) placed within `hours` before this order.
+ * @param {object} order - The order context.
+ * @param {number} hours - The window.
+ * @returns {Array<object>} [{ placed_at, total_amount, shipping_address }].
+ */
+function ordersWithin(order, hours) {
+    const since = order.placed_at - hours * HOUR;
+    return [
+        ...order.history.orders.filter(earlier => earlier.placed_at >= since),
+        { placed_at: order.placed_at, total_amount: order.total_amount, shipping_address: normaliseAddress(order.shipping_address) }
+    ];
+}
+
+/**
+ * The conditions a fraud rule can test. `params` names the numeric thresholds a rule of that type
+ * stores; `evaluate` gets the order context (see buildFraudContext) and the rule's params and returns
+ * the reason to record when the condition holds, or null.
+ */
+const FRAUD_CONDITIONS = {
+    invalid_order_amount: {
+        description: 'The order total is not a number.',
+        params: [],
+        evaluate: (order) => isNaN(order.total_amount) ? 'Invalid order amount detected' : null
+    },
+    order_total_above: {
+        description: 'The order total is above `amount`.',
+        params: ['amount'],
+        evaluate: (order, { amount }) => order.total_amount > amount ? `High order value ($${order.total_amount.toFixed(2)})` : null
+    },
+    first_order_total_above: {
+        description: "It is the customer's first order and its total is above `amount`.",
+        params: ['amount'],
+        evaluate: (order, { amount }) => order.history.total_orders === 0 && order.total_amount > amount
+            ? 'Unusually large order for a first-time customer'
+            : null
+    },
+    bulk_high_value_item: {
+        description: 'More than `quantity` units of one item priced above `unit_price`.',
+        params: ['unit_price', 'quantity'],
+        evaluate: (order, { unit_price, quantity }) => {
+            const item = order.items.find(line => line.price > unit_price && line.quantity > quantity);
+            return item ? `Bulk order of high-value item: ${item.name}` : null;
+        }
+    },
+    new_shipping_address: {
+        description: 'A returning customer ships to an address none of their earlier orders went to.',
+        params: [],
+        evaluate: (order) => order.history.total_orders > 0 && !order.history.shipping_addresses.includes(normaliseAddress(order.shipping_address))
+            ? 'Shipping address differs from earlier orders'
+            : null
+    },
+    orders_in_window_above: {
+        description: 'The customer has placed more than `count` orders (this one included) in the last `hours` hours.',
+        params: ['hours', 'count'],
+        evaluate: (order, { hours, count }) => {
+            const placed = ordersWithin(order, hours).length;
+            return placed > count ? `${placed} orders in the last ${hours} hour(s)` : null;
+        }
+    },
+    spend_in_window_above: {
+        description: 'The customer has spent more than `amount` (this order included) in the last `hours` hours.',
+        params: ['hours', 'amount'],
+        evaluate: (order, { hours, amount }) => {
+            const spent = ordersWithin(order, hours).reduce((sum, placed) => sum + placed.total_amount, 0);
+            return spent > amount ? `$${spent.toFixed(2)} spent in the last ${hours} hour(s)` : null;
+        }
+    },
+    distinct_addresses_above: {
+        description: 'The customer has shipped to more than `count` different addresses (this one included) in the last `days` days.',
+        params: ['days', 'count'],
+        evaluate: (order, { days, count }) => {
+            const addresses = new Set(ordersWithin(order, days * 24).map(placed => placed.shipping_address)).size;
+            return addresses > count ? `${addresses} different shipping addresses in the last ${days} day(s)` : null;
+        }
+    },
+    address_differs_from_profile: {
+        description: "The shipping address is not the address on the customer's profile (when they have one).",
+        params: [],
+        evaluate: (order) => order.customer.address && normaliseAddress(order.customer.address) !== normaliseAddress(order.shipping_address)
+            ? 'Shipping address differs from the profile address'
+            : null
+    },
+    account_age_below: {
+        description: 'The account was created less than `hours` hours before the order.',
+        params: ['hours'],
+        evaluate: (order, { hours }) => {
+            const age = (order.placed_at - order.customer.created_at) / HOUR;
+            return age < hours ? `Account created ${age < 1 ? 'less than an hour' : `${Math.floor(age)} hour(s)`} before ordering` : null;
+        }
+    },
+    failed_logins_above: {
+        description: 'More than `count` failed logins to the account in the `hours` hours before the order.',
+        params: ['hours', 'count'],
+        evaluate: (order, { hours, count }) => {
+            const failures = order.failed_logins.filter(attempt => attempt >= order.placed_at - hours * HOUR).length;
+            return failures > count ? `${failures} failed logins in the ${hours} hour(s) before ordering` : null;
+        }
+    },
+    address_shared_by_accounts_above: {
+        description: 'The shipping address is used by more than `count` other accounts (on their orders or profile).',
+        params: ['count'],
+        evaluate: (order, { count }) => order.shared_address_accounts > count
+            ? `Shipping address also used by ${order.shared_address_accounts} other account(s)`
+            : null
+    }
+};
+
+/**
+ * The longest window, in hours, of a rule set's enabled failed-login rules: older failed logins cannot
+ * match any of its rules.
+ * @param {object} ruleSet - { rules }.
+ * @returns {number} The window, 0 when no such rule is enabled.
+ */
+function getFailedLoginWindow(ruleSet) {
+    return Math.max(0, ...ruleSet.rules
+        .filter(rule => rule.enabled && rule.condition_type === 'failed_logins_above')
+        .map(rule => Number(rule.params.hours) || 0));
+}
+
+/**
+ * Gathers what the fraud conditions look at for an order: its total, priced lines and shipping address,
+ * the customer's account and earlier orders, failed logins before it, and how many other accounts use
+ * the same address.
+ * @param {object} order - { userId, totalAmount, shippingAddress, items: [{ productId, name, price, quantity }] }.
+ * @param {object} [asOf] - { orderId, placedAt } to score an order already saved as it stood when it was
+ *     placed: only what came before it counts. By default the order is being placed now. failedLoginHours
+ *     (see getFailedLoginWindow) bounds how far back failed logins are loaded.
+ * @returns {object} { user_id, total_amount, shipping_address, items, placed_at, customer: { created_at, address },
+ *     history: { total_orders, total_spent, shipping_addresses, orders }, failed_logins, shared_address_accounts }.
+ */
+function buildFraudContext({ userId, totalAmount, shippingAddress, items }, { orderId = null, placedAt = null, failedLoginHours = 0 } = {}) {
+    const placedAtTimestamp = placedAt || db.prepare("SELECT datetime('now') as now").get().now;
+    const customer = db.prepare('SELECT created_at, address FROM users WHERE id = ?').get(userId) || {};
+    const earlierOrders = db.prepare(`
+        SELECT order_date, total_amount, shipping_address FROM orders
+        WHERE user_id = ? AND (? IS NULL OR id < ?)
+    `).all(userId, orderId, orderId);
+    const failedLogins = failedLoginHours > 0 ? db.prepare(`
+        SELECT created_at FROM login_attempts
+        WHERE user_id = ? AND success = 0 AND created_at <= datetime(?) AND created_at >= datetime(?, ?)
+    `).all(userId, placedAtTimestamp, placedAtTimestamp, `-${Math.ceil(failedLoginHours * 3600)} seconds`) : [];
+
+    // Other accounts that shipped to this address before, or have it on their profile
+    const address = normaliseAddress(shippingAddress);
+    const { accounts: sharedAddressAccounts } = address ? db.prepare(`
+        SELECT COUNT(DISTINCT user_id) as accounts FROM (
+            SELECT user_id FROM orders WHERE normalised_shipping_address = ? AND user_id != ? AND (? IS NULL OR id < ?)
+            UNION ALL
+            SELECT id as user_id FROM users WHERE normalised_address = ? AND id != ?
+        )
+    `).get(address, userId, orderId, orderId, address, userId) : { accounts: 0 };
+
+    return {
+        user_id: userId,
+        total_amount: parseFloat(totalAmount),
+        shipping_address: shippingAddress,
+        items,
+        placed_at: toTime(placedAtTimestamp),
+        customer: {
+            created_at: customer.created_at ? toTime(customer.created_at) : toTime(placedAtTimestamp),
+            address: customer.address || null
+        },
+        history: {
+            total_orders: earlierOrders.length,
+            total_spent: earlierOrders.reduce((sum, order) => sum + order.total_amount, 0),
+            shipping_addresses: [...new Set(earlierOrders.map(order => normaliseAddress(order.shipping_address)))],
+            orders: earlierOrders.map(order => ({
+                placed_at: toTime(order.order_date),
+                total_amount: order.total_amount,
+                shipping_address: normaliseAddress(order.shipping_address)
+            }))
+        },
+        failed_logins: failedLogins.map(attempt => toTime(attempt.created_at)),
+        shared_address_accounts: sharedAddressAccounts
+    };
+}
+
+/**
+ * Rebuilds the fraud context of a saved order as it was when the order was placed.
+ * Lines split across warehouses or lots are added back together per product.
+ * @param {object} order - An orders row.
+ * @param {object} ruleSet - The rule set the context will be scored with.
+ * @returns {object} The context (see buildFraudContext).
+ */
+function getOrderFraudContext(order, ruleSet) {
+    const items = db.prepare(`
+        SELECT oi.product_id as productId, p.name, oi.price, SUM(oi.quantity) as quantity
+        FROM order_items oi
+        JOIN products p ON oi.product_id = p.id
+        WHERE oi.order_id = ?
+        GROUP BY oi.product_id, oi.price
+    `).all(order.id);
+    return buildFraudContext(
+        { userId: order.user_id, totalAmount: order.total_amount, shippingAddress: order.shipping_address, items },
+        { orderId: order.id, placedAt: order.order_date, failedLoginHours: getFailedLoginWindow(ruleSet) }
+    );
+}
+
+/**
+ * Loads a fraud rule set with its rules, params parsed.
+ * @param {number} ruleSetId - The rule set to load.
+ * @returns {object|undefined} The rule set with `rules`, or undefined if it does not exist.
+ */
+function getRuleSet(ruleSetId) {
+    const ruleSet = db.prepare('SELECT * FROM fraud_rule_sets WHERE id = ?').get(ruleSetId);
+    if (!ruleSet) {
+        return undefined;
+    }
+    ruleSet.rules = db.prepare('SELECT * FROM fraud_rules WHERE rule_set_id = ? ORDER BY sort_order, id').all(ruleSetId)
+        .map(rule => ({ ...rule, params: JSON.parse(rule.params || '{}') }));
+    return ruleSet;
+}
+
+/**
+ * The rule set new orders are scored with.
+ * @returns {object} The active rule set with its rules.
+ * @throws {Error} If no rule set is active.
+ */
+function getActiveRuleSet() {
+    const active = db.prepare("SELECT id FROM fraud_rule_sets WHERE status = 'active'").get();
+    if (!active) {
+        throw new Error('No fraud rule set is active.');
+    }
+    return getRuleSet(active.id);
+}
+
+/**
+ * The score from which a rule set puts new orders on hold for review; without its own hold threshold
+ * that is the high-risk threshold.
+ * @param {object} ruleSet - { high_threshold, hold_threshold }.
+ * @returns {number} The hold threshold.
+ */
+function getHoldThreshold(ruleSet) {
+    return ruleSet.hold_threshold != null ? ruleSet.hold_threshold : ruleSet.high_threshold;
+}
+
+/**
+ * Scores an order context against a rule set: every enabled rule whose condition holds adds its weight.
+ * Each reason names the signal and its contribution to the score, e.g. "3 orders in the last 1 hour(s) (+30)".
+ * @param {object} context - From buildFraudContext.
+ * @param {object} ruleSet - { medium_threshold, high_threshold, hold_threshold, rules }.
+ * @returns {object} { fraud_risk ('low', 'medium', 'high'), fraud_score, fraud_reasons: [...], matched_rules: [codes],
+ *     hold: whether the score reaches the hold threshold }.
+ */
+function scoreOrder(context, ruleSet) {
+    let score = 0;
+    const reasons = [];
+    const matchedRules = [];
+    ruleSet.rules.filter(rule => rule.enabled).forEach(rule => {
+        const condition = FRAUD_CONDITIONS[rule.condition_type];
+        const reason = condition ? condition.evaluate(context, rule.params) : null;
+        if (reason) {
+            score += rule.weight;
+            reasons.push(`${reason} (+${rule.weight})`);
+            matchedRules.push(rule.code);
+        }
+    });
+
+    let fraudRisk = 'low';
+    if (score >= ruleSet.high_threshold) {
+        fraudRisk = 'high';
+    } else if (score >= ruleSet.medium_threshold) {
+        fraudRisk = 'medium';
+    }
+    return { fraud_risk: fraudRisk, fraud_score: score, fraud_reasons: reasons, matched_rules: matchedRules, hold: score >= getHoldThreshold(ruleSet) };
+}
+
+/**
+ * Analyzes a new order with the active rule set and returns a fraud risk assessment.
+ * @param {object} order - { userId, totalAmount, shippingAddress, items: [{ productId, name, price, quantity }] }.
+ * @returns {object} { fraud_risk, fraud_score, fraud_reasons: [...], rule_set_id } to store on the order, plus
+ *     hold (whether the order goes on hold for review) and hold_reason (the note recorded with the hold).
+ */
+function detectFraudRisk(order) {
+    const ruleSet = getActiveRuleSet();
+    const { fraud_risk, fraud_score, fraud_reasons, hold } = scoreOrder(buildFraudContext(order, { failedLoginHours: getFailedLoginWindow(ruleSet) }), ruleSet);
+    return {
+        fraud_risk,
+        fraud_score,
+        fraud_reasons,
+        rule_set_id: ruleSet.id,
+        hold,
+        hold_reason: hold ? `Fraud score ${fraud_score} reached the hold threshold of ${getHoldThreshold(ruleSet)}` : null
+    };
+}
+
+module.exports = {
+    FRAUD_CONDITIONS,
+    normaliseAddress,
+    getOrderFraudContext,
+    getRuleSet,
+    getActiveRuleSet,
+    getHoldThreshold,
+    scoreOrder,
+    detectFraudRisk
+};
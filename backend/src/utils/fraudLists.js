@@ -0,0 +1,306 @@
+// backend/src/utils/fraudLists.js
+const { db } = require('../config/database');
+const { statusError } = require('./statusTransitions');
+const { normaliseAddress } = require('./fraudDetection');
+
+// The lists admins keep. Every list but trusted_customer blocks: a hit refuses a registration and puts an order on hold
+const FRAUD_LIST_TYPES = {
+    email: { label: 'Blocked emails', blocks: true },
+    email_domain: { label: 'Blocked email domains', blocks: true },
+    address: { label: 'Blocked address fragments', blocks: true },
+    ip: { label: 'Blocked IPs', blocks: true },
+    trusted_customer: { label: 'Trusted customers', blocks: false }
+};
+
+/**
+ * Normalises an IP address; IPv4 clients of an IPv6 socket arrive as ::ffff:a.b.c.d.
+ * @param {string} ip - The address as seen by Express.
+ * @returns {string} The normalised address.
+ */
+function normaliseIp(ip) {
+    return String(ip || '').trim().toLowerCase().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+}
+
+/**
+ * Normalises a list value the way it is stored and matched.
+ * @param {string} listType - A FRAUD_LIST_TYPES key.
+ * @param {string} value - The value as entered.
+ * @returns {string} The normalised value ('' when nothing usable is left).
+ */
+function normaliseListValue(listType, value) {
+    const text = String(value || '').trim().toLowerCase();
+    switch (listType) {
+        case 'email_domain':
+            return text.replace(/^@/, '');
+        case 'address':
+            return normaliseAddress(text);
+        case 'ip':
+            return normaliseIp(text);
+        default:
+            return text;
+    }
+}
+
+/**
+ * Checks a customer, address and IP against the lists.
+ * @param {object} subject - { email, ipAddress, address }; any may be missing.
+ * @returns {object} { blocked: [{ id, list_type, value, reason, description }], trusted: the trusted_customer entry or null }.
+ */
+function checkFraudLists({ email = null, ipAddress = null, address = null }) {
+    const normalisedEmail = normaliseListValue('email', email);
+    const domain = normalisedEmail.includes('@') ? normalisedEmail.split('@').pop() : '';
+    const normalisedIp = normaliseIp(ipAddress);
+    const normalisedAddress = normaliseAddress(address);
+
+    const blocked = [];
+    let trusted = null;
+    db.prepare('SELECT * FROM fraud_list_entries').all().forEach(entry => {
+        const note = entry.reason ? `: ${entry.reason}` : '';
+        switch (entry.list_type) {
+            case 'email':
+                if (normalisedEmail && entry.value === normalisedEmail) {
+                    blocked.push({ ...entry, description: `Email ${entry.value} is blocklisted${note}` });
+                }
+                break;
+            case 'email_domain':
+                // Subdomains of a blocked domain are blocked too
+                if (domain && (domain === entry.value || domain.endsWith(`.${entry.value}`))) {
+                    blocked.push({ ...entry, description: `Email domain ${entry.value} is blocklisted${note}` });
+                }
+                break;
+            case 'address':
+                if (normalisedAddress && ` ${normalisedAddress} `.includes(` ${entry.value} `)) {
+                    blocked.push({ ...entry, description: `Address matches blocklisted fragment "${entry.value}"${note}` });
+                }
+                break;
+            case 'ip':
+                if (normalisedIp && entry.value === normalisedIp) {
+                    blocked.push({ ...entry, description: `IP ${entry.value} is blocklisted${note}` });
+                }
+                break;
+            case 'trusted_customer':
+                if (normalisedEmail && entry.value === normalisedEmail) {
+                    trusted = entry;
+                }
+                break;
+            default:
+                break;
+        }
+    });
+    return { blocked, trusted };
+}
+
+/**
+ * Applies the lists to a fraud assessment from detectFraudRisk: every blocklist hit is added to the reasons
+ * and puts the order on hold at high risk; a trusted customer skips a hold that comes from the score alone.
+ * @param {object} assessment - { fraud_risk, fraud_score, fraud_reasons, rule_set_id, hold, hold_reason }.
+ * @param {object} subject - { email, ipAddress, address } as for checkFraudLists.
+ * @returns {object} The assessment with the list outcome applied.
+ */
+function applyFraudLists(assessment, subject) {
+    const { blocked, trusted } = checkFraudLists(subject);
+    const reasons = [...assessment.fraud_reasons, ...blocked.map(hit => `${hit.description} (blocklist)`)];
+    if (blocked.length > 0) {
+        return {
+            ...assessment,
+            fraud_risk: 'high',
+            fraud_reasons: reasons,
+            hold: true,
+            hold_reason: `Blocklist: ${blocked.map(hit => hit.description).join('; ')}`
+        };
+    }
+    if (trusted && assessment.hold) {
+        return {
+            ...assessment,
+            fraud_reasons: [...reasons, 'Trusted customer: fraud hold bypassed'],
+            hold: false,
+            hold_reason: null
+        };
+    }
+    return assessment;
+}
+
+/**
+ * Lists entries, newest first, with the name of the account an email or trusted customer entry belongs to.
+ * @param {object} [filters] - { listType }.
+ * @returns {Array<object>} The entries.
+ */
+function listFraudListEntries({ listType = null } = {}) {
+    return db.prepare(`
+        SELECT e.*, u.name as created_by_name,
+               (SELECT c.name FROM users c WHERE LOWER(c.email) = e.value AND e.list_type IN ('email', 'trusted_customer')) as customer_name
+        FROM fraud_list_entries e
+        LEFT JOIN users u ON e.created_by = u.id
+        WHERE (? IS NULL OR e.list_type = ?)
+        ORDER BY e.created_at DESC, e.id DESC
+    `).all(listType, listType);
+}
+
+/**
+ * Normalises and checks an entry before it is stored.
+ * @param {object} entry - { list_type, value, reason }.
+ * @returns {object} { list_type, value, reason } ready to insert.
+ * @throws {Error} 400 naming the problem.
+ */
+function prepareEntry({ list_type, value, reason = null }) {
+    if (!FRAUD_LIST_TYPES[list_type]) {
+        throw statusError(`Unknown list '${list_type}'.`, 400);
+    }
+    const normalised = normaliseListValue(list_type, value);
+    if (!normalised) {
+        throw statusError(`'${value}' is not a usable ${list_type.replace(/_/g, ' ')} value.`, 400);
+    }
+    if (['email', 'trusted_customer'].includes(list_type) && !/^[^@\s]+@[^@\s]+$/.test(normalised)) {
+        throw statusError(`'${value}' is not an email address.`, 400);
+    }
+    if (list_type === 'email_domain' && !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(normalised)) {
+        throw statusError(`'${value}' is not an email domain.`, 400);
+    }
+    return { list_type, value: normalised, reason: reason || null };
+}
+
+/**
+ * Adds one entry.
+ * @param {object} entry - { list_type, value, reason }.
+ * @param {number} userId - The admin adding it.
+ * @returns {object} The stored entry.
+ * @throws {Error} 409 if the value is already on that list.
+ */
+function addFraudListEntry(entry, userId) {
+    const prepared = prepareEntry(entry);
+    const existing = db.prepare('SELECT id FROM fraud_list_entries WHERE list_type = ? AND value = ?').get(prepared.list_type, prepared.value);
+    if (existing) {
+        throw statusError(`${prepared.value} is already on the ${FRAUD_LIST_TYPES[prepared.list_type].label.toLowerCase()} list.`, 409);
+    }
+    const info = db.prepare('INSERT INTO fraud_list_entries (list_type, value, reason, created_by) VALUES (?, ?, ?, ?)')
+        .run(prepared.list_type, prepared.value, prepared.reason, userId);
+    return db.prepare('SELECT * FROM fraud_list_entries WHERE id = ?').get(info.lastInsertRowid);
+}
+
+/**
+ * Removes one entry.
+ * @param {number} entryId - The entry.
+ * @throws {Error} 404 if it does not exist.
+ */
+function deleteFraudListEntry(entryId) {
+    const info = db.prepare('DELETE FROM fraud_list_entries WHERE id = ?').run(entryId);
+    if (info.changes === 0) {
+        throw statusError('List entry not found', 404);
+    }
+}
+
+/**
+ * Splits CSV text into rows of fields (quoted fields may hold commas, quotes and newlines).
+ * @param {string} text - The CSV text.
+ * @returns {Array<Array<string>>} The rows, blank lines dropped.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Imports entries from CSV with a list_type,value,reason header (the export format). Nothing is imported
+ * unless every row is valid; values already on their list are skipped.
+ * @param {string} csv - The CSV text.
+ * @param {object} options - { replace: empty the lists named in the file first, userId: the admin importing }.
+ * @returns {object} { added, skipped }.
+ * @throws {Error} 400 listing the rows that could not be imported.
+ */
+function importFraudListEntries(csv, { replace = false, userId }) {
+    const [header, ...rows] = parseCsv(csv);
+    const columns = (header || []).map(column => column.trim().toLowerCase());
+    const typeColumn = columns.indexOf('list_type');
+    const valueColumn = columns.indexOf('value');
+    const reasonColumn = columns.indexOf('reason');
+    if (typeColumn === -1 || valueColumn === -1) {
+        throw statusError('The CSV needs a header row with list_type and value columns (and optionally reason).', 400);
+    }
+
+    const entries = [];
+    const errors = [];
+    rows.forEach((fields, index) => {
+        try {
+            entries.push(prepareEntry({
+                list_type: (fields[typeColumn] || '').trim(),
+                value: fields[valueColumn],
+                reason: reasonColumn === -1 ? null : (fields[reasonColumn] || '').trim()
+            }));
+        } catch (error) {
+            // Row numbers count the header as row 1
+            errors.push(`row ${index + 2}: ${error.message}`);
+        }
+    });
+    if (errors.length > 0) {
+        throw statusError(`Nothing was imported. ${errors.slice(0, 5).join(' ')}${errors.length > 5 ? ` (and ${errors.length - 5} more)` : ''}`, 400);
+    }
+
+    return db.transaction(() => {
+        if (replace) {
+            const deleteList = db.prepare('DELETE FROM fraud_list_entries WHERE list_type = ?');
+            [...new Set(entries.map(entry => entry.list_type))].forEach(listType => deleteList.run(listType));
+        }
+        const insert = db.prepare(`
+            INSERT INTO fraud_list_entries (list_type, value, reason, created_by) VALUES (?, ?, ?, ?)
+            ON CONFLICT(list_type, value) DO NOTHING
+        `);
+        const added = entries.reduce((count, entry) => count + insert.run(entry.list_type, entry.value, entry.reason, userId).changes, 0);
+        return { added, skipped: entries.length - added };
+    })();
+}
+
+/**
+ * Every entry as CSV rows, header first, in the format importFraudListEntries reads.
+ * @param {object} [filters] - { listType }.
+ * @returns {Array<Array<string>>} The rows.
+ */
+function exportFraudListEntries({ listType = null } = {}) {
+    const entries = db.prepare('SELECT list_type, value, reason FROM fraud_list_entries WHERE (? IS NULL OR list_type = ?) ORDER BY list_type, value')
+        .all(listType, listType);
+    return [['list_type', 'value', 'reason'], ...entries.map(entry => [entry.list_type, entry.value, entry.reason])];
+}
+
+module.exports = {
+    FRAUD_LIST_TYPES,
+    normaliseIp,
+    checkFraudLists,
+    applyFraudLists,
+    listFraudListEntries,
+    addFraudListEntry,
+    deleteFraudListEntry,
+    importFraudListEntries,
+    exportFraudListEntries
+};
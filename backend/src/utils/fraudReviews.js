@@ -0,0 +1,174 @@
+// backend/src/utils/fraudReviews.js
+const { db } = require('../config/database');
+const { statusError, transitionOrder } = require('./statusTransitions');
+const { cancelOrder } = require('./orders');
+
+/**
+ * Appends a row to an order's fraud review trail.
+ * @param {number} orderId - The order.
+ * @param {'hold' | 'approve' | 'reject' | 'request_info'} action - What happened.
+ * @param {number | null} reviewedBy - The reviewer, null for the automatic hold at checkout.
+ * @param {string} [notes] - The reviewer's notes.
+ */
+function recordFraudReview(orderId, action, reviewedBy, notes = null) {
+    db.prepare('INSERT INTO fraud_reviews (order_id, action, notes, reviewed_by) VALUES (?, ?, ?, ?)')
+        .run(orderId, action, notes || null, reviewedBy);
+}
+
+/**
+ * An order's fraud review trail, oldest first.
+ * @param {number} orderId - The order.
+ * @returns {Array<object>} Rows of { id, action, notes, reviewed_by, reviewed_by_name, created_at }.
+ */
+function getFraudReviews(orderId) {
+    return db.prepare(`
+        SELECT r.id, r.action, r.notes, r.reviewed_by, u.name as reviewed_by_name, r.created_at
+        FROM fraud_reviews r
+        LEFT JOIN users u ON r.reviewed_by = u.id
+        WHERE r.order_id = ?
+        ORDER BY r.created_at ASC, r.id ASC
+    `).all(orderId);
+}
+
+/**
+ * Fetches an order with what a reviewer needs to decide on it: the customer, the fraud assessment,
+ * the lines and the review trail.
+ * @param {number} orderId - The order.
+ * @returns {object | undefined} The order with fraud_reasons parsed, items and reviews.
+ */
+function getReviewOrder(orderId) {
+    const order = db.prepare(`
+        SELECT o.*, u.name as user_name, u.email as user_email, u.created_at as user_created_at,
+               rs.version as fraud_rule_set_version,
+               (SELECT COUNT(*) FROM orders prior WHERE prior.user_id = o.user_id AND prior.id < o.id) as previous_order_count
+        FROM orders o
+        JOIN users u ON o.user_id = u.id
+        LEFT JOIN fraud_rule_sets rs ON o.fraud_rule_set_id = rs.id
+        WHERE o.id = ?
+    `).get(orderId);
+    if (!order) {
+        return undefined;
+    }
+    order.fraud_reasons = JSON.parse(order.fraud_reasons || '[]');
+    order.items = db.prepare(`
+        SELECT oi.product_id, p.name as product_name, p.sku, SUM(oi.quantity) as quantity, oi.price
+        FROM order_items oi
+        JOIN products p ON oi.product_id = p.id
+        WHERE oi.order_id = ?
+        GROUP BY oi.product_id, oi.price
+        ORDER BY MIN(oi.id)
+    `).all(orderId);
+    order.reviews = getFraudReviews(orderId);
+    return order;
+}
+
+/**
+ * The review queue: every order on hold, oldest first, with whether more information has been requested.
+ * @returns {Array<object>} Orders as returned by getReviewOrder, plus info_requested.
+ */
+function getReviewQueue() {
+    return db.prepare("SELECT id FROM orders WHERE status = 'on_hold' ORDER BY order_date ASC, id ASC").all()
+        .map(({ id }) => {
+            const order = getReviewOrder(id);
+            const lastAction = order.reviews.length > 0 ? order.reviews[order.reviews.length - 1].action : null;
+            return { ...order, info_requested: lastAction === 'request_info' };
+        });
+}
+
+/**
+ * Loads an order that is waiting for review.
+ * @param {number} orderId - The order.
+ * @returns {object} The orders row.
+ * @throws {Error} 404 if it does not exist, 409 if it is not on hold.
+ */
+function getHeldOrder(orderId) {
+    const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(orderId);
+    if (!order) {
+        throw statusError('Order not found', 404);
+    }
+    if (order.status !== 'on_hold') {
+        throw statusError(`Order #${orderId} is not on hold (current status: ${order.status.replace(/_/g, ' ')}).`, 409);
+    }
+    return order;
+}
+
+/**
+ * Approves a held order: it goes to pending and on to fulfillment with the stock it already holds.
+ * @param {number} orderId - The held order.
+ * @param {object} options - { reviewedBy, notes }.
+ * @returns {object} { order } after the change.
+ */
+function approveHeldOrder(orderId, { reviewedBy, notes = null }) {
+    return db.transaction(() => {
+        getHeldOrder(orderId);
+        recordFraudReview(orderId, 'approve', reviewedBy, notes);
+        const { order } = transitionOrder(orderId, 'pending', {
+            changedBy: reviewedBy,
+            note: notes ? `Approved in fraud review: ${notes}` : 'Approved in fraud review',
+            reviewed: true
+        });
+        return { order };
+    })();
+}
+
+/**
+ * Rejects a held order: it is cancelled, its stock returned and a refund recorded (see cancelOrder).
+ * @param {number} orderId - The held order.
+ * @param {object} options - { reviewedBy, notes }.
+ * @returns {object} The value returned by cancelOrder.
+ */
+function rejectHeldOrder(orderId, { reviewedBy, notes = null }) {
+    return db.transaction(() => {
+        getHeldOrder(orderId);
+        recordFraudReview(orderId, 'reject', reviewedBy, notes);
+        return cancelOrder(orderId, {
+            cancelledBy: reviewedBy,
+            reason: notes ? `Rejected in fraud review: ${notes}` : 'Rejected in fraud review'
+        });
+    })();
+}
+
+/**
+ * Records that more information is needed before a decision; the order stays on hold.
+ * @param {number} orderId - The held order.
+ * @param {object} options - { reviewedBy, notes: what is needed }.
+ * @returns {object} { order } (unchanged).
+ */
+function requestHeldOrderInfo(orderId, { reviewedBy, notes }) {
+    const order = getHeldOrder(orderId);
+    recordFraudReview(orderId, 'request_info', reviewedBy, notes);
+    return { order };
+}
+
+/**
+ * Broadcasts a review decision: `fraud_review_updated` for the queue, plus the order's new status.
+ * Rejections are broadcast by broadcastOrderCancelled.
+ * @param {object} io - The Socket.IO server.
+ * @param {object} order - The orders row after the decision.
+ * @param {string} action - The review action taken.
+ */
+function broadcastFraudReview(io, order, action) {
+    if (!io) {
+        console.warn('Socket.io instance not found. Fraud review updates will not be broadcast in real-time.');
+        return;
+    }
+    io.emit('fraud_review_updated', { orderId: order.id, action, status: order.status });
+    if (action === 'approve') {
+        io.emit('order_status_updated', {
+            orderId: order.id,
+            userId: order.user_id,
+            status: order.status,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+module.exports = {
+    recordFraudReview,
+    getReviewOrder,
+    getReviewQueue,
+    approveHeldOrder,
+    rejectHeldOrder,
+    requestHeldOrderInfo,
+    broadcastFraudReview
+};
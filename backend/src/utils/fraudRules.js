@@ -0,0 +1,229 @@
+// backend/src/utils/fraudRules.js
+const { db } = require('../config/database');
+const { statusError } = require('./statusTransitions');
+const { FRAUD_CONDITIONS, getOrderFraudContext, getRuleSet, getActiveRuleSet, getHoldThreshold, scoreOrder } = require('./fraudDetection');
+
+/**
+ * Lists every fraud rule set, newest version first, with how many rules it has and how many orders it scored.
+ * @returns {Array<object>} The rule sets (without their rules).
+ */
+function listRuleSets() {
+    return db.prepare(`
+        SELECT rs.*, u.name as created_by_name, a.name as activated_by_name,
+               (SELECT COUNT(*) FROM fraud_rules r WHERE r.rule_set_id = rs.id) as rule_count,
+               (SELECT COUNT(*) FROM fraud_rules r WHERE r.rule_set_id = rs.id AND r.enabled = 1) as enabled_rule_count,
+               (SELECT COUNT(*) FROM orders o WHERE o.fraud_rule_set_id = rs.id) as orders_scored
+        FROM fraud_rule_sets rs
+        LEFT JOIN users u ON rs.created_by = u.id
+        LEFT JOIN users a ON rs.activated_by = a.id
+        ORDER BY rs.version DESC
+    `).all();
+}
+
+/**
+ * Loads a rule set that is still a draft; active and retired sets are never edited.
+ * @param {number} ruleSetId - The rule set.
+ * @param {string} action - What is being attempted, for the error message.
+ * @returns {object} The rule set with its rules.
+ * @throws {Error} 404 if it does not exist, 409 if it is not a draft.
+ */
+function getDraftRuleSet(ruleSetId, action) {
+    const ruleSet = getRuleSet(ruleSetId);
+    if (!ruleSet) {
+        throw statusError('Fraud rule set not found', 404);
+    }
+    if (ruleSet.status !== 'draft') {
+        throw statusError(`Cannot ${action} version ${ruleSet.version}: it is ${ruleSet.status}. Copy it to a new draft instead.`, 409);
+    }
+    return ruleSet;
+}
+
+/**
+ * Checks rules against FRAUD_CONDITIONS and the thresholds against each other.
+ * @param {object} ruleSet - { medium_threshold, high_threshold, hold_threshold, rules }.
+ * @throws {Error} 400 naming the first problem found.
+ */
+function validateRuleSet({ medium_threshold, high_threshold, hold_threshold, rules }) {
+    if (high_threshold <= medium_threshold) {
+        throw statusError('high_threshold must be above medium_threshold.', 400);
+    }
+    // Holding orders that are not even medium risk would flood the review queue
+    if (hold_threshold != null && hold_threshold < medium_threshold) {
+        throw statusError('hold_threshold must not be below medium_threshold.', 400);
+    }
+    for (const rule of rules) {
+        const condition = FRAUD_CONDITIONS[rule.condition_type];
+        if (!condition) {
+            throw statusError(`Rule ${rule.code}: unknown condition '${rule.condition_type}'.`, 400);
+        }
+        const params = rule.params || {};
+        const missing = condition.params.filter(param => typeof params[param] !== 'number');
+        const unknown = Object.keys(params).filter(param => !condition.params.includes(param));
+        if (missing.length > 0 || unknown.length > 0) {
+            throw statusError(`Rule ${rule.code}: ${rule.condition_type} takes ${condition.params.length > 0 ? condition.params.join(', ') : 'no params'}.`, 400);
+        }
+    }
+}
+
+/**
+ * Creates a draft rule set as a copy of another set (by default the active one), with the next version number.
+ * @param {object} options - { basedOnId, notes }.
+ * @param {number} userId - The admin creating it.
+ * @returns {object} The new draft with its rules.
+ */
+function createDraftRuleSet({ basedOnId = null, notes = null }, userId) {
+    return db.transaction(() => {
+        const source = basedOnId ? getRuleSet(basedOnId) : getActiveRuleSet();
+        if (!source) {
+            throw statusError(`Fraud rule set ${basedOnId} not found.`, 404);
+        }
+        const { version } = db.prepare('SELECT MAX(version) as version FROM fraud_rule_sets').get();
+        const ruleSetId = db.prepare(`
+            INSERT INTO fraud_rule_sets (version, status, medium_threshold, high_threshold, hold_threshold, notes, based_on_id, created_by)
+            VALUES (?, 'draft', ?, ?, ?, ?, ?, ?)
+        `).run((version || 0) + 1, source.medium_threshold, source.high_threshold, source.hold_threshold, notes || `Copy of version ${source.version}`, source.id, userId).lastInsertRowid;
+        insertRules(ruleSetId, source.rules);
+        return getRuleSet(ruleSetId);
+    })();
+}
+
+/**
+ * Writes rules into a rule set in the given order.
+ * @param {number} ruleSetId - The rule set.
+ * @param {Array<object>} rules - [{ code, name, condition_type, params, weight, enabled }].
+ */
+function insertRules(ruleSetId, rules) {
+    const insertRule = db.prepare(`
+        INSERT INTO fraud_rules (rule_set_id, code, name, condition_type, params, weight, enabled, sort_order)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    rules.forEach((rule, index) => insertRule.run(
+        ruleSetId, rule.code, rule.name, rule.condition_type, JSON.stringify(rule.params || {}), rule.weight, rule.enabled ? 1 : 0, index
+    ));
+}
+
+/**
+ * Replaces the thresholds, notes and rules of a draft.
+ * @param {number} ruleSetId - The draft.
+ * @param {object} changes - { medium_threshold, high_threshold, hold_threshold (null: same as high_threshold), notes, rules }.
+ * @returns {object} The updated draft with its rules.
+ */
+function updateDraftRuleSet(ruleSetId, { medium_threshold, high_threshold, hold_threshold = null, notes, rules }) {
+    return db.transaction(() => {
+        getDraftRuleSet(ruleSetId, 'edit');
+        validateRuleSet({ medium_threshold, high_threshold, hold_threshold, rules });
+        db.prepare('UPDATE fraud_rule_sets SET medium_threshold = ?, high_threshold = ?, hold_threshold = ?, notes = ? WHERE id = ?')
+            .run(medium_threshold, high_threshold, hold_threshold, notes || null, ruleSetId);
+        db.prepare('DELETE FROM fraud_rules WHERE rule_set_id = ?').run(ruleSetId);
+        insertRules(ruleSetId, rules);
+        return getRuleSet(ruleSetId);
+    })();
+}
+
+/**
+ * Makes a draft the active rule set; the set active until now is retired. New orders are scored
+ * with it from here on, while orders scored earlier keep pointing at the set that scored them.
+ * @param {number} ruleSetId - The draft.
+ * @param {number} userId - The admin activating it.
+ * @returns {object} The now active rule set with its rules.
+ */
+function activateRuleSet(ruleSetId, userId) {
+    return db.transaction(() => {
+        const draft = getDraftRuleSet(ruleSetId, 'activate');
+        validateRuleSet(draft);
+        db.prepare("UPDATE fraud_rule_sets SET status = 'retired' WHERE status = 'active'").run();
+        db.prepare("UPDATE fraud_rule_sets SET status = 'active', activated_by = ?, activated_at = CURRENT_TIMESTAMP WHERE id = ?").run(userId, ruleSetId);
+        return getRuleSet(ruleSetId);
+    })();
+}
+
+/**
+ * Deletes a draft that is no longer wanted.
+ * @param {number} ruleSetId - The draft.
+ */
+function deleteDraftRuleSet(ruleSetId) {
+    const draft = getDraftRuleSet(ruleSetId, 'delete');
+    db.prepare('DELETE FROM fraud_rule_sets WHERE id = ?').run(draft.id);
+}
+
+/**
+ * Scores past orders with a candidate rule set and compares the outcome with the risk they were given.
+ * Nothing is saved.
+ * @param {object} candidate - A saved rule set ({ ruleSetId }) or an unsaved one ({ medium_threshold, high_threshold, hold_threshold, rules }).
+ * @param {object} [options] - { from, to } as YYYY-MM-DD bound the order date; { limit } caps how many of the most recent orders are scored.
+ * @returns {object} { rule_set, orders_scored, recorded: { low, medium, high }, candidate: { low, medium, high },
+ *     hold_threshold, would_hold: orders scoring at or above it, rule_hits: { [code]: orders matched }, changed: count,
+ *     orders: [the orders whose risk would change] }.
+ */
+function dryRunRuleSet(candidate, { from = null, to = null, limit = 500 } = {}) {
+    let ruleSet = candidate;
+    if (candidate.ruleSetId) {
+        ruleSet = getRuleSet(candidate.ruleSetId);
+        if (!ruleSet) {
+            throw statusError('Fraud rule set not found', 404);
+        }
+    } else {
+        validateRuleSet(candidate);
+    }
+
+    const orders = db.prepare(`
+        SELECT o.*, u.name as user_name, rs.version as recorded_rule_set_version
+        FROM orders o
+        JOIN users u ON o.user_id = u.id
+        LEFT JOIN fraud_rule_sets rs ON o.fraud_rule_set_id = rs.id
+        WHERE (? IS NULL OR DATE(o.order_date) >= DATE(?)) AND (? IS NULL OR DATE(o.order_date) <= DATE(?))
+        ORDER BY o.id DESC
+        LIMIT ?
+    `).all(from, from, to, to, limit);
+
+    const recorded = { low: 0, medium: 0, high: 0 };
+    const scored = { low: 0, medium: 0, high: 0 };
+    const ruleHits = Object.fromEntries(ruleSet.rules.map(rule => [rule.code, 0]));
+    const changed = [];
+    let wouldHold = 0;
+    orders.forEach(order => {
+        const result = scoreOrder(getOrderFraudContext(order, ruleSet), ruleSet);
+        recorded[order.fraud_risk] = (recorded[order.fraud_risk] || 0) + 1;
+        scored[result.fraud_risk] += 1;
+        if (result.hold) {
+            wouldHold += 1;
+        }
+        result.matched_rules.forEach(code => { ruleHits[code] += 1; });
+        if (result.fraud_risk !== order.fraud_risk) {
+            changed.push({
+                order_id: order.id,
+                order_date: order.order_date,
+                user_name: order.user_name,
+                total_amount: order.total_amount,
+                status: order.status,
+                recorded_risk: order.fraud_risk,
+                recorded_score: order.fraud_score,
+                recorded_rule_set_version: order.recorded_rule_set_version,
+                fraud_risk: result.fraud_risk,
+                fraud_score: result.fraud_score,
+                fraud_reasons: result.fraud_reasons
+            });
+        }
+    });
+
+    return {
+        rule_set: ruleSet.id ? { id: ruleSet.id, version: ruleSet.version, status: ruleSet.status } : null,
+        orders_scored: orders.length,
+        recorded,
+        candidate: scored,
+        hold_threshold: getHoldThreshold(ruleSet),
+        would_hold: wouldHold,
+        rule_hits: ruleHits,
+        changed: changed.length,
+        orders: changed
+    };
+}
+
+module.exports = {
+    listRuleSets,
+    createDraftRuleSet,
+    updateDraftRuleSet,
+    activateRuleSet,
+    deleteDraftRuleSet,
+    dryRunRuleSet
+};
@@ -0,0 +1,330 @@
+// backend/src/utils/inventory.js
+const { db } = require('../config/database');
+const { getAvailableToPromise } = require('./reservations');
+const { trimLotsToStock, getExpiredQuantity, receiveLot, takeFromLot } = require('./lots');
+const { normalizeSerials, addSerials, writeOffSerials } = require('./serials');
+const { getCurrentUnitCost, receiveCost, issueCost } = require('./valuation');
+const { statusError } = require('./statusTransitions');
+
+// inventory_transactions.type values. Quantities are signed: sales and transfers out are negative.
+// opening_balance rows carry stock that existed before the ledger did (see backfillOpeningBalances).
+const LEDGER_TYPES = ['opening_balance', 'restock', 'purchase', 'sale', 'return', 'transfer_out', 'transfer_in', 'adjustment'];
+
+/**
+ * Recomputes products.stock_quantity as the sum of the product's per-warehouse quantities.
+ * @param {number} productId - The product to resynchronise.
+ * @returns {number} The new total stock quantity.
+ */
+function syncProductStock(productId) {
+    const { total } = db.prepare('SELECT COALESCE(SUM(quantity), 0) as total FROM stock_locations WHERE product_id = ? AND warehouse_id IS NOT NULL').get(productId);
+    db.prepare('UPDATE products SET stock_quantity = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(total, productId);
+    return total;
+}
+
+/**
+ * Lists the stock a product holds in each warehouse.
+ * @param {number} productId - The product to look up.
+ * @returns {Array<object>} Rows of { warehouse_id, warehouse_code, warehouse_name, quantity, in_transit_quantity }.
+ */
+function getWarehouseStock(productId) {
+    return db.prepare(`
+        SELECT sl.warehouse_id, w.code as warehouse_code, w.name as warehouse_name, sl.quantity, sl.in_transit_quantity
+        FROM stock_locations sl
+        JOIN warehouses w ON sl.warehouse_id = w.id
+        WHERE sl.product_id = ?
+        ORDER BY w.name
+    `).all(productId);
+}
+
+/**
+ * The quantity of a product customers are still waiting for on backorder.
+ * @param {number} productId - The product to look up.
+ * @returns {number} The summed quantity of its waiting backorders.
+ */
+function getBackorderedQuantity(productId) {
+    const { waiting } = db.prepare("SELECT COALESCE(SUM(quantity), 0) as waiting FROM backorders WHERE product_id = ? AND status = 'waiting'").get(productId);
+    return waiting;
+}
+
+/**
+ * Builds the product payload broadcast with `inventory_changed`.
+ * @param {number} productId - The product that changed.
+ * @returns {object | undefined} The product with stock_locations, expired_quantity (on hand in expired lots,
+ *     not sellable), available_to_promise and backordered_quantity.
+ */
+function getInventorySnapshot(productId) {
+    const product = db.prepare('SELECT id, name, description, price, stock_quantity, category, sku, location, allow_backorder, track_lots FROM products WHERE id = ?').get(productId);
+    if (product) {
+        product.stock_locations = getWarehouseStock(productId);
+        product.expired_quantity = getExpiredQuantity(productId);
+        product.available_to_promise = getAvailableToPromise(productId);
+        product.backordered_quantity = getBackorderedQuantity(productId);
+    }
+    return product;
+}
+
+/**
+ * Resolves the warehouse a product is stocked into by default (its `location`),
+ * falling back to the first active warehouse.
+ * @param {object} product - A products row with at least `location`.
+ * @returns {object | undefined} The warehouses row.
+ */
+function getDefaultWarehouse(product) {
+    return db.prepare('SELECT * FROM warehouses WHERE name = ?').get(product.location)
+        || db.prepare('SELECT * FROM warehouses WHERE is_active = 1 ORDER BY id LIMIT 1').get();
+}
+
+/**
+ * Sets the quantity of a product held in one warehouse and resynchronises the product total.
+ * When stock leaves without naming its lots, the lots are reduced to match (shortest expiry first).
+ * Writes no ledger row, so only the ledger rebuild calls it directly; everything else uses changeStock or setStock.
+ * @param {number} productId - The product to update.
+ * @param {number} warehouseId - The warehouse holding the stock.
+ * @param {number} quantity - The new on-hand quantity in that warehouse (>= 0).
+ * @returns {object} { previousQuantity, newQuantity, previousTotal, newTotal }.
+ */
+function setWarehouseQuantity(productId, warehouseId, quantity) {
+    if (quantity < 0) {
+        throw new Error(`Insufficient stock for product ${productId} in warehouse ${warehouseId}.`);
+    }
+
+    const product = db.prepare('SELECT stock_quantity FROM products WHERE id = ?').get(productId);
+    if (!product) {
+        throw new Error(`Product with ID ${productId} not found.`);
+    }
+    const warehouse = db.prepare('SELECT id, name FROM warehouses WHERE id = ?').get(warehouseId);
+    if (!warehouse) {
+        throw new Error(`Warehouse with ID ${warehouseId} not found.`);
+    }
+
+    const current = db.prepare('SELECT quantity FROM stock_locations WHERE product_id = ? AND warehouse_id = ?').get(productId, warehouseId);
+    if (current) {
+        db.prepare('UPDATE stock_locations SET quantity = ?, updated_at = CURRENT_TIMESTAMP WHERE product_id = ? AND warehouse_id = ?').run(quantity, productId, warehouseId);
+    } else {
+        db.prepare('INSERT INTO stock_locations (product_id, warehouse_id, location, quantity) VALUES (?, ?, ?, ?)').run(productId, warehouseId, warehouse.name, quantity);
+    }
+    trimLotsToStock(productId, warehouseId, quantity);
+
+    const newTotal = syncProductStock(productId);
+    return {
+        previousQuantity: current ? current.quantity : 0,
+        newQuantity: quantity,
+        previousTotal: product.stock_quantity,
+        newTotal
+    };
+}
+
+/**
+ * Adds (positive delta) or removes (negative delta) stock in one warehouse.
+ * Throws when the warehouse would go negative.
+ * @param {number} productId - The product to update.
+ * @param {number} warehouseId - The warehouse holding the stock.
+ * @param {number} delta - The change in quantity.
+ * @returns {object} { previousQuantity, newQuantity, previousTotal, newTotal }.
+ */
+function adjustWarehouseQuantity(productId, warehouseId, delta) {
+    const current = db.prepare('SELECT quantity FROM stock_locations WHERE product_id = ? AND warehouse_id = ?').get(productId, warehouseId);
+    return setWarehouseQuantity(productId, warehouseId, (current ? current.quantity : 0) + delta);
+}
+
+/**
+ * Adds (positive delta) or removes (negative delta) stock in one warehouse and writes the matching
+ * inventory_transactions row. Every change to on-hand stock goes through here or setStock, so the
+ * ledger always replays to products.stock_quantity (see utils/inventoryLedger.js) and the cost layers
+ * always cover the stock (see utils/valuation.js).
+ * Throws when the warehouse would go negative.
+ * @param {number} productId - The product to update.
+ * @param {number} warehouseId - The warehouse holding the stock.
+ * @param {number} delta - The change in quantity; nothing is written when it is 0.
+ * @param {object} entry - { type, reason, reasonCode, createdBy, unitCost } for the ledger row. type is one of
+ *     LEDGER_TYPES; unitCost prices inbound stock (a receipt, a return at the cost it left with) and
+ *     defaults to the current cost.
+ * @returns {object} { previousQuantity, newQuantity, previousTotal, newTotal, unitCost, cost }, where cost is
+ *     what the units moved are valued at under the configured method.
+ */
+function changeStock(productId, warehouseId, delta, { type, reason = null, reasonCode = null, createdBy = null, unitCost = null }) {
+    if (!LEDGER_TYPES.includes(type)) {
+        throw new Error(`Unknown inventory transaction type: ${type}.`);
+    }
+    return db.transaction(() => {
+        const stockChange = adjustWarehouseQuantity(productId, warehouseId, delta);
+        if (delta === 0) {
+            return { ...stockChange, unitCost: 0, cost: 0 };
+        }
+
+        const inboundCost = delta > 0 ? (unitCost === null ? getCurrentUnitCost(productId, warehouseId) : unitCost) : null;
+        const valuation = delta > 0 ? null : issueCost(productId, warehouseId, -delta);
+        const info = db.prepare(`
+            INSERT INTO inventory_transactions (product_id, type, quantity, previous_quantity, new_quantity, reason, reason_code, created_by, warehouse_id, unit_cost)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(productId, type, delta, stockChange.previousTotal, stockChange.newTotal, reason, reasonCode, createdBy, warehouseId, delta > 0 ? inboundCost : valuation.unitCost);
+
+        const cost = valuation || receiveCost(productId, warehouseId, delta, {
+            unitCost: inboundCost,
+            previousQuantity: stockChange.previousQuantity,
+            transactionId: info.lastInsertRowid
+        });
+        return { ...stockChange, ...cost };
+    })();
+}
+
+/**
+ * Sets the stock a product holds in one warehouse, recording the difference in the ledger (see changeStock).
+ * @param {number} productId - The product to update.
+ * @param {number} warehouseId - The warehouse holding the stock.
+ * @param {number} quantity - The new on-hand quantity in that warehouse (>= 0).
+ * @param {object} entry - { type, reason, reasonCode, createdBy, unitCost } for the ledger row.
+ * @returns {object} The stock change, as from changeStock.
+ */
+function setStock(productId, warehouseId, quantity, entry) {
+    if (quantity < 0) {
+        throw new Error(`Insufficient stock for product ${productId} in warehouse ${warehouseId}.`);
+    }
+    return db.transaction(() => {
+        const current = db.prepare('SELECT quantity FROM stock_locations WHERE product_id = ? AND warehouse_id = ?').get(productId, warehouseId);
+        return changeStock(productId, warehouseId, quantity - (current ? current.quantity : 0), entry);
+    })();
+}
+
+/**
+ * Sets the stock a product holds in one warehouse by hand (initial stock, a manual adjustment), like setStock.
+ * For a lot-tracked product the units added or removed must be named by lot, and for a serial-tracked
+ * product by serial number, so the lots and serials keep covering the stock.
+ * @param {number} productId - The product to update.
+ * @param {number} warehouseId - The warehouse holding the stock.
+ * @param {number} quantity - The new on-hand quantity in that warehouse (>= 0).
+ * @param {object} tracking - { lotNumber, expiryDate (YYYY-MM-DD, for a new lot), serialNumbers }.
+ * @param {object} entry - { type, reason, reasonCode, createdBy, unitCost } for the ledger row.
+ * @returns {object} The stock change, as from changeStock.
+ * @throws {Error} 400 if a tracked product's units are not named, or the named lot or serials do not hold them.
+ */
+function setTrackedStock(productId, warehouseId, quantity, { lotNumber = null, expiryDate = null, serialNumbers = [] }, entry) {
+    return db.transaction(() => {
+        const product = db.prepare('SELECT sku, track_lots, track_serials FROM products WHERE id = ?').get(productId);
+        const current = db.prepare('SELECT quantity FROM stock_locations WHERE product_id = ? AND warehouse_id = ?').get(productId, warehouseId);
+        const delta = quantity - (current ? current.quantity : 0);
+        const units = Math.abs(delta);
+
+        const lot = lotNumber ? lotNumber.trim() : '';
+        if (product.track_lots && delta !== 0 && !lot) {
+            throw statusError(`${product.sku} is lot-tracked: enter the lot the ${units} unit(s) ${delta > 0 ? 'added belong' : 'removed come from'} to.`, 400);
+        }
+        const serials = normalizeSerials(serialNumbers);
+        if (product.track_serials && serials.length !== units) {
+            throw statusError(`${product.sku} is serial-tracked: scan one serial number per unit ${delta > 0 ? 'added' : 'removed'} (${units} expected, ${serials.length} given).`, 400);
+        }
+        if (!product.track_serials && serials.length > 0) {
+            throw statusError(`${product.sku} does not track serial numbers.`, 400);
+        }
+
+        // Units leave their lot before the stock drops, so it is not trimmed from the shortest expiry instead
+        if (product.track_lots && delta < 0) {
+            takeFromLot(productId, warehouseId, lot, units);
+        }
+        if (product.track_serials && delta < 0) {
+            writeOffSerials(productId, warehouseId, serials, { reference: entry.reason, createdBy: entry.createdBy });
+        }
+        const stockChange = setStock(productId, warehouseId, quantity, entry);
+        if (product.track_lots && delta > 0) {
+            receiveLot(productId, warehouseId, { lotNumber: lot, expiryDate, quantity: units });
+        }
+        if (product.track_serials && delta > 0) {
+            addSerials(productId, warehouseId, serials, { event: 'registered', reference: entry.reason, createdBy: entry.createdBy });
+        }
+        return stockChange;
+    })();
+}
+
+/**
+ * Adds (positive delta) or removes (negative delta) inbound in-transit stock at a warehouse.
+ * In-transit stock is not part of products.stock_quantity, so it cannot be sold.
+ * @param {number} productId - The product being transferred.
+ * @param {number} warehouseId - The destination warehouse.
+ * @param {number} delta - The change in in-transit quantity.
+ * @returns {number} The new in-transit quantity.
+ */
+function adjustInTransitQuantity(productId, warehouseId, delta) {
+    const current = db.prepare('SELECT in_transit_quantity FROM stock_locations WHERE product_id = ? AND warehouse_id = ?').get(productId, warehouseId);
+    const newQuantity = (current ? current.in_transit_quantity : 0) + delta;
+    if (newQuantity < 0) {
+        throw new Error(`In-transit quantity for product ${productId} in warehouse ${warehouseId} cannot go negative.`);
+    }
+
+    if (current) {
+        db.prepare('UPDATE stock_locations SET in_transit_quantity = ?, updated_at = CURRENT_TIMESTAMP WHERE product_id = ? AND warehouse_id = ?').run(newQuantity, productId, warehouseId);
+    } else {
+        const warehouse = db.prepare('SELECT name FROM warehouses WHERE id = ?').get(warehouseId);
+        db.prepare('INSERT INTO stock_locations (product_id, warehouse_id, location, quantity, in_transit_quantity) VALUES (?, ?, ?, 0, ?)').run(productId, warehouseId, warehouse.name, newQuantity);
+    }
+    return newQuantity;
+}
+
+/**
+ * Chooses the warehouses that fulfil an order. A single warehouse able to ship every line is
+ * preferred; otherwise each line comes from the warehouse with the most stock that can ship it
+ * whole, and only lines no single warehouse can cover are split across warehouses.
+ * Units in expired lots are on hand but not counted as stock that can ship.
+ * @param {Array<object>} lines - Order lines of { productId, quantity }.
+ * @returns {Array<Array<object>>} Per line, the allocations [{ warehouseId, warehouseName, quantity }].
+ */
+function allocateOrderLines(lines) {
+    const stockStmt = db.prepare(`
+        SELECT sl.warehouse_id, w.name as warehouse_name, sl.quantity
+        FROM stock_locations sl
+        JOIN warehouses w ON sl.warehouse_id = w.id
+        WHERE sl.product_id = ? AND w.is_active = 1 AND sl.quantity > 0
+    `);
+    const stockByLine = lines.map(line => stockStmt.all(line.productId)
+        .map(row => ({ ...row, quantity: row.quantity - getExpiredQuantity(line.productId, row.warehouse_id) }))
+        .filter(row => row.quantity > 0)
+        .sort((a, b) => b.quantity - a.quantity || a.warehouse_id - b.warehouse_id));
+
+    // 1. One warehouse for the whole order keeps it to a single parcel
+    const candidateIds = stockByLine.length > 0 ? stockByLine[0].map(row => row.warehouse_id) : [];
+    const singleWarehouseId = candidateIds.find(warehouseId =>
+        lines.every((line, index) => stockByLine[index].some(row => row.warehouse_id === warehouseId && row.quantity >= line.quantity))
+    );
+    if (singleWarehouseId) {
+        return lines.map((line, index) => {
+            const row = stockByLine[index].find(r => r.warehouse_id === singleWarehouseId);
+            return [{ warehouseId: row.warehouse_id, warehouseName: row.warehouse_name, quantity: line.quantity }];
+        });
+    }
+
+    // 2. Per line: whole line from one warehouse, otherwise split greedily
+    return lines.map((line, index) => {
+        const rows = stockByLine[index];
+        const whole = rows.find(row => row.quantity >= line.quantity);
+        if (whole) {
+            return [{ warehouseId: whole.warehouse_id, warehouseName: whole.warehouse_name, quantity: line.quantity }];
+        }
+
+        const allocations = [];
+        let remaining = line.quantity;
+        for (const row of rows) {
+            if (remaining === 0) break;
+            const take = Math.min(row.quantity, remaining);
+            allocations.push({ warehouseId: row.warehouse_id, warehouseName: row.warehouse_name, quantity: take });
+            remaining -= take;
+        }
+        if (remaining > 0) {
+            throw new Error(`Insufficient stock for product ID ${line.productId} across warehouses.`);
+        }
+        return allocations;
+    });
+}
+
+module.exports = {
+    LEDGER_TYPES,
+    syncProductStock,
+    getWarehouseStock,
+    getBackorderedQuantity,
+    getInventorySnapshot,
+    getDefaultWarehouse,
+    setWarehouseQuantity,
+    changeStock,
+    setStock,
+    setTrackedStock,
+    adjustInTransitQuantity,
+    allocateOrderLines
+};
@@ -0,0 +1,165 @@
+// backend/src/utils/inventoryLedger.js
+const { db } = require('../config/database');
+const { getDefaultWarehouse, setWarehouseQuantity, syncProductStock, getInventorySnapshot } = require('./inventory');
+const { syncCostLayers } = require('./valuation');
+
+/**
+ * Replays a product's inventory_transactions, oldest first.
+ * Ledger rows written before warehouses existed have no warehouse_id; they count towards the
+ * product's default warehouse, or as unassigned when there is none.
+ * @param {object} product - A products row with at least id and location.
+ * @param {Array<object>} transactions - The product's inventory_transactions rows, ordered by id.
+ * @returns {object} { total, byWarehouse: Map of warehouseId to quantity, unassigned,
+ *     chainBreaks: [ids of rows that do not follow on] }.
+ */
+function replayLedger(product, transactions) {
+    const defaultWarehouse = getDefaultWarehouse(product);
+    const byWarehouse = new Map();
+    const chainBreaks = [];
+    let unassigned = 0;
+    let total = 0;
+    for (const transaction of transactions) {
+        // Each row records the product total before and after it; a gap means stock changed off the ledger
+        if (transaction.previous_quantity !== total || transaction.new_quantity !== transaction.previous_quantity + transaction.quantity) {
+            chainBreaks.push(transaction.id);
+        }
+        total += transaction.quantity;
+        const warehouseId = transaction.warehouse_id || (defaultWarehouse ? defaultWarehouse.id : null);
+        if (warehouseId === null) {
+            unassigned += transaction.quantity;
+        } else {
+            byWarehouse.set(warehouseId, (byWarehouse.get(warehouseId) || 0) + transaction.quantity);
+        }
+    }
+    return { total, byWarehouse, unassigned, chainBreaks };
+}
+
+/**
+ * Replays the ledger of each product and compares it with products.stock_quantity and the
+ * per-warehouse stock_locations quantities.
+ * @param {object} [options] - { productIds: only check these, mismatchedOnly: leave out products that reconcile }.
+ * @returns {object} { checked_at, summary: { products, mismatched, chain_breaks }, products: [...] } where each
+ *     product has stock_quantity, ledger_quantity, difference, unassigned_quantity (ledger units no warehouse can
+ *     be found for), chain_breaks, first_chain_break and per-warehouse rows.
+ */
+function checkLedgerIntegrity({ productIds = null, mismatchedOnly = false } = {}) {
+    const products = db.prepare('SELECT id, name, sku, category, location, stock_quantity, archived_at FROM products ORDER BY id').all()
+        .filter(product => !productIds || productIds.includes(product.id));
+    const transactionsStmt = db.prepare('SELECT id, quantity, previous_quantity, new_quantity, warehouse_id FROM inventory_transactions WHERE product_id = ? ORDER BY id');
+    const locationsStmt = db.prepare(`
+        SELECT sl.warehouse_id, w.name as warehouse_name, sl.quantity
+        FROM stock_locations sl
+        JOIN warehouses w ON sl.warehouse_id = w.id
+        WHERE sl.product_id = ?
+    `);
+    const warehouseNames = Object.fromEntries(db.prepare('SELECT id, name FROM warehouses').all().map(w => [w.id, w.name]));
+
+    const results = products.map(product => {
+        const ledger = replayLedger(product, transactionsStmt.all(product.id));
+        const locations = locationsStmt.all(product.id);
+        const warehouseIds = new Set([...locations.map(location => location.warehouse_id), ...ledger.byWarehouse.keys()]);
+        const warehouses = [...warehouseIds].map(warehouseId => {
+            const location = locations.find(l => l.warehouse_id === warehouseId);
+            const stockQuantity = location ? location.quantity : 0;
+            const ledgerQuantity = ledger.byWarehouse.get(warehouseId) || 0;
+            return {
+                warehouse_id: warehouseId,
+                warehouse_name: warehouseNames[warehouseId] || null,
+                stock_quantity: stockQuantity,
+                ledger_quantity: ledgerQuantity,
+                difference: stockQuantity - ledgerQuantity
+            };
+        }).filter(warehouse => warehouse.stock_quantity !== 0 || warehouse.ledger_quantity !== 0);
+
+        return {
+            product_id: product.id,
+            name: product.name,
+            sku: product.sku,
+            category: product.category,
+            archived: !!product.archived_at,
+            stock_quantity: product.stock_quantity,
+            ledger_quantity: ledger.total,
+            difference: product.stock_quantity - ledger.total,
+            unassigned_quantity: ledger.unassigned,
+            chain_breaks: ledger.chainBreaks.length,
+            first_chain_break: ledger.chainBreaks.length > 0 ? ledger.chainBreaks[0] : null,
+            mismatched: product.stock_quantity !== ledger.total || warehouses.some(warehouse => warehouse.difference !== 0),
+            warehouses
+        };
+    });
+
+    return {
+        checked_at: new Date().toISOString(),
+        summary: {
+            products: results.length,
+            mismatched: results.filter(result => result.mismatched).length,
+            chain_breaks: results.reduce((sum, result) => sum + result.chain_breaks, 0)
+        },
+        products: mismatchedOnly ? results.filter(result => result.mismatched) : results
+    };
+}
+
+/**
+ * Resets stock to what the ledger says: each warehouse gets its replayed quantity and
+ * products.stock_quantity follows. Writes no ledger rows, since the ledger is the source being trusted.
+ * Products whose ledger replays below zero in a warehouse, or holds units no warehouse can be found for, are
+ * skipped; their history has to be fixed by hand.
+ * @param {object} [options] - { productIds: rebuild these, otherwise every mismatched product }.
+ * @returns {object} { rebuilt: [{ product_id, sku, previous_quantity, new_quantity }], skipped: [{ product_id, sku, reason }] }.
+ */
+function rebuildFromLedger({ productIds = null } = {}) {
+    return db.transaction(() => {
+        const report = checkLedgerIntegrity({ productIds, mismatchedOnly: true });
+        const rebuilt = [];
+        const skipped = [];
+        for (const product of report.products) {
+            const negative = product.warehouses.find(warehouse => warehouse.ledger_quantity < 0);
+            if (negative) {
+                skipped.push({
+                    product_id: product.product_id,
+                    sku: product.sku,
+                    reason: `The ledger replays to ${negative.ledger_quantity} in ${negative.warehouse_name || `warehouse ${negative.warehouse_id}`}.`
+                });
+                continue;
+            }
+            if (product.unassigned_quantity !== 0) {
+                skipped.push({
+                    product_id: product.product_id,
+                    sku: product.sku,
+                    reason: `${product.unassigned_quantity} units in the ledger have no warehouse and the product has no default warehouse.`
+                });
+                continue;
+            }
+
+            product.warehouses
+                .filter(warehouse => warehouse.difference !== 0)
+                .forEach(warehouse => {
+                    setWarehouseQuantity(product.product_id, warehouse.warehouse_id, warehouse.ledger_quantity);
+                    syncCostLayers(product.product_id, warehouse.warehouse_id);
+                });
+            // The total is resynchronised even when every warehouse already matched and only it had drifted
+            const newTotal = syncProductStock(product.product_id);
+            rebuilt.push({ product_id: product.product_id, sku: product.sku, previous_quantity: product.stock_quantity, new_quantity: newTotal });
+        }
+        return { rebuilt, skipped };
+    })();
+}
+
+/**
+ * Broadcasts the stock of rebuilt products.
+ * @param {object} io - The Socket.IO server.
+ * @param {Array<object>} rebuilt - The rebuilt products from rebuildFromLedger.
+ */
+function broadcastLedgerRebuild(io, rebuilt) {
+    if (!io) {
+        console.warn('Socket.io instance not found. Rebuilt stock will not be broadcast in real-time.');
+        return;
+    }
+    rebuilt.forEach(product => io.emit('inventory_changed', getInventorySnapshot(product.product_id)));
+}
+
+module.exports = {
+    checkLedgerIntegrity,
+    rebuildFromLedger,
+    broadcastLedgerRebuild
+};
@@ -0,0 +1,221 @@
+// backend/src/utils/lots.js
+const { db } = require('../config/database');
+const { statusError } = require('./statusTransitions');
+
+// Lots are consumed first-expiry-first-out; lots without an expiry date go after dated ones, oldest first
+const FEFO_ORDER = 'l.expiry_date IS NULL, l.expiry_date ASC, l.id ASC';
+// A lot is sellable up to and including its expiry date; after that its units stay on hand, to be written off, but never ship
+const EXPIRED = "l.expiry_date < date('now')";
+
+/**
+ * The lots of a product held in one warehouse, in the order they are shipped (FEFO).
+ * @param {number} productId - The product to look up.
+ * @param {number} warehouseId - The warehouse holding the stock.
+ * @param {object} [options] - { includeExpired: also list lots past their expiry date }.
+ * @returns {Array<object>} Rows of { lot_id, lot_number, expiry_date, quantity }.
+ */
+function getWarehouseLots(productId, warehouseId, { includeExpired = false } = {}) {
+    return db.prepare(`
+        SELECT l.id as lot_id, l.lot_number, l.expiry_date, ls.quantity
+        FROM lot_stock ls
+        JOIN lots l ON ls.lot_id = l.id
+        WHERE l.product_id = ? AND ls.warehouse_id = ? AND ls.quantity > 0 ${includeExpired ? '' : `AND NOT ${EXPIRED}`}
+        ORDER BY ${FEFO_ORDER}
+    `).all(productId, warehouseId);
+}
+
+/**
+ * The units of a product held in lots past their expiry date. They count as on hand but cannot be sold.
+ * @param {number} productId - The product to look up.
+ * @param {number} [warehouseId] - One warehouse; every warehouse when omitted.
+ * @returns {number} The expired quantity.
+ */
+function getExpiredQuantity(productId, warehouseId = null) {
+    const { expired } = db.prepare(`
+        SELECT COALESCE(SUM(ls.quantity), 0) as expired
+        FROM lot_stock ls
+        JOIN lots l ON ls.lot_id = l.id
+        WHERE l.product_id = ? AND (? IS NULL OR ls.warehouse_id = ?) AND ${EXPIRED}
+    `).get(productId, warehouseId, warehouseId);
+    return expired;
+}
+
+/**
+ * Adds stock to a lot in one warehouse, creating its lot_stock row if needed.
+ * The caller adds the same quantity to the warehouse's stock_locations row.
+ * @param {number} lotId - The lot.
+ * @param {number} warehouseId - The warehouse receiving it.
+ * @param {number} quantity - Units added.
+ */
+function addLotStock(lotId, warehouseId, quantity) {
+    db.prepare(`
+        INSERT INTO lot_stock (lot_id, warehouse_id, quantity) VALUES (?, ?, ?)
+        ON CONFLICT(lot_id, warehouse_id) DO UPDATE SET quantity = quantity + excluded.quantity
+    `).run(lotId, warehouseId, quantity);
+}
+
+/**
+ * Books received units into a lot, creating the lot on its first receipt. A lot number keeps the
+ * expiry date it was first received with.
+ * @param {number} productId - The product received.
+ * @param {number} warehouseId - The receiving warehouse.
+ * @param {object} lot - { lotNumber, expiryDate (YYYY-MM-DD or null), quantity, goodsReceiptId }.
+ * @returns {object} The lots row.
+ */
+function receiveLot(productId, warehouseId, { lotNumber, expiryDate = null, quantity, goodsReceiptId = null }) {
+    let lot = db.prepare('SELECT * FROM lots WHERE product_id = ? AND lot_number = ?').get(productId, lotNumber);
+    if (lot && expiryDate && lot.expiry_date && lot.expiry_date !== expiryDate) {
+        throw statusError(`Lot ${lotNumber} was received before with expiry date ${lot.expiry_date}, not ${expiryDate}.`, 400);
+    }
+    if (!lot) {
+        const info = db.prepare('INSERT INTO lots (product_id, lot_number, expiry_date, goods_receipt_id) VALUES (?, ?, ?, ?)')
+            .run(productId, lotNumber, expiryDate, goodsReceiptId);
+        lot = db.prepare('SELECT * FROM lots WHERE id = ?').get(info.lastInsertRowid);
+    } else if (!lot.expiry_date && expiryDate) {
+        db.prepare('UPDATE lots SET expiry_date = ? WHERE id = ?').run(expiryDate, lot.id);
+        lot.expiry_date = expiryDate;
+    }
+    addLotStock(lot.id, warehouseId, quantity);
+    return lot;
+}
+
+/**
+ * Picks the units to ship from one warehouse first-expiry-first-out and takes them out of their lots.
+ * Stock not held in any lot (received before the product was tracked, or by a manual adjustment)
+ * ships last, as a portion with a null lotId. The caller removes the total from the warehouse stock.
+ * Expired lots are skipped unless asked for, so a sale never ships them.
+ * @param {number} productId - The product being shipped.
+ * @param {number} warehouseId - The warehouse it ships from.
+ * @param {number} quantity - Units to ship.
+ * @param {object} [options] - { includeExpired: take expired lots too (first, being the shortest expiry) }.
+ * @returns {Array<object>} Portions of { lotId, lotNumber, expiryDate, quantity } adding up to quantity.
+ */
+function takeLots(productId, warehouseId, quantity, { includeExpired = false } = {}) {
+    const portions = [];
+    let remaining = quantity;
+    for (const lot of getWarehouseLots(productId, warehouseId, { includeExpired })) {
+        if (remaining === 0) break;
+        const take = Math.min(lot.quantity, remaining);
+        db.prepare('UPDATE lot_stock SET quantity = quantity - ? WHERE lot_id = ? AND warehouse_id = ?').run(take, lot.lot_id, warehouseId);
+        portions.push({ lotId: lot.lot_id, lotNumber: lot.lot_number, expiryDate: lot.expiry_date, quantity: take });
+        remaining -= take;
+    }
+    if (remaining > 0) {
+        portions.push({ lotId: null, lotNumber: null, expiryDate: null, quantity: remaining });
+    }
+    return portions;
+}
+
+/**
+ * Takes units out of one named lot in a warehouse, for stock that leaves by hand.
+ * The caller removes the same quantity from the warehouse's stock_locations row.
+ * @param {number} productId - The product.
+ * @param {number} warehouseId - The warehouse holding the lot.
+ * @param {string} lotNumber - The lot the units leave from.
+ * @param {number} quantity - Units removed.
+ * @throws {Error} 400 if the warehouse holds fewer units of the lot.
+ */
+function takeFromLot(productId, warehouseId, lotNumber, quantity) {
+    const lot = db.prepare(`
+        SELECT l.id, COALESCE(ls.quantity, 0) as quantity
+        FROM lots l
+        LEFT JOIN lot_stock ls ON ls.lot_id = l.id AND ls.warehouse_id = ?
+        WHERE l.product_id = ? AND l.lot_number = ?
+    `).get(warehouseId, productId, lotNumber);
+    if (!lot || lot.quantity < quantity) {
+        throw statusError(`Lot ${lotNumber} only has ${lot ? lot.quantity : 0} unit(s) in this warehouse.`, 400);
+    }
+    db.prepare('UPDATE lot_stock SET quantity = quantity - ? WHERE lot_id = ? AND warehouse_id = ?').run(quantity, lot.id, warehouseId);
+}
+
+/**
+ * Takes lot stock down to the warehouse's on-hand quantity after stock left without naming its lots
+ * (a manual stock change), shortest expiry first. Called from setWarehouseQuantity.
+ * @param {number} productId - The product whose stock changed.
+ * @param {number} warehouseId - The warehouse holding it.
+ * @param {number} onHand - The warehouse's new on-hand quantity.
+ */
+function trimLotsToStock(productId, warehouseId, onHand) {
+    const lots = getWarehouseLots(productId, warehouseId, { includeExpired: true });
+    const excess = lots.reduce((sum, lot) => sum + lot.quantity, 0) - onHand;
+    if (excess > 0) {
+        takeLots(productId, warehouseId, excess, { includeExpired: true });
+    }
+}
+
+/**
+ * Lists lots with their on-hand stock per warehouse, shortest expiry first.
+ * @param {object} filters - { productId, lotNumber, inStockOnly }, all optional.
+ * @returns {Array<object>} lots rows with product_name, sku, on_hand and warehouses [{ warehouse_id, warehouse_name, quantity }].
+ */
+function listLots({ productId = null, lotNumber = null, inStockOnly = false } = {}) {
+    const stockStmt = db.prepare(`
+        SELECT ls.warehouse_id, w.name as warehouse_name, ls.quantity
+        FROM lot_stock ls
+        JOIN warehouses w ON ls.warehouse_id = w.id
+        WHERE ls.lot_id = ? AND ls.quantity > 0
+        ORDER BY w.name
+    `);
+    return db.prepare(`
+        SELECT l.*, p.name as product_name, p.sku, gr.receipt_number,
+               (SELECT COALESCE(SUM(ls.quantity), 0) FROM lot_stock ls WHERE ls.lot_id = l.id) as on_hand,
+               CAST(julianday(l.expiry_date) - julianday(date('now')) AS INTEGER) as days_until_expiry
+        FROM lots l
+        JOIN products p ON l.product_id = p.id
+        LEFT JOIN goods_receipts gr ON l.goods_receipt_id = gr.id
+        WHERE (? IS NULL OR l.product_id = ?) AND (? IS NULL OR l.lot_number = ?)
+        ORDER BY ${FEFO_ORDER}
+    `).all(productId, productId, lotNumber, lotNumber)
+        .filter(lot => !inStockOnly || lot.on_hand > 0)
+        .map(lot => ({ ...lot, warehouses: stockStmt.all(lot.id) }));
+}
+
+/**
+ * Lots still in stock that expire within the given number of days, including ones already expired.
+ * @param {number} days - How far ahead to look.
+ * @returns {Array<object>} Rows shaped like listLots, shortest expiry first.
+ */
+function getExpiringLots(days) {
+    return listLots({ inStockOnly: true })
+        .filter(lot => lot.expiry_date !== null && lot.days_until_expiry <= days);
+}
+
+/**
+ * Recall lookup: every order (not cancelled) that received units of a lot, with the customer to contact,
+ * and the units of the lot still in stock (to quarantine). A lot number may exist for several products.
+ * @param {string} lotNumber - The lot number to trace.
+ * @param {object} options - { productId: narrow to one product }.
+ * @returns {Array<object>} Per matching lot: the lots row with product_name, sku, on_hand, warehouses and
+ *   orders [{ order_id, order_date, order_status, user_name, user_email, shipping_address, quantity, tracking_numbers }].
+ */
+function getLotRecall(lotNumber, { productId = null } = {}) {
+    const ordersStmt = db.prepare(`
+        SELECT o.id as order_id, o.order_date, o.status as order_status, u.name as user_name, u.email as user_email,
+               o.shipping_address, SUM(oi.quantity) as quantity,
+               (SELECT GROUP_CONCAT(DISTINCT s.tracking_number)
+                FROM shipment_items si JOIN shipments s ON si.shipment_id = s.id
+                JOIN order_items oi2 ON si.order_item_id = oi2.id
+                WHERE oi2.order_id = o.id AND oi2.lot_id = ? AND s.status != 'cancelled') as tracking_numbers
+        FROM order_items oi
+        JOIN orders o ON oi.order_id = o.id
+        JOIN users u ON o.user_id = u.id
+        WHERE oi.lot_id = ? AND o.status != 'cancelled'
+        GROUP BY o.id
+        ORDER BY o.order_date DESC, o.id DESC
+    `);
+    return listLots({ productId, lotNumber })
+        .map(lot => ({ ...lot, orders: ordersStmt.all(lot.id, lot.id) }));
+}
+
+module.exports = {
+    getWarehouseLots,
+    getExpiredQuantity,
+    addLotStock,
+    receiveLot,
+    takeLots,
+    takeFromLot,
+    trimLotsToStock,
+    listLots,
+    getExpiringLots,
+    getLotRecall
+};
@@ -0,0 +1,104 @@
+// backend/src/utils/mailer.js
+const fs = require('fs');
+const path = require('path');
+
+// Which transport delivers mail: 'smtp', 'file' or 'console'. Defaults to SMTP when SMTP_HOST is set, else the console
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+const MAIL_FROM = process.env.MAIL_FROM || 'Supply Chain Management <no-reply@supply-chain.local>';
+// Where the file transport writes messages, one JSON file each, so local tests can read them
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'mail-outbox');
+
+/**
+ * Sends through an SMTP server configured by SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASS.
+ * nodemailer is only loaded when this transport is used.
+ * @returns {object} A transport with send(message).
+ */
+function createSmtpTransport() {
+    const nodemailer = require('nodemailer');
+    const port = parseInt(process.env.SMTP_PORT || '587') || 587;
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    return {
+        name: 'smtp',
+        send: async (message) => {
+            const info = await transporter.sendMail(message);
+            return { messageId: info.messageId };
+        }
+    };
+}
+
+/**
+ * Writes each message to MAIL_OUTBOX_DIR as JSON ({ from, to, subject, text, html, sentAt }).
+ * @returns {object} A transport with send(message).
+ */
+function createFileTransport() {
+    let sequence = 0;
+    return {
+        name: 'file',
+        send: async (message) => {
+            await fs.promises.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+            sequence += 1;
+            const messageId = `${Date.now()}-${process.pid}-${sequence}`;
+            const file = path.join(MAIL_OUTBOX_DIR, `${messageId}.json`);
+            await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+            return { messageId, file };
+        }
+    };
+}
+
+/**
+ * Logs each message's plain-text body; for development without a mail server.
+ * @returns {object} A transport with send(message).
+ */
+function createConsoleTransport() {
+    let sequence = 0;
+    return {
+        name: 'console',
+        send: async (message) => {
+            sequence += 1;
+            console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+            return { messageId: `console-${sequence}` };
+        }
+    };
+}
+
+const TRANSPORTS = {
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    console: createConsoleTransport
+};
+
+let transport = null;
+
+/**
+ * The configured transport, created on first use.
+ * @returns {object} { name, send(message) }.
+ */
+function getTransport() {
+    if (!transport) {
+        const create = TRANSPORTS[MAIL_TRANSPORT];
+        if (!create) {
+            throw new Error(`Unknown MAIL_TRANSPORT '${MAIL_TRANSPORT}'; use one of ${Object.keys(TRANSPORTS).join(', ')}`);
+        }
+        transport = create();
+    }
+    return transport;
+}
+
+/**
+ * Sends an email through the configured transport.
+ * @param {object} message - { to, subject, text, html }; from defaults to MAIL_FROM.
+ * @returns {Promise<object>} { messageId } (plus file for the file transport).
+ */
+async function sendMail({ to, subject, text, html = null, from = MAIL_FROM }) {
+    return getTransport().send({ from, to, subject, text, ...(html ? { html } : {}) });
+}
+
+module.exports = {
+    MAIL_OUTBOX_DIR,
+    sendMail
+};
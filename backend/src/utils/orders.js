@@ -0,0 +1,107 @@
+// backend/src/utils/orders.js
+const { db } = require('../config/database');
+const { changeStock, getDefaultWarehouse, getInventorySnapshot } = require('./inventory');
+const { addLotStock } = require('./lots');
+const { releaseShipmentSerials } = require('./serials');
+const { statusError, getNextStatuses, recordStatusChange, getShipmentWithOrder } = require('./statusTransitions');
+
+/**
+ * Cancels an order that has not shipped: every order_items line goes back to the warehouse and lot it was
+ * allocated from (a `return` ledger row each), its shipments and waiting backorders are cancelled
+ * and a refund is recorded.
+ * @param {number} orderId - The order to cancel.
+ * @param {object} options - { cancelledBy: user id, reason: optional text, userId: restrict to this customer's orders }.
+ * @returns {object} { order, refund, shipments, productIds }.
+ */
+function cancelOrder(orderId, { cancelledBy, reason = null, userId = null }) {
+    return db.transaction(() => {
+        const order = db.prepare('SELECT * FROM orders WHERE id = ?').get(orderId);
+        if (!order || (userId !== null && order.user_id !== userId)) {
+            throw statusError('Order not found', 404);
+        }
+        if (!getNextStatuses('order', order.status).includes('cancelled')) {
+            throw statusError(`Order #${orderId} cannot be cancelled (current status: ${order.status}).`, 409);
+        }
+        const shipments = db.prepare("SELECT id, status, tracking_number FROM shipments WHERE order_id = ? AND status != 'cancelled'").all(orderId);
+        const dispatched = shipments.find(shipment => !getNextStatuses('shipment', shipment.status).includes('cancelled'));
+        if (dispatched) {
+            throw statusError(`Order #${orderId} cannot be cancelled because shipment ${dispatched.tracking_number} is ${dispatched.status.replace(/_/g, ' ')}.`, 409);
+        }
+
+        // Backordered lines never took stock, so there is nothing to put back for them
+        const items = db.prepare(`
+            SELECT oi.product_id, oi.quantity, oi.warehouse_id, oi.lot_id, oi.unit_cost, p.location
+            FROM order_items oi
+            JOIN products p ON oi.product_id = p.id
+            WHERE oi.order_id = ?
+              AND NOT EXISTS (SELECT 1 FROM backorders b WHERE b.order_item_id = oi.id AND b.status = 'waiting')
+        `).all(orderId);
+
+        for (const item of items) {
+            // Orders placed before per-warehouse allocation have no warehouse_id
+            const warehouseId = item.warehouse_id || getDefaultWarehouse(item).id;
+            // Units go back at the cost they left with
+            changeStock(item.product_id, warehouseId, item.quantity, {
+                type: 'return',
+                reason: `Order #${orderId} cancelled`,
+                createdBy: cancelledBy,
+                unitCost: item.unit_cost
+            });
+            if (item.lot_id) {
+                addLotStock(item.lot_id, warehouseId, item.quantity);
+            }
+        }
+
+        for (const shipment of shipments) {
+            releaseShipmentSerials(shipment.id, { releasedBy: cancelledBy, reference: `Order #${orderId} cancelled` });
+            db.prepare("UPDATE shipments SET status = 'cancelled', notes = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?")
+                .run(reason ? `Order cancelled: ${reason}` : 'Order cancelled', shipment.id);
+            recordStatusChange('shipment', shipment.id, shipment.status, 'cancelled', cancelledBy, 'Order cancelled');
+        }
+
+        db.prepare("UPDATE backorders SET status = 'cancelled' WHERE order_id = ? AND status = 'waiting'").run(orderId);
+
+        const refundInfo = db.prepare('INSERT INTO refunds (order_id, amount, reason, created_by) VALUES (?, ?, ?, ?)')
+            .run(orderId, Math.round(order.total_amount * 100) / 100, reason || 'Order cancelled', cancelledBy);
+
+        db.prepare(`
+            UPDATE orders
+            SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, cancellation_reason = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(reason, orderId);
+        recordStatusChange('order', orderId, order.status, 'cancelled', cancelledBy, reason);
+
+        return {
+            order: db.prepare('SELECT * FROM orders WHERE id = ?').get(orderId),
+            refund: db.prepare('SELECT * FROM refunds WHERE id = ?').get(refundInfo.lastInsertRowid),
+            shipments: shipments.map(shipment => getShipmentWithOrder(shipment.id)),
+            productIds: [...new Set(items.map(item => item.product_id))]
+        };
+    })();
+}
+
+/**
+ * Broadcasts a cancellation: the new order and shipment status and the restocked products.
+ * @param {object} io - The Socket.IO server.
+ * @param {object} result - The value returned by cancelOrder.
+ */
+function broadcastOrderCancelled(io, result) {
+    if (!io) {
+        console.warn('Socket.io instance not found. Order cancellation will not be broadcast in real-time.');
+        return;
+    }
+    io.emit('order_status_updated', {
+        orderId: result.order.id,
+        userId: result.order.user_id,
+        status: result.order.status,
+        refundAmount: result.refund.amount,
+        timestamp: new Date().toISOString()
+    });
+    result.shipments.forEach(shipment => io.emit('shipment_status_updated', shipment));
+    result.productIds.forEach(productId => io.emit('inventory_changed', getInventorySnapshot(productId)));
+}
+
+module.exports = {
+    cancelOrder,
+    broadcastOrderCancelled
+};
@@ -0,0 +1,401 @@
+// backend/src/utils/purchaseOrders.js
+const { db } = require('../config/database');
+const { changeStock, getInventorySnapshot } = require('./inventory');
+const { statusError } = require('./statusTransitions');
+const { fillBackorders, broadcastBackordersFilled } = require('./backorders');
+const { receiveLot } = require('./lots');
+const { normalizeSerials, addSerials } = require('./serials');
+
+// Allowed next statuses for every purchase order status. Once goods have been received
+// a purchase order can no longer be cancelled.
+const PURCHASE_ORDER_TRANSITIONS = {
+    draft: ['sent', 'cancelled'],
+    sent: ['partially_received', 'received', 'cancelled'],
+    partially_received: ['partially_received', 'received'],
+    received: [],
+    cancelled: []
+};
+
+/**
+ * Throws a 409 unless the purchase order may move from its current status to `toStatus`.
+ * @param {object} purchaseOrder - A purchase_orders row.
+ * @param {string} toStatus - The requested status.
+ */
+function assertPurchaseOrderTransition(purchaseOrder, toStatus) {
+    if (!(PURCHASE_ORDER_TRANSITIONS[purchaseOrder.status] || []).includes(toStatus)) {
+        throw statusError(`Cannot move purchase order ${purchaseOrder.po_number} from '${purchaseOrder.status}' to '${toStatus}'.`, 409);
+    }
+}
+
+/**
+ * Fetches a supplier with the products it supplies. A product's effective lead time is its own
+ * override or, failing that, the supplier's default.
+ * @param {number} supplierId - The supplier to fetch.
+ * @returns {object | undefined} The suppliers row with `products`, or undefined when it does not exist.
+ */
+function getSupplier(supplierId) {
+    const supplier = db.prepare('SELECT * FROM suppliers WHERE id = ?').get(supplierId);
+    if (supplier) {
+        supplier.products = db.prepare(`
+            SELECT sp.*, p.name as product_name, p.sku, p.stock_quantity,
+                   COALESCE(sp.lead_time_days, s.lead_time_days) as effective_lead_time_days
+            FROM supplier_products sp
+            JOIN products p ON sp.product_id = p.id
+            JOIN suppliers s ON sp.supplier_id = s.id
+            WHERE sp.supplier_id = ?
+            ORDER BY p.name
+        `).all(supplierId);
+    }
+    return supplier;
+}
+
+/**
+ * Fetches a purchase order with its supplier, warehouse, lines and goods receipts.
+ * @param {number} purchaseOrderId - The purchase order to fetch.
+ * @returns {object | undefined} The purchase order, or undefined when it does not exist.
+ */
+function getPurchaseOrder(purchaseOrderId) {
+    const purchaseOrder = db.prepare(`
+        SELECT po.*, s.name as supplier_name, s.email as supplier_email, w.name as warehouse_name, u.name as created_by_name
+        FROM purchase_orders po
+        JOIN suppliers s ON po.supplier_id = s.id
+        JOIN warehouses w ON po.warehouse_id = w.id
+        LEFT JOIN users u ON po.created_by = u.id
+        WHERE po.id = ?
+    `).get(purchaseOrderId);
+
+    if (purchaseOrder) {
+        purchaseOrder.items = db.prepare(`
+            SELECT poi.*, p.name as product_name, p.sku, p.track_lots, p.track_serials, sp.supplier_sku
+            FROM purchase_order_items poi
+            JOIN products p ON poi.product_id = p.id
+            LEFT JOIN supplier_products sp ON sp.supplier_id = ? AND sp.product_id = poi.product_id
+            WHERE poi.purchase_order_id = ?
+            ORDER BY p.name
+        `).all(purchaseOrder.supplier_id, purchaseOrderId);
+        purchaseOrder.total_cost = Math.round(purchaseOrder.items.reduce((sum, item) => sum + item.quantity_ordered * item.unit_cost, 0) * 100) / 100;
+
+        const itemStmt = db.prepare(`
+            SELECT gri.*, p.name as product_name, p.sku, l.lot_number, l.expiry_date
+            FROM goods_receipt_items gri
+            JOIN products p ON gri.product_id = p.id
+            LEFT JOIN lots l ON gri.lot_id = l.id
+            WHERE gri.goods_receipt_id = ?
+            ORDER BY gri.id
+        `);
+        purchaseOrder.receipts = db.prepare(`
+            SELECT gr.*, w.name as warehouse_name, u.name as received_by_name
+            FROM goods_receipts gr
+            JOIN warehouses w ON gr.warehouse_id = w.id
+            LEFT JOIN users u ON gr.received_by = u.id
+            WHERE gr.purchase_order_id = ?
+            ORDER BY gr.id
+        `).all(purchaseOrderId).map(receipt => ({ ...receipt, items: itemStmt.all(receipt.id) }));
+    }
+    return purchaseOrder;
+}
+
+/**
+ * Throws unless the warehouse exists and is active, so it can take in purchased stock.
+ * @param {number} warehouseId - The warehouse the purchase order delivers to.
+ */
+function assertReceivingWarehouse(warehouseId) {
+    const warehouse = db.prepare('SELECT id, is_active FROM warehouses WHERE id = ?').get(warehouseId);
+    if (!warehouse) {
+        throw statusError('Warehouse not found.', 404);
+    }
+    if (!warehouse.is_active) {
+        throw statusError('Purchased stock cannot go into an inactive warehouse.', 400);
+    }
+}
+
+/**
+ * Checks a purchase order's supplier and lines, filling in each line's unit cost from the
+ * supplier's price list when none is given.
+ * @param {number} supplierId - The supplier the order is raised against.
+ * @param {Array<object>} items - [{ productId, quantity, unitCost }], unitCost optional.
+ * @returns {Array<object>} The lines as { productId, quantity, unitCost }.
+ */
+function resolvePurchaseOrderLines(supplierId, items) {
+    const supplier = db.prepare('SELECT id, name, is_active FROM suppliers WHERE id = ?').get(supplierId);
+    if (!supplier) {
+        throw statusError('Supplier not found.', 404);
+    }
+    if (!supplier.is_active) {
+        throw statusError(`${supplier.name} is inactive; purchase orders cannot be raised against it.`, 400);
+    }
+
+    const productStmt = db.prepare('SELECT id, sku FROM products WHERE id = ?');
+    const supplierProductStmt = db.prepare('SELECT unit_cost FROM supplier_products WHERE supplier_id = ? AND product_id = ?');
+    return items.map(item => {
+        const product = productStmt.get(item.productId);
+        if (!product) {
+            throw statusError(`Product with ID ${item.productId} not found.`, 404);
+        }
+        let unitCost = item.unitCost;
+        if (unitCost === undefined) {
+            const supplierProduct = supplierProductStmt.get(supplierId, item.productId);
+            if (!supplierProduct) {
+                throw statusError(`${supplier.name} has no cost on file for ${product.sku}; enter a unit cost for it.`, 400);
+            }
+            unitCost = supplierProduct.unit_cost;
+        }
+        return { productId: item.productId, quantity: item.quantity, unitCost };
+    });
+}
+
+/**
+ * Creates a draft purchase order. Nothing is sent to the supplier until sendPurchaseOrder.
+ * @param {object} request - { supplier_id, warehouse_id, items: [{ productId, quantity, unitCost }], expected_date, notes }.
+ * @param {object} options - { createdBy: admin user id }.
+ * @returns {object} The new purchase order (see getPurchaseOrder).
+ */
+function createPurchaseOrder(request, { createdBy }) {
+    const purchaseOrderId = db.transaction(() => {
+        assertReceivingWarehouse(request.warehouse_id);
+        const lines = resolvePurchaseOrderLines(request.supplier_id, request.items);
+        const poNumber = `PO${Date.now()}${Math.floor(Math.random() * 100000)}`;
+        const info = db.prepare(`
+            INSERT INTO purchase_orders (po_number, supplier_id, warehouse_id, expected_date, notes, created_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(poNumber, request.supplier_id, request.warehouse_id, request.expected_date || null, request.notes || null, createdBy);
+
+        const insertItem = db.prepare('INSERT INTO purchase_order_items (purchase_order_id, product_id, quantity_ordered, unit_cost) VALUES (?, ?, ?, ?)');
+        lines.forEach(line => insertItem.run(info.lastInsertRowid, line.productId, line.quantity, line.unitCost));
+        return info.lastInsertRowid;
+    })();
+
+    return getPurchaseOrder(purchaseOrderId);
+}
+
+/**
+ * Replaces the warehouse, lines, expected date or notes of a draft purchase order.
+ * @param {number} purchaseOrderId - The draft to edit.
+ * @param {object} changes - { warehouse_id, items, expected_date, notes }, all optional.
+ * @returns {object} The updated purchase order.
+ */
+function updatePurchaseOrder(purchaseOrderId, changes) {
+    db.transaction(() => {
+        const purchaseOrder = db.prepare('SELECT * FROM purchase_orders WHERE id = ?').get(purchaseOrderId);
+        if (!purchaseOrder) {
+            throw statusError('Purchase order not found', 404);
+        }
+        if (purchaseOrder.status !== 'draft') {
+            throw statusError(`Only draft purchase orders can be edited (current status: ${purchaseOrder.status.replace(/_/g, ' ')}).`, 409);
+        }
+
+        const warehouseId = changes.warehouse_id || purchaseOrder.warehouse_id;
+        if (changes.warehouse_id) {
+            assertReceivingWarehouse(warehouseId);
+        }
+        if (changes.items) {
+            const lines = resolvePurchaseOrderLines(purchaseOrder.supplier_id, changes.items);
+            db.prepare('DELETE FROM purchase_order_items WHERE purchase_order_id = ?').run(purchaseOrderId);
+            const insertItem = db.prepare('INSERT INTO purchase_order_items (purchase_order_id, product_id, quantity_ordered, unit_cost) VALUES (?, ?, ?, ?)');
+            lines.forEach(line => insertItem.run(purchaseOrderId, line.productId, line.quantity, line.unitCost));
+        }
+
+        db.prepare(`
+            UPDATE purchase_orders
+            SET warehouse_id = ?, expected_date = ?, notes = ?
+            WHERE id = ?
+        `).run(
+            warehouseId,
+            changes.expected_date !== undefined ? changes.expected_date || null : purchaseOrder.expected_date,
+            changes.notes !== undefined ? changes.notes || null : purchaseOrder.notes,
+            purchaseOrderId
+        );
+    })();
+
+    return getPurchaseOrder(purchaseOrderId);
+}
+
+/**
+ * Marks a draft purchase order as sent to the supplier. Without an expected date one is set from the
+ * longest lead time among its lines.
+ * @param {number} purchaseOrderId - The draft to send.
+ * @returns {object} The updated purchase order.
+ */
+function sendPurchaseOrder(purchaseOrderId) {
+    db.transaction(() => {
+        const purchaseOrder = db.prepare('SELECT * FROM purchase_orders WHERE id = ?').get(purchaseOrderId);
+        if (!purchaseOrder) {
+            throw statusError('Purchase order not found', 404);
+        }
+        assertPurchaseOrderTransition(purchaseOrder, 'sent');
+
+        const { lead_time_days } = db.prepare(`
+            SELECT MAX(COALESCE(sp.lead_time_days, s.lead_time_days)) as lead_time_days
+            FROM purchase_order_items poi
+            JOIN suppliers s ON s.id = ?
+            LEFT JOIN supplier_products sp ON sp.supplier_id = s.id AND sp.product_id = poi.product_id
+            WHERE poi.purchase_order_id = ?
+        `).get(purchaseOrder.supplier_id, purchaseOrderId);
+
+        db.prepare(`
+            UPDATE purchase_orders
+            SET status = 'sent', sent_at = CURRENT_TIMESTAMP, expected_date = COALESCE(expected_date, date('now', '+' || ? || ' days'))
+            WHERE id = ?
+        `).run(lead_time_days || 0, purchaseOrderId);
+    })();
+
+    return getPurchaseOrder(purchaseOrderId);
+}
+
+/**
+ * Cancels a purchase order that nothing has been received against yet.
+ * @param {number} purchaseOrderId - The purchase order to cancel.
+ * @returns {object} The updated purchase order.
+ */
+function cancelPurchaseOrder(purchaseOrderId) {
+    db.transaction(() => {
+        const purchaseOrder = db.prepare('SELECT * FROM purchase_orders WHERE id = ?').get(purchaseOrderId);
+        if (!purchaseOrder) {
+            throw statusError('Purchase order not found', 404);
+        }
+        assertPurchaseOrderTransition(purchaseOrder, 'cancelled');
+        db.prepare("UPDATE purchase_orders SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP WHERE id = ?").run(purchaseOrderId);
+    })();
+
+    return getPurchaseOrder(purchaseOrderId);
+}
+
+/**
+ * Books a delivery in against a sent purchase order. Each received line adds stock to the receiving
+ * warehouse with a `purchase` ledger row, in the lot it names (required for lot-tracked products);
+ * the order becomes received once every line is complete. Received stock then goes to waiting backorders first.
+ * @param {number} purchaseOrderId - The purchase order being received.
+ * @param {Array<object>} lines - [{ purchase_order_item_id, quantity, lot_number, expiry_date }] delivered.
+ * @param {object} options - { receivedBy: admin user id, warehouseId: overrides the order's warehouse, notes }.
+ * @returns {object} { purchaseOrder, receipt, productIds, filledBackorders }.
+ */
+function receivePurchaseOrder(purchaseOrderId, lines, { receivedBy, warehouseId = null, notes = null }) {
+    const result = db.transaction(() => {
+        const purchaseOrder = db.prepare('SELECT * FROM purchase_orders WHERE id = ?').get(purchaseOrderId);
+        if (!purchaseOrder) {
+            throw statusError('Purchase order not found', 404);
+        }
+        if (!['sent', 'partially_received'].includes(purchaseOrder.status)) {
+            throw statusError(`Only sent purchase orders can be received (current status: ${purchaseOrder.status.replace(/_/g, ' ')}).`, 409);
+        }
+
+        // A delivery redirected to another warehouse must still go somewhere that takes in stock
+        const receivingWarehouseId = warehouseId || purchaseOrder.warehouse_id;
+        assertReceivingWarehouse(receivingWarehouseId);
+
+        const itemStmt = db.prepare(`
+            SELECT poi.*, p.sku, p.track_lots, p.track_serials
+            FROM purchase_order_items poi
+            JOIN products p ON poi.product_id = p.id
+            WHERE poi.id = ? AND poi.purchase_order_id = ?
+        `);
+        // A line delivered in several lots comes in as several entries, so outstanding quantities are checked cumulatively
+        const receivedSoFar = new Map();
+        const receivedLines = lines.map(line => {
+            const item = itemStmt.get(line.purchase_order_item_id, purchaseOrderId);
+            if (!item) {
+                throw statusError(`Line ${line.purchase_order_item_id} is not part of purchase order ${purchaseOrder.po_number}.`, 400);
+            }
+            const outstanding = item.quantity_ordered - item.quantity_received - (receivedSoFar.get(item.id) || 0);
+            if (line.quantity > outstanding) {
+                throw statusError(`Only ${outstanding} unit(s) of ${item.sku} are still outstanding on purchase order ${purchaseOrder.po_number}.`, 400);
+            }
+            receivedSoFar.set(item.id, (receivedSoFar.get(item.id) || 0) + line.quantity);
+
+            const lotNumber = line.lot_number ? line.lot_number.trim() : '';
+            if (item.track_lots && !lotNumber) {
+                throw statusError(`${item.sku} is lot-tracked: enter the lot number received.`, 400);
+            }
+            const expiryDate = line.expiry_date ? new Date(line.expiry_date).toISOString().slice(0, 10) : null;
+
+            const serialNumbers = normalizeSerials(line.serial_numbers || []);
+            if (item.track_serials && serialNumbers.length !== line.quantity) {
+                throw statusError(`${item.sku} is serial-tracked: scan one serial number per unit received (${line.quantity} expected, ${serialNumbers.length} given).`, 400);
+            }
+            if (!item.track_serials && serialNumbers.length > 0) {
+                throw statusError(`${item.sku} does not track serial numbers.`, 400);
+            }
+            const unitCost = line.unit_cost === undefined || line.unit_cost === null ? item.unit_cost : line.unit_cost;
+            return { item, quantity: line.quantity, lotNumber: lotNumber || null, expiryDate, serialNumbers, unitCost };
+        });
+
+        const receiptNumber = `GRN${Date.now()}${Math.floor(Math.random() * 100000)}`;
+        const receiptInfo = db.prepare(`
+            INSERT INTO goods_receipts (receipt_number, purchase_order_id, warehouse_id, notes, received_by)
+            VALUES (?, ?, ?, ?, ?)
+        `).run(receiptNumber, purchaseOrderId, receivingWarehouseId, notes, receivedBy);
+
+        const insertReceiptItem = db.prepare('INSERT INTO goods_receipt_items (goods_receipt_id, purchase_order_item_id, product_id, quantity, lot_id, unit_cost) VALUES (?, ?, ?, ?, ?, ?)');
+        for (const { item, quantity, lotNumber, expiryDate, serialNumbers, unitCost } of receivedLines) {
+            db.prepare('UPDATE purchase_order_items SET quantity_received = quantity_received + ? WHERE id = ?').run(quantity, item.id);
+            changeStock(item.product_id, receivingWarehouseId, quantity, {
+                type: 'purchase',
+                reason: `${purchaseOrder.po_number} received (${receiptNumber})`,
+                createdBy: receivedBy,
+                unitCost
+            });
+            const lot = lotNumber
+                ? receiveLot(item.product_id, receivingWarehouseId, { lotNumber, expiryDate, quantity, goodsReceiptId: receiptInfo.lastInsertRowid })
+                : null;
+            insertReceiptItem.run(receiptInfo.lastInsertRowid, item.id, item.product_id, quantity, lot ? lot.id : null, unitCost);
+            addSerials(item.product_id, receivingWarehouseId, serialNumbers, {
+                event: 'received',
+                reference: `${purchaseOrder.po_number} (${receiptNumber})`,
+                goodsReceiptId: receiptInfo.lastInsertRowid,
+                createdBy: receivedBy
+            });
+        }
+
+        const { outstanding } = db.prepare('SELECT COALESCE(SUM(quantity_ordered - quantity_received), 0) as outstanding FROM purchase_order_items WHERE purchase_order_id = ?').get(purchaseOrderId);
+        const toStatus = outstanding === 0 ? 'received' : 'partially_received';
+        assertPurchaseOrderTransition(purchaseOrder, toStatus);
+        db.prepare(`
+            UPDATE purchase_orders
+            SET status = ?, received_at = CASE WHEN ? = 'received' THEN CURRENT_TIMESTAMP ELSE received_at END
+            WHERE id = ?
+        `).run(toStatus, toStatus, purchaseOrderId);
+
+        return {
+            receiptId: receiptInfo.lastInsertRowid,
+            productIds: [...new Set(receivedLines.map(line => line.item.product_id))]
+        };
+    })();
+
+    // Received stock goes to customers waiting on backorders first
+    const filledBackorders = result.productIds.flatMap(productId => fillBackorders(productId, { changedBy: receivedBy }));
+    const purchaseOrder = getPurchaseOrder(purchaseOrderId);
+    return {
+        purchaseOrder,
+        receipt: purchaseOrder.receipts.find(receipt => receipt.id === result.receiptId),
+        productIds: result.productIds,
+        filledBackorders
+    };
+}
+
+/**
+ * Broadcasts a purchase order change, plus the stock of received products and any backorders they filled.
+ * @param {object} io - The Socket.IO server.
+ * @param {object} purchaseOrder - The purchase order as returned by getPurchaseOrder.
+ * @param {object} [extras] - { productIds, filledBackorders } from receivePurchaseOrder.
+ */
+function broadcastPurchaseOrderUpdate(io, purchaseOrder, { productIds = [], filledBackorders = [] } = {}) {
+    if (!io) {
+        console.warn('Socket.io instance not found. Purchase order updates will not be broadcast in real-time.');
+        return;
+    }
+    io.emit('purchase_order_updated', purchaseOrder);
+    productIds.forEach(productId => io.emit('inventory_changed', getInventorySnapshot(productId)));
+    broadcastBackordersFilled(io, filledBackorders);
+}
+
+module.exports = {
+    PURCHASE_ORDER_TRANSITIONS,
+    getSupplier,
+    getPurchaseOrder,
+    createPurchaseOrder,
+    updatePurchaseOrder,
+    sendPurchaseOrder,
+    cancelPurchaseOrder,
+    receivePurchaseOrder,
+    broadcastPurchaseOrderUpdate
+};
@@ -0,0 +1,191 @@
+// backend/src/utils/replenishment.js
+const { db } = require('../config/database');
+const { getDefaultWarehouse, getBackorderedQuantity } = require('./inventory');
+const { createPurchaseOrder } = require('./purchaseOrders');
+
+// Days of `sale` history the sales velocity is averaged over (whole weeks, so weekday swings cancel out)
+const DEFAULT_WINDOW_DAYS = 28;
+// Safety factor on demand variability: 1.65 standard deviations covers about 95% of lead-time demand
+const SERVICE_LEVEL_Z = 1.65;
+// A reorder tops the position up to the reorder point plus this many days of sales
+const REVIEW_PERIOD_DAYS = 14;
+// Lead time assumed for products no active supplier has on its price list
+const DEFAULT_LEAD_TIME_DAYS = 7;
+
+/**
+ * Units sold per product per day over the last `windowDays` days, from the `sale` ledger rows.
+ * @param {number} windowDays - How many days back to look, today included.
+ * @returns {Map<number, Array<number>>} Daily units sold keyed by product id, oldest day first.
+ */
+function getDailySales(windowDays) {
+    const rows = db.prepare(`
+        SELECT product_id, CAST(julianday(date('now')) - julianday(date(created_at)) AS INTEGER) as days_ago, SUM(-quantity) as units
+        FROM inventory_transactions
+        WHERE type = 'sale' AND created_at >= date('now', '-' || ? || ' days')
+        GROUP BY product_id, days_ago
+    `).all(windowDays - 1);
+
+    const sales = new Map();
+    for (const row of rows) {
+        if (!sales.has(row.product_id)) {
+            sales.set(row.product_id, new Array(windowDays).fill(0));
+        }
+        sales.get(row.product_id)[windowDays - 1 - row.days_ago] = row.units;
+    }
+    return sales;
+}
+
+/**
+ * The supplier a product is reordered from: the cheapest active supplier with it on its price list,
+ * the shortest lead time breaking ties.
+ * @param {number} productId - The product to source.
+ * @returns {object | undefined} { supplier_id, supplier_name, unit_cost, min_order_quantity, lead_time_days }.
+ */
+function getPreferredSupplier(productId) {
+    return db.prepare(`
+        SELECT s.id as supplier_id, s.name as supplier_name, sp.unit_cost, sp.min_order_quantity,
+               COALESCE(sp.lead_time_days, s.lead_time_days) as lead_time_days
+        FROM supplier_products sp
+        JOIN suppliers s ON sp.supplier_id = s.id
+        WHERE sp.product_id = ? AND s.is_active = 1
+        ORDER BY sp.unit_cost ASC, lead_time_days ASC, s.id ASC
+        LIMIT 1
+    `).get(productId);
+}
+
+/**
+ * Computes a reorder suggestion for every active product.
+ *
+ * Velocity is the mean daily units sold over the window. Safety stock covers demand variability over the
+ * lead time (z * sd * sqrt(lead time)) but never drops below `min_stock`. The reorder point is lead-time
+ * demand plus safety stock. The stock position counts on-hand, inbound transfers and open purchase orders
+ * (drafts included, so a draft already raised is not suggested twice) less waiting backorders; at or below
+ * the reorder point the suggestion tops it up to the reorder point plus REVIEW_PERIOD_DAYS of sales,
+ * never below the supplier's minimum order quantity.
+ * @param {object} options - { windowDays, onlyReorder: leave out products that do not need reordering }.
+ * @returns {object} { generated_at, window_days, service_level_z, review_period_days, items }.
+ */
+function getReplenishmentReport({ windowDays = DEFAULT_WINDOW_DAYS, onlyReorder = false } = {}) {
+    const dailySales = getDailySales(windowDays);
+    const products = db.prepare(`
+        SELECT p.id, p.name, p.sku, p.category, p.location, p.stock_quantity, COALESCE(p.min_stock, 0) as min_stock,
+               COALESCE((SELECT SUM(sl.in_transit_quantity) FROM stock_locations sl WHERE sl.product_id = p.id), 0) as in_transit,
+               COALESCE((
+                   SELECT SUM(poi.quantity_ordered - poi.quantity_received)
+                   FROM purchase_order_items poi
+                   JOIN purchase_orders po ON poi.purchase_order_id = po.id
+                   WHERE poi.product_id = p.id AND po.status IN ('draft', 'sent', 'partially_received')
+               ), 0) as on_order
+        FROM products p
+        WHERE p.archived_at IS NULL
+        ORDER BY p.name
+    `).all();
+
+    const items = products.map(product => {
+        const sales = dailySales.get(product.id) || new Array(windowDays).fill(0);
+        const unitsSold = sales.reduce((sum, units) => sum + units, 0);
+        const velocity = unitsSold / windowDays;
+        const deviation = Math.sqrt(sales.reduce((sum, units) => sum + (units - velocity) ** 2, 0) / windowDays);
+
+        const supplier = getPreferredSupplier(product.id);
+        const leadTime = supplier ? supplier.lead_time_days : DEFAULT_LEAD_TIME_DAYS;
+        const safetyStock = Math.max(product.min_stock, Math.ceil(SERVICE_LEVEL_Z * deviation * Math.sqrt(leadTime)));
+        const reorderPoint = Math.ceil(velocity * leadTime) + safetyStock;
+
+        const backordered = getBackorderedQuantity(product.id);
+        const position = product.stock_quantity + product.in_transit + product.on_order - backordered;
+        const needsReorder = position <= reorderPoint;
+
+        let suggestedQuantity = 0;
+        if (needsReorder) {
+            const target = reorderPoint + Math.ceil(velocity * REVIEW_PERIOD_DAYS);
+            suggestedQuantity = Math.max(target - position, supplier ? supplier.min_order_quantity : 1, 1);
+        }
+
+        return {
+            product_id: product.id,
+            name: product.name,
+            sku: product.sku,
+            category: product.category,
+            location: product.location,
+            stock_quantity: product.stock_quantity,
+            in_transit: product.in_transit,
+            on_order: product.on_order,
+            backordered_quantity: backordered,
+            stock_position: position,
+            min_stock: product.min_stock,
+            units_sold: unitsSold,
+            daily_velocity: Math.round(velocity * 100) / 100,
+            lead_time_days: leadTime,
+            safety_stock: safetyStock,
+            reorder_point: reorderPoint,
+            days_of_cover: velocity > 0 ? Math.round((position / velocity) * 10) / 10 : null,
+            needs_reorder: needsReorder,
+            suggested_quantity: suggestedQuantity,
+            supplier: supplier || null
+        };
+    });
+
+    return {
+        generated_at: new Date().toISOString(),
+        window_days: windowDays,
+        service_level_z: SERVICE_LEVEL_Z,
+        review_period_days: REVIEW_PERIOD_DAYS,
+        items: onlyReorder ? items.filter(item => item.needs_reorder) : items
+    };
+}
+
+/**
+ * Raises draft purchase orders for the current reorder suggestions: one per supplier and receiving warehouse
+ * (each product's default warehouse). Products without an active supplier are skipped.
+ * @param {object} options - { productIds: limit to these products (default: every product that needs reordering), windowDays, createdBy }.
+ * @returns {object} { purchaseOrders: the drafts created (see getPurchaseOrder), skipped: [{ product_id, sku, reason }] }.
+ */
+function createReplenishmentOrders({ productIds = null, windowDays = DEFAULT_WINDOW_DAYS, createdBy }) {
+    const report = getReplenishmentReport({ windowDays, onlyReorder: true });
+    const selected = productIds ? report.items.filter(item => productIds.includes(item.product_id)) : report.items;
+
+    const skipped = [];
+    if (productIds) {
+        const suggested = new Set(report.items.map(item => item.product_id));
+        productIds.filter(productId => !suggested.has(productId)).forEach(productId => {
+            const product = db.prepare('SELECT sku FROM products WHERE id = ?').get(productId);
+            skipped.push({ product_id: productId, sku: product ? product.sku : null, reason: 'Does not need reordering' });
+        });
+    }
+
+    const groups = new Map();
+    for (const item of selected) {
+        if (!item.supplier) {
+            skipped.push({ product_id: item.product_id, sku: item.sku, reason: 'No active supplier has this product on its price list' });
+            continue;
+        }
+        let warehouse = getDefaultWarehouse(item);
+        if (warehouse && !warehouse.is_active) {
+            warehouse = db.prepare('SELECT * FROM warehouses WHERE is_active = 1 ORDER BY id LIMIT 1').get();
+        }
+        if (!warehouse) {
+            skipped.push({ product_id: item.product_id, sku: item.sku, reason: 'No active warehouse to receive into' });
+            continue;
+        }
+
+        const key = `${item.supplier.supplier_id}:${warehouse.id}`;
+        if (!groups.has(key)) {
+            groups.set(key, { supplier_id: item.supplier.supplier_id, warehouse_id: warehouse.id, items: [] });
+        }
+        groups.get(key).items.push({ productId: item.product_id, quantity: item.suggested_quantity });
+    }
+
+    const purchaseOrders = db.transaction(() => [...groups.values()].map(group => createPurchaseOrder({
+        ...group,
+        notes: `Raised from reorder suggestions (${windowDays}-day sales velocity)`
+    }, { createdBy })))();
+
+    return { purchaseOrders, skipped };
+}
+
+module.exports = {
+    DEFAULT_WINDOW_DAYS,
+    getReplenishmentReport,
+    createReplenishmentOrders
+};
@@ -0,0 +1,134 @@
+// backend/src/utils/reservations.js
+const { db } = require('../config/database');
+const { getExpiredQuantity } = require('./lots');
+
+// How long a cart line holds its stock, configurable via CART_RESERVATION_TTL_MINUTES
+const RESERVATION_TTL_MINUTES = parseInt(process.env.CART_RESERVATION_TTL_MINUTES || '15') || 15;
+// How often expired holds are released, configurable via RESERVATION_SWEEP_INTERVAL_MS
+const SWEEP_INTERVAL_MS = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS || '60000') || 60000;
+
+/**
+ * Sums the unexpired holds on a product, optionally ignoring one user's own hold.
+ * @param {number} productId - The product to look up.
+ * @param {number} [excludeUserId] - A user whose hold should not count against them.
+ * @returns {number} The reserved quantity.
+ */
+function getReservedQuantity(productId, excludeUserId = null) {
+    const { reserved } = db.prepare(`
+        SELECT COALESCE(SUM(quantity), 0) as reserved
+        FROM stock_reservations
+        WHERE product_id = ? AND expires_at > ? AND user_id IS NOT ?
+    `).get(productId, new Date().toISOString(), excludeUserId);
+    return reserved;
+}
+
+/**
+ * Available-to-promise: on-hand stock, less the units in expired lots, minus the stock other carts hold.
+ * Without a user this is what is left for a new shopper; with a user their own hold counts as available to them.
+ * @param {number} productId - The product to look up.
+ * @param {number} [userId] - The shopper asking.
+ * @returns {number} The quantity that can still be promised (>= 0).
+ */
+function getAvailableToPromise(productId, userId = null) {
+    const product = db.prepare('SELECT stock_quantity FROM products WHERE id = ?').get(productId);
+    if (!product) {
+        return 0;
+    }
+    return Math.max(0, product.stock_quantity - getExpiredQuantity(productId) - getReservedQuantity(productId, userId));
+}
+
+/**
+ * Holds `quantity` units of a product for a user's cart line and restarts the TTL on all of their holds,
+ * so the whole cart expires together.
+ * @param {number} userId - The cart owner.
+ * @param {number} productId - The product being held.
+ * @param {number} quantity - The cart line quantity (> 0).
+ * @returns {string} The ISO timestamp at which the cart's holds expire.
+ */
+function reserveCartLine(userId, productId, quantity) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + RESERVATION_TTL_MINUTES * 60 * 1000).toISOString();
+    db.prepare(`
+        INSERT INTO stock_reservations (user_id, product_id, quantity, expires_at)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(user_id, product_id) DO UPDATE SET quantity = excluded.quantity, expires_at = excluded.expires_at
+    `).run(userId, productId, quantity, expiresAt);
+    // Lapsed holds are not revived: their stock may have been promised to someone else since
+    db.prepare('UPDATE stock_reservations SET expires_at = ? WHERE user_id = ? AND expires_at > ?').run(expiresAt, userId, now.toISOString());
+    return expiresAt;
+}
+
+/**
+ * Releases a user's hold on one product, or on every product when productId is omitted.
+ * @param {number} userId - The cart owner.
+ * @param {number} [productId] - The product to release.
+ * @returns {Array<number>} The ids of the products whose holds were released.
+ */
+function releaseReservations(userId, productId = null) {
+    const rows = productId
+        ? db.prepare('SELECT product_id FROM stock_reservations WHERE user_id = ? AND product_id = ?').all(userId, productId)
+        : db.prepare('SELECT product_id FROM stock_reservations WHERE user_id = ?').all(userId);
+    if (productId) {
+        db.prepare('DELETE FROM stock_reservations WHERE user_id = ? AND product_id = ?').run(userId, productId);
+    } else {
+        db.prepare('DELETE FROM stock_reservations WHERE user_id = ?').run(userId);
+    }
+    return rows.map(row => row.product_id);
+}
+
+/**
+ * Deletes every hold whose TTL has passed.
+ * @returns {Array<object>} The released rows of { user_id, product_id, quantity }.
+ */
+function releaseExpiredReservations() {
+    const now = new Date().toISOString();
+    return db.transaction(() => {
+        const expired = db.prepare('SELECT user_id, product_id, quantity FROM stock_reservations WHERE expires_at <= ?').all(now);
+        db.prepare('DELETE FROM stock_reservations WHERE expires_at <= ?').run(now);
+        return expired;
+    })();
+}
+
+/**
+ * Starts the background sweeper that releases expired holds and tells the affected clients.
+ * @param {object} io - The Socket.IO server.
+ * @returns {NodeJS.Timeout} The interval handle.
+ */
+function startReservationSweeper(io) {
+    // Required here: utils/inventory requires this module
+    const { getInventorySnapshot } = require('./inventory');
+    const sweep = () => {
+        try {
+            const expired = releaseExpiredReservations();
+            if (expired.length === 0) return;
+
+            console.log(`Reservation sweeper: released ${expired.length} expired cart hold(s).`);
+            const userIds = new Set(expired.map(row => row.user_id));
+            const productIds = new Set(expired.map(row => row.product_id));
+
+            userIds.forEach(userId => {
+                io.emit('cart_updated', { userId, message: 'Your cart reservation expired. Items are no longer held for you.' });
+            });
+            productIds.forEach(productId => {
+                const product = getInventorySnapshot(productId);
+                if (product) {
+                    io.emit('inventory_changed', product);
+                }
+            });
+        } catch (error) {
+            console.error('Reservation sweeper error:', error);
+        }
+    };
+
+    return setInterval(sweep, SWEEP_INTERVAL_MS);
+}
+
+module.exports = {
+    RESERVATION_TTL_MINUTES,
+    getReservedQuantity,
+    getAvailableToPromise,
+    reserveCartLine,
+    releaseReservations,
+    releaseExpiredReservations,
+    startReservationSweeper
+};
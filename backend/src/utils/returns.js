@@ -0,0 +1,323 @@
+// backend/src/utils/returns.js
+const { db } = require('../config/database');
+const { changeStock, getDefaultWarehouse, getInventorySnapshot } = require('./inventory');
+const { addLotStock } = require('./lots');
+const { returnSerials } = require('./serials');
+const { statusError } = require('./statusTransitions');
+
+// Allowed next statuses for every return (RMA) status.
+// An approved return may be received without the customer having marked it shipped.
+const RETURN_TRANSITIONS = {
+    requested: ['approved', 'rejected'],
+    approved: ['in_transit', 'received'],
+    in_transit: ['received'],
+    received: ['completed'],
+    rejected: [],
+    completed: []
+};
+
+/**
+ * Throws a 409 unless the return may move from its current status to `toStatus`.
+ * @param {object} returnRequest - A return_requests row.
+ * @param {string} toStatus - The requested status.
+ */
+function assertReturnTransition(returnRequest, toStatus) {
+    if (!(RETURN_TRANSITIONS[returnRequest.status] || []).includes(toStatus)) {
+        throw statusError(`Cannot move return ${returnRequest.rma_number} from '${returnRequest.status}' to '${toStatus}'.`, 409);
+    }
+}
+
+/**
+ * Fetches a return with its order, customer, lines, return shipment and credit note.
+ * @param {number} returnId - The return to fetch.
+ * @returns {object | undefined} The return, or undefined when it does not exist.
+ */
+function getReturnRequest(returnId) {
+    const returnRequest = db.prepare(`
+        SELECT r.*, u.name as user_name, u.email as user_email, d.name as decided_by_name,
+               o.order_date, o.total_amount as order_total
+        FROM return_requests r
+        JOIN users u ON r.user_id = u.id
+        JOIN orders o ON r.order_id = o.id
+        LEFT JOIN users d ON r.decided_by = d.id
+        WHERE r.id = ?
+    `).get(returnId);
+
+    if (returnRequest) {
+        returnRequest.items = db.prepare(`
+            SELECT ri.*, p.name as product_name, p.sku, oi.price, oi.quantity as ordered_quantity, w.name as warehouse_name
+            FROM return_items ri
+            JOIN products p ON ri.product_id = p.id
+            JOIN order_items oi ON ri.order_item_id = oi.id
+            LEFT JOIN warehouses w ON ri.warehouse_id = w.id
+            WHERE ri.return_id = ?
+            ORDER BY ri.id
+        `).all(returnId);
+        returnRequest.shipment = db.prepare('SELECT * FROM return_shipments WHERE return_id = ?').get(returnId) || null;
+        returnRequest.credit_note = db.prepare('SELECT * FROM credit_notes WHERE return_id = ?').get(returnId) || null;
+    }
+    return returnRequest;
+}
+
+/**
+ * How many units of each line of an order can still be returned: the ordered quantity minus
+ * what is already on a return that was not rejected.
+ * @param {number} orderId - The order to look up.
+ * @returns {Object<number, number>} Returnable quantity keyed by order_items id.
+ */
+function getReturnableQuantities(orderId) {
+    const rows = db.prepare(`
+        SELECT oi.id, oi.quantity - COALESCE((
+            SELECT SUM(ri.quantity)
+            FROM return_items ri
+            JOIN return_requests r ON ri.return_id = r.id
+            WHERE ri.order_item_id = oi.id AND r.status != 'rejected'
+        ), 0) as returnable
+        FROM order_items oi
+        WHERE oi.order_id = ?
+    `).all(orderId);
+    return Object.fromEntries(rows.map(row => [row.id, Math.max(0, row.returnable)]));
+}
+
+/**
+ * Opens a return against a delivered order.
+ * @param {number} userId - The customer asking; they must own the order.
+ * @param {number} orderId - The order being returned.
+ * @param {object} request - { reason, items: [{ orderItemId, quantity, reason }] }.
+ * @returns {object} The new return (see getReturnRequest).
+ */
+function createReturnRequest(userId, orderId, { reason, items }) {
+    const returnId = db.transaction(() => {
+        const order = db.prepare('SELECT id, status FROM orders WHERE id = ? AND user_id = ?').get(orderId, userId);
+        if (!order) {
+            throw statusError('Order not found', 404);
+        }
+        if (order.status !== 'delivered') {
+            throw statusError(`Only delivered orders can be returned (current status: ${order.status}).`, 409);
+        }
+
+        const returnable = getReturnableQuantities(orderId);
+        const orderItemStmt = db.prepare('SELECT id, product_id FROM order_items WHERE id = ? AND order_id = ?');
+        const lines = items.map(item => {
+            const orderItem = orderItemStmt.get(item.orderItemId, orderId);
+            if (!orderItem) {
+                throw statusError(`Order line ${item.orderItemId} is not part of order #${orderId}.`, 400);
+            }
+            if (item.quantity > returnable[orderItem.id]) {
+                throw statusError(`Only ${returnable[orderItem.id]} unit(s) of order line ${orderItem.id} can still be returned.`, 400);
+            }
+            return { ...item, productId: orderItem.product_id };
+        });
+
+        const rmaNumber = `RMA${Date.now()}${Math.floor(Math.random() * 100000)}`;
+        const info = db.prepare('INSERT INTO return_requests (rma_number, order_id, user_id, reason) VALUES (?, ?, ?, ?)')
+            .run(rmaNumber, orderId, userId, reason);
+        const insertItem = db.prepare('INSERT INTO return_items (return_id, order_item_id, product_id, quantity, reason) VALUES (?, ?, ?, ?, ?)');
+        lines.forEach(line => insertItem.run(info.lastInsertRowid, line.orderItemId, line.productId, line.quantity, line.reason || null));
+        return info.lastInsertRowid;
+    })();
+
+    return getReturnRequest(returnId);
+}
+
+/**
+ * Approves or rejects a requested return. Approval creates the return shipment and its tracking number.
+ * @param {number} returnId - The return to decide.
+ * @param {boolean} approve - True to approve, false to reject.
+ * @param {object} options - { decidedBy: admin user id, notes: optional text for the customer }.
+ * @returns {object} The updated return.
+ */
+function decideReturnRequest(returnId, approve, { decidedBy, notes = null }) {
+    db.transaction(() => {
+        const returnRequest = db.prepare('SELECT * FROM return_requests WHERE id = ?').get(returnId);
+        if (!returnRequest) {
+            throw statusError('Return not found', 404);
+        }
+        const toStatus = approve ? 'approved' : 'rejected';
+        assertReturnTransition(returnRequest, toStatus);
+
+        db.prepare(`
+            UPDATE return_requests
+            SET status = ?, admin_notes = ?, decided_by = ?, decided_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(toStatus, notes, decidedBy, returnId);
+
+        if (approve) {
+            const trackingNumber = `RTN${Date.now()}${Math.floor(Math.random() * 100000)}`;
+            db.prepare('INSERT INTO return_shipments (return_id, tracking_number) VALUES (?, ?)').run(returnId, trackingNumber);
+        }
+    })();
+
+    return getReturnRequest(returnId);
+}
+
+/**
+ * Marks an approved return as handed to the carrier by the customer.
+ * @param {number} returnId - The return being shipped.
+ * @param {number} userId - The customer; they must own the return.
+ * @returns {object} The updated return.
+ */
+function markReturnShipped(returnId, userId) {
+    db.transaction(() => {
+        const returnRequest = db.prepare('SELECT * FROM return_requests WHERE id = ? AND user_id = ?').get(returnId, userId);
+        if (!returnRequest) {
+            throw statusError('Return not found', 404);
+        }
+        assertReturnTransition(returnRequest, 'in_transit');
+
+        db.prepare("UPDATE return_requests SET status = 'in_transit' WHERE id = ?").run(returnId);
+        db.prepare("UPDATE return_shipments SET status = 'in_transit', shipped_at = CURRENT_TIMESTAMP WHERE return_id = ?").run(returnId);
+    })();
+
+    return getReturnRequest(returnId);
+}
+
+/**
+ * Records that the returned parcel arrived at the warehouse; its lines now await inspection.
+ * @param {number} returnId - The return received.
+ * @returns {object} The updated return.
+ */
+function receiveReturn(returnId) {
+    db.transaction(() => {
+        const returnRequest = db.prepare('SELECT * FROM return_requests WHERE id = ?').get(returnId);
+        if (!returnRequest) {
+            throw statusError('Return not found', 404);
+        }
+        assertReturnTransition(returnRequest, 'received');
+
+        db.prepare("UPDATE return_requests SET status = 'received', received_at = CURRENT_TIMESTAMP WHERE id = ?").run(returnId);
+        db.prepare(`
+            UPDATE return_shipments
+            SET status = 'received', shipped_at = COALESCE(shipped_at, CURRENT_TIMESTAMP), received_at = CURRENT_TIMESTAMP
+            WHERE return_id = ?
+        `).run(returnId);
+    })();
+
+    return getReturnRequest(returnId);
+}
+
+/**
+ * Inspects received return lines. Restocked lines go back into a warehouse with a `return` ledger row;
+ * written-off lines leave stock untouched. Once every line is inspected a credit note for the returned
+ * lines is issued and the return is completed. Serial-tracked units are booked back in or written off by serial.
+ * @param {number} returnId - The return being inspected.
+ * @param {Array<object>} inspections - [{ returnItemId, disposition: 'restock' | 'write_off', warehouseId, serialNumbers, notes }].
+ * @param {object} options - { inspectedBy: admin user id }.
+ * @returns {object} { returnRequest, creditNote (null until completed), productIds restocked }.
+ */
+function inspectReturn(returnId, inspections, { inspectedBy }) {
+    const result = db.transaction(() => {
+        const returnRequest = db.prepare('SELECT * FROM return_requests WHERE id = ?').get(returnId);
+        if (!returnRequest) {
+            throw statusError('Return not found', 404);
+        }
+        if (returnRequest.status !== 'received') {
+            throw statusError(`Return ${returnRequest.rma_number} must be received before it is inspected (current status: ${returnRequest.status}).`, 409);
+        }
+
+        const itemStmt = db.prepare(`
+            SELECT ri.*, oi.warehouse_id as allocated_warehouse_id, oi.lot_id, oi.order_id, oi.unit_cost, p.location
+            FROM return_items ri
+            JOIN order_items oi ON ri.order_item_id = oi.id
+            JOIN products p ON ri.product_id = p.id
+            WHERE ri.id = ? AND ri.return_id = ?
+        `);
+        const productIds = new Set();
+
+        for (const inspection of inspections) {
+            const item = itemStmt.get(inspection.returnItemId, returnId);
+            if (!item) {
+                throw statusError(`Return line ${inspection.returnItemId} is not part of return ${returnRequest.rma_number}.`, 400);
+            }
+            if (item.disposition) {
+                throw statusError(`Return line ${item.id} was already inspected.`, 409);
+            }
+
+            let warehouseId = null;
+            if (inspection.disposition === 'restock') {
+                // Restock where the line shipped from unless the inspector picks another warehouse
+                warehouseId = inspection.warehouseId || item.allocated_warehouse_id || getDefaultWarehouse(item).id;
+                const warehouse = db.prepare('SELECT id FROM warehouses WHERE id = ?').get(warehouseId);
+                if (!warehouse) {
+                    throw statusError(`Warehouse ${warehouseId} not found.`, 404);
+                }
+                changeStock(item.product_id, warehouseId, item.quantity, {
+                    type: 'return',
+                    reason: `${returnRequest.rma_number} restocked`,
+                    createdBy: inspectedBy,
+                    unitCost: item.unit_cost // Back in at the cost it was sold at
+                });
+                // Restocked units keep the lot they shipped from, so a later recall still finds them
+                if (item.lot_id) {
+                    addLotStock(item.lot_id, warehouseId, item.quantity);
+                }
+                productIds.add(item.product_id);
+            }
+
+            returnSerials(item, inspection.serialNumbers, {
+                disposition: inspection.disposition,
+                warehouseId,
+                rmaNumber: returnRequest.rma_number,
+                inspectedBy
+            });
+
+            db.prepare(`
+                UPDATE return_items
+                SET disposition = ?, warehouse_id = ?, inspection_notes = ?, inspected_by = ?, inspected_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(inspection.disposition, warehouseId, inspection.notes || null, inspectedBy, item.id);
+        }
+
+        let creditNote = null;
+        const { pending } = db.prepare('SELECT COUNT(*) as pending FROM return_items WHERE return_id = ? AND disposition IS NULL').get(returnId);
+        if (pending === 0) {
+            const { amount } = db.prepare(`
+                SELECT COALESCE(SUM(ri.quantity * oi.price), 0) as amount
+                FROM return_items ri
+                JOIN order_items oi ON ri.order_item_id = oi.id
+                WHERE ri.return_id = ?
+            `).get(returnId);
+            const creditNoteNumber = `CN${Date.now()}${Math.floor(Math.random() * 100000)}`;
+            const info = db.prepare(`
+                INSERT INTO credit_notes (credit_note_number, return_id, order_id, user_id, amount, created_by)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `).run(creditNoteNumber, returnId, returnRequest.order_id, returnRequest.user_id, Math.round(amount * 100) / 100, inspectedBy);
+            db.prepare("UPDATE return_requests SET status = 'completed', completed_at = CURRENT_TIMESTAMP WHERE id = ?").run(returnId);
+            creditNote = db.prepare('SELECT * FROM credit_notes WHERE id = ?').get(info.lastInsertRowid);
+        }
+
+        return { creditNote, productIds: [...productIds] };
+    })();
+
+    return { returnRequest: getReturnRequest(returnId), ...result };
+}
+
+/**
+ * Broadcasts a return change, plus the credit note and restocked products when there are any.
+ * @param {object} io - The Socket.IO server.
+ * @param {object} returnRequest - The return as returned by getReturnRequest.
+ * @param {object} [extras] - { creditNote, productIds } from inspectReturn.
+ */
+function broadcastReturnUpdate(io, returnRequest, { creditNote = null, productIds = [] } = {}) {
+    if (!io) {
+        console.warn('Socket.io instance not found. Return updates will not be broadcast in real-time.');
+        return;
+    }
+    io.emit('return_updated', returnRequest);
+    if (creditNote) {
+        io.emit('credit_note_issued', { ...creditNote, rma_number: returnRequest.rma_number });
+    }
+    productIds.forEach(productId => io.emit('inventory_changed', getInventorySnapshot(productId)));
+}
+
+module.exports = {
+    RETURN_TRANSITIONS,
+    getReturnRequest,
+    getReturnableQuantities,
+    createReturnRequest,
+    decideReturnRequest,
+    markReturnShipped,
+    receiveReturn,
+    inspectReturn,
+    broadcastReturnUpdate
+};
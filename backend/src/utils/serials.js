@@ -0,0 +1,461 @@
+// backend/src/utils/serials.js
+const { db } = require('../config/database');
+const { statusError, transitionOrder, transitionShipment } = require('./statusTransitions');
+
+/**
+ * Trims a list of scanned serial numbers and rejects blanks and repeats.
+ * @param {Array<string>} serialNumbers - Serial numbers as entered or scanned.
+ * @returns {Array<string>} The trimmed serial numbers.
+ */
+function normalizeSerials(serialNumbers = []) {
+    const trimmed = serialNumbers.map(serial => String(serial).trim());
+    if (trimmed.some(serial => !serial)) {
+        throw statusError('Serial numbers cannot be blank.', 400);
+    }
+    const repeated = trimmed.find((serial, index) => trimmed.indexOf(serial) !== index);
+    if (repeated) {
+        throw statusError(`Serial number ${repeated} was entered twice.`, 400);
+    }
+    return trimmed;
+}
+
+/**
+ * Appends an entry to a unit's history.
+ * @param {number} serialId - The serial_numbers row.
+ * @param {string} event - received, registered, allocated, released, shipped, restocked or written_off.
+ * @param {object} details - { reference, orderId, warehouseId, createdBy }, all optional.
+ */
+function recordSerialEvent(serialId, event, { reference = null, orderId = null, warehouseId = null, createdBy = null } = {}) {
+    db.prepare(`
+        INSERT INTO serial_events (serial_id, event, reference, order_id, warehouse_id, created_by)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).run(serialId, event, reference, orderId, warehouseId, createdBy);
+}
+
+/**
+ * Creates in-stock serial_numbers rows for units arriving at a warehouse. A serial number can only
+ * exist once per product. The caller books the units into stock_locations.
+ * @param {number} productId - The product the units belong to.
+ * @param {number} warehouseId - The warehouse holding them.
+ * @param {Array<string>} serialNumbers - Trimmed, distinct serial numbers (see normalizeSerials).
+ * @param {object} options - { event: 'received' or 'registered', reference, goodsReceiptId, createdBy }.
+ * @returns {Array<number>} The ids of the serial_numbers rows created.
+ */
+function addSerials(productId, warehouseId, serialNumbers, { event, reference = null, goodsReceiptId = null, createdBy = null }) {
+    const existingStmt = db.prepare('SELECT id FROM serial_numbers WHERE product_id = ? AND serial_number = ?');
+    const insertSerial = db.prepare(`
+        INSERT INTO serial_numbers (product_id, serial_number, status, warehouse_id, goods_receipt_id)
+        VALUES (?, ?, 'in_stock', ?, ?)
+    `);
+    return serialNumbers.map(serialNumber => {
+        if (existingStmt.get(productId, serialNumber)) {
+            throw statusError(`Serial number ${serialNumber} is already registered for this product.`, 409);
+        }
+        const serialId = insertSerial.run(productId, serialNumber, warehouseId, goodsReceiptId).lastInsertRowid;
+        recordSerialEvent(serialId, event, { reference, warehouseId, createdBy });
+        return serialId;
+    });
+}
+
+/**
+ * Writes off in-stock units by serial number, for stock that leaves by hand (damaged, lost, ...).
+ * The caller removes the units from stock_locations.
+ * @param {number} productId - The product the units belong to.
+ * @param {number} warehouseId - The warehouse they leave.
+ * @param {Array<string>} serialNumbers - Trimmed, distinct serial numbers (see normalizeSerials).
+ * @param {object} options - { reference, createdBy }.
+ * @throws {Error} 400 if a serial number is not in stock in the warehouse.
+ */
+function writeOffSerials(productId, warehouseId, serialNumbers, { reference = null, createdBy = null } = {}) {
+    const serialStmt = db.prepare("SELECT id FROM serial_numbers WHERE product_id = ? AND serial_number = ? AND warehouse_id = ? AND status = 'in_stock'");
+    for (const serialNumber of serialNumbers) {
+        const serial = serialStmt.get(productId, serialNumber, warehouseId);
+        if (!serial) {
+            throw statusError(`Serial number ${serialNumber} is not in stock in this warehouse.`, 400);
+        }
+        db.prepare("UPDATE serial_numbers SET status = 'written_off' WHERE id = ?").run(serial.id);
+        recordSerialEvent(serial.id, 'written_off', { reference, warehouseId, createdBy });
+    }
+}
+
+/**
+ * Registers serial numbers for units already on the shelf, such as stock received before the product
+ * was serial-tracked. A warehouse cannot hold more serials in stock than units.
+ * @param {number} productId - A serial-tracked product.
+ * @param {number} warehouseId - The warehouse holding the units.
+ * @param {Array<string>} serialNumbers - The serial numbers read off the units.
+ * @param {object} options - { createdBy: admin user id }.
+ * @returns {Array<object>} The serial_numbers rows created.
+ */
+function registerSerials(productId, warehouseId, serialNumbers, { createdBy }) {
+    return db.transaction(() => {
+        const product = db.prepare('SELECT id, sku, track_serials FROM products WHERE id = ?').get(productId);
+        if (!product) {
+            throw statusError('Product not found', 404);
+        }
+        if (!product.track_serials) {
+            throw statusError(`${product.sku} does not track serial numbers.`, 400);
+        }
+        const warehouse = db.prepare('SELECT id, name FROM warehouses WHERE id = ?').get(warehouseId);
+        if (!warehouse) {
+            throw statusError(`Warehouse ${warehouseId} not found.`, 404);
+        }
+
+        const serials = normalizeSerials(serialNumbers);
+        const location = db.prepare('SELECT quantity FROM stock_locations WHERE product_id = ? AND warehouse_id = ?').get(productId, warehouseId);
+        const { registered } = db.prepare("SELECT COUNT(*) as registered FROM serial_numbers WHERE product_id = ? AND warehouse_id = ? AND status = 'in_stock'")
+            .get(productId, warehouseId);
+        const unregistered = (location ? location.quantity : 0) - registered;
+        if (serials.length > unregistered) {
+            throw statusError(`${warehouse.name} only holds ${Math.max(unregistered, 0)} unit(s) of ${product.sku} without a serial number.`, 400);
+        }
+
+        const ids = addSerials(productId, warehouseId, serials, { event: 'registered', reference: 'Existing stock', createdBy });
+        return ids.map(id => db.prepare('SELECT * FROM serial_numbers WHERE id = ?').get(id));
+    })();
+}
+
+/**
+ * Puts units assigned to a parcel that has not shipped back on the shelf and drops the assignments.
+ * @param {number} shipmentId - The pending shipment.
+ * @param {object} options - { orderItemIds: only these lines (default all), releasedBy, reference }.
+ * @returns {number} The number of units released.
+ */
+function releaseShipmentSerials(shipmentId, { orderItemIds = null, releasedBy = null, reference = null } = {}) {
+    const assignments = db.prepare(`
+        SELECT ois.id, ois.order_item_id, ois.serial_id, oi.order_id, sn.warehouse_id
+        FROM order_item_serials ois
+        JOIN order_items oi ON ois.order_item_id = oi.id
+        JOIN serial_numbers sn ON ois.serial_id = sn.id
+        WHERE ois.shipment_id = ? AND sn.status = 'allocated'
+    `).all(shipmentId).filter(assignment => !orderItemIds || orderItemIds.includes(assignment.order_item_id));
+
+    for (const assignment of assignments) {
+        db.prepare("UPDATE serial_numbers SET status = 'in_stock' WHERE id = ?").run(assignment.serial_id);
+        db.prepare('DELETE FROM order_item_serials WHERE id = ?').run(assignment.id);
+        recordSerialEvent(assignment.serial_id, 'released', {
+            reference, orderId: assignment.order_id, warehouseId: assignment.warehouse_id, createdBy: releasedBy
+        });
+    }
+    return assignments.length;
+}
+
+/**
+ * Scans serial numbers into a pending parcel, replacing whatever was scanned for the same lines before.
+ * Each serial must be in stock for the line's product in the warehouse the parcel ships from; a line takes
+ * at most as many serials as units.
+ * @param {number} shipmentId - The pending shipment being packed.
+ * @param {Array<object>} lines - [{ order_item_id, serial_numbers }]; an empty list clears the line.
+ * @param {object} options - { assignedBy: admin user id }.
+ */
+function assignShipmentSerials(shipmentId, lines, { assignedBy }) {
+    db.transaction(() => {
+        const shipment = db.prepare('SELECT * FROM shipments WHERE id = ?').get(shipmentId);
+        if (!shipment) {
+            throw statusError('Shipment not found.', 404);
+        }
+        if (shipment.status !== 'pending') {
+            throw statusError(`Serial numbers can only be scanned into pending shipments (current status: ${shipment.status.replace(/_/g, ' ')}).`, 409);
+        }
+
+        const lineStmt = db.prepare(`
+            SELECT si.order_item_id, si.quantity, oi.product_id, p.sku, p.track_serials
+            FROM shipment_items si
+            JOIN order_items oi ON si.order_item_id = oi.id
+            JOIN products p ON oi.product_id = p.id
+            WHERE si.shipment_id = ? AND si.order_item_id = ?
+        `);
+        const serialStmt = db.prepare('SELECT * FROM serial_numbers WHERE product_id = ? AND serial_number = ?');
+        const insertAssignment = db.prepare('INSERT INTO order_item_serials (order_item_id, shipment_id, serial_id, assigned_by) VALUES (?, ?, ?, ?)');
+
+        for (const line of lines) {
+            const item = lineStmt.get(shipmentId, line.order_item_id);
+            if (!item) {
+                throw statusError(`Order line ${line.order_item_id} is not in shipment ${shipment.tracking_number}.`, 400);
+            }
+            if (!item.track_serials) {
+                throw statusError(`${item.sku} does not track serial numbers.`, 400);
+            }
+            const serials = normalizeSerials(line.serial_numbers);
+            if (serials.length > item.quantity) {
+                throw statusError(`Shipment ${shipment.tracking_number} only holds ${item.quantity} unit(s) of ${item.sku}.`, 400);
+            }
+
+            releaseShipmentSerials(shipmentId, { orderItemIds: [item.order_item_id], releasedBy: assignedBy, reference: shipment.tracking_number });
+            for (const serialNumber of serials) {
+                const serial = serialStmt.get(item.product_id, serialNumber);
+                if (!serial) {
+                    throw statusError(`Serial number ${serialNumber} is not registered for ${item.sku}.`, 400);
+                }
+                if (serial.status !== 'in_stock') {
+                    throw statusError(`Serial number ${serialNumber} is not in stock (status: ${serial.status.replace(/_/g, ' ')}).`, 409);
+                }
+                // Units only change warehouse through transfers, so one held elsewhere (or in transit) is not in this parcel
+                if (shipment.warehouse_id && serial.warehouse_id !== shipment.warehouse_id) {
+                    throw statusError(`Serial number ${serialNumber} is not in stock in the warehouse shipment ${shipment.tracking_number} ships from.`, 409);
+                }
+                const warehouseId = shipment.warehouse_id || serial.warehouse_id;
+                db.prepare("UPDATE serial_numbers SET status = 'allocated' WHERE id = ?").run(serial.id);
+                insertAssignment.run(item.order_item_id, shipmentId, serial.id, assignedBy);
+                recordSerialEvent(serial.id, 'allocated', {
+                    reference: shipment.tracking_number, orderId: shipment.order_id, warehouseId, createdBy: assignedBy
+                });
+            }
+        }
+    })();
+}
+
+/**
+ * Marks the serials scanned into a pending parcel shipped as it leaves the warehouse. Every unit of a
+ * serial-tracked product must have a serial scanned first. Runs inside the caller's transaction.
+ * @param {object} shipment - The shipments row, still pending.
+ * @param {object} options - { shippedBy: user id }.
+ */
+function shipShipmentSerials(shipment, { shippedBy = null } = {}) {
+    const missing = db.prepare(`
+        SELECT p.sku, si.quantity - (SELECT COUNT(*) FROM order_item_serials ois
+                                     WHERE ois.shipment_id = si.shipment_id AND ois.order_item_id = si.order_item_id) as missing
+        FROM shipment_items si
+        JOIN order_items oi ON si.order_item_id = oi.id
+        JOIN products p ON oi.product_id = p.id
+        WHERE si.shipment_id = ? AND p.track_serials = 1
+    `).all(shipment.id).filter(line => line.missing > 0);
+    if (missing.length > 0) {
+        const summary = missing.map(line => `${line.missing} x ${line.sku}`).join(', ');
+        throw statusError(`Scan serial numbers before shipment ${shipment.tracking_number} leaves: ${summary} still unscanned.`, 409);
+    }
+
+    const assigned = db.prepare(`
+        SELECT ois.serial_id, sn.warehouse_id
+        FROM order_item_serials ois
+        JOIN serial_numbers sn ON ois.serial_id = sn.id
+        WHERE ois.shipment_id = ?
+    `).all(shipment.id);
+    for (const serial of assigned) {
+        db.prepare("UPDATE serial_numbers SET status = 'shipped' WHERE id = ?").run(serial.serial_id);
+        recordSerialEvent(serial.serial_id, 'shipped', {
+            reference: shipment.tracking_number, orderId: shipment.order_id, warehouseId: serial.warehouse_id, createdBy: shippedBy
+        });
+    }
+}
+
+/**
+ * transitionShipment, plus the serial check when a pending parcel leaves (see shipShipmentSerials).
+ * Admin and socket shipment updates go through here.
+ * @param {number} shipmentId - The shipment to update.
+ * @param {string} toStatus - The requested status.
+ * @param {object} options - Passed to transitionShipment ({ changedBy, note, fields }).
+ * @returns {object} { shipment, order, orderChanged } as returned by transitionShipment.
+ */
+function dispatchShipment(shipmentId, toStatus, options = {}) {
+    return db.transaction(() => {
+        const shipment = db.prepare('SELECT * FROM shipments WHERE id = ?').get(shipmentId);
+        // Cancelling is refused by transitionShipment; staying pending needs no serials yet
+        if (shipment && shipment.status === 'pending' && !['pending', 'cancelled'].includes(toStatus)) {
+            shipShipmentSerials(shipment, { shippedBy: options.changedBy });
+        }
+        return transitionShipment(shipmentId, toStatus, options);
+    })();
+}
+
+/**
+ * transitionOrder, plus the serial check for the pending parcels that a shipped or delivered order
+ * sends on their way.
+ * @param {number} orderId - The order to update.
+ * @param {string} toStatus - The requested status.
+ * @param {object} options - Passed to transitionOrder ({ changedBy, note }).
+ * @returns {object} { order, shipments } as returned by transitionOrder.
+ */
+function dispatchOrder(orderId, toStatus, options = {}) {
+    return db.transaction(() => {
+        if (['shipped', 'delivered'].includes(toStatus)) {
+            db.prepare("SELECT * FROM shipments WHERE order_id = ? AND status = 'pending'").all(orderId)
+                .forEach(shipment => shipShipmentSerials(shipment, { shippedBy: options.changedBy }));
+        }
+        return transitionOrder(orderId, toStatus, options);
+    })();
+}
+
+/**
+ * Takes the serials scanned onto a transfer's lines out of the source warehouse as the transfer ships.
+ * Every unit of a serial-tracked line needs one, as for a parcel. Until the transfer is received the units
+ * are in no warehouse, so neither side can pack them. Runs inside the caller's transaction.
+ * @param {object} transfer - The draft transfer with its items ({ id, product_id, quantity, sku, track_serials }).
+ * @param {Array<object>} lines - [{ transfer_item_id, serial_numbers }].
+ */
+function shipTransferSerials(transfer, lines = []) {
+    const serialStmt = db.prepare('SELECT * FROM serial_numbers WHERE product_id = ? AND serial_number = ?');
+    const insertItemSerial = db.prepare('INSERT INTO stock_transfer_item_serials (transfer_item_id, serial_id) VALUES (?, ?)');
+
+    for (const line of lines) {
+        const item = transfer.items.find(candidate => candidate.id === line.transfer_item_id);
+        if (!item) {
+            throw statusError(`Line ${line.transfer_item_id} is not on transfer #${transfer.id}.`, 400);
+        }
+        if (!item.track_serials) {
+            throw statusError(`${item.sku} does not track serial numbers.`, 400);
+        }
+    }
+
+    for (const item of transfer.items.filter(candidate => candidate.track_serials)) {
+        const line = lines.find(candidate => candidate.transfer_item_id === item.id);
+        const serials = normalizeSerials(line ? line.serial_numbers : []);
+        if (serials.length !== item.quantity) {
+            throw statusError(`Scan serial numbers before transfer #${transfer.id} leaves: ${serials.length} of ${item.quantity} x ${item.sku} scanned.`, 409);
+        }
+        for (const serialNumber of serials) {
+            const serial = serialStmt.get(item.product_id, serialNumber);
+            if (!serial) {
+                throw statusError(`Serial number ${serialNumber} is not registered for ${item.sku}.`, 400);
+            }
+            if (serial.status !== 'in_stock' || serial.warehouse_id !== transfer.source_warehouse_id) {
+                throw statusError(`Serial number ${serialNumber} is not in stock in ${transfer.source_warehouse_name}.`, 409);
+            }
+            db.prepare('UPDATE serial_numbers SET warehouse_id = NULL WHERE id = ?').run(serial.id);
+            insertItemSerial.run(item.id, serial.id);
+        }
+    }
+}
+
+/**
+ * Puts the serials a transfer carried into its destination warehouse as it is received.
+ * Runs inside the caller's transaction.
+ * @param {object} transfer - The in-transit transfer ({ id, destination_warehouse_id }).
+ */
+function receiveTransferSerials(transfer) {
+    db.prepare(`
+        UPDATE serial_numbers SET warehouse_id = ?
+        WHERE id IN (SELECT tis.serial_id
+                     FROM stock_transfer_item_serials tis
+                     JOIN stock_transfer_items ti ON tis.transfer_item_id = ti.id
+                     WHERE ti.transfer_id = ?)
+    `).run(transfer.destination_warehouse_id, transfer.id);
+}
+
+/**
+ * Books the serials of an inspected return line back in (restock) or out (write-off). Without explicit
+ * serial numbers, the line's shipped serials are used when they match the returned quantity exactly.
+ * Lines of products that do not track serials, and units that shipped before they were tracked, are skipped.
+ * Runs inside inspectReturn's transaction.
+ * @param {object} item - The return_items row, with order_id.
+ * @param {Array<string> | undefined} serialNumbers - The serials read off the returned units, if given.
+ * @param {object} options - { disposition, warehouseId (restock only), rmaNumber, inspectedBy }.
+ */
+function returnSerials(item, serialNumbers, { disposition, warehouseId, rmaNumber, inspectedBy }) {
+    const product = db.prepare('SELECT sku, track_serials FROM products WHERE id = ?').get(item.product_id);
+    const shipped = db.prepare(`
+        SELECT sn.id, sn.serial_number
+        FROM order_item_serials ois
+        JOIN serial_numbers sn ON ois.serial_id = sn.id
+        WHERE ois.order_item_id = ? AND sn.status = 'shipped'
+        ORDER BY sn.serial_number
+    `).all(item.order_item_id);
+
+    let returned;
+    if (serialNumbers && serialNumbers.length > 0) {
+        const serials = normalizeSerials(serialNumbers);
+        if (serials.length !== item.quantity) {
+            throw statusError(`Return line ${item.id} is for ${item.quantity} unit(s) but ${serials.length} serial number(s) were given.`, 400);
+        }
+        returned = serials.map(serialNumber => {
+            const serial = shipped.find(candidate => candidate.serial_number === serialNumber);
+            if (!serial) {
+                throw statusError(`Serial number ${serialNumber} was not shipped on this order line.`, 400);
+            }
+            return serial;
+        });
+    } else if (!product.track_serials || shipped.length === 0) {
+        return;
+    } else if (shipped.length === item.quantity) {
+        returned = shipped;
+    } else {
+        throw statusError(`Return line ${item.id} (${product.sku}) needs the serial numbers of the ${item.quantity} unit(s) returned.`, 400);
+    }
+
+    for (const serial of returned) {
+        if (disposition === 'restock') {
+            db.prepare("UPDATE serial_numbers SET status = 'in_stock', warehouse_id = ? WHERE id = ?").run(warehouseId, serial.id);
+        } else {
+            db.prepare("UPDATE serial_numbers SET status = 'written_off' WHERE id = ?").run(serial.id);
+        }
+        recordSerialEvent(serial.id, disposition === 'restock' ? 'restocked' : 'written_off', {
+            reference: rmaNumber, orderId: item.order_id, warehouseId: disposition === 'restock' ? warehouseId : null, createdBy: inspectedBy
+        });
+    }
+}
+
+/**
+ * Serial numbers, newest first, with product and warehouse names.
+ * @param {object} filters - { productId, status }, both optional.
+ * @returns {Array<object>} serial_numbers rows with product_name, sku and warehouse_name.
+ */
+function listSerials({ productId = null, status = null } = {}) {
+    return db.prepare(`
+        SELECT sn.*, p.name as product_name, p.sku, w.name as warehouse_name
+        FROM serial_numbers sn
+        JOIN products p ON sn.product_id = p.id
+        LEFT JOIN warehouses w ON sn.warehouse_id = w.id
+        WHERE (? IS NULL OR sn.product_id = ?) AND (? IS NULL OR sn.status = ?)
+        ORDER BY sn.created_at DESC, sn.id DESC
+    `).all(productId, productId, status, status);
+}
+
+/**
+ * Serial lookup: every unit with this serial number (one per product using it), with its full history
+ * from receipt through shipment and any return.
+ * @param {string} serialNumber - The serial number to trace.
+ * @returns {Array<object>} serial_numbers rows with product_name, sku, warehouse_name, receipt_number,
+ *   po_number, the order it last shipped on (order_id, user_name, user_email, tracking_number) and
+ *   history [{ event, reference, order_id, warehouse_name, created_by_name, created_at }], oldest first.
+ */
+function lookupSerial(serialNumber) {
+    const historyStmt = db.prepare(`
+        SELECT se.id, se.event, se.reference, se.order_id, se.created_at, w.name as warehouse_name, u.name as created_by_name
+        FROM serial_events se
+        LEFT JOIN warehouses w ON se.warehouse_id = w.id
+        LEFT JOIN users u ON se.created_by = u.id
+        WHERE se.serial_id = ?
+        ORDER BY se.created_at, se.id
+    `);
+    const orderStmt = db.prepare(`
+        SELECT o.id as order_id, o.order_date, o.status as order_status, u.name as user_name, u.email as user_email, s.tracking_number
+        FROM order_item_serials ois
+        JOIN order_items oi ON ois.order_item_id = oi.id
+        JOIN orders o ON oi.order_id = o.id
+        JOIN users u ON o.user_id = u.id
+        JOIN shipments s ON ois.shipment_id = s.id
+        WHERE ois.serial_id = ?
+        ORDER BY ois.id DESC
+        LIMIT 1
+    `);
+    return db.prepare(`
+        SELECT sn.*, p.name as product_name, p.sku, w.name as warehouse_name, gr.receipt_number, po.po_number
+        FROM serial_numbers sn
+        JOIN products p ON sn.product_id = p.id
+        LEFT JOIN warehouses w ON sn.warehouse_id = w.id
+        LEFT JOIN goods_receipts gr ON sn.goods_receipt_id = gr.id
+        LEFT JOIN purchase_orders po ON gr.purchase_order_id = po.id
+        WHERE sn.serial_number = ?
+        ORDER BY sn.id
+    `).all(serialNumber).map(serial => ({
+        ...serial,
+        order: orderStmt.get(serial.id) || null,
+        history: historyStmt.all(serial.id)
+    }));
+}
+
+module.exports = {
+    normalizeSerials,
+    addSerials,
+    writeOffSerials,
+    registerSerials,
+    releaseShipmentSerials,
+    assignShipmentSerials,
+    dispatchShipment,
+    dispatchOrder,
+    shipTransferSerials,
+    receiveTransferSerials,
+    returnSerials,
+    listSerials,
+    lookupSerial
+};
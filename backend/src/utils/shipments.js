@@ -0,0 +1,129 @@
+// backend/src/utils/shipments.js
+const { db } = require('../config/database');
+const { statusError, recordStatusChange, getShipmentItems, getShipmentWithOrder } = require('./statusTransitions');
+const { releaseShipmentSerials } = require('./serials');
+
+/**
+ * Generates a shipment tracking number.
+ * @returns {string} A TRK-prefixed tracking number.
+ */
+function generateTrackingNumber() {
+    return `TRK${Date.now()}${Math.floor(Math.random() * 100000)}`;
+}
+
+/**
+ * Creates the pending shipments of a new order: one parcel per fulfilling warehouse. The first parcel
+ * keeps the order's own tracking number so single-parcel orders look as they always did.
+ * @param {number} orderId - The new order.
+ * @param {Array<object>} lines - The order_items rows created, as { orderItemId, quantity, warehouseId, warehouseName }.
+ * @param {object} options - { trackingNumber: the order's tracking number, createdBy: user id, note: history note }.
+ * @returns {Array<number>} The ids of the shipments created.
+ */
+function createOrderShipments(orderId, lines, { trackingNumber, createdBy, note = 'Order placed' }) {
+    const parcels = new Map();
+    for (const line of lines) {
+        if (!parcels.has(line.warehouseId)) {
+            parcels.set(line.warehouseId, { warehouseName: line.warehouseName, lines: [] });
+        }
+        parcels.get(line.warehouseId).lines.push(line);
+    }
+
+    const insertShipment = db.prepare(`
+        INSERT INTO shipments (order_id, tracking_number, status, current_location, warehouse_id)
+        VALUES (?, ?, 'pending', ?, ?)
+    `);
+    const insertItem = db.prepare('INSERT INTO shipment_items (shipment_id, order_item_id, quantity) VALUES (?, ?, ?)');
+
+    return [...parcels.entries()].map(([warehouseId, parcel], index) => {
+        const info = insertShipment.run(orderId, index === 0 ? trackingNumber : generateTrackingNumber(), parcel.warehouseName, warehouseId);
+        parcel.lines.forEach(line => insertItem.run(info.lastInsertRowid, line.orderItemId, line.quantity));
+        recordStatusChange('shipment', info.lastInsertRowid, null, 'pending', createdBy, note);
+        return info.lastInsertRowid;
+    });
+}
+
+/**
+ * Lists an order's shipments, oldest first, each with the lines it carries.
+ * @param {number} orderId - The order to look up.
+ * @returns {Array<object>} The shipments rows with `items`.
+ */
+function getOrderShipments(orderId) {
+    return db.prepare('SELECT * FROM shipments WHERE order_id = ? ORDER BY id').all(orderId)
+        .map(shipment => ({ ...shipment, items: getShipmentItems(shipment.id) }));
+}
+
+/**
+ * Moves some quantities out of a pending shipment into a new pending shipment with its own tracking number,
+ * so those units can ship later or separately. At least one unit must stay in the original parcel.
+ * Serials scanned for lines that no longer fit in the original parcel are released.
+ * @param {number} shipmentId - The pending shipment to split.
+ * @param {Array<object>} items - [{ order_item_id, quantity }] to move into the new parcel.
+ * @param {object} options - { createdBy: admin user id, notes: optional text for the new parcel }.
+ * @returns {object} { source, shipment }: the reduced original and the new parcel (see getShipmentWithOrder).
+ */
+function splitShipment(shipmentId, items, { createdBy, notes = null }) {
+    const newShipmentId = db.transaction(() => {
+        const source = db.prepare('SELECT * FROM shipments WHERE id = ?').get(shipmentId);
+        if (!source) {
+            throw statusError('Shipment not found.', 404);
+        }
+        if (source.status !== 'pending') {
+            throw statusError(`Only pending shipments can be split (current status: ${source.status.replace(/_/g, ' ')}).`, 409);
+        }
+
+        const sourceItems = db.prepare('SELECT order_item_id, quantity FROM shipment_items WHERE shipment_id = ?').all(shipmentId);
+        const packed = new Map(sourceItems.map(item => [item.order_item_id, item.quantity]));
+        for (const item of items) {
+            if (!packed.has(item.order_item_id)) {
+                throw statusError(`Order line ${item.order_item_id} is not in shipment ${source.tracking_number}.`, 400);
+            }
+            if (item.quantity > packed.get(item.order_item_id)) {
+                throw statusError(`Shipment ${source.tracking_number} only holds ${packed.get(item.order_item_id)} unit(s) of order line ${item.order_item_id}.`, 400);
+            }
+        }
+        const unitsLeft = sourceItems.reduce((sum, item) => sum + item.quantity, 0) - items.reduce((sum, item) => sum + item.quantity, 0);
+        if (unitsLeft <= 0) {
+            throw statusError('A split must leave at least one unit in the original shipment.', 400);
+        }
+
+        const info = db.prepare(`
+            INSERT INTO shipments (order_id, tracking_number, status, current_location, warehouse_id, notes)
+            VALUES (?, ?, 'pending', ?, ?, ?)
+        `).run(source.order_id, generateTrackingNumber(), source.current_location, source.warehouse_id, notes);
+
+        const reduceItem = db.prepare('UPDATE shipment_items SET quantity = quantity - ? WHERE shipment_id = ? AND order_item_id = ?');
+        const insertItem = db.prepare('INSERT INTO shipment_items (shipment_id, order_item_id, quantity) VALUES (?, ?, ?)');
+        for (const item of items) {
+            if (item.quantity === packed.get(item.order_item_id)) {
+                db.prepare('DELETE FROM shipment_items WHERE shipment_id = ? AND order_item_id = ?').run(shipmentId, item.order_item_id);
+            } else {
+                reduceItem.run(item.quantity, shipmentId, item.order_item_id);
+            }
+            insertItem.run(info.lastInsertRowid, item.order_item_id, item.quantity);
+        }
+
+        // Serials scanned for a line that now holds fewer units than were scanned go back on the shelf to be scanned again
+        const overScanned = db.prepare(`
+            SELECT si.order_item_id
+            FROM shipment_items si
+            WHERE si.shipment_id = ?
+              AND (SELECT COUNT(*) FROM order_item_serials ois WHERE ois.shipment_id = si.shipment_id AND ois.order_item_id = si.order_item_id) > si.quantity
+        `).all(shipmentId).map(item => item.order_item_id);
+        const movedOut = items.filter(item => item.quantity === packed.get(item.order_item_id)).map(item => item.order_item_id);
+        if (overScanned.length > 0 || movedOut.length > 0) {
+            releaseShipmentSerials(shipmentId, { orderItemIds: [...overScanned, ...movedOut], releasedBy: createdBy, reference: source.tracking_number });
+        }
+
+        recordStatusChange('shipment', info.lastInsertRowid, null, 'pending', createdBy, `Split from shipment ${source.tracking_number}`);
+        return info.lastInsertRowid;
+    })();
+
+    return { source: getShipmentWithOrder(shipmentId), shipment: getShipmentWithOrder(newShipmentId) };
+}
+
+module.exports = {
+    generateTrackingNumber,
+    createOrderShipments,
+    getOrderShipments,
+    splitShipment
+};
@@ -0,0 +1,318 @@
+// backend/src/utils/statusTransitions.js
+const { db } = require('../config/database');
+
+// Allowed next statuses for every order status. Anything not listed is rejected with a 409.
+// partially_shipped is only ever reached from shipment statuses (some parcels dispatched, others still pending).
+// on_hold is set at checkout when the fraud score reaches the hold threshold; the fraud review releases it
+// to pending (approve) or cancels it (reject).
+const ORDER_TRANSITIONS = {
+    on_hold: ['pending', 'cancelled'],
+    pending: ['processing', 'partially_shipped', 'shipped', 'cancelled'],
+    processing: ['partially_shipped', 'shipped', 'cancelled'],
+    partially_shipped: ['shipped'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
+// Allowed next statuses for every shipment status.
+const SHIPMENT_TRANSITIONS = {
+    pending: ['in_transit', 'cancelled'],
+    in_transit: ['out_for_delivery', 'delivered', 'failed_attempt'],
+    out_for_delivery: ['delivered', 'failed_attempt'],
+    failed_attempt: ['in_transit', 'out_for_delivery'],
+    delivered: [],
+    cancelled: []
+};
+
+const TRANSITIONS = { order: ORDER_TRANSITIONS, shipment: SHIPMENT_TRANSITIONS };
+
+/**
+ * Creates an Error carrying the HTTP status code the routes should answer with.
+ * @param {string} message - The error message shown to the client.
+ * @param {number} statusCode - The HTTP status code.
+ * @returns {Error} The error.
+ */
+function statusError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Lists the statuses an order or shipment may move to next.
+ * @param {'order' | 'shipment'} entityType - Which state machine to use.
+ * @param {string} fromStatus - The current status.
+ * @returns {Array<string>} The allowed next statuses.
+ */
+function getNextStatuses(entityType, fromStatus) {
+    return TRANSITIONS[entityType][fromStatus] || [];
+}
+
+/**
+ * Whether a status exists in the order or shipment state machine.
+ * @param {'order' | 'shipment'} entityType - Which state machine to use.
+ * @param {string} status - The status to check.
+ * @returns {boolean} True for a known status.
+ */
+function isKnownStatus(entityType, status) {
+    return Object.prototype.hasOwnProperty.call(TRANSITIONS[entityType], status);
+}
+
+/**
+ * Throws unless `toStatus` is a known status reachable from `fromStatus`.
+ * @param {'order' | 'shipment'} entityType - Which state machine to use.
+ * @param {string} fromStatus - The current status.
+ * @param {string} toStatus - The requested status.
+ */
+function assertTransition(entityType, fromStatus, toStatus) {
+    if (!isKnownStatus(entityType, toStatus)) {
+        throw statusError(`Invalid ${entityType} status '${toStatus}'.`, 400);
+    }
+    if (!getNextStatuses(entityType, fromStatus).includes(toStatus)) {
+        throw statusError(`Cannot change ${entityType} status from '${fromStatus}' to '${toStatus}'.`, 409);
+    }
+}
+
+/**
+ * Appends a row to the status history.
+ * @param {'order' | 'shipment'} entityType - What changed.
+ * @param {number} entityId - The order or shipment id.
+ * @param {string | null} fromStatus - The previous status (null on creation).
+ * @param {string} toStatus - The new status.
+ * @param {number | null} changedBy - The acting user, null for automatic changes.
+ * @param {string} [note] - Why the status changed.
+ */
+function recordStatusChange(entityType, entityId, fromStatus, toStatus, changedBy, note = null) {
+    db.prepare(`
+        INSERT INTO status_history (entity_type, entity_id, from_status, to_status, changed_by, note)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).run(entityType, entityId, fromStatus, toStatus, changedBy, note);
+}
+
+/**
+ * The order lines (and quantities of each) packed in a shipment.
+ * @param {number} shipmentId - The shipment to look up.
+ * @returns {Array<object>} Rows of { order_item_id, product_id, product_name, sku, quantity, track_serials,
+ *   serial_numbers (comma-separated serials scanned into this parcel, or null) }.
+ */
+function getShipmentItems(shipmentId) {
+    return db.prepare(`
+        SELECT si.order_item_id, oi.product_id, p.name as product_name, p.sku, si.quantity, p.track_serials,
+               (SELECT GROUP_CONCAT(sn.serial_number, ', ')
+                FROM order_item_serials ois JOIN serial_numbers sn ON ois.serial_id = sn.id
+                WHERE ois.shipment_id = si.shipment_id AND ois.order_item_id = si.order_item_id) as serial_numbers
+        FROM shipment_items si
+        JOIN order_items oi ON si.order_item_id = oi.id
+        JOIN products p ON oi.product_id = p.id
+        WHERE si.shipment_id = ?
+        ORDER BY si.id
+    `).all(shipmentId);
+}
+
+/**
+ * Fetches a shipment in the shape broadcast with `shipment_status_updated`.
+ * @param {number} shipmentId - The shipment to fetch.
+ * @returns {object | undefined} The shipment with its order's user and total, and the lines it carries.
+ */
+function getShipmentWithOrder(shipmentId) {
+    const shipment = db.prepare(`
+        SELECT s.*, o.user_id, u.name as user_name, u.email as user_email, o.total_amount, o.status as order_status
+        FROM shipments s
+        JOIN orders o ON s.order_id = o.id
+        JOIN users u ON o.user_id = u.id
+        WHERE s.id = ?
+    `).get(shipmentId);
+    if (shipment) {
+        shipment.items = getShipmentItems(shipmentId);
+    }
+    return shipment;
+}
+
+/**
+ * Counts an order's backorders still waiting for stock; those lines have no shipment yet.
+ * @param {number} orderId - The order to look up.
+ * @returns {number} The number of waiting backorders.
+ */
+function countWaitingBackorders(orderId) {
+    return db.prepare("SELECT COUNT(*) as count FROM backorders WHERE order_id = ? AND status = 'waiting'").get(orderId).count;
+}
+
+/**
+ * The order status implied by its shipments: partially_shipped while some parcels are still pending
+ * (or some lines are still backordered), shipped once all have left, delivered once all have arrived.
+ * Cancelled parcels are ignored.
+ * @param {number} orderId - The order to look up.
+ * @returns {string | null} The implied status, or null while nothing has been dispatched.
+ */
+function getImpliedOrderStatus(orderId) {
+    const shipments = db.prepare("SELECT status FROM shipments WHERE order_id = ? AND status != 'cancelled'").all(orderId);
+    const dispatched = shipments.filter(shipment => shipment.status !== 'pending');
+    if (dispatched.length === 0) {
+        return null;
+    }
+    if (dispatched.length < shipments.length || countWaitingBackorders(orderId) > 0) {
+        return 'partially_shipped';
+    }
+    return dispatched.every(shipment => shipment.status === 'delivered') ? 'delivered' : 'shipped';
+}
+
+// The shipment status an order status implies, applied to every parcel that is behind it
+const SHIPMENT_STATUS_FOR_ORDER = {
+    shipped: 'in_transit',
+    delivered: 'delivered'
+};
+
+// Order progress, used so syncing only ever moves a status forward
+const ORDER_PROGRESS = ['pending', 'processing', 'partially_shipped', 'shipped', 'delivered'];
+const SHIPMENT_PROGRESS = ['pending', 'in_transit', 'out_for_delivery', 'failed_attempt', 'delivered'];
+
+/**
+ * Moves an order to a new status, recording history and bringing its shipments along
+ * (order `shipped` ⇒ every pending parcel `in_transit`, order `delivered` ⇒ every parcel `delivered`).
+ * Cancellation goes through cancelOrder, which also restocks. Orders on hold only leave it through the fraud review.
+ * @param {number} orderId - The order to update.
+ * @param {string} toStatus - The requested status.
+ * @param {object} options - { changedBy, note, reviewed: true when the fraud review releases the order }.
+ * @returns {object} { order, shipments } after the change; shipments lists only the parcels that were synced.
+ */
+function transitionOrder(orderId, toStatus, { changedBy = null, note = null, reviewed = false } = {}) {
+    return db.transaction(() => {
+        const order = db.prepare('SELECT id, status FROM orders WHERE id = ?').get(orderId);
+        if (!order) {
+            throw statusError('Order not found', 404);
+        }
+        if (order.status === 'on_hold' && !reviewed) {
+            throw statusError(`Order #${orderId} is on hold for fraud review. Approve or reject it in the review queue.`, 409);
+        }
+        assertTransition('order', order.status, toStatus);
+        if (toStatus === 'cancelled') {
+            throw statusError('Use the cancel operation so the order is restocked and refunded.', 409);
+        }
+        if (toStatus === 'partially_shipped') {
+            throw statusError('An order becomes partially shipped when some of its shipments are dispatched.', 409);
+        }
+        if (['shipped', 'delivered'].includes(toStatus) && countWaitingBackorders(orderId) > 0) {
+            throw statusError(`Order #${orderId} still has backordered lines waiting for stock.`, 409);
+        }
+
+        db.prepare('UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(toStatus, orderId);
+        recordStatusChange('order', orderId, order.status, toStatus, changedBy, note);
+
+        const impliedStatus = SHIPMENT_STATUS_FOR_ORDER[toStatus];
+        const syncedShipments = impliedStatus
+            ? db.prepare("SELECT id, status FROM shipments WHERE order_id = ? AND status != 'cancelled'").all(orderId)
+                .filter(shipment => SHIPMENT_PROGRESS.indexOf(shipment.status) < SHIPMENT_PROGRESS.indexOf(impliedStatus))
+            : [];
+        for (const shipment of syncedShipments) {
+            db.prepare(`
+                UPDATE shipments
+                SET status = ?, actual_delivery = CASE WHEN ? = 'delivered' THEN COALESCE(actual_delivery, CURRENT_TIMESTAMP) ELSE actual_delivery END,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(impliedStatus, impliedStatus, shipment.id);
+            recordStatusChange('shipment', shipment.id, shipment.status, impliedStatus, changedBy, `Synced from order status '${toStatus}'`);
+        }
+
+        return {
+            order: db.prepare('SELECT * FROM orders WHERE id = ?').get(orderId),
+            shipments: syncedShipments.map(shipment => getShipmentWithOrder(shipment.id))
+        };
+    })();
+}
+
+/**
+ * Moves a shipment to a new status (or just updates its details when the status is unchanged),
+ * recording history and bringing its order along to the status all of its shipments imply
+ * (see getImpliedOrderStatus).
+ * @param {number} shipmentId - The shipment to update.
+ * @param {string} toStatus - The requested status.
+ * @param {object} options - { changedBy, note, fields: { current_location, notes, estimated_delivery, actual_delivery } }.
+ * @returns {object} { shipment, order, orderChanged } after the change.
+ */
+function transitionShipment(shipmentId, toStatus, { changedBy = null, note = null, fields = {} } = {}) {
+    return db.transaction(() => {
+        const shipment = db.prepare('SELECT * FROM shipments WHERE id = ?').get(shipmentId);
+        if (!shipment) {
+            throw statusError('Shipment not found.', 404);
+        }
+        const statusChanged = shipment.status !== toStatus;
+        if (statusChanged) {
+            assertTransition('shipment', shipment.status, toStatus);
+            if (toStatus === 'cancelled') {
+                // A cancelled shipment must mean a cancelled, restocked order
+                throw statusError('Shipments are cancelled by cancelling their order.', 409);
+            }
+            // Stock stays allocated to a held order, but nothing leaves until the review approves it
+            const { status: orderStatus } = db.prepare('SELECT status FROM orders WHERE id = ?').get(shipment.order_id);
+            if (orderStatus === 'on_hold') {
+                throw statusError(`Order #${shipment.order_id} is on hold for fraud review; its shipments cannot move until it is approved.`, 409);
+            }
+        }
+
+        const actualDelivery = fields.actual_delivery || (toStatus === 'delivered' ? shipment.actual_delivery || new Date().toISOString() : null);
+        db.prepare(`
+            UPDATE shipments
+            SET status = ?, current_location = ?, notes = ?, estimated_delivery = ?, actual_delivery = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(
+            toStatus,
+            fields.current_location !== undefined ? fields.current_location : shipment.current_location,
+            fields.notes !== undefined ? fields.notes : shipment.notes,
+            fields.estimated_delivery !== undefined ? fields.estimated_delivery || null : shipment.estimated_delivery,
+            actualDelivery,
+            shipmentId
+        );
+
+        let orderChanged = false;
+        if (statusChanged) {
+            recordStatusChange('shipment', shipmentId, shipment.status, toStatus, changedBy, note);
+
+            const order = db.prepare('SELECT id, status FROM orders WHERE id = ?').get(shipment.order_id);
+            const impliedStatus = getImpliedOrderStatus(shipment.order_id);
+            if (order && impliedStatus && ORDER_PROGRESS.indexOf(order.status) !== -1 &&
+                ORDER_PROGRESS.indexOf(order.status) < ORDER_PROGRESS.indexOf(impliedStatus)) {
+                db.prepare('UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(impliedStatus, order.id);
+                recordStatusChange('order', order.id, order.status, impliedStatus, changedBy, `Synced from shipment status '${toStatus}'`);
+                orderChanged = true;
+            }
+        }
+
+        return {
+            shipment: getShipmentWithOrder(shipmentId),
+            order: db.prepare('SELECT * FROM orders WHERE id = ?').get(shipment.order_id),
+            orderChanged
+        };
+    })();
+}
+
+/**
+ * The status history of an order and its shipment, oldest first.
+ * @param {number} orderId - The order to look up.
+ * @returns {Array<object>} History rows with the name of the user who made each change.
+ */
+function getOrderHistory(orderId) {
+    return db.prepare(`
+        SELECT h.id, h.entity_type, h.entity_id, h.from_status, h.to_status, h.note, h.created_at,
+               h.changed_by, u.name as changed_by_name
+        FROM status_history h
+        LEFT JOIN users u ON h.changed_by = u.id
+        WHERE (h.entity_type = 'order' AND h.entity_id = ?)
+           OR (h.entity_type = 'shipment' AND h.entity_id IN (SELECT id FROM shipments WHERE order_id = ?))
+        ORDER BY h.created_at ASC, h.id ASC
+    `).all(orderId, orderId);
+}
+
+module.exports = {
+    statusError,
+    getNextStatuses,
+    isKnownStatus,
+    assertTransition,
+    recordStatusChange,
+    getShipmentItems,
+    getShipmentWithOrder,
+    getImpliedOrderStatus,
+    transitionOrder,
+    transitionShipment,
+    getOrderHistory
+};
@@ -0,0 +1,322 @@
+// backend/src/utils/twoFactor.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { db } = require('../config/database');
+const { statusError } = require('./statusTransitions');
+
+// Roles that must use two-factor sign-in, comma-separated, configurable via TWO_FACTOR_REQUIRED_ROLES
+// (admins by default; set it empty to make 2FA optional for everyone).
+// Users of these roles without 2FA are made to enrol at their next sign-in
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES ?? 'admin')
+    .split(',').map(role => role.trim()).filter(Boolean);
+// Name authenticator apps show next to the account
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Supply Chain Management';
+// RFC 6238 defaults, which every authenticator app supports
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from one step either side are accepted, for clock drift
+const TOTP_WINDOW = 1;
+const BACKUP_CODE_COUNT = 10;
+// How long the second sign-in step may take
+const CHALLENGE_EXPIRES_IN = '5m';
+// Wrong codes allowed per challenge; after that the user starts again with their password
+const MAX_FAILED_CODES = 5;
+// Audience of challenge tokens; they are never valid where an access token is expected
+const CHALLENGE_AUDIENCE = 'two-factor-challenge';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encodes bytes as unpadded base32, the format authenticator apps take secrets in.
+ * @param {Buffer} buffer - The bytes.
+ * @returns {string} The base32 text.
+ */
+function base32Encode(buffer) {
+    let bits = '';
+    buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+}
+
+/**
+ * Decodes base32 text (case, spaces and padding ignored).
+ * @param {string} text - The base32 text.
+ * @returns {Buffer} The bytes.
+ */
+function base32Decode(text) {
+    const bits = String(text).toUpperCase().replace(/[\s=]/g, '').split('')
+        .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+        .join('');
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * The TOTP code for a time step (HOTP over the step counter, HMAC-SHA1, dynamic truncation).
+ * @param {string} secret - The base32 secret.
+ * @param {number} step - Seconds since the epoch divided by TOTP_STEP_SECONDS.
+ * @returns {string} The zero-padded code.
+ */
+function generateTotp(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Checks a TOTP code against the current time step and its neighbours.
+ * @param {string} secret - The base32 secret.
+ * @param {string} code - The code as typed.
+ * @param {number|null} lastStep - The step of the last accepted code; it and earlier steps are refused.
+ * @returns {number|null} The step the code belongs to, or null if it does not match.
+ */
+function verifyTotp(secret, code, lastStep = null) {
+    const digits = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(digits)) {
+        return null;
+    }
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+    for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+        const candidate = generateTotp(secret, step);
+        if ((lastStep === null || step > lastStep)
+            && crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(digits))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * Hashes a backup code for storage; dashes, spaces and case are ignored.
+ * @param {string} code - The code as typed.
+ * @returns {string} The hex SHA-256 digest.
+ */
+function hashBackupCode(code) {
+    return crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+}
+
+/**
+ * Replaces a user's backup codes with a new set.
+ * @param {number} userId - The user.
+ * @returns {Array<string>} The codes, shown to the user once (xxxxx-xxxxx).
+ */
+function replaceBackupCodes(userId) {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => crypto.randomBytes(5).toString('hex').replace(/^(.{5})/, '$1-'));
+    db.transaction(() => {
+        db.prepare('DELETE FROM two_factor_backup_codes WHERE user_id = ?').run(userId);
+        const insert = db.prepare('INSERT INTO two_factor_backup_codes (user_id, code_hash) VALUES (?, ?)');
+        codes.forEach(code => insert.run(userId, hashBackupCode(code)));
+    })();
+    return codes;
+}
+
+/**
+ * Whether the policy makes a user's role use two-factor sign-in.
+ * @param {object} user - { role }.
+ * @returns {boolean}
+ */
+function isTwoFactorRequired(user) {
+    return TWO_FACTOR_REQUIRED_ROLES.includes(user.role);
+}
+
+/**
+ * A user's two-factor state.
+ * @param {number} userId - The user.
+ * @returns {object} { enabled, enabled_at, required, backup_codes_remaining }.
+ */
+function getTwoFactorStatus(userId) {
+    const user = db.prepare('SELECT role, totp_enabled_at FROM users WHERE id = ?').get(userId);
+    const { remaining } = db.prepare('SELECT COUNT(*) as remaining FROM two_factor_backup_codes WHERE user_id = ? AND used_at IS NULL').get(userId);
+    return {
+        enabled: Boolean(user.totp_enabled_at),
+        enabled_at: user.totp_enabled_at,
+        required: isTwoFactorRequired(user),
+        backup_codes_remaining: user.totp_enabled_at ? remaining : 0
+    };
+}
+
+/**
+ * Starts enrolment: a new secret is kept as pending until confirmEnrolment sees a code from it.
+ * @param {object} user - { id, email }.
+ * @returns {Promise<object>} { secret, otpauth_url, qr_code: a PNG data URL of otpauth_url }.
+ * @throws {Error} 409 if two-factor sign-in is already on.
+ */
+async function startEnrolment(user) {
+    const { totp_enabled_at } = db.prepare('SELECT totp_enabled_at FROM users WHERE id = ?').get(user.id);
+    if (totp_enabled_at) {
+        throw statusError('Two-factor authentication is already enabled', 409);
+    }
+    const secret = base32Encode(crypto.randomBytes(20));
+    db.prepare('UPDATE users SET totp_pending_secret = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(secret, user.id);
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${user.email}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}`
+        + `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+    return { secret, otpauth_url: otpauthUrl, qr_code: await QRCode.toDataURL(otpauthUrl) };
+}
+
+/**
+ * Finishes enrolment with a code from the pending secret, which switches two-factor sign-in on.
+ * @param {number} userId - The user.
+ * @param {string} code - A code from the authenticator app.
+ * @returns {Array<string>} The new backup codes.
+ * @throws {Error} 400 if enrolment was not started or the code does not match.
+ */
+function confirmEnrolment(userId, code) {
+    const user = db.prepare('SELECT totp_pending_secret FROM users WHERE id = ?').get(userId);
+    if (!user.totp_pending_secret) {
+        throw statusError('Start two-factor setup first', 400);
+    }
+    const step = verifyTotp(user.totp_pending_secret, code);
+    if (step === null) {
+        throw statusError('That code is not valid. Check the time on your device and try again.', 400);
+    }
+    return db.transaction(() => {
+        db.prepare(`
+            UPDATE users
+            SET totp_secret = totp_pending_secret, totp_pending_secret = NULL, totp_enabled_at = CURRENT_TIMESTAMP,
+                totp_last_step = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(step, userId);
+        return replaceBackupCodes(userId);
+    })();
+}
+
+/**
+ * Checks a second-factor code: a TOTP code, or else an unused backup code, which is then spent.
+ * @param {number} userId - The user.
+ * @param {string} code - The code as typed.
+ * @returns {object} { method: 'totp' or 'backup_code', backup_codes_remaining }.
+ * @throws {Error} 401 if it matches neither.
+ */
+function verifySecondFactor(userId, code) {
+    const user = db.prepare('SELECT totp_secret, totp_last_step FROM users WHERE id = ?').get(userId);
+    if (!user || !user.totp_secret) {
+        throw statusError('Two-factor authentication is not enabled', 400);
+    }
+    const step = verifyTotp(user.totp_secret, code, user.totp_last_step);
+    if (step !== null) {
+        db.prepare('UPDATE users SET totp_last_step = ? WHERE id = ?').run(step, userId);
+        return { method: 'totp', backup_codes_remaining: getTwoFactorStatus(userId).backup_codes_remaining };
+    }
+    const spent = db.prepare('UPDATE two_factor_backup_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL')
+        .run(userId, hashBackupCode(code));
+    if (spent.changes > 0) {
+        return { method: 'backup_code', backup_codes_remaining: getTwoFactorStatus(userId).backup_codes_remaining };
+    }
+    throw statusError('Invalid authentication code', 401);
+}
+
+/**
+ * Replaces the backup codes after checking a current code.
+ * @param {number} userId - The user.
+ * @param {string} code - A TOTP or backup code.
+ * @returns {Array<string>} The new backup codes.
+ * @throws {Error} 401 if the code is wrong.
+ */
+function regenerateBackupCodes(userId, code) {
+    verifySecondFactor(userId, code);
+    return replaceBackupCodes(userId);
+}
+
+/**
+ * Switches two-factor sign-in off after checking a current code; the secret and backup codes are deleted.
+ * @param {object} user - { id, role }.
+ * @param {string} code - A TOTP or backup code.
+ * @throws {Error} 403 if the policy requires two-factor sign-in for the user's role, 401 if the code is wrong.
+ */
+function disableTwoFactor(user, code) {
+    if (isTwoFactorRequired(user)) {
+        throw statusError(`Two-factor authentication is required for the ${user.role} role and cannot be turned off`, 403);
+    }
+    verifySecondFactor(user.id, code);
+    db.transaction(() => {
+        db.prepare(`
+            UPDATE users
+            SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(user.id);
+        db.prepare('DELETE FROM two_factor_backup_codes WHERE user_id = ?').run(user.id);
+    })();
+}
+
+/**
+ * A 401 telling the client to start signing in again with the password.
+ * @param {string} message - What went wrong.
+ * @returns {Error} The error, with code 'challenge_expired'.
+ */
+function challengeError(message) {
+    const error = statusError(message, 401);
+    error.code = 'challenge_expired';
+    return error;
+}
+
+/**
+ * Signs the short-lived token that carries a user from the password step to the second step.
+ * @param {object} user - { id, token_version }.
+ * @param {string} purpose - 'verify' (enter a code) or 'enrol' (set up 2FA the policy requires).
+ * @returns {string} The JWT.
+ */
+function signChallengeToken(user, purpose) {
+    return jwt.sign(
+        { id: user.id, purpose: `2fa_${purpose}`, tv: user.token_version || 0 },
+        process.env.JWT_SECRET,
+        { expiresIn: CHALLENGE_EXPIRES_IN, audience: CHALLENGE_AUDIENCE }
+    );
+}
+
+/**
+ * Checks a challenge token and loads its user. Too many wrong codes since it was issued end it.
+ * @param {string} token - The challenge token.
+ * @param {string} purpose - The purpose it must carry.
+ * @returns {object} The user row.
+ * @throws {Error} 401 (code 'challenge_expired') if it is invalid, expired, revoked or exhausted.
+ */
+function verifyChallengeToken(token, purpose) {
+    let payload;
+    try {
+        payload = jwt.verify(token, process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+    } catch (error) {
+        throw challengeError('Your sign-in has expired. Please sign in again.');
+    }
+    if (payload.purpose !== `2fa_${purpose}`) {
+        throw challengeError('Invalid sign-in challenge');
+    }
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(payload.id);
+    if (!user || user.token_version !== payload.tv) {
+        throw challengeError('Your sign-in has expired. Please sign in again.');
+    }
+    const { failures } = db.prepare(`
+        SELECT COUNT(*) as failures FROM login_attempts
+        WHERE user_id = ? AND success = 0 AND created_at >= datetime(?, 'unixepoch')
+    `).get(user.id, payload.iat);
+    if (failures >= MAX_FAILED_CODES) {
+        throw challengeError('Too many invalid codes. Please sign in again.');
+    }
+    return user;
+}
+
+module.exports = {
+    TWO_FACTOR_REQUIRED_ROLES,
+    generateTotp,
+    verifyTotp,
+    isTwoFactorRequired,
+    getTwoFactorStatus,
+    startEnrolment,
+    confirmEnrolment,
+    verifySecondFactor,
+    regenerateBackupCodes,
+    disableTwoFactor,
+    signChallengeToken,
+    verifyChallengeToken
+};
@@ -0,0 +1,259 @@
+// backend/src/utils/valuation.js
+const { db } = require('../config/database');
+
+const VALUATION_METHODS = ['fifo', 'weighted_average'];
+
+// The method cost of goods sold is booked at. Both methods are kept up to date on every movement,
+// so the value report can show either
+const VALUATION_METHOD = VALUATION_METHODS.includes(process.env.INVENTORY_VALUATION_METHOD)
+    ? process.env.INVENTORY_VALUATION_METHOD
+    : 'fifo';
+
+const roundCost = (value) => Math.round(value * 10000) / 10000;
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * The unit cost to book stock in at when the movement does not bring its own (a found unit, a manual
+ * restock): the warehouse's average cost, else the product's average across warehouses, else its
+ * latest cost layer, else the cheapest supplier price, else 0.
+ * @param {number} productId - The product.
+ * @param {number} warehouseId - The warehouse receiving the stock.
+ * @returns {number} The unit cost.
+ */
+function getCurrentUnitCost(productId, warehouseId) {
+    const location = db.prepare('SELECT average_cost FROM stock_locations WHERE product_id = ? AND warehouse_id = ?').get(productId, warehouseId);
+    if (location && location.average_cost !== null) {
+        return location.average_cost;
+    }
+    const product = db.prepare(`
+        SELECT SUM(quantity * average_cost) / SUM(quantity) as average_cost
+        FROM stock_locations
+        WHERE product_id = ? AND quantity > 0 AND average_cost IS NOT NULL
+    `).get(productId);
+    if (product.average_cost !== null) {
+        return roundCost(product.average_cost);
+    }
+    const layer = db.prepare('SELECT unit_cost FROM cost_layers WHERE product_id = ? ORDER BY id DESC LIMIT 1').get(productId);
+    if (layer) {
+        return layer.unit_cost;
+    }
+    const supplier = db.prepare('SELECT MIN(unit_cost) as unit_cost FROM supplier_products WHERE product_id = ?').get(productId);
+    return supplier.unit_cost || 0;
+}
+
+/**
+ * Books inbound stock at cost: adds a FIFO layer and folds the units into the warehouse's moving average.
+ * Called by changeStock after the stock itself has moved.
+ * @param {number} productId - The product.
+ * @param {number} warehouseId - The receiving warehouse.
+ * @param {number} quantity - Units received (> 0).
+ * @param {object} options - { unitCost (defaults to getCurrentUnitCost), previousQuantity: warehouse stock before the receipt, transactionId }.
+ * @returns {object} { unitCost, cost }.
+ */
+function receiveCost(productId, warehouseId, quantity, { unitCost = null, previousQuantity, transactionId = null }) {
+    const cost = unitCost === null || unitCost === undefined ? getCurrentUnitCost(productId, warehouseId) : unitCost;
+    db.prepare('INSERT INTO cost_layers (product_id, warehouse_id, inventory_transaction_id, unit_cost, quantity, remaining_quantity) VALUES (?, ?, ?, ?, ?, ?)')
+        .run(productId, warehouseId, transactionId, cost, quantity, quantity);
+
+    const location = db.prepare('SELECT average_cost FROM stock_locations WHERE product_id = ? AND warehouse_id = ?').get(productId, warehouseId);
+    const previousAverage = location.average_cost === null ? cost : location.average_cost;
+    const held = Math.max(previousQuantity, 0);
+    const average = roundCost((held * previousAverage + quantity * cost) / (held + quantity));
+    db.prepare('UPDATE stock_locations SET average_cost = ? WHERE product_id = ? AND warehouse_id = ?').run(average, productId, warehouseId);
+
+    return { unitCost: roundCost(cost), cost: roundMoney(quantity * cost) };
+}
+
+/**
+ * Uses up the oldest FIFO layers for outbound stock.
+ * @param {number} productId - The product.
+ * @param {number} warehouseId - The warehouse the stock leaves.
+ * @param {number} quantity - Units to take.
+ * @returns {number} What the layers taken cost; units beyond the layers are left uncosted.
+ */
+function consumeLayers(productId, warehouseId, quantity) {
+    const layers = db.prepare('SELECT id, unit_cost, remaining_quantity FROM cost_layers WHERE product_id = ? AND warehouse_id = ? AND remaining_quantity > 0 ORDER BY id')
+        .all(productId, warehouseId);
+    let remaining = quantity;
+    let cost = 0;
+    for (const layer of layers) {
+        if (remaining === 0) break;
+        const take = Math.min(layer.remaining_quantity, remaining);
+        db.prepare('UPDATE cost_layers SET remaining_quantity = remaining_quantity - ? WHERE id = ?').run(take, layer.id);
+        cost += take * layer.unit_cost;
+        remaining -= take;
+    }
+    return cost;
+}
+
+/**
+ * Costs outbound stock: takes it out of the FIFO layers and prices it at the configured method.
+ * The moving average itself does not change when stock leaves.
+ * @param {number} productId - The product.
+ * @param {number} warehouseId - The warehouse the stock leaves.
+ * @param {number} quantity - Units issued (> 0).
+ * @returns {object} { unitCost, cost } under VALUATION_METHOD.
+ */
+function issueCost(productId, warehouseId, quantity) {
+    const location = db.prepare('SELECT average_cost FROM stock_locations WHERE product_id = ? AND warehouse_id = ?').get(productId, warehouseId);
+    const averageCost = location && location.average_cost !== null ? location.average_cost : getCurrentUnitCost(productId, warehouseId);
+    const fifoCost = consumeLayers(productId, warehouseId, quantity);
+    const cost = VALUATION_METHOD === 'fifo' ? fifoCost : quantity * averageCost;
+    return { unitCost: roundCost(cost / quantity), cost: roundMoney(cost) };
+}
+
+/**
+ * Brings a warehouse's FIFO layers back in line with its stock after a change made off the ledger
+ * (the ledger rebuild): surplus layers are used up oldest first, a shortfall gets a layer at the current cost.
+ * @param {number} productId - The product.
+ * @param {number} warehouseId - The warehouse.
+ */
+function syncCostLayers(productId, warehouseId) {
+    const location = db.prepare('SELECT quantity FROM stock_locations WHERE product_id = ? AND warehouse_id = ?').get(productId, warehouseId);
+    const onHand = location ? location.quantity : 0;
+    const { layered } = db.prepare('SELECT COALESCE(SUM(remaining_quantity), 0) as layered FROM cost_layers WHERE product_id = ? AND warehouse_id = ?').get(productId, warehouseId);
+    if (layered > onHand) {
+        consumeLayers(productId, warehouseId, layered - onHand);
+    } else if (layered < onHand) {
+        db.prepare('INSERT INTO cost_layers (product_id, warehouse_id, unit_cost, quantity, remaining_quantity) VALUES (?, ?, ?, ?, ?)')
+            .run(productId, warehouseId, getCurrentUnitCost(productId, warehouseId), onHand - layered, onHand - layered);
+    }
+}
+
+/**
+ * Values the stock on hand per product and warehouse, with totals by warehouse and by category.
+ * FIFO values each unit at the layer it came in with; weighted average at the warehouse's moving average.
+ * @param {object} [options] - { method: one of VALUATION_METHODS, defaults to VALUATION_METHOD }.
+ * @returns {object} { method, total_value, total_units, uncosted_units, by_warehouse, by_category, products }.
+ */
+function getInventoryValue({ method = VALUATION_METHOD } = {}) {
+    const rows = db.prepare(`
+        SELECT sl.product_id, p.sku, p.name, p.category, sl.warehouse_id, w.name as warehouse_name, sl.quantity,
+               sl.average_cost,
+               (SELECT COALESCE(SUM(cl.remaining_quantity * cl.unit_cost), 0) FROM cost_layers cl
+                WHERE cl.product_id = sl.product_id AND cl.warehouse_id = sl.warehouse_id) as fifo_value,
+               (SELECT COALESCE(SUM(cl.remaining_quantity), 0) FROM cost_layers cl
+                WHERE cl.product_id = sl.product_id AND cl.warehouse_id = sl.warehouse_id AND cl.unit_cost = 0) as uncosted_units
+        FROM stock_locations sl
+        JOIN products p ON sl.product_id = p.id
+        JOIN warehouses w ON sl.warehouse_id = w.id
+        WHERE sl.quantity > 0
+        ORDER BY p.category, p.name, w.name
+    `).all();
+
+    const products = rows.map(row => {
+        const value = roundMoney(method === 'fifo' ? row.fifo_value : row.quantity * (row.average_cost || 0));
+        return {
+            product_id: row.product_id,
+            sku: row.sku,
+            name: row.name,
+            category: row.category,
+            warehouse_id: row.warehouse_id,
+            warehouse_name: row.warehouse_name,
+            quantity: row.quantity,
+            unit_cost: roundCost(value / row.quantity),
+            value,
+            uncosted_units: row.uncosted_units
+        };
+    });
+
+    const groupBy = (key) => Object.values(products.reduce((groups, product) => {
+        const group = groups[product[key]] || (groups[product[key]] = { [key]: product[key], quantity: 0, value: 0 });
+        group.quantity += product.quantity;
+        group.value = roundMoney(group.value + product.value);
+        return groups;
+    }, {}));
+
+    return {
+        method,
+        total_value: roundMoney(products.reduce((sum, product) => sum + product.value, 0)),
+        total_units: products.reduce((sum, product) => sum + product.quantity, 0),
+        uncosted_units: products.reduce((sum, product) => sum + product.uncosted_units, 0),
+        by_warehouse: groupBy('warehouse_name'),
+        by_category: groupBy('category'),
+        products
+    };
+}
+
+/**
+ * Gross margin per product over orders placed in a date range. Cancelled orders and lines still waiting
+ * on a backorder (no stock has left for them yet) are left out.
+ * Inspected returns are netted off: their revenue comes back out, and restocked units take their cost
+ * with them while written-off units stay a cost.
+ * @param {object} [options] - { from, to } as YYYY-MM-DD, both inclusive and optional.
+ * @returns {object} { from, to, totals, products: [{ product_id, sku, name, category, units_sold, units_returned,
+ *     revenue, cogs, gross_margin, margin_percent, uncosted_units }] }.
+ */
+function getGrossMargin({ from = null, to = null } = {}) {
+    const rows = db.prepare(`
+        SELECT p.id as product_id, p.sku, p.name, p.category,
+               SUM(oi.quantity) as units_sold,
+               SUM(oi.quantity * oi.price) as revenue,
+               SUM(COALESCE(oi.cogs, 0)) as cogs,
+               SUM(CASE WHEN oi.unit_cost IS NULL THEN oi.quantity ELSE 0 END) as uncosted_units,
+               COALESCE(SUM(r.returned_units), 0) as units_returned,
+               COALESCE(SUM(r.returned_units * oi.price), 0) as returned_revenue,
+               COALESCE(SUM(r.restocked_units * COALESCE(oi.unit_cost, 0)), 0) as restocked_cost
+        FROM order_items oi
+        JOIN orders o ON oi.order_id = o.id
+        JOIN products p ON oi.product_id = p.id
+        LEFT JOIN (
+            SELECT order_item_id,
+                   SUM(quantity) as returned_units,
+                   SUM(CASE WHEN disposition = 'restock' THEN quantity ELSE 0 END) as restocked_units
+            FROM return_items
+            WHERE disposition IS NOT NULL
+            GROUP BY order_item_id
+        ) r ON r.order_item_id = oi.id
+        WHERE o.status != 'cancelled'
+          AND NOT EXISTS (SELECT 1 FROM backorders b WHERE b.order_item_id = oi.id AND b.status = 'waiting')
+          AND (? IS NULL OR date(o.order_date) >= date(?))
+          AND (? IS NULL OR date(o.order_date) <= date(?))
+        GROUP BY p.id
+        ORDER BY p.category, p.name
+    `).all(from, from, to, to);
+
+    const products = rows.map(row => {
+        const revenue = roundMoney(row.revenue - row.returned_revenue);
+        const cogs = roundMoney(row.cogs - row.restocked_cost);
+        const grossMargin = roundMoney(revenue - cogs);
+        return {
+            product_id: row.product_id,
+            sku: row.sku,
+            name: row.name,
+            category: row.category,
+            units_sold: row.units_sold,
+            units_returned: row.units_returned,
+            revenue,
+            cogs,
+            gross_margin: grossMargin,
+            margin_percent: revenue > 0 ? Math.round((grossMargin / revenue) * 1000) / 10 : null,
+            uncosted_units: row.uncosted_units
+        };
+    });
+
+    const revenue = roundMoney(products.reduce((sum, product) => sum + product.revenue, 0));
+    const cogs = roundMoney(products.reduce((sum, product) => sum + product.cogs, 0));
+    return {
+        from,
+        to,
+        totals: {
+            revenue,
+            cogs,
+            gross_margin: roundMoney(revenue - cogs),
+            margin_percent: revenue > 0 ? Math.round(((revenue - cogs) / revenue) * 1000) / 10 : null
+        },
+        products
+    };
+}
+
+module.exports = {
+    VALUATION_METHODS,
+    VALUATION_METHOD,
+    getCurrentUnitCost,
+    receiveCost,
+    issueCost,
+    syncCostLayers,
+    getInventoryValue,
+    getGrossMargin
+};
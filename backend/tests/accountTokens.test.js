@@ -0,0 +1,61 @@
+const { setupDatabase, readMail, linkToken } = require('./helpers');
+
+const db = setupDatabase();
+const { sendVerificationEmail, sendPasswordResetEmail, verifyEmail, resetPassword } = require('../src/utils/accountTokens');
+
+const user = () => db.prepare("SELECT id, name, email, password, email_verified_at FROM users WHERE email = 'user@supply-chain.com'").get();
+const lastToken = () => linkToken(readMail('user@supply-chain.com').pop());
+
+beforeEach(() => {
+    db.prepare("UPDATE users SET email_verified_at = NULL WHERE email = 'user@supply-chain.com'").run();
+});
+
+describe('email verification links', () => {
+    test('verify the email once', async () => {
+        await sendVerificationEmail(user());
+        const token = lastToken();
+        expect(verifyEmail(token).email).toBe('user@supply-chain.com');
+        expect(user().email_verified_at).not.toBeNull();
+        expect(() => verifyEmail(token)).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    test('a newer link retires the older one', async () => {
+        await sendVerificationEmail(user());
+        const older = lastToken();
+        await sendVerificationEmail(user());
+        expect(() => verifyEmail(older)).toThrow('This link is invalid or has expired');
+        expect(() => verifyEmail(lastToken())).not.toThrow();
+    });
+
+    test('an expired link is refused', async () => {
+        await sendVerificationEmail(user());
+        db.prepare("UPDATE account_tokens SET expires_at = '2000-01-01T00:00:00.000Z' WHERE used_at IS NULL").run();
+        expect(() => verifyEmail(lastToken())).toThrow('This link is invalid or has expired');
+        expect(user().email_verified_at).toBeNull();
+    });
+});
+
+describe('password reset links', () => {
+    test('reset the password once', async () => {
+        await sendPasswordResetEmail(user());
+        const token = lastToken();
+        resetPassword(token, 'new-hash');
+        expect(user().password).toBe('new-hash');
+        expect(() => resetPassword(token, 'other-hash')).toThrow(expect.objectContaining({ statusCode: 400 }));
+        expect(user().password).toBe('new-hash');
+    });
+
+    test('an expired link is refused', async () => {
+        await sendPasswordResetEmail(user());
+        db.prepare("UPDATE account_tokens SET expires_at = '2000-01-01T00:00:00.000Z' WHERE used_at IS NULL").run();
+        expect(() => resetPassword(lastToken(), 'late-hash')).toThrow('This link is invalid or has expired');
+        expect(user().password).not.toBe('late-hash');
+    });
+
+    test('a reset link does not verify an email, nor the other way round', async () => {
+        await sendPasswordResetEmail(user());
+        expect(() => verifyEmail(lastToken())).toThrow(expect.objectContaining({ statusCode: 400 }));
+        await sendVerificationEmail(user());
+        expect(() => resetPassword(lastToken(), 'wrong-hash')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+});
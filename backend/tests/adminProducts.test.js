@@ -0,0 +1,121 @@
+const { setupDatabase, serveRouter } = require('./helpers');
+
+const db = setupDatabase();
+const adminRoutes = require('../src/routes/admin');
+
+// Seeded stock: 250 mice (untracked) and 50 serial-tracked laptops in Warehouse A, 90 lot-tracked air fryers in Warehouse B
+const LAPTOP = 1;
+const MOUSE = 2;
+const AIR_FRYER = 12;
+const WAREHOUSE_A = 1;
+const WAREHOUSE_B = 2;
+
+const stockIn = (productId, warehouseId) =>
+    db.prepare('SELECT quantity FROM stock_locations WHERE product_id = ? AND warehouse_id = ?').get(productId, warehouseId).quantity;
+const lotStock = (productId, lotNumber) => db.prepare(`
+    SELECT COALESCE(SUM(ls.quantity), 0) as quantity FROM lot_stock ls JOIN lots l ON ls.lot_id = l.id
+    WHERE l.product_id = ? AND l.lot_number = ?
+`).get(productId, lotNumber).quantity;
+const serialStatus = (productId, serialNumber) =>
+    db.prepare('SELECT status FROM serial_numbers WHERE product_id = ? AND serial_number = ?').get(productId, serialNumber)?.status;
+
+let api;
+
+beforeAll(async () => {
+    api = await serveRouter('/api/admin', adminRoutes, db.prepare("SELECT * FROM users WHERE role = 'admin'").get());
+});
+
+afterAll(() => api.close());
+
+beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('switching tracking on', () => {
+    test('is refused while stock is on hand', async () => {
+        const lots = await api.request('PUT', `/products/${MOUSE}`, { track_lots: true });
+        expect(lots.status).toBe(400);
+        expect(lots.body.error).toBe('Lot tracking can only be switched on while no stock of ELEC-MS-01 is on hand or in transit (250 unit(s)).');
+        const serials = await api.request('PUT', `/products/${MOUSE}`, { track_serials: true });
+        expect(serials.status).toBe(400);
+        expect(db.prepare('SELECT track_lots, track_serials FROM products WHERE id = ?').get(MOUSE)).toEqual({ track_lots: 0, track_serials: 0 });
+    });
+
+    test('is allowed with an empty shelf, and other edits of tracked products go through', async () => {
+        const created = await api.request('POST', '/products', { name: 'Foam Roller', price: 19.99, category: 'Sports & Fitness', sku: 'SPRT-FR-01' });
+        expect(created.status).toBe(201);
+        const tracked = await api.request('PUT', `/products/${created.body.id}`, { track_lots: true, track_serials: true });
+        expect(tracked.status).toBe(200);
+
+        const renamed = await api.request('PUT', `/products/${AIR_FRYER}`, { name: 'Smart Air Fryer XL', track_lots: true });
+        expect(renamed.status).toBe(200);
+    });
+});
+
+describe('manual stock changes of tracked products', () => {
+    test('of a lot-tracked product name the lot the units go to or come from', async () => {
+        const unnamed = await api.request('PUT', `/products/${AIR_FRYER}/stock`, { stock_quantity: 100, warehouse_id: WAREHOUSE_B, reason_code: 'found' });
+        expect(unnamed.status).toBe(400);
+        expect(unnamed.body.error).toContain('HOME-AF-01 is lot-tracked');
+
+        const added = await api.request('PUT', `/products/${AIR_FRYER}/stock`, {
+            stock_quantity: 100, warehouse_id: WAREHOUSE_B, reason_code: 'found', lot_number: 'AF-0901', expiry_date: '2030-01-31'
+        });
+        expect(added.status).toBe(200);
+        expect(stockIn(AIR_FRYER, WAREHOUSE_B)).toBe(100);
+        expect(lotStock(AIR_FRYER, 'AF-0901')).toBe(10);
+
+        const tooMany = await api.request('PUT', `/products/${AIR_FRYER}/stock`, {
+            stock_quantity: 80, warehouse_id: WAREHOUSE_B, reason_code: 'damaged', lot_number: 'AF-0901'
+        });
+        expect(tooMany.status).toBe(400);
+        expect(tooMany.body.error).toBe('Lot AF-0901 only has 10 unit(s) in this warehouse.');
+
+        const removed = await api.request('PUT', `/products/${AIR_FRYER}/stock`, {
+            stock_quantity: 96, warehouse_id: WAREHOUSE_B, reason_code: 'damaged', lot_number: 'AF-0901'
+        });
+        expect(removed.status).toBe(200);
+        expect(lotStock(AIR_FRYER, 'AF-0901')).toBe(6);
+    });
+
+    test('of a serial-tracked product scan every unit added or removed', async () => {
+        const unscanned = await api.request('PUT', `/products/${LAPTOP}/stock`, { stock_quantity: 52, warehouse_id: WAREHOUSE_A, reason_code: 'found', serial_numbers: ['QL-0001'] });
+        expect(unscanned.status).toBe(400);
+        expect(unscanned.body.error).toBe('ELEC-LP-01 is serial-tracked: scan one serial number per unit added (2 expected, 1 given).');
+        expect(stockIn(LAPTOP, WAREHOUSE_A)).toBe(50);
+
+        const added = await api.request('PUT', `/products/${LAPTOP}/stock`, { stock_quantity: 52, warehouse_id: WAREHOUSE_A, reason_code: 'found', serial_numbers: ['QL-0001', 'QL-0002'] });
+        expect(added.status).toBe(200);
+        expect(serialStatus(LAPTOP, 'QL-0002')).toBe('in_stock');
+
+        const unknown = await api.request('PUT', `/products/${LAPTOP}/stock`, { stock_quantity: 51, warehouse_id: WAREHOUSE_A, reason_code: 'lost', serial_numbers: ['QL-9999'] });
+        expect(unknown.status).toBe(400);
+        expect(unknown.body.error).toBe('Serial number QL-9999 is not in stock in this warehouse.');
+
+        const removed = await api.request('PUT', `/products/${LAPTOP}/stock`, { stock_quantity: 51, warehouse_id: WAREHOUSE_A, reason_code: 'lost', serial_numbers: ['QL-0001'] });
+        expect(removed.status).toBe(200);
+        expect(stockIn(LAPTOP, WAREHOUSE_A)).toBe(51);
+        expect(serialStatus(LAPTOP, 'QL-0001')).toBe('written_off');
+    });
+
+    test('of an untracked product need no lot or serials', async () => {
+        const response = await api.request('PUT', `/products/${MOUSE}/stock`, { stock_quantity: 240, warehouse_id: WAREHOUSE_A, reason_code: 'damaged' });
+        expect(response.status).toBe(200);
+        expect(stockIn(MOUSE, WAREHOUSE_A)).toBe(240);
+    });
+
+    test('initial stock of a new tracked product is booked into its lot', async () => {
+        const product = { name: 'Kettlebell 8kg', price: 29.5, category: 'Sports & Fitness', track_lots: true, stock_quantity: 12, location: 'Warehouse A' };
+        const unnamed = await api.request('POST', '/products', { ...product, sku: 'SPRT-KB-08' });
+        expect(unnamed.status).toBe(400);
+        expect(db.prepare("SELECT id FROM products WHERE sku = 'SPRT-KB-08'").get()).toBeUndefined();
+
+        const created = await api.request('POST', '/products', { ...product, sku: 'SPRT-KB-08', lot_number: 'KB-001' });
+        expect(created.status).toBe(201);
+        expect(lotStock(created.body.id, 'KB-001')).toBe(12);
+    });
+});
@@ -0,0 +1,74 @@
+const { setupDatabase } = require('./helpers');
+
+const db = setupDatabase();
+const { issueTokens, rotateRefreshToken, revokeRefreshToken, revokeAllSessions } = require('../src/utils/authTokens');
+
+const user = () => db.prepare("SELECT * FROM users WHERE email = 'user@supply-chain.com'").get();
+
+describe('refresh token rotation', () => {
+    let warn;
+
+    beforeEach(() => {
+        // Reuse detection warns on the console; the tests check for it instead of printing it
+        warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        warn.mockRestore();
+    });
+
+    test('stores only a hash of the refresh token', () => {
+        const { refreshToken } = issueTokens(user());
+        expect(db.prepare('SELECT COUNT(*) as count FROM refresh_tokens WHERE token_hash = ?').get(refreshToken).count).toBe(0);
+    });
+
+    test('a refresh token is exchanged for a new one and stops working', () => {
+        const { refreshToken } = issueTokens(user());
+        const rotated = rotateRefreshToken(refreshToken);
+        expect(rotated.refreshToken).not.toBe(refreshToken);
+        expect(rotated.user.email).toBe('user@supply-chain.com');
+        expect(() => rotateRefreshToken(refreshToken)).toThrow('Refresh token has been revoked');
+    });
+
+    test('reusing a rotated refresh token revokes its whole family', () => {
+        const { refreshToken: first } = issueTokens(user());
+        const { refreshToken: second } = rotateRefreshToken(first);
+        const { refreshToken: other } = issueTokens(user());
+
+        expect(() => rotateRefreshToken(first)).toThrow(expect.objectContaining({ statusCode: 401 }));
+        expect(() => rotateRefreshToken(second)).toThrow('Refresh token has been revoked');
+        // Another login's family is untouched
+        expect(rotateRefreshToken(other).refreshToken).toBeTruthy();
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('Refresh token reuse detected'));
+    });
+
+    test('expired and unknown refresh tokens are refused', () => {
+        const { refreshToken } = issueTokens(user());
+        db.prepare("UPDATE refresh_tokens SET expires_at = '2000-01-01T00:00:00.000Z' WHERE revoked_at IS NULL").run();
+        expect(() => rotateRefreshToken(refreshToken)).toThrow('Refresh token has expired');
+        expect(() => rotateRefreshToken('not-a-token')).toThrow('Invalid refresh token');
+    });
+
+    test('expired tokens still linked to the tokens that replaced them are purged at the next login', () => {
+        const { refreshToken } = issueTokens(user());
+        rotateRefreshToken(rotateRefreshToken(refreshToken).refreshToken);
+        db.prepare("UPDATE refresh_tokens SET expires_at = '2000-01-01T00:00:00.000Z'").run();
+        expect(() => issueTokens(user())).not.toThrow();
+        expect(db.prepare("SELECT COUNT(*) as count FROM refresh_tokens WHERE expires_at < '2001'").get().count).toBe(0);
+    });
+
+    test('logout ends the session and is harmless when repeated', () => {
+        const { refreshToken } = issueTokens(user());
+        expect(revokeRefreshToken(refreshToken)).toBe(true);
+        expect(revokeRefreshToken('not-a-token')).toBe(false);
+        expect(() => rotateRefreshToken(refreshToken)).toThrow(expect.objectContaining({ statusCode: 401 }));
+    });
+
+    test('revoking all sessions bumps the token version and ends every refresh token', () => {
+        const before = user();
+        const { refreshToken } = issueTokens(before);
+        const after = revokeAllSessions(before.id);
+        expect(after.token_version).toBe(before.token_version + 1);
+        expect(() => rotateRefreshToken(refreshToken)).toThrow(expect.objectContaining({ statusCode: 401 }));
+    });
+});
@@ -0,0 +1,54 @@
+const { setupDatabase, rolledBack } = require('./helpers');
+
+const db = setupDatabase();
+const { createBackorder, fillBackorders, getBackorder } = require('../src/utils/backorders');
+const { setStock } = require('../src/utils/inventory');
+
+// Product 13 is seeded with 40 units, all in Warehouse B
+const PRODUCT = 13;
+const WAREHOUSE_B = 2;
+
+const customer = db.prepare("SELECT * FROM users WHERE email = 'user@supply-chain.com'").get();
+
+const count = (quantity) => setStock(PRODUCT, WAREHOUSE_B, quantity, { type: 'adjustment', reason: 'Counted' });
+const backorder = (quantity) => {
+    const orderId = db.prepare("INSERT INTO orders (user_id, total_amount, status, shipping_address) VALUES (?, ?, 'pending', '1 Test Street')")
+        .run(customer.id, quantity * 10).lastInsertRowid;
+    return createBackorder(orderId, { productId: PRODUCT, quantity, price: 10 });
+};
+const stockInB = () =>
+    db.prepare('SELECT quantity FROM stock_locations WHERE product_id = ? AND warehouse_id = ?').get(PRODUCT, WAREHOUSE_B).quantity;
+
+describe('filling backorders', () => {
+    test('allocates received stock to the oldest backorder and ships it from where the stock is', () => rolledBack(() => {
+        count(0);
+        const first = backorder(5);
+        const second = backorder(10);
+
+        count(8);
+        const filled = fillBackorders(PRODUCT);
+        expect(filled.map(entry => entry.backorder.id)).toEqual([first]);
+        expect(filled[0].shipments.map(shipment => [shipment.status, shipment.warehouse_id])).toEqual([['pending', WAREHOUSE_B]]);
+        expect(getBackorder(first).status).toBe('allocated');
+        expect(getBackorder(second).status).toBe('waiting');
+        expect(stockInB()).toBe(3);
+
+        const line = db.prepare('SELECT oi.quantity, oi.warehouse_id FROM order_items oi JOIN backorders b ON b.order_item_id = oi.id WHERE b.id = ?').get(first);
+        expect(line).toEqual({ quantity: 5, warehouse_id: WAREHOUSE_B });
+    }));
+
+    test('never lets a smaller backorder jump the queue', () => rolledBack(() => {
+        count(0);
+        const first = backorder(10);
+        const second = backorder(2);
+
+        count(5);
+        expect(fillBackorders(PRODUCT)).toEqual([]);
+        expect(getBackorder(second).status).toBe('waiting');
+        expect(stockInB()).toBe(5);
+
+        count(12);
+        expect(fillBackorders(PRODUCT).map(entry => entry.backorder.id)).toEqual([first, second]);
+        expect(stockInB()).toBe(0);
+    }));
+});
@@ -0,0 +1,55 @@
+const { setupDatabase, serveRouter } = require('./helpers');
+
+const db = setupDatabase();
+const userRoutes = require('../src/routes/user');
+
+const customer = db.prepare("SELECT * FROM users WHERE email = 'user@supply-chain.com'").get();
+let api;
+let orderId;
+
+beforeAll(async () => {
+    api = await serveRouter('/api/user', userRoutes, customer);
+    const product = db.prepare('SELECT id, price FROM products ORDER BY id LIMIT 1').get();
+    orderId = db.prepare(`
+        INSERT INTO orders (user_id, total_amount, status, shipping_address)
+        VALUES (?, ?, 'processing', '1 Test Street, Testville')
+    `).run(customer.id, product.price * 2).lastInsertRowid;
+    db.prepare(`
+        INSERT INTO order_items (order_id, product_id, quantity, price, unit_cost, cogs)
+        VALUES (?, ?, 2, ?, 4.25, 8.5)
+    `).run(orderId, product.id, product.price);
+});
+
+afterAll(() => api.close());
+
+describe('customer order responses', () => {
+    test('the order list leaves out the cost of goods', async () => {
+        const { status, body } = await api.request('GET', '/orders');
+        expect(status).toBe(200);
+        const [item] = body.orders.find(order => order.id === orderId).items;
+        expect(item).toEqual(expect.objectContaining({ quantity: 2, product_name: expect.any(String) }));
+        expect(item).not.toHaveProperty('unit_cost');
+        expect(item).not.toHaveProperty('cogs');
+    });
+
+    test('a single order leaves out the cost of goods', async () => {
+        const { status, body } = await api.request('GET', `/orders/${orderId}`);
+        expect(status).toBe(200);
+        const [item] = body.order.items;
+        expect(item).toEqual(expect.objectContaining({ quantity: 2, returnable_quantity: 0 }));
+        expect(item).not.toHaveProperty('unit_cost');
+        expect(item).not.toHaveProperty('cogs');
+    });
+});
+
+describe('placing an order', () => {
+    test('refuses the same product on two lines', async () => {
+        const { status, body } = await api.request('POST', '/orders', {
+            items: [{ productId: 2, quantity: 150 }, { productId: 2, quantity: 150 }],
+            shippingAddress: '1 Test Street, Testville'
+        });
+        expect(status).toBe(400);
+        expect(body.details).toEqual(['"items[1]" contains a duplicate value']);
+        expect(db.prepare('SELECT stock_quantity FROM products WHERE id = 2').get().stock_quantity).toBe(250);
+    });
+});
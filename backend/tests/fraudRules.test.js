@@ -0,0 +1,124 @@
+const { setupDatabase, rolledBack, serveRouter } = require('./helpers');
+
+const db = setupDatabase();
+const { getActiveRuleSet, getRuleSet, scoreOrder, detectFraudRisk } = require('../src/utils/fraudDetection');
+const { createDraftRuleSet, updateDraftRuleSet, activateRuleSet, dryRunRuleSet } = require('../src/utils/fraudRules');
+
+const admin = db.prepare("SELECT * FROM users WHERE email = 'admin@supply-chain.com'").get();
+const customer = db.prepare("SELECT * FROM users WHERE email = 'user@supply-chain.com'").get();
+
+// Any order matches it, so adding it to a draft changes every score by its weight
+const EVERY_ORDER = { code: 'every_order', name: 'Every order', condition_type: 'order_total_above', params: { amount: 0 }, weight: 15, enabled: true };
+
+const draftWith = (changes) => {
+    const draft = createDraftRuleSet({ notes: 'Test draft' }, admin.id);
+    return updateDraftRuleSet(draft.id, {
+        medium_threshold: draft.medium_threshold,
+        high_threshold: draft.high_threshold,
+        hold_threshold: draft.hold_threshold,
+        rules: draft.rules,
+        ...changes
+    });
+};
+
+describe('scoring', () => {
+    const ruleSet = {
+        medium_threshold: 40,
+        high_threshold: 70,
+        hold_threshold: null,
+        rules: [
+            { code: 'high_order_value', condition_type: 'order_total_above', params: { amount: 1000 }, weight: 40, enabled: 1 },
+            { code: 'bulk_high_value_item', condition_type: 'bulk_high_value_item', params: { unit_price: 300, quantity: 3 }, weight: 30, enabled: 1 },
+            { code: 'large_first_order', condition_type: 'first_order_total_above', params: { amount: 500 }, weight: 50, enabled: 0 }
+        ]
+    };
+    const context = {
+        total_amount: 5199.96,
+        items: [{ productId: 1, name: 'Quantum Laptop', price: 1299.99, quantity: 4 }],
+        history: { total_orders: 0, shipping_addresses: [] }
+    };
+
+    test('adds the weight of every enabled rule that matches', () => {
+        const result = scoreOrder(context, ruleSet);
+        expect(result.fraud_score).toBe(70);
+        expect(result.fraud_risk).toBe('high');
+        expect(result.matched_rules).toEqual(['high_order_value', 'bulk_high_value_item']);
+        expect(result.fraud_reasons).toEqual(['High order value ($5199.96) (+40)', 'Bulk order of high-value item: Quantum Laptop (+30)']);
+    });
+
+    test('holds from the high threshold unless the set has its own hold threshold', () => {
+        expect(scoreOrder(context, ruleSet).hold).toBe(true);
+        expect(scoreOrder(context, { ...ruleSet, hold_threshold: 80 }).hold).toBe(false);
+        expect(scoreOrder({ ...context, total_amount: 900 }, ruleSet)).toMatchObject({ fraud_score: 30, fraud_risk: 'low', hold: false });
+    });
+});
+
+describe('rule set versions', () => {
+    test('a draft copies the active set under the next version', () => rolledBack(() => {
+        const active = getActiveRuleSet();
+        const draft = createDraftRuleSet({}, admin.id);
+        expect(draft).toMatchObject({ version: active.version + 1, status: 'draft', based_on_id: active.id });
+        expect(draft.rules.map(rule => [rule.code, rule.weight])).toEqual(active.rules.map(rule => [rule.code, rule.weight]));
+        expect(getActiveRuleSet().id).toBe(active.id);
+    }));
+
+    test('only drafts are edited', () => rolledBack(() => {
+        const active = getActiveRuleSet();
+        expect(() => updateDraftRuleSet(active.id, active)).toThrow(`Cannot edit version ${active.version}: it is active. Copy it to a new draft instead.`);
+        expect(() => draftWith({ rules: [{ ...EVERY_ORDER, condition_type: 'moon_phase' }] })).toThrow("Rule every_order: unknown condition 'moon_phase'.");
+        expect(() => draftWith({ medium_threshold: 70, high_threshold: 70 })).toThrow('high_threshold must be above medium_threshold.');
+    }));
+
+    test('activating a draft retires the set that was active', () => rolledBack(() => {
+        const previous = getActiveRuleSet();
+        const draft = draftWith({ rules: [EVERY_ORDER] });
+        activateRuleSet(draft.id, admin.id);
+
+        expect(getRuleSet(previous.id).status).toBe('retired');
+        expect(getActiveRuleSet().id).toBe(draft.id);
+        const result = detectFraudRisk({ userId: customer.id, totalAmount: 25, shippingAddress: 'Anywhere', items: [] });
+        expect(result.rule_set_id).toBe(draft.id);
+        expect(result.fraud_reasons).toEqual(['High order value ($25.00) (+15)']);
+        expect(() => updateDraftRuleSet(previous.id, previous)).toThrow('it is retired');
+    }));
+});
+
+describe('orders scored by an earlier version', () => {
+    let api;
+    let order;
+
+    beforeAll(async () => {
+        const userRoutes = require('../src/routes/user');
+        api = await serveRouter('/api/user', userRoutes, customer);
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+        const { status, body } = await api.request('POST', '/orders', {
+            items: [{ productId: 2, quantity: 1 }],
+            shippingAddress: '1 Test Street'
+        });
+        log.mockRestore();
+        expect(status).toBe(201);
+        order = db.prepare('SELECT * FROM orders WHERE id = ?').get(body.orderId);
+    });
+
+    afterAll(() => api.close());
+
+    test('record the set that scored them', () => {
+        expect(order.fraud_rule_set_id).toBe(getActiveRuleSet().id);
+    });
+
+    test('keep their score when a new version is activated', () => rolledBack(() => {
+        const draft = draftWith({ rules: [...getActiveRuleSet().rules, EVERY_ORDER] });
+        activateRuleSet(draft.id, admin.id);
+        expect(db.prepare('SELECT fraud_score, fraud_risk, fraud_rule_set_id FROM orders WHERE id = ?').get(order.id)).toEqual({
+            fraud_score: order.fraud_score, fraud_risk: order.fraud_risk, fraud_rule_set_id: order.fraud_rule_set_id
+        });
+    }));
+
+    test('are rescored by a dry run without saving anything', () => rolledBack(() => {
+        const draft = draftWith({ rules: [...getActiveRuleSet().rules, EVERY_ORDER] });
+        const result = dryRunRuleSet({ ruleSetId: draft.id });
+        expect(result.orders_scored).toBe(1);
+        expect(result.rule_hits.every_order).toBe(1);
+        expect(db.prepare('SELECT fraud_score FROM orders WHERE id = ?').get(order.id).fraud_score).toBe(order.fraud_score);
+    }));
+});
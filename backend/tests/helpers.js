@@ -0,0 +1,108 @@
+// Shared by the tests: a seeded database, the mail the file transport wrote and routers served over HTTP
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+/**
+ * Creates the schema and sample data in the test database, with the console quiet.
+ * @returns {object} The database handle.
+ */
+function setupDatabase() {
+    const { db, initializeDatabase } = require('../src/config/database');
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    initializeDatabase();
+    log.mockRestore();
+    return db;
+}
+
+const ROLLBACK = new Error('rollback');
+
+/**
+ * Runs a test body in a transaction that is rolled back, so every test starts from the seeded data.
+ * @param {Function} fn - The test body; synchronous, like the database calls it makes.
+ */
+function rolledBack(fn) {
+    const { db } = require('../src/config/database');
+    try {
+        db.transaction(() => {
+            fn();
+            throw ROLLBACK;
+        })();
+    } catch (error) {
+        if (error !== ROLLBACK) throw error;
+    }
+}
+
+/**
+ * The messages the file transport wrote to a recipient, oldest first.
+ * @param {string} to - The recipient.
+ * @returns {Array<object>} The messages.
+ */
+function readMail(to) {
+    const dir = process.env.MAIL_OUTBOX_DIR;
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir).sort()
+        .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')))
+        .filter(message => message.to === to);
+}
+
+/**
+ * The token in a mailed link.
+ * @param {object} message - A message from readMail.
+ * @returns {string} The token.
+ */
+function linkToken(message) {
+    return decodeURIComponent(message.text.match(/token=(\S+)/)[1]);
+}
+
+/**
+ * Serves a router on a free local port, with a stand-in for socket.io that records what was emitted.
+ * @param {string} mountPath - Where the router is mounted, e.g. '/api/user'.
+ * @param {object} router - The express router.
+ * @param {object} [user] - The user (a users row) the requests are signed in as; anonymous when omitted.
+ * @returns {Promise<object>} { request(method, path, body), events, close() }.
+ */
+async function serveRouter(mountPath, router, user) {
+    const { issueTokens } = require('../src/utils/authTokens');
+    const events = [];
+    const io = {
+        emit: (event, payload) => events.push({ room: null, event, payload }),
+        to: room => ({ emit: (event, payload) => events.push({ room, event, payload }) })
+    };
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.io = io;
+        next();
+    });
+    app.use(mountPath, router);
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const base = `http://127.0.0.1:${server.address().port}${mountPath}`;
+    const headers = { 'Content-Type': 'application/json' };
+    if (user) {
+        headers.Authorization = `Bearer ${issueTokens(user).token}`;
+    }
+
+    const request = async (method, urlPath, body) => {
+        const response = await fetch(base + urlPath, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    return { request, events, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+module.exports = {
+    setupDatabase,
+    rolledBack,
+    readMail,
+    linkToken,
+    serveRouter
+};
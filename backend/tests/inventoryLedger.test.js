@@ -0,0 +1,92 @@
+const { setupDatabase, rolledBack } = require('./helpers');
+
+const db = setupDatabase();
+const { changeStock } = require('../src/utils/inventory');
+const { checkLedgerIntegrity, rebuildFromLedger } = require('../src/utils/inventoryLedger');
+
+// The seeded mice: 250 on hand in Warehouse A
+const MOUSE = 2;
+const WAREHOUSE_A = 1;
+const WAREHOUSE_B = 2;
+
+const check = () => checkLedgerIntegrity({ productIds: [MOUSE] }).products[0];
+const stockIn = (warehouseId) =>
+    db.prepare('SELECT quantity FROM stock_locations WHERE product_id = ? AND warehouse_id = ?').get(MOUSE, warehouseId).quantity;
+const total = () => db.prepare('SELECT stock_quantity FROM products WHERE id = ?').get(MOUSE).stock_quantity;
+const writeLedgerRow = (quantity, warehouseId) => {
+    const previous = db.prepare('SELECT new_quantity FROM inventory_transactions WHERE product_id = ? ORDER BY id DESC LIMIT 1').get(MOUSE).new_quantity;
+    db.prepare(`
+        INSERT INTO inventory_transactions (product_id, type, quantity, previous_quantity, new_quantity, warehouse_id)
+        VALUES (?, 'adjustment', ?, ?, ?, ?)
+    `).run(MOUSE, quantity, previous, previous + quantity, warehouseId);
+};
+
+describe('ledger replay', () => {
+    test('the seeded stock reconciles with its opening balances', () => {
+        const report = checkLedgerIntegrity();
+        expect(report.summary).toEqual(expect.objectContaining({ mismatched: 0, chain_breaks: 0 }));
+    });
+
+    test('stock moved through changeStock keeps reconciling, per warehouse', () => rolledBack(() => {
+        changeStock(MOUSE, WAREHOUSE_A, -30, { type: 'sale', reason: 'Order #1' });
+        changeStock(MOUSE, WAREHOUSE_B, 40, { type: 'purchase', unitCost: 12 });
+        const product = check();
+        expect(product).toEqual(expect.objectContaining({ mismatched: false, ledger_quantity: 260, chain_breaks: 0 }));
+        expect(product.warehouses.map(w => [w.warehouse_id, w.ledger_quantity])).toEqual([[WAREHOUSE_A, 220], [WAREHOUSE_B, 40]]);
+    }));
+
+    test('stock changed off the ledger is reported with the warehouse it drifted in', () => rolledBack(() => {
+        db.prepare('UPDATE stock_locations SET quantity = 240 WHERE product_id = ? AND warehouse_id = ?').run(MOUSE, WAREHOUSE_A);
+        const product = check();
+        expect(product.mismatched).toBe(true);
+        expect(product.warehouses).toEqual([expect.objectContaining({ warehouse_id: WAREHOUSE_A, stock_quantity: 240, ledger_quantity: 250, difference: -10 })]);
+    }));
+
+    test('rows without a warehouse count towards the default warehouse', () => rolledBack(() => {
+        writeLedgerRow(5, null);
+        expect(check().warehouses).toEqual([expect.objectContaining({ warehouse_id: WAREHOUSE_A, ledger_quantity: 255, difference: -5 })]);
+    }));
+});
+
+describe('ledger rebuild', () => {
+    test('puts a drifted warehouse back to its ledger quantity', () => rolledBack(() => {
+        db.prepare('UPDATE stock_locations SET quantity = 240 WHERE product_id = ? AND warehouse_id = ?').run(MOUSE, WAREHOUSE_A);
+        db.prepare('UPDATE products SET stock_quantity = 240 WHERE id = ?').run(MOUSE);
+        expect(rebuildFromLedger({ productIds: [MOUSE] })).toEqual({
+            rebuilt: [{ product_id: MOUSE, sku: 'ELEC-MS-01', previous_quantity: 240, new_quantity: 250 }],
+            skipped: []
+        });
+        expect(stockIn(WAREHOUSE_A)).toBe(250);
+        expect(total()).toBe(250);
+        expect(check().mismatched).toBe(false);
+    }));
+
+    test('resynchronises a product total that drifted while every warehouse matches', () => rolledBack(() => {
+        db.prepare('UPDATE products SET stock_quantity = 999 WHERE id = ?').run(MOUSE);
+        const { rebuilt } = rebuildFromLedger({ productIds: [MOUSE] });
+        expect(rebuilt).toEqual([expect.objectContaining({ previous_quantity: 999, new_quantity: 250 })]);
+        expect(total()).toBe(250);
+    }));
+
+    test('skips a ledger that replays below zero', () => rolledBack(() => {
+        writeLedgerRow(-300, WAREHOUSE_B);
+        const { rebuilt, skipped } = rebuildFromLedger({ productIds: [MOUSE] });
+        expect(rebuilt).toEqual([]);
+        expect(skipped).toEqual([expect.objectContaining({ product_id: MOUSE, reason: 'The ledger replays to -300 in Warehouse B.' })]);
+    }));
+
+    test('skips units that belong to no warehouse instead of guessing one', () => rolledBack(() => {
+        writeLedgerRow(5, null);
+        db.prepare("UPDATE products SET location = 'Nowhere' WHERE id = ?").run(MOUSE);
+        db.prepare('UPDATE warehouses SET is_active = 0').run();
+
+        const product = check();
+        expect(product.unassigned_quantity).toBe(5);
+        expect(product.warehouses.map(w => w.warehouse_id)).toEqual([WAREHOUSE_A]);
+
+        const { rebuilt, skipped } = rebuildFromLedger({ productIds: [MOUSE] });
+        expect(rebuilt).toEqual([]);
+        expect(skipped).toEqual([expect.objectContaining({ product_id: MOUSE, reason: expect.stringContaining('5 units in the ledger have no warehouse') })]);
+        expect(stockIn(WAREHOUSE_A)).toBe(250);
+    }));
+});
@@ -0,0 +1,64 @@
+const { setupDatabase, rolledBack } = require('./helpers');
+
+const db = setupDatabase();
+const { takeLots, getExpiredQuantity } = require('../src/utils/lots');
+const { allocateOrderLines, setStock, getInventorySnapshot } = require('../src/utils/inventory');
+const { getAvailableToPromise } = require('../src/utils/reservations');
+
+// The seeded yoga mats: 200 on hand in Warehouse C, as lots YM-24-0117 (60, expiring in 20 days) and YM-24-0342 (140)
+const YOGA_MAT = 11;
+const WAREHOUSE_C = 3;
+
+const expireLot = (lotNumber, modifier) =>
+    db.prepare("UPDATE lots SET expiry_date = date('now', ?) WHERE lot_number = ?").run(modifier, lotNumber);
+const lotStock = (lotNumber) =>
+    db.prepare('SELECT ls.quantity FROM lot_stock ls JOIN lots l ON ls.lot_id = l.id WHERE l.lot_number = ?').get(lotNumber).quantity;
+
+describe('lot picking', () => {
+    test('ships the shortest expiry first', () => rolledBack(() => {
+        const portions = takeLots(YOGA_MAT, WAREHOUSE_C, 70);
+        expect(portions.map(p => [p.lotNumber, p.quantity])).toEqual([['YM-24-0117', 60], ['YM-24-0342', 10]]);
+        expect(lotStock('YM-24-0117')).toBe(0);
+        expect(lotStock('YM-24-0342')).toBe(130);
+    }));
+
+    test('still ships a lot on its expiry date', () => rolledBack(() => {
+        expireLot('YM-24-0117', '+0 days');
+        expect(getExpiredQuantity(YOGA_MAT)).toBe(0);
+        expect(takeLots(YOGA_MAT, WAREHOUSE_C, 5)[0].lotNumber).toBe('YM-24-0117');
+    }));
+});
+
+describe('expired lots', () => {
+    test('are on hand but not sellable', () => rolledBack(() => {
+        expireLot('YM-24-0117', '-1 day');
+        expect(getExpiredQuantity(YOGA_MAT)).toBe(60);
+        expect(getExpiredQuantity(YOGA_MAT, WAREHOUSE_C)).toBe(60);
+        expect(getAvailableToPromise(YOGA_MAT)).toBe(140);
+
+        const snapshot = getInventorySnapshot(YOGA_MAT);
+        expect(snapshot.stock_quantity).toBe(200);
+        expect(snapshot.expired_quantity).toBe(60);
+        expect(snapshot.available_to_promise).toBe(140);
+    }));
+
+    test('are never allocated or picked for a sale', () => rolledBack(() => {
+        expireLot('YM-24-0117', '-1 day');
+        expect(allocateOrderLines([{ productId: YOGA_MAT, quantity: 140 }])).toEqual([
+            [{ warehouseId: WAREHOUSE_C, warehouseName: 'Warehouse C', quantity: 140 }]
+        ]);
+        expect(() => allocateOrderLines([{ productId: YOGA_MAT, quantity: 141 }])).toThrow('Insufficient stock');
+
+        const portions = takeLots(YOGA_MAT, WAREHOUSE_C, 10);
+        expect(portions.map(p => [p.lotNumber, p.quantity])).toEqual([['YM-24-0342', 10]]);
+        expect(lotStock('YM-24-0117')).toBe(60);
+    }));
+
+    test('are written off first when stock is counted down', () => rolledBack(() => {
+        expireLot('YM-24-0117', '-1 day');
+        setStock(YOGA_MAT, WAREHOUSE_C, 140, { type: 'adjustment', reason: 'Expired mats destroyed', reasonCode: 'expired' });
+        expect(lotStock('YM-24-0117')).toBe(0);
+        expect(lotStock('YM-24-0342')).toBe(140);
+        expect(getAvailableToPromise(YOGA_MAT)).toBe(140);
+    }));
+});
@@ -0,0 +1,44 @@
+const { setupDatabase } = require('./helpers');
+
+const db = setupDatabase();
+const { reserveCartLine, getAvailableToPromise, startReservationSweeper } = require('../src/utils/reservations');
+const { getInventorySnapshot } = require('../src/utils/inventory');
+
+// Seeded stock: 250 mice
+const MOUSE = 2;
+const customer = db.prepare("SELECT id FROM users WHERE email = 'user@supply-chain.com'").get();
+
+afterEach(() => {
+    db.prepare('DELETE FROM stock_reservations').run();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('cart holds', () => {
+    test('count against everyone but the shopper holding them', () => {
+        reserveCartLine(customer.id, MOUSE, 40);
+        expect(getAvailableToPromise(MOUSE)).toBe(210);
+        expect(getAvailableToPromise(MOUSE, customer.id)).toBe(250);
+    });
+
+    test('expired ones are released by the sweeper, which broadcasts the full inventory snapshot', () => {
+        jest.useFakeTimers();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        reserveCartLine(customer.id, MOUSE, 40);
+        db.prepare("UPDATE stock_reservations SET expires_at = '2000-01-01T00:00:00.000Z'").run();
+
+        const events = [];
+        const sweeper = startReservationSweeper({ emit: (event, payload) => events.push({ event, payload }) });
+        jest.advanceTimersByTime(60000);
+        clearInterval(sweeper);
+
+        expect(db.prepare('SELECT COUNT(*) as held FROM stock_reservations').get().held).toBe(0);
+        expect(events.map(e => e.event)).toEqual(['cart_updated', 'inventory_changed']);
+        expect(events[1].payload).toEqual(getInventorySnapshot(MOUSE));
+        expect(events[1].payload).toEqual(expect.objectContaining({
+            available_to_promise: 250,
+            backordered_quantity: 0,
+            stock_locations: [expect.objectContaining({ warehouse_id: 1, quantity: 250 })]
+        }));
+    });
+});
@@ -0,0 +1,130 @@
+const { setupDatabase, rolledBack, serveRouter } = require('./helpers');
+
+const db = setupDatabase();
+const {
+    registerSerials, assignShipmentSerials, dispatchShipment, lookupSerial
+} = require('../src/utils/serials');
+const { createReturnRequest, decideReturnRequest, receiveReturn, inspectReturn } = require('../src/utils/returns');
+const { setStock } = require('../src/utils/inventory');
+const { approveHeldOrder } = require('../src/utils/fraudReviews');
+
+// The seeded laptops are serial-tracked, with 50 units in Warehouse A and none registered yet
+const LAPTOP = 1;
+const WAREHOUSE_A = 1;
+const WAREHOUSE_B = 2;
+
+const admin = db.prepare("SELECT * FROM users WHERE email = 'admin@supply-chain.com'").get();
+const customer = db.prepare("SELECT * FROM users WHERE email = 'user@supply-chain.com'").get();
+
+const serialStatus = (serialNumber) =>
+    db.prepare('SELECT status, warehouse_id FROM serial_numbers WHERE product_id = ? AND serial_number = ?').get(LAPTOP, serialNumber);
+
+describe('serial-tracked orders', () => {
+    let api;
+    let orderId;
+    let shipment;
+    let orderItemId;
+
+    beforeAll(async () => {
+        const userRoutes = require('../src/routes/user');
+        api = await serveRouter('/api/user', userRoutes, customer);
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+        const { status, body } = await api.request('POST', '/orders', {
+            items: [{ productId: LAPTOP, quantity: 2 }],
+            shippingAddress: '1 Test Street'
+        });
+        log.mockRestore();
+        expect(status).toBe(201);
+        orderId = body.orderId;
+        // Two laptops are a large enough order to be held for fraud review
+        approveHeldOrder(orderId, { reviewedBy: admin.id });
+        shipment = db.prepare('SELECT * FROM shipments WHERE order_id = ?').get(orderId);
+        orderItemId = db.prepare('SELECT id FROM order_items WHERE order_id = ?').get(orderId).id;
+    });
+
+    afterAll(() => api.close());
+
+    const pack = (serialNumbers) =>
+        assignShipmentSerials(shipment.id, [{ order_item_id: orderItemId, serial_numbers: serialNumbers }], { assignedBy: admin.id });
+
+    test('pack serials in stock in the warehouse the parcel ships from', () => rolledBack(() => {
+        expect(shipment.warehouse_id).toBe(WAREHOUSE_A);
+        registerSerials(LAPTOP, WAREHOUSE_A, ['LP-001', 'LP-002'], { createdBy: admin.id });
+        pack(['LP-001', 'LP-002']);
+        expect(serialStatus('LP-001').status).toBe('allocated');
+        expect(serialStatus('LP-002').status).toBe('allocated');
+
+        // Scanning the line again releases what was scanned before
+        registerSerials(LAPTOP, WAREHOUSE_A, ['LP-003'], { createdBy: admin.id });
+        pack(['LP-003']);
+        expect(serialStatus('LP-001').status).toBe('in_stock');
+        expect(serialStatus('LP-003').status).toBe('allocated');
+    }));
+
+    test('refuse serials held in another warehouse', () => rolledBack(() => {
+        setStock(LAPTOP, WAREHOUSE_B, 1, { type: 'adjustment', reason: 'Found in Warehouse B' });
+        registerSerials(LAPTOP, WAREHOUSE_B, ['LP-B01'], { createdBy: admin.id });
+        expect(() => pack(['LP-B01'])).toThrow(`Serial number LP-B01 is not in stock in the warehouse shipment ${shipment.tracking_number} ships from.`);
+        expect(serialStatus('LP-B01').status).toBe('in_stock');
+    }));
+
+    test('refuse more serials than the parcel holds', () => rolledBack(() => {
+        registerSerials(LAPTOP, WAREHOUSE_A, ['LP-001', 'LP-002', 'LP-003'], { createdBy: admin.id });
+        expect(() => pack(['LP-001', 'LP-002', 'LP-003'])).toThrow(`only holds 2 unit(s) of ELEC-LP-01`);
+    }));
+
+    test('ship only once every unit is scanned', () => rolledBack(() => {
+        registerSerials(LAPTOP, WAREHOUSE_A, ['LP-001', 'LP-002'], { createdBy: admin.id });
+        pack(['LP-001']);
+        expect(() => dispatchShipment(shipment.id, 'in_transit', { changedBy: admin.id }))
+            .toThrow('1 x ELEC-LP-01 still unscanned');
+        expect(db.prepare('SELECT status FROM shipments WHERE id = ?').get(shipment.id).status).toBe('pending');
+
+        pack(['LP-001', 'LP-002']);
+        dispatchShipment(shipment.id, 'in_transit', { changedBy: admin.id });
+        expect(serialStatus('LP-001').status).toBe('shipped');
+        expect(serialStatus('LP-002').status).toBe('shipped');
+        expect(lookupSerial('LP-001')[0].history.map(event => event.event)).toEqual(['registered', 'allocated', 'released', 'allocated', 'shipped']);
+    }));
+
+    describe('returns', () => {
+        const shipAndReturn = () => {
+            registerSerials(LAPTOP, WAREHOUSE_A, ['LP-001', 'LP-002'], { createdBy: admin.id });
+            pack(['LP-001', 'LP-002']);
+            dispatchShipment(shipment.id, 'in_transit', { changedBy: admin.id });
+            dispatchShipment(shipment.id, 'delivered', { changedBy: admin.id });
+            const returnRequest = createReturnRequest(customer.id, orderId, {
+                reason: 'Not needed', items: [{ orderItemId, quantity: 1 }]
+            });
+            decideReturnRequest(returnRequest.id, true, { decidedBy: admin.id });
+            receiveReturn(returnRequest.id);
+            return db.prepare('SELECT * FROM return_items WHERE return_id = ?').get(returnRequest.id);
+        };
+
+        test('restock the returned serial into the chosen warehouse', () => rolledBack(() => {
+            const item = shipAndReturn();
+            inspectReturn(item.return_id, [
+                { returnItemId: item.id, disposition: 'restock', warehouseId: WAREHOUSE_B, serialNumbers: ['LP-002'] }
+            ], { inspectedBy: admin.id });
+            expect(serialStatus('LP-002')).toEqual({ status: 'in_stock', warehouse_id: WAREHOUSE_B });
+            expect(serialStatus('LP-001').status).toBe('shipped');
+        }));
+
+        test('write off the returned serial', () => rolledBack(() => {
+            const item = shipAndReturn();
+            inspectReturn(item.return_id, [
+                { returnItemId: item.id, disposition: 'write_off', serialNumbers: ['LP-001'] }
+            ], { inspectedBy: admin.id });
+            expect(serialStatus('LP-001').status).toBe('written_off');
+        }));
+
+        test('need the serials when only some units come back', () => rolledBack(() => {
+            const item = shipAndReturn();
+            expect(() => inspectReturn(item.return_id, [{ returnItemId: item.id, disposition: 'restock' }], { inspectedBy: admin.id }))
+                .toThrow('needs the serial numbers of the 1 unit(s) returned');
+            expect(() => inspectReturn(item.return_id, [
+                { returnItemId: item.id, disposition: 'restock', serialNumbers: ['LP-999'] }
+            ], { inspectedBy: admin.id })).toThrow('Serial number LP-999 was not shipped on this order line.');
+        }));
+    });
+});
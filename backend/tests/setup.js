@@ -0,0 +1,8 @@
+// Every test file gets its own in-memory database and a file mail transport it can read back
+const os = require('os');
+const path = require('path');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.DB_PATH = ':memory:';
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_OUTBOX_DIR = path.join(os.tmpdir(), `scm-test-mail-${process.pid}-${Date.now()}`);
@@ -0,0 +1,72 @@
+const { setupDatabase, rolledBack } = require('./helpers');
+
+const db = setupDatabase();
+const { transitionOrder, transitionShipment, getNextStatuses } = require('../src/utils/statusTransitions');
+const { generateTrackingNumber, createOrderShipments } = require('../src/utils/shipments');
+
+const customer = db.prepare("SELECT * FROM users WHERE email = 'user@supply-chain.com'").get();
+
+// An order of a mouse (Warehouse A) and a product 13 (Warehouse B), so it ships as two parcels
+const placeOrder = (status = 'pending') => {
+    const orderId = db.prepare("INSERT INTO orders (user_id, total_amount, status, shipping_address) VALUES (?, 50, ?, '1 Test Street')")
+        .run(customer.id, status).lastInsertRowid;
+    const lines = [[2, 1, 'Warehouse A'], [13, 2, 'Warehouse B']].map(([productId, warehouseId, warehouseName]) => ({
+        orderItemId: db.prepare('INSERT INTO order_items (order_id, product_id, quantity, price, warehouse_id) VALUES (?, ?, 1, 25, ?)')
+            .run(orderId, productId, warehouseId).lastInsertRowid,
+        quantity: 1,
+        warehouseId,
+        warehouseName
+    }));
+    const shipmentIds = createOrderShipments(orderId, lines, { trackingNumber: generateTrackingNumber(), createdBy: null });
+    return { orderId, shipmentIds };
+};
+const statusOf = (table, id) => db.prepare(`SELECT status FROM ${table} WHERE id = ?`).get(id).status;
+
+describe('order status', () => {
+    test('only moves along the state machine', () => rolledBack(() => {
+        const { orderId } = placeOrder();
+        expect(getNextStatuses('order', 'pending')).toEqual(['processing', 'partially_shipped', 'shipped', 'cancelled']);
+        expect(() => transitionOrder(orderId, 'delivered')).toThrow("Cannot change order status from 'pending' to 'delivered'.");
+        expect(() => transitionOrder(orderId, 'lost')).toThrow("Invalid order status 'lost'.");
+        expect(() => transitionOrder(orderId, 'cancelled')).toThrow('Use the cancel operation');
+        expect(statusOf('orders', orderId)).toBe('pending');
+    }));
+
+    test('brings every parcel along', () => rolledBack(() => {
+        const { orderId, shipmentIds } = placeOrder();
+        transitionOrder(orderId, 'processing');
+        const { shipments } = transitionOrder(orderId, 'shipped');
+        expect(shipments.map(shipment => shipment.status)).toEqual(['in_transit', 'in_transit']);
+
+        transitionOrder(orderId, 'delivered');
+        expect(shipmentIds.map(id => statusOf('shipments', id))).toEqual(['delivered', 'delivered']);
+    }));
+
+    test('on hold only leaves through the fraud review', () => rolledBack(() => {
+        const { orderId, shipmentIds } = placeOrder('on_hold');
+        expect(() => transitionOrder(orderId, 'pending')).toThrow('is on hold for fraud review');
+        expect(() => transitionShipment(shipmentIds[0], 'in_transit')).toThrow('its shipments cannot move until it is approved');
+        transitionOrder(orderId, 'pending', { reviewed: true });
+        expect(statusOf('orders', orderId)).toBe('pending');
+    }));
+});
+
+describe('shipment status', () => {
+    test('moves the order to the status all its parcels imply', () => rolledBack(() => {
+        const { orderId, shipmentIds: [first, second] } = placeOrder();
+        expect(transitionShipment(first, 'in_transit').order.status).toBe('partially_shipped');
+        expect(transitionShipment(second, 'in_transit').order.status).toBe('shipped');
+        transitionShipment(first, 'delivered');
+        expect(statusOf('orders', orderId)).toBe('shipped');
+        const { order, orderChanged } = transitionShipment(second, 'delivered');
+        expect(order.status).toBe('delivered');
+        expect(orderChanged).toBe(true);
+    }));
+
+    test('cannot be cancelled or skip back', () => rolledBack(() => {
+        const { shipmentIds: [first] } = placeOrder();
+        expect(() => transitionShipment(first, 'cancelled')).toThrow('Shipments are cancelled by cancelling their order.');
+        transitionShipment(first, 'in_transit');
+        expect(() => transitionShipment(first, 'pending')).toThrow("Cannot change shipment status from 'in_transit' to 'pending'.");
+    }));
+});
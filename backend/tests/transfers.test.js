@@ -0,0 +1,59 @@
+const { setupDatabase, serveRouter } = require('./helpers');
+
+const db = setupDatabase();
+const transferRoutes = require('../src/routes/transfers');
+
+// Seeded stock: 250 mice in Warehouse A
+const MOUSE = 2;
+const WAREHOUSE_A = 1;
+const WAREHOUSE_B = 2;
+
+const setActive = (warehouseId, active) => db.prepare('UPDATE warehouses SET is_active = ? WHERE id = ?').run(active ? 1 : 0, warehouseId);
+const stockIn = (warehouseId) =>
+    db.prepare('SELECT quantity, in_transit_quantity FROM stock_locations WHERE product_id = ? AND warehouse_id = ?').get(MOUSE, warehouseId);
+
+let api;
+
+beforeAll(async () => {
+    api = await serveRouter('/api/admin/transfers', transferRoutes, db.prepare("SELECT * FROM users WHERE role = 'admin'").get());
+});
+
+afterAll(() => api.close());
+
+afterEach(() => setActive(WAREHOUSE_B, true));
+
+const draftTransfer = async (quantity) => {
+    const { status, body } = await api.request('POST', '/', {
+        source_warehouse_id: WAREHOUSE_A, destination_warehouse_id: WAREHOUSE_B, items: [{ productId: MOUSE, quantity }]
+    });
+    expect(status).toBe(201);
+    return body.transfer.id;
+};
+
+describe('transfers into a warehouse deactivated after they were created', () => {
+    test('cannot ship', async () => {
+        const id = await draftTransfer(5);
+        setActive(WAREHOUSE_B, false);
+        const shipped = await api.request('POST', `/${id}/ship`, {});
+        expect(shipped.status).toBe(400);
+        expect(shipped.body.error).toBe('Cannot ship stock to Warehouse B: the warehouse is inactive.');
+        expect(stockIn(WAREHOUSE_A).quantity).toBe(250);
+    });
+
+    test('stay in transit until the warehouse is active again', async () => {
+        const id = await draftTransfer(10);
+        expect((await api.request('POST', `/${id}/ship`, {})).status).toBe(200);
+        setActive(WAREHOUSE_B, false);
+
+        const refused = await api.request('POST', `/${id}/receive`);
+        expect(refused.status).toBe(400);
+        expect(refused.body.error).toBe('Cannot receive stock into Warehouse B: the warehouse is inactive.');
+        expect(stockIn(WAREHOUSE_B)).toEqual({ quantity: 0, in_transit_quantity: 10 });
+
+        setActive(WAREHOUSE_B, true);
+        const received = await api.request('POST', `/${id}/receive`);
+        expect(received.status).toBe(200);
+        expect(received.body.transfer.status).toBe('received');
+        expect(stockIn(WAREHOUSE_B)).toEqual({ quantity: 10, in_transit_quantity: 0 });
+    });
+});
@@ -0,0 +1,154 @@
+const bcrypt = require('bcryptjs');
+const { setupDatabase, serveRouter } = require('./helpers');
+
+const db = setupDatabase();
+const {
+    generateTotp,
+    verifyTotp,
+    startEnrolment,
+    confirmEnrolment,
+    verifySecondFactor,
+    signChallengeToken,
+    verifyChallengeToken,
+    isTwoFactorRequired
+} = require('../src/utils/twoFactor');
+const { issueTokens, verifyAccessToken } = require('../src/utils/authTokens');
+const { authenticateToken } = require('../src/middleware/auth');
+const authRoutes = require('../src/routes/auth');
+
+// RFC 6238 appendix B secret ('12345678901234567890' in base32)
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const NOW = 1700000000000;
+const currentStep = () => Math.floor(Date.now() / 30000);
+
+beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('TOTP codes', () => {
+    test('match the RFC 6238 test vectors', () => {
+        // The RFC lists 8 digits; 6-digit codes are their last six
+        expect(generateTotp(RFC_SECRET, 1)).toBe('287082');
+        expect(generateTotp(RFC_SECRET, Math.floor(1111111109 / 30))).toBe('081804');
+        expect(generateTotp(RFC_SECRET, Math.floor(1234567890 / 30))).toBe('005924');
+    });
+
+    test('are accepted one step either side of now and refused further out', () => {
+        const step = currentStep();
+        expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step))).toBe(step);
+        expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 1))).toBe(step - 1);
+        expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 1))).toBe(step + 1);
+        expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 2))).toBeNull();
+        expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 2))).toBeNull();
+        expect(verifyTotp(RFC_SECRET, 'abcdef')).toBeNull();
+    });
+
+    test('at or before the last accepted step are refused', () => {
+        const step = currentStep();
+        expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step), step)).toBeNull();
+        expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 1), step)).toBeNull();
+        expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 1), step)).toBe(step + 1);
+    });
+});
+
+describe('two-factor sign-in', () => {
+    const admin = () => db.prepare("SELECT * FROM users WHERE role = 'admin'").get();
+    let secret;
+    let backupCodes;
+
+    beforeAll(async () => {
+        ({ secret } = await startEnrolment(admin()));
+        jest.spyOn(Date, 'now').mockReturnValue(NOW);
+        backupCodes = confirmEnrolment(admin().id, generateTotp(secret, currentStep() - 1));
+        jest.restoreAllMocks();
+    });
+
+    test('a code is accepted once and cannot be replayed', () => {
+        const code = generateTotp(secret, currentStep());
+        expect(verifySecondFactor(admin().id, code).method).toBe('totp');
+        expect(() => verifySecondFactor(admin().id, code)).toThrow('Invalid authentication code');
+    });
+
+    test('the enrolment code cannot be replayed', () => {
+        expect(() => verifySecondFactor(admin().id, generateTotp(secret, currentStep() - 1))).toThrow('Invalid authentication code');
+    });
+
+    test('a backup code works once, whatever its case and spacing', () => {
+        expect(backupCodes).toHaveLength(10);
+        const result = verifySecondFactor(admin().id, backupCodes[0].toUpperCase().replace('-', ' '));
+        expect(result).toEqual({ method: 'backup_code', backup_codes_remaining: 9 });
+        expect(() => verifySecondFactor(admin().id, backupCodes[0])).toThrow('Invalid authentication code');
+    });
+});
+
+describe('challenge tokens', () => {
+    const admin = () => db.prepare("SELECT * FROM users WHERE role = 'admin'").get();
+
+    // Runs authenticateToken against a bearer token and reports what it answered
+    const authenticate = (token) => {
+        const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+        const next = jest.fn();
+        authenticateToken({ headers: { authorization: `Bearer ${token}` } }, res, next);
+        return { status: res.status.mock.calls[0]?.[0], next };
+    };
+
+    test('are not accepted as access tokens', () => {
+        const challenge = signChallengeToken(admin(), 'verify');
+        expect(() => verifyAccessToken(challenge)).toThrow('not an access token');
+        const { status, next } = authenticate(challenge);
+        expect(status).toBe(403);
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    test('cannot be replaced by an access token', () => {
+        const access = issueTokens(admin()).token;
+        expect(authenticate(access).next).toHaveBeenCalled();
+        expect(() => verifyChallengeToken(access, 'verify')).toThrow('Your sign-in has expired');
+    });
+});
+
+describe('required roles', () => {
+    let api;
+    let admin;
+
+    beforeAll(async () => {
+        api = await serveRouter('/api/auth', authRoutes);
+        const id = db.prepare("INSERT INTO users (name, email, password, role) VALUES ('New Admin', 'new.admin@supply-chain.com', ?, 'admin')")
+            .run(bcrypt.hashSync('password', 4)).lastInsertRowid;
+        admin = db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+    });
+
+    afterAll(() => api.close());
+
+    beforeEach(() => {
+        // Signing in runs on the real clock
+        jest.restoreAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    test('include admins by default', () => {
+        expect(isTwoFactorRequired({ role: 'admin' })).toBe(true);
+        expect(isTwoFactorRequired({ role: 'user' })).toBe(false);
+    });
+
+    test('an admin who has not enrolled gets no access token until they do', async () => {
+        const login = await api.request('POST', '/login', { email: admin.email, password: 'password' });
+        expect(login.status).toBe(200);
+        expect(login.body).toEqual({ twoFactorSetupRequired: true, challengeToken: expect.any(String) });
+
+        // A session from before the policy cannot be renewed either
+        const refresh = await api.request('POST', '/refresh', { refreshToken: issueTokens(admin).refreshToken });
+        expect(refresh.status).toBe(401);
+        expect(refresh.body).not.toHaveProperty('token');
+
+        const { challengeToken } = login.body;
+        const setup = await api.request('POST', '/2fa/setup', { challengeToken });
+        const enable = await api.request('POST', '/2fa/enable', { challengeToken, code: generateTotp(setup.body.secret, currentStep()) });
+        expect(enable.status).toBe(200);
+        expect(verifyAccessToken(enable.body.token).id).toBe(admin.id);
+    });
+});
@@ -0,0 +1,100 @@
+const { setupDatabase, rolledBack, serveRouter } = require('./helpers');
+
+const db = setupDatabase();
+const { changeStock } = require('../src/utils/inventory');
+const { getInventoryValue, getGrossMargin } = require('../src/utils/valuation');
+const userRoutes = require('../src/routes/user');
+
+const WAREHOUSE_B = 2;
+
+// A product with no stock, bought twice at different prices: 10 units at 10.00, then 10 at 20.00
+const addWidget = (sku, price = 50) => {
+    const productId = db.prepare("INSERT INTO products (name, price, stock_quantity, category, sku, location) VALUES (?, ?, 0, 'Test', ?, 'Warehouse B')")
+        .run(`Widget ${sku}`, price, sku).lastInsertRowid;
+    changeStock(productId, WAREHOUSE_B, 10, { type: 'purchase', unitCost: 10 });
+    changeStock(productId, WAREHOUSE_B, 10, { type: 'purchase', unitCost: 20 });
+    return productId;
+};
+const valueOf = (productId, method) => getInventoryValue({ method }).products.find(product => product.product_id === productId);
+
+describe('stock received at cost', () => {
+    test('keeps FIFO layers and a moving average', () => rolledBack(() => {
+        const widget = addWidget('TST-VAL-01');
+        const layers = db.prepare('SELECT unit_cost, remaining_quantity FROM cost_layers WHERE product_id = ? ORDER BY id').all(widget);
+        expect(layers).toEqual([{ unit_cost: 10, remaining_quantity: 10 }, { unit_cost: 20, remaining_quantity: 10 }]);
+        expect(db.prepare('SELECT average_cost FROM stock_locations WHERE product_id = ?').get(widget).average_cost).toBe(15);
+        expect(valueOf(widget, 'fifo')).toEqual(expect.objectContaining({ quantity: 20, value: 300, unit_cost: 15 }));
+    }));
+
+    test('a unit found later comes in at the current average', () => rolledBack(() => {
+        const widget = addWidget('TST-VAL-02');
+        expect(changeStock(widget, WAREHOUSE_B, 1, { type: 'adjustment', reasonCode: 'found' }).unitCost).toBe(15);
+    }));
+});
+
+describe('stock issued', () => {
+    test('is costed from the oldest layers under FIFO', () => rolledBack(() => {
+        const widget = addWidget('TST-VAL-03');
+        const sale = changeStock(widget, WAREHOUSE_B, -15, { type: 'sale' });
+        expect(sale).toEqual(expect.objectContaining({ cost: 200, unitCost: 13.3333 }));
+        expect(db.prepare('SELECT unit_cost FROM inventory_transactions WHERE product_id = ? ORDER BY id DESC').get(widget).unit_cost).toBe(13.3333);
+
+        // What is left is the newer layer; the moving average does not move when stock leaves
+        expect(valueOf(widget, 'fifo')).toEqual(expect.objectContaining({ quantity: 5, value: 100 }));
+        expect(valueOf(widget, 'weighted_average')).toEqual(expect.objectContaining({ quantity: 5, value: 75 }));
+    }));
+
+    test('is costed at the moving average when the valuation method is weighted average', () => {
+        const previous = process.env.INVENTORY_VALUATION_METHOD;
+        process.env.INVENTORY_VALUATION_METHOD = 'weighted_average';
+        try {
+            jest.isolateModules(() => {
+                // A fresh module registry, so a fresh database that books costs at the average
+                const isolated = require('./helpers').setupDatabase();
+                const inventory = require('../src/utils/inventory');
+                const productId = isolated.prepare("INSERT INTO products (name, price, stock_quantity, category, sku, location) VALUES ('Widget', 50, 0, 'Test', 'TST-VAL-04', 'Warehouse B')")
+                    .run().lastInsertRowid;
+                inventory.changeStock(productId, WAREHOUSE_B, 10, { type: 'purchase', unitCost: 10 });
+                inventory.changeStock(productId, WAREHOUSE_B, 10, { type: 'purchase', unitCost: 20 });
+                expect(inventory.changeStock(productId, WAREHOUSE_B, -15, { type: 'sale' })).toEqual(expect.objectContaining({ cost: 225, unitCost: 15 }));
+            });
+        } finally {
+            if (previous === undefined) {
+                delete process.env.INVENTORY_VALUATION_METHOD;
+            } else {
+                process.env.INVENTORY_VALUATION_METHOD = previous;
+            }
+        }
+    });
+});
+
+describe('cost of goods sold', () => {
+    let api;
+    let widget;
+    let orderId;
+
+    beforeAll(async () => {
+        widget = addWidget('TST-VAL-05', 50);
+        api = await serveRouter('/api/user', userRoutes, db.prepare("SELECT * FROM users WHERE email = 'user@supply-chain.com'").get());
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+        const { status, body } = await api.request('POST', '/orders', {
+            items: [{ productId: widget, quantity: 15 }],
+            shippingAddress: '1 Test Street, Testville'
+        });
+        log.mockRestore();
+        expect(status).toBe(201);
+        orderId = body.orderId;
+    });
+
+    afterAll(() => api.close());
+
+    test('is captured on the order line as the stock leaves', () => {
+        const lines = db.prepare('SELECT quantity, price, unit_cost, cogs FROM order_items WHERE order_id = ?').all(orderId);
+        expect(lines).toEqual([{ quantity: 15, price: 50, unit_cost: 13.3333, cogs: 200 }]);
+    });
+
+    test('is netted against revenue in the gross margin report', () => {
+        const product = getGrossMargin().products.find(row => row.product_id === widget);
+        expect(product).toEqual(expect.objectContaining({ units_sold: 15, revenue: 750, cogs: 200, gross_margin: 550, margin_percent: 73.3 }));
+    });
+});
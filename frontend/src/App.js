@@ -6,15 +6,20 @@ import { SocketProvider } from './contexts/SocketContext';
 import { CartProvider } from './contexts/CartContext';
 import Navbar from './components/Navbar';
 import PrivateRoute from './components/PrivateRoute';
+import EmailVerificationBanner from './components/EmailVerificationBanner';
 
 // User Pages
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import Dashboard from './pages/user/Dashboard';
 import Products from './pages/user/Products';
 import Cart from './pages/user/Cart';
 import Orders from './pages/user/Orders';
 import OrderDetails from './pages/user/OrderDetails';
+import Returns from './pages/user/Returns';
 import Profile from './pages/user/Profile';
 import Feedback from './pages/user/Feedback';
 
@@ -22,6 +27,21 @@ import Feedback from './pages/user/Feedback';
 import AdminDashboard from './pages/admin/AdminDashboard';
 import AdminOrders from './pages/admin/AdminOrders';
 import AdminShipments from './pages/admin/AdminShipments';
+import AdminTransfers from './pages/admin/AdminTransfers';
+import AdminReturns from './pages/admin/AdminReturns';
+import AdminSuppliers from './pages/admin/AdminSuppliers';
+import AdminPurchaseOrders from './pages/admin/AdminPurchaseOrders';
+import AdminReplenishment from './pages/admin/AdminReplenishment';
+import AdminForecast from './pages/admin/AdminForecast';
+import AdminLots from './pages/admin/AdminLots';
+import AdminSerials from './pages/admin/AdminSerials';
+import AdminCycleCounts from './pages/admin/AdminCycleCounts';
+import AdminInventoryLedger from './pages/admin/AdminInventoryLedger';
+import AdminValuation from './pages/admin/AdminValuation';
+import AdminFraudRules from './pages/admin/AdminFraudRules';
+import AdminFraudReview from './pages/admin/AdminFraudReview';
+import AdminFraudLists from './pages/admin/AdminFraudLists';
+import AdminSecurity from './pages/admin/AdminSecurity';
 import AdminProducts from './pages/admin/AdminProducts';
 import AdminUsers from './pages/admin/AdminUsers';
 import AdminFeedback from './pages/admin/AdminFeedback';
@@ -34,10 +54,14 @@ function App() {
           <div className="min-h-screen bg-gray-50">
             <Navbar />
             <main className="pt-16">
+              <EmailVerificationBanner />
               <Routes>
                 {/* Public Routes */}
                 <Route path="/login" element={<Login />} />
                 <Route path="/register" element={<Register />} />
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/reset-password" element={<ResetPassword />} />
+                <Route path="/verify-email" element={<VerifyEmail />} />
 
                 {/* User Routes */}
                 <Route
@@ -80,6 +104,14 @@ function App() {
                     </PrivateRoute>
                   }
                 />
+                <Route
+                  path="/returns"
+                  element={
+                    <PrivateRoute role="user">
+                      <Returns />
+                    </PrivateRoute>
+                  }
+                />
                 <Route
                   path="/profile"
                   element={
@@ -122,6 +154,126 @@ function App() {
                     </PrivateRoute>
                   }
                 />
+                <Route
+                  path="/admin/transfers"
+                  element={
+                    <PrivateRoute role="admin">
+                      <AdminTransfers />
+                    </PrivateRoute>
+                  }
+                />
+                <Route
+                  path="/admin/returns"
+                  element={
+                    <PrivateRoute role="admin">
+                      <AdminReturns />
+                    </PrivateRoute>
+                  }
+                />
+                <Route
+                  path="/admin/suppliers"
+                  element={
+                    <PrivateRoute role="admin">
+                      <AdminSuppliers />
+                    </PrivateRoute>
+                  }
+                />
+                <Route
+                  path="/admin/purchase-orders"
+                  element={
+                    <PrivateRoute role="admin">
+                      <AdminPurchaseOrders />
+                    </PrivateRoute>
+                  }
+                />
+                <Route
+                  path="/admin/replenishment"
+                  element={
+                    <PrivateRoute role="admin">
+                      <AdminReplenishment />
+                    </PrivateRoute>
+                  }
+                />
+                <Route
+                  path="/admin/forecast"
+                  element={
+                    <PrivateRoute role="admin">
+                      <AdminForecast />
+                    </PrivateRoute>
+                  }
+                />
+                <Route
+                  path="/admin/lots"
+                  element={
+                    <PrivateRoute role="admin">
+                      <AdminLots />
+                    </PrivateRoute>
+                  }
+                />
+                <Route
+                  path="/admin/serials"
+                  element={
+                    <PrivateRoute role="admin">
+                      <AdminSerials />
+                    </PrivateRoute>
+                  }
+                />
+                <Route
+                  path="/admin/cycle-counts"
+                  element={
+                    <PrivateRoute role="admin">
+                      <AdminCycleCounts />
+                    </PrivateRoute>
+                  }
+                />
+                <Route
+                  path="/admin/inventory-ledger"
+                  element={
+                    <PrivateRoute role="admin">
+                      <AdminInventoryLedger />
+                    </PrivateRoute>
+                  }
+                />
+                <Route
+                  path="/admin/valuation"
+                  element={
+                    <PrivateRoute role="admin">
+                      <AdminValuation />
+                    </PrivateRoute>
+                  }
+                />
+                <Route
+                  path="/admin/fraud-rules"
+                  element={
+                    <PrivateRoute role="admin">
+                      <AdminFraudRules />
+                    </PrivateRoute>
+                  }
+                />
+                <Route
+                  path="/admin/fraud-review"
+                  element={
+                    <PrivateRoute role="admin">
+                      <AdminFraudReview />
+                    </PrivateRoute>
+                  }
+                />
+                <Route
+                  path="/admin/fraud-lists"
+                  element={
+                    <PrivateRoute role="admin">
+                      <AdminFraudLists />
+                    </PrivateRoute>
+                  }
+                />
+                <Route
+                  path="/admin/security"
+                  element={
+                    <PrivateRoute role="admin">
+                      <AdminSecurity />
+                    </PrivateRoute>
+                  }
+                />
                 <Route
                   path="/admin/products"
                   element={
@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import { MailWarning } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../utils/api';
+
+// Reminds a signed-in user whose email is not verified yet, with a way to get a fresh link
+const EmailVerificationBanner = () => {
+  const { user } = useAuth();
+  const [sending, setSending] = useState(false);
+
+  if (!user || user.email_verified !== false) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const response = await authAPI.resendVerification();
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not send the verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200 px-4 py-2 text-sm text-yellow-800 flex items-center justify-center">
+      <MailWarning className="h-4 w-4 mr-2 flex-shrink-0" />
+      <span>Please verify your email address ({user.email}) using the link we sent you.</span>
+      <button
+        type="button"
+        onClick={handleResend}
+        disabled={sending}
+        className="ml-3 font-medium underline hover:text-yellow-900 disabled:opacity-50"
+      >
+        {sending ? 'Sending...' : 'Resend link'}
+      </button>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
@@ -1,62 +1,128 @@
-// frontend/src/components/FraudAnalysisModal.jsx
-import React, { useMemo } from 'react';
-import { ShieldAlert } from 'lucide-react';
-
-const FraudAnalysisModal = ({ order, onClose }) => {
-
-    // --- CRITICAL FIX: useMemo MUST be called unconditionally at the top level ---
-    const parsedFraudReasons = useMemo(() => {
-        // Now, perform the check for 'order' and 'order.fraud_reasons' INSIDE the useMemo callback.
-        // This ensures useMemo is always called, but its logic adapts based on 'order' presence.
-        if (!order || !order.fraud_reasons) {
-            return []; // If order or fraud_reasons is missing, return empty array
-        }
-
-        if (Array.isArray(order.fraud_reasons)) {
-            return order.fraud_reasons; // Already an array, return as is
-        }
-
-        if (typeof order.fraud_reasons === 'string') {
-            try {
-                const parsed = JSON.parse(order.fraud_reasons);
-                return Array.isArray(parsed) ? parsed : []; // Ensure parsed result is an array
-            } catch (e) {
-                console.error("Error parsing fraud_reasons string in FraudAnalysisModal:", e, order.fraud_reasons);
-                return []; // On error, default to empty array
-            }
-        }
-
-        // If it's anything else (number, boolean, object etc. that's not an array or string)
-        console.warn("Unexpected type for order.fraud_reasons in FraudAnalysisModal:", typeof order.fraud_reasons, order.fraud_reasons);
-        return [];
-    }, [order]); // Dependency should be the 'order' object itself. If order changes, recalculate.
-
-    // --- Now, the conditional return can happen AFTER all hooks are called ---
-    if (!order) {
-        return null; // Only return null if order is truly not provided
-    }
-
-    return React.createElement('div', { className: "fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50" },
-        React.createElement('div', { className: "bg-white rounded-lg shadow-xl p-6 w-full max-w-lg" },
-            React.createElement('div', { className: "flex items-center" },
-                React.createElement(ShieldAlert, { className: "h-8 w-8 text-red-500 mr-3" }),
-                React.createElement('h2', { className: "text-2xl font-bold text-gray-800" }, "Fraud Risk Analysis")
-            ),
-            React.createElement('p', { className: "text-sm text-gray-500 mt-1 mb-4" }, `Order #${order.id}`),
-            React.createElement('div', { className: "bg-gray-50 rounded-lg p-4" },
-                React.createElement('h3', { className: "font-semibold text-lg text-gray-900 mb-2" }, "Risk Factors Detected:"),
-                React.createElement('ul', { className: "list-disc list-inside space-y-1 text-gray-700" },
-                    // Use the safely parsed reasons here
-                    parsedFraudReasons.length > 0
-                        ? parsedFraudReasons.map((reason, index) => React.createElement('li', { key: index }, reason))
-                        : React.createElement('li', null, "No specific risk factors provided.")
-                )
-            ),
-            React.createElement('div', { className: "mt-6 text-right" },
-                React.createElement('button', { onClick: onClose, className: "px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700" }, "Close")
-            )
-        )
-    );
-};
-
+// frontend/src/components/FraudAnalysisModal.jsx
+import React, { useMemo, useState } from 'react';
+import { ShieldAlert, CheckCircle, XCircle, HelpCircle } from 'lucide-react';
+
+const REVIEW_ACTION_LABELS = {
+    hold: 'Held for review',
+    approve: 'Approved',
+    reject: 'Rejected',
+    request_info: 'Information requested'
+};
+
+// With onDecision, an order on hold can be approved, rejected or sent back for more information from here
+// (the review queue); without it the modal only explains the risk (the order list).
+const FraudAnalysisModal = ({ order, onClose, onDecision, deciding = false }) => {
+    const [notes, setNotes] = useState('');
+
+    // --- CRITICAL FIX: useMemo MUST be called unconditionally at the top level ---
+    const parsedFraudReasons = useMemo(() => {
+        // Now, perform the check for 'order' and 'order.fraud_reasons' INSIDE the useMemo callback.
+        // This ensures useMemo is always called, but its logic adapts based on 'order' presence.
+        if (!order || !order.fraud_reasons) {
+            return []; // If order or fraud_reasons is missing, return empty array
+        }
+
+        if (Array.isArray(order.fraud_reasons)) {
+            return order.fraud_reasons; // Already an array, return as is
+        }
+
+        if (typeof order.fraud_reasons === 'string') {
+            try {
+                const parsed = JSON.parse(order.fraud_reasons);
+                return Array.isArray(parsed) ? parsed : []; // Ensure parsed result is an array
+            } catch (e) {
+                console.error("Error parsing fraud_reasons string in FraudAnalysisModal:", e, order.fraud_reasons);
+                return []; // On error, default to empty array
+            }
+        }
+
+        // If it's anything else (number, boolean, object etc. that's not an array or string)
+        console.warn("Unexpected type for order.fraud_reasons in FraudAnalysisModal:", typeof order.fraud_reasons, order.fraud_reasons);
+        return [];
+    }, [order]); // Dependency should be the 'order' object itself. If order changes, recalculate.
+
+    // --- Now, the conditional return can happen AFTER all hooks are called ---
+    if (!order) {
+        return null; // Only return null if order is truly not provided
+    }
+
+    const canDecide = Boolean(onDecision) && order.status === 'on_hold';
+
+    return React.createElement('div', { className: "fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50" },
+        React.createElement('div', { className: `bg-white rounded-lg shadow-xl p-6 w-full ${canDecide ? 'max-w-2xl' : 'max-w-lg'} max-h-screen overflow-y-auto` },
+            React.createElement('div', { className: "flex items-center" },
+                React.createElement(ShieldAlert, { className: "h-8 w-8 text-red-500 mr-3" }),
+                React.createElement('h2', { className: "text-2xl font-bold text-gray-800" }, "Fraud Risk Analysis")
+            ),
+            React.createElement('p', { className: "text-sm text-gray-500 mt-1 mb-4" },
+                `Order #${order.id}`,
+                // Orders scored by the rule engine record the score and the rule set version that produced it
+                order.fraud_rule_set_version ? ` · score ${order.fraud_score} · rule set v${order.fraud_rule_set_version}` : ''
+            ),
+            React.createElement('div', { className: "bg-gray-50 rounded-lg p-4" },
+                React.createElement('h3', { className: "font-semibold text-lg text-gray-900 mb-2" }, "Risk Factors Detected:"),
+                React.createElement('ul', { className: "list-disc list-inside space-y-1 text-gray-700" },
+                    // Use the safely parsed reasons here
+                    parsedFraudReasons.length > 0
+                        ? parsedFraudReasons.map((reason, index) => React.createElement('li', { key: index }, reason))
+                        : React.createElement('li', null, "No specific risk factors provided.")
+                )
+            ),
+            order.items && order.items.length > 0 && React.createElement('div', { className: "mt-4" },
+                React.createElement('h3', { className: "font-semibold text-gray-900 mb-1" }, "Order"),
+                React.createElement('p', { className: "text-sm text-gray-600" },
+                    `${order.user_name} (${order.user_email}) · ${order.previous_order_count} earlier order(s) · ships to ${order.shipping_address || 'no address'}`
+                ),
+                React.createElement('ul', { className: "mt-1 text-sm text-gray-700" },
+                    order.items.map(item => React.createElement('li', { key: `${item.product_id}-${item.price}` },
+                        `${item.quantity} × ${item.product_name} (${item.sku}) @ $${parseFloat(item.price).toFixed(2)}`
+                    ))
+                ),
+                React.createElement('p', { className: "text-sm font-semibold text-gray-900 mt-1" }, `Total $${parseFloat(order.total_amount).toFixed(2)}`)
+            ),
+            order.reviews && order.reviews.length > 0 && React.createElement('div', { className: "mt-4" },
+                React.createElement('h3', { className: "font-semibold text-gray-900 mb-1" }, "Review Trail"),
+                React.createElement('ul', { className: "space-y-1 text-sm" },
+                    order.reviews.map(review => React.createElement('li', { key: review.id, className: "text-gray-700" },
+                        React.createElement('span', { className: "font-medium" }, REVIEW_ACTION_LABELS[review.action] || review.action),
+                        ` · ${review.reviewed_by_name || 'automatic'} · ${new Date(review.created_at).toLocaleString()}`,
+                        review.notes && React.createElement('div', { className: "text-gray-500 ml-2" }, review.notes)
+                    ))
+                )
+            ),
+            canDecide && React.createElement('div', { className: "mt-4" },
+                React.createElement('label', { htmlFor: "reviewNotes", className: "block text-sm font-medium text-gray-700" }, "Reviewer notes"),
+                React.createElement('textarea', {
+                    id: "reviewNotes",
+                    rows: 3,
+                    value: notes,
+                    onChange: (e) => setNotes(e.target.value),
+                    placeholder: "What you checked, or what the customer needs to provide",
+                    className: "mt-1 w-full rounded-md border-gray-300 shadow-sm text-sm focus:border-indigo-500 focus:ring-indigo-500"
+                })
+            ),
+            React.createElement('div', { className: "mt-6 flex justify-end space-x-2" },
+                canDecide && React.createElement('button', {
+                    onClick: () => onDecision(order, 'approve', notes.trim()),
+                    disabled: deciding,
+                    className: "inline-flex items-center px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+                }, React.createElement(CheckCircle, { className: "h-4 w-4 mr-1" }), "Approve"),
+                canDecide && React.createElement('button', {
+                    onClick: () => onDecision(order, 'request_info', notes.trim()),
+                    // The note says what is needed
+                    disabled: deciding || !notes.trim(),
+                    title: notes.trim() ? '' : 'Add a note saying what is needed',
+                    className: "inline-flex items-center px-4 py-2 bg-yellow-500 text-white rounded-md hover:bg-yellow-600 disabled:opacity-50"
+                }, React.createElement(HelpCircle, { className: "h-4 w-4 mr-1" }), "Request Info"),
+                canDecide && React.createElement('button', {
+                    onClick: () => onDecision(order, 'reject', notes.trim()),
+                    disabled: deciding,
+                    className: "inline-flex items-center px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+                }, React.createElement(XCircle, { className: "h-4 w-4 mr-1" }), "Reject"),
+                React.createElement('button', { onClick: onClose, className: "px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700" }, "Close")
+            )
+        )
+    );
+};
+
 export default FraudAnalysisModal;
\ No newline at end of file
@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
-import { Menu, X, ShoppingCart, Bell, User, LogOut, Package, BarChart3, Users, Settings } from 'lucide-react';
+import { Menu, X, ShoppingCart, Bell, User, LogOut, Package, BarChart3, Users, Settings, ScanLine, ClipboardCheck, BookOpen, DollarSign, ShieldAlert, ShieldCheck, Ban, KeyRound } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useCart } from '../contexts/CartContext';
 import { useSocket } from '../contexts/SocketContext';
@@ -103,6 +103,104 @@ const Navbar = () => {
                   <Package className="h-4 w-4" />
                   <span>Shipments</span>
                 </Link>
+                <Link
+                  to="/admin/transfers"
+                  className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium flex items-center space-x-1"
+                >
+                  <Package className="h-4 w-4" />
+                  <span>Transfers</span>
+                </Link>
+                <Link
+                  to="/admin/returns"
+                  className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium flex items-center space-x-1"
+                >
+                  <Package className="h-4 w-4" />
+                  <span>Returns</span>
+                </Link>
+                <Link
+                  to="/admin/suppliers"
+                  className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium flex items-center space-x-1"
+                >
+                  <Package className="h-4 w-4" />
+                  <span>Suppliers</span>
+                </Link>
+                <Link
+                  to="/admin/purchase-orders"
+                  className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium flex items-center space-x-1"
+                >
+                  <Package className="h-4 w-4" />
+                  <span>Purchasing</span>
+                </Link>
+                <Link
+                  to="/admin/replenishment"
+                  className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium flex items-center space-x-1"
+                >
+                  <Package className="h-4 w-4" />
+                  <span>Reorder</span>
+                </Link>
+                <Link
+                  to="/admin/forecast"
+                  className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium flex items-center space-x-1"
+                >
+                  <BarChart3 className="h-4 w-4" />
+                  <span>Forecast</span>
+                </Link>
+                <Link
+                  to="/admin/lots"
+                  className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium flex items-center space-x-1"
+                >
+                  <Package className="h-4 w-4" />
+                  <span>Lots</span>
+                </Link>
+                <Link
+                  to="/admin/serials"
+                  className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium flex items-center space-x-1"
+                >
+                  <ScanLine className="h-4 w-4" />
+                  <span>Serials</span>
+                </Link>
+                <Link
+                  to="/admin/cycle-counts"
+                  className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium flex items-center space-x-1"
+                >
+                  <ClipboardCheck className="h-4 w-4" />
+                  <span>Cycle Counts</span>
+                </Link>
+                <Link
+                  to="/admin/inventory-ledger"
+                  className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium flex items-center space-x-1"
+                >
+                  <BookOpen className="h-4 w-4" />
+                  <span>Ledger</span>
+                </Link>
+                <Link
+                  to="/admin/valuation"
+                  className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium flex items-center space-x-1"
+                >
+                  <DollarSign className="h-4 w-4" />
+                  <span>Valuation</span>
+                </Link>
+                <Link
+                  to="/admin/fraud-rules"
+                  className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium flex items-center space-x-1"
+                >
+                  <ShieldAlert className="h-4 w-4" />
+                  <span>Fraud Rules</span>
+                </Link>
+                <Link
+                  to="/admin/fraud-review"
+                  className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium flex items-center space-x-1"
+                >
+                  <ShieldCheck className="h-4 w-4" />
+                  <span>Fraud Review</span>
+                </Link>
+                <Link
+                  to="/admin/fraud-lists"
+                  className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium flex items-center space-x-1"
+                >
+                  <Ban className="h-4 w-4" />
+                  <span>Block Lists</span>
+                </Link>
                 <Link
                   to="/admin/products"
                   className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium flex items-center space-x-1"
@@ -124,6 +222,13 @@ const Navbar = () => {
                   <Users className="h-4 w-4" />
                   <span>Feedback</span>
                 </Link>
+                <Link
+                  to="/admin/security"
+                  className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium flex items-center space-x-1"
+                >
+                  <KeyRound className="h-4 w-4" />
+                  <span>Security</span>
+                </Link>
               </>
             ) : (
               <>
@@ -145,6 +250,12 @@ const Navbar = () => {
                 >
                   Orders
                 </Link>
+                <Link
+                  to="/returns"
+                  className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium"
+                >
+                  Returns
+                </Link>
                 <Link
                   to="/feedback"
                   className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium"
@@ -316,6 +427,104 @@ const Navbar = () => {
                 >
                   Shipments
                 </Link>
+                <Link
+                  to="/admin/transfers"
+                  onClick={() => setIsMenuOpen(false)}
+                  className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-primary-600"
+                >
+                  Transfers
+                </Link>
+                <Link
+                  to="/admin/returns"
+                  onClick={() => setIsMenuOpen(false)}
+                  className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-primary-600"
+                >
+                  Returns
+                </Link>
+                <Link
+                  to="/admin/suppliers"
+                  onClick={() => setIsMenuOpen(false)}
+                  className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-primary-600"
+                >
+                  Suppliers
+                </Link>
+                <Link
+                  to="/admin/purchase-orders"
+                  onClick={() => setIsMenuOpen(false)}
+                  className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-primary-600"
+                >
+                  Purchasing
+                </Link>
+                <Link
+                  to="/admin/replenishment"
+                  onClick={() => setIsMenuOpen(false)}
+                  className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-primary-600"
+                >
+                  Reorder
+                </Link>
+                <Link
+                  to="/admin/forecast"
+                  onClick={() => setIsMenuOpen(false)}
+                  className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-primary-600"
+                >
+                  Forecast
+                </Link>
+                <Link
+                  to="/admin/lots"
+                  onClick={() => setIsMenuOpen(false)}
+                  className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-primary-600"
+                >
+                  Lots
+                </Link>
+                <Link
+                  to="/admin/serials"
+                  onClick={() => setIsMenuOpen(false)}
+                  className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-primary-600"
+                >
+                  Serials
+                </Link>
+                <Link
+                  to="/admin/cycle-counts"
+                  onClick={() => setIsMenuOpen(false)}
+                  className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-primary-600"
+                >
+                  Cycle Counts
+                </Link>
+                <Link
+                  to="/admin/inventory-ledger"
+                  onClick={() => setIsMenuOpen(false)}
+                  className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-primary-600"
+                >
+                  Ledger
+                </Link>
+                <Link
+                  to="/admin/valuation"
+                  onClick={() => setIsMenuOpen(false)}
+                  className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-primary-600"
+                >
+                  Valuation
+                </Link>
+                <Link
+                  to="/admin/fraud-rules"
+                  onClick={() => setIsMenuOpen(false)}
+                  className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-primary-600"
+                >
+                  Fraud Rules
+                </Link>
+                <Link
+                  to="/admin/fraud-review"
+                  onClick={() => setIsMenuOpen(false)}
+                  className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-primary-600"
+                >
+                  Fraud Review
+                </Link>
+                <Link
+                  to="/admin/fraud-lists"
+                  onClick={() => setIsMenuOpen(false)}
+                  className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-primary-600"
+                >
+                  Block Lists
+                </Link>
                 <Link
                   to="/admin/products"
                   onClick={() => setIsMenuOpen(false)}
@@ -330,6 +539,13 @@ const Navbar = () => {
                 >
                   Users
                 </Link>
+                <Link
+                  to="/admin/security"
+                  onClick={() => setIsMenuOpen(false)}
+                  className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-primary-600"
+                >
+                  Security
+                </Link>
               </>
             ) : (
               <>
@@ -354,6 +570,13 @@ const Navbar = () => {
                 >
                   Orders
                 </Link>
+                <Link
+                  to="/returns"
+                  onClick={() => setIsMenuOpen(false)}
+                  className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-primary-600"
+                >
+                  Returns
+                </Link>
                 <Link
                   to="/cart"
                   onClick={() => setIsMenuOpen(false)}
@@ -0,0 +1,18 @@
+import React from 'react';
+
+const RETURN_STATUS_STYLES = {
+  requested: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-blue-100 text-blue-800',
+  rejected: 'bg-red-100 text-red-800',
+  in_transit: 'bg-indigo-100 text-indigo-800',
+  received: 'bg-purple-100 text-purple-800',
+  completed: 'bg-green-100 text-green-800'
+};
+
+const ReturnStatusBadge = ({ status }) => (
+  <span className={`px-2 py-1 rounded-full text-xs font-semibold capitalize ${RETURN_STATUS_STYLES[status] || 'bg-gray-100 text-gray-800'}`}>
+    {status.replace(/_/g, ' ')}
+  </span>
+);
+
+export default ReturnStatusBadge;
@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import { Copy, Smartphone } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { authAPI } from '../utils/api';
+
+// Backup codes, shown once when they are generated
+export const BackupCodes = ({ codes, onDone, doneLabel = "I've saved these codes" }) => {
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      toast.success('Backup codes copied');
+    } catch (error) {
+      toast.error('Could not copy the codes; please write them down');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-700">
+        Each backup code signs you in once if you lose your authenticator app. They will not be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 bg-gray-50 border border-gray-200 rounded-md p-4 font-mono text-sm text-gray-900">
+        {codes.map((code) => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+      <div className="flex justify-between">
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+        >
+          <Copy className="h-4 w-4 mr-1" />
+          Copy
+        </button>
+        <button
+          type="button"
+          onClick={onDone}
+          className="px-4 py-2 rounded-md text-sm font-medium text-white bg-primary-600 hover:bg-primary-700"
+        >
+          {doneLabel}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Enrols an authenticator app: QR code, a confirming code, then the backup codes.
+// With a challengeToken this is the enrolment step of signing in; otherwise it runs in the current session.
+// onEnabled gets the /2fa/enable response (tokens, backup codes and, at sign-in, the user) once the codes are saved.
+const TwoFactorSetup = ({ challengeToken = null, onEnabled, onCancel }) => {
+  const [enrolment, setEnrolment] = useState(null);
+  const [code, setCode] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    // Every setup call replaces the pending secret, so only the latest response may be shown
+    let current = true;
+    authAPI.setupTwoFactor(challengeToken)
+      .then((response) => { if (current) setEnrolment(response.data); })
+      .catch((err) => { if (current) setError(err.response?.data?.error || 'Could not start two-factor setup'); });
+    return () => { current = false; };
+  }, [challengeToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await authAPI.enableTwoFactor(code.trim(), challengeToken);
+      setResult(response.data);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Could not enable two-factor authentication');
+      setCode('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (result) {
+    return <BackupCodes codes={result.backupCodes} onDone={() => onEnabled(result)} />;
+  }
+
+  if (error) {
+    return (
+      <div className="space-y-4">
+        <div className="bg-red-50 border border-red-200 rounded-md p-4 text-sm text-red-800">{error}</div>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="text-sm font-medium text-primary-600 hover:text-primary-500">
+            Back
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  if (!enrolment) {
+    return (
+      <div className="flex justify-center py-6">
+        <div className="loading-spinner h-8 w-8"></div>
+      </div>
+    );
+  }
+
+  return (
+    <form className="space-y-4" onSubmit={handleSubmit}>
+      <p className="text-sm text-gray-700 flex">
+        <Smartphone className="h-5 w-5 mr-2 flex-shrink-0 text-primary-600" />
+        Scan this QR code with an authenticator app (Google Authenticator, 1Password, Authy...), then enter the
+        6-digit code it shows.
+      </p>
+      <div className="flex justify-center">
+        <img src={enrolment.qr_code} alt="Two-factor authentication QR code" className="h-48 w-48" />
+      </div>
+      <p className="text-xs text-center text-gray-500">
+        Can't scan it? Enter this key instead:{' '}
+        <span className="font-mono text-gray-800 break-all">{enrolment.secret}</span>
+      </p>
+      <div>
+        <label htmlFor="totpCode" className="block text-sm font-medium text-gray-700">
+          Authentication code
+        </label>
+        <input
+          id="totpCode"
+          name="code"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          required
+          maxLength={6}
+          className="mt-1 input tracking-widest text-center"
+          placeholder="123456"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+        />
+      </div>
+      <div className="flex justify-between items-center">
+        {onCancel ? (
+          <button type="button" onClick={onCancel} className="text-sm font-medium text-primary-600 hover:text-primary-500">
+            Cancel
+          </button>
+        ) : <span />}
+        <button
+          type="submit"
+          disabled={submitting || !code.trim()}
+          className="px-4 py-2 rounded-md text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+        >
+          {submitting ? 'Verifying...' : 'Enable two-factor authentication'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorSetup;
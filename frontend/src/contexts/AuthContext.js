@@ -1,10 +1,23 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import toast from 'react-hot-toast';
-import { api } from '../utils/api';
+import { api, storeSession, refreshAccessToken } from '../utils/api';
 
 const AuthContext = createContext();
 
+// Refresh this long before the access token expires, so pages calling fetch directly never send an expired one
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Milliseconds until a JWT expires (0 if it cannot be read)
+const msUntilExpiry = (jwt) => {
+  try {
+    const payload = JSON.parse(atob(jwt.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp * 1000 - Date.now();
+  } catch (error) {
+    return 0;
+  }
+};
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -27,6 +40,24 @@ export const AuthProvider = ({ children }) => {
     }
   }, [token]);
 
+  // api.js refreshes the token when a request meets a 401; pick up the new one
+  useEffect(() => {
+    const handleRefreshed = (event) => setToken(event.detail.token);
+    window.addEventListener('auth:token-refreshed', handleRefreshed);
+    return () => window.removeEventListener('auth:token-refreshed', handleRefreshed);
+  }, []);
+
+  // Refresh ahead of expiry; the new token reschedules this
+  useEffect(() => {
+    if (!token) return undefined;
+    const timer = setTimeout(() => {
+      refreshAccessToken().catch(() => {
+        // The next request will find the session gone and send the user to log in
+      });
+    }, Math.max(msUntilExpiry(token) - REFRESH_MARGIN_MS, 0));
+    return () => clearTimeout(timer);
+  }, [token]);
+
   const getCurrentUser = async () => {
     try {
       const response = await api.get('/auth/me');
@@ -39,24 +70,34 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Starts the session once every sign-in step has passed
+  const finishLogin = (data) => {
+    const { token, refreshToken, user } = data;
+
+    storeSession(token, refreshToken);
+    setToken(token);
+    setUser(user);
+
+    toast.success(`Welcome back, ${user.name}!`);
+
+    // Navigate based on user role
+    if (user.role === 'admin') {
+      navigate('/admin/dashboard');
+    } else {
+      navigate('/dashboard');
+    }
+  };
+
   const login = async (credentials) => {
     try {
       const response = await api.post('/auth/login', credentials);
-      const { token, user } = response.data;
 
-      localStorage.setItem('token', token);
-      setToken(token);
-      setUser(user);
-
-      toast.success(`Welcome back, ${user.name}!`);
-
-      // Navigate based on user role
-      if (user.role === 'admin') {
-        navigate('/admin/dashboard');
-      } else {
-        navigate('/dashboard');
+      // The password was right but a second step is needed: a code, or enrolling in two-factor sign-in
+      if (response.data.twoFactorRequired || response.data.twoFactorSetupRequired) {
+        return { success: false, twoFactor: response.data };
       }
 
+      finishLogin(response.data);
       return { success: true };
     } catch (error) {
       const message = error.response?.data?.error || 'Login failed';
@@ -65,16 +106,37 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const loginTwoFactor = async (challengeToken, code) => {
+    try {
+      const response = await api.post('/auth/login/2fa', { challengeToken, code });
+      finishLogin(response.data);
+      if (response.data.backupCodesRemaining <= 2) {
+        toast.error(`Only ${response.data.backupCodesRemaining} backup code(s) left. Generate new ones under Security.`);
+      }
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.error || 'Login failed';
+      toast.error(message);
+      return { success: false, error: message, code: error.response?.data?.code };
+    }
+  };
+
+  // Switches to tokens the server reissued (e.g. after enabling two-factor sign-in signed other sessions out)
+  const replaceTokens = (newToken, newRefreshToken) => {
+    storeSession(newToken, newRefreshToken);
+    setToken(newToken);
+  };
+
   const register = async (userData) => {
     try {
       const response = await api.post('/auth/register', userData);
-      const { token, user } = response.data;
+      const { token, refreshToken, user } = response.data;
 
-      localStorage.setItem('token', token);
+      storeSession(token, refreshToken);
       setToken(token);
       setUser(user);
 
-      toast.success(`Welcome to Supply Chain Management, ${user.name}!`);
+      toast.success(`Welcome to Supply Chain Management, ${user.name}! Check your inbox to verify your email.`);
       navigate('/dashboard');
 
       return { success: true };
@@ -86,7 +148,12 @@ export const AuthProvider = ({ children }) => {
   };
 
   const logout = () => {
-    localStorage.removeItem('token');
+    // End the session on the server too; the local logout does not wait for it
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      api.post('/auth/logout', { refreshToken }).catch((error) => console.error('Logout error:', error));
+    }
+    storeSession(null);
     setToken(null);
     setUser(null);
     toast.success('Logged out successfully');
@@ -108,8 +175,10 @@ export const AuthProvider = ({ children }) => {
 
   const changePassword = async (passwordData) => {
     try {
-      await api.put('/auth/change-password', passwordData);
-      toast.success('Password changed successfully');
+      const response = await api.put('/auth/change-password', passwordData);
+      // Every other session has been signed out; this one carries on with the new tokens
+      replaceTokens(response.data.token, response.data.refreshToken);
+      toast.success(response.data.message);
       return { success: true };
     } catch (error) {
       const message = error.response?.data?.error || 'Password change failed';
@@ -123,10 +192,14 @@ export const AuthProvider = ({ children }) => {
     loading,
     token,
     login,
+    loginTwoFactor,
+    finishLogin,
+    replaceTokens,
     register,
     logout,
     updateProfile,
     changePassword,
+    refreshUser: getCurrentUser,
     isAuthenticated: !!token,
     isAdmin: user?.role === 'admin',
     isUser: user?.role === 'user'
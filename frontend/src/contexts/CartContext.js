@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useCallback, useState, useMemo } from 'react';
 import toast from 'react-hot-toast'; // Correct: Imports the default export 'toast'
 
 import { useAuth } from './AuthContext';
@@ -26,6 +26,10 @@ const calculateTotals = (items) => {
     return { totalItems, totalPrice };
 };
 
+// Most of a product this cart may hold: on hand minus other carts' holds, falling back to on-hand stock.
+// Backorderable products have no limit; what is not in stock is backordered at checkout.
+const getLineLimit = (item) => item.allow_backorder ? Infinity : item.available_to_promise ?? item.stock_quantity;
+
 const cartReducer = (state, action) => {
     switch (action.type) {
         case 'SET_LOADING':
@@ -95,12 +99,16 @@ const cartReducer = (state, action) => {
             };
 
         case 'UPDATE_ITEM_STOCK': {
-            const { productId, newQuantity } = action.payload;
-            const updatedItems = state.items.map(item =>
-                item.productId === productId
-                    ? { ...item, stock_quantity: newQuantity }
-                    : item
-            );
+            const { productId, newQuantity, availableToPromise } = action.payload;
+            const updatedItems = state.items.map(item => {
+                if (item.productId !== productId) return item;
+                const updatedItem = { ...item, stock_quantity: newQuantity };
+                if (availableToPromise !== undefined) {
+                    // The broadcast figure subtracts every hold, including this cart's own
+                    updatedItem.available_to_promise = availableToPromise + (item.reserved_until ? item.quantity : 0);
+                }
+                return updatedItem;
+            });
             return {
                 ...state,
                 items: updatedItems,
@@ -188,8 +196,9 @@ export const CartProvider = ({ children }) => {
             return true;
         }
 
-        if (newQuantity > itemToUpdate.stock_quantity) {
-            toast.error(`Only ${itemToUpdate.stock_quantity} items available in stock for ${itemToUpdate.name}.`);
+        const lineLimit = getLineLimit(itemToUpdate);
+        if (newQuantity > lineLimit) {
+            toast.error(`Only ${lineLimit} items available in stock for ${itemToUpdate.name}.`);
             return false;
         }
 
@@ -217,14 +226,17 @@ export const CartProvider = ({ children }) => {
 
         const existingCartItem = state.items.find(item => item.productId === product.id);
         const currentQuantityInCart = existingCartItem ? existingCartItem.quantity : 0;
+        // Units this cart already holds are part of what it may keep
+        const heldQuantity = existingCartItem && existingCartItem.reserved_until ? currentQuantityInCart : 0;
+        const available = (product.available_to_promise ?? product.stock_quantity) + heldQuantity;
 
-        if (product.stock_quantity === 0) {
+        if (available === 0 && !product.allow_backorder) {
             toast.error(`${product.name} is out of stock.`);
             return false;
         }
 
-        if ((currentQuantityInCart + quantity) > product.stock_quantity) {
-            toast.error(`Cannot add ${quantity} of ${product.name}. Only ${product.stock_quantity - currentQuantityInCart} items available.`);
+        if ((currentQuantityInCart + quantity) > available && !product.allow_backorder) {
+            toast.error(`Cannot add ${quantity} of ${product.name}. Only ${Math.max(0, available - currentQuantityInCart)} items available.`);
             return false;
         }
 
@@ -330,7 +342,11 @@ export const CartProvider = ({ children }) => {
 
             dispatch({
                 type: 'UPDATE_ITEM_STOCK',
-                payload: { productId: updatedProduct.id, newQuantity: updatedProduct.stock_quantity }
+                payload: {
+                    productId: updatedProduct.id,
+                    newQuantity: updatedProduct.stock_quantity,
+                    availableToPromise: updatedProduct.available_to_promise
+                }
             });
 
             const itemInCart = state.items.find(item => item.productId === updatedProduct.id);
@@ -359,6 +375,34 @@ export const CartProvider = ({ children }) => {
         };
     }, [socket, state.items, user, fetchCartFromBackend]);
 
+    // The cart's holds share one TTL; the earliest expiry is the one that matters
+    const reservationExpiresAt = useMemo(() => {
+        const expiries = state.items.map(item => item.reserved_until).filter(Boolean).sort();
+        return expiries.length > 0 ? expiries[0] : null;
+    }, [state.items]);
+
+    const [reservationSecondsLeft, setReservationSecondsLeft] = useState(null);
+
+    useEffect(() => {
+        if (!reservationExpiresAt) {
+            setReservationSecondsLeft(null);
+            return;
+        }
+        const tick = () => {
+            const secondsLeft = Math.max(0, Math.round((new Date(reservationExpiresAt).getTime() - Date.now()) / 1000));
+            setReservationSecondsLeft(secondsLeft);
+            return secondsLeft;
+        };
+        tick();
+        const timer = setInterval(() => {
+            if (tick() === 0) {
+                clearInterval(timer);
+                fetchCartFromBackend(); // The server no longer reports the lapsed holds
+            }
+        }, 1000);
+        return () => clearInterval(timer);
+    }, [reservationExpiresAt, fetchCartFromBackend]);
+
     const getTotalItems = () => state.totalItems;
     const getTotalPrice = () => state.totalPrice;
 
@@ -383,6 +427,9 @@ export const CartProvider = ({ children }) => {
         removeItem,
         clearCart,
         placeOrder,
+        reservationExpiresAt,
+        reservationSecondsLeft,
+        getLineLimit,
         getTotalItems,
         getTotalPrice,
         isItemInCart,
@@ -398,6 +445,8 @@ export const CartProvider = ({ children }) => {
         removeItem,
         clearCart,
         placeOrder,
+        reservationExpiresAt,
+        reservationSecondsLeft,
         // The getters (getTotalItems, getTotalPrice, isItemInCart, getItemQuantity)
         // are simple getters from state, so they don't need to be in the dependency array
         // as long as they are not being passed down as props causing re-renders
@@ -30,7 +30,8 @@ export const SocketProvider = ({ children }) => {
             // const backendUrl = process.env.REACT_APP_BACKEND_URL || 'http://192.168.31.58:5001'; // Use your Pi's IP
             
             const newSocket = io(backendUrl, {
-                auth: { token },
+                // Read on every (re)connect, so reconnects use the latest refreshed token
+                auth: (cb) => cb({ token: localStorage.getItem('token') }),
                 transports: ['websocket', 'polling'] // Prioritize websocket
             });
 
@@ -67,12 +68,13 @@ export const SocketProvider = ({ children }) => {
 
             newSocket.on('order_status_updated', (data) => {
                 if (user.role === 'user' && data.userId === user.id) {
-                    toast.success(`Order #${data.orderId} status updated to ${data.status}`);
+                    // Backorder allocations keep the order status and carry their own message
+                    toast.success(data.message || `Order #${data.orderId} status updated to ${data.status}`);
                     addNotification({
                         id: Date.now(),
                         type: 'order_status_updated',
-                        title: 'Order Status Updated',
-                        message: `Order #${data.orderId} is now ${data.status}`,
+                        title: data.backorder ? 'Backorder Allocated' : 'Order Status Updated',
+                        message: data.message || `Order #${data.orderId} is now ${data.status}`,
                         timestamp: new Date(data.timestamp),
                         data
                     });
@@ -94,6 +96,38 @@ export const SocketProvider = ({ children }) => {
                 }
             });
 
+            // Listen for return (RMA) events
+            newSocket.on('return_updated', (data) => {
+                const isNewRequest = data.status === 'requested';
+                if ((user.role === 'admin' && isNewRequest) || (user.role === 'user' && data.user_id === user.id && !isNewRequest)) {
+                    const message = isNewRequest
+                        ? `Return ${data.rma_number} requested by ${data.user_name} for order #${data.order_id}`
+                        : `Return ${data.rma_number} is now ${data.status.replace(/_/g, ' ')}`;
+                    toast.success(message);
+                    addNotification({
+                        id: Date.now(),
+                        type: 'return_updated',
+                        title: isNewRequest ? 'New Return Request' : 'Return Updated',
+                        message,
+                        timestamp: new Date(data.updated_at || Date.now()),
+                        data
+                    });
+                }
+            });
+
+            newSocket.on('credit_note_issued', (data) => {
+                if (user.role === 'user' && data.user_id === user.id) {
+                    addNotification({
+                        id: Date.now(),
+                        type: 'credit_note_issued',
+                        title: 'Credit Note Issued',
+                        message: `Credit note ${data.credit_note_number} for $${data.amount.toFixed(2)} (${data.rma_number})`,
+                        timestamp: new Date(data.created_at || Date.now()),
+                        data
+                    });
+                }
+            });
+
             // Listen for inventory events (FIXED: changed from 'inventory_updated' to 'inventory_changed' to match backend)
             newSocket.on('inventory_changed', (data) => {
                 // This event is typically handled directly by components like AdminProducts
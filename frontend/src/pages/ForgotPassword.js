@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Package, MailCheck } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { authAPI } from '../utils/api';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sentMessage, setSentMessage] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await authAPI.forgotPassword(email);
+      setSentMessage(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not send the reset link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <div className="flex justify-center">
+            <Package className="h-12 w-12 text-primary-600" />
+          </div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Forgot your password?
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            Enter your email and we will send you a link to choose a new one.
+          </p>
+        </div>
+
+        {sentMessage ? (
+          <div className="bg-green-50 border border-green-200 rounded-md p-4 text-sm text-green-800 flex">
+            <MailCheck className="h-5 w-5 mr-2 flex-shrink-0" />
+            <p>{sentMessage} The link expires after a while, so use it soon.</p>
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                Email address
+              </label>
+              <input
+                id="email"
+                name="email"
+                type="email"
+                autoComplete="email"
+                required
+                className="mt-1 input"
+                placeholder="Enter your email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+              />
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={loading}
+                className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50"
+              >
+                {loading ? (
+                  <div className="loading-spinner h-5 w-5"></div>
+                ) : (
+                  'Send reset link'
+                )}
+              </button>
+            </div>
+          </form>
+        )}
+
+        <p className="text-center text-sm">
+          <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+            Back to sign in
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
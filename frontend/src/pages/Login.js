@@ -1,7 +1,8 @@
 import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
-import { Eye, EyeOff, Package } from 'lucide-react';
+import { Eye, EyeOff, Package, ShieldCheck } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import TwoFactorSetup from '../components/TwoFactorSetup';
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -10,7 +11,10 @@ const Login = () => {
   });
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  // Second sign-in step: { twoFactorRequired | twoFactorSetupRequired, challengeToken } from the password step
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [code, setCode] = useState('');
+  const { login, loginTwoFactor, finishLogin } = useAuth();
 
   const handleChange = (e) => {
     setFormData({
@@ -24,7 +28,10 @@ const Login = () => {
     setLoading(true);
 
     try {
-      await login(formData);
+      const result = await login(formData);
+      if (result.twoFactor) {
+        setTwoFactor(result.twoFactor);
+      }
     } catch (error) {
       console.error('Login error:', error);
     } finally {
@@ -32,6 +39,94 @@ const Login = () => {
     }
   };
 
+  const handleStartOver = () => {
+    setTwoFactor(null);
+    setCode('');
+    setFormData({ ...formData, password: '' });
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const result = await loginTwoFactor(twoFactor.challengeToken, code.trim());
+      // An expired or exhausted challenge means starting again with the password
+      if (result.code === 'challenge_expired') {
+        handleStartOver();
+      }
+    } finally {
+      setCode('');
+      setLoading(false);
+    }
+  };
+
+  if (twoFactor) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <div className="flex justify-center">
+              <ShieldCheck className="h-12 w-12 text-primary-600" />
+            </div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              {twoFactor.twoFactorSetupRequired ? 'Set up two-factor authentication' : 'Two-factor authentication'}
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              {twoFactor.twoFactorSetupRequired
+                ? 'Your account must use two-factor authentication. Set it up to finish signing in.'
+                : 'Enter the code from your authenticator app, or one of your backup codes.'}
+            </p>
+          </div>
+
+          {twoFactor.twoFactorSetupRequired ? (
+            <TwoFactorSetup challengeToken={twoFactor.challengeToken} onEnabled={finishLogin} onCancel={handleStartOver} />
+          ) : (
+            <form className="mt-8 space-y-6" onSubmit={handleCodeSubmit}>
+              <div>
+                <label htmlFor="code" className="block text-sm font-medium text-gray-700">
+                  Authentication code
+                </label>
+                <input
+                  id="code"
+                  name="code"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  required
+                  maxLength={20}
+                  className="mt-1 input tracking-widest text-center"
+                  placeholder="123456 or backup code"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                />
+              </div>
+
+              <div>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50"
+                >
+                  {loading ? (
+                    <div className="loading-spinner h-5 w-5"></div>
+                  ) : (
+                    'Verify'
+                  )}
+                </button>
+              </div>
+
+              <p className="text-center text-sm">
+                <button type="button" onClick={handleStartOver} className="font-medium text-primary-600 hover:text-primary-500">
+                  Use a different account
+                </button>
+              </p>
+            </form>
+          )}
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -72,9 +167,14 @@ const Login = () => {
           </div>
 
           <div>
-            <label htmlFor="password" className="block text-sm font-medium text-gray-700">
-              Password
-            </label>
+            <div className="flex items-center justify-between">
+              <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                Password
+              </label>
+              <Link to="/forgot-password" className="text-sm font-medium text-primary-600 hover:text-primary-500">
+                Forgot your password?
+              </Link>
+            </div>
             <div className="mt-1 relative">
               <input
                 id="password"
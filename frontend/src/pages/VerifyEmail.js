@@ -0,0 +1,67 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Package, CheckCircle, XCircle } from 'lucide-react';
+import { authAPI } from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated, refreshUser } = useAuth();
+  const [status, setStatus] = useState(token ? 'verifying' : 'failed');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+  // Links are single-use: StrictMode's second effect run must not spend the token again
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (!token || submitted.current) return;
+    submitted.current = true;
+    authAPI.verifyEmail(token)
+      .then((response) => {
+        setStatus('verified');
+        setMessage(response.data.message);
+        if (isAuthenticated) refreshUser();
+      })
+      .catch((error) => {
+        setStatus('failed');
+        setMessage(error.response?.data?.error || 'Email verification failed');
+      });
+  }, [token, isAuthenticated, refreshUser]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8 text-center">
+        <div className="flex justify-center">
+          <Package className="h-12 w-12 text-primary-600" />
+        </div>
+        <h2 className="text-3xl font-extrabold text-gray-900">Email verification</h2>
+
+        {status === 'verifying' && (
+          <div className="flex justify-center">
+            <div className="loading-spinner h-8 w-8"></div>
+          </div>
+        )}
+        {status === 'verified' && (
+          <div className="bg-green-50 border border-green-200 rounded-md p-4 text-sm text-green-800 flex items-center justify-center">
+            <CheckCircle className="h-5 w-5 mr-2" />
+            {message}
+          </div>
+        )}
+        {status === 'failed' && (
+          <div className="bg-red-50 border border-red-200 rounded-md p-4 text-sm text-red-800 flex items-center justify-center">
+            <XCircle className="h-5 w-5 mr-2 flex-shrink-0" />
+            {message}{isAuthenticated && ' You can send a new link from the banner at the top of the page.'}
+          </div>
+        )}
+
+        <p className="text-sm">
+          <Link to={isAuthenticated ? '/' : '/login'} className="font-medium text-primary-600 hover:text-primary-500">
+            {isAuthenticated ? 'Continue' : 'Go to sign in'}
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
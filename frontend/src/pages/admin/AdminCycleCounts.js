@@ -0,0 +1,454 @@
+// frontend/src/pages/admin/AdminCycleCounts.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { useSocket } from '../../contexts/SocketContext';
+import toast from 'react-hot-toast';
+import { ClipboardCheck, Loader, Server, RefreshCw, Plus, Download, RotateCcw, CheckCircle, XCircle, Send } from 'lucide-react';
+
+const API_BASE = 'http://localhost:5000/api/admin';
+
+const formatDateTime = (value) => value ? new Date(value).toLocaleString() : '—';
+
+const STATUS_BADGES = {
+    counting: 'bg-yellow-100 text-yellow-800',
+    review: 'bg-blue-100 text-blue-800',
+    posted: 'bg-green-100 text-green-800',
+    cancelled: 'bg-gray-100 text-gray-800'
+};
+
+const LINE_BADGES = {
+    pending: 'bg-gray-100 text-gray-800',
+    counted: 'bg-green-100 text-green-800',
+    disputed: 'bg-red-100 text-red-800',
+    awaiting_approval: 'bg-orange-100 text-orange-800',
+    approved: 'bg-green-100 text-green-800'
+};
+
+const Badge = ({ status, colors }) => React.createElement('span', { className: `px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${colors[status] || 'bg-gray-100 text-gray-800'}` },
+    status.replace(/_/g, ' ')
+);
+
+const formatVariance = (variance) => variance === null ? '—' : (variance > 0 ? `+${variance}` : String(variance));
+
+// --- New Count Sheet Modal Component ---
+const CreateCycleCountModal = ({ token, warehouses, categories, onClose, onCreated }) => {
+    const [form, setForm] = useState({ warehouse_id: warehouses[0] ? String(warehouses[0].id) : '', category: '', approval_threshold: '', notes: '' });
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleChange = (e) => setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsLoading(true);
+        setError('');
+        try {
+            const response = await fetch(`${API_BASE}/cycle-counts`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+                body: JSON.stringify({
+                    warehouse_id: parseInt(form.warehouse_id, 10),
+                    category: form.category || undefined,
+                    approval_threshold: form.approval_threshold === '' ? undefined : parseFloat(form.approval_threshold),
+                    notes: form.notes.trim() || undefined
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.details ? data.details.join(', ') : (data.error || 'Failed to create cycle count.'));
+            }
+            toast.success(`Count sheet ${data.cycleCount.count_number} created with ${data.cycleCount.lines.length} line(s).`);
+            onCreated(data.cycleCount);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const inputClass = "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500";
+
+    return React.createElement('div', { className: "fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50" },
+        React.createElement('form', { onSubmit: handleSubmit, className: "bg-white rounded-lg shadow-xl p-6 w-full max-w-md" },
+            React.createElement('h2', { className: "text-2xl font-bold text-gray-800 mb-4" }, "New Count Sheet"),
+            React.createElement('label', { htmlFor: "countWarehouse", className: "block text-sm font-medium text-gray-700" }, "Warehouse"),
+            React.createElement('select', { id: "countWarehouse", name: "warehouse_id", value: form.warehouse_id, onChange: handleChange, className: inputClass },
+                warehouses.map(w => React.createElement('option', { key: w.id, value: String(w.id) }, w.name))
+            ),
+            React.createElement('label', { htmlFor: "countCategory", className: "block text-sm font-medium text-gray-700 mt-4" }, "Category"),
+            React.createElement('select', { id: "countCategory", name: "category", value: form.category, onChange: handleChange, className: inputClass },
+                React.createElement('option', { value: "" }, "All categories"),
+                categories.map(category => React.createElement('option', { key: category, value: category }, category))
+            ),
+            React.createElement('label', { htmlFor: "countThreshold", className: "block text-sm font-medium text-gray-700 mt-4" }, "Approval threshold ($)"),
+            React.createElement('input', {
+                id: "countThreshold", name: "approval_threshold", type: "number", min: "0", step: "0.01", value: form.approval_threshold, onChange: handleChange,
+                placeholder: "Default", className: inputClass
+            }),
+            React.createElement('p', { className: "text-xs text-gray-500 mt-1" }, "Variances worth more than this at selling price need approval before posting."),
+            React.createElement('label', { htmlFor: "countNotes", className: "block text-sm font-medium text-gray-700 mt-4" }, "Notes"),
+            React.createElement('input', { id: "countNotes", name: "notes", type: "text", value: form.notes, onChange: handleChange, className: inputClass }),
+            error && React.createElement('p', { className: "text-red-500 text-sm mt-2" }, error),
+            React.createElement('div', { className: "mt-6 flex justify-end space-x-3" },
+                React.createElement('button', { type: "button", onClick: onClose, disabled: isLoading, className: "px-4 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 disabled:opacity-50" }, "Cancel"),
+                React.createElement('button', { type: "submit", disabled: isLoading || !form.warehouse_id, className: "px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:bg-indigo-400 flex items-center" },
+                    isLoading && React.createElement(Loader, { className: "animate-spin h-5 w-5 mr-2" }),
+                    isLoading ? 'Creating...' : 'Generate Sheet'
+                )
+            )
+        )
+    );
+};
+
+// --- Cycle Count Detail Component ---
+// While counting, system quantities stay hidden so counts are blind; they appear once the count is submitted.
+const CycleCountDetail = ({ token, userId, cycleCount, reasonCodes, onChanged }) => {
+    const [counts, setCounts] = useState({});
+    const [reviews, setReviews] = useState({});
+    const [busy, setBusy] = useState('');
+
+    useEffect(() => {
+        setCounts({});
+        setReviews({});
+    }, [cycleCount.id, cycleCount.status]);
+
+    const isCounting = cycleCount.status === 'counting';
+    const isReview = cycleCount.status === 'review';
+    const isOpen = isCounting || isReview;
+
+    const request = async (action, path, body) => {
+        setBusy(action);
+        try {
+            const response = await fetch(`${API_BASE}/cycle-counts/${cycleCount.id}${path}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.details ? data.details.join(', ') : (data.error || `Failed to ${action}.`));
+            }
+            onChanged(data.cycleCount);
+            return data;
+        } catch (err) {
+            toast.error(err.message);
+            return null;
+        } finally {
+            setBusy('');
+        }
+    };
+
+    const handleSaveCounts = async () => {
+        const items = Object.entries(counts)
+            .filter(([, value]) => value !== '')
+            .map(([lineId, value]) => ({ line_id: parseInt(lineId, 10), quantity: parseInt(value, 10) }));
+        if (items.length === 0 || items.some(item => isNaN(item.quantity) || item.quantity < 0)) {
+            toast.error('Enter a non-negative quantity for the lines you counted.');
+            return;
+        }
+        if (await request('save counts', '/counts', { items })) {
+            toast.success(`${items.length} count(s) saved.`);
+            setCounts({});
+        }
+    };
+
+    // Every line with a variance needs a reason code; lines over the threshold also need this approval
+    const handleApprove = async () => {
+        const items = cycleCount.lines
+            .filter(line => line.status === 'awaiting_approval' || (line.variance !== 0 && (!line.reason_code || reviews[line.id])))
+            .map(line => {
+                const review = reviews[line.id] || {};
+                return { line_id: line.id, reason_code: review.reason_code || line.reason_code || undefined, notes: review.notes || undefined };
+            });
+        if (items.length === 0) {
+            toast('Nothing to approve.');
+            return;
+        }
+        if (await request('approve variances', '/approve', { items })) {
+            toast.success(`${items.length} line(s) approved.`);
+        }
+    };
+
+    const handlePost = async () => {
+        if (!window.confirm(`Post ${cycleCount.count_number}? Every variance is booked as a stock adjustment.`)) return;
+        const data = await request('post the count', '/post');
+        if (data) {
+            toast.success(data.message);
+            if (data.filled_backorders && data.filled_backorders.length > 0) {
+                toast.success(`${data.filled_backorders.length} waiting backorder(s) filled.`);
+            }
+        }
+    };
+
+    const handleCancel = async () => {
+        if (!window.confirm(`Cancel ${cycleCount.count_number}? No stock will be adjusted.`)) return;
+        if (await request('cancel the count', '/cancel')) {
+            toast.success(`${cycleCount.count_number} cancelled.`);
+        }
+    };
+
+    const handleDownloadSheet = async () => {
+        try {
+            const response = await fetch(`${API_BASE}/cycle-counts/${cycleCount.id}/sheet`, { headers: { 'Authorization': `Bearer ${token}` } });
+            if (!response.ok) {
+                throw new Error('Failed to download count sheet.');
+            }
+            const url = window.URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${cycleCount.count_number}.csv`;
+            link.click();
+            window.URL.revokeObjectURL(url);
+        } catch (err) {
+            toast.error(err.message);
+        }
+    };
+
+    const setReview = (lineId, field, value) => setReviews(prev => ({ ...prev, [lineId]: { ...prev[lineId], [field]: value } }));
+    const { summary } = cycleCount;
+    const buttonClass = "px-3 py-2 rounded-md text-sm font-medium flex items-center disabled:opacity-50";
+    const headings = isCounting
+        ? ['Product', 'Status', 'Counts', 'Your Count', '']
+        : ['Product', 'Status', 'System', 'Counted', 'Variance', 'Value', 'Reason', ''];
+
+    return React.createElement('div', { className: "bg-white shadow-md rounded-lg overflow-hidden" },
+        React.createElement('div', { className: "px-6 py-4 border-b border-gray-200 flex flex-wrap justify-between items-center gap-3" },
+            React.createElement('div', null,
+                React.createElement('h2', { className: "text-lg font-semibold text-gray-800 flex items-center space-x-2" },
+                    React.createElement('span', { className: "font-mono" }, cycleCount.count_number),
+                    React.createElement(Badge, { status: cycleCount.status, colors: STATUS_BADGES })
+                ),
+                React.createElement('p', { className: "text-sm text-gray-500" },
+                    `${cycleCount.warehouse_name}${cycleCount.category ? ` · ${cycleCount.category}` : ''} · ${summary.counted}/${summary.lines} counted`,
+                    isCounting ? '' : ` · ${summary.units_over} over, ${summary.units_short} short`,
+                    ` · approval above $${Number(cycleCount.approval_threshold).toFixed(2)}`
+                ),
+                cycleCount.posted_at && React.createElement('p', { className: "text-xs text-gray-500" }, `Posted ${formatDateTime(cycleCount.posted_at)} by ${cycleCount.posted_by_name}`)
+            ),
+            React.createElement('div', { className: "flex flex-wrap gap-2" },
+                React.createElement('button', { onClick: handleDownloadSheet, className: `${buttonClass} bg-gray-100 text-gray-700 hover:bg-gray-200` }, React.createElement(Download, { className: "h-4 w-4 mr-1" }), "Sheet"),
+                isCounting && React.createElement('button', { onClick: handleSaveCounts, disabled: !!busy, className: `${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700` }, "Save Counts"),
+                isCounting && React.createElement('button', { onClick: () => request('submit the count', '/submit'), disabled: !!busy, className: `${buttonClass} bg-blue-600 text-white hover:bg-blue-700` }, React.createElement(Send, { className: "h-4 w-4 mr-1" }), "Submit"),
+                isReview && React.createElement('button', { onClick: handleApprove, disabled: !!busy, className: `${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700` }, React.createElement(CheckCircle, { className: "h-4 w-4 mr-1" }), "Approve Variances"),
+                isReview && React.createElement('button', { onClick: handlePost, disabled: !!busy, className: `${buttonClass} bg-green-600 text-white hover:bg-green-700` }, "Post Adjustments"),
+                isOpen && React.createElement('button', { onClick: handleCancel, disabled: !!busy, className: `${buttonClass} bg-red-100 text-red-700 hover:bg-red-200` }, React.createElement(XCircle, { className: "h-4 w-4 mr-1" }), "Cancel"),
+                busy && React.createElement(Loader, { className: "animate-spin h-5 w-5 text-indigo-600 self-center" })
+            )
+        ),
+        React.createElement('div', { className: "overflow-x-auto" },
+            React.createElement('table', { className: "min-w-full divide-y divide-gray-200" },
+                React.createElement('thead', { className: "bg-gray-50" },
+                    React.createElement('tr', null,
+                        headings.map((heading, index) => React.createElement('th', { key: index, className: "px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, heading))
+                    )
+                ),
+                React.createElement('tbody', { className: "bg-white divide-y divide-gray-200" },
+                    cycleCount.lines.map(line => {
+                        const myEntry = line.entries.find(entry => entry.counted_by === userId);
+                        const review = reviews[line.id] || {};
+                        const product = React.createElement('td', { className: "px-4 py-3" },
+                            React.createElement('div', { className: "text-sm font-medium text-gray-900" }, line.product_name),
+                            React.createElement('div', { className: "text-xs text-gray-500" }, `${line.sku} · ${line.category}`)
+                        );
+                        const status = React.createElement('td', { className: "px-4 py-3" }, React.createElement(Badge, { status: line.status, colors: LINE_BADGES }));
+                        const recount = React.createElement('td', { className: "px-4 py-3 text-right" },
+                            isOpen && line.status !== 'pending' && React.createElement('button', {
+                                onClick: () => request('request a recount', `/lines/${line.id}/recount`), disabled: !!busy, title: "Recount",
+                                className: "text-gray-500 hover:text-indigo-600 disabled:opacity-50"
+                            }, React.createElement(RotateCcw, { className: "h-4 w-4" }))
+                        );
+
+                        if (isCounting) {
+                            return React.createElement('tr', { key: line.id, className: line.status === 'disputed' ? 'bg-red-50' : '' },
+                                product,
+                                status,
+                                React.createElement('td', { className: "px-4 py-3 text-xs text-gray-600" },
+                                    line.entries.length > 0
+                                        ? line.entries.map(entry => React.createElement('div', { key: entry.counted_by }, `${entry.counted_by_name}: ${entry.quantity}`))
+                                        : '—'
+                                ),
+                                React.createElement('td', { className: "px-4 py-3" },
+                                    React.createElement('input', {
+                                        type: "number", min: "0",
+                                        value: counts[line.id] !== undefined ? counts[line.id] : (myEntry ? String(myEntry.quantity) : ''),
+                                        onChange: (e) => setCounts(prev => ({ ...prev, [line.id]: e.target.value })),
+                                        className: "w-24 rounded-md border-gray-300 shadow-sm text-sm focus:border-indigo-500 focus:ring-indigo-500"
+                                    })
+                                ),
+                                recount
+                            );
+                        }
+
+                        const varianceClass = line.variance > 0 ? 'text-green-700' : (line.variance < 0 ? 'text-red-700' : 'text-gray-500');
+                        return React.createElement('tr', { key: line.id, className: line.status === 'awaiting_approval' ? 'bg-orange-50' : '' },
+                            product,
+                            status,
+                            React.createElement('td', { className: "px-4 py-3 text-sm text-gray-700" }, line.system_quantity),
+                            React.createElement('td', { className: "px-4 py-3 text-sm text-gray-700" }, line.counted_quantity === null ? '—' : line.counted_quantity),
+                            React.createElement('td', { className: `px-4 py-3 text-sm font-semibold ${varianceClass}` }, formatVariance(line.variance)),
+                            React.createElement('td', { className: "px-4 py-3 text-sm text-gray-700" }, line.variance_value === null ? '—' : `$${line.variance_value.toFixed(2)}`),
+                            React.createElement('td', { className: "px-4 py-3" },
+                                isReview && line.variance !== 0
+                                    ? React.createElement('div', { className: "space-y-1" },
+                                        React.createElement('select', {
+                                            value: review.reason_code || line.reason_code || '',
+                                            onChange: (e) => setReview(line.id, 'reason_code', e.target.value),
+                                            className: "rounded-md border-gray-300 text-sm"
+                                        },
+                                            React.createElement('option', { value: "" }, "Reason..."),
+                                            reasonCodes.map(code => React.createElement('option', { key: code, value: code }, code.replace(/_/g, ' ')))
+                                        ),
+                                        React.createElement('input', {
+                                            type: "text", placeholder: "Note", value: review.notes !== undefined ? review.notes : (line.notes || ''),
+                                            onChange: (e) => setReview(line.id, 'notes', e.target.value),
+                                            className: "block w-40 rounded-md border-gray-300 text-xs"
+                                        })
+                                    )
+                                    : React.createElement('div', { className: "text-sm text-gray-700" },
+                                        line.reason_code ? line.reason_code.replace(/_/g, ' ') : '—',
+                                        line.approved_by_name && React.createElement('div', { className: "text-xs text-gray-500" }, `Approved by ${line.approved_by_name}`)
+                                    )
+                            ),
+                            recount
+                        );
+                    })
+                )
+            )
+        )
+    );
+};
+
+// --- Main AdminCycleCounts Component ---
+const AdminCycleCounts = () => {
+    const { token, user } = useAuth();
+    const { socket } = useSocket();
+    const [cycleCounts, setCycleCounts] = useState([]);
+    const [reasonCodes, setReasonCodes] = useState([]);
+    const [warehouses, setWarehouses] = useState([]);
+    const [categories, setCategories] = useState([]);
+    const [selected, setSelected] = useState(null);
+    const [statusFilter, setStatusFilter] = useState('');
+    const [showCreate, setShowCreate] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const fetchCycleCounts = useCallback(async () => {
+        if (!token) { setLoading(false); setError("Authentication token missing."); return; }
+        setError(null);
+        try {
+            const headers = { 'Authorization': `Bearer ${token}` };
+            const params = new URLSearchParams();
+            if (statusFilter) params.append('status', statusFilter);
+            const [countsRes, warehousesRes, productsRes] = await Promise.all([
+                fetch(`${API_BASE}/cycle-counts?${params.toString()}`, { headers }),
+                fetch(`${API_BASE}/warehouses`, { headers }),
+                fetch(`${API_BASE}/products?status=active`, { headers })
+            ]);
+            if (!countsRes.ok || !warehousesRes.ok || !productsRes.ok) {
+                throw new Error('Failed to fetch cycle counts.');
+            }
+            const [countsData, warehousesData, productsData] = await Promise.all([countsRes.json(), warehousesRes.json(), productsRes.json()]);
+            setCycleCounts(Array.isArray(countsData.cycleCounts) ? countsData.cycleCounts : []);
+            setReasonCodes(Array.isArray(countsData.reasonCodes) ? countsData.reasonCodes : []);
+            setWarehouses((Array.isArray(warehousesData.warehouses) ? warehousesData.warehouses : []).filter(w => w.is_active));
+            const products = Array.isArray(productsData.products) ? productsData.products : [];
+            setCategories([...new Set(products.map(p => p.category))].sort());
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [token, statusFilter]);
+
+    const openCycleCount = useCallback(async (id) => {
+        try {
+            const response = await fetch(`${API_BASE}/cycle-counts/${id}`, { headers: { 'Authorization': `Bearer ${token}` } });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to fetch cycle count.');
+            }
+            setSelected(data.cycleCount);
+        } catch (err) {
+            toast.error(err.message);
+        }
+    }, [token]);
+
+    useEffect(() => { fetchCycleCounts(); }, [fetchCycleCounts]);
+
+    // Other counters work the same sheet at the same time
+    useEffect(() => {
+        if (!socket) return;
+        const handleUpdate = (cycleCount) => {
+            fetchCycleCounts();
+            setSelected(prev => (prev && prev.id === cycleCount.id ? cycleCount : prev));
+        };
+        socket.on('cycle_count_updated', handleUpdate);
+        return () => socket.off('cycle_count_updated', handleUpdate);
+    }, [socket, fetchCycleCounts]);
+
+    const handleChanged = (cycleCount) => {
+        setSelected(cycleCount);
+        fetchCycleCounts();
+    };
+
+    if (loading) { return React.createElement('div', { className: "flex justify-center items-center h-screen bg-gray-50" }, React.createElement(Loader, { className: "animate-spin h-12 w-12 text-indigo-600" })); }
+
+    return React.createElement('div', { className: "min-h-screen bg-gray-50 p-8" },
+        React.createElement('div', { className: "max-w-7xl mx-auto space-y-8" },
+            React.createElement('div', { className: "flex justify-between items-center" },
+                React.createElement('h1', { className: "text-3xl font-bold text-gray-900 flex items-center" }, React.createElement(ClipboardCheck, { className: "h-8 w-8 mr-3 text-indigo-600" }), "Cycle Counts"),
+                React.createElement('div', { className: "flex items-center space-x-3" },
+                    React.createElement('button', { onClick: () => setShowCreate(true), className: "px-4 py-2 rounded-md bg-indigo-600 text-white hover:bg-indigo-700 flex items-center text-sm font-medium" },
+                        React.createElement(Plus, { className: "h-4 w-4 mr-1" }), "New Count Sheet"
+                    ),
+                    React.createElement('button', { onClick: fetchCycleCounts, className: "p-2 rounded-full bg-indigo-100 text-indigo-600 hover:bg-indigo-200" }, React.createElement(RefreshCw, { className: "h-5 w-5" }))
+                )
+            ),
+            error && React.createElement('div', { className: "bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" }, React.createElement(Server, { className: "inline-block h-5 w-5 mr-2" }), error),
+            React.createElement('div', { className: "bg-white shadow-md rounded-lg overflow-hidden" },
+                React.createElement('div', { className: "px-6 py-4 border-b border-gray-200 flex justify-between items-center" },
+                    React.createElement('h2', { className: "text-lg font-semibold text-gray-800" }, "Count Sheets"),
+                    React.createElement('select', { value: statusFilter, onChange: (e) => setStatusFilter(e.target.value), className: "rounded-md border-gray-300 text-sm" },
+                        React.createElement('option', { value: "" }, "All statuses"),
+                        Object.keys(STATUS_BADGES).map(status => React.createElement('option', { key: status, value: status }, status))
+                    )
+                ),
+                React.createElement('div', { className: "overflow-x-auto" },
+                    React.createElement('table', { className: "min-w-full divide-y divide-gray-200" },
+                        React.createElement('thead', { className: "bg-gray-50" },
+                            React.createElement('tr', null,
+                                ['Count', 'Warehouse', 'Category', 'Status', 'Counted', 'Variances', 'Created'].map(heading =>
+                                    React.createElement('th', { key: heading, className: "px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, heading))
+                            )
+                        ),
+                        React.createElement('tbody', { className: "bg-white divide-y divide-gray-200" },
+                            cycleCounts.length > 0 ? cycleCounts.map(count => React.createElement('tr', {
+                                key: count.id,
+                                onClick: () => openCycleCount(count.id),
+                                className: `cursor-pointer hover:bg-gray-50 ${selected && selected.id === count.id ? 'bg-indigo-50' : ''}`
+                            },
+                                React.createElement('td', { className: "px-4 py-3 text-sm font-mono text-indigo-600" }, count.count_number),
+                                React.createElement('td', { className: "px-4 py-3 text-sm text-gray-700" }, count.warehouse_name),
+                                React.createElement('td', { className: "px-4 py-3 text-sm text-gray-700" }, count.category || 'All'),
+                                React.createElement('td', { className: "px-4 py-3" }, React.createElement(Badge, { status: count.status, colors: STATUS_BADGES })),
+                                React.createElement('td', { className: "px-4 py-3 text-sm text-gray-700" }, `${count.counted_lines || 0}/${count.line_count}`),
+                                React.createElement('td', { className: "px-4 py-3 text-sm text-gray-700" }, count.status === 'counting' ? '—' : (count.variance_lines || 0)),
+                                React.createElement('td', { className: "px-4 py-3 text-sm text-gray-500" }, `${formatDateTime(count.created_at)} by ${count.created_by_name || '—'}`)
+                            )) : React.createElement('tr', null, React.createElement('td', { colSpan: "7", className: "text-center py-10 text-gray-500" }, "No cycle counts yet."))
+                        )
+                    )
+                )
+            ),
+            selected && React.createElement(CycleCountDetail, { token, userId: user && user.id, cycleCount: selected, reasonCodes, onChanged: handleChanged }),
+            showCreate && React.createElement(CreateCycleCountModal, {
+                token,
+                warehouses,
+                categories,
+                onClose: () => setShowCreate(false),
+                onCreated: (cycleCount) => { setShowCreate(false); handleChanged(cycleCount); }
+            })
+        )
+    );
+};
+
+export default AdminCycleCounts;
@@ -0,0 +1,164 @@
+// frontend/src/pages/admin/AdminForecast.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+    ResponsiveContainer, ComposedChart, Line, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine
+} from 'recharts';
+import { LineChart as LineChartIcon, Loader, Server, RefreshCw } from 'lucide-react';
+
+const API_BASE = 'http://localhost:5000/api/admin';
+
+const MODEL_LABELS = {
+    exponential_smoothing: 'Exponential smoothing (weekly)',
+    moving_average: 'Moving average'
+};
+
+// Merges history and both models' forecasts into one row per date for the chart.
+// `band` is a [lower, upper] pair, which recharts draws as a ranged area.
+const buildChartData = (forecast, model) => {
+    const rows = forecast.history.map(day => ({ date: day.date, actual: day.units }));
+    const byDate = new Map();
+    Object.entries(forecast.models).forEach(([name, result]) => {
+        if (!result) return;
+        result.forecast.forEach(day => {
+            const row = byDate.get(day.date) || { date: day.date };
+            row[name] = day.value;
+            if (name === model) {
+                row.band = [day.lower, day.upper];
+            }
+            byDate.set(day.date, row);
+        });
+    });
+    return [...rows, ...byDate.values()];
+};
+
+const StatCard = ({ label, value, hint }) => React.createElement('div', { className: "bg-white rounded-lg shadow-md p-4" },
+    React.createElement('p', { className: "text-xs font-medium text-gray-500 uppercase" }, label),
+    React.createElement('p', { className: "text-2xl font-bold text-gray-900 mt-1" }, value),
+    hint && React.createElement('p', { className: "text-xs text-gray-500 mt-1" }, hint)
+);
+
+// --- Main AdminForecast Component ---
+const AdminForecast = () => {
+    const { token } = useAuth();
+    const [products, setProducts] = useState([]);
+    const [productId, setProductId] = useState('');
+    const [historyDays, setHistoryDays] = useState('91');
+    const [horizonDays, setHorizonDays] = useState('28');
+    const [confidence, setConfidence] = useState('95');
+    const [model, setModel] = useState('');
+    const [forecast, setForecast] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!token) { setLoading(false); setError("Authentication token missing."); return; }
+        fetch(`${API_BASE}/products?status=active`, { headers: { 'Authorization': `Bearer ${token}` } })
+            .then(response => response.ok ? response.json() : Promise.reject(new Error('Failed to fetch products.')))
+            .then(data => {
+                const list = Array.isArray(data.products) ? data.products : [];
+                setProducts(list);
+                if (list.length > 0) setProductId(String(list[0].id));
+                else setLoading(false);
+            })
+            .catch(err => { setError(err.message); setLoading(false); });
+    }, [token]);
+
+    const fetchForecast = useCallback(async () => {
+        if (!productId) return;
+        setLoading(true);
+        setError(null);
+        try {
+            const response = await fetch(`${API_BASE}/forecast/${productId}?history=${historyDays}&horizon=${horizonDays}&confidence=${confidence}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to fetch forecast.');
+            }
+            setForecast(data);
+            setModel(data.recommended);
+        } catch (err) {
+            setError(err.message);
+            setForecast(null);
+        } finally {
+            setLoading(false);
+        }
+    }, [token, productId, historyDays, horizonDays, confidence]);
+
+    useEffect(() => { fetchForecast(); }, [fetchForecast]);
+
+    const selectClass = "rounded-md border-gray-300 text-sm";
+    const selected = forecast && model ? forecast.models[model] : null;
+    const selectedTotal = selected ? Math.round(selected.forecast.reduce((sum, day) => sum + day.value, 0)) : 0;
+
+    return React.createElement('div', { className: "min-h-screen bg-gray-50 p-8" },
+        React.createElement('div', { className: "max-w-7xl mx-auto" },
+            React.createElement('div', { className: "flex justify-between items-center mb-6" },
+                React.createElement('h1', { className: "text-3xl font-bold text-gray-900 flex items-center" }, React.createElement(LineChartIcon, { className: "h-8 w-8 mr-3 text-indigo-600" }), "Demand Forecast"),
+                React.createElement('div', { className: "flex items-center space-x-3" },
+                    React.createElement('select', { value: productId, onChange: (e) => setProductId(e.target.value), className: selectClass },
+                        products.map(p => React.createElement('option', { key: p.id, value: String(p.id) }, `${p.name} (${p.sku})`))
+                    ),
+                    React.createElement('select', { value: historyDays, onChange: (e) => setHistoryDays(e.target.value), className: selectClass },
+                        ['28', '56', '91', '182', '365'].map(days => React.createElement('option', { key: days, value: days }, `${days} days history`))
+                    ),
+                    React.createElement('select', { value: horizonDays, onChange: (e) => setHorizonDays(e.target.value), className: selectClass },
+                        ['7', '14', '28', '56', '90'].map(days => React.createElement('option', { key: days, value: days }, `${days} days ahead`))
+                    ),
+                    React.createElement('select', { value: confidence, onChange: (e) => setConfidence(e.target.value), className: selectClass },
+                        ['80', '90', '95'].map(level => React.createElement('option', { key: level, value: level }, `${level}% band`))
+                    ),
+                    React.createElement('button', { onClick: fetchForecast, className: "p-2 rounded-full bg-indigo-100 text-indigo-600 hover:bg-indigo-200" }, React.createElement(RefreshCw, { className: "h-5 w-5" }))
+                )
+            ),
+            error && React.createElement('div', { className: "bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6" }, React.createElement(Server, { className: "inline-block h-5 w-5 mr-2" }), error),
+            loading && React.createElement('div', { className: "flex justify-center py-20" }, React.createElement(Loader, { className: "animate-spin h-12 w-12 text-indigo-600" })),
+            !loading && forecast && React.createElement(React.Fragment, null,
+                React.createElement('div', { className: "grid grid-cols-1 md:grid-cols-4 gap-4 mb-6" },
+                    React.createElement(StatCard, { label: `Units sold (last ${forecast.history_days} days)`, value: forecast.history_total }),
+                    React.createElement(StatCard, { label: `Forecast (next ${forecast.horizon_days} days)`, value: selectedTotal, hint: MODEL_LABELS[model] }),
+                    React.createElement(StatCard, { label: "On hand", value: forecast.product.stock_quantity }),
+                    React.createElement(StatCard, {
+                        label: "Mean abs. error / day",
+                        value: selected ? selected.mae : '—',
+                        hint: model === 'exponential_smoothing' && selected
+                            ? `alpha ${selected.alpha}, beta ${selected.beta}, gamma ${selected.gamma}`
+                            : selected ? `${selected.window}-day window` : null
+                    })
+                ),
+                React.createElement('div', { className: "bg-white shadow-md rounded-lg p-6" },
+                    React.createElement('div', { className: "flex justify-between items-center mb-4" },
+                        React.createElement('h2', { className: "text-lg font-semibold text-gray-800" }, `${forecast.product.name} — daily units`),
+                        React.createElement('div', { className: "flex space-x-2" },
+                            Object.keys(MODEL_LABELS).filter(name => forecast.models[name]).map(name => React.createElement('button', {
+                                key: name,
+                                onClick: () => setModel(name),
+                                className: `px-3 py-1 rounded-full text-xs font-medium ${model === name ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`
+                            }, `${MODEL_LABELS[name]}${forecast.recommended === name ? ' (best fit)' : ''}`))
+                        )
+                    ),
+                    React.createElement(ResponsiveContainer, { width: "100%", height: 400 },
+                        React.createElement(ComposedChart, { data: buildChartData(forecast, model) },
+                            React.createElement(CartesianGrid, { strokeDasharray: "3 3" }),
+                            React.createElement(XAxis, { dataKey: "date", tick: { fontSize: 11 }, minTickGap: 20 }),
+                            React.createElement(YAxis, { allowDecimals: false }),
+                            React.createElement(Tooltip, null),
+                            React.createElement(Legend, null),
+                            React.createElement(ReferenceLine, { x: forecast.history[forecast.history.length - 1].date, stroke: "#9ca3af", strokeDasharray: "4 4", label: { value: "Today", position: "top", fontSize: 11 } }),
+                            React.createElement(Area, { dataKey: "band", name: `${forecast.confidence}% band`, stroke: "none", fill: "#c7d2fe", fillOpacity: 0.6, isAnimationActive: false }),
+                            React.createElement(Line, { dataKey: "actual", name: "Actual", stroke: "#374151", dot: false, strokeWidth: 1.5, isAnimationActive: false }),
+                            forecast.models.exponential_smoothing && React.createElement(Line, { dataKey: "exponential_smoothing", name: MODEL_LABELS.exponential_smoothing, stroke: "#4f46e5", dot: false, strokeWidth: model === 'exponential_smoothing' ? 2.5 : 1, strokeDasharray: model === 'exponential_smoothing' ? undefined : "5 5", isAnimationActive: false }),
+                            React.createElement(Line, { dataKey: "moving_average", name: MODEL_LABELS.moving_average, stroke: "#059669", dot: false, strokeWidth: model === 'moving_average' ? 2.5 : 1, strokeDasharray: model === 'moving_average' ? undefined : "5 5", isAnimationActive: false })
+                        )
+                    ),
+                    React.createElement('p', { className: "text-xs text-gray-500 mt-3" },
+                        "Based on order lines from non-cancelled orders, complete days only. The band widens with the forecast horizon; the best fit is the model with the lower one-day-ahead error on the history."
+                    )
+                )
+            )
+        )
+    );
+};
+
+export default AdminForecast;
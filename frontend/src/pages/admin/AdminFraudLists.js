@@ -0,0 +1,187 @@
+// frontend/src/pages/admin/AdminFraudLists.js
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import toast from 'react-hot-toast';
+import { Ban, Loader, Server, RefreshCw, Plus, Trash2, Upload, Download } from 'lucide-react';
+
+const API_BASE = 'http://localhost:5000/api/admin';
+
+const inputClass = "rounded-md border-gray-300 shadow-sm text-sm focus:border-indigo-500 focus:ring-indigo-500";
+
+// What to type into the add form for each list
+const PLACEHOLDERS = {
+    email: 'someone@example.com',
+    email_domain: 'example.com',
+    address: '13 Fraud Lane',
+    ip: '203.0.113.7',
+    trusted_customer: 'customer@example.com'
+};
+
+const headerCell = (heading, index) => React.createElement('th', { key: index, className: "px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, heading);
+
+// --- Main AdminFraudLists Component ---
+// Blocklist hits refuse a registration and put an order on hold; trusted customers skip holds that come from their score.
+const AdminFraudLists = () => {
+    const { token } = useAuth();
+    const [entries, setEntries] = useState([]);
+    const [listTypes, setListTypes] = useState([]);
+    const [activeType, setActiveType] = useState('email');
+    const [value, setValue] = useState('');
+    const [reason, setReason] = useState('');
+    const [replaceOnImport, setReplaceOnImport] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+    const fileInput = useRef(null);
+
+    const request = useCallback(async (path, options = {}) => {
+        const response = await fetch(`${API_BASE}/fraud-lists${path}`, {
+            ...options,
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` }
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.details ? data.details.join(', ') : (data.error || 'Request failed.'));
+        }
+        return data;
+    }, [token]);
+
+    const fetchEntries = useCallback(async () => {
+        if (!token) { setLoading(false); setError("Authentication token missing."); return; }
+        setError(null);
+        try {
+            const data = await request('');
+            setEntries(data.entries);
+            setListTypes(data.listTypes);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [token, request]);
+
+    useEffect(() => { fetchEntries(); }, [fetchEntries]);
+
+    const runAction = async (action) => {
+        setBusy(true);
+        try {
+            const data = await action();
+            toast.success(data.message);
+            fetchEntries();
+            return data;
+        } catch (err) {
+            toast.error(err.message);
+            return null;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        const data = await runAction(() => request('', {
+            method: 'POST',
+            body: JSON.stringify({ list_type: activeType, value: value.trim(), ...(reason.trim() ? { reason: reason.trim() } : {}) })
+        }));
+        if (data) {
+            setValue('');
+            setReason('');
+        }
+    };
+
+    const handleDelete = (entry) => {
+        if (!window.confirm(`Remove ${entry.value} from the list?`)) return;
+        runAction(() => request(`/${entry.id}`, { method: 'DELETE' }));
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        if (replaceOnImport && !window.confirm('Replace the lists in this file? Their current entries will be removed first.')) return;
+        const csv = await file.text();
+        runAction(() => request('/import', { method: 'POST', body: JSON.stringify({ csv, replace: replaceOnImport }) }));
+    };
+
+    const handleExport = async () => {
+        try {
+            const response = await fetch(`${API_BASE}/fraud-lists/export`, { headers: { 'Authorization': `Bearer ${token}` } });
+            if (!response.ok) {
+                throw new Error('Failed to export the lists.');
+            }
+            const url = window.URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'fraud-lists.csv';
+            link.click();
+            window.URL.revokeObjectURL(url);
+        } catch (err) {
+            toast.error(err.message);
+        }
+    };
+
+    if (loading) {
+        return React.createElement('div', { className: "flex justify-center items-center min-h-screen" }, React.createElement(Loader, { className: "animate-spin h-10 w-10 text-indigo-600" }));
+    }
+
+    const visibleEntries = entries.filter(entry => entry.list_type === activeType);
+    const buttonClass = "px-3 py-2 rounded-md text-sm font-medium flex items-center disabled:opacity-50";
+
+    return React.createElement('div', { className: "min-h-screen bg-gray-50 p-8" },
+        React.createElement('div', { className: "max-w-7xl mx-auto space-y-6" },
+            React.createElement('div', { className: "flex justify-between items-center" },
+                React.createElement('h1', { className: "text-3xl font-bold text-gray-900 flex items-center" }, React.createElement(Ban, { className: "h-8 w-8 mr-3 text-indigo-600" }), "Block & Allow Lists"),
+                React.createElement('div', { className: "flex items-center space-x-2" },
+                    React.createElement('label', { className: "flex items-center text-sm text-gray-600 mr-2" },
+                        React.createElement('input', { type: "checkbox", checked: replaceOnImport, onChange: (e) => setReplaceOnImport(e.target.checked), className: "mr-1 rounded border-gray-300" }),
+                        "Replace on import"
+                    ),
+                    React.createElement('input', { ref: fileInput, type: "file", accept: ".csv,text/csv", onChange: handleImport, className: "hidden" }),
+                    React.createElement('button', { onClick: () => fileInput.current.click(), disabled: busy, className: `${buttonClass} bg-white border border-gray-300 text-gray-700 hover:bg-gray-50` }, React.createElement(Upload, { className: "h-4 w-4 mr-1" }), "Import CSV"),
+                    React.createElement('button', { onClick: handleExport, className: `${buttonClass} bg-white border border-gray-300 text-gray-700 hover:bg-gray-50` }, React.createElement(Download, { className: "h-4 w-4 mr-1" }), "Export CSV"),
+                    React.createElement('button', { onClick: fetchEntries, className: "p-2 rounded-full bg-indigo-100 text-indigo-600 hover:bg-indigo-200" }, React.createElement(RefreshCw, { className: "h-5 w-5" }))
+                )
+            ),
+            error && React.createElement('div', { className: "bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded" }, React.createElement(Server, { className: "inline-block h-5 w-5 mr-2" }), error),
+            React.createElement('div', { className: "flex flex-wrap gap-2" },
+                listTypes.map(list => React.createElement('button', {
+                    key: list.type,
+                    onClick: () => setActiveType(list.type),
+                    className: `px-3 py-1.5 rounded-full text-sm font-medium ${activeType === list.type ? (list.blocks ? 'bg-red-600 text-white' : 'bg-green-600 text-white') : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-50'}`
+                }, `${list.label} (${entries.filter(entry => entry.list_type === list.type).length})`))
+            ),
+            React.createElement('form', { onSubmit: handleAdd, className: "bg-white shadow-md rounded-lg p-4 flex flex-wrap items-end gap-3" },
+                React.createElement('div', { className: "flex-1 min-w-[200px]" },
+                    React.createElement('label', { htmlFor: "listValue", className: "block text-sm font-medium text-gray-700" }, activeType === 'address' ? 'Address fragment' : 'Value'),
+                    React.createElement('input', { id: "listValue", value, required: true, placeholder: PLACEHOLDERS[activeType], onChange: (e) => setValue(e.target.value), className: `mt-1 w-full ${inputClass}` })
+                ),
+                React.createElement('div', { className: "flex-1 min-w-[200px]" },
+                    React.createElement('label', { htmlFor: "listReason", className: "block text-sm font-medium text-gray-700" }, "Reason"),
+                    React.createElement('input', { id: "listReason", value: reason, onChange: (e) => setReason(e.target.value), className: `mt-1 w-full ${inputClass}` })
+                ),
+                React.createElement('button', { type: "submit", disabled: busy || !value.trim(), className: `${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700` }, React.createElement(Plus, { className: "h-4 w-4 mr-1" }), "Add")
+            ),
+            React.createElement('div', { className: "bg-white shadow-md rounded-lg overflow-x-auto" },
+                React.createElement('table', { className: "min-w-full divide-y divide-gray-200" },
+                    React.createElement('thead', { className: "bg-gray-50" },
+                        React.createElement('tr', null, ['Value', 'Customer', 'Reason', 'Added by', 'Added', ''].map(headerCell))
+                    ),
+                    React.createElement('tbody', { className: "bg-white divide-y divide-gray-200" },
+                        visibleEntries.length > 0 ? visibleEntries.map(entry => React.createElement('tr', { key: entry.id, className: "hover:bg-gray-50" },
+                            React.createElement('td', { className: "px-4 py-3 text-sm font-medium text-gray-900" }, entry.value),
+                            React.createElement('td', { className: "px-4 py-3 text-sm text-gray-700" }, entry.customer_name || '—'),
+                            React.createElement('td', { className: "px-4 py-3 text-sm text-gray-700" }, entry.reason || '—'),
+                            React.createElement('td', { className: "px-4 py-3 text-sm text-gray-700" }, entry.created_by_name || '—'),
+                            React.createElement('td', { className: "px-4 py-3 text-sm text-gray-500" }, new Date(entry.created_at).toLocaleDateString()),
+                            React.createElement('td', { className: "px-4 py-3 text-right" },
+                                React.createElement('button', { onClick: () => handleDelete(entry), disabled: busy, title: "Remove", className: "text-red-600 hover:text-red-900 disabled:opacity-50" }, React.createElement(Trash2, { className: "h-4 w-4" }))
+                            )
+                        )) : React.createElement('tr', null, React.createElement('td', { colSpan: "6", className: "text-center py-10 text-gray-500" }, "This list is empty."))
+                    )
+                )
+            )
+        )
+    );
+};
+
+export default AdminFraudLists;
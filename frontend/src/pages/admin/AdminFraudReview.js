@@ -0,0 +1,152 @@
+// frontend/src/pages/admin/AdminFraudReview.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { useSocket } from '../../contexts/SocketContext';
+import toast from 'react-hot-toast';
+import { ShieldCheck, Loader, Server, RefreshCw, Eye } from 'lucide-react';
+import FraudAnalysisModal from '../../components/FraudAnalysisModal';
+
+const API_BASE = 'http://localhost:5000/api/admin';
+
+const ACTION_PATHS = { approve: 'approve', reject: 'reject', request_info: 'request-info' };
+
+const RISK_COLORS = { low: 'bg-green-200 text-green-900', medium: 'bg-yellow-200 text-yellow-900', high: 'bg-red-200 text-red-900 font-bold' };
+
+// How long an order has been waiting, from its hold
+const formatWaiting = (timestamp) => {
+    const hours = Math.floor((Date.now() - new Date(timestamp).getTime()) / (60 * 60 * 1000));
+    return hours < 24 ? `${hours}h` : `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
+
+const headerCell = (heading, index) => React.createElement('th', { key: index, className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, heading);
+
+// --- Main AdminFraudReview Component ---
+// Orders whose fraud score reached the hold threshold wait here with their stock allocated until a reviewer
+// approves them (on to fulfillment), rejects them (cancelled and restocked) or asks for more information.
+const AdminFraudReview = () => {
+    const { token } = useAuth();
+    const { socket } = useSocket();
+    const [orders, setOrders] = useState([]);
+    const [selectedOrder, setSelectedOrder] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [deciding, setDeciding] = useState(false);
+    const [error, setError] = useState(null);
+
+    const fetchQueue = useCallback(async () => {
+        if (!token) { setLoading(false); setError("Authentication token missing."); return; }
+        setError(null);
+        try {
+            const response = await fetch(`${API_BASE}/fraud-reviews`, { headers: { 'Authorization': `Bearer ${token}` } });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to fetch the review queue.');
+            setOrders(data.orders);
+            // Keep an open review in step with the queue; it closes once the order leaves it
+            setSelectedOrder(prev => prev ? data.orders.find(order => order.id === prev.id) || null : null);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [token]);
+
+    useEffect(() => { fetchQueue(); }, [fetchQueue]);
+
+    useEffect(() => {
+        if (!socket) return;
+        const handleNewOrder = (order) => {
+            if (order.status === 'on_hold') {
+                toast.error(`Order #${order.id} is on hold for fraud review.`, { duration: 6000, icon: '🚨' });
+                fetchQueue();
+            }
+        };
+        socket.on('order_created', handleNewOrder);
+        socket.on('fraud_review_updated', fetchQueue);
+        // Customers can still cancel an order while it is held
+        socket.on('order_status_updated', fetchQueue);
+        return () => {
+            socket.off('order_created', handleNewOrder);
+            socket.off('fraud_review_updated', fetchQueue);
+            socket.off('order_status_updated', fetchQueue);
+        };
+    }, [socket, fetchQueue]);
+
+    const handleDecision = async (order, action, notes) => {
+        if (action === 'reject' && !window.confirm(`Reject order #${order.id}? It will be cancelled, its stock returned and a refund of $${parseFloat(order.total_amount).toFixed(2)} recorded.`)) {
+            return;
+        }
+        setDeciding(true);
+        try {
+            const response = await fetch(`${API_BASE}/fraud-reviews/${order.id}/${ACTION_PATHS[action]}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+                body: JSON.stringify(notes ? { notes } : {})
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.details ? data.details.join(', ') : (data.error || 'Review action failed.'));
+            toast.success(data.message);
+            if (action !== 'request_info') setSelectedOrder(null);
+            fetchQueue();
+        } catch (err) {
+            toast.error(err.message);
+        } finally {
+            setDeciding(false);
+        }
+    };
+
+    if (loading) {
+        return React.createElement('div', { className: "flex justify-center items-center min-h-screen" }, React.createElement(Loader, { className: "animate-spin h-10 w-10 text-indigo-600" }));
+    }
+
+    return React.createElement(React.Fragment, null,
+        React.createElement('div', { className: "min-h-screen bg-gray-50 p-8" },
+            React.createElement('div', { className: "max-w-7xl mx-auto space-y-6" },
+                React.createElement('div', { className: "flex justify-between items-center" },
+                    React.createElement('h1', { className: "text-3xl font-bold text-gray-900 flex items-center" }, React.createElement(ShieldCheck, { className: "h-8 w-8 mr-3 text-indigo-600" }), "Fraud Review Queue"),
+                    React.createElement('button', { onClick: fetchQueue, className: "p-2 rounded-full bg-indigo-100 text-indigo-600 hover:bg-indigo-200" }, React.createElement(RefreshCw, { className: "h-5 w-5" }))
+                ),
+                error && React.createElement('div', { className: "bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded" }, React.createElement(Server, { className: "inline-block h-5 w-5 mr-2" }), error),
+                React.createElement('div', { className: "bg-white shadow-md rounded-lg overflow-x-auto" },
+                    React.createElement('table', { className: "min-w-full divide-y divide-gray-200" },
+                        React.createElement('thead', { className: "bg-gray-50" },
+                            React.createElement('tr', null, ['Order', 'Customer', 'Total', 'Risk', 'Waiting', 'Review', ''].map(headerCell))
+                        ),
+                        React.createElement('tbody', { className: "bg-white divide-y divide-gray-200" },
+                            orders.length > 0 ? orders.map(order => React.createElement('tr', { key: order.id, className: "hover:bg-gray-50" },
+                                React.createElement('td', { className: "px-6 py-4 text-sm font-semibold text-indigo-600" }, `#${order.id}`),
+                                React.createElement('td', { className: "px-6 py-4" },
+                                    React.createElement('div', { className: "text-sm font-medium text-gray-900" }, order.user_name),
+                                    React.createElement('div', { className: "text-sm text-gray-500" }, order.user_email)
+                                ),
+                                React.createElement('td', { className: "px-6 py-4 text-sm font-bold text-gray-900" }, `$${parseFloat(order.total_amount).toFixed(2)}`),
+                                React.createElement('td', { className: "px-6 py-4" },
+                                    React.createElement('span', { className: `inline-flex px-2.5 py-0.5 rounded-full text-xs font-medium capitalize ${RISK_COLORS[order.fraud_risk] || RISK_COLORS.low}` },
+                                        `${order.fraud_risk}${order.fraud_score !== null ? ` · ${order.fraud_score}` : ''}`
+                                    )
+                                ),
+                                React.createElement('td', { className: "px-6 py-4 text-sm text-gray-700" }, formatWaiting(order.order_date)),
+                                React.createElement('td', { className: "px-6 py-4 text-sm" },
+                                    order.info_requested
+                                        ? React.createElement('span', { className: "text-yellow-700 font-medium" }, "Information requested")
+                                        : React.createElement('span', { className: "text-gray-600" }, "Awaiting review")
+                                ),
+                                React.createElement('td', { className: "px-6 py-4 text-right" },
+                                    React.createElement('button', { onClick: () => setSelectedOrder(order), title: "Review order", className: "text-indigo-600 hover:text-indigo-900" }, React.createElement(Eye, { className: "h-5 w-5" }))
+                                )
+                            )) : React.createElement('tr', null, React.createElement('td', { colSpan: "7", className: "text-center py-10 text-gray-500" }, "No orders are waiting for review."))
+                        )
+                    )
+                )
+            )
+        ),
+        selectedOrder && React.createElement(FraudAnalysisModal, {
+            // Remount per order so reviewer notes do not carry over
+            key: selectedOrder.id,
+            order: selectedOrder,
+            onClose: () => setSelectedOrder(null),
+            onDecision: handleDecision,
+            deciding
+        })
+    );
+};
+
+export default AdminFraudReview;
@@ -0,0 +1,398 @@
+// frontend/src/pages/admin/AdminFraudRules.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import toast from 'react-hot-toast';
+import { ShieldAlert, Loader, Server, Plus, Save, Play, CheckCircle, Trash2, Copy } from 'lucide-react';
+
+const API_BASE = 'http://localhost:5000/api/admin';
+
+const STATUS_COLORS = {
+    active: 'bg-green-100 text-green-800',
+    draft: 'bg-yellow-100 text-yellow-800',
+    retired: 'bg-gray-200 text-gray-700'
+};
+const RISK_LEVELS = ['low', 'medium', 'high'];
+const RISK_COLORS = { low: 'text-green-700', medium: 'text-yellow-700', high: 'text-red-700 font-semibold' };
+
+const inputClass = "rounded-md border-gray-300 shadow-sm text-sm focus:border-indigo-500 focus:ring-indigo-500 disabled:bg-gray-100";
+
+// The editor works on strings; the API takes numbers
+const toEditor = (ruleSet) => ({
+    medium_threshold: String(ruleSet.medium_threshold),
+    high_threshold: String(ruleSet.high_threshold),
+    // Blank holds at the high risk threshold
+    hold_threshold: ruleSet.hold_threshold != null ? String(ruleSet.hold_threshold) : '',
+    notes: ruleSet.notes || '',
+    rules: ruleSet.rules.map(rule => ({
+        code: rule.code,
+        name: rule.name,
+        condition_type: rule.condition_type,
+        params: Object.fromEntries(Object.entries(rule.params || {}).map(([param, value]) => [param, String(value)])),
+        weight: String(rule.weight),
+        enabled: rule.enabled === 1 || rule.enabled === true
+    }))
+});
+
+const fromEditor = (editor) => ({
+    medium_threshold: parseInt(editor.medium_threshold, 10),
+    high_threshold: parseInt(editor.high_threshold, 10),
+    hold_threshold: editor.hold_threshold === '' ? null : parseInt(editor.hold_threshold, 10),
+    notes: editor.notes,
+    rules: editor.rules.map(rule => ({
+        ...rule,
+        params: Object.fromEntries(Object.entries(rule.params).map(([param, value]) => [param, parseFloat(value)])),
+        weight: parseInt(rule.weight, 10)
+    }))
+});
+
+// --- Dry Run Results: how the candidate rates recent orders compared with the risk they were given ---
+const DryRunResults = ({ result, rules }) => React.createElement('div', { className: "bg-white shadow-md rounded-lg p-6 space-y-4" },
+    React.createElement('h2', { className: "text-lg font-semibold text-gray-800" }, `Dry Run: ${result.orders_scored} order(s) scored, ${result.changed} would change`),
+    React.createElement('p', { className: "text-sm text-gray-600" }, `${result.would_hold} order(s) would have been held for review (score ${result.hold_threshold} or more).`),
+    React.createElement('div', { className: "grid grid-cols-1 md:grid-cols-2 gap-6" },
+        React.createElement('table', { className: "min-w-full text-sm" },
+            React.createElement('thead', null,
+                React.createElement('tr', { className: "text-left text-xs text-gray-500 uppercase" },
+                    React.createElement('th', { className: "py-1" }, "Risk"),
+                    React.createElement('th', { className: "py-1" }, "As recorded"),
+                    React.createElement('th', { className: "py-1" }, "Candidate")
+                )
+            ),
+            React.createElement('tbody', null,
+                RISK_LEVELS.map(level => React.createElement('tr', { key: level },
+                    React.createElement('td', { className: `py-1 capitalize ${RISK_COLORS[level]}` }, level),
+                    React.createElement('td', { className: "py-1" }, result.recorded[level] || 0),
+                    React.createElement('td', { className: "py-1" }, result.candidate[level] || 0)
+                ))
+            )
+        ),
+        React.createElement('table', { className: "min-w-full text-sm" },
+            React.createElement('thead', null,
+                React.createElement('tr', { className: "text-left text-xs text-gray-500 uppercase" },
+                    React.createElement('th', { className: "py-1" }, "Rule"),
+                    React.createElement('th', { className: "py-1" }, "Orders matched")
+                )
+            ),
+            React.createElement('tbody', null,
+                Object.entries(result.rule_hits).map(([code, hits]) => {
+                    const rule = rules.find(r => r.code === code);
+                    return React.createElement('tr', { key: code },
+                        React.createElement('td', { className: "py-1" }, rule ? rule.name : code),
+                        React.createElement('td', { className: "py-1" }, hits)
+                    );
+                })
+            )
+        )
+    ),
+    result.orders.length > 0 && React.createElement('div', { className: "overflow-x-auto" },
+        React.createElement('table', { className: "min-w-full divide-y divide-gray-200 text-sm" },
+            React.createElement('thead', { className: "bg-gray-50" },
+                React.createElement('tr', null,
+                    ['Order', 'Customer', 'Total', 'Recorded', 'Candidate', 'Reasons'].map(heading =>
+                        React.createElement('th', { key: heading, className: "px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase" }, heading))
+                )
+            ),
+            React.createElement('tbody', { className: "divide-y divide-gray-200" },
+                result.orders.map(order => React.createElement('tr', { key: order.order_id },
+                    React.createElement('td', { className: "px-3 py-2" }, `#${order.order_id}`),
+                    React.createElement('td', { className: "px-3 py-2" }, order.user_name),
+                    React.createElement('td', { className: "px-3 py-2" }, `$${Number(order.total_amount).toFixed(2)}`),
+                    React.createElement('td', { className: `px-3 py-2 capitalize ${RISK_COLORS[order.recorded_risk] || ''}` },
+                        order.recorded_risk, order.recorded_rule_set_version ? ` (${order.recorded_score}, v${order.recorded_rule_set_version})` : ''
+                    ),
+                    React.createElement('td', { className: `px-3 py-2 capitalize ${RISK_COLORS[order.fraud_risk]}` }, `${order.fraud_risk} (${order.fraud_score})`),
+                    React.createElement('td', { className: "px-3 py-2 text-xs text-gray-600" }, order.fraud_reasons.join('; ') || '—')
+                ))
+            )
+        )
+    )
+);
+
+// --- Main AdminFraudRules Component ---
+// Rule sets are versioned: the active one scores new orders, drafts are tuned and dry-run before activation.
+const AdminFraudRules = () => {
+    const { token } = useAuth();
+    const [ruleSets, setRuleSets] = useState([]);
+    const [conditions, setConditions] = useState([]);
+    const [selectedId, setSelectedId] = useState(null);
+    const [selected, setSelected] = useState(null);
+    const [editor, setEditor] = useState(null);
+    const [newConditionType, setNewConditionType] = useState('');
+    const [dryRun, setDryRun] = useState(null);
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const request = useCallback(async (path, options = {}) => {
+        const response = await fetch(`${API_BASE}/fraud-rules${path}`, {
+            ...options,
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` }
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.details ? data.details.join(', ') : (data.error || 'Request failed.'));
+        }
+        return data;
+    }, [token]);
+
+    const fetchRuleSets = useCallback(async () => {
+        if (!token) { setLoading(false); setError("Authentication token missing."); return; }
+        setError(null);
+        try {
+            const data = await request('');
+            setRuleSets(data.ruleSets);
+            setConditions(data.conditions);
+            setSelectedId(prev => prev || (data.ruleSets.find(ruleSet => ruleSet.status === 'active') || data.ruleSets[0] || {}).id || null);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [token, request]);
+
+    useEffect(() => { fetchRuleSets(); }, [fetchRuleSets]);
+
+    useEffect(() => {
+        if (!selectedId) return;
+        request(`/${selectedId}`)
+            .then(data => {
+                setSelected(data.ruleSet);
+                setEditor(toEditor(data.ruleSet));
+                setDryRun(null);
+            })
+            .catch(err => toast.error(err.message));
+    }, [selectedId, request]);
+
+    const isDraft = selected && selected.status === 'draft';
+
+    const updateRule = (index, changes) => setEditor(prev => ({ ...prev, rules: prev.rules.map((rule, i) => i === index ? { ...rule, ...changes } : rule) }));
+
+    const addRule = () => {
+        const condition = conditions.find(c => c.type === newConditionType);
+        if (!condition) return;
+        // Codes must be unique within a rule set
+        const codes = new Set(editor.rules.map(rule => rule.code));
+        let code = condition.type;
+        for (let n = 2; codes.has(code); n++) code = `${condition.type}_${n}`;
+        setEditor(prev => ({
+            ...prev,
+            rules: [...prev.rules, { code, name: condition.description.replace(/\.$/, ''), condition_type: condition.type, params: Object.fromEntries(condition.params.map(param => [param, '0'])), weight: '10', enabled: true }]
+        }));
+        setNewConditionType('');
+    };
+
+    const runAction = async (action, successMessage) => {
+        setBusy(true);
+        try {
+            const data = await action();
+            toast.success(data.message || successMessage);
+            return data;
+        } catch (err) {
+            toast.error(err.message);
+            return null;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleCopy = async () => {
+        const data = await runAction(() => request('', { method: 'POST', body: JSON.stringify({ based_on_id: selected.id }) }));
+        if (data) {
+            await fetchRuleSets();
+            setSelectedId(data.ruleSet.id);
+        }
+    };
+
+    const handleSave = async () => {
+        const data = await runAction(() => request(`/${selected.id}`, { method: 'PUT', body: JSON.stringify(fromEditor(editor)) }));
+        if (data) {
+            setSelected(data.ruleSet);
+            fetchRuleSets();
+        }
+    };
+
+    const handleActivate = async () => {
+        if (!window.confirm(`Activate version ${selected.version}? New orders will be scored with it; unsaved changes are not included.`)) return;
+        const data = await runAction(() => request(`/${selected.id}/activate`, { method: 'POST' }));
+        if (data) {
+            setSelected(data.ruleSet);
+            fetchRuleSets();
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete draft version ${selected.version}?`)) return;
+        const data = await runAction(() => request(`/${selected.id}`, { method: 'DELETE' }));
+        if (data) {
+            setSelectedId(null);
+            setSelected(null);
+            setEditor(null);
+            fetchRuleSets();
+        }
+    };
+
+    // Dry-runs what is in the editor, saved or not
+    const handleDryRun = async () => {
+        const candidate = fromEditor(editor);
+        const data = await runAction(() => request('/dry-run', {
+            method: 'POST',
+            body: JSON.stringify({
+                medium_threshold: candidate.medium_threshold,
+                high_threshold: candidate.high_threshold,
+                hold_threshold: candidate.hold_threshold,
+                rules: candidate.rules,
+                ...(from ? { from } : {}),
+                ...(to ? { to } : {})
+            })
+        }), 'Dry run complete.');
+        if (data) setDryRun(data);
+    };
+
+    if (loading) {
+        return React.createElement('div', { className: "flex justify-center items-center min-h-screen" }, React.createElement(Loader, { className: "animate-spin h-10 w-10 text-indigo-600" }));
+    }
+
+    return React.createElement('div', { className: "min-h-screen bg-gray-50 p-8" },
+        React.createElement('div', { className: "max-w-7xl mx-auto space-y-8" },
+            React.createElement('h1', { className: "text-3xl font-bold text-gray-900 flex items-center" }, React.createElement(ShieldAlert, { className: "h-8 w-8 mr-3 text-indigo-600" }), "Fraud Rules"),
+            error && React.createElement('div', { className: "bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" }, React.createElement(Server, { className: "inline-block h-5 w-5 mr-2" }), error),
+            React.createElement('div', { className: "grid grid-cols-1 lg:grid-cols-4 gap-6" },
+                // Versions
+                React.createElement('div', { className: "bg-white shadow-md rounded-lg overflow-hidden lg:col-span-1 self-start" },
+                    React.createElement('h2', { className: "px-4 py-3 border-b border-gray-200 text-lg font-semibold text-gray-800" }, "Versions"),
+                    React.createElement('ul', { className: "divide-y divide-gray-200" },
+                        ruleSets.map(ruleSet => React.createElement('li', { key: ruleSet.id },
+                            React.createElement('button', {
+                                onClick: () => setSelectedId(ruleSet.id),
+                                className: `w-full text-left px-4 py-3 hover:bg-gray-50 ${ruleSet.id === selectedId ? 'bg-indigo-50' : ''}`
+                            },
+                                React.createElement('div', { className: "flex justify-between items-center" },
+                                    React.createElement('span', { className: "font-medium text-gray-900" }, `Version ${ruleSet.version}`),
+                                    React.createElement('span', { className: `px-2 py-0.5 rounded-full text-xs font-semibold capitalize ${STATUS_COLORS[ruleSet.status]}` }, ruleSet.status)
+                                ),
+                                ruleSet.notes && React.createElement('div', { className: "text-xs text-gray-600 mt-1 truncate" }, ruleSet.notes),
+                                React.createElement('div', { className: "text-xs text-gray-500 mt-1" }, `${ruleSet.enabled_rule_count} of ${ruleSet.rule_count} rules on · ${ruleSet.orders_scored} order(s) scored`)
+                            )
+                        ))
+                    )
+                ),
+                // Editor
+                React.createElement('div', { className: "lg:col-span-3 space-y-6" },
+                    selected && editor && React.createElement('div', { className: "bg-white shadow-md rounded-lg p-6 space-y-4" },
+                        React.createElement('div', { className: "flex flex-wrap justify-between items-center gap-3" },
+                            React.createElement('h2', { className: "text-xl font-semibold text-gray-800" },
+                                `Version ${selected.version}`,
+                                React.createElement('span', { className: `ml-2 px-2 py-0.5 rounded-full text-xs font-semibold capitalize align-middle ${STATUS_COLORS[selected.status]}` }, selected.status)
+                            ),
+                            React.createElement('div', { className: "flex items-center space-x-2" },
+                                React.createElement('button', { onClick: handleCopy, disabled: busy, className: "px-3 py-2 rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200 flex items-center text-sm font-medium disabled:opacity-50" },
+                                    React.createElement(Copy, { className: "h-4 w-4 mr-1" }), "Copy to New Draft"
+                                ),
+                                isDraft && React.createElement('button', { onClick: handleSave, disabled: busy, className: "px-3 py-2 rounded-md bg-indigo-600 text-white hover:bg-indigo-700 flex items-center text-sm font-medium disabled:opacity-50" },
+                                    React.createElement(Save, { className: "h-4 w-4 mr-1" }), "Save"
+                                ),
+                                isDraft && React.createElement('button', { onClick: handleActivate, disabled: busy, className: "px-3 py-2 rounded-md bg-green-600 text-white hover:bg-green-700 flex items-center text-sm font-medium disabled:opacity-50" },
+                                    React.createElement(CheckCircle, { className: "h-4 w-4 mr-1" }), "Activate"
+                                ),
+                                isDraft && React.createElement('button', { onClick: handleDelete, disabled: busy, title: "Delete draft", className: "p-2 rounded-md text-red-600 hover:bg-red-50 disabled:opacity-50" },
+                                    React.createElement(Trash2, { className: "h-4 w-4" })
+                                )
+                            )
+                        ),
+                        !isDraft && React.createElement('p', { className: "text-sm text-gray-500" },
+                            `${selected.status === 'active' ? 'Active' : 'Retired'} rule sets cannot be changed, so every order keeps pointing at the rules that scored it. Copy this version to a new draft to tune it.`
+                        ),
+                        React.createElement('div', { className: "grid grid-cols-1 md:grid-cols-4 gap-4" },
+                            React.createElement('div', null,
+                                React.createElement('label', { htmlFor: "mediumThreshold", className: "block text-sm font-medium text-gray-700" }, "Medium risk from score"),
+                                React.createElement('input', { id: "mediumThreshold", type: "number", min: "1", value: editor.medium_threshold, disabled: !isDraft, onChange: (e) => setEditor(prev => ({ ...prev, medium_threshold: e.target.value })), className: `mt-1 w-full ${inputClass}` })
+                            ),
+                            React.createElement('div', null,
+                                React.createElement('label', { htmlFor: "highThreshold", className: "block text-sm font-medium text-gray-700" }, "High risk from score"),
+                                React.createElement('input', { id: "highThreshold", type: "number", min: "1", value: editor.high_threshold, disabled: !isDraft, onChange: (e) => setEditor(prev => ({ ...prev, high_threshold: e.target.value })), className: `mt-1 w-full ${inputClass}` })
+                            ),
+                            React.createElement('div', null,
+                                React.createElement('label', { htmlFor: "holdThreshold", className: "block text-sm font-medium text-gray-700" }, "Hold for review from score"),
+                                React.createElement('input', { id: "holdThreshold", type: "number", min: "1", value: editor.hold_threshold, placeholder: `${editor.high_threshold} (high risk)`, disabled: !isDraft, onChange: (e) => setEditor(prev => ({ ...prev, hold_threshold: e.target.value })), className: `mt-1 w-full ${inputClass}` })
+                            ),
+                            React.createElement('div', null,
+                                React.createElement('label', { htmlFor: "ruleSetNotes", className: "block text-sm font-medium text-gray-700" }, "Notes"),
+                                React.createElement('input', { id: "ruleSetNotes", value: editor.notes, disabled: !isDraft, onChange: (e) => setEditor(prev => ({ ...prev, notes: e.target.value })), className: `mt-1 w-full ${inputClass}` })
+                            )
+                        ),
+                        React.createElement('div', { className: "overflow-x-auto" },
+                            React.createElement('table', { className: "min-w-full divide-y divide-gray-200" },
+                                React.createElement('thead', { className: "bg-gray-50" },
+                                    React.createElement('tr', null,
+                                        ['On', 'Rule', 'Condition', 'Thresholds', 'Weight', ''].map((heading, index) =>
+                                            React.createElement('th', { key: index, className: "px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase" }, heading))
+                                    )
+                                ),
+                                React.createElement('tbody', { className: "divide-y divide-gray-200" },
+                                    editor.rules.map((rule, index) => {
+                                        const condition = conditions.find(c => c.type === rule.condition_type);
+                                        return React.createElement('tr', { key: rule.code, className: rule.enabled ? '' : 'opacity-60' },
+                                            React.createElement('td', { className: "px-3 py-2" },
+                                                React.createElement('input', { type: "checkbox", checked: rule.enabled, disabled: !isDraft, onChange: (e) => updateRule(index, { enabled: e.target.checked }), className: "rounded border-gray-300" })
+                                            ),
+                                            React.createElement('td', { className: "px-3 py-2" },
+                                                React.createElement('input', { value: rule.name, disabled: !isDraft, onChange: (e) => updateRule(index, { name: e.target.value }), className: `w-56 ${inputClass}` }),
+                                                React.createElement('div', { className: "text-xs text-gray-400 font-mono mt-1" }, rule.code)
+                                            ),
+                                            React.createElement('td', { className: "px-3 py-2 text-xs text-gray-600 max-w-xs" }, condition ? condition.description : rule.condition_type),
+                                            React.createElement('td', { className: "px-3 py-2" },
+                                                Object.keys(rule.params).length === 0
+                                                    ? React.createElement('span', { className: "text-xs text-gray-400" }, "—")
+                                                    : Object.entries(rule.params).map(([param, value]) => React.createElement('label', { key: param, className: "flex items-center text-xs text-gray-600 mb-1" },
+                                                        React.createElement('span', { className: "w-20" }, param),
+                                                        React.createElement('input', {
+                                                            type: "number", min: "0", step: "any", value, disabled: !isDraft,
+                                                            onChange: (e) => updateRule(index, { params: { ...rule.params, [param]: e.target.value } }),
+                                                            className: `w-24 ${inputClass}`
+                                                        })
+                                                    ))
+                                            ),
+                                            React.createElement('td', { className: "px-3 py-2" },
+                                                React.createElement('input', { type: "number", min: "0", value: rule.weight, disabled: !isDraft, onChange: (e) => updateRule(index, { weight: e.target.value }), className: `w-20 ${inputClass}` })
+                                            ),
+                                            React.createElement('td', { className: "px-3 py-2" },
+                                                isDraft && React.createElement('button', {
+                                                    onClick: () => setEditor(prev => ({ ...prev, rules: prev.rules.filter((_, i) => i !== index) })),
+                                                    title: "Remove rule", className: "text-red-600 hover:text-red-900"
+                                                }, React.createElement(Trash2, { className: "h-4 w-4" }))
+                                            )
+                                        );
+                                    })
+                                )
+                            )
+                        ),
+                        isDraft && React.createElement('div', { className: "flex items-center space-x-2" },
+                            React.createElement('select', { value: newConditionType, onChange: (e) => setNewConditionType(e.target.value), className: inputClass },
+                                React.createElement('option', { value: "" }, "Add a rule…"),
+                                conditions.map(condition => React.createElement('option', { key: condition.type, value: condition.type }, condition.type))
+                            ),
+                            React.createElement('button', { onClick: addRule, disabled: !newConditionType, className: "px-3 py-2 rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200 flex items-center text-sm font-medium disabled:opacity-50" },
+                                React.createElement(Plus, { className: "h-4 w-4 mr-1" }), "Add Rule"
+                            )
+                        ),
+                        React.createElement('div', { className: "flex flex-wrap items-center gap-2 pt-4 border-t border-gray-200" },
+                            React.createElement('span', { className: "text-sm text-gray-700" }, "Dry-run against orders from"),
+                            React.createElement('input', { type: "date", value: from, onChange: (e) => setFrom(e.target.value), className: inputClass }),
+                            React.createElement('span', { className: "text-sm text-gray-700" }, "to"),
+                            React.createElement('input', { type: "date", value: to, onChange: (e) => setTo(e.target.value), className: inputClass }),
+                            React.createElement('button', { onClick: handleDryRun, disabled: busy, className: "px-3 py-2 rounded-md bg-indigo-100 text-indigo-700 hover:bg-indigo-200 flex items-center text-sm font-medium disabled:opacity-50" },
+                                busy ? React.createElement(Loader, { className: "animate-spin h-4 w-4 mr-1" }) : React.createElement(Play, { className: "h-4 w-4 mr-1" }),
+                                "Dry Run"
+                            )
+                        )
+                    ),
+                    dryRun && React.createElement(DryRunResults, { result: dryRun, rules: editor ? editor.rules : [] })
+                )
+            )
+        )
+    );
+};
+
+export default AdminFraudRules;
@@ -0,0 +1,165 @@
+// frontend/src/pages/admin/AdminInventoryLedger.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import toast from 'react-hot-toast';
+import { BookOpen, Loader, Server, RefreshCw, CheckCircle, AlertTriangle, Wrench } from 'lucide-react';
+
+const API_BASE = 'http://localhost:5000/api/admin';
+
+const formatDifference = (difference) => difference > 0 ? `+${difference}` : String(difference);
+
+// --- Main AdminInventoryLedger Component ---
+// Stock balances must equal the replayed inventory_transactions; this page finds and repairs the ones that do not.
+const AdminInventoryLedger = () => {
+    const { token } = useAuth();
+    const [report, setReport] = useState(null);
+    const [selected, setSelected] = useState([]);
+    const [showAll, setShowAll] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [rebuilding, setRebuilding] = useState(false);
+    const [error, setError] = useState(null);
+
+    const runCheck = useCallback(async () => {
+        if (!token) { setLoading(false); setError("Authentication token missing."); return; }
+        setLoading(true);
+        setError(null);
+        try {
+            const response = await fetch(`${API_BASE}/inventory-ledger/integrity?mismatched_only=${showAll ? 'false' : 'true'}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            if (!response.ok) {
+                throw new Error('Failed to check the inventory ledger.');
+            }
+            setReport(await response.json());
+            setSelected([]);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [token, showAll]);
+
+    useEffect(() => { runCheck(); }, [runCheck]);
+
+    const handleRebuild = async (productIds) => {
+        const scope = productIds ? `${productIds.length} selected product(s)` : 'every mismatched product';
+        if (!window.confirm(`Reset the stock of ${scope} to what the ledger says? Off-ledger changes are discarded.`)) return;
+        setRebuilding(true);
+        try {
+            const response = await fetch(`${API_BASE}/inventory-ledger/rebuild`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+                body: JSON.stringify(productIds ? { product_ids: productIds } : {})
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to rebuild stock from the ledger.');
+            }
+            toast.success(data.message);
+            data.skipped.forEach(product => toast.error(`${product.sku} skipped: ${product.reason}`, { duration: 6000 }));
+            runCheck();
+        } catch (err) {
+            toast.error(err.message);
+        } finally {
+            setRebuilding(false);
+        }
+    };
+
+    const toggleSelected = (productId) => setSelected(prev => prev.includes(productId) ? prev.filter(id => id !== productId) : [...prev, productId]);
+
+    const products = report ? report.products : [];
+    const summary = report ? report.summary : null;
+
+    return React.createElement('div', { className: "min-h-screen bg-gray-50 p-8" },
+        React.createElement('div', { className: "max-w-7xl mx-auto space-y-8" },
+            React.createElement('div', { className: "flex justify-between items-center" },
+                React.createElement('h1', { className: "text-3xl font-bold text-gray-900 flex items-center" }, React.createElement(BookOpen, { className: "h-8 w-8 mr-3 text-indigo-600" }), "Inventory Ledger"),
+                React.createElement('button', { onClick: runCheck, disabled: loading, className: "px-4 py-2 rounded-md bg-indigo-600 text-white hover:bg-indigo-700 flex items-center text-sm font-medium disabled:opacity-50" },
+                    React.createElement(RefreshCw, { className: `h-4 w-4 mr-1 ${loading ? 'animate-spin' : ''}` }), "Run Check"
+                )
+            ),
+            error && React.createElement('div', { className: "bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" }, React.createElement(Server, { className: "inline-block h-5 w-5 mr-2" }), error),
+            summary && React.createElement('div', { className: "grid grid-cols-1 md:grid-cols-3 gap-6" },
+                React.createElement('div', { className: "bg-white shadow-md rounded-lg p-6" },
+                    React.createElement('p', { className: "text-sm text-gray-500" }, "Products checked"),
+                    React.createElement('p', { className: "text-3xl font-bold text-gray-900" }, summary.products)
+                ),
+                React.createElement('div', { className: "bg-white shadow-md rounded-lg p-6" },
+                    React.createElement('p', { className: "text-sm text-gray-500" }, "Out of balance"),
+                    React.createElement('p', { className: `text-3xl font-bold flex items-center ${summary.mismatched > 0 ? 'text-red-600' : 'text-green-600'}` },
+                        React.createElement(summary.mismatched > 0 ? AlertTriangle : CheckCircle, { className: "h-7 w-7 mr-2" }),
+                        summary.mismatched
+                    )
+                ),
+                React.createElement('div', { className: "bg-white shadow-md rounded-lg p-6" },
+                    React.createElement('p', { className: "text-sm text-gray-500" }, "Ledger rows out of sequence"),
+                    React.createElement('p', { className: `text-3xl font-bold ${summary.chain_breaks > 0 ? 'text-orange-600' : 'text-gray-900'}` }, summary.chain_breaks)
+                )
+            ),
+            React.createElement('div', { className: "bg-white shadow-md rounded-lg overflow-hidden" },
+                React.createElement('div', { className: "px-6 py-4 border-b border-gray-200 flex flex-wrap justify-between items-center gap-3" },
+                    React.createElement('div', null,
+                        React.createElement('h2', { className: "text-lg font-semibold text-gray-800" }, "Stock vs. Ledger"),
+                        report && React.createElement('p', { className: "text-xs text-gray-500" }, `Checked ${new Date(report.checked_at).toLocaleString()}`)
+                    ),
+                    React.createElement('div', { className: "flex items-center space-x-3" },
+                        React.createElement('label', { className: "flex items-center text-sm text-gray-700" },
+                            React.createElement('input', { type: "checkbox", checked: showAll, onChange: (e) => setShowAll(e.target.checked), className: "mr-2 rounded border-gray-300" }),
+                            "Show balanced products"
+                        ),
+                        React.createElement('button', {
+                            onClick: () => handleRebuild(selected), disabled: rebuilding || selected.length === 0,
+                            className: "px-3 py-2 rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200 text-sm font-medium disabled:opacity-50"
+                        }, `Rebuild Selected (${selected.length})`),
+                        React.createElement('button', {
+                            onClick: () => handleRebuild(null), disabled: rebuilding || !summary || summary.mismatched === 0,
+                            className: "px-3 py-2 rounded-md bg-red-600 text-white hover:bg-red-700 flex items-center text-sm font-medium disabled:opacity-50"
+                        },
+                            rebuilding ? React.createElement(Loader, { className: "animate-spin h-4 w-4 mr-1" }) : React.createElement(Wrench, { className: "h-4 w-4 mr-1" }),
+                            "Rebuild All Mismatched"
+                        )
+                    )
+                ),
+                loading && !report
+                    ? React.createElement('div', { className: "flex justify-center py-10" }, React.createElement(Loader, { className: "animate-spin h-8 w-8 text-indigo-600" }))
+                    : React.createElement('div', { className: "overflow-x-auto" },
+                        React.createElement('table', { className: "min-w-full divide-y divide-gray-200" },
+                            React.createElement('thead', { className: "bg-gray-50" },
+                                React.createElement('tr', null,
+                                    ['', 'Product', 'Stock', 'Ledger', 'Difference', 'By Warehouse', 'Out of Sequence'].map((heading, index) =>
+                                        React.createElement('th', { key: index, className: "px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, heading))
+                                )
+                            ),
+                            React.createElement('tbody', { className: "bg-white divide-y divide-gray-200" },
+                                products.length > 0 ? products.map(product => React.createElement('tr', { key: product.product_id, className: product.mismatched ? 'bg-red-50' : '' },
+                                    React.createElement('td', { className: "px-4 py-3" },
+                                        product.mismatched && React.createElement('input', {
+                                            type: "checkbox", checked: selected.includes(product.product_id), onChange: () => toggleSelected(product.product_id),
+                                            className: "rounded border-gray-300"
+                                        })
+                                    ),
+                                    React.createElement('td', { className: "px-4 py-3" },
+                                        React.createElement('div', { className: "text-sm font-medium text-gray-900" }, product.name, product.archived ? ' (archived)' : ''),
+                                        React.createElement('div', { className: "text-xs text-gray-500" }, product.sku)
+                                    ),
+                                    React.createElement('td', { className: "px-4 py-3 text-sm text-gray-700" }, product.stock_quantity),
+                                    React.createElement('td', { className: "px-4 py-3 text-sm text-gray-700" }, product.ledger_quantity),
+                                    React.createElement('td', { className: `px-4 py-3 text-sm font-semibold ${product.difference !== 0 ? 'text-red-700' : 'text-gray-500'}` }, formatDifference(product.difference)),
+                                    React.createElement('td', { className: "px-4 py-3 text-xs text-gray-600" },
+                                        product.warehouses.map(warehouse => React.createElement('div', { key: warehouse.warehouse_id, className: warehouse.difference !== 0 ? 'text-red-700 font-medium' : '' },
+                                            `${warehouse.warehouse_name || `Warehouse ${warehouse.warehouse_id}`}: ${warehouse.stock_quantity} on hand, ${warehouse.ledger_quantity} in ledger`
+                                        ))
+                                    ),
+                                    React.createElement('td', { className: "px-4 py-3 text-sm text-gray-700" },
+                                        product.chain_breaks > 0 ? `${product.chain_breaks} (first: #${product.first_chain_break})` : '—'
+                                    )
+                                )) : React.createElement('tr', null, React.createElement('td', { colSpan: "7", className: "text-center py-10 text-gray-500" }, "Every product's stock matches its ledger."))
+                            )
+                        )
+                    )
+            )
+        )
+    );
+};
+
+export default AdminInventoryLedger;
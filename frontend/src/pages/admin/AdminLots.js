@@ -0,0 +1,198 @@
+// frontend/src/pages/admin/AdminLots.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { useSocket } from '../../contexts/SocketContext';
+import toast from 'react-hot-toast';
+import { Layers, Loader, Server, RefreshCw, Search, AlertTriangle } from 'lucide-react';
+
+const API_BASE = 'http://localhost:5000/api/admin';
+
+const formatDate = (value) => value ? new Date(value).toLocaleDateString() : '—';
+
+// Colour of the days-left badge: expired, within a week, later
+const expiryBadgeClass = (days) => {
+    if (days < 0) return 'bg-red-100 text-red-800';
+    if (days <= 7) return 'bg-orange-100 text-orange-800';
+    return 'bg-yellow-100 text-yellow-800';
+};
+
+const warehouseSummary = (warehouses) => warehouses.map(w => `${w.warehouse_name}: ${w.quantity}`).join(' · ') || '—';
+
+// --- Recall Lookup Component ---
+const RecallLookup = ({ token }) => {
+    const [lotNumber, setLotNumber] = useState('');
+    const [recall, setRecall] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+
+    const handleSearch = async (e) => {
+        e.preventDefault();
+        if (!lotNumber.trim()) return;
+        setIsLoading(true);
+        try {
+            const response = await fetch(`${API_BASE}/lots/recall/${encodeURIComponent(lotNumber.trim())}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to look up lot.');
+            }
+            setRecall(data);
+        } catch (err) {
+            toast.error(err.message);
+            setRecall(null);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return React.createElement('div', { className: "bg-white shadow-md rounded-lg p-6" },
+        React.createElement('h2', { className: "text-lg font-semibold text-gray-800 mb-1" }, "Recall Lookup"),
+        React.createElement('p', { className: "text-sm text-gray-500 mb-4" }, "Every order that received units of a lot, and what is still in stock to quarantine."),
+        React.createElement('form', { onSubmit: handleSearch, className: "flex space-x-3 mb-4" },
+            React.createElement('input', {
+                type: "text", value: lotNumber, onChange: (e) => setLotNumber(e.target.value), placeholder: "Lot number, e.g. YM-24-0117",
+                className: "flex-1 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+            }),
+            React.createElement('button', { type: "submit", disabled: isLoading, className: "px-4 py-2 rounded-md bg-indigo-600 text-white hover:bg-indigo-700 flex items-center text-sm font-medium disabled:opacity-50" },
+                isLoading ? React.createElement(Loader, { className: "animate-spin h-4 w-4 mr-1" }) : React.createElement(Search, { className: "h-4 w-4 mr-1" }),
+                "Trace"
+            )
+        ),
+        recall && React.createElement('div', null,
+            React.createElement('p', { className: "text-sm text-gray-700 mb-3" },
+                `${recall.order_count} order(s) received ${recall.units_shipped} unit(s) of lot ${recall.lot_number}; ${recall.units_in_stock} unit(s) still in stock.`
+            ),
+            recall.lots.map(lot => React.createElement('div', { key: lot.id, className: "border border-gray-200 rounded-md mb-4" },
+                React.createElement('div', { className: "px-4 py-2 bg-gray-50 text-sm flex justify-between" },
+                    React.createElement('span', { className: "font-medium text-gray-900" }, `${lot.product_name} (${lot.sku})`),
+                    React.createElement('span', { className: "text-gray-500" }, `Expires ${formatDate(lot.expiry_date)} · In stock: ${warehouseSummary(lot.warehouses)}`)
+                ),
+                React.createElement('table', { className: "min-w-full divide-y divide-gray-200" },
+                    React.createElement('thead', null,
+                        React.createElement('tr', null,
+                            ['Order', 'Date', 'Status', 'Customer', 'Ship To', 'Units', 'Tracking'].map(heading =>
+                                React.createElement('th', { key: heading, className: "px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase" }, heading))
+                        )
+                    ),
+                    React.createElement('tbody', { className: "divide-y divide-gray-200" },
+                        lot.orders.length > 0 ? lot.orders.map(order => React.createElement('tr', { key: order.order_id },
+                            React.createElement('td', { className: "px-4 py-2 text-sm font-medium text-indigo-600" }, `#${order.order_id}`),
+                            React.createElement('td', { className: "px-4 py-2 text-sm text-gray-700" }, formatDate(order.order_date)),
+                            React.createElement('td', { className: "px-4 py-2 text-sm text-gray-700" }, order.order_status.replace(/_/g, ' ')),
+                            React.createElement('td', { className: "px-4 py-2 text-sm" },
+                                React.createElement('div', { className: "text-gray-900" }, order.user_name),
+                                React.createElement('div', { className: "text-xs text-gray-500" }, order.user_email)
+                            ),
+                            React.createElement('td', { className: "px-4 py-2 text-sm text-gray-700" }, order.shipping_address),
+                            React.createElement('td', { className: "px-4 py-2 text-sm text-gray-700" }, order.quantity),
+                            React.createElement('td', { className: "px-4 py-2 text-xs text-gray-500" }, order.tracking_numbers || '—')
+                        )) : React.createElement('tr', null, React.createElement('td', { colSpan: "7", className: "text-center py-4 text-sm text-gray-500" }, "No orders received this lot."))
+                    )
+                )
+            ))
+        )
+    );
+};
+
+// --- Main AdminLots Component ---
+const AdminLots = () => {
+    const { token } = useAuth();
+    const { socket } = useSocket();
+    const [report, setReport] = useState(null);
+    const [days, setDays] = useState('30');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const fetchReport = useCallback(async () => {
+        if (!token) { setLoading(false); setError("Authentication token missing."); return; }
+        setError(null);
+        try {
+            const response = await fetch(`${API_BASE}/lots/expiring?days=${days}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            if (!response.ok) {
+                const errData = await response.json();
+                throw new Error(errData.error || 'Failed to fetch expiring lots.');
+            }
+            setReport(await response.json());
+        } catch (err) {
+            setError(err.message);
+            setReport(null);
+        } finally {
+            setLoading(false);
+        }
+    }, [token, days]);
+
+    useEffect(() => { fetchReport(); }, [fetchReport]);
+
+    // Orders, receipts and transfers all move lot stock
+    useEffect(() => {
+        if (!socket) return;
+        const handleChange = () => fetchReport();
+        socket.on('inventory_changed', handleChange);
+        return () => socket.off('inventory_changed', handleChange);
+    }, [socket, fetchReport]);
+
+    if (loading) { return React.createElement('div', { className: "flex justify-center items-center h-screen bg-gray-50" }, React.createElement(Loader, { className: "animate-spin h-12 w-12 text-indigo-600" })); }
+
+    const lots = report ? report.lots : [];
+
+    return React.createElement('div', { className: "min-h-screen bg-gray-50 p-8" },
+        React.createElement('div', { className: "max-w-7xl mx-auto space-y-8" },
+            React.createElement('div', { className: "flex justify-between items-center" },
+                React.createElement('h1', { className: "text-3xl font-bold text-gray-900 flex items-center" }, React.createElement(Layers, { className: "h-8 w-8 mr-3 text-indigo-600" }), "Lots & Expiry"),
+                React.createElement('div', { className: "flex items-center space-x-3" },
+                    React.createElement('select', { value: days, onChange: (e) => setDays(e.target.value), className: "rounded-md border-gray-300 text-sm" },
+                        ['7', '14', '30', '60', '90', '180'].map(d => React.createElement('option', { key: d, value: d }, `Expiring within ${d} days`))
+                    ),
+                    React.createElement('button', { onClick: fetchReport, className: "p-2 rounded-full bg-indigo-100 text-indigo-600 hover:bg-indigo-200" }, React.createElement(RefreshCw, { className: "h-5 w-5" }))
+                )
+            ),
+            error && React.createElement('div', { className: "bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" }, React.createElement(Server, { className: "inline-block h-5 w-5 mr-2" }), error),
+            React.createElement('div', { className: "bg-white shadow-md rounded-lg overflow-hidden" },
+                React.createElement('div', { className: "px-6 py-4 border-b border-gray-200 flex justify-between items-center" },
+                    React.createElement('h2', { className: "text-lg font-semibold text-gray-800" }, "Expiring Soon"),
+                    report && React.createElement('span', { className: "text-sm text-gray-500" },
+                        report.expired_units > 0 && React.createElement('span', { className: "text-red-700 font-medium mr-3 inline-flex items-center" }, React.createElement(AlertTriangle, { className: "h-4 w-4 mr-1" }), `${report.expired_units} unit(s) expired`),
+                        `${report.expiring_units} unit(s) expiring`
+                    )
+                ),
+                React.createElement('div', { className: "overflow-x-auto" },
+                    React.createElement('table', { className: "min-w-full divide-y divide-gray-200" },
+                        React.createElement('thead', { className: "bg-gray-50" },
+                            React.createElement('tr', null,
+                                ['Lot', 'Product', 'Expiry', 'Days Left', 'On Hand', 'Warehouses', 'Received'].map(heading =>
+                                    React.createElement('th', { key: heading, className: "px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, heading))
+                            )
+                        ),
+                        React.createElement('tbody', { className: "bg-white divide-y divide-gray-200" },
+                            lots.length > 0 ? lots.map(lot => React.createElement('tr', { key: lot.id, className: "hover:bg-gray-50" },
+                                React.createElement('td', { className: "px-4 py-3 text-sm font-mono text-gray-900" }, lot.lot_number),
+                                React.createElement('td', { className: "px-4 py-3" },
+                                    React.createElement('div', { className: "text-sm font-medium text-gray-900" }, lot.product_name),
+                                    React.createElement('div', { className: "text-xs text-gray-500" }, lot.sku)
+                                ),
+                                React.createElement('td', { className: "px-4 py-3 text-sm text-gray-700" }, formatDate(lot.expiry_date)),
+                                React.createElement('td', { className: "px-4 py-3" },
+                                    React.createElement('span', { className: `px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${expiryBadgeClass(lot.days_until_expiry)}` },
+                                        lot.days_until_expiry < 0 ? `Expired ${-lot.days_until_expiry}d ago` : `${lot.days_until_expiry} days`)
+                                ),
+                                React.createElement('td', { className: "px-4 py-3 text-sm font-semibold text-gray-900" }, lot.on_hand),
+                                React.createElement('td', { className: "px-4 py-3 text-sm text-gray-700" }, warehouseSummary(lot.warehouses)),
+                                React.createElement('td', { className: "px-4 py-3 text-sm text-gray-500" },
+                                    lot.receipt_number
+                                        ? React.createElement(Link, { to: "/admin/purchase-orders", className: "text-indigo-600 hover:underline" }, lot.receipt_number)
+                                        : formatDate(lot.created_at)
+                                )
+                            )) : React.createElement('tr', null, React.createElement('td', { colSpan: "7", className: "text-center py-10 text-gray-500" }, `No lots in stock expire within ${days} days.`))
+                        )
+                    )
+                )
+            ),
+            React.createElement(RecallLookup, { token })
+        )
+    );
+};
+
+export default AdminLots;
@@ -3,8 +3,9 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { useSocket } from '../../contexts/SocketContext';
 import toast from 'react-hot-toast';
+import { Link } from 'react-router-dom';
 import {
-    ClipboardList, Loader, Server, RefreshCw, ChevronLeft, ChevronRight, Eye
+    ClipboardList, Loader, Server, RefreshCw, ChevronLeft, ChevronRight, Eye, XCircle
 } from 'lucide-react';
 // Import the FraudAnalysisModal from its new location
 import FraudAnalysisModal from '../../components/FraudAnalysisModal';
@@ -49,6 +50,10 @@ const getRiskVisuals = (item) => {
     }
 };
 
+// An order can be cancelled (and restocked) until any of its parcels leaves the warehouse
+const isCancellable = (order) =>
+    ['pending', 'processing'].includes(order.status) && !order.dispatched_shipment_count;
+
 // --- Main AdminOrders Component ---
 const AdminOrders = () => {
     const { token } = useAuth();
@@ -59,6 +64,7 @@ const AdminOrders = () => {
     const [currentPage, setCurrentPage] = useState(1);
     const [totalOrders, setTotalOrders] = useState(0);
     const [selectedOrder, setSelectedOrder] = useState(null); // For the fraud modal
+    const [cancellingOrderId, setCancellingOrderId] = useState(null);
 
     const fetchOrders = useCallback(async (page = 1) => {
         if (!token) { setLoading(false); setError("Authentication token is missing."); return; }
@@ -103,11 +109,34 @@ const AdminOrders = () => {
 
     useEffect(() => { fetchOrders(currentPage); }, [fetchOrders, currentPage]);
 
+    const handleCancelOrder = async (order) => {
+        const reason = window.prompt(`Cancel order #${order.id}? Its stock will be returned and a refund of $${parseFloat(order.total_amount).toFixed(2)} recorded. Reason:`, '');
+        if (reason === null) return;
+        setCancellingOrderId(order.id);
+        try {
+            const response = await fetch(`http://localhost:5000/api/admin/orders/${order.id}/cancel`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+                body: JSON.stringify(reason.trim() ? { reason: reason.trim() } : {})
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to cancel order.');
+            setOrders(prev => prev.map(o => o.id === order.id ? { ...o, status: data.order.status } : o));
+            toast.success(`Order #${order.id} cancelled and restocked.`);
+        } catch (err) {
+            toast.error(err.message);
+        } finally {
+            setCancellingOrderId(null);
+        }
+    };
+
     useEffect(() => {
         if (!socket) return;
         const handleNewOrder = (newOrder) => {
             // Check fraud risk for special toast
-            if (newOrder.fraud_risk === 'high') {
+            if (newOrder.status === 'on_hold') {
+                toast.error(`Order #${newOrder.id} is on hold for fraud review.`, { duration: 6000, icon: '🚨' });
+            } else if (newOrder.fraud_risk === 'high') {
                 toast.error(`High-Risk Order #${newOrder.id} detected! Please review.`, { duration: 6000, icon: '🚨' });
             } else {
                 toast.success(`New order #${newOrder.id} received from ${newOrder.user_name}!`);
@@ -128,8 +157,15 @@ const AdminOrders = () => {
             setOrders(prevOrders => [orderWithParsedReasons, ...prevOrders].slice(0, ITEMS_PER_PAGE));
             setTotalOrders(prevTotal => prevTotal + 1);
         };
+        const handleStatusUpdate = (update) => {
+            setOrders(prevOrders => prevOrders.map(o => o.id === update.orderId ? { ...o, status: update.status } : o));
+        };
         socket.on('order_created', handleNewOrder);
-        return () => { socket.off('order_created', handleNewOrder); };
+        socket.on('order_status_updated', handleStatusUpdate);
+        return () => {
+            socket.off('order_created', handleNewOrder);
+            socket.off('order_status_updated', handleStatusUpdate);
+        };
     }, [socket]);
 
     const totalPages = Math.ceil(totalOrders / ITEMS_PER_PAGE);
@@ -152,7 +188,7 @@ const AdminOrders = () => {
                                     React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Order"),
                                     React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Customer"),
                                     React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Total"),
-                                    // Removed the Status column header
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Status"),
                                     React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Fraud Risk"),
                                     React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Actions")
                                 )
@@ -165,8 +201,14 @@ const AdminOrders = () => {
                                             React.createElement('td', { className: "px-6 py-4" }, React.createElement('div', { className: "text-sm font-semibold text-indigo-600" }, `#${order.id}`), React.createElement('div', { className: "text-xs text-gray-500" }, formatDate(order.order_date))),
                                             React.createElement('td', { className: "px-6 py-4" }, React.createElement('div', { className: "text-sm font-medium text-gray-900" }, order.user_name), React.createElement('div', { className: "text-sm text-gray-500" }, order.user_email)),
                                             React.createElement('td', { className: "px-6 py-4 text-sm font-bold text-gray-900" }, `$${parseFloat(order.total_amount).toFixed(2)}`),
+                                            React.createElement('td', { className: `px-6 py-4 text-sm capitalize ${order.status === 'cancelled' ? 'text-red-600' : order.status === 'on_hold' ? 'text-yellow-700 font-semibold' : 'text-gray-700'}` },
+                                                order.status.replace(/_/g, ' '),
+                                                // Held orders are released or cancelled from the review queue
+                                                order.status === 'on_hold' && React.createElement(Link, { to: "/admin/fraud-review", className: "block text-xs text-indigo-600 hover:text-indigo-900 normal-case font-normal" }, "Open review queue"),
+                                                order.shipment_count > 1 && React.createElement('div', { className: "text-xs text-gray-500 normal-case" }, `${order.dispatched_shipment_count} of ${order.shipment_count} parcels dispatched`)
+                                            ),
                                             React.createElement('td', { className: "px-6 py-4" }, React.createElement('span', { className: `inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${risk.color}` }, risk.text)),
-                                            React.createElement('td', { className: "px-6 py-4" },
+                                            React.createElement('td', { className: "px-6 py-4 whitespace-nowrap" },
                                                 // Conditional rendering for Actions based on fraud_risk
                                                 (order.fraud_risk === 'low' || order.fraud_risk === 'medium') ? (
                                                     React.createElement('span', { className: "text-green-600 font-semibold" }, "OK")
@@ -176,11 +218,17 @@ const AdminOrders = () => {
                                                         onClick: () => setSelectedOrder(order),
                                                         className: "text-indigo-600 hover:text-indigo-900"
                                                     }, React.createElement(Eye, { className: "h-5 w-5" }))
-                                                )
+                                                ),
+                                                isCancellable(order) && React.createElement('button', {
+                                                    onClick: () => handleCancelOrder(order),
+                                                    disabled: cancellingOrderId === order.id,
+                                                    title: "Cancel order",
+                                                    className: "ml-3 align-middle text-red-600 hover:text-red-900 disabled:opacity-50"
+                                                }, React.createElement(XCircle, { className: "h-5 w-5" }))
                                             )
                                         );
                                     })
-                                ) : (React.createElement('tr', null, React.createElement('td', { colSpan: "5", className: "text-center py-10 text-gray-500" }, "No orders found."))) // Changed colSpan to 5
+                                ) : (React.createElement('tr', null, React.createElement('td', { colSpan: "6", className: "text-center py-10 text-gray-500" }, "No orders found.")))
                             )
                         )
                     ),
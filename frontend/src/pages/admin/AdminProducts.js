@@ -3,20 +3,69 @@ import { useAuth } from '../../contexts/AuthContext';
 import { useSocket } from '../../contexts/SocketContext'; // Ensure this context correctly connects to your backend
 import toast from 'react-hot-toast';
 import {
-    Package, AlertTriangle, CheckCircle, RefreshCw, Edit, Wifi, WifiOff, Server, Loader, ChevronLeft, ChevronRight
+    Package, AlertTriangle, CheckCircle, RefreshCw, Edit, Wifi, WifiOff, Server, Loader, ChevronLeft, ChevronRight, Plus, Pencil, Archive, ArchiveRestore, Warehouse, Grid3x3
 } from 'lucide-react';
 
 // import axios from 'axios'; // Uncomment if you prefer using axios
 
 const ITEMS_PER_PAGE = 10;
 
+// Why stock was changed; mirrors ADJUSTMENT_REASON_CODES on the backend
+const ADJUSTMENT_REASON_CODES = ['damaged', 'expired', 'lost', 'theft', 'found', 'miscount', 'data_entry', 'other'];
+
+// ABC: share of revenue; XYZ: how steady weekly demand is. Set by the ABC/XYZ analysis on the backend
+const ABC_CLASSES = ['A', 'B', 'C'];
+const XYZ_CLASSES = ['X', 'Y', 'Z'];
+const CLASS_COLORS = {
+    AX: 'bg-green-200 text-green-900', AY: 'bg-green-100 text-green-800', AZ: 'bg-yellow-100 text-yellow-800',
+    BX: 'bg-green-100 text-green-800', BY: 'bg-yellow-100 text-yellow-800', BZ: 'bg-orange-100 text-orange-800',
+    CX: 'bg-yellow-100 text-yellow-800', CY: 'bg-orange-100 text-orange-800', CZ: 'bg-red-100 text-red-800'
+};
+
 // --- Reusable Stock Update Modal Component ---
+// Stock is set per warehouse; the product total is the sum of its locations.
 const StockUpdateModal = ({ product, onClose, token }) => {
+    const locations = product.stock_locations || [];
+    const defaultLocation = locations.find(l => l.warehouse_name === product.location) || locations[0];
+    const [warehouses, setWarehouses] = useState([]);
+    const [warehouseId, setWarehouseId] = useState(defaultLocation ? String(defaultLocation.warehouse_id) : '');
     // Initialize newStock as a string to properly handle input changes (e.g., clearing the input)
-    const [newStock, setNewStock] = useState(String(product.stock_quantity));
+    const [newStock, setNewStock] = useState(String(defaultLocation ? defaultLocation.quantity : product.stock_quantity));
+    const [reasonCode, setReasonCode] = useState('other');
+    const [reason, setReason] = useState('');
+    // Tracked products name the lot, or scan the serials, of the units added or removed
+    const [lotNumber, setLotNumber] = useState('');
+    const [expiryDate, setExpiryDate] = useState('');
+    const [serialText, setSerialText] = useState('');
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState('');
 
+    useEffect(() => {
+        const fetchWarehouses = async () => {
+            try {
+                const response = await fetch('http://localhost:5000/api/admin/warehouses', {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                const data = await response.json();
+                setWarehouses(Array.isArray(data.warehouses) ? data.warehouses : []);
+            } catch (err) {
+                console.error("Error fetching warehouses:", err);
+                setError('Failed to load warehouses.');
+            }
+        };
+        fetchWarehouses();
+    }, [token]);
+
+    const handleWarehouseChange = (e) => {
+        const selectedId = e.target.value;
+        const location = locations.find(l => String(l.warehouse_id) === selectedId);
+        setWarehouseId(selectedId);
+        setNewStock(String(location ? location.quantity : 0));
+    };
+
     const handleUpdate = async () => {
         // Parse the input value to an integer for validation and sending
         const parsedStock = parseInt(newStock, 10);
@@ -34,7 +83,15 @@ const StockUpdateModal = ({ product, onClose, token }) => {
             const response = await fetch(`http://localhost:5000/api/admin/products/${product.id}/stock`, {
                 method: 'PUT',
                 headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
-                body: JSON.stringify({ stock_quantity: parsedStock }), // Send the parsed number
+                body: JSON.stringify({
+                    stock_quantity: parsedStock, // Send the parsed number
+                    warehouse_id: warehouseId ? parseInt(warehouseId, 10) : undefined,
+                    reason_code: reasonCode,
+                    reason: reason.trim() || undefined,
+                    lot_number: product.track_lots ? lotNumber.trim() || undefined : undefined,
+                    expiry_date: product.track_lots ? expiryDate || undefined : undefined,
+                    serial_numbers: product.track_serials ? serialText.split(/[\n,]+/).map(s => s.trim()).filter(Boolean) : undefined
+                }),
             });
 
             // If using axios (uncomment and replace fetch block):
@@ -48,10 +105,15 @@ const StockUpdateModal = ({ product, onClose, token }) => {
                 throw new Error(errData.error || 'Failed to update stock.');
             }
             // For axios, you'd check response.status >= 200 && response.status < 300
+            const data = await response.json();
 
             // The server will broadcast the change via Socket.IO.
             // We just close the modal and show a success toast.
             toast.success(`Stock for ${product.name} is being updated.`);
+            if (data.filled_backorders && data.filled_backorders.length > 0) {
+                const units = data.filled_backorders.reduce((sum, backorder) => sum + backorder.quantity, 0);
+                toast.success(`${units} unit(s) allocated to ${data.filled_backorders.length} waiting backorder(s).`);
+            }
             onClose(); // Close the modal on successful update
         } catch (err) {
             console.error("Error updating stock:", err);
@@ -64,9 +126,20 @@ const StockUpdateModal = ({ product, onClose, token }) => {
     return React.createElement('div', { className: "fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50" },
         React.createElement('div', { className: "bg-white rounded-lg shadow-xl p-6 w-full max-w-md" },
             React.createElement('h2', { className: "text-2xl font-bold text-gray-800 mb-4" }, `Update Stock: ${product.name}`),
-            React.createElement('p', { className: "text-gray-600 mb-4" }, "Current Stock: ", React.createElement('span', { className: "font-semibold" }, product.stock_quantity)),
+            React.createElement('p', { className: "text-gray-600 mb-4" }, "Total Stock (all warehouses): ", React.createElement('span', { className: "font-semibold" }, product.stock_quantity)),
+            React.createElement('div', { className: "mb-4" },
+                React.createElement('label', { htmlFor: "warehouse", className: "block text-sm font-medium text-gray-700" }, "Warehouse"),
+                React.createElement('select', {
+                    id: "warehouse",
+                    value: warehouseId,
+                    onChange: handleWarehouseChange,
+                    className: "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+                },
+                    warehouses.map(w => React.createElement('option', { key: w.id, value: String(w.id) }, `${w.name} (${w.code})${w.is_active ? '' : ' - inactive'}`))
+                )
+            ),
             React.createElement('div', null,
-                React.createElement('label', { htmlFor: "stock", className: "block text-sm font-medium text-gray-700" }, "New Stock Quantity"),
+                React.createElement('label', { htmlFor: "stock", className: "block text-sm font-medium text-gray-700" }, "New Quantity in Warehouse"),
                 React.createElement('input', {
                     type: "number", // Use type="number" for browser-level numeric input
                     id: "stock",
@@ -75,6 +148,58 @@ const StockUpdateModal = ({ product, onClose, token }) => {
                     className: "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
                 })
             ),
+            React.createElement('div', { className: "mt-4" },
+                React.createElement('label', { htmlFor: "reasonCode", className: "block text-sm font-medium text-gray-700" }, "Reason"),
+                React.createElement('select', {
+                    id: "reasonCode",
+                    value: reasonCode,
+                    onChange: (e) => setReasonCode(e.target.value),
+                    className: "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+                },
+                    ADJUSTMENT_REASON_CODES.map(code => React.createElement('option', { key: code, value: code }, code.replace('_', ' ')))
+                ),
+                React.createElement('input', {
+                    type: "text",
+                    value: reason,
+                    onChange: (e) => setReason(e.target.value),
+                    placeholder: "Note (optional)",
+                    className: "mt-2 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+                })
+            ),
+            product.track_lots === 1 && React.createElement('div', { className: "mt-4 grid grid-cols-2 gap-3" },
+                React.createElement('div', null,
+                    React.createElement('label', { htmlFor: "lotNumber", className: "block text-sm font-medium text-gray-700" }, "Lot"),
+                    React.createElement('input', {
+                        type: "text",
+                        id: "lotNumber",
+                        value: lotNumber,
+                        onChange: (e) => setLotNumber(e.target.value),
+                        placeholder: "Lot the units are added to or taken from",
+                        className: "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+                    })
+                ),
+                React.createElement('div', null,
+                    React.createElement('label', { htmlFor: "expiryDate", className: "block text-sm font-medium text-gray-700" }, "Expiry (new lot)"),
+                    React.createElement('input', {
+                        type: "date",
+                        id: "expiryDate",
+                        value: expiryDate,
+                        onChange: (e) => setExpiryDate(e.target.value),
+                        className: "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+                    })
+                )
+            ),
+            product.track_serials === 1 && React.createElement('div', { className: "mt-4" },
+                React.createElement('label', { htmlFor: "serialNumbers", className: "block text-sm font-medium text-gray-700" }, "Serial numbers of the units added or removed"),
+                React.createElement('textarea', {
+                    id: "serialNumbers",
+                    rows: 3,
+                    value: serialText,
+                    onChange: (e) => setSerialText(e.target.value),
+                    placeholder: "One per line",
+                    className: "mt-1 block w-full rounded-md border-gray-300 shadow-sm font-mono text-sm focus:border-indigo-500 focus:ring-indigo-500"
+                })
+            ),
             error && React.createElement('p', { className: "text-red-500 text-sm mt-2" }, error),
             React.createElement('div', { className: "mt-6 flex justify-end space-x-3" },
                 React.createElement('button', { onClick: onClose, disabled: isLoading, className: "px-4 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 disabled:opacity-50" }, "Cancel"),
@@ -87,6 +212,175 @@ const StockUpdateModal = ({ product, onClose, token }) => {
     );
 };
 
+// --- Product Create/Edit Modal Component ---
+// When `product` is null the modal creates a new product, otherwise it edits the given one.
+const EMPTY_PRODUCT_FORM = { name: '', description: '', price: '', stock_quantity: '0', category: '', sku: '', min_stock: '10', location: 'Warehouse A', allow_backorder: false, track_lots: false, track_serials: false, lot_number: '', expiry_date: '', serial_numbers: '' };
+
+const ProductFormModal = ({ product, onClose, token }) => {
+    const isEdit = Boolean(product);
+    const [form, setForm] = useState(() => isEdit ? {
+        name: product.name,
+        description: product.description || '',
+        price: String(product.price),
+        category: product.category,
+        sku: product.sku,
+        min_stock: String(product.min_stock ?? 10),
+        location: product.location || '',
+        allow_backorder: Boolean(product.allow_backorder),
+        track_lots: Boolean(product.track_lots),
+        track_serials: Boolean(product.track_serials)
+    } : EMPTY_PRODUCT_FORM);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleChange = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+    const handleSubmit = async () => {
+        const price = parseFloat(form.price);
+        const minStock = parseInt(form.min_stock, 10);
+        if (!form.name.trim() || !form.category.trim() || !form.sku.trim()) {
+            setError('Name, category and SKU are required.');
+            return;
+        }
+        if (isNaN(price) || price <= 0) {
+            setError('Please enter a valid price greater than zero.');
+            return;
+        }
+        if (isNaN(minStock) || minStock < 0) {
+            setError('Minimum stock must be a non-negative number.');
+            return;
+        }
+
+        const payload = {
+            name: form.name.trim(),
+            description: form.description.trim(),
+            price,
+            category: form.category.trim(),
+            sku: form.sku.trim().toUpperCase(),
+            min_stock: minStock,
+            location: form.location.trim() || 'Warehouse A',
+            allow_backorder: form.allow_backorder,
+            track_lots: form.track_lots,
+            track_serials: form.track_serials
+        };
+        if (!isEdit) {
+            const initialStock = parseInt(form.stock_quantity, 10);
+            if (isNaN(initialStock) || initialStock < 0) {
+                setError('Initial stock must be a non-negative number.');
+                return;
+            }
+            payload.stock_quantity = initialStock;
+            // Initial stock of a tracked product arrives in a lot, or under its serial numbers
+            if (form.track_lots && initialStock > 0) {
+                payload.lot_number = form.lot_number.trim();
+                payload.expiry_date = form.expiry_date || null;
+            }
+            if (form.track_serials && initialStock > 0) {
+                payload.serial_numbers = form.serial_numbers.split(/[\n,]+/).map(s => s.trim()).filter(Boolean);
+            }
+        }
+
+        setIsLoading(true);
+        setError('');
+        try {
+            const response = await fetch(`http://localhost:5000/api/admin/products${isEdit ? `/${product.id}` : ''}`, {
+                method: isEdit ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+                body: JSON.stringify(payload),
+            });
+            if (!response.ok) {
+                const errData = await response.json();
+                throw new Error(errData.details ? errData.details.join(', ') : (errData.error || 'Failed to save product.'));
+            }
+            // The server broadcasts product_created / inventory_changed, which refreshes the list.
+            toast.success(isEdit ? `${payload.name} updated.` : `${payload.name} created.`);
+            onClose();
+        } catch (err) {
+            console.error("Error saving product:", err);
+            setError(err.message);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const renderField = (field, label, inputProps = { type: "text" }, element = 'input') => React.createElement('div', null,
+        React.createElement('label', { htmlFor: field, className: "block text-sm font-medium text-gray-700" }, label),
+        React.createElement(element, {
+            id: field,
+            value: form[field],
+            onChange: handleChange(field),
+            className: "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500",
+            ...inputProps
+        })
+    );
+
+    return React.createElement('div', { className: "fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50" },
+        React.createElement('div', { className: "bg-white rounded-lg shadow-xl p-6 w-full max-w-lg" },
+            React.createElement('h2', { className: "text-2xl font-bold text-gray-800 mb-4" }, isEdit ? `Edit Product: ${product.name}` : 'Add New Product'),
+            React.createElement('div', { className: "grid grid-cols-2 gap-4" },
+                React.createElement('div', { className: "col-span-2" }, renderField('name', 'Name')),
+                React.createElement('div', { className: "col-span-2" }, renderField('description', 'Description', { rows: 2 }, 'textarea')),
+                renderField('sku', 'SKU', { type: "text", placeholder: 'e.g., ELEC-LP-02' }),
+                renderField('category', 'Category', { type: "text", placeholder: 'e.g., Electronics' }),
+                renderField('price', 'Price ($)', { type: 'number', step: '0.01', min: '0' }),
+                renderField('min_stock', 'Minimum Stock', { type: 'number', min: '0' }),
+                renderField('location', 'Location'),
+                !isEdit && renderField('stock_quantity', 'Initial Stock', { type: 'number', min: '0' }),
+                React.createElement('label', { className: "col-span-2 flex items-start text-sm text-gray-700" },
+                    React.createElement('input', {
+                        type: "checkbox",
+                        checked: form.allow_backorder,
+                        onChange: (e) => setForm(prev => ({ ...prev, allow_backorder: e.target.checked })),
+                        className: "mt-0.5 mr-2 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                    }),
+                    React.createElement('span', null,
+                        React.createElement('span', { className: "font-medium" }, "Allow backorders"),
+                        React.createElement('span', { className: "block text-xs text-gray-500" }, "Orders beyond available stock are accepted; the short quantity ships when stock is received.")
+                    )
+                ),
+                React.createElement('label', { className: "col-span-2 flex items-start text-sm text-gray-700" },
+                    React.createElement('input', {
+                        type: "checkbox",
+                        checked: form.track_lots,
+                        onChange: (e) => setForm(prev => ({ ...prev, track_lots: e.target.checked })),
+                        className: "mt-0.5 mr-2 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                    }),
+                    React.createElement('span', null,
+                        React.createElement('span', { className: "font-medium" }, "Track lots"),
+                        React.createElement('span', { className: "block text-xs text-gray-500" }, "Goods receipts must name a lot and expiry date; orders ship first-expiry-first-out and record the lot.")
+                    )
+                ),
+                React.createElement('label', { className: "col-span-2 flex items-start text-sm text-gray-700" },
+                    React.createElement('input', {
+                        type: "checkbox",
+                        checked: form.track_serials,
+                        onChange: (e) => setForm(prev => ({ ...prev, track_serials: e.target.checked })),
+                        className: "mt-0.5 mr-2 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                    }),
+                    React.createElement('span', null,
+                        React.createElement('span', { className: "font-medium" }, "Track serial numbers"),
+                        React.createElement('span', { className: "block text-xs text-gray-500" }, "Every unit gets a serial number at goods receipt, and each one must be scanned into its parcel before it ships.")
+                    )
+                ),
+                isEdit && ((form.track_lots && !product.track_lots) || (form.track_serials && !product.track_serials)) && product.stock_quantity > 0 &&
+                    React.createElement('p', { className: "col-span-2 text-xs text-amber-700" }, "Tracking can only be switched on while the product has no stock on hand or in transit."),
+                !isEdit && form.track_lots && parseInt(form.stock_quantity, 10) > 0 && renderField('lot_number', 'Lot of the Initial Stock'),
+                !isEdit && form.track_lots && parseInt(form.stock_quantity, 10) > 0 && renderField('expiry_date', 'Lot Expiry', { type: 'date' }),
+                !isEdit && form.track_serials && parseInt(form.stock_quantity, 10) > 0 && React.createElement('div', { className: "col-span-2" },
+                    renderField('serial_numbers', 'Serial Numbers of the Initial Stock (one per line)', { rows: 3, className: "mt-1 block w-full rounded-md border-gray-300 shadow-sm font-mono text-sm focus:border-indigo-500 focus:ring-indigo-500" }, 'textarea'))
+            ),
+            error && React.createElement('p', { className: "text-red-500 text-sm mt-2" }, error),
+            React.createElement('div', { className: "mt-6 flex justify-end space-x-3" },
+                React.createElement('button', { onClick: onClose, disabled: isLoading, className: "px-4 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 disabled:opacity-50" }, "Cancel"),
+                React.createElement('button', { onClick: handleSubmit, disabled: isLoading, className: "px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:bg-indigo-400 flex items-center" },
+                    isLoading && React.createElement(Loader, { className: "animate-spin h-5 w-5 mr-2" }),
+                    isLoading ? 'Saving...' : (isEdit ? 'Save Changes' : 'Create Product')
+                )
+            )
+        )
+    );
+};
+
 // --- Reusable Pagination Component ---
 const Pagination = ({ currentPage, totalPages, onPageChange }) => {
     // Avoid rendering pagination if there's only one page
@@ -103,6 +397,42 @@ const Pagination = ({ currentPage, totalPages, onPageChange }) => {
     );
 };
 
+// --- ABC/XYZ Matrix: product counts per class pair; clicking a cell filters the table to it ---
+const ClassificationMatrix = ({ products, abcFilter, xyzFilter, onSelect }) => {
+    const counts = {};
+    products.forEach(product => {
+        if (product.abc_class && product.xyz_class) {
+            const key = `${product.abc_class}${product.xyz_class}`;
+            counts[key] = (counts[key] || 0) + 1;
+        }
+    });
+
+    return React.createElement('table', { className: "text-sm border-collapse" },
+        React.createElement('thead', null,
+            React.createElement('tr', null,
+                React.createElement('th', { className: "px-2 py-1" }),
+                XYZ_CLASSES.map(xyzClass => React.createElement('th', { key: xyzClass, className: "px-2 py-1 text-xs font-medium text-gray-500" }, xyzClass))
+            )
+        ),
+        React.createElement('tbody', null,
+            ABC_CLASSES.map(abcClass => React.createElement('tr', { key: abcClass },
+                React.createElement('th', { className: "px-2 py-1 text-xs font-medium text-gray-500" }, abcClass),
+                XYZ_CLASSES.map(xyzClass => {
+                    const key = `${abcClass}${xyzClass}`;
+                    const isSelected = abcFilter === abcClass && xyzFilter === xyzClass;
+                    return React.createElement('td', { key, className: "p-1" },
+                        React.createElement('button', {
+                            onClick: () => isSelected ? onSelect('', '') : onSelect(abcClass, xyzClass),
+                            title: `${key}: ${counts[key] || 0} product(s)`,
+                            className: `w-16 h-10 rounded font-semibold ${CLASS_COLORS[key]} ${isSelected ? 'ring-2 ring-indigo-600' : 'hover:opacity-80'}`
+                        }, counts[key] || 0)
+                    );
+                })
+            ))
+        )
+    );
+};
+
 // --- Main AdminProducts Component ---
 const AdminProducts = () => {
     const { token } = useAuth();
@@ -111,7 +441,12 @@ const AdminProducts = () => {
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [selectedProduct, setSelectedProduct] = useState(null);
+    // null = closed, {} = create, { product } = edit
+    const [productForm, setProductForm] = useState(null);
     const [currentPage, setCurrentPage] = useState(1);
+    const [abcFilter, setAbcFilter] = useState('');
+    const [xyzFilter, setXyzFilter] = useState('');
+    const [classifying, setClassifying] = useState(false);
 
     // This function fetches products from the API.
     const fetchProducts = useCallback(async () => {
@@ -175,7 +510,7 @@ const AdminProducts = () => {
             // Update the product in the state if it exists, otherwise add it (though for updates, it should exist)
             setProducts(prevProducts => {
                 const updatedList = prevProducts.map(p =>
-                    p.id === updatedProduct.id ? updatedProduct : p
+                    p.id === updatedProduct.id ? { ...p, ...updatedProduct } : p
                 );
                 // Optional: If a product could be added via this event and needs to be sorted
                 // if (!updatedList.some(p => p.id === updatedProduct.id)) {
@@ -186,25 +521,104 @@ const AdminProducts = () => {
             toast.success(`Stock for ${updatedProduct.name} updated in real-time!`);
         };
 
+        const handleProductCreated = (newProduct) => {
+            setProducts(prevProducts => {
+                const withoutDuplicate = prevProducts.filter(p => p.id !== newProduct.id);
+                return [...withoutDuplicate, newProduct].sort((a, b) => a.name.localeCompare(b.name));
+            });
+            toast.success(`${newProduct.name} is now in the catalog.`);
+        };
+
+        const handleProductArchived = (archivedProduct) => {
+            setProducts(prevProducts => prevProducts.map(p => p.id === archivedProduct.id ? archivedProduct : p));
+            toast(`${archivedProduct.name} was archived.`);
+        };
+
         socket.on('inventory_changed', handleInventoryChanged);
+        socket.on('product_created', handleProductCreated);
+        socket.on('product_archived', handleProductArchived);
 
-        // Cleanup function for useEffect: remove the event listener when component unmounts
+        // Cleanup function for useEffect: remove the event listeners when component unmounts
         return () => {
             socket.off('inventory_changed', handleInventoryChanged);
+            socket.off('product_created', handleProductCreated);
+            socket.off('product_archived', handleProductArchived);
         };
     }, [socket]); // Re-run if socket instance changes
 
+    // A classification run (from this or another admin's screen) changes every product's class
+    useEffect(() => {
+        if (!socket) return;
+        socket.on('products_classified', fetchProducts);
+        return () => socket.off('products_classified', fetchProducts);
+    }, [socket, fetchProducts]);
+
+    // Reclassifies every product from the last 13 weeks of orders; the list refreshes from the socket broadcast
+    const handleClassify = async () => {
+        setClassifying(true);
+        try {
+            const response = await fetch('http://localhost:5000/api/admin/classification', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+                body: JSON.stringify({ period_days: 91 })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to classify products.');
+            }
+            toast.success(data.message);
+        } catch (err) {
+            console.error("Error classifying products:", err);
+            toast.error(err.message);
+        } finally {
+            setClassifying(false);
+        }
+    };
+
+    const handleClassFilter = (abcClass, xyzClass) => {
+        setAbcFilter(abcClass);
+        setXyzFilter(xyzClass);
+        setCurrentPage(1);
+    };
+
+    // Archives (soft-deletes) or restores a product; the list is refreshed by the socket broadcast
+    const handleArchiveToggle = async (product) => {
+        const isArchived = Boolean(product.archived_at);
+        if (!isArchived && !window.confirm(`Archive ${product.name}? It will be hidden from customers but kept for order history.`)) {
+            return;
+        }
+        try {
+            const response = await fetch(`http://localhost:5000/api/admin/products/${product.id}${isArchived ? '/restore' : ''}`, {
+                method: isArchived ? 'POST' : 'DELETE',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            if (!response.ok) {
+                const errData = await response.json();
+                throw new Error(errData.error || 'Failed to update product.');
+            }
+        } catch (err) {
+            console.error("Error archiving product:", err);
+            toast.error(err.message);
+        }
+    };
+
     // Helper function to determine stock status (unchanged)
     const getStockStatus = (product) => {
+        if (product.archived_at) return { text: 'Archived', color: 'bg-gray-200 text-gray-700', Icon: Archive };
         const minStock = product.min_stock || 10; // Use a default min_stock if not provided
         if (product.stock_quantity <= 0) return { text: 'Out of Stock', color: 'bg-red-100 text-red-800', Icon: AlertTriangle };
         if (product.stock_quantity <= minStock) return { text: 'Low Stock', color: 'bg-yellow-100 text-yellow-800', Icon: AlertTriangle };
         return { text: 'In Stock', color: 'bg-green-100 text-green-800', Icon: CheckCircle };
     };
 
+    const filteredProducts = Array.isArray(products)
+        ? products.filter(p => (!abcFilter || p.abc_class === abcFilter) && (!xyzFilter || p.xyz_class === xyzFilter))
+        : [];
+    const lastClassifiedAt = Array.isArray(products) ? products.reduce((latest, p) => p.classified_at && p.classified_at > latest ? p.classified_at : latest, '') : '';
+
     // Pagination logic: Ensure products is an array before using .length or .slice
-    const totalPages = Array.isArray(products) ? Math.ceil(products.length / ITEMS_PER_PAGE) : 0;
-    const currentProducts = Array.isArray(products) ? products.slice((currentPage - 1) * ITEMS_PER_PAGE, currentPage * ITEMS_PER_PAGE) : [];
+    const totalPages = Math.ceil(filteredProducts.length / ITEMS_PER_PAGE);
+    const currentProducts = filteredProducts.slice((currentPage - 1) * ITEMS_PER_PAGE, currentPage * ITEMS_PER_PAGE);
 
 
     // Render loading state
@@ -226,6 +640,10 @@ const AdminProducts = () => {
                             isConnected ? React.createElement(Wifi, { className: "h-4 w-4 mr-1" }) : React.createElement(WifiOff, { className: "h-4 w-4 mr-1" }),
                             isConnected ? 'Real-time Connected' : 'Real-time Disconnected'
                         ),
+                        // Add product button
+                        React.createElement('button', { onClick: () => setProductForm({}), className: "px-4 py-2 rounded-md bg-indigo-600 text-white hover:bg-indigo-700 flex items-center text-sm font-medium" },
+                            React.createElement(Plus, { className: "h-4 w-4 mr-1" }), "Add Product"
+                        ),
                         // Refresh button
                         React.createElement('button', { onClick: fetchProducts, className: "p-2 rounded-full bg-indigo-100 text-indigo-600 hover:bg-indigo-200" },
                             React.createElement(RefreshCw, { className: "h-5 w-5" })
@@ -239,6 +657,32 @@ const AdminProducts = () => {
                     React.createElement('span', { className: "block sm:inline" }, error)
                 ),
 
+                // ABC/XYZ classification matrix and class filters
+                React.createElement('div', { className: "bg-white rounded-lg shadow p-6 mb-6 flex flex-wrap items-start justify-between gap-6" },
+                    React.createElement('div', null,
+                        React.createElement('h2', { className: "text-lg font-semibold text-gray-800 flex items-center" }, React.createElement(Grid3x3, { className: "h-5 w-5 mr-2 text-indigo-600" }), "ABC / XYZ Classification"),
+                        React.createElement('p', { className: "text-xs text-gray-500 mt-1 max-w-md" },
+                            "A/B/C: products making up the first 80%, next 15% and last 5% of revenue. X/Y/Z: steady, variable and erratic (or no) weekly demand. ",
+                            lastClassifiedAt ? `Last run ${new Date(lastClassifiedAt).toLocaleString()}.` : 'Not run yet.'
+                        ),
+                        React.createElement('div', { className: "mt-4 flex items-center space-x-3" },
+                            React.createElement('select', { value: abcFilter, onChange: (e) => handleClassFilter(e.target.value, xyzFilter), className: "rounded-md border-gray-300 shadow-sm text-sm focus:border-indigo-500 focus:ring-indigo-500" },
+                                React.createElement('option', { value: "" }, "All ABC classes"),
+                                ABC_CLASSES.map(abcClass => React.createElement('option', { key: abcClass, value: abcClass }, `Class ${abcClass}`))
+                            ),
+                            React.createElement('select', { value: xyzFilter, onChange: (e) => handleClassFilter(abcFilter, e.target.value), className: "rounded-md border-gray-300 shadow-sm text-sm focus:border-indigo-500 focus:ring-indigo-500" },
+                                React.createElement('option', { value: "" }, "All XYZ classes"),
+                                XYZ_CLASSES.map(xyzClass => React.createElement('option', { key: xyzClass, value: xyzClass }, `Class ${xyzClass}`))
+                            ),
+                            React.createElement('button', { onClick: handleClassify, disabled: classifying, className: "px-3 py-2 rounded-md bg-indigo-600 text-white hover:bg-indigo-700 flex items-center text-sm font-medium disabled:opacity-50" },
+                                classifying ? React.createElement(Loader, { className: "animate-spin h-4 w-4 mr-1" }) : React.createElement(RefreshCw, { className: "h-4 w-4 mr-1" }),
+                                "Run Analysis"
+                            )
+                        )
+                    ),
+                    React.createElement(ClassificationMatrix, { products, abcFilter, xyzFilter, onSelect: handleClassFilter })
+                ),
+
                 // Product table
                 React.createElement('div', { className: "bg-white rounded-lg shadow overflow-hidden" },
                     React.createElement('div', { className: "overflow-x-auto" },
@@ -247,7 +691,8 @@ const AdminProducts = () => {
                                 React.createElement('tr', null,
                                     React.createElement('th', { scope: "col", className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider" }, "Product Name"),
                                     React.createElement('th', { scope: "col", className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider" }, "SKU"),
-                                    React.createElement('th', { scope: "col", className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider" }, "Stock Quantity"),
+                                    React.createElement('th', { scope: "col", className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider" }, "Class"),
+                                    React.createElement('th', { scope: "col", className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider" }, "Stock by Location"),
                                     React.createElement('th', { scope: "col", className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider" }, "Status"),
                                     React.createElement('th', { scope: "col", className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider" }, "Total Orders"),
                                     React.createElement('th', { scope: "col", className: "relative px-6 py-3" },
@@ -259,28 +704,54 @@ const AdminProducts = () => {
                                 currentProducts.length > 0 ? (
                                     currentProducts.map((product) => {
                                         const status = getStockStatus(product);
-                                        return React.createElement('tr', { key: product.id },
+                                        return React.createElement('tr', { key: product.id, className: product.archived_at ? "opacity-60" : "" },
                                             React.createElement('td', { className: "px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900" },
                                                 React.createElement(Package, { className: "inline-block h-4 w-4 mr-2 text-gray-400" }), product.name
                                             ),
                                             React.createElement('td', { className: "px-6 py-4 whitespace-nowrap text-sm text-gray-500" }, product.sku),
-                                            React.createElement('td', { className: "px-6 py-4 whitespace-nowrap text-sm text-gray-900" }, product.stock_quantity),
+                                            React.createElement('td', { className: "px-6 py-4 whitespace-nowrap" },
+                                                product.abc_class && product.xyz_class
+                                                    ? React.createElement('span', { className: `px-2 py-0.5 rounded text-xs font-semibold ${CLASS_COLORS[product.abc_class + product.xyz_class]}` }, `${product.abc_class}${product.xyz_class}`)
+                                                    : React.createElement('span', { className: "text-xs text-gray-400" }, "—")
+                                            ),
+                                            React.createElement('td', { className: "px-6 py-4 whitespace-nowrap text-sm text-gray-900" },
+                                                React.createElement('div', { className: "font-semibold" }, product.stock_quantity),
+                                                // Stock by location
+                                                React.createElement('div', { className: "mt-1 flex flex-wrap gap-1" },
+                                                    (product.stock_locations || []).filter(l => l.quantity > 0 || l.in_transit_quantity > 0).map(l =>
+                                                        React.createElement('span', { key: l.warehouse_id, title: l.warehouse_name, className: "inline-flex items-center px-1.5 py-0.5 rounded text-xs bg-gray-100 text-gray-600" },
+                                                            React.createElement(Warehouse, { className: "h-3 w-3 mr-1" }), `${l.warehouse_code}: ${l.quantity}`,
+                                                            l.in_transit_quantity > 0 && React.createElement('span', { className: "ml-1 text-blue-600" }, `(+${l.in_transit_quantity} inbound)`)
+                                                        )
+                                                    )
+                                                )
+                                            ),
                                             React.createElement('td', { className: "px-6 py-4 whitespace-nowrap" },
                                                 React.createElement('span', { className: `px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${status.color}` },
                                                     React.createElement(status.Icon, { className: "h-3 w-3 mr-1" }), status.text
-                                                )
+                                                ),
+                                                product.backordered_quantity > 0 && React.createElement('div', { className: "mt-1 text-xs text-amber-700" }, `${product.backordered_quantity} on backorder`),
+                                                product.allow_backorder === 1 && !product.backordered_quantity && React.createElement('div', { className: "mt-1 text-xs text-gray-500" }, "Backorders allowed"),
+                                                product.track_lots === 1 && React.createElement('div', { className: "mt-1 text-xs text-gray-500" }, "Lot-tracked"),
+                                                product.track_serials === 1 && React.createElement('div', { className: "mt-1 text-xs text-gray-500" }, "Serial-tracked")
                                             ),
                                             React.createElement('td', { className: "px-6 py-4 whitespace-nowrap text-sm text-gray-500" }, product.total_orders || 0),
-                                            React.createElement('td', { className: "px-6 py-4 whitespace-nowrap text-right text-sm font-medium" },
-                                                React.createElement('button', { onClick: () => setSelectedProduct(product), className: "text-indigo-600 hover:text-indigo-900" },
+                                            React.createElement('td', { className: "px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-3" },
+                                                !product.archived_at && React.createElement('button', { onClick: () => setSelectedProduct(product), title: "Update stock", className: "text-indigo-600 hover:text-indigo-900" },
                                                     React.createElement(Edit, { className: "h-5 w-5" })
+                                                ),
+                                                !product.archived_at && React.createElement('button', { onClick: () => setProductForm({ product }), title: "Edit product", className: "text-indigo-600 hover:text-indigo-900" },
+                                                    React.createElement(Pencil, { className: "h-5 w-5" })
+                                                ),
+                                                React.createElement('button', { onClick: () => handleArchiveToggle(product), title: product.archived_at ? "Restore product" : "Archive product", className: product.archived_at ? "text-green-600 hover:text-green-900" : "text-red-600 hover:text-red-900" },
+                                                    React.createElement(product.archived_at ? ArchiveRestore : Archive, { className: "h-5 w-5" })
                                                 )
                                             )
                                         );
                                     })
                                 ) : (
                                     React.createElement('tr', null,
-                                        React.createElement('td', { colSpan: "6", className: "text-center py-10 text-gray-500" }, "No products found in the database.")
+                                        React.createElement('td', { colSpan: "7", className: "text-center py-10 text-gray-500" }, abcFilter || xyzFilter ? "No products in this class." : "No products found in the database.")
                                     )
                                 )
                             )
@@ -292,7 +763,9 @@ const AdminProducts = () => {
             )
         ),
         // Stock Update Modal (conditionally rendered)
-        selectedProduct && React.createElement(StockUpdateModal, { product: selectedProduct, onClose: () => setSelectedProduct(null), token: token })
+        selectedProduct && React.createElement(StockUpdateModal, { product: selectedProduct, onClose: () => setSelectedProduct(null), token: token }),
+        // Product Create/Edit Modal (conditionally rendered)
+        productForm && React.createElement(ProductFormModal, { product: productForm.product || null, onClose: () => setProductForm(null), token: token })
     );
 };
 
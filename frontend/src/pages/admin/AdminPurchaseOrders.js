@@ -0,0 +1,510 @@
+// frontend/src/pages/admin/AdminPurchaseOrders.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { useSocket } from '../../contexts/SocketContext';
+import toast from 'react-hot-toast';
+import {
+    ClipboardList, Loader, Server, RefreshCw, Plus, Trash2, Send, PackageCheck, XCircle, Clock, CheckCircle, PackageOpen
+} from 'lucide-react';
+
+const API_BASE = 'http://localhost:5000/api/admin';
+
+const inputClass = "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500";
+
+// --- Helper to format date strings ---
+const formatDate = (dateString) => {
+    if (!dateString) return '—';
+    const date = new Date(dateString);
+    if (isNaN(date.getTime())) return 'Invalid Date';
+    return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+const getStatusVisuals = (status) => {
+    switch (status) {
+        case 'draft': return { Icon: Clock, color: 'bg-gray-100 text-gray-700' };
+        case 'sent': return { Icon: Send, color: 'bg-blue-100 text-blue-800' };
+        case 'partially_received': return { Icon: PackageOpen, color: 'bg-yellow-100 text-yellow-800' };
+        case 'received': return { Icon: CheckCircle, color: 'bg-green-100 text-green-800' };
+        case 'cancelled': return { Icon: XCircle, color: 'bg-red-100 text-red-800' };
+        default: return { Icon: Clock, color: 'bg-gray-100 text-gray-700' };
+    }
+};
+
+// --- New Purchase Order Modal ---
+const PurchaseOrderCreateModal = ({ suppliers, warehouses, products, onClose, token, onCreated }) => {
+    const activeSuppliers = suppliers.filter(s => s.is_active);
+    const activeWarehouses = warehouses.filter(w => w.is_active);
+    const [supplierId, setSupplierId] = useState(activeSuppliers[0] ? String(activeSuppliers[0].id) : '');
+    const [warehouseId, setWarehouseId] = useState(activeWarehouses[0] ? String(activeWarehouses[0].id) : '');
+    const [priceList, setPriceList] = useState([]);
+    const [lines, setLines] = useState([{ productId: '', quantity: '1', unitCost: '' }]);
+    const [expectedDate, setExpectedDate] = useState('');
+    const [notes, setNotes] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    // The selected supplier's price list supplies default costs and minimum order quantities
+    useEffect(() => {
+        if (!supplierId) { setPriceList([]); return; }
+        fetch(`${API_BASE}/suppliers/${supplierId}`, { headers: { 'Authorization': `Bearer ${token}` } })
+            .then(response => response.ok ? response.json() : Promise.reject(new Error('Failed to fetch price list.')))
+            .then(data => setPriceList(data.supplier.products || []))
+            .catch(err => setError(err.message));
+    }, [supplierId, token]);
+
+    const priceFor = (productId) => priceList.find(p => String(p.product_id) === productId);
+
+    const updateLine = (index, field, value) => {
+        setLines(prev => prev.map((line, i) => i === index ? { ...line, [field]: value } : line));
+    };
+
+    const handleSubmit = async () => {
+        if (!supplierId || !warehouseId) {
+            setError('Choose a supplier and a receiving warehouse.');
+            return;
+        }
+        const items = lines
+            .filter(line => line.productId)
+            .map(line => {
+                const item = { productId: parseInt(line.productId, 10), quantity: parseInt(line.quantity, 10) };
+                if (line.unitCost !== '') {
+                    item.unitCost = parseFloat(line.unitCost);
+                }
+                return item;
+            });
+        if (items.length === 0 || items.some(item => isNaN(item.quantity) || item.quantity <= 0)) {
+            setError('Add at least one product with a positive quantity.');
+            return;
+        }
+        if (new Set(items.map(item => item.productId)).size !== items.length) {
+            setError('Each product can only appear once per purchase order.');
+            return;
+        }
+
+        setIsLoading(true);
+        setError('');
+        try {
+            const response = await fetch(`${API_BASE}/purchase-orders`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+                body: JSON.stringify({
+                    supplier_id: parseInt(supplierId, 10),
+                    warehouse_id: parseInt(warehouseId, 10),
+                    items,
+                    expected_date: expectedDate || null,
+                    notes
+                }),
+            });
+            if (!response.ok) {
+                const errData = await response.json();
+                throw new Error(errData.details ? errData.details.join(', ') : (errData.error || 'Failed to create purchase order.'));
+            }
+            toast.success('Purchase order created as draft.');
+            onCreated();
+            onClose();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return React.createElement('div', { className: "fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50" },
+        React.createElement('div', { className: "bg-white rounded-lg shadow-xl p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto" },
+            React.createElement('h2', { className: "text-2xl font-bold text-gray-800 mb-4" }, "New Purchase Order"),
+            React.createElement('div', { className: "grid grid-cols-3 gap-4 mb-4" },
+                React.createElement('div', null,
+                    React.createElement('label', { htmlFor: "supplier", className: "block text-sm font-medium text-gray-700" }, "Supplier"),
+                    React.createElement('select', { id: "supplier", value: supplierId, onChange: (e) => setSupplierId(e.target.value), className: inputClass },
+                        activeSuppliers.map(s => React.createElement('option', { key: s.id, value: String(s.id) }, s.name))
+                    )
+                ),
+                React.createElement('div', null,
+                    React.createElement('label', { htmlFor: "warehouse", className: "block text-sm font-medium text-gray-700" }, "Deliver to"),
+                    React.createElement('select', { id: "warehouse", value: warehouseId, onChange: (e) => setWarehouseId(e.target.value), className: inputClass },
+                        activeWarehouses.map(w => React.createElement('option', { key: w.id, value: String(w.id) }, w.name))
+                    )
+                ),
+                React.createElement('div', null,
+                    React.createElement('label', { htmlFor: "expected", className: "block text-sm font-medium text-gray-700" }, "Expected"),
+                    React.createElement('input', { id: "expected", type: "date", value: expectedDate, onChange: (e) => setExpectedDate(e.target.value), className: inputClass }),
+                    React.createElement('p', { className: "text-xs text-gray-500 mt-1" }, "Blank: set from lead time when sent")
+                )
+            ),
+            React.createElement('div', { className: "space-y-2" },
+                lines.map((line, index) => {
+                    const price = priceFor(line.productId);
+                    return React.createElement('div', { key: index, className: "flex items-start space-x-2" },
+                        React.createElement('div', { className: "flex-grow" },
+                            React.createElement('select', { value: line.productId, onChange: (e) => updateLine(index, 'productId', e.target.value), className: inputClass },
+                                React.createElement('option', { value: "" }, "Select product..."),
+                                products.map(p => React.createElement('option', { key: p.id, value: String(p.id) }, `${p.name} (${p.sku})${priceFor(String(p.id)) ? '' : ' — not on price list'}`))
+                            ),
+                            line.productId && React.createElement('p', { className: "text-xs text-gray-500 mt-1" },
+                                price ? `List cost $${Number(price.unit_cost).toFixed(2)} · min. order ${price.min_order_quantity} · ${price.effective_lead_time_days} day lead time` : 'No list cost from this supplier: enter a unit cost.'
+                            )
+                        ),
+                        React.createElement('input', { type: "number", min: "1", value: line.quantity, onChange: (e) => updateLine(index, 'quantity', e.target.value), title: "Quantity", className: "mt-1 w-24 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500" }),
+                        React.createElement('input', { type: "number", min: "0", step: "0.01", value: line.unitCost, placeholder: price ? Number(price.unit_cost).toFixed(2) : 'Unit cost', onChange: (e) => updateLine(index, 'unitCost', e.target.value), title: "Unit cost (blank uses the list cost)", className: "mt-1 w-28 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500" }),
+                        React.createElement('button', { onClick: () => setLines(prev => prev.filter((_, i) => i !== index)), disabled: lines.length === 1, className: "p-2 mt-1 text-red-600 hover:text-red-900 disabled:opacity-30" },
+                            React.createElement(Trash2, { className: "h-5 w-5" })
+                        )
+                    );
+                }),
+                React.createElement('button', { onClick: () => setLines(prev => [...prev, { productId: '', quantity: '1', unitCost: '' }]), className: "text-sm text-indigo-600 hover:text-indigo-900 flex items-center" },
+                    React.createElement(Plus, { className: "h-4 w-4 mr-1" }), "Add line"
+                )
+            ),
+            React.createElement('div', { className: "mt-4" },
+                React.createElement('label', { htmlFor: "notes", className: "block text-sm font-medium text-gray-700" }, "Notes"),
+                React.createElement('textarea', { id: "notes", value: notes, onChange: (e) => setNotes(e.target.value), rows: 2, className: inputClass })
+            ),
+            error && React.createElement('p', { className: "text-red-500 text-sm mt-2" }, error),
+            React.createElement('div', { className: "mt-6 flex justify-end space-x-3" },
+                React.createElement('button', { onClick: onClose, disabled: isLoading, className: "px-4 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400" }, "Cancel"),
+                React.createElement('button', { onClick: handleSubmit, disabled: isLoading, className: "px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 flex items-center" },
+                    isLoading && React.createElement(Loader, { className: "animate-spin h-5 w-5 mr-2" }), "Create Draft"
+                )
+            )
+        )
+    );
+};
+
+// --- Goods Receipt Modal: books a delivery in against a sent purchase order ---
+const GoodsReceiptModal = ({ purchaseOrderId, warehouses, onClose, token, onReceived }) => {
+    const [purchaseOrder, setPurchaseOrder] = useState(null);
+    const [quantities, setQuantities] = useState({});
+    const [lots, setLots] = useState({});
+    const [serials, setSerials] = useState({});
+    const [costs, setCosts] = useState({});
+    const [warehouseId, setWarehouseId] = useState('');
+    const [notes, setNotes] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        fetch(`${API_BASE}/purchase-orders/${purchaseOrderId}`, { headers: { 'Authorization': `Bearer ${token}` } })
+            .then(response => response.ok ? response.json() : Promise.reject(new Error('Failed to fetch purchase order.')))
+            .then(data => {
+                setPurchaseOrder(data.purchaseOrder);
+                setWarehouseId(String(data.purchaseOrder.warehouse_id));
+                // Default every line to what is still outstanding
+                setQuantities(Object.fromEntries(data.purchaseOrder.items.map(item => [item.id, String(item.quantity_ordered - item.quantity_received)])));
+                // The invoiced cost defaults to the ordered cost; it is what the stock is valued at
+                setCosts(Object.fromEntries(data.purchaseOrder.items.map(item => [item.id, Number(item.unit_cost).toFixed(2)])));
+            })
+            .catch(err => setError(err.message));
+    }, [purchaseOrderId, token]);
+
+    const isOpen = purchaseOrder && ['sent', 'partially_received'].includes(purchaseOrder.status);
+
+    // Scanned serials, one per line (commas also separate)
+    const parseSerials = (text) => (text || '').split(/[\n,]/).map(serial => serial.trim()).filter(Boolean);
+
+    const handleSubmit = async () => {
+        const items = Object.entries(quantities)
+            .map(([itemId, quantity]) => {
+                const lot = lots[itemId] || {};
+                const unitCost = parseFloat(costs[itemId]);
+                return {
+                    purchase_order_item_id: parseInt(itemId, 10),
+                    quantity: parseInt(quantity, 10),
+                    ...(!isNaN(unitCost) ? { unit_cost: unitCost } : {}),
+                    ...(lot.lot_number ? { lot_number: lot.lot_number.trim() } : {}),
+                    ...(lot.expiry_date ? { expiry_date: lot.expiry_date } : {}),
+                    ...(serials[itemId] ? { serial_numbers: parseSerials(serials[itemId]) } : {})
+                };
+            })
+            .filter(item => !isNaN(item.quantity) && item.quantity > 0);
+        if (items.length === 0) {
+            setError('Enter the quantity received for at least one line.');
+            return;
+        }
+        const missingLot = purchaseOrder.items.find(item => item.track_lots === 1 && items.some(line => line.purchase_order_item_id === item.id && !line.lot_number));
+        if (missingLot) {
+            setError(`${missingLot.sku} is lot-tracked: enter the lot number received.`);
+            return;
+        }
+        const serialMismatch = purchaseOrder.items.find(item => item.track_serials === 1 &&
+            items.some(line => line.purchase_order_item_id === item.id && (line.serial_numbers || []).length !== line.quantity));
+        if (serialMismatch) {
+            setError(`${serialMismatch.sku} is serial-tracked: scan one serial number per unit received.`);
+            return;
+        }
+
+        setIsLoading(true);
+        setError('');
+        try {
+            const response = await fetch(`${API_BASE}/purchase-orders/${purchaseOrderId}/receive`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+                body: JSON.stringify({ items, warehouse_id: parseInt(warehouseId, 10), notes }),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.details ? data.details.join(', ') : (data.error || 'Failed to receive goods.'));
+            }
+            toast.success(data.message || 'Goods received.');
+            if (data.filled_backorders && data.filled_backorders.length > 0) {
+                toast.success(`${data.filled_backorders.length} backorder(s) allocated from this delivery.`);
+            }
+            onReceived();
+            onClose();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return React.createElement('div', { className: "fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50" },
+        React.createElement('div', { className: "bg-white rounded-lg shadow-xl p-6 w-full max-w-5xl max-h-[90vh] overflow-y-auto" },
+            React.createElement('h2', { className: "text-2xl font-bold text-gray-800 mb-1" }, purchaseOrder ? `Purchase Order ${purchaseOrder.po_number}` : "Purchase Order"),
+            purchaseOrder && React.createElement('p', { className: "text-sm text-gray-500 mb-4" }, `${purchaseOrder.supplier_name} → ${purchaseOrder.warehouse_name} · expected ${formatDate(purchaseOrder.expected_date)}`),
+            !purchaseOrder && !error && React.createElement(Loader, { className: "animate-spin h-8 w-8 text-indigo-600 mx-auto my-6" }),
+            purchaseOrder && React.createElement('table', { className: "min-w-full divide-y divide-gray-200 mb-4" },
+                React.createElement('thead', { className: "bg-gray-50" },
+                    React.createElement('tr', null,
+                        ['Product', 'Unit Cost', 'Ordered', 'Received', isOpen ? 'Receive Now' : '', isOpen ? 'Lot / Expiry / Serials' : ''].map((heading, index) =>
+                            React.createElement('th', { key: index, className: "px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase" }, heading))
+                    )
+                ),
+                React.createElement('tbody', { className: "divide-y divide-gray-200" },
+                    purchaseOrder.items.map(item => {
+                        const outstanding = item.quantity_ordered - item.quantity_received;
+                        return React.createElement('tr', { key: item.id },
+                            React.createElement('td', { className: "px-4 py-2 text-sm" },
+                                React.createElement('div', { className: "font-medium text-gray-900" }, item.product_name),
+                                React.createElement('div', { className: "text-xs text-gray-500" }, item.supplier_sku ? `${item.sku} · ${item.supplier_sku}` : item.sku)
+                            ),
+                            React.createElement('td', { className: "px-4 py-2 text-sm text-gray-700" },
+                                isOpen && outstanding > 0
+                                    ? React.createElement('input', {
+                                        type: "number", min: "0", step: "0.01", value: costs[item.id] || '', title: `Ordered at $${Number(item.unit_cost).toFixed(2)}`,
+                                        onChange: (e) => setCosts(prev => ({ ...prev, [item.id]: e.target.value })),
+                                        className: "w-24 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+                                    })
+                                    : `$${Number(item.unit_cost).toFixed(2)}`
+                            ),
+                            React.createElement('td', { className: "px-4 py-2 text-sm text-gray-700" }, item.quantity_ordered),
+                            React.createElement('td', { className: "px-4 py-2 text-sm text-gray-700" }, item.quantity_received),
+                            React.createElement('td', { className: "px-4 py-2" },
+                                isOpen && outstanding > 0 && React.createElement('input', {
+                                    type: "number", min: "0", max: String(outstanding), value: quantities[item.id] || '',
+                                    onChange: (e) => setQuantities(prev => ({ ...prev, [item.id]: e.target.value })),
+                                    className: "w-24 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+                                }),
+                                isOpen && outstanding === 0 && React.createElement('span', { className: "text-xs text-green-700" }, "Complete")
+                            ),
+                            React.createElement('td', { className: "px-4 py-2" },
+                                isOpen && outstanding > 0 && React.createElement('div', { className: "flex space-x-2" },
+                                    React.createElement('input', {
+                                        type: "text", placeholder: item.track_lots === 1 ? "Lot no. (required)" : "Lot no.", value: (lots[item.id] || {}).lot_number || '',
+                                        onChange: (e) => setLots(prev => ({ ...prev, [item.id]: { ...prev[item.id], lot_number: e.target.value } })),
+                                        className: "w-32 rounded-md border-gray-300 shadow-sm text-sm focus:border-indigo-500 focus:ring-indigo-500"
+                                    }),
+                                    React.createElement('input', {
+                                        type: "date", value: (lots[item.id] || {}).expiry_date || '',
+                                        onChange: (e) => setLots(prev => ({ ...prev, [item.id]: { ...prev[item.id], expiry_date: e.target.value } })),
+                                        className: "w-36 rounded-md border-gray-300 shadow-sm text-sm focus:border-indigo-500 focus:ring-indigo-500"
+                                    })
+                                ),
+                                isOpen && outstanding > 0 && item.track_serials === 1 && React.createElement('textarea', {
+                                    rows: 2, placeholder: "Serial numbers, one per line (required)", value: serials[item.id] || '',
+                                    onChange: (e) => setSerials(prev => ({ ...prev, [item.id]: e.target.value })),
+                                    className: "mt-2 w-full rounded-md border-gray-300 shadow-sm text-sm font-mono focus:border-indigo-500 focus:ring-indigo-500"
+                                })
+                            )
+                        );
+                    })
+                )
+            ),
+            isOpen && React.createElement('div', { className: "grid grid-cols-2 gap-4" },
+                React.createElement('div', null,
+                    React.createElement('label', { htmlFor: "receiveWarehouse", className: "block text-sm font-medium text-gray-700" }, "Receive into"),
+                    React.createElement('select', { id: "receiveWarehouse", value: warehouseId, onChange: (e) => setWarehouseId(e.target.value), className: inputClass },
+                        warehouses.map(w => React.createElement('option', { key: w.id, value: String(w.id) }, w.name))
+                    )
+                ),
+                React.createElement('div', null,
+                    React.createElement('label', { htmlFor: "receiptNotes", className: "block text-sm font-medium text-gray-700" }, "Receipt notes"),
+                    React.createElement('input', { id: "receiptNotes", value: notes, onChange: (e) => setNotes(e.target.value), className: inputClass })
+                )
+            ),
+            purchaseOrder && purchaseOrder.receipts.length > 0 && React.createElement('div', { className: "mt-4" },
+                React.createElement('h3', { className: "text-sm font-semibold text-gray-700 mb-2" }, "Goods Receipts"),
+                React.createElement('ul', { className: "space-y-1" },
+                    purchaseOrder.receipts.map(receipt => React.createElement('li', { key: receipt.id, className: "text-xs text-gray-600" },
+                        `${receipt.receipt_number} · ${formatDate(receipt.received_at)} · ${receipt.warehouse_name} · `,
+                        receipt.items.map(item => `${item.quantity} x ${item.sku}${item.unit_cost !== null ? ` @ $${Number(item.unit_cost).toFixed(2)}` : ''}${item.lot_number ? ` (lot ${item.lot_number})` : ''}`).join(', ')
+                    ))
+                )
+            ),
+            error && React.createElement('p', { className: "text-red-500 text-sm mt-2" }, error),
+            React.createElement('div', { className: "mt-6 flex justify-end space-x-3" },
+                React.createElement('button', { onClick: onClose, disabled: isLoading, className: "px-4 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400" }, "Close"),
+                isOpen && React.createElement('button', { onClick: handleSubmit, disabled: isLoading, className: "px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 flex items-center" },
+                    isLoading && React.createElement(Loader, { className: "animate-spin h-5 w-5 mr-2" }), "Post Goods Receipt"
+                )
+            )
+        )
+    );
+};
+
+// --- Main AdminPurchaseOrders Component ---
+const AdminPurchaseOrders = () => {
+    const { token } = useAuth();
+    const { socket } = useSocket();
+    const [purchaseOrders, setPurchaseOrders] = useState([]);
+    const [suppliers, setSuppliers] = useState([]);
+    const [warehouses, setWarehouses] = useState([]);
+    const [products, setProducts] = useState([]);
+    const [statusFilter, setStatusFilter] = useState('');
+    const [supplierFilter, setSupplierFilter] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [showCreate, setShowCreate] = useState(false);
+    const [receivingId, setReceivingId] = useState(null);
+    const [busyId, setBusyId] = useState(null);
+
+    const fetchPurchaseOrders = useCallback(async () => {
+        if (!token) { setLoading(false); setError("Authentication token missing."); return; }
+        setError(null);
+        try {
+            const headers = { 'Authorization': `Bearer ${token}` };
+            const params = new URLSearchParams();
+            if (statusFilter) params.append('status', statusFilter);
+            if (supplierFilter) params.append('supplier_id', supplierFilter);
+            const [ordersRes, suppliersRes, warehousesRes, productsRes] = await Promise.all([
+                fetch(`${API_BASE}/purchase-orders?${params.toString()}`, { headers }),
+                fetch(`${API_BASE}/suppliers`, { headers }),
+                fetch(`${API_BASE}/warehouses`, { headers }),
+                fetch(`${API_BASE}/products?status=active`, { headers })
+            ]);
+            if (!ordersRes.ok || !suppliersRes.ok || !warehousesRes.ok || !productsRes.ok) {
+                throw new Error('Failed to fetch purchasing data.');
+            }
+            const [ordersData, suppliersData, warehousesData, productsData] = await Promise.all([ordersRes.json(), suppliersRes.json(), warehousesRes.json(), productsRes.json()]);
+            setPurchaseOrders(Array.isArray(ordersData.purchaseOrders) ? ordersData.purchaseOrders : []);
+            setSuppliers(Array.isArray(suppliersData.suppliers) ? suppliersData.suppliers : []);
+            setWarehouses(Array.isArray(warehousesData.warehouses) ? warehousesData.warehouses : []);
+            setProducts(Array.isArray(productsData.products) ? productsData.products : []);
+        } catch (err) {
+            setError(err.message);
+            setPurchaseOrders([]);
+        } finally {
+            setLoading(false);
+        }
+    }, [token, statusFilter, supplierFilter]);
+
+    useEffect(() => { fetchPurchaseOrders(); }, [fetchPurchaseOrders]);
+
+    useEffect(() => {
+        if (!socket) return;
+        const handlePurchaseOrderUpdated = () => fetchPurchaseOrders();
+        socket.on('purchase_order_updated', handlePurchaseOrderUpdated);
+        return () => { socket.off('purchase_order_updated', handlePurchaseOrderUpdated); };
+    }, [socket, fetchPurchaseOrders]);
+
+    // Runs send / cancel on a purchase order
+    const runAction = async (purchaseOrder, action) => {
+        if (action === 'cancel' && !window.confirm(`Cancel purchase order ${purchaseOrder.po_number}?`)) return;
+        setBusyId(purchaseOrder.id);
+        try {
+            const response = await fetch(`${API_BASE}/purchase-orders/${purchaseOrder.id}/${action}`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || `Failed to ${action} purchase order.`);
+            }
+            toast.success(data.message || 'Purchase order updated.');
+            fetchPurchaseOrders();
+        } catch (err) {
+            toast.error(err.message);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    if (loading) { return React.createElement('div', { className: "flex justify-center items-center h-screen bg-gray-50" }, React.createElement(Loader, { className: "animate-spin h-12 w-12 text-indigo-600" })); }
+
+    return React.createElement(React.Fragment, null,
+        React.createElement('div', { className: "min-h-screen bg-gray-50 p-8" },
+            React.createElement('div', { className: "max-w-7xl mx-auto" },
+                React.createElement('div', { className: "flex justify-between items-center mb-6" },
+                    React.createElement('h1', { className: "text-3xl font-bold text-gray-900 flex items-center" }, React.createElement(ClipboardList, { className: "h-8 w-8 mr-3 text-indigo-600" }), "Purchase Orders"),
+                    React.createElement('div', { className: "flex items-center space-x-3" },
+                        React.createElement('select', { value: supplierFilter, onChange: (e) => setSupplierFilter(e.target.value), className: "rounded-md border-gray-300 text-sm" },
+                            React.createElement('option', { value: "" }, "All suppliers"),
+                            suppliers.map(s => React.createElement('option', { key: s.id, value: String(s.id) }, s.name))
+                        ),
+                        React.createElement('select', { value: statusFilter, onChange: (e) => setStatusFilter(e.target.value), className: "rounded-md border-gray-300 text-sm" },
+                            React.createElement('option', { value: "" }, "All statuses"),
+                            ['draft', 'sent', 'partially_received', 'received', 'cancelled'].map(s => React.createElement('option', { key: s, value: s }, s.replace(/_/g, ' ')))
+                        ),
+                        React.createElement('button', { onClick: () => setShowCreate(true), className: "px-4 py-2 rounded-md bg-indigo-600 text-white hover:bg-indigo-700 flex items-center text-sm font-medium" },
+                            React.createElement(Plus, { className: "h-4 w-4 mr-1" }), "New PO"
+                        ),
+                        React.createElement('button', { onClick: fetchPurchaseOrders, className: "p-2 rounded-full bg-indigo-100 text-indigo-600 hover:bg-indigo-200" }, React.createElement(RefreshCw, { className: "h-5 w-5" }))
+                    )
+                ),
+                error && React.createElement('div', { className: "bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6" }, React.createElement(Server, { className: "inline-block h-5 w-5 mr-2" }), error),
+                React.createElement('div', { className: "bg-white shadow-md rounded-lg overflow-hidden" },
+                    React.createElement('div', { className: "overflow-x-auto" },
+                        React.createElement('table', { className: "min-w-full divide-y divide-gray-200" },
+                            React.createElement('thead', { className: "bg-gray-50" },
+                                React.createElement('tr', null,
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "PO"),
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Supplier"),
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Deliver To"),
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Received"),
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Total"),
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Status"),
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Expected"),
+                                    React.createElement('th', { className: "px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase" }, "Actions")
+                                )
+                            ),
+                            React.createElement('tbody', { className: "bg-white divide-y divide-gray-200" },
+                                purchaseOrders.length > 0 ? (
+                                    purchaseOrders.map(purchaseOrder => {
+                                        const { Icon, color } = getStatusVisuals(purchaseOrder.status);
+                                        const isBusy = busyId === purchaseOrder.id;
+                                        const canReceive = ['sent', 'partially_received'].includes(purchaseOrder.status);
+                                        return React.createElement('tr', { key: purchaseOrder.id, className: "hover:bg-gray-50" },
+                                            React.createElement('td', { className: "px-6 py-4" },
+                                                React.createElement('div', { className: "text-sm font-semibold text-indigo-600" }, purchaseOrder.po_number),
+                                                React.createElement('div', { className: "text-xs text-gray-500" }, formatDate(purchaseOrder.created_at))
+                                            ),
+                                            React.createElement('td', { className: "px-6 py-4 text-sm text-gray-900" }, purchaseOrder.supplier_name),
+                                            React.createElement('td', { className: "px-6 py-4 text-sm text-gray-700" }, purchaseOrder.warehouse_name),
+                                            React.createElement('td', { className: "px-6 py-4 text-sm text-gray-700" }, `${purchaseOrder.units_received} / ${purchaseOrder.units_ordered} (${purchaseOrder.line_count} lines)`),
+                                            React.createElement('td', { className: "px-6 py-4 text-sm text-gray-700" }, `$${Number(purchaseOrder.total_cost).toFixed(2)}`),
+                                            React.createElement('td', { className: "px-6 py-4" },
+                                                React.createElement('span', { className: `inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium capitalize ${color}` },
+                                                    React.createElement(Icon, { className: "h-3 w-3 mr-1" }), purchaseOrder.status.replace(/_/g, ' ')
+                                                )
+                                            ),
+                                            React.createElement('td', { className: "px-6 py-4 text-xs text-gray-500" }, formatDate(purchaseOrder.expected_date)),
+                                            React.createElement('td', { className: "px-6 py-4 text-right space-x-3 whitespace-nowrap" },
+                                                isBusy && React.createElement(Loader, { className: "inline-block animate-spin h-5 w-5 text-indigo-600" }),
+                                                !isBusy && purchaseOrder.status === 'draft' && React.createElement('button', { onClick: () => runAction(purchaseOrder, 'send'), title: "Send to supplier", className: "text-blue-600 hover:text-blue-900" }, React.createElement(Send, { className: "h-5 w-5" })),
+                                                !isBusy && React.createElement('button', { onClick: () => setReceivingId(purchaseOrder.id), title: canReceive ? "Receive goods" : "View lines and receipts", className: "text-green-600 hover:text-green-900" }, React.createElement(PackageCheck, { className: "h-5 w-5" })),
+                                                !isBusy && ['draft', 'sent'].includes(purchaseOrder.status) && React.createElement('button', { onClick: () => runAction(purchaseOrder, 'cancel'), title: "Cancel", className: "text-red-600 hover:text-red-900" }, React.createElement(XCircle, { className: "h-5 w-5" }))
+                                            )
+                                        );
+                                    })
+                                ) : (React.createElement('tr', null, React.createElement('td', { colSpan: "8", className: "text-center py-10 text-gray-500" }, "No purchase orders found.")))
+                            )
+                        )
+                    )
+                )
+            )
+        ),
+        showCreate && React.createElement(PurchaseOrderCreateModal, { suppliers, warehouses, products, onClose: () => setShowCreate(false), token, onCreated: fetchPurchaseOrders }),
+        receivingId && React.createElement(GoodsReceiptModal, { purchaseOrderId: receivingId, warehouses, onClose: () => setReceivingId(null), token, onReceived: fetchPurchaseOrders })
+    );
+};
+
+export default AdminPurchaseOrders;
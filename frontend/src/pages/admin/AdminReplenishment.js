@@ -0,0 +1,177 @@
+// frontend/src/pages/admin/AdminReplenishment.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { useSocket } from '../../contexts/SocketContext';
+import toast from 'react-hot-toast';
+import {
+    TrendingDown, Loader, Server, RefreshCw, ClipboardList, AlertTriangle
+} from 'lucide-react';
+
+const API_BASE = 'http://localhost:5000/api/admin';
+
+// --- Main AdminReplenishment Component ---
+const AdminReplenishment = () => {
+    const { token } = useAuth();
+    const { socket } = useSocket();
+    const [report, setReport] = useState(null);
+    const [windowDays, setWindowDays] = useState('28');
+    const [showAll, setShowAll] = useState(false);
+    const [selected, setSelected] = useState(new Set());
+    const [loading, setLoading] = useState(true);
+    const [isCreating, setIsCreating] = useState(false);
+    const [error, setError] = useState(null);
+
+    const fetchReport = useCallback(async () => {
+        if (!token) { setLoading(false); setError("Authentication token missing."); return; }
+        setError(null);
+        try {
+            const response = await fetch(`${API_BASE}/replenishment?days=${windowDays}${showAll ? '' : '&status=reorder'}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            if (!response.ok) {
+                const errData = await response.json();
+                throw new Error(errData.error || 'Failed to fetch reorder suggestions.');
+            }
+            const data = await response.json();
+            setReport(data);
+            // Preselect every SKU that needs reordering and can be sourced
+            setSelected(new Set(data.items.filter(item => item.needs_reorder && item.supplier).map(item => item.product_id)));
+        } catch (err) {
+            setError(err.message);
+            setReport(null);
+        } finally {
+            setLoading(false);
+        }
+    }, [token, windowDays, showAll]);
+
+    useEffect(() => { fetchReport(); }, [fetchReport]);
+
+    // Stock and open purchase orders feed the stock position, so refresh when either changes
+    useEffect(() => {
+        if (!socket) return;
+        const handleChange = () => fetchReport();
+        socket.on('inventory_changed', handleChange);
+        socket.on('purchase_order_updated', handleChange);
+        return () => {
+            socket.off('inventory_changed', handleChange);
+            socket.off('purchase_order_updated', handleChange);
+        };
+    }, [socket, fetchReport]);
+
+    const toggleSelected = (productId) => {
+        setSelected(prev => {
+            const next = new Set(prev);
+            if (next.has(productId)) next.delete(productId); else next.add(productId);
+            return next;
+        });
+    };
+
+    const createDraftOrders = async () => {
+        if (selected.size === 0) {
+            toast.error('Select at least one SKU to order.');
+            return;
+        }
+        setIsCreating(true);
+        try {
+            const response = await fetch(`${API_BASE}/replenishment/purchase-orders`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+                body: JSON.stringify({ product_ids: [...selected], window_days: parseInt(windowDays, 10) })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.details ? data.details.join(', ') : (data.error || 'Failed to create draft purchase orders.'));
+            }
+            toast.success(data.purchaseOrders.length > 0
+                ? `${data.message}: ${data.purchaseOrders.map(po => po.po_number).join(', ')}`
+                : data.message);
+            data.skipped.forEach(skip => toast.error(`${skip.sku}: ${skip.reason}`));
+            fetchReport();
+        } catch (err) {
+            toast.error(err.message);
+        } finally {
+            setIsCreating(false);
+        }
+    };
+
+    if (loading) { return React.createElement('div', { className: "flex justify-center items-center h-screen bg-gray-50" }, React.createElement(Loader, { className: "animate-spin h-12 w-12 text-indigo-600" })); }
+
+    const items = report ? report.items : [];
+
+    return React.createElement('div', { className: "min-h-screen bg-gray-50 p-8" },
+        React.createElement('div', { className: "max-w-7xl mx-auto" },
+            React.createElement('div', { className: "flex justify-between items-center mb-2" },
+                React.createElement('h1', { className: "text-3xl font-bold text-gray-900 flex items-center" }, React.createElement(TrendingDown, { className: "h-8 w-8 mr-3 text-indigo-600" }), "Reorder Suggestions"),
+                React.createElement('div', { className: "flex items-center space-x-3" },
+                    React.createElement('select', { value: windowDays, onChange: (e) => setWindowDays(e.target.value), className: "rounded-md border-gray-300 text-sm" },
+                        ['14', '28', '56', '91'].map(days => React.createElement('option', { key: days, value: days }, `${days}-day sales`))
+                    ),
+                    React.createElement('label', { className: "flex items-center text-sm text-gray-700" },
+                        React.createElement('input', { type: "checkbox", checked: showAll, onChange: (e) => setShowAll(e.target.checked), className: "mr-2 rounded border-gray-300" }),
+                        "Show all SKUs"
+                    ),
+                    React.createElement('button', { onClick: createDraftOrders, disabled: isCreating || selected.size === 0, className: "px-4 py-2 rounded-md bg-indigo-600 text-white hover:bg-indigo-700 flex items-center text-sm font-medium disabled:opacity-50" },
+                        isCreating ? React.createElement(Loader, { className: "animate-spin h-4 w-4 mr-1" }) : React.createElement(ClipboardList, { className: "h-4 w-4 mr-1" }),
+                        `Create Draft POs (${selected.size})`
+                    ),
+                    React.createElement('button', { onClick: fetchReport, className: "p-2 rounded-full bg-indigo-100 text-indigo-600 hover:bg-indigo-200" }, React.createElement(RefreshCw, { className: "h-5 w-5" }))
+                )
+            ),
+            report && React.createElement('p', { className: "text-sm text-gray-500 mb-6" },
+                `Reorder point = daily velocity x lead time + safety stock (${report.service_level_z} sd of daily sales over the lead time, at least min. stock). Orders cover ${report.review_period_days} days beyond the reorder point. Drafts appear under `,
+                React.createElement(Link, { to: "/admin/purchase-orders", className: "text-indigo-600 hover:underline" }, "Purchase Orders"),
+                "."
+            ),
+            error && React.createElement('div', { className: "bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6" }, React.createElement(Server, { className: "inline-block h-5 w-5 mr-2" }), error),
+            React.createElement('div', { className: "bg-white shadow-md rounded-lg overflow-hidden" },
+                React.createElement('div', { className: "overflow-x-auto" },
+                    React.createElement('table', { className: "min-w-full divide-y divide-gray-200" },
+                        React.createElement('thead', { className: "bg-gray-50" },
+                            React.createElement('tr', null,
+                                ['', 'Product', 'Position', 'Velocity / day', 'Lead Time', 'Safety Stock', 'Reorder Point', 'Cover', 'Suggested', 'Supplier'].map((heading, index) =>
+                                    React.createElement('th', { key: index, className: "px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, heading))
+                            )
+                        ),
+                        React.createElement('tbody', { className: "bg-white divide-y divide-gray-200" },
+                            items.length > 0 ? items.map(item => React.createElement('tr', { key: item.product_id, className: item.needs_reorder ? "bg-yellow-50" : "hover:bg-gray-50" },
+                                React.createElement('td', { className: "px-4 py-3" },
+                                    item.needs_reorder && React.createElement('input', {
+                                        type: "checkbox", checked: selected.has(item.product_id), disabled: !item.supplier,
+                                        onChange: () => toggleSelected(item.product_id), className: "rounded border-gray-300"
+                                    })
+                                ),
+                                React.createElement('td', { className: "px-4 py-3" },
+                                    React.createElement('div', { className: "text-sm font-medium text-gray-900" }, item.name),
+                                    React.createElement('div', { className: "text-xs text-gray-500" }, item.sku)
+                                ),
+                                React.createElement('td', { className: "px-4 py-3 text-sm text-gray-700" },
+                                    React.createElement('div', { className: "font-semibold" }, item.stock_position),
+                                    React.createElement('div', { className: "text-xs text-gray-500" },
+                                        [`${item.stock_quantity} on hand`, item.in_transit > 0 && `${item.in_transit} in transit`, item.on_order > 0 && `${item.on_order} on order`, item.backordered_quantity > 0 && `-${item.backordered_quantity} backordered`].filter(Boolean).join(' · ')
+                                    )
+                                ),
+                                React.createElement('td', { className: "px-4 py-3 text-sm text-gray-700" }, item.daily_velocity),
+                                React.createElement('td', { className: "px-4 py-3 text-sm text-gray-700" }, `${item.lead_time_days} days`),
+                                React.createElement('td', { className: "px-4 py-3 text-sm text-gray-700" }, item.safety_stock),
+                                React.createElement('td', { className: "px-4 py-3 text-sm text-gray-700" }, item.reorder_point),
+                                React.createElement('td', { className: "px-4 py-3 text-sm text-gray-700" }, item.days_of_cover === null ? '—' : `${item.days_of_cover} days`),
+                                React.createElement('td', { className: "px-4 py-3 text-sm font-semibold text-indigo-700" }, item.needs_reorder ? item.suggested_quantity : '—'),
+                                React.createElement('td', { className: "px-4 py-3 text-sm text-gray-700" },
+                                    item.supplier
+                                        ? React.createElement('div', null,
+                                            React.createElement('div', null, item.supplier.supplier_name),
+                                            React.createElement('div', { className: "text-xs text-gray-500" }, `$${Number(item.supplier.unit_cost).toFixed(2)} · min. ${item.supplier.min_order_quantity}`)
+                                        )
+                                        : React.createElement('span', { className: "text-xs text-red-600 flex items-center" }, React.createElement(AlertTriangle, { className: "h-3 w-3 mr-1" }), "No supplier")
+                                )
+                            )) : React.createElement('tr', null, React.createElement('td', { colSpan: "10", className: "text-center py-10 text-gray-500" }, showAll ? "No products found." : "Nothing needs reordering right now."))
+                        )
+                    )
+                )
+            )
+        )
+    );
+};
+
+export default AdminReplenishment;
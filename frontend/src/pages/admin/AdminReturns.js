@@ -0,0 +1,286 @@
+// frontend/src/pages/admin/AdminReturns.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { useSocket } from '../../contexts/SocketContext';
+import toast from 'react-hot-toast';
+import {
+    RotateCcw, Loader, Server, RefreshCw, Check, XCircle, PackageCheck, ClipboardCheck, Clock, Truck, CheckCircle, Receipt
+} from 'lucide-react';
+
+const API_BASE = 'http://localhost:5000/api/admin';
+
+// --- Helper to format date strings ---
+const formatDate = (dateString) => {
+    if (!dateString) return '—';
+    const date = new Date(dateString);
+    if (isNaN(date.getTime())) return 'Invalid Date';
+    return date.toLocaleString('en-US', { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+};
+
+const getStatusVisuals = (status) => {
+    switch (status) {
+        case 'requested': return { Icon: Clock, color: 'bg-yellow-100 text-yellow-800' };
+        case 'approved': return { Icon: Check, color: 'bg-blue-100 text-blue-800' };
+        case 'in_transit': return { Icon: Truck, color: 'bg-indigo-100 text-indigo-800' };
+        case 'received': return { Icon: PackageCheck, color: 'bg-purple-100 text-purple-800' };
+        case 'completed': return { Icon: CheckCircle, color: 'bg-green-100 text-green-800' };
+        case 'rejected': return { Icon: XCircle, color: 'bg-red-100 text-red-800' };
+        default: return { Icon: Clock, color: 'bg-gray-100 text-gray-700' };
+    }
+};
+
+// --- Inspection Modal: restock or write off each received line ---
+const ReturnInspectModal = ({ returnId, warehouses, onClose, token, onInspected }) => {
+    const [returnRequest, setReturnRequest] = useState(null);
+    const [decisions, setDecisions] = useState({});
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchReturn = async () => {
+            try {
+                const response = await fetch(`${API_BASE}/returns/${returnId}`, { headers: { 'Authorization': `Bearer ${token}` } });
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Failed to fetch return.');
+                setReturnRequest(data.return);
+                const initial = {};
+                data.return.items.filter(item => !item.disposition).forEach(item => {
+                    initial[item.id] = { disposition: 'restock', warehouseId: '', notes: '' };
+                });
+                setDecisions(initial);
+            } catch (err) {
+                setError(err.message);
+            }
+        };
+        fetchReturn();
+    }, [returnId, token]);
+
+    const updateDecision = (itemId, field, value) => {
+        setDecisions(prev => ({ ...prev, [itemId]: { ...prev[itemId], [field]: value } }));
+    };
+
+    const handleSubmit = async () => {
+        const items = Object.entries(decisions).map(([itemId, decision]) => ({
+            returnItemId: parseInt(itemId, 10),
+            disposition: decision.disposition,
+            ...(decision.disposition === 'restock' && decision.warehouseId ? { warehouseId: parseInt(decision.warehouseId, 10) } : {}),
+            notes: decision.notes
+        }));
+        if (items.length === 0) {
+            setError('Every line of this return has already been inspected.');
+            return;
+        }
+
+        setIsLoading(true);
+        setError('');
+        try {
+            const response = await fetch(`${API_BASE}/returns/${returnId}/inspect`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+                body: JSON.stringify({ items }),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.details ? data.details.join(', ') : (data.error || 'Failed to record inspection.'));
+            }
+            toast.success(data.message);
+            onInspected();
+            onClose();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const selectClass = "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 text-sm";
+
+    return React.createElement('div', { className: "fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50" },
+        React.createElement('div', { className: "bg-white rounded-lg shadow-xl p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto" },
+            React.createElement('h2', { className: "text-2xl font-bold text-gray-800 mb-1" }, "Inspect Return"),
+            returnRequest && React.createElement('p', { className: "text-sm text-gray-500 mb-4" }, `${returnRequest.rma_number} · Order #${returnRequest.order_id} · ${returnRequest.user_name}: "${returnRequest.reason}"`),
+            !returnRequest && !error && React.createElement(Loader, { className: "animate-spin h-8 w-8 text-indigo-600 mx-auto my-6" }),
+            returnRequest && React.createElement('div', { className: "space-y-3" },
+                returnRequest.items.map(item => React.createElement('div', { key: item.id, className: "border rounded-md p-3" },
+                    React.createElement('div', { className: "flex justify-between text-sm" },
+                        React.createElement('span', { className: "font-medium text-gray-900" }, `${item.quantity} × ${item.product_name} (${item.sku})`),
+                        React.createElement('span', { className: "text-gray-500" }, `$${(item.quantity * item.price).toFixed(2)}`)
+                    ),
+                    item.reason && React.createElement('p', { className: "text-xs text-gray-500 mt-1" }, `Customer: ${item.reason}`),
+                    item.disposition
+                        ? React.createElement('p', { className: "text-xs text-gray-600 mt-2" },
+                            item.disposition === 'restock' ? `Restocked to ${item.warehouse_name}` : 'Written off',
+                            item.inspection_notes ? ` — ${item.inspection_notes}` : '')
+                        : React.createElement('div', { className: "grid grid-cols-3 gap-3 mt-2" },
+                            React.createElement('select', { value: decisions[item.id].disposition, onChange: (e) => updateDecision(item.id, 'disposition', e.target.value), className: selectClass },
+                                React.createElement('option', { value: "restock" }, "Restock"),
+                                React.createElement('option', { value: "write_off" }, "Write off")
+                            ),
+                            React.createElement('select', { value: decisions[item.id].warehouseId, onChange: (e) => updateDecision(item.id, 'warehouseId', e.target.value), disabled: decisions[item.id].disposition !== 'restock', className: selectClass },
+                                React.createElement('option', { value: "" }, item.warehouse_id ? 'Original warehouse' : 'Warehouse it shipped from'),
+                                warehouses.filter(w => w.is_active).map(w => React.createElement('option', { key: w.id, value: String(w.id) }, w.name))
+                            ),
+                            React.createElement('input', { type: "text", placeholder: "Inspection notes", value: decisions[item.id].notes, onChange: (e) => updateDecision(item.id, 'notes', e.target.value), className: selectClass })
+                        )
+                ))
+            ),
+            error && React.createElement('p', { className: "text-red-500 text-sm mt-2" }, error),
+            React.createElement('div', { className: "mt-6 flex justify-end space-x-3" },
+                React.createElement('button', { onClick: onClose, disabled: isLoading, className: "px-4 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400" }, "Cancel"),
+                React.createElement('button', { onClick: handleSubmit, disabled: isLoading || !returnRequest, className: "px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 flex items-center" },
+                    isLoading && React.createElement(Loader, { className: "animate-spin h-5 w-5 mr-2" }), "Record Inspection"
+                )
+            )
+        )
+    );
+};
+
+// --- Main AdminReturns Component ---
+const AdminReturns = () => {
+    const { token } = useAuth();
+    const { socket } = useSocket();
+    const [returns, setReturns] = useState([]);
+    const [warehouses, setWarehouses] = useState([]);
+    const [statusFilter, setStatusFilter] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [inspectingReturnId, setInspectingReturnId] = useState(null);
+    const [busyReturnId, setBusyReturnId] = useState(null);
+
+    const fetchReturns = useCallback(async () => {
+        if (!token) { setLoading(false); setError("Authentication token missing."); return; }
+        setError(null);
+        try {
+            const headers = { 'Authorization': `Bearer ${token}` };
+            const [returnsRes, warehousesRes] = await Promise.all([
+                fetch(`${API_BASE}/returns${statusFilter ? `?status=${statusFilter}` : ''}`, { headers }),
+                fetch(`${API_BASE}/warehouses`, { headers })
+            ]);
+            if (!returnsRes.ok || !warehousesRes.ok) {
+                throw new Error('Failed to fetch return data.');
+            }
+            const [returnsData, warehousesData] = await Promise.all([returnsRes.json(), warehousesRes.json()]);
+            setReturns(Array.isArray(returnsData.returns) ? returnsData.returns : []);
+            setWarehouses(Array.isArray(warehousesData.warehouses) ? warehousesData.warehouses : []);
+        } catch (err) {
+            setError(err.message);
+            setReturns([]);
+        } finally {
+            setLoading(false);
+        }
+    }, [token, statusFilter]);
+
+    useEffect(() => { fetchReturns(); }, [fetchReturns]);
+
+    useEffect(() => {
+        if (!socket) return;
+        const handleReturnUpdated = () => fetchReturns();
+        socket.on('return_updated', handleReturnUpdated);
+        return () => { socket.off('return_updated', handleReturnUpdated); };
+    }, [socket, fetchReturns]);
+
+    // Runs approve / reject / receive on a return; approve and reject take an optional note for the customer
+    const runAction = async (returnRequest, action) => {
+        let body = {};
+        if (action === 'approve' || action === 'reject') {
+            const notes = window.prompt(`${action === 'approve' ? 'Approve' : 'Reject'} ${returnRequest.rma_number}? Note for the customer (optional):`, '');
+            if (notes === null) return; // Dialog dismissed
+            body = notes.trim() ? { notes: notes.trim() } : {};
+        }
+        setBusyReturnId(returnRequest.id);
+        try {
+            const response = await fetch(`${API_BASE}/returns/${returnRequest.id}/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || `Failed to ${action} return.`);
+            }
+            toast.success(data.message || 'Return updated.');
+            fetchReturns();
+        } catch (err) {
+            toast.error(err.message);
+        } finally {
+            setBusyReturnId(null);
+        }
+    };
+
+    if (loading) { return React.createElement('div', { className: "flex justify-center items-center h-screen bg-gray-50" }, React.createElement(Loader, { className: "animate-spin h-12 w-12 text-indigo-600" })); }
+
+    return React.createElement(React.Fragment, null,
+        React.createElement('div', { className: "min-h-screen bg-gray-50 p-8" },
+            React.createElement('div', { className: "max-w-7xl mx-auto" },
+                React.createElement('div', { className: "flex justify-between items-center mb-6" },
+                    React.createElement('h1', { className: "text-3xl font-bold text-gray-900 flex items-center" }, React.createElement(RotateCcw, { className: "h-8 w-8 mr-3 text-indigo-600" }), "Returns (RMA)"),
+                    React.createElement('div', { className: "flex items-center space-x-3" },
+                        React.createElement('select', { value: statusFilter, onChange: (e) => setStatusFilter(e.target.value), className: "rounded-md border-gray-300 text-sm" },
+                            React.createElement('option', { value: "" }, "All statuses"),
+                            ['requested', 'approved', 'in_transit', 'received', 'completed', 'rejected'].map(s => React.createElement('option', { key: s, value: s }, s.replace(/_/g, ' ')))
+                        ),
+                        React.createElement('button', { onClick: fetchReturns, className: "p-2 rounded-full bg-indigo-100 text-indigo-600 hover:bg-indigo-200" }, React.createElement(RefreshCw, { className: "h-5 w-5" }))
+                    )
+                ),
+                error && React.createElement('div', { className: "bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6" }, React.createElement(Server, { className: "inline-block h-5 w-5 mr-2" }), error),
+                React.createElement('div', { className: "bg-white shadow-md rounded-lg overflow-hidden" },
+                    React.createElement('div', { className: "overflow-x-auto" },
+                        React.createElement('table', { className: "min-w-full divide-y divide-gray-200" },
+                            React.createElement('thead', { className: "bg-gray-50" },
+                                React.createElement('tr', null,
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "RMA"),
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Customer / Order"),
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Reason"),
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Status"),
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Return Tracking"),
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Credit"),
+                                    React.createElement('th', { className: "px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase" }, "Actions")
+                                )
+                            ),
+                            React.createElement('tbody', { className: "bg-white divide-y divide-gray-200" },
+                                returns.length > 0 ? (
+                                    returns.map(returnRequest => {
+                                        const { Icon, color } = getStatusVisuals(returnRequest.status);
+                                        const isBusy = busyReturnId === returnRequest.id;
+                                        return React.createElement('tr', { key: returnRequest.id, className: "hover:bg-gray-50" },
+                                            React.createElement('td', { className: "px-6 py-4" },
+                                                React.createElement('div', { className: "text-sm font-semibold text-indigo-600" }, returnRequest.rma_number),
+                                                React.createElement('div', { className: "text-xs text-gray-500" }, formatDate(returnRequest.created_at))
+                                            ),
+                                            React.createElement('td', { className: "px-6 py-4 text-sm" },
+                                                React.createElement('div', { className: "text-gray-900" }, returnRequest.user_name),
+                                                React.createElement('div', { className: "text-xs text-gray-500" }, `Order #${returnRequest.order_id} · ${returnRequest.total_units} unit(s), ${returnRequest.line_count} line(s)`)
+                                            ),
+                                            React.createElement('td', { className: "px-6 py-4 text-sm text-gray-700 max-w-xs truncate", title: returnRequest.reason }, returnRequest.reason),
+                                            React.createElement('td', { className: "px-6 py-4" },
+                                                React.createElement('span', { className: `inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium capitalize ${color}` },
+                                                    React.createElement(Icon, { className: "h-3 w-3 mr-1" }), returnRequest.status.replace(/_/g, ' ')
+                                                )
+                                            ),
+                                            React.createElement('td', { className: "px-6 py-4 text-xs text-gray-700" }, returnRequest.return_tracking_number || '—'),
+                                            React.createElement('td', { className: "px-6 py-4 text-sm text-gray-900" },
+                                                returnRequest.credit_amount !== null
+                                                    ? React.createElement('span', { className: "inline-flex items-center text-green-700" }, React.createElement(Receipt, { className: "h-4 w-4 mr-1" }), `$${returnRequest.credit_amount.toFixed(2)}`)
+                                                    : '—'
+                                            ),
+                                            React.createElement('td', { className: "px-6 py-4 text-right space-x-3 whitespace-nowrap" },
+                                                isBusy && React.createElement(Loader, { className: "inline-block animate-spin h-5 w-5 text-indigo-600" }),
+                                                !isBusy && returnRequest.status === 'requested' && React.createElement('button', { onClick: () => runAction(returnRequest, 'approve'), title: "Approve", className: "text-green-600 hover:text-green-900" }, React.createElement(Check, { className: "h-5 w-5" })),
+                                                !isBusy && returnRequest.status === 'requested' && React.createElement('button', { onClick: () => runAction(returnRequest, 'reject'), title: "Reject", className: "text-red-600 hover:text-red-900" }, React.createElement(XCircle, { className: "h-5 w-5" })),
+                                                !isBusy && ['approved', 'in_transit'].includes(returnRequest.status) && React.createElement('button', { onClick: () => runAction(returnRequest, 'receive'), title: "Mark received", className: "text-purple-600 hover:text-purple-900" }, React.createElement(PackageCheck, { className: "h-5 w-5" })),
+                                                !isBusy && returnRequest.status === 'received' && React.createElement('button', { onClick: () => setInspectingReturnId(returnRequest.id), title: "Inspect", className: "text-indigo-600 hover:text-indigo-900" }, React.createElement(ClipboardCheck, { className: "h-5 w-5" }))
+                                            )
+                                        );
+                                    })
+                                ) : (React.createElement('tr', null, React.createElement('td', { colSpan: "7", className: "text-center py-10 text-gray-500" }, "No returns found.")))
+                            )
+                        )
+                    )
+                )
+            )
+        ),
+        inspectingReturnId && React.createElement(ReturnInspectModal, { returnId: inspectingReturnId, warehouses, onClose: () => setInspectingReturnId(null), token, onInspected: fetchReturns })
+    );
+};
+
+export default AdminReturns;
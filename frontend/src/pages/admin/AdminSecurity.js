@@ -0,0 +1,118 @@
+// frontend/src/pages/admin/AdminSecurity.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import toast from 'react-hot-toast';
+import { KeyRound, Loader, Server, ShieldCheck, ShieldOff } from 'lucide-react';
+import { authAPI } from '../../utils/api';
+import TwoFactorSetup, { BackupCodes } from '../../components/TwoFactorSetup';
+
+const inputClass = "rounded-md border-gray-300 shadow-sm text-sm focus:border-indigo-500 focus:ring-indigo-500";
+const buttonClass = "px-3 py-2 rounded-md text-sm font-medium disabled:opacity-50";
+
+// --- Main AdminSecurity Component ---
+// Two-factor sign-in for the signed-in account: enrol an authenticator app, replace backup codes, or turn it off
+// (unless the policy requires it for the role).
+const AdminSecurity = () => {
+    const { replaceTokens } = useAuth();
+    const [status, setStatus] = useState(null);
+    const [settingUp, setSettingUp] = useState(false);
+    const [newCodes, setNewCodes] = useState(null);
+    const [code, setCode] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const fetchStatus = useCallback(async () => {
+        setError(null);
+        try {
+            const response = await authAPI.getTwoFactorStatus();
+            setStatus(response.data);
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to fetch two-factor status.');
+        }
+    }, []);
+
+    useEffect(() => { fetchStatus(); }, [fetchStatus]);
+
+    const handleEnabled = (result) => {
+        // Enabling signed every session out; this one continues with the reissued tokens
+        replaceTokens(result.token, result.refreshToken);
+        toast.success(result.message);
+        setSettingUp(false);
+        fetchStatus();
+    };
+
+    // Both actions take a current code from the app or a backup code
+    const runWithCode = async (action) => {
+        setBusy(true);
+        try {
+            const response = await action(code.trim());
+            toast.success(response.data.message);
+            return response.data;
+        } catch (err) {
+            toast.error(err.response?.data?.error || 'Request failed.');
+            return null;
+        } finally {
+            setCode('');
+            setBusy(false);
+        }
+    };
+
+    const handleRegenerate = async () => {
+        const data = await runWithCode(authAPI.regenerateBackupCodes);
+        if (data) setNewCodes(data.backupCodes);
+    };
+
+    const handleDisable = async () => {
+        if (!window.confirm('Turn off two-factor authentication? Your password alone will sign you in.')) return;
+        const data = await runWithCode(authAPI.disableTwoFactor);
+        if (data) fetchStatus();
+    };
+
+    if (!status && !error) {
+        return React.createElement('div', { className: "flex justify-center items-center min-h-screen" }, React.createElement(Loader, { className: "animate-spin h-10 w-10 text-indigo-600" }));
+    }
+
+    const renderEnabled = () => React.createElement('div', { className: "space-y-4" },
+        React.createElement('p', { className: "flex items-center text-sm text-green-700 font-medium" },
+            React.createElement(ShieldCheck, { className: "h-5 w-5 mr-2" }),
+            `Two-factor authentication is on since ${new Date(status.enabled_at.replace(' ', 'T') + 'Z').toLocaleString()}.`
+        ),
+        React.createElement('p', { className: `text-sm ${status.backup_codes_remaining <= 2 ? 'text-red-700 font-medium' : 'text-gray-700'}` },
+            `${status.backup_codes_remaining} unused backup code${status.backup_codes_remaining === 1 ? '' : 's'} left.`
+        ),
+        newCodes
+            ? React.createElement(BackupCodes, { codes: newCodes, onDone: () => { setNewCodes(null); fetchStatus(); } })
+            : React.createElement('div', { className: "flex flex-wrap items-end gap-3 pt-2 border-t border-gray-200" },
+                React.createElement('div', null,
+                    React.createElement('label', { htmlFor: "securityCode", className: "block text-sm font-medium text-gray-700" }, "Current code or backup code"),
+                    React.createElement('input', { id: "securityCode", value: code, autoComplete: "one-time-code", maxLength: 20, onChange: (e) => setCode(e.target.value), className: `mt-1 w-56 ${inputClass}` })
+                ),
+                React.createElement('button', { onClick: handleRegenerate, disabled: busy || !code.trim(), className: `${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700` }, "New backup codes"),
+                status.required
+                    ? React.createElement('p', { className: "text-sm text-gray-500" }, "Required for your role, so it cannot be turned off.")
+                    : React.createElement('button', { onClick: handleDisable, disabled: busy || !code.trim(), className: `${buttonClass} bg-white border border-red-300 text-red-700 hover:bg-red-50 flex items-center` },
+                        React.createElement(ShieldOff, { className: "h-4 w-4 mr-1" }), "Turn off"
+                    )
+            )
+    );
+
+    const renderDisabled = () => settingUp
+        ? React.createElement(TwoFactorSetup, { onEnabled: handleEnabled, onCancel: () => setSettingUp(false) })
+        : React.createElement('div', { className: "space-y-4" },
+            React.createElement('p', { className: "text-sm text-gray-700" }, "Two-factor authentication is off. With it on, signing in also takes a code from an authenticator app on your phone."),
+            React.createElement('button', { onClick: () => setSettingUp(true), className: `${buttonClass} bg-indigo-600 text-white hover:bg-indigo-700` }, "Set up two-factor authentication")
+        );
+
+    return React.createElement('div', { className: "min-h-screen bg-gray-50 p-8" },
+        React.createElement('div', { className: "max-w-2xl mx-auto space-y-6" },
+            React.createElement('h1', { className: "text-3xl font-bold text-gray-900 flex items-center" }, React.createElement(KeyRound, { className: "h-8 w-8 mr-3 text-indigo-600" }), "Security"),
+            error && React.createElement('div', { className: "bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded" }, React.createElement(Server, { className: "inline-block h-5 w-5 mr-2" }), error),
+            status && React.createElement('div', { className: "bg-white shadow-md rounded-lg p-6 space-y-4" },
+                React.createElement('h2', { className: "text-lg font-semibold text-gray-900" }, "Two-factor authentication"),
+                status.enabled ? renderEnabled() : renderDisabled()
+            )
+        )
+    );
+};
+
+export default AdminSecurity;
@@ -0,0 +1,282 @@
+// frontend/src/pages/admin/AdminSerials.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { useSocket } from '../../contexts/SocketContext';
+import toast from 'react-hot-toast';
+import { ScanLine, Loader, Server, RefreshCw, Search, Plus } from 'lucide-react';
+
+const API_BASE = 'http://localhost:5000/api/admin';
+
+const formatDateTime = (value) => value ? new Date(value).toLocaleString() : '—';
+
+const STATUS_BADGES = {
+    in_stock: 'bg-green-100 text-green-800',
+    allocated: 'bg-blue-100 text-blue-800',
+    shipped: 'bg-indigo-100 text-indigo-800',
+    written_off: 'bg-red-100 text-red-800'
+};
+
+const EVENT_LABELS = {
+    received: 'Received',
+    registered: 'Registered',
+    allocated: 'Scanned into parcel',
+    released: 'Taken out of parcel',
+    shipped: 'Shipped',
+    restocked: 'Returned and restocked',
+    written_off: 'Returned and written off'
+};
+
+const StatusBadge = ({ status }) => React.createElement('span', { className: `px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_BADGES[status] || 'bg-gray-100 text-gray-800'}` },
+    status.replace(/_/g, ' ')
+);
+
+// Splits pasted or scanned serials on new lines and commas
+const parseSerials = (text) => text.split(/[\n,]/).map(serial => serial.trim()).filter(Boolean);
+
+// --- Serial Lookup Component ---
+const SerialLookup = ({ token }) => {
+    const [serialNumber, setSerialNumber] = useState('');
+    const [result, setResult] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+
+    const handleSearch = async (e) => {
+        e.preventDefault();
+        if (!serialNumber.trim()) return;
+        setIsLoading(true);
+        try {
+            const response = await fetch(`${API_BASE}/serials/${encodeURIComponent(serialNumber.trim())}`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to look up serial number.');
+            }
+            setResult(data);
+        } catch (err) {
+            toast.error(err.message);
+            setResult(null);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return React.createElement('div', { className: "bg-white shadow-md rounded-lg p-6" },
+        React.createElement('h2', { className: "text-lg font-semibold text-gray-800 mb-1" }, "Serial Lookup"),
+        React.createElement('p', { className: "text-sm text-gray-500 mb-4" }, "Where a unit came from, where it went and everything in between, returns included."),
+        React.createElement('form', { onSubmit: handleSearch, className: "flex space-x-3 mb-4" },
+            React.createElement('input', {
+                type: "text", value: serialNumber, onChange: (e) => setSerialNumber(e.target.value), placeholder: "Serial number",
+                className: "flex-1 rounded-md border-gray-300 shadow-sm font-mono focus:border-indigo-500 focus:ring-indigo-500"
+            }),
+            React.createElement('button', { type: "submit", disabled: isLoading, className: "px-4 py-2 rounded-md bg-indigo-600 text-white hover:bg-indigo-700 flex items-center text-sm font-medium disabled:opacity-50" },
+                isLoading ? React.createElement(Loader, { className: "animate-spin h-4 w-4 mr-1" }) : React.createElement(Search, { className: "h-4 w-4 mr-1" }),
+                "Look up"
+            )
+        ),
+        result && result.units.map(unit => React.createElement('div', { key: unit.id, className: "border border-gray-200 rounded-md mb-4" },
+            React.createElement('div', { className: "px-4 py-3 bg-gray-50 text-sm flex justify-between items-center" },
+                React.createElement('div', null,
+                    React.createElement('div', { className: "font-medium text-gray-900" }, `${unit.product_name} (${unit.sku}) · `, React.createElement('span', { className: "font-mono" }, unit.serial_number)),
+                    React.createElement('div', { className: "text-xs text-gray-500" },
+                        unit.po_number ? `Received on ${unit.po_number} (${unit.receipt_number})` : 'Registered from existing stock',
+                        unit.order ? ` · Order #${unit.order.order_id} for ${unit.order.user_name} (${unit.order.user_email}), parcel ${unit.order.tracking_number}` : ''
+                    )
+                ),
+                React.createElement('div', { className: "text-right" },
+                    React.createElement(StatusBadge, { status: unit.status }),
+                    unit.warehouse_name && unit.status !== 'shipped' && React.createElement('div', { className: "text-xs text-gray-500 mt-1" }, unit.warehouse_name)
+                )
+            ),
+            React.createElement('table', { className: "min-w-full divide-y divide-gray-200" },
+                React.createElement('thead', null,
+                    React.createElement('tr', null,
+                        ['When', 'Event', 'Reference', 'Order', 'Warehouse', 'By'].map(heading =>
+                            React.createElement('th', { key: heading, className: "px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase" }, heading))
+                    )
+                ),
+                React.createElement('tbody', { className: "divide-y divide-gray-200" },
+                    unit.history.map(event => React.createElement('tr', { key: event.id },
+                        React.createElement('td', { className: "px-4 py-2 text-sm text-gray-700 whitespace-nowrap" }, formatDateTime(event.created_at)),
+                        React.createElement('td', { className: "px-4 py-2 text-sm font-medium text-gray-900" }, EVENT_LABELS[event.event] || event.event),
+                        React.createElement('td', { className: "px-4 py-2 text-xs text-gray-500 font-mono" }, event.reference || '—'),
+                        React.createElement('td', { className: "px-4 py-2 text-sm text-indigo-600" }, event.order_id ? `#${event.order_id}` : '—'),
+                        React.createElement('td', { className: "px-4 py-2 text-sm text-gray-700" }, event.warehouse_name || '—'),
+                        React.createElement('td', { className: "px-4 py-2 text-sm text-gray-500" }, event.created_by_name || '—')
+                    ))
+                )
+            )
+        ))
+    );
+};
+
+// --- Register Existing Stock Component ---
+const RegisterSerials = ({ token, products, warehouses, onRegistered }) => {
+    const [productId, setProductId] = useState('');
+    const [warehouseId, setWarehouseId] = useState('');
+    const [serials, setSerials] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+
+    const selectedProduct = productId || (products[0] ? String(products[0].id) : '');
+    const selectedWarehouse = warehouseId || (warehouses[0] ? String(warehouses[0].id) : '');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const serialNumbers = parseSerials(serials);
+        if (!selectedProduct || !selectedWarehouse || serialNumbers.length === 0) {
+            toast.error('Choose a product and warehouse and enter at least one serial number.');
+            return;
+        }
+        setIsLoading(true);
+        try {
+            const response = await fetch(`${API_BASE}/serials`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+                body: JSON.stringify({ product_id: parseInt(selectedProduct, 10), warehouse_id: parseInt(selectedWarehouse, 10), serial_numbers: serialNumbers })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.details ? data.details.join(', ') : (data.error || 'Failed to register serial numbers.'));
+            }
+            toast.success(data.message);
+            setSerials('');
+            onRegistered();
+        } catch (err) {
+            toast.error(err.message);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const selectClass = "mt-1 block w-full rounded-md border-gray-300 shadow-sm text-sm focus:border-indigo-500 focus:ring-indigo-500";
+
+    return React.createElement('form', { onSubmit: handleSubmit, className: "bg-white shadow-md rounded-lg p-6" },
+        React.createElement('h2', { className: "text-lg font-semibold text-gray-800 mb-1" }, "Register Existing Stock"),
+        React.createElement('p', { className: "text-sm text-gray-500 mb-4" }, "Units on the shelf from before the product was serial-tracked need their serial numbers recorded before they can ship."),
+        products.length === 0
+            ? React.createElement('p', { className: "text-sm text-gray-500" }, "No products track serial numbers. Turn it on in Products.")
+            : React.createElement('div', { className: "grid grid-cols-1 md:grid-cols-3 gap-4" },
+                React.createElement('div', null,
+                    React.createElement('label', { htmlFor: "serialProduct", className: "block text-sm font-medium text-gray-700" }, "Product"),
+                    React.createElement('select', { id: "serialProduct", value: selectedProduct, onChange: (e) => setProductId(e.target.value), className: selectClass },
+                        products.map(p => React.createElement('option', { key: p.id, value: String(p.id) }, `${p.name} (${p.sku})`))
+                    ),
+                    React.createElement('label', { htmlFor: "serialWarehouse", className: "block text-sm font-medium text-gray-700 mt-3" }, "Warehouse"),
+                    React.createElement('select', { id: "serialWarehouse", value: selectedWarehouse, onChange: (e) => setWarehouseId(e.target.value), className: selectClass },
+                        warehouses.map(w => React.createElement('option', { key: w.id, value: String(w.id) }, w.name))
+                    )
+                ),
+                React.createElement('div', { className: "md:col-span-2" },
+                    React.createElement('label', { htmlFor: "serialList", className: "block text-sm font-medium text-gray-700" }, `Serial numbers (${parseSerials(serials).length})`),
+                    React.createElement('textarea', {
+                        id: "serialList", rows: 4, value: serials, onChange: (e) => setSerials(e.target.value), placeholder: "One per line",
+                        className: "mt-1 block w-full rounded-md border-gray-300 shadow-sm font-mono text-sm focus:border-indigo-500 focus:ring-indigo-500"
+                    }),
+                    React.createElement('div', { className: "flex justify-end mt-3" },
+                        React.createElement('button', { type: "submit", disabled: isLoading, className: "px-4 py-2 rounded-md bg-indigo-600 text-white hover:bg-indigo-700 flex items-center text-sm font-medium disabled:opacity-50" },
+                            isLoading ? React.createElement(Loader, { className: "animate-spin h-4 w-4 mr-1" }) : React.createElement(Plus, { className: "h-4 w-4 mr-1" }),
+                            "Register"
+                        )
+                    )
+                )
+            )
+    );
+};
+
+// --- Main AdminSerials Component ---
+const AdminSerials = () => {
+    const { token } = useAuth();
+    const { socket } = useSocket();
+    const [serials, setSerials] = useState([]);
+    const [products, setProducts] = useState([]);
+    const [warehouses, setWarehouses] = useState([]);
+    const [statusFilter, setStatusFilter] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const fetchSerials = useCallback(async () => {
+        if (!token) { setLoading(false); setError("Authentication token missing."); return; }
+        setError(null);
+        try {
+            const headers = { 'Authorization': `Bearer ${token}` };
+            const params = new URLSearchParams();
+            if (statusFilter) params.append('status', statusFilter);
+            const [serialsRes, productsRes, warehousesRes] = await Promise.all([
+                fetch(`${API_BASE}/serials?${params.toString()}`, { headers }),
+                fetch(`${API_BASE}/products?status=active`, { headers }),
+                fetch(`${API_BASE}/warehouses`, { headers })
+            ]);
+            if (!serialsRes.ok || !productsRes.ok || !warehousesRes.ok) {
+                throw new Error('Failed to fetch serial numbers.');
+            }
+            const [serialsData, productsData, warehousesData] = await Promise.all([serialsRes.json(), productsRes.json(), warehousesRes.json()]);
+            setSerials(Array.isArray(serialsData.serials) ? serialsData.serials : []);
+            setProducts((Array.isArray(productsData.products) ? productsData.products : []).filter(p => p.track_serials === 1));
+            setWarehouses((Array.isArray(warehousesData.warehouses) ? warehousesData.warehouses : []).filter(w => w.is_active));
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [token, statusFilter]);
+
+    useEffect(() => { fetchSerials(); }, [fetchSerials]);
+
+    // Packing, dispatch and returns all move serials along
+    useEffect(() => {
+        if (!socket) return;
+        const handleChange = () => fetchSerials();
+        socket.on('shipment_status_updated', handleChange);
+        socket.on('return_updated', handleChange);
+        return () => {
+            socket.off('shipment_status_updated', handleChange);
+            socket.off('return_updated', handleChange);
+        };
+    }, [socket, fetchSerials]);
+
+    if (loading) { return React.createElement('div', { className: "flex justify-center items-center h-screen bg-gray-50" }, React.createElement(Loader, { className: "animate-spin h-12 w-12 text-indigo-600" })); }
+
+    return React.createElement('div', { className: "min-h-screen bg-gray-50 p-8" },
+        React.createElement('div', { className: "max-w-7xl mx-auto space-y-8" },
+            React.createElement('div', { className: "flex justify-between items-center" },
+                React.createElement('h1', { className: "text-3xl font-bold text-gray-900 flex items-center" }, React.createElement(ScanLine, { className: "h-8 w-8 mr-3 text-indigo-600" }), "Serial Numbers"),
+                React.createElement('button', { onClick: fetchSerials, className: "p-2 rounded-full bg-indigo-100 text-indigo-600 hover:bg-indigo-200" }, React.createElement(RefreshCw, { className: "h-5 w-5" }))
+            ),
+            error && React.createElement('div', { className: "bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" }, React.createElement(Server, { className: "inline-block h-5 w-5 mr-2" }), error),
+            React.createElement(SerialLookup, { token }),
+            React.createElement(RegisterSerials, { token, products, warehouses, onRegistered: fetchSerials }),
+            React.createElement('div', { className: "bg-white shadow-md rounded-lg overflow-hidden" },
+                React.createElement('div', { className: "px-6 py-4 border-b border-gray-200 flex justify-between items-center" },
+                    React.createElement('h2', { className: "text-lg font-semibold text-gray-800" }, "All Serials"),
+                    React.createElement('select', { value: statusFilter, onChange: (e) => setStatusFilter(e.target.value), className: "rounded-md border-gray-300 text-sm" },
+                        React.createElement('option', { value: "" }, "All statuses"),
+                        Object.keys(STATUS_BADGES).map(status => React.createElement('option', { key: status, value: status }, status.replace(/_/g, ' ')))
+                    )
+                ),
+                React.createElement('div', { className: "overflow-x-auto" },
+                    React.createElement('table', { className: "min-w-full divide-y divide-gray-200" },
+                        React.createElement('thead', { className: "bg-gray-50" },
+                            React.createElement('tr', null,
+                                ['Serial', 'Product', 'Status', 'Warehouse', 'Added'].map(heading =>
+                                    React.createElement('th', { key: heading, className: "px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, heading))
+                            )
+                        ),
+                        React.createElement('tbody', { className: "bg-white divide-y divide-gray-200" },
+                            serials.length > 0 ? serials.map(serial => React.createElement('tr', { key: serial.id, className: "hover:bg-gray-50" },
+                                React.createElement('td', { className: "px-4 py-3 text-sm font-mono text-gray-900" }, serial.serial_number),
+                                React.createElement('td', { className: "px-4 py-3" },
+                                    React.createElement('div', { className: "text-sm font-medium text-gray-900" }, serial.product_name),
+                                    React.createElement('div', { className: "text-xs text-gray-500" }, serial.sku)
+                                ),
+                                React.createElement('td', { className: "px-4 py-3" }, React.createElement(StatusBadge, { status: serial.status })),
+                                React.createElement('td', { className: "px-4 py-3 text-sm text-gray-700" }, serial.status === 'shipped' ? '—' : (serial.warehouse_name || '—')),
+                                React.createElement('td', { className: "px-4 py-3 text-sm text-gray-500" }, formatDateTime(serial.created_at))
+                            )) : React.createElement('tr', null, React.createElement('td', { colSpan: "5", className: "text-center py-10 text-gray-500" }, "No serial numbers recorded yet."))
+                        )
+                    )
+                )
+            )
+        )
+    );
+};
+
+export default AdminSerials;
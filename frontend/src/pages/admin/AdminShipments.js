@@ -3,7 +3,7 @@ import { useAuth } from '../../contexts/AuthContext';
 import { useSocket } from '../../contexts/SocketContext';
 import toast from 'react-hot-toast';
 import {
-    Truck, MapPin, CheckCircle, Clock, RefreshCw, Edit, Server, Loader, ChevronLeft, ChevronRight, Package, User, Calendar, XCircle, AlertCircle
+    Truck, MapPin, CheckCircle, Clock, RefreshCw, Edit, Server, Loader, ChevronLeft, ChevronRight, Package, User, Calendar, XCircle, AlertCircle, Scissors, ScanLine
 } from 'lucide-react';
 
 const ITEMS_PER_PAGE = 10;
@@ -51,8 +51,8 @@ const ShipmentUpdateModal = ({ shipment, onClose, token, onUpdateSuccess }) => {
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState('');
 
-    // Ensure this list matches your backend's validStatuses
-    const shipmentStatuses = ['pending', 'in_transit', 'out_for_delivery', 'delivered', 'failed_attempt', 'cancelled'];
+    // The current status plus the moves the backend's transition table allows from it
+    const shipmentStatuses = [shipment.status, ...(shipment.next_statuses || [])];
 
     const handleUpdate = async () => {
         setIsLoading(true);
@@ -121,6 +121,144 @@ const ShipmentUpdateModal = ({ shipment, onClose, token, onUpdateSuccess }) => {
 };
 
 // --- Main AdminShipments Component ---
+// Moves some units of a pending parcel into a new parcel with its own tracking number
+const ShipmentSplitModal = ({ shipment, onClose, token, onSplitSuccess }) => {
+    const [quantities, setQuantities] = useState({});
+    const [notes, setNotes] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleSplit = async () => {
+        const items = shipment.items
+            .map(item => ({ order_item_id: item.order_item_id, quantity: parseInt(quantities[item.order_item_id], 10) || 0 }))
+            .filter(item => item.quantity > 0);
+        if (items.length === 0) {
+            setError('Choose at least one unit to move into the new shipment.');
+            return;
+        }
+
+        setIsLoading(true);
+        setError('');
+        try {
+            const response = await fetch(`http://localhost:5000/api/admin/shipments/${shipment.id}/split`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+                body: JSON.stringify({ items, notes })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to split shipment');
+            toast.success(data.message);
+            onSplitSuccess();
+            onClose();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return React.createElement('div', { className: "fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50" },
+        React.createElement('div', { className: "bg-white rounded-lg shadow-xl p-6 w-full max-w-lg" },
+            React.createElement('h2', { className: "text-2xl font-bold text-gray-800 mb-1" }, `Split Shipment #${shipment.tracking_number}`),
+            React.createElement('p', { className: "text-sm text-gray-500 mb-4" }, "Units moved here ship in a new parcel with its own tracking number. At least one unit must stay in this shipment."),
+            React.createElement('div', { className: "space-y-3" },
+                shipment.items.map(item => React.createElement('div', { key: item.order_item_id, className: "flex items-center justify-between" },
+                    React.createElement('div', null,
+                        React.createElement('div', { className: "text-sm font-medium text-gray-900" }, item.product_name),
+                        React.createElement('div', { className: "text-xs text-gray-500" }, `${item.sku} · ${item.quantity} in this parcel`)
+                    ),
+                    React.createElement('input', {
+                        type: "number", min: 0, max: item.quantity,
+                        value: quantities[item.order_item_id] || '',
+                        onChange: (e) => setQuantities(prev => ({ ...prev, [item.order_item_id]: e.target.value })),
+                        className: "w-24 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500",
+                        placeholder: "0"
+                    })
+                )),
+                React.createElement('div', null,
+                    React.createElement('label', { htmlFor: "splitNotes", className: "block text-sm font-medium text-gray-700" }, "Notes for the new parcel"),
+                    React.createElement('textarea', { id: "splitNotes", value: notes, onChange: (e) => setNotes(e.target.value), rows: 2, className: "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500", placeholder: "e.g., Ships when the restock arrives" })
+                )
+            ),
+            error && React.createElement('p', { className: "text-red-500 text-sm mt-2" }, error),
+            React.createElement('div', { className: "mt-6 flex justify-end space-x-3" },
+                React.createElement('button', { onClick: onClose, disabled: isLoading, className: "px-4 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400" }, "Cancel"),
+                React.createElement('button', { onClick: handleSplit, disabled: isLoading, className: "px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 flex items-center" }, isLoading && React.createElement(Loader, { className: "animate-spin h-5 w-5 mr-2" }), "Split Shipment")
+            )
+        )
+    );
+};
+
+// Scans serial numbers into a pending parcel, one per unit of each serial-tracked line
+const ShipmentSerialsModal = ({ shipment, onClose, token, onSaveSuccess }) => {
+    const trackedItems = shipment.items.filter(item => item.track_serials);
+    const [serials, setSerials] = useState(() => Object.fromEntries(
+        trackedItems.map(item => [item.order_item_id, (item.serial_numbers || '').split(', ').filter(Boolean).join('\n')])
+    ));
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    // One serial per line; commas also separate, so a pasted list works too
+    const parseSerials = (text) => (text || '').split(/[\n,]/).map(serial => serial.trim()).filter(Boolean);
+
+    const handleSave = async () => {
+        const items = trackedItems.map(item => ({ order_item_id: item.order_item_id, serial_numbers: parseSerials(serials[item.order_item_id]) }));
+        const overfull = trackedItems.find(item => parseSerials(serials[item.order_item_id]).length > item.quantity);
+        if (overfull) {
+            setError(`${overfull.sku} only has ${overfull.quantity} unit(s) in this parcel.`);
+            return;
+        }
+
+        setIsLoading(true);
+        setError('');
+        try {
+            const response = await fetch(`http://localhost:5000/api/admin/shipments/${shipment.id}/serials`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+                body: JSON.stringify({ items })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to save serial numbers');
+            toast.success(data.message);
+            onSaveSuccess();
+            onClose();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return React.createElement('div', { className: "fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50" },
+        React.createElement('div', { className: "bg-white rounded-lg shadow-xl p-6 w-full max-w-lg" },
+            React.createElement('h2', { className: "text-2xl font-bold text-gray-800 mb-1" }, `Serial Numbers #${shipment.tracking_number}`),
+            React.createElement('p', { className: "text-sm text-gray-500 mb-4" }, "Scan one serial number per unit, one per line. The parcel cannot leave until every unit has one."),
+            React.createElement('div', { className: "space-y-4" },
+                trackedItems.map(item => {
+                    const scanned = parseSerials(serials[item.order_item_id]).length;
+                    return React.createElement('div', { key: item.order_item_id },
+                        React.createElement('div', { className: "flex justify-between items-baseline" },
+                            React.createElement('label', { htmlFor: `serials-${item.order_item_id}`, className: "block text-sm font-medium text-gray-900" }, `${item.product_name} (${item.sku})`),
+                            React.createElement('span', { className: `text-xs font-medium ${scanned === item.quantity ? 'text-green-600' : 'text-orange-600'}` }, `${scanned} / ${item.quantity} scanned`)
+                        ),
+                        React.createElement('textarea', {
+                            id: `serials-${item.order_item_id}`, rows: Math.min(Math.max(item.quantity, 2), 6),
+                            value: serials[item.order_item_id] || '',
+                            onChange: (e) => setSerials(prev => ({ ...prev, [item.order_item_id]: e.target.value })),
+                            className: "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 font-mono text-sm"
+                        })
+                    );
+                })
+            ),
+            error && React.createElement('p', { className: "text-red-500 text-sm mt-2" }, error),
+            React.createElement('div', { className: "mt-6 flex justify-end space-x-3" },
+                React.createElement('button', { onClick: onClose, disabled: isLoading, className: "px-4 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400" }, "Cancel"),
+                React.createElement('button', { onClick: handleSave, disabled: isLoading, className: "px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 flex items-center" }, isLoading && React.createElement(Loader, { className: "animate-spin h-5 w-5 mr-2" }), "Save Serials")
+            )
+        )
+    );
+};
+
 const AdminShipments = () => {
     const { token } = useAuth();
     const { socket } = useSocket();
@@ -130,6 +268,8 @@ const AdminShipments = () => {
     const [currentPage, setCurrentPage] = useState(1);
     const [totalShipments, setTotalShipments] = useState(0);
     const [selectedShipment, setSelectedShipment] = useState(null);
+    const [splittingShipment, setSplittingShipment] = useState(null);
+    const [scanningShipment, setScanningShipment] = useState(null);
 
     // Modified fetchShipments to accept a 'page' argument and refetch based on current state
     const fetchShipments = useCallback(async (page = currentPage) => { // Use currentPage as default
@@ -223,6 +363,7 @@ const AdminShipments = () => {
                                 React.createElement('tr', null,
                                     React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Tracking Id"),
                                     React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Customer"),
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Contents"),
                                     React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Status"),
                                     React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Location"),
                                     React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Est. Delivery"),
@@ -236,13 +377,23 @@ const AdminShipments = () => {
                                         return React.createElement('tr', { key: shipment.id, className: "hover:bg-gray-50" },
                                             React.createElement('td', { className: "px-6 py-4" }, React.createElement('div', { className: "text-sm font-semibold text-indigo-600" }, shipment.tracking_number), React.createElement('div', { className: "text-xs text-gray-500" }, `Order #${shipment.order_id}`)),
                                             React.createElement('td', { className: "px-6 py-4" }, React.createElement('div', { className: "text-sm font-medium text-gray-900" }, shipment.user_name)),
+                                            React.createElement('td', { className: "px-6 py-4 text-xs text-gray-700" }, (shipment.items || []).map(item => React.createElement('div', { key: item.order_item_id },
+                                                `${item.quantity} × ${item.sku}`,
+                                                item.serial_numbers && React.createElement('span', { className: "ml-1 font-mono text-gray-500" }, `(${item.serial_numbers})`)
+                                            ))),
                                             React.createElement('td', { className: "px-6 py-4" }, React.createElement('span', { className: `inline-flex items-center capitalize font-semibold ${color}` }, React.createElement(Icon, { className: "h-4 w-4 mr-2" }), shipment.status.replace(/_/g, ' '))),
                                             React.createElement('td', { className: "px-6 py-4 text-sm text-gray-700" }, shipment.current_location || 'N/A'),
                                             React.createElement('td', { className: "px-6 py-4 text-sm text-gray-500" }, formatDate(shipment.estimated_delivery)),
-                                            React.createElement('td', { className: "px-6 py-4 text-right" }, React.createElement('button', { onClick: () => setSelectedShipment(shipment), className: "text-indigo-600 hover:text-indigo-900" }, React.createElement(Edit, { className: "h-5 w-5" })))
+                                            React.createElement('td', { className: "px-6 py-4 text-right whitespace-nowrap" },
+                                                shipment.status === 'pending' && (shipment.items || []).some(item => item.track_serials) &&
+                                                    React.createElement('button', { onClick: () => setScanningShipment(shipment), title: "Scan serial numbers", className: "mr-3 text-gray-600 hover:text-gray-900" }, React.createElement(ScanLine, { className: "h-5 w-5" })),
+                                                shipment.status === 'pending' && (shipment.items || []).reduce((sum, item) => sum + item.quantity, 0) > 1 &&
+                                                    React.createElement('button', { onClick: () => setSplittingShipment(shipment), title: "Split shipment", className: "mr-3 text-gray-600 hover:text-gray-900" }, React.createElement(Scissors, { className: "h-5 w-5" })),
+                                                React.createElement('button', { onClick: () => setSelectedShipment(shipment), className: "text-indigo-600 hover:text-indigo-900" }, React.createElement(Edit, { className: "h-5 w-5" }))
+                                            )
                                         );
                                     })
-                                ) : (React.createElement('tr', null, React.createElement('td', { colSpan: "6", className: "text-center py-10 text-gray-500" }, "No shipments found.")))
+                                ) : (React.createElement('tr', null, React.createElement('td', { colSpan: "7", className: "text-center py-10 text-gray-500" }, "No shipments found.")))
                             )
                         )
                     ),
@@ -251,7 +402,9 @@ const AdminShipments = () => {
             )
         ),
         // Pass fetchShipments as onUpdateSuccess prop
-        selectedShipment && React.createElement(ShipmentUpdateModal, { shipment: selectedShipment, onClose: () => setSelectedShipment(null), token: token, onUpdateSuccess: () => fetchShipments(currentPage) })
+        selectedShipment && React.createElement(ShipmentUpdateModal, { shipment: selectedShipment, onClose: () => setSelectedShipment(null), token: token, onUpdateSuccess: () => fetchShipments(currentPage) }),
+        splittingShipment && React.createElement(ShipmentSplitModal, { shipment: splittingShipment, onClose: () => setSplittingShipment(null), token: token, onSplitSuccess: () => fetchShipments(currentPage) }),
+        scanningShipment && React.createElement(ShipmentSerialsModal, { shipment: scanningShipment, onClose: () => setScanningShipment(null), token: token, onSaveSuccess: () => fetchShipments(currentPage) })
     );
 };
 
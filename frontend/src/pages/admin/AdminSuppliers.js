@@ -0,0 +1,372 @@
+// frontend/src/pages/admin/AdminSuppliers.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import toast from 'react-hot-toast';
+import {
+    Factory, Loader, Server, RefreshCw, Plus, Edit, Trash2, Tags, Power, Mail, Phone
+} from 'lucide-react';
+
+const API_BASE = 'http://localhost:5000/api/admin';
+
+const inputClass = "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500";
+
+// Reads an error response the way the API sends it (validation details or a single message)
+const readError = async (response, fallback) => {
+    const errData = await response.json();
+    return errData.details ? errData.details.join(', ') : (errData.error || fallback);
+};
+
+// --- Create / Edit Supplier Modal ---
+const SupplierFormModal = ({ supplier, onClose, token, onSaved }) => {
+    const [form, setForm] = useState({
+        name: supplier ? supplier.name : '',
+        contact_name: supplier ? supplier.contact_name || '' : '',
+        email: supplier ? supplier.email || '' : '',
+        phone: supplier ? supplier.phone || '' : '',
+        address: supplier ? supplier.address || '' : '',
+        lead_time_days: supplier ? String(supplier.lead_time_days) : '7',
+        notes: supplier ? supplier.notes || '' : ''
+    });
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleChange = (e) => setForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+
+    const handleSubmit = async () => {
+        const leadTime = parseInt(form.lead_time_days, 10);
+        if (!form.name.trim() || isNaN(leadTime) || leadTime < 0) {
+            setError('A name and a lead time of zero or more days are required.');
+            return;
+        }
+
+        setIsLoading(true);
+        setError('');
+        try {
+            const response = await fetch(supplier ? `${API_BASE}/suppliers/${supplier.id}` : `${API_BASE}/suppliers`, {
+                method: supplier ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+                body: JSON.stringify({ ...form, name: form.name.trim(), lead_time_days: leadTime }),
+            });
+            if (!response.ok) {
+                throw new Error(await readError(response, 'Failed to save supplier.'));
+            }
+            toast.success(supplier ? 'Supplier updated.' : 'Supplier created.');
+            onSaved();
+            onClose();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const field = (name, label, type = 'text') => React.createElement('div', null,
+        React.createElement('label', { htmlFor: name, className: "block text-sm font-medium text-gray-700" }, label),
+        React.createElement('input', { id: name, name, type, value: form[name], onChange: handleChange, className: inputClass })
+    );
+
+    return React.createElement('div', { className: "fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50" },
+        React.createElement('div', { className: "bg-white rounded-lg shadow-xl p-6 w-full max-w-lg" },
+            React.createElement('h2', { className: "text-2xl font-bold text-gray-800 mb-4" }, supplier ? `Edit ${supplier.name}` : "New Supplier"),
+            React.createElement('div', { className: "grid grid-cols-2 gap-4" },
+                React.createElement('div', { className: "col-span-2" }, field('name', 'Name')),
+                field('contact_name', 'Contact'),
+                field('lead_time_days', 'Lead time (days)', 'number'),
+                field('email', 'Email', 'email'),
+                field('phone', 'Phone'),
+                React.createElement('div', { className: "col-span-2" }, field('address', 'Address')),
+                React.createElement('div', { className: "col-span-2" },
+                    React.createElement('label', { htmlFor: "notes", className: "block text-sm font-medium text-gray-700" }, "Notes"),
+                    React.createElement('textarea', { id: "notes", name: "notes", value: form.notes, onChange: handleChange, rows: 2, className: inputClass })
+                )
+            ),
+            error && React.createElement('p', { className: "text-red-500 text-sm mt-2" }, error),
+            React.createElement('div', { className: "mt-6 flex justify-end space-x-3" },
+                React.createElement('button', { onClick: onClose, disabled: isLoading, className: "px-4 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400" }, "Cancel"),
+                React.createElement('button', { onClick: handleSubmit, disabled: isLoading, className: "px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 flex items-center" },
+                    isLoading && React.createElement(Loader, { className: "animate-spin h-5 w-5 mr-2" }), "Save"
+                )
+            )
+        )
+    );
+};
+
+// --- Price List Modal: the SKUs a supplier sells us, with cost, lead time and minimum order ---
+const PriceListModal = ({ supplierId, products, onClose, token, onChanged }) => {
+    const [supplier, setSupplier] = useState(null);
+    const [line, setLine] = useState({ productId: '', supplier_sku: '', unit_cost: '', lead_time_days: '', min_order_quantity: '1' });
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const fetchSupplier = useCallback(async () => {
+        try {
+            const response = await fetch(`${API_BASE}/suppliers/${supplierId}`, { headers: { 'Authorization': `Bearer ${token}` } });
+            if (!response.ok) {
+                throw new Error(await readError(response, 'Failed to fetch supplier.'));
+            }
+            const data = await response.json();
+            setSupplier(data.supplier);
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [supplierId, token]);
+
+    useEffect(() => { fetchSupplier(); }, [fetchSupplier]);
+
+    const editLine = (product) => setLine({
+        productId: String(product.product_id),
+        supplier_sku: product.supplier_sku || '',
+        unit_cost: String(product.unit_cost),
+        lead_time_days: product.lead_time_days === null ? '' : String(product.lead_time_days),
+        min_order_quantity: String(product.min_order_quantity)
+    });
+
+    const handleSave = async () => {
+        const unitCost = parseFloat(line.unit_cost);
+        const minOrder = parseInt(line.min_order_quantity, 10);
+        if (!line.productId || isNaN(unitCost) || unitCost < 0 || isNaN(minOrder) || minOrder <= 0) {
+            setError('Choose a product and enter a cost and a minimum order quantity.');
+            return;
+        }
+
+        setIsLoading(true);
+        setError('');
+        try {
+            const response = await fetch(`${API_BASE}/suppliers/${supplierId}/products/${line.productId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+                body: JSON.stringify({
+                    supplier_sku: line.supplier_sku,
+                    unit_cost: unitCost,
+                    lead_time_days: line.lead_time_days === '' ? null : parseInt(line.lead_time_days, 10),
+                    min_order_quantity: minOrder
+                }),
+            });
+            if (!response.ok) {
+                throw new Error(await readError(response, 'Failed to save price.'));
+            }
+            const data = await response.json();
+            setSupplier(data.supplier);
+            setLine({ productId: '', supplier_sku: '', unit_cost: '', lead_time_days: '', min_order_quantity: '1' });
+            onChanged();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleRemove = async (product) => {
+        if (!window.confirm(`Remove ${product.product_name} from this price list?`)) return;
+        try {
+            const response = await fetch(`${API_BASE}/suppliers/${supplierId}/products/${product.product_id}`, {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            if (!response.ok) {
+                throw new Error(await readError(response, 'Failed to remove product.'));
+            }
+            const data = await response.json();
+            setSupplier(data.supplier);
+            onChanged();
+        } catch (err) {
+            toast.error(err.message);
+        }
+    };
+
+    return React.createElement('div', { className: "fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50" },
+        React.createElement('div', { className: "bg-white rounded-lg shadow-xl p-6 w-full max-w-4xl max-h-[90vh] overflow-y-auto" },
+            React.createElement('h2', { className: "text-2xl font-bold text-gray-800 mb-1" }, supplier ? `${supplier.name} — Price List` : "Price List"),
+            supplier && React.createElement('p', { className: "text-sm text-gray-500 mb-4" }, `Default lead time: ${supplier.lead_time_days} days`),
+            !supplier && !error && React.createElement(Loader, { className: "animate-spin h-8 w-8 text-indigo-600 mx-auto my-6" }),
+            supplier && React.createElement('table', { className: "min-w-full divide-y divide-gray-200 mb-4" },
+                React.createElement('thead', { className: "bg-gray-50" },
+                    React.createElement('tr', null,
+                        ['Product', 'Supplier SKU', 'Unit Cost', 'Lead Time', 'Min. Order', ''].map(heading =>
+                            React.createElement('th', { key: heading, className: "px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase" }, heading))
+                    )
+                ),
+                React.createElement('tbody', { className: "divide-y divide-gray-200" },
+                    supplier.products.length > 0 ? supplier.products.map(product => React.createElement('tr', { key: product.id },
+                        React.createElement('td', { className: "px-4 py-2 text-sm" },
+                            React.createElement('div', { className: "font-medium text-gray-900" }, product.product_name),
+                            React.createElement('div', { className: "text-xs text-gray-500" }, product.sku)
+                        ),
+                        React.createElement('td', { className: "px-4 py-2 text-sm text-gray-700" }, product.supplier_sku || '—'),
+                        React.createElement('td', { className: "px-4 py-2 text-sm text-gray-700" }, `$${Number(product.unit_cost).toFixed(2)}`),
+                        React.createElement('td', { className: "px-4 py-2 text-sm text-gray-700" },
+                            `${product.effective_lead_time_days} days`,
+                            product.lead_time_days === null && React.createElement('span', { className: "text-xs text-gray-400 ml-1" }, "(default)")
+                        ),
+                        React.createElement('td', { className: "px-4 py-2 text-sm text-gray-700" }, product.min_order_quantity),
+                        React.createElement('td', { className: "px-4 py-2 text-right space-x-2 whitespace-nowrap" },
+                            React.createElement('button', { onClick: () => editLine(product), title: "Edit", className: "text-indigo-600 hover:text-indigo-900" }, React.createElement(Edit, { className: "h-4 w-4" })),
+                            React.createElement('button', { onClick: () => handleRemove(product), title: "Remove", className: "text-red-600 hover:text-red-900" }, React.createElement(Trash2, { className: "h-4 w-4" }))
+                        )
+                    )) : React.createElement('tr', null, React.createElement('td', { colSpan: "6", className: "text-center py-6 text-gray-500" }, "No products on this price list yet."))
+                )
+            ),
+            supplier && React.createElement('div', { className: "grid grid-cols-6 gap-2 items-end border-t pt-4" },
+                React.createElement('div', { className: "col-span-2" },
+                    React.createElement('label', { className: "block text-xs font-medium text-gray-700" }, "Product"),
+                    React.createElement('select', { value: line.productId, onChange: (e) => setLine(prev => ({ ...prev, productId: e.target.value })), className: inputClass },
+                        React.createElement('option', { value: "" }, "Select product..."),
+                        products.map(p => React.createElement('option', { key: p.id, value: String(p.id) }, `${p.name} (${p.sku})`))
+                    )
+                ),
+                React.createElement('div', null,
+                    React.createElement('label', { className: "block text-xs font-medium text-gray-700" }, "Supplier SKU"),
+                    React.createElement('input', { value: line.supplier_sku, onChange: (e) => setLine(prev => ({ ...prev, supplier_sku: e.target.value })), className: inputClass })
+                ),
+                React.createElement('div', null,
+                    React.createElement('label', { className: "block text-xs font-medium text-gray-700" }, "Unit cost"),
+                    React.createElement('input', { type: "number", min: "0", step: "0.01", value: line.unit_cost, onChange: (e) => setLine(prev => ({ ...prev, unit_cost: e.target.value })), className: inputClass })
+                ),
+                React.createElement('div', null,
+                    React.createElement('label', { className: "block text-xs font-medium text-gray-700" }, "Lead time"),
+                    React.createElement('input', { type: "number", min: "0", placeholder: "default", value: line.lead_time_days, onChange: (e) => setLine(prev => ({ ...prev, lead_time_days: e.target.value })), className: inputClass })
+                ),
+                React.createElement('div', null,
+                    React.createElement('label', { className: "block text-xs font-medium text-gray-700" }, "Min. order"),
+                    React.createElement('input', { type: "number", min: "1", value: line.min_order_quantity, onChange: (e) => setLine(prev => ({ ...prev, min_order_quantity: e.target.value })), className: inputClass })
+                )
+            ),
+            error && React.createElement('p', { className: "text-red-500 text-sm mt-2" }, error),
+            React.createElement('div', { className: "mt-6 flex justify-end space-x-3" },
+                React.createElement('button', { onClick: onClose, disabled: isLoading, className: "px-4 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400" }, "Close"),
+                supplier && React.createElement('button', { onClick: handleSave, disabled: isLoading, className: "px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 flex items-center" },
+                    isLoading && React.createElement(Loader, { className: "animate-spin h-5 w-5 mr-2" }), "Save Price"
+                )
+            )
+        )
+    );
+};
+
+// --- Main AdminSuppliers Component ---
+const AdminSuppliers = () => {
+    const { token } = useAuth();
+    const [suppliers, setSuppliers] = useState([]);
+    const [products, setProducts] = useState([]);
+    const [statusFilter, setStatusFilter] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [editingSupplier, setEditingSupplier] = useState(null); // null = closed, {} = new supplier
+    const [priceListSupplierId, setPriceListSupplierId] = useState(null);
+
+    const fetchSuppliers = useCallback(async () => {
+        if (!token) { setLoading(false); setError("Authentication token missing."); return; }
+        setError(null);
+        try {
+            const headers = { 'Authorization': `Bearer ${token}` };
+            const [suppliersRes, productsRes] = await Promise.all([
+                fetch(`${API_BASE}/suppliers${statusFilter ? `?status=${statusFilter}` : ''}`, { headers }),
+                fetch(`${API_BASE}/products?status=active`, { headers })
+            ]);
+            if (!suppliersRes.ok || !productsRes.ok) {
+                throw new Error('Failed to fetch supplier data.');
+            }
+            const [suppliersData, productsData] = await Promise.all([suppliersRes.json(), productsRes.json()]);
+            setSuppliers(Array.isArray(suppliersData.suppliers) ? suppliersData.suppliers : []);
+            setProducts(Array.isArray(productsData.products) ? productsData.products : []);
+        } catch (err) {
+            setError(err.message);
+            setSuppliers([]);
+        } finally {
+            setLoading(false);
+        }
+    }, [token, statusFilter]);
+
+    useEffect(() => { fetchSuppliers(); }, [fetchSuppliers]);
+
+    const toggleActive = async (supplier) => {
+        const activate = !supplier.is_active;
+        if (!activate && !window.confirm(`Deactivate ${supplier.name}? No new purchase orders can be raised against it.`)) return;
+        try {
+            const response = await fetch(`${API_BASE}/suppliers/${supplier.id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+                body: JSON.stringify({ is_active: activate })
+            });
+            if (!response.ok) {
+                throw new Error(await readError(response, 'Failed to update supplier.'));
+            }
+            toast.success(`${supplier.name} ${activate ? 'activated' : 'deactivated'}.`);
+            fetchSuppliers();
+        } catch (err) {
+            toast.error(err.message);
+        }
+    };
+
+    if (loading) { return React.createElement('div', { className: "flex justify-center items-center h-screen bg-gray-50" }, React.createElement(Loader, { className: "animate-spin h-12 w-12 text-indigo-600" })); }
+
+    return React.createElement(React.Fragment, null,
+        React.createElement('div', { className: "min-h-screen bg-gray-50 p-8" },
+            React.createElement('div', { className: "max-w-7xl mx-auto" },
+                React.createElement('div', { className: "flex justify-between items-center mb-6" },
+                    React.createElement('h1', { className: "text-3xl font-bold text-gray-900 flex items-center" }, React.createElement(Factory, { className: "h-8 w-8 mr-3 text-indigo-600" }), "Suppliers"),
+                    React.createElement('div', { className: "flex items-center space-x-3" },
+                        React.createElement('select', { value: statusFilter, onChange: (e) => setStatusFilter(e.target.value), className: "rounded-md border-gray-300 text-sm" },
+                            React.createElement('option', { value: "" }, "All suppliers"),
+                            React.createElement('option', { value: "active" }, "Active"),
+                            React.createElement('option', { value: "inactive" }, "Inactive")
+                        ),
+                        React.createElement('button', { onClick: () => setEditingSupplier({}), className: "px-4 py-2 rounded-md bg-indigo-600 text-white hover:bg-indigo-700 flex items-center text-sm font-medium" },
+                            React.createElement(Plus, { className: "h-4 w-4 mr-1" }), "New Supplier"
+                        ),
+                        React.createElement('button', { onClick: fetchSuppliers, className: "p-2 rounded-full bg-indigo-100 text-indigo-600 hover:bg-indigo-200" }, React.createElement(RefreshCw, { className: "h-5 w-5" }))
+                    )
+                ),
+                error && React.createElement('div', { className: "bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6" }, React.createElement(Server, { className: "inline-block h-5 w-5 mr-2" }), error),
+                React.createElement('div', { className: "bg-white shadow-md rounded-lg overflow-hidden" },
+                    React.createElement('div', { className: "overflow-x-auto" },
+                        React.createElement('table', { className: "min-w-full divide-y divide-gray-200" },
+                            React.createElement('thead', { className: "bg-gray-50" },
+                                React.createElement('tr', null,
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Supplier"),
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Contact"),
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Lead Time"),
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "SKUs"),
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Open POs"),
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Status"),
+                                    React.createElement('th', { className: "px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase" }, "Actions")
+                                )
+                            ),
+                            React.createElement('tbody', { className: "bg-white divide-y divide-gray-200" },
+                                suppliers.length > 0 ? (
+                                    suppliers.map(supplier => React.createElement('tr', { key: supplier.id, className: "hover:bg-gray-50" },
+                                        React.createElement('td', { className: "px-6 py-4" },
+                                            React.createElement('div', { className: "text-sm font-semibold text-gray-900" }, supplier.name),
+                                            supplier.address && React.createElement('div', { className: "text-xs text-gray-500" }, supplier.address)
+                                        ),
+                                        React.createElement('td', { className: "px-6 py-4 text-sm text-gray-700" },
+                                            React.createElement('div', null, supplier.contact_name || '—'),
+                                            supplier.email && React.createElement('div', { className: "text-xs text-gray-500 flex items-center" }, React.createElement(Mail, { className: "h-3 w-3 mr-1" }), supplier.email),
+                                            supplier.phone && React.createElement('div', { className: "text-xs text-gray-500 flex items-center" }, React.createElement(Phone, { className: "h-3 w-3 mr-1" }), supplier.phone)
+                                        ),
+                                        React.createElement('td', { className: "px-6 py-4 text-sm text-gray-700" }, `${supplier.lead_time_days} days`),
+                                        React.createElement('td', { className: "px-6 py-4 text-sm text-gray-700" }, supplier.product_count),
+                                        React.createElement('td', { className: "px-6 py-4 text-sm text-gray-700" }, supplier.open_po_count),
+                                        React.createElement('td', { className: "px-6 py-4" },
+                                            React.createElement('span', { className: `inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${supplier.is_active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}` },
+                                                supplier.is_active ? 'Active' : 'Inactive'
+                                            )
+                                        ),
+                                        React.createElement('td', { className: "px-6 py-4 text-right space-x-3 whitespace-nowrap" },
+                                            React.createElement('button', { onClick: () => setPriceListSupplierId(supplier.id), title: "Price list", className: "text-indigo-600 hover:text-indigo-900" }, React.createElement(Tags, { className: "h-5 w-5" })),
+                                            React.createElement('button', { onClick: () => setEditingSupplier(supplier), title: "Edit", className: "text-blue-600 hover:text-blue-900" }, React.createElement(Edit, { className: "h-5 w-5" })),
+                                            React.createElement('button', { onClick: () => toggleActive(supplier), title: supplier.is_active ? "Deactivate" : "Activate", className: supplier.is_active ? "text-red-600 hover:text-red-900" : "text-green-600 hover:text-green-900" }, React.createElement(Power, { className: "h-5 w-5" }))
+                                        )
+                                    ))
+                                ) : (React.createElement('tr', null, React.createElement('td', { colSpan: "7", className: "text-center py-10 text-gray-500" }, "No suppliers found.")))
+                            )
+                        )
+                    )
+                )
+            )
+        ),
+        editingSupplier && React.createElement(SupplierFormModal, { supplier: editingSupplier.id ? editingSupplier : null, onClose: () => setEditingSupplier(null), token, onSaved: fetchSuppliers }),
+        priceListSupplierId && React.createElement(PriceListModal, { supplierId: priceListSupplierId, products, onClose: () => setPriceListSupplierId(null), token, onChanged: fetchSuppliers })
+    );
+};
+
+export default AdminSuppliers;
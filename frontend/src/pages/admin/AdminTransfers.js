@@ -0,0 +1,380 @@
+// frontend/src/pages/admin/AdminTransfers.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { useSocket } from '../../contexts/SocketContext';
+import toast from 'react-hot-toast';
+import {
+    ArrowRightLeft, Loader, Server, RefreshCw, Plus, Trash2, Truck, PackageCheck, XCircle, Clock, CheckCircle
+} from 'lucide-react';
+
+const API_BASE = 'http://localhost:5000/api/admin';
+
+// --- Helper to format date strings ---
+const formatDate = (dateString) => {
+    if (!dateString) return '—';
+    const date = new Date(dateString);
+    if (isNaN(date.getTime())) return 'Invalid Date';
+    return date.toLocaleString('en-US', { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+};
+
+const getStatusVisuals = (status) => {
+    switch (status) {
+        case 'draft': return { Icon: Clock, color: 'bg-gray-100 text-gray-700' };
+        case 'in_transit': return { Icon: Truck, color: 'bg-blue-100 text-blue-800' };
+        case 'received': return { Icon: CheckCircle, color: 'bg-green-100 text-green-800' };
+        case 'cancelled': return { Icon: XCircle, color: 'bg-red-100 text-red-800' };
+        default: return { Icon: Clock, color: 'bg-gray-100 text-gray-700' };
+    }
+};
+
+// --- New Transfer Modal ---
+const TransferCreateModal = ({ warehouses, products, onClose, token, onCreated }) => {
+    const activeWarehouses = warehouses.filter(w => w.is_active);
+    const [sourceId, setSourceId] = useState(activeWarehouses[0] ? String(activeWarehouses[0].id) : '');
+    const [destinationId, setDestinationId] = useState(activeWarehouses[1] ? String(activeWarehouses[1].id) : '');
+    const [lines, setLines] = useState([{ productId: '', quantity: '1' }]);
+    const [notes, setNotes] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    // Quantity the selected source warehouse holds for a product
+    const availableAtSource = (productId) => {
+        const product = products.find(p => String(p.id) === productId);
+        const location = product && (product.stock_locations || []).find(l => String(l.warehouse_id) === sourceId);
+        return location ? location.quantity : 0;
+    };
+
+    const updateLine = (index, field, value) => {
+        setLines(prev => prev.map((line, i) => i === index ? { ...line, [field]: value } : line));
+    };
+
+    const handleSubmit = async () => {
+        if (!sourceId || !destinationId || sourceId === destinationId) {
+            setError('Choose two different warehouses.');
+            return;
+        }
+        const items = lines
+            .filter(line => line.productId)
+            .map(line => ({ productId: parseInt(line.productId, 10), quantity: parseInt(line.quantity, 10) }));
+        if (items.length === 0 || items.some(item => isNaN(item.quantity) || item.quantity <= 0)) {
+            setError('Add at least one product with a positive quantity.');
+            return;
+        }
+        if (new Set(items.map(item => item.productId)).size !== items.length) {
+            setError('Each product can only appear once per transfer.');
+            return;
+        }
+
+        setIsLoading(true);
+        setError('');
+        try {
+            const response = await fetch(`${API_BASE}/transfers`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+                body: JSON.stringify({
+                    source_warehouse_id: parseInt(sourceId, 10),
+                    destination_warehouse_id: parseInt(destinationId, 10),
+                    items,
+                    notes
+                }),
+            });
+            if (!response.ok) {
+                const errData = await response.json();
+                throw new Error(errData.details ? errData.details.join(', ') : (errData.error || 'Failed to create transfer.'));
+            }
+            toast.success('Transfer created as draft.');
+            onCreated();
+            onClose();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const selectClass = "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500";
+
+    return React.createElement('div', { className: "fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50" },
+        React.createElement('div', { className: "bg-white rounded-lg shadow-xl p-6 w-full max-w-2xl" },
+            React.createElement('h2', { className: "text-2xl font-bold text-gray-800 mb-4" }, "New Stock Transfer"),
+            React.createElement('div', { className: "grid grid-cols-2 gap-4 mb-4" },
+                React.createElement('div', null,
+                    React.createElement('label', { htmlFor: "source", className: "block text-sm font-medium text-gray-700" }, "From"),
+                    React.createElement('select', { id: "source", value: sourceId, onChange: (e) => setSourceId(e.target.value), className: selectClass },
+                        warehouses.map(w => React.createElement('option', { key: w.id, value: String(w.id) }, w.name))
+                    )
+                ),
+                React.createElement('div', null,
+                    React.createElement('label', { htmlFor: "destination", className: "block text-sm font-medium text-gray-700" }, "To"),
+                    React.createElement('select', { id: "destination", value: destinationId, onChange: (e) => setDestinationId(e.target.value), className: selectClass },
+                        activeWarehouses.map(w => React.createElement('option', { key: w.id, value: String(w.id) }, w.name))
+                    )
+                )
+            ),
+            React.createElement('div', { className: "space-y-2" },
+                lines.map((line, index) => React.createElement('div', { key: index, className: "flex items-end space-x-2" },
+                    React.createElement('div', { className: "flex-grow" },
+                        React.createElement('select', { value: line.productId, onChange: (e) => updateLine(index, 'productId', e.target.value), className: selectClass },
+                            React.createElement('option', { value: "" }, "Select product..."),
+                            products.map(p => React.createElement('option', { key: p.id, value: String(p.id) }, `${p.name} (${p.sku})`))
+                        ),
+                        line.productId && React.createElement('p', { className: "text-xs text-gray-500 mt-1" }, `Available at source: ${availableAtSource(line.productId)}`)
+                    ),
+                    React.createElement('input', { type: "number", min: "1", value: line.quantity, onChange: (e) => updateLine(index, 'quantity', e.target.value), className: "w-24 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500" }),
+                    React.createElement('button', { onClick: () => setLines(prev => prev.filter((_, i) => i !== index)), disabled: lines.length === 1, className: "p-2 text-red-600 hover:text-red-900 disabled:opacity-30" },
+                        React.createElement(Trash2, { className: "h-5 w-5" })
+                    )
+                )),
+                React.createElement('button', { onClick: () => setLines(prev => [...prev, { productId: '', quantity: '1' }]), className: "text-sm text-indigo-600 hover:text-indigo-900 flex items-center" },
+                    React.createElement(Plus, { className: "h-4 w-4 mr-1" }), "Add line"
+                )
+            ),
+            React.createElement('div', { className: "mt-4" },
+                React.createElement('label', { htmlFor: "notes", className: "block text-sm font-medium text-gray-700" }, "Notes"),
+                React.createElement('textarea', { id: "notes", value: notes, onChange: (e) => setNotes(e.target.value), rows: 2, className: selectClass })
+            ),
+            error && React.createElement('p', { className: "text-red-500 text-sm mt-2" }, error),
+            React.createElement('div', { className: "mt-6 flex justify-end space-x-3" },
+                React.createElement('button', { onClick: onClose, disabled: isLoading, className: "px-4 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400" }, "Cancel"),
+                React.createElement('button', { onClick: handleSubmit, disabled: isLoading, className: "px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 flex items-center" },
+                    isLoading && React.createElement(Loader, { className: "animate-spin h-5 w-5 mr-2" }), "Create Draft"
+                )
+            )
+        )
+    );
+};
+
+// --- Ship Transfer Modal ---
+// Scans the serial numbers of the units leaving on serial-tracked lines, one per unit, then ships the transfer
+const TransferShipModal = ({ transfer, onClose, token, onShipped }) => {
+    const trackedItems = transfer.items.filter(item => item.track_serials);
+    const [serials, setSerials] = useState({});
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    // One serial per line; commas also separate, so a pasted list works too
+    const parseSerials = (text) => (text || '').split(/[\n,]/).map(serial => serial.trim()).filter(Boolean);
+
+    const handleShip = async () => {
+        const incomplete = trackedItems.find(item => parseSerials(serials[item.id]).length !== item.quantity);
+        if (incomplete) {
+            setError(`Scan exactly ${incomplete.quantity} serial number(s) for ${incomplete.sku}.`);
+            return;
+        }
+
+        setIsLoading(true);
+        setError('');
+        try {
+            const response = await fetch(`${API_BASE}/transfers/${transfer.id}/ship`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+                body: JSON.stringify({ items: trackedItems.map(item => ({ transfer_item_id: item.id, serial_numbers: parseSerials(serials[item.id]) })) })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.details ? data.details.join(', ') : (data.error || 'Failed to ship transfer.'));
+            toast.success(data.message || 'Transfer shipped');
+            onShipped();
+            onClose();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return React.createElement('div', { className: "fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50" },
+        React.createElement('div', { className: "bg-white rounded-lg shadow-xl p-6 w-full max-w-lg" },
+            React.createElement('h2', { className: "text-2xl font-bold text-gray-800 mb-1" }, `Ship Transfer #${transfer.id}`),
+            React.createElement('p', { className: "text-sm text-gray-500 mb-4" }, `Scan one serial number per unit leaving ${transfer.source_warehouse_name}, one per line.`),
+            React.createElement('div', { className: "space-y-4" },
+                trackedItems.map(item => {
+                    const scanned = parseSerials(serials[item.id]).length;
+                    return React.createElement('div', { key: item.id },
+                        React.createElement('div', { className: "flex justify-between items-baseline" },
+                            React.createElement('label', { htmlFor: `transfer-serials-${item.id}`, className: "block text-sm font-medium text-gray-900" }, `${item.product_name} (${item.sku})`),
+                            React.createElement('span', { className: `text-xs font-medium ${scanned === item.quantity ? 'text-green-600' : 'text-orange-600'}` }, `${scanned} / ${item.quantity} scanned`)
+                        ),
+                        React.createElement('textarea', {
+                            id: `transfer-serials-${item.id}`, rows: Math.min(Math.max(item.quantity, 2), 6),
+                            value: serials[item.id] || '',
+                            onChange: (e) => setSerials(prev => ({ ...prev, [item.id]: e.target.value })),
+                            className: "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 font-mono text-sm"
+                        })
+                    );
+                })
+            ),
+            error && React.createElement('p', { className: "text-red-500 text-sm mt-2" }, error),
+            React.createElement('div', { className: "mt-6 flex justify-end space-x-3" },
+                React.createElement('button', { onClick: onClose, disabled: isLoading, className: "px-4 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400" }, "Cancel"),
+                React.createElement('button', { onClick: handleShip, disabled: isLoading, className: "px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 flex items-center" },
+                    isLoading && React.createElement(Loader, { className: "animate-spin h-5 w-5 mr-2" }), "Ship Transfer"
+                )
+            )
+        )
+    );
+};
+
+// --- Main AdminTransfers Component ---
+const AdminTransfers = () => {
+    const { token } = useAuth();
+    const { socket } = useSocket();
+    const [transfers, setTransfers] = useState([]);
+    const [warehouses, setWarehouses] = useState([]);
+    const [products, setProducts] = useState([]);
+    const [statusFilter, setStatusFilter] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [showCreate, setShowCreate] = useState(false);
+    const [busyTransferId, setBusyTransferId] = useState(null);
+    const [shippingTransfer, setShippingTransfer] = useState(null);
+
+    const fetchTransfers = useCallback(async () => {
+        if (!token) { setLoading(false); setError("Authentication token missing."); return; }
+        setError(null);
+        try {
+            const headers = { 'Authorization': `Bearer ${token}` };
+            const [transfersRes, warehousesRes, productsRes] = await Promise.all([
+                fetch(`${API_BASE}/transfers${statusFilter ? `?status=${statusFilter}` : ''}`, { headers }),
+                fetch(`${API_BASE}/warehouses`, { headers }),
+                fetch(`${API_BASE}/products?status=active`, { headers })
+            ]);
+            if (!transfersRes.ok || !warehousesRes.ok || !productsRes.ok) {
+                throw new Error('Failed to fetch transfer data.');
+            }
+            const [transfersData, warehousesData, productsData] = await Promise.all([transfersRes.json(), warehousesRes.json(), productsRes.json()]);
+            setTransfers(Array.isArray(transfersData.transfers) ? transfersData.transfers : []);
+            setWarehouses(Array.isArray(warehousesData.warehouses) ? warehousesData.warehouses : []);
+            setProducts(Array.isArray(productsData.products) ? productsData.products : []);
+        } catch (err) {
+            setError(err.message);
+            setTransfers([]);
+        } finally {
+            setLoading(false);
+        }
+    }, [token, statusFilter]);
+
+    useEffect(() => { fetchTransfers(); }, [fetchTransfers]);
+
+    useEffect(() => {
+        if (!socket) return;
+        const handleTransferUpdated = () => fetchTransfers();
+        socket.on('transfer_updated', handleTransferUpdated);
+        return () => { socket.off('transfer_updated', handleTransferUpdated); };
+    }, [socket, fetchTransfers]);
+
+    // Runs ship / receive / cancel on a transfer
+    const runAction = async (transfer, action) => {
+        if (action === 'cancel' && !window.confirm(`Cancel transfer #${transfer.id}?`)) return;
+        setBusyTransferId(transfer.id);
+        try {
+            const response = await fetch(`${API_BASE}/transfers/${transfer.id}/${action}`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || `Failed to ${action} transfer.`);
+            }
+            toast.success(data.message || 'Transfer updated.');
+            fetchTransfers();
+        } catch (err) {
+            toast.error(err.message);
+        } finally {
+            setBusyTransferId(null);
+        }
+    };
+
+    // Transfers with serial-tracked lines ship through the scan modal; the rest ship straight away
+    const handleShip = async (transfer) => {
+        setBusyTransferId(transfer.id);
+        try {
+            const response = await fetch(`${API_BASE}/transfers/${transfer.id}`, { headers: { 'Authorization': `Bearer ${token}` } });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to fetch transfer.');
+            if (data.transfer.items.some(item => item.track_serials)) {
+                setShippingTransfer(data.transfer);
+                setBusyTransferId(null);
+                return;
+            }
+        } catch (err) {
+            toast.error(err.message);
+            setBusyTransferId(null);
+            return;
+        }
+        runAction(transfer, 'ship');
+    };
+
+    if (loading) { return React.createElement('div', { className: "flex justify-center items-center h-screen bg-gray-50" }, React.createElement(Loader, { className: "animate-spin h-12 w-12 text-indigo-600" })); }
+
+    return React.createElement(React.Fragment, null,
+        React.createElement('div', { className: "min-h-screen bg-gray-50 p-8" },
+            React.createElement('div', { className: "max-w-7xl mx-auto" },
+                React.createElement('div', { className: "flex justify-between items-center mb-6" },
+                    React.createElement('h1', { className: "text-3xl font-bold text-gray-900 flex items-center" }, React.createElement(ArrowRightLeft, { className: "h-8 w-8 mr-3 text-indigo-600" }), "Stock Transfers"),
+                    React.createElement('div', { className: "flex items-center space-x-3" },
+                        React.createElement('select', { value: statusFilter, onChange: (e) => setStatusFilter(e.target.value), className: "rounded-md border-gray-300 text-sm" },
+                            React.createElement('option', { value: "" }, "All statuses"),
+                            ['draft', 'in_transit', 'received', 'cancelled'].map(s => React.createElement('option', { key: s, value: s }, s.replace(/_/g, ' ')))
+                        ),
+                        React.createElement('button', { onClick: () => setShowCreate(true), className: "px-4 py-2 rounded-md bg-indigo-600 text-white hover:bg-indigo-700 flex items-center text-sm font-medium" },
+                            React.createElement(Plus, { className: "h-4 w-4 mr-1" }), "New Transfer"
+                        ),
+                        React.createElement('button', { onClick: fetchTransfers, className: "p-2 rounded-full bg-indigo-100 text-indigo-600 hover:bg-indigo-200" }, React.createElement(RefreshCw, { className: "h-5 w-5" }))
+                    )
+                ),
+                error && React.createElement('div', { className: "bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6" }, React.createElement(Server, { className: "inline-block h-5 w-5 mr-2" }), error),
+                React.createElement('div', { className: "bg-white shadow-md rounded-lg overflow-hidden" },
+                    React.createElement('div', { className: "overflow-x-auto" },
+                        React.createElement('table', { className: "min-w-full divide-y divide-gray-200" },
+                            React.createElement('thead', { className: "bg-gray-50" },
+                                React.createElement('tr', null,
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Transfer"),
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Route"),
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Units"),
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Status"),
+                                    React.createElement('th', { className: "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, "Shipped / Received"),
+                                    React.createElement('th', { className: "px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase" }, "Actions")
+                                )
+                            ),
+                            React.createElement('tbody', { className: "bg-white divide-y divide-gray-200" },
+                                transfers.length > 0 ? (
+                                    transfers.map(transfer => {
+                                        const { Icon, color } = getStatusVisuals(transfer.status);
+                                        const isBusy = busyTransferId === transfer.id;
+                                        return React.createElement('tr', { key: transfer.id, className: "hover:bg-gray-50" },
+                                            React.createElement('td', { className: "px-6 py-4" },
+                                                React.createElement('div', { className: "text-sm font-semibold text-indigo-600" }, `#${transfer.id}`),
+                                                React.createElement('div', { className: "text-xs text-gray-500" }, formatDate(transfer.created_at))
+                                            ),
+                                            React.createElement('td', { className: "px-6 py-4 text-sm text-gray-900" }, `${transfer.source_warehouse_name} → ${transfer.destination_warehouse_name}`),
+                                            React.createElement('td', { className: "px-6 py-4 text-sm text-gray-700" }, `${transfer.total_units} (${transfer.line_count} lines)`),
+                                            React.createElement('td', { className: "px-6 py-4" },
+                                                React.createElement('span', { className: `inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium capitalize ${color}` },
+                                                    React.createElement(Icon, { className: "h-3 w-3 mr-1" }), transfer.status.replace(/_/g, ' ')
+                                                )
+                                            ),
+                                            React.createElement('td', { className: "px-6 py-4 text-xs text-gray-500" },
+                                                React.createElement('div', null, formatDate(transfer.shipped_at)),
+                                                React.createElement('div', null, formatDate(transfer.received_at))
+                                            ),
+                                            React.createElement('td', { className: "px-6 py-4 text-right space-x-3 whitespace-nowrap" },
+                                                isBusy && React.createElement(Loader, { className: "inline-block animate-spin h-5 w-5 text-indigo-600" }),
+                                                !isBusy && transfer.status === 'draft' && React.createElement('button', { onClick: () => handleShip(transfer), title: "Mark shipped", className: "text-blue-600 hover:text-blue-900" }, React.createElement(Truck, { className: "h-5 w-5" })),
+                                                !isBusy && transfer.status === 'draft' && React.createElement('button', { onClick: () => runAction(transfer, 'cancel'), title: "Cancel", className: "text-red-600 hover:text-red-900" }, React.createElement(XCircle, { className: "h-5 w-5" })),
+                                                !isBusy && transfer.status === 'in_transit' && React.createElement('button', { onClick: () => runAction(transfer, 'receive'), title: "Mark received", className: "text-green-600 hover:text-green-900" }, React.createElement(PackageCheck, { className: "h-5 w-5" }))
+                                            )
+                                        );
+                                    })
+                                ) : (React.createElement('tr', null, React.createElement('td', { colSpan: "6", className: "text-center py-10 text-gray-500" }, "No transfers found.")))
+                            )
+                        )
+                    )
+                )
+            )
+        ),
+        showCreate && React.createElement(TransferCreateModal, { warehouses, products, onClose: () => setShowCreate(false), token, onCreated: fetchTransfers }),
+        shippingTransfer && React.createElement(TransferShipModal, { transfer: shippingTransfer, onClose: () => setShippingTransfer(null), token, onShipped: fetchTransfers })
+    );
+};
+
+export default AdminTransfers;
@@ -0,0 +1,193 @@
+// frontend/src/pages/admin/AdminValuation.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { useSocket } from '../../contexts/SocketContext';
+import { DollarSign, Loader, Server, RefreshCw, AlertTriangle, TrendingUp } from 'lucide-react';
+
+const API_BASE = 'http://localhost:5000/api/admin';
+
+const METHOD_LABELS = { fifo: 'FIFO', weighted_average: 'Weighted Average' };
+
+const formatMoney = (amount) => `$${Number(amount || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const formatPercent = (percent) => percent === null || percent === undefined ? '—' : `${percent}%`;
+
+const headerCell = (heading, index) => React.createElement('th', { key: index, className: "px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase" }, heading);
+const cell = (content, extraClass = '') => React.createElement('td', { className: `px-4 py-3 text-sm text-gray-700 ${extraClass}` }, content);
+
+// A small table of value totals grouped by warehouse or category
+const GroupTable = ({ title, rows, labelKey, totalValue }) => React.createElement('div', { className: "bg-white shadow-md rounded-lg overflow-hidden" },
+    React.createElement('h2', { className: "px-6 py-4 border-b border-gray-200 text-lg font-semibold text-gray-800" }, title),
+    React.createElement('table', { className: "min-w-full divide-y divide-gray-200" },
+        React.createElement('thead', { className: "bg-gray-50" },
+            React.createElement('tr', null, [labelKey === 'warehouse_name' ? 'Warehouse' : 'Category', 'Units', 'Value', 'Share'].map(headerCell))
+        ),
+        React.createElement('tbody', { className: "bg-white divide-y divide-gray-200" },
+            rows.map(row => React.createElement('tr', { key: row[labelKey] || 'none' },
+                cell(row[labelKey] || 'Uncategorised', 'font-medium text-gray-900'),
+                cell(row.quantity),
+                cell(formatMoney(row.value)),
+                cell(totalValue > 0 ? `${Math.round((row.value / totalValue) * 1000) / 10}%` : '—')
+            ))
+        )
+    )
+);
+
+// --- Main AdminValuation Component ---
+// Stock on hand at cost (FIFO layers or moving weighted average) and gross margin from the cost booked on each order line.
+const AdminValuation = () => {
+    const { token } = useAuth();
+    const { socket } = useSocket();
+    const [method, setMethod] = useState('');
+    const [valuation, setValuation] = useState(null);
+    const [margin, setMargin] = useState(null);
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const fetchValuation = useCallback(async () => {
+        if (!token) { setLoading(false); setError("Authentication token missing."); return; }
+        setError(null);
+        try {
+            const headers = { 'Authorization': `Bearer ${token}` };
+            const marginParams = new URLSearchParams();
+            if (from) marginParams.append('from', from);
+            if (to) marginParams.append('to', to);
+            const [valuationRes, marginRes] = await Promise.all([
+                fetch(`${API_BASE}/valuation${method ? `?method=${method}` : ''}`, { headers }),
+                fetch(`${API_BASE}/valuation/margin?${marginParams.toString()}`, { headers })
+            ]);
+            if (!valuationRes.ok || !marginRes.ok) {
+                const failed = await (valuationRes.ok ? marginRes : valuationRes).json().catch(() => ({}));
+                throw new Error(failed.error || 'Failed to fetch valuation reports.');
+            }
+            const valuationData = await valuationRes.json();
+            setValuation(valuationData);
+            setMargin(await marginRes.json());
+            if (!method) setMethod(valuationData.method);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [token, method, from, to]);
+
+    useEffect(() => { fetchValuation(); }, [fetchValuation]);
+
+    // Stock movements change layers and averages, so refresh on any inventory change
+    useEffect(() => {
+        if (!socket) return;
+        socket.on('inventory_changed', fetchValuation);
+        return () => socket.off('inventory_changed', fetchValuation);
+    }, [socket, fetchValuation]);
+
+    if (loading) {
+        return React.createElement('div', { className: "flex justify-center items-center min-h-screen" }, React.createElement(Loader, { className: "animate-spin h-10 w-10 text-indigo-600" }));
+    }
+
+    return React.createElement('div', { className: "min-h-screen bg-gray-50 p-8" },
+        React.createElement('div', { className: "max-w-7xl mx-auto space-y-8" },
+            React.createElement('div', { className: "flex flex-wrap justify-between items-center gap-3" },
+                React.createElement('h1', { className: "text-3xl font-bold text-gray-900 flex items-center" }, React.createElement(DollarSign, { className: "h-8 w-8 mr-3 text-indigo-600" }), "Inventory Valuation"),
+                React.createElement('div', { className: "flex items-center space-x-3" },
+                    React.createElement('div', { className: "flex rounded-md shadow-sm" },
+                        Object.entries(METHOD_LABELS).map(([value, label], index) => React.createElement('button', {
+                            key: value, onClick: () => setMethod(value),
+                            className: `px-4 py-2 text-sm font-medium border ${index === 0 ? 'rounded-l-md' : 'rounded-r-md -ml-px'} ${method === value ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`
+                        }, label))
+                    ),
+                    React.createElement('button', { onClick: fetchValuation, className: "p-2 rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200", title: "Refresh" },
+                        React.createElement(RefreshCw, { className: "h-4 w-4" })
+                    )
+                )
+            ),
+            error && React.createElement('div', { className: "bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" }, React.createElement(Server, { className: "inline-block h-5 w-5 mr-2" }), error),
+            valuation && React.createElement('div', { className: "grid grid-cols-1 md:grid-cols-3 gap-6" },
+                React.createElement('div', { className: "bg-white shadow-md rounded-lg p-6" },
+                    React.createElement('p', { className: "text-sm text-gray-500" }, `Stock value (${METHOD_LABELS[valuation.method]})`),
+                    React.createElement('p', { className: "text-3xl font-bold text-gray-900" }, formatMoney(valuation.total_value))
+                ),
+                React.createElement('div', { className: "bg-white shadow-md rounded-lg p-6" },
+                    React.createElement('p', { className: "text-sm text-gray-500" }, "Units on hand"),
+                    React.createElement('p', { className: "text-3xl font-bold text-gray-900" }, valuation.total_units)
+                ),
+                React.createElement('div', { className: "bg-white shadow-md rounded-lg p-6" },
+                    React.createElement('p', { className: "text-sm text-gray-500" }, "Cost of goods sold booked at"),
+                    React.createElement('p', { className: "text-3xl font-bold text-gray-900" }, METHOD_LABELS[valuation.cogs_method])
+                )
+            ),
+            valuation && valuation.uncosted_units > 0 && React.createElement('div', { className: "bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-3 rounded flex items-center text-sm" },
+                React.createElement(AlertTriangle, { className: "h-5 w-5 mr-2 flex-shrink-0" }),
+                `${valuation.uncosted_units} unit(s) on hand have no known cost and are valued at $0. Receive them against a purchase order with a unit cost to value them.`
+            ),
+            valuation && React.createElement('div', { className: "grid grid-cols-1 lg:grid-cols-2 gap-6" },
+                React.createElement(GroupTable, { title: "By Warehouse", rows: valuation.by_warehouse, labelKey: 'warehouse_name', totalValue: valuation.total_value }),
+                React.createElement(GroupTable, { title: "By Category", rows: valuation.by_category, labelKey: 'category', totalValue: valuation.total_value })
+            ),
+            valuation && React.createElement('div', { className: "bg-white shadow-md rounded-lg overflow-hidden" },
+                React.createElement('h2', { className: "px-6 py-4 border-b border-gray-200 text-lg font-semibold text-gray-800" }, "Stock at Cost"),
+                React.createElement('div', { className: "overflow-x-auto" },
+                    React.createElement('table', { className: "min-w-full divide-y divide-gray-200" },
+                        React.createElement('thead', { className: "bg-gray-50" },
+                            React.createElement('tr', null, ['Product', 'Category', 'Warehouse', 'Units', 'Unit Cost', 'Value'].map(headerCell))
+                        ),
+                        React.createElement('tbody', { className: "bg-white divide-y divide-gray-200" },
+                            valuation.products.length > 0 ? valuation.products.map(row => React.createElement('tr', { key: `${row.product_id}-${row.warehouse_id}`, className: row.uncosted_units > 0 ? 'bg-yellow-50' : '' },
+                                React.createElement('td', { className: "px-4 py-3" },
+                                    React.createElement('div', { className: "text-sm font-medium text-gray-900" }, row.name),
+                                    React.createElement('div', { className: "text-xs text-gray-500" }, row.sku)
+                                ),
+                                cell(row.category),
+                                cell(row.warehouse_name),
+                                cell(row.quantity),
+                                cell(formatMoney(row.unit_cost)),
+                                cell(formatMoney(row.value), 'font-semibold')
+                            )) : React.createElement('tr', null, React.createElement('td', { colSpan: "6", className: "text-center py-10 text-gray-500" }, "No stock on hand."))
+                        )
+                    )
+                )
+            ),
+            margin && React.createElement('div', { className: "bg-white shadow-md rounded-lg overflow-hidden" },
+                React.createElement('div', { className: "px-6 py-4 border-b border-gray-200 flex flex-wrap justify-between items-center gap-3" },
+                    React.createElement('h2', { className: "text-lg font-semibold text-gray-800 flex items-center" }, React.createElement(TrendingUp, { className: "h-5 w-5 mr-2 text-indigo-600" }), "Gross Margin by Product"),
+                    React.createElement('div', { className: "flex items-center space-x-2 text-sm" },
+                        React.createElement('label', { htmlFor: "marginFrom", className: "text-gray-600" }, "From"),
+                        React.createElement('input', { id: "marginFrom", type: "date", value: from, onChange: (e) => setFrom(e.target.value), className: "rounded-md border-gray-300 shadow-sm text-sm focus:border-indigo-500 focus:ring-indigo-500" }),
+                        React.createElement('label', { htmlFor: "marginTo", className: "text-gray-600" }, "To"),
+                        React.createElement('input', { id: "marginTo", type: "date", value: to, onChange: (e) => setTo(e.target.value), className: "rounded-md border-gray-300 shadow-sm text-sm focus:border-indigo-500 focus:ring-indigo-500" })
+                    )
+                ),
+                React.createElement('div', { className: "grid grid-cols-2 md:grid-cols-4 gap-4 px-6 py-4 bg-gray-50 text-sm" },
+                    [['Revenue', formatMoney(margin.totals.revenue)], ['Cost of goods sold', formatMoney(margin.totals.cogs)], ['Gross margin', formatMoney(margin.totals.gross_margin)], ['Margin', formatPercent(margin.totals.margin_percent)]]
+                        .map(([label, value]) => React.createElement('div', { key: label },
+                            React.createElement('p', { className: "text-gray-500" }, label),
+                            React.createElement('p', { className: "text-xl font-bold text-gray-900" }, value)
+                        ))
+                ),
+                React.createElement('div', { className: "overflow-x-auto" },
+                    React.createElement('table', { className: "min-w-full divide-y divide-gray-200" },
+                        React.createElement('thead', { className: "bg-gray-50" },
+                            React.createElement('tr', null, ['Product', 'Sold', 'Returned', 'Revenue', 'COGS', 'Gross Margin', 'Margin %'].map(headerCell))
+                        ),
+                        React.createElement('tbody', { className: "bg-white divide-y divide-gray-200" },
+                            margin.products.length > 0 ? margin.products.map(row => React.createElement('tr', { key: row.product_id },
+                                React.createElement('td', { className: "px-4 py-3" },
+                                    React.createElement('div', { className: "text-sm font-medium text-gray-900" }, row.name),
+                                    React.createElement('div', { className: "text-xs text-gray-500" }, row.uncosted_units > 0 ? `${row.sku} · ${row.uncosted_units} unit(s) sold without a cost` : row.sku)
+                                ),
+                                cell(row.units_sold),
+                                cell(row.units_returned),
+                                cell(formatMoney(row.revenue)),
+                                cell(formatMoney(row.cogs)),
+                                cell(formatMoney(row.gross_margin), row.gross_margin < 0 ? 'text-red-700 font-semibold' : 'font-semibold'),
+                                cell(formatPercent(row.margin_percent))
+                            )) : React.createElement('tr', null, React.createElement('td', { colSpan: "7", className: "text-center py-10 text-gray-500" }, "No sales in this period."))
+                        )
+                    )
+                )
+            )
+        )
+    );
+};
+
+export default AdminValuation;
@@ -4,7 +4,7 @@ import { useAuth } from '../../contexts/AuthContext';
 import toast from 'react-hot-toast';
 import {
     X, Plus, Minus, ShoppingCart, Truck, Package, Factory, Anchor, MapPin, Warehouse, ClipboardCheck, DollarSign, ShieldCheck,
-    Loader2
+    Loader2, Clock
 } from 'lucide-react';
 
 // --- SupplyChainModal ---
@@ -46,8 +46,20 @@ const SupplyChainModal = ({ product, onClose }) => {
     );
 };
 
+// --- BackorderNote ---
+// Backorderable lines may exceed the stock on hand; the rest ships once it is received
+const BackorderNote = ({ item }) => {
+    const available = item.available_to_promise ?? item.stock_quantity;
+    const backordered = Math.max(0, item.quantity - available);
+    return (
+        <p className={`text-sm ${backordered > 0 ? 'text-amber-600' : 'text-green-600'}`}>
+            {backordered > 0 ? `${backordered} on backorder (ships when restocked)` : `Available: ${available}`}
+        </p>
+    );
+};
+
 // --- CartItemCard ---
-const CartItemCard = ({ item, onQuantityChange, onRemove, onShowSupplyChain }) => (
+const CartItemCard = ({ item, lineLimit, onQuantityChange, onRemove, onShowSupplyChain }) => (
     <div className="flex flex-col sm:flex-row gap-4 border-b border-gray-200 py-6 last:border-b-0">
         <div className="flex-shrink-0 w-full sm:w-32 h-32 bg-gray-50 rounded-md flex items-center justify-center">
             <Package className="h-16 w-16 text-gray-400" />
@@ -57,16 +69,21 @@ const CartItemCard = ({ item, onQuantityChange, onRemove, onShowSupplyChain }) =
             <p className="text-sm text-gray-500">Category: {item.category}</p>
             <div className="flex items-center gap-2 mt-2">
                 <p className="text-xl font-bold text-gray-800">${item.price.toFixed(2)}</p>
-                <p className={`text-sm ${item.stock_quantity > 0 ? 'text-green-600' : 'text-red-600'}`}>
-                    {item.stock_quantity > 0 ? `In Stock: ${item.stock_quantity}` : 'Out of Stock'}
-                </p>
+                {item.allow_backorder ? (
+                    <BackorderNote item={item} />
+                ) : (
+                    <p className={`text-sm ${lineLimit > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                        {lineLimit > 0 ? `Available: ${lineLimit}` : 'Out of Stock'}
+                    </p>
+                )}
+                {!item.reserved_until && <p className="text-xs text-amber-600">Not held</p>}
             </div>
             <div className="flex items-center space-x-3 mt-4">
                 <button onClick={() => onQuantityChange(item.productId, item.quantity - 1)} disabled={item.quantity <= 1} className="p-2 border rounded-full hover:bg-gray-100 disabled:opacity-50">
                     <Minus className="h-4 w-4" />
                 </button>
                 <span className="text-md font-semibold w-8 text-center">{item.quantity}</span>
-                <button onClick={() => onQuantityChange(item.productId, item.quantity + 1)} disabled={item.quantity >= item.stock_quantity} className="p-2 border rounded-full hover:bg-gray-100 disabled:opacity-50">
+                <button onClick={() => onQuantityChange(item.productId, item.quantity + 1)} disabled={item.quantity >= lineLimit} className="p-2 border rounded-full hover:bg-gray-100 disabled:opacity-50">
                     <Plus className="h-4 w-4" />
                 </button>
             </div>
@@ -81,6 +98,27 @@ const CartItemCard = ({ item, onQuantityChange, onRemove, onShowSupplyChain }) =
     </div>
 );
 
+// --- ReservationBanner ---
+// Counts down the time the cart's stock is held for this user
+const ReservationBanner = ({ secondsLeft }) => {
+    if (secondsLeft === null) {
+        return (
+            <div className="flex items-center mb-4 p-3 rounded-md bg-amber-50 text-amber-800 text-sm">
+                <Clock className="h-4 w-4 mr-2" />
+                Your items are no longer reserved. Update your cart to hold them again while stock lasts.
+            </div>
+        );
+    }
+    const minutes = Math.floor(secondsLeft / 60);
+    const seconds = String(secondsLeft % 60).padStart(2, '0');
+    return (
+        <div className={`flex items-center mb-4 p-3 rounded-md text-sm ${secondsLeft < 120 ? 'bg-red-50 text-red-700' : 'bg-indigo-50 text-indigo-700'}`}>
+            <Clock className="h-4 w-4 mr-2" />
+            Items in your cart are reserved for {minutes}:{seconds}
+        </div>
+    );
+};
+
 // --- PriceDetailsCard ---
 const PriceDetailsCard = ({ totalItems, subtotal, shippingAddress, onAddressChange, onPlaceOrder, isOrdering }) => (
     <div className="bg-white rounded-lg shadow-lg p-6 h-fit sticky top-8">
@@ -119,7 +157,7 @@ const EmptyCart = () => (
 
 // --- Main Cart ---
 const Cart = () => {
-    const { items: cartItems, loading, error, updateQuantity, removeItem, placeOrder } = useCart();
+    const { items: cartItems, loading, error, updateQuantity, removeItem, placeOrder, reservationSecondsLeft, getLineLimit } = useCart();
     const { user } = useAuth();
     const [shippingAddress, setShippingAddress] = useState(user?.address || '');
     const [isOrdering, setIsOrdering] = useState(false);
@@ -165,10 +203,12 @@ const Cart = () => {
                     <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 items-start">
                         <div className="lg:col-span-2 bg-white rounded-lg shadow-lg p-6">
                             <h2 className="text-2xl font-bold text-gray-800 mb-2">My Cart ({totalItems})</h2>
+                            <ReservationBanner secondsLeft={reservationSecondsLeft} />
                             {cartItems.map(item => (
                                 <CartItemCard
                                     key={item.productId}
                                     item={item}
+                                    lineLimit={getLineLimit(item)}
                                     onQuantityChange={updateQuantity}
                                     onRemove={removeItem}
                                     onShowSupplyChain={setSelectedProduct}
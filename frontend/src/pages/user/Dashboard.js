@@ -160,10 +160,11 @@ const Dashboard = () => {
                         <span className={`px-2 py-1 text-xs font-medium rounded-full ${
                           order.status === 'delivered' ? 'bg-green-100 text-green-800' :
                           order.status === 'shipped' ? 'bg-blue-100 text-blue-800' :
+                          order.status === 'partially_shipped' ? 'bg-sky-100 text-sky-800' :
                           order.status === 'processing' ? 'bg-yellow-100 text-yellow-800' :
                           'bg-gray-100 text-gray-800'
                         }`}>
-                          {order.status}
+                          {order.status.replace(/_/g, ' ')}
                         </span>
                         <Link
                           to={`/orders/${order.id}`}
@@ -1,21 +1,129 @@
 import React, { useEffect, useState, useCallback } from 'react';
-import { useParams } from 'react-router-dom';
+import { useParams, Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
-import { Loader2 } from 'lucide-react';
+import { useSocket } from '../../contexts/SocketContext';
+import { Loader2, RotateCcw, Truck } from 'lucide-react';
 import toast from 'react-hot-toast';
+import ReturnStatusBadge from '../../components/ReturnStatusBadge';
 
 const formatDate = (dateString) => {
   if (!dateString) return 'N/A';
   return new Date(dateString).toLocaleString();
 };
 
+// Lets the customer pick how many units of each returnable line to send back, and why
+const ReturnRequestModal = ({ order, token, onClose, onCreated }) => {
+  const returnableItems = order.items.filter(item => item.returnable_quantity > 0);
+  const [quantities, setQuantities] = useState({});
+  const [lineReasons, setLineReasons] = useState({});
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const items = returnableItems
+      .filter(item => (quantities[item.id] || 0) > 0)
+      .map(item => ({
+        orderItemId: item.id,
+        quantity: quantities[item.id],
+        ...(lineReasons[item.id]?.trim() ? { reason: lineReasons[item.id].trim() } : {})
+      }));
+    if (items.length === 0) {
+      toast.error('Choose at least one item to return.');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const res = await fetch(`http://localhost:5000/api/user/orders/${order.id}/returns`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ reason: reason.trim(), items })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to request return');
+      toast.success(data.message);
+      onCreated();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 flex justify-center items-center z-50 p-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-xl p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto space-y-4">
+        <div className="flex justify-between items-center border-b pb-3">
+          <h2 className="text-2xl font-bold text-gray-900">Return items from order #{order.id}</h2>
+          <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-800">Close</button>
+        </div>
+
+        {returnableItems.map(item => (
+          <div key={item.id} className="border rounded-md p-3 space-y-2">
+            <div className="flex justify-between items-center">
+              <div>
+                <p className="font-medium text-gray-900">{item.product_name}</p>
+                <p className="text-sm text-gray-500">{item.returnable_quantity} of {item.quantity} returnable · ${item.price.toFixed(2)} each</p>
+              </div>
+              <input
+                type="number"
+                min="0"
+                max={item.returnable_quantity}
+                value={quantities[item.id] || 0}
+                onChange={(e) => setQuantities(prev => ({
+                  ...prev,
+                  [item.id]: Math.min(item.returnable_quantity, Math.max(0, parseInt(e.target.value) || 0))
+                }))}
+                className="w-20 border border-gray-300 rounded-md px-2 py-1 text-right"
+              />
+            </div>
+            {(quantities[item.id] || 0) > 0 && (
+              <input
+                type="text"
+                placeholder="What is wrong with this item? (optional)"
+                value={lineReasons[item.id] || ''}
+                onChange={(e) => setLineReasons(prev => ({ ...prev, [item.id]: e.target.value }))}
+                maxLength={500}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+              />
+            )}
+          </div>
+        ))}
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Reason for the return</label>
+          <textarea
+            required
+            minLength={3}
+            maxLength={500}
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            rows={3}
+            className="w-full border border-gray-300 rounded-md px-3 py-2"
+          />
+        </div>
+
+        <div className="flex justify-end space-x-3">
+          <button type="button" onClick={onClose} className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50">Cancel</button>
+          <button type="submit" disabled={submitting} className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50">
+            {submitting ? 'Submitting...' : 'Request return'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
 const OrderDetails = () => {
-  const { orderId } = useParams();
-  const { token } = useAuth();
+  const { id: orderId } = useParams();
+  const { token, user } = useAuth();
+  const { socket } = useSocket();
 
   const [order, setOrder] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [showReturnModal, setShowReturnModal] = useState(false);
 
   const fetchOrderDetails = useCallback(async () => {
     if (!token) {
@@ -34,12 +142,12 @@ const OrderDetails = () => {
       });
 
       if (!res.ok) {
-        const errText = await res.text();
-        throw new Error(errText || `Failed to fetch order ${orderId}`);
+        const errData = await res.json().catch(() => ({}));
+        throw new Error(errData.error || `Failed to fetch order ${orderId}`);
       }
 
       const data = await res.json();
-      setOrder(data);
+      setOrder(data.order);
     } catch (err) {
       console.error(err);
       setError(err.message);
@@ -53,6 +161,55 @@ const OrderDetails = () => {
     fetchOrderDetails();
   }, [fetchOrderDetails]);
 
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleReturnUpdate = (returnRequest) => {
+      if (user && returnRequest.user_id === user.id && String(returnRequest.order_id) === String(orderId)) {
+        setOrder(prev => prev ? {
+          ...prev,
+          returns: prev.returns.some(r => r.id === returnRequest.id)
+            ? prev.returns.map(r => r.id === returnRequest.id ? returnRequest : r)
+            : [...prev.returns, returnRequest]
+        } : prev);
+      }
+    };
+
+    const handleShipmentUpdate = (shipment) => {
+      if (user && shipment.user_id === user.id && String(shipment.order_id) === String(orderId)) {
+        setOrder(prev => prev ? {
+          ...prev,
+          status: shipment.order_status || prev.status,
+          shipments: prev.shipments.some(s => s.id === shipment.id)
+            ? prev.shipments.map(s => s.id === shipment.id ? { ...s, ...shipment } : s)
+            : [...prev.shipments, shipment]
+        } : prev);
+      }
+    };
+
+    socket.on('return_updated', handleReturnUpdate);
+    socket.on('shipment_status_updated', handleShipmentUpdate);
+    return () => {
+      socket.off('return_updated', handleReturnUpdate);
+      socket.off('shipment_status_updated', handleShipmentUpdate);
+    };
+  }, [socket, user, orderId]);
+
+  const handleMarkShipped = async (returnRequest) => {
+    try {
+      const res = await fetch(`http://localhost:5000/api/user/returns/${returnRequest.id}/ship`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to update return');
+      setOrder(prev => ({ ...prev, returns: prev.returns.map(r => r.id === data.return.id ? data.return : r) }));
+      toast.success(data.message);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex justify-center items-center h-screen">
@@ -78,45 +235,151 @@ const OrderDetails = () => {
     );
   }
 
+  const canRequestReturn = order.items?.some(item => item.returnable_quantity > 0);
+
   return (
     <div className="min-h-screen bg-gray-50 py-8">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-        <h1 className="text-3xl font-bold text-gray-900 mb-8">Order Details - #{order.id}</h1>
+        <div className="flex justify-between items-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Order Details - #{order.id}</h1>
+          {canRequestReturn && (
+            <button
+              onClick={() => setShowReturnModal(true)}
+              className="inline-flex items-center px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
+            >
+              <RotateCcw className="h-4 w-4 mr-2" /> Return items
+            </button>
+          )}
+        </div>
 
         <div className="bg-white rounded-lg shadow p-6 space-y-6">
           <div>
             <h2 className="text-xl font-semibold text-gray-800 mb-2">General Information</h2>
             <p><span className="font-medium">Order Date:</span> {formatDate(order.order_date)}</p>
             <p><span className="font-medium">Total Amount:</span> ${order.total_amount?.toFixed(2)}</p>
-            <p><span className="font-medium">Status:</span> <span className="capitalize">{order.status}</span></p>
+            <p><span className="font-medium">Status:</span> <span className="capitalize">{order.status.replace(/_/g, ' ')}</span></p>
           </div>
 
-          {order.shipment && (
+          {order.shipments?.length > 0 && (
             <div>
-              <h2 className="text-xl font-semibold text-gray-800 mb-2">Shipment</h2>
-              <p><span className="font-medium">Tracking Number:</span> {order.shipment.tracking_number}</p>
-              <p><span className="font-medium">Shipment Status:</span> <span className="capitalize">{order.shipment.status}</span></p>
-              <p><span className="font-medium">Current Location:</span> {order.shipment.current_location || 'N/A'}</p>
-              <p><span className="font-medium">Estimated Delivery:</span> {formatDate(order.shipment.estimated_delivery)}</p>
-              <p><span className="font-medium">Actual Delivery:</span> {formatDate(order.shipment.actual_delivery)}</p>
-              <p><span className="font-medium">Notes:</span> {order.shipment.notes || 'N/A'}</p>
+              <h2 className="text-xl font-semibold text-gray-800 mb-2">
+                {order.shipments.length > 1 ? `Shipments (${order.shipments.length} parcels)` : 'Shipment'}
+              </h2>
+              <div className="space-y-4">
+                {order.shipments.map(shipment => (
+                  <div key={shipment.id} className={order.shipments.length > 1 ? 'border rounded-md p-4' : ''}>
+                    <p><span className="font-medium">Tracking Number:</span> {shipment.tracking_number}</p>
+                    <p><span className="font-medium">Shipment Status:</span> <span className="capitalize">{shipment.status.replace(/_/g, ' ')}</span></p>
+                    <p><span className="font-medium">Current Location:</span> {shipment.current_location || 'N/A'}</p>
+                    <p><span className="font-medium">Estimated Delivery:</span> {formatDate(shipment.estimated_delivery)}</p>
+                    <p><span className="font-medium">Actual Delivery:</span> {formatDate(shipment.actual_delivery)}</p>
+                    <p><span className="font-medium">Notes:</span> {shipment.notes || 'N/A'}</p>
+                    {shipment.items?.length > 0 && (
+                      <div className="mt-2">
+                        <span className="font-medium">Contents:</span>
+                        <ul className="list-disc pl-5 text-sm text-gray-700">
+                          {shipment.items.map(item => (
+                            <li key={item.order_item_id}>{item.quantity} × {item.product_name} ({item.sku})</li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
             </div>
           )}
 
-          {order.order_items?.length > 0 && (
+          {order.items?.length > 0 && (
             <div>
               <h2 className="text-xl font-semibold text-gray-800 mb-2">Items Ordered</h2>
               <ul className="list-disc pl-5 space-y-1">
-                {order.order_items.map((item) => (
-                  <li key={item.product_id}>
+                {order.items.map((item) => (
+                  <li key={item.id}>
                     {item.quantity} × {item.product_name} (${item.price.toFixed(2)} each)
+                    {item.lot_number && (
+                      <span className="ml-2 text-sm text-gray-500">Lot {item.lot_number}</span>
+                    )}
+                    {item.serial_numbers && (
+                      <span className="ml-2 text-sm text-gray-500 font-mono">S/N {item.serial_numbers}</span>
+                    )}
+                    {item.backorder_status === 'waiting' && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold bg-amber-100 text-amber-800">
+                        Backordered - ships when restocked
+                      </span>
+                    )}
+                    {item.returnable_quantity < item.quantity && order.status === 'delivered' && (
+                      <span className="ml-2 text-sm text-gray-500">
+                        ({item.quantity - item.returnable_quantity} on a return)
+                      </span>
+                    )}
                   </li>
                 ))}
               </ul>
             </div>
           )}
+
+          {order.returns?.length > 0 && (
+            <div>
+              <h2 className="text-xl font-semibold text-gray-800 mb-2">Returns</h2>
+              <div className="space-y-4">
+                {order.returns.map((returnRequest) => (
+                  <div key={returnRequest.id} className="border rounded-md p-4 space-y-2">
+                    <div className="flex justify-between items-center">
+                      <p className="font-medium text-gray-900">{returnRequest.rma_number}</p>
+                      <ReturnStatusBadge status={returnRequest.status} />
+                    </div>
+                    <p className="text-sm text-gray-600">Requested {formatDate(returnRequest.created_at)}: {returnRequest.reason}</p>
+                    <ul className="list-disc pl-5 text-sm text-gray-700">
+                      {returnRequest.items.map((item) => (
+                        <li key={item.id}>
+                          {item.quantity} × {item.product_name}
+                          {item.disposition && <span className="ml-2 text-gray-500">({item.disposition === 'restock' ? 'accepted' : 'written off'})</span>}
+                        </li>
+                      ))}
+                    </ul>
+                    {returnRequest.admin_notes && (
+                      <p className="text-sm text-gray-600"><span className="font-medium">Note from us:</span> {returnRequest.admin_notes}</p>
+                    )}
+                    {returnRequest.shipment && (
+                      <p className="text-sm text-gray-600">
+                        <span className="font-medium">Return tracking number:</span> {returnRequest.shipment.tracking_number}
+                        <span className="ml-2 capitalize">({returnRequest.shipment.status.replace(/_/g, ' ')})</span>
+                      </p>
+                    )}
+                    {returnRequest.status === 'approved' && (
+                      <button
+                        onClick={() => handleMarkShipped(returnRequest)}
+                        className="inline-flex items-center text-sm text-indigo-600 hover:underline"
+                      >
+                        <Truck className="h-4 w-4 mr-1" /> I have shipped this return
+                      </button>
+                    )}
+                    {returnRequest.credit_note && (
+                      <p className="text-sm text-green-700">
+                        Credit note {returnRequest.credit_note.credit_note_number}: ${returnRequest.credit_note.amount.toFixed(2)}
+                      </p>
+                    )}
+                  </div>
+                ))}
+              </div>
+              <Link to="/returns" className="inline-block mt-3 text-sm text-indigo-600 hover:underline">View all returns</Link>
+            </div>
+          )}
         </div>
       </div>
+
+      {showReturnModal && (
+        <ReturnRequestModal
+          order={order}
+          token={token}
+          onClose={() => setShowReturnModal(false)}
+          onCreated={() => {
+            setShowReturnModal(false);
+            fetchOrderDetails();
+          }}
+        />
+      )}
     </div>
   );
 };
@@ -1,12 +1,18 @@
 import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { useSocket } from '../../contexts/SocketContext';
 import toast from 'react-hot-toast';
 import {
     ClipboardList, ChevronLeft, ChevronRight, Eye, Download,
-    Package, Factory, Anchor, MapPin, Warehouse, Loader, RefreshCw
+    Package, Factory, Anchor, MapPin, Warehouse, Loader, RefreshCw, XCircle, RotateCcw
 } from 'lucide-react';
 
+// An order can be cancelled until any of its parcels leaves the warehouse
+const isCancellable = (order) =>
+    ['pending', 'processing'].includes(order.status) &&
+    (order.shipments || []).every(shipment => ['pending', 'cancelled'].includes(shipment.status));
+
 // Helper to format date
 const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
@@ -110,27 +116,33 @@ const OrderDetailsModal = ({ order, onClose, token }) => {
                 <div className="space-y-4 text-gray-700">
                     <p><strong className="font-medium">Order Date:</strong> {formatDate(order.order_date)}</p>
                     <p><strong className="font-medium">Total Amount:</strong> ${order.total_amount.toFixed(2)}</p>
-                    <p><strong className="font-medium">Current Status:</strong> <span className="capitalize">{order.status}</span></p>
+                    <p><strong className="font-medium">Current Status:</strong> <span className="capitalize">{order.status.replace(/_/g, ' ')}</span></p>
 
-                    {order.shipment && (
-                        <div className="border-t pt-4 mt-4">
-                            <h3 className="text-xl font-semibold mb-2">Shipment Details</h3>
-                            <p><strong>Tracking Number:</strong> {order.shipment.tracking_number}</p>
-                            <p><strong>Shipment Status:</strong> <span className="capitalize">{order.shipment.status}</span></p>
-                            <p><strong>Current Location:</strong> {order.shipment.current_location || 'N/A'}</p>
-                            <p><strong>Estimated Delivery:</strong> {formatDate(order.shipment.estimated_delivery)}</p>
-                            <p><strong>Actual Delivery:</strong> {formatDate(order.shipment.actual_delivery)}</p>
-                            <p><strong>Shipment Notes:</strong> {order.shipment.notes || 'N/A'}</p>
+                    {order.shipments?.map((shipment, index) => (
+                        <div key={shipment.id} className="border-t pt-4 mt-4">
+                            <h3 className="text-xl font-semibold mb-2">
+                                Shipment Details{order.shipments.length > 1 ? ` (${index + 1} of ${order.shipments.length})` : ''}
+                            </h3>
+                            <p><strong>Tracking Number:</strong> {shipment.tracking_number}</p>
+                            <p><strong>Shipment Status:</strong> <span className="capitalize">{shipment.status.replace(/_/g, ' ')}</span></p>
+                            <p><strong>Current Location:</strong> {shipment.current_location || 'N/A'}</p>
+                            <p><strong>Estimated Delivery:</strong> {formatDate(shipment.estimated_delivery)}</p>
+                            <p><strong>Actual Delivery:</strong> {formatDate(shipment.actual_delivery)}</p>
+                            <p><strong>Shipment Notes:</strong> {shipment.notes || 'N/A'}</p>
+                            {shipment.items?.length > 0 && (
+                                <p><strong>Contents:</strong> {shipment.items.map(item => `${item.quantity} x ${item.product_name}`).join(', ')}</p>
+                            )}
                         </div>
-                    )}
+                    ))}
 
-                    {order.order_items?.length > 0 && (
+                    {order.items?.length > 0 && (
                         <div className="border-t pt-4 mt-4">
                             <h3 className="text-xl font-semibold mb-2">Items Ordered</h3>
                             <ul className="list-disc pl-5 space-y-1">
-                                {order.order_items.map(item => (
-                                    <li key={item.product_id}>
+                                {order.items.map(item => (
+                                    <li key={item.id}>
                                         {item.quantity} x {item.product_name} (${item.price.toFixed(2)} each)
+                                        {item.backorder_status === 'waiting' && <span className="ml-2 text-xs font-semibold text-amber-700">Backordered</span>}
                                     </li>
                                 ))}
                             </ul>
@@ -152,7 +164,7 @@ const OrderDetailsModal = ({ order, onClose, token }) => {
 };
 
 const Orders = () => {
-    const { token } = useAuth();
+    const { token, user } = useAuth();
     const { socket } = useSocket();
     const [orders, setOrders] = useState([]);
     const [loading, setLoading] = useState(true);
@@ -162,6 +174,7 @@ const Orders = () => {
     const [selectedShipment, setSelectedShipment] = useState(null);
     const [selectedOrder, setSelectedOrder] = useState(null);
 
+    const [cancellingOrderId, setCancellingOrderId] = useState(null);
     const ITEMS_PER_PAGE = 10;
 
     const fetchOrders = useCallback(async (pageNum = 1) => {
@@ -194,24 +207,59 @@ const Orders = () => {
         fetchOrders(page);
     }, [fetchOrders, page]);
 
+    const handleCancelOrder = async (order) => {
+        const reason = window.prompt(`Cancel order #${order.id}? You can tell us why (optional):`, '');
+        if (reason === null) return; // Dialog dismissed
+
+        setCancellingOrderId(order.id);
+        try {
+            const res = await fetch(`http://localhost:5000/api/user/orders/${order.id}/cancel`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+                body: JSON.stringify(reason.trim() ? { reason: reason.trim() } : {})
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to cancel order');
+            setOrders(prev => prev.map(o => o.id === order.id
+                ? { ...o, status: data.order.status, shipments: (o.shipments || []).map(s => ({ ...s, status: 'cancelled' })) }
+                : o
+            ));
+            toast.success(`${data.message} Refund: $${data.refund.amount.toFixed(2)}`);
+        } catch (err) {
+            toast.error(err.message);
+        } finally {
+            setCancellingOrderId(null);
+        }
+    };
+
     useEffect(() => {
         if (!socket) return;
 
         const handleStatusUpdate = (update) => {
-            if (update.userId === 'current_user_id_from_auth_context_or_token') {
+            if (user && update.userId === user.id) {
+                if (update.backorder) {
+                    // A backorder was allocated: its line and new parcel come from the server
+                    fetchOrders(page);
+                    return;
+                }
                 setOrders(prev => prev.map(o => o.id === update.orderId ? { ...o, status: update.status } : o));
                 toast.success(`Order #${update.orderId} status updated to ${update.status}`);
             }
         };
 
         const handleShipmentStatusUpdate = (update) => {
-            if (update.user_id === 'current_user_id_from_auth_context_or_token') {
+            if (user && update.user_id === user.id) {
                 setOrders(prev => prev.map(o =>
                     o.id === update.order_id
-                        ? { ...o, shipment: { ...o.shipment, status: update.status, current_location: update.current_location } }
+                        ? {
+                            ...o,
+                            shipments: (o.shipments || []).some(s => s.id === update.id)
+                                ? o.shipments.map(s => s.id === update.id ? { ...s, ...update } : s)
+                                : [...(o.shipments || []), update]
+                        }
                         : o
                 ));
-                toast.success(`Shipment for Order #${update.order_id} is now ${update.status} at ${update.current_location}`);
+                toast.success(`Shipment ${update.tracking_number} for Order #${update.order_id} is now ${update.status} at ${update.current_location}`);
             }
         };
 
@@ -222,7 +270,7 @@ const Orders = () => {
             socket.off('order_status_updated', handleStatusUpdate);
             socket.off('shipment_status_updated', handleShipmentStatusUpdate);
         };
-    }, [socket]);
+    }, [socket, user, fetchOrders, page]);
 
     const totalPages = Math.ceil(totalOrders / ITEMS_PER_PAGE);
 
@@ -257,10 +305,19 @@ const Orders = () => {
                                         <td className="px-6 py-4 whitespace-nowrap font-semibold text-indigo-600">#{order.id}</td>
                                         <td className="px-6 py-4 whitespace-nowrap">{formatDate(order.order_date)}</td>
                                         <td className="px-6 py-4 whitespace-nowrap">${order.total_amount.toFixed(2)}</td>
-                                        <td className="px-6 py-4 whitespace-nowrap capitalize">{order.status}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap capitalize">{order.status.replace(/_/g, ' ')}</td>
                                         <td className="px-6 py-4 whitespace-nowrap">
-                                            {order.shipment ? (
-                                                <button onClick={() => setSelectedShipment(order.shipment)} className="text-indigo-600 hover:underline">Track #{order.shipment.tracking_number}</button>
+                                            {order.shipments?.length > 0 ? (
+                                                order.shipments.map(shipment => (
+                                                    <button
+                                                        key={shipment.id}
+                                                        onClick={() => setSelectedShipment(shipment)}
+                                                        className="block text-indigo-600 hover:underline"
+                                                    >
+                                                        Track #{shipment.tracking_number}
+                                                        {order.shipments.length > 1 && <span className="ml-1 text-xs text-gray-500 capitalize">({shipment.status.replace(/_/g, ' ')})</span>}
+                                                    </button>
+                                                ))
                                             ) : (
                                                 <span className="text-gray-400">No shipment</span>
                                             )}
@@ -272,6 +329,23 @@ const Orders = () => {
                                             >
                                                 <Eye className="h-4 w-4 mr-1" /> View Details
                                             </button>
+                                            {order.status === 'delivered' && (
+                                                <Link
+                                                    to={`/orders/${order.id}`}
+                                                    className="ml-4 text-indigo-600 hover:underline inline-flex items-center"
+                                                >
+                                                    <RotateCcw className="h-4 w-4 mr-1" /> Return
+                                                </Link>
+                                            )}
+                                            {isCancellable(order) && (
+                                                <button
+                                                    onClick={() => handleCancelOrder(order)}
+                                                    disabled={cancellingOrderId === order.id}
+                                                    className="ml-4 text-red-600 hover:underline inline-flex items-center disabled:opacity-50"
+                                                >
+                                                    <XCircle className="h-4 w-4 mr-1" /> Cancel
+                                                </button>
+                                            )}
                                         </td>
                                     </tr>
                                 ))
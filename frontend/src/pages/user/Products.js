@@ -52,22 +52,26 @@ const SupplyChainModal = ({ product, onClose }) => {
 
 // --- Reusable Product Card Component ---
 const ProductCard = ({ product, onAddToCart, onShowSupplyChain }) => {
-    const isOutOfStock = product.stock_quantity <= 0;
+    // Stock held in other shoppers' carts cannot be added
+    const available = product.available_to_promise ?? product.stock_quantity;
+    const isOutOfStock = available <= 0;
+    // Backorderable products can still be ordered; they ship when restocked
+    const isBackorder = isOutOfStock && product.allow_backorder;
 
     return (
         <div className="bg-white rounded-lg shadow-lg overflow-hidden transform hover:-translate-y-1 transition-transform duration-300 flex flex-col">
             <div className="p-6 flex-grow">
                 <div className="flex justify-between items-start">
                     <h3 className="text-lg font-bold text-gray-900">{product.name}</h3>
-                    <span className={`px-2 py-1 text-xs font-semibold rounded-full ${isOutOfStock ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}>
-                        {isOutOfStock ? 'Out of Stock' : 'In Stock'}
+                    <span className={`px-2 py-1 text-xs font-semibold rounded-full ${isBackorder ? 'bg-amber-100 text-amber-800' : isOutOfStock ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'}`}>
+                        {isBackorder ? 'Backorder' : isOutOfStock ? 'Out of Stock' : 'In Stock'}
                     </span>
                 </div>
                 <p className="text-sm text-gray-500 mt-1">{product.category}</p>
                 <p className="text-gray-700 mt-2 text-sm">{product.description}</p>
                 <div className="flex justify-between items-center mt-4">
                     <p className="text-xl font-extrabold text-gray-900">${product.price.toFixed(2)}</p>
-                    <p className="text-sm text-gray-600">Stock: {product.stock_quantity}</p>
+                    <p className="text-sm text-gray-600">Available: {available}</p>
                 </div>
             </div>
             <div className="bg-gray-50 p-4 flex justify-between space-x-2">
@@ -79,7 +83,7 @@ const ProductCard = ({ product, onAddToCart, onShowSupplyChain }) => {
                 </button>
                 <button
                     onClick={() => onAddToCart(product)}
-                    disabled={isOutOfStock}
+                    disabled={isOutOfStock && !isBackorder}
                     className="flex-1 flex items-center justify-center px-4 py-2 text-sm font-semibold text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:bg-gray-400"
                 >
                     <ShoppingCart className="h-4 w-4 mr-2" /> Add to Cart
@@ -143,8 +147,22 @@ const Products = () => {
             setProducts(updateLogic);
             setFilteredProducts(updateLogic); // Also update filtered products
         };
+        const handleProductCreated = (newProduct) => {
+            if (newProduct.stock_quantity > 0 || newProduct.allow_backorder) {
+                setProducts(prev => [...prev.filter(p => p.id !== newProduct.id), newProduct].sort((a, b) => a.name.localeCompare(b.name)));
+            }
+        };
+        const handleProductArchived = (archivedProduct) => {
+            setProducts(prev => prev.filter(p => p.id !== archivedProduct.id));
+        };
         socket.on('inventory_changed', handleInventoryUpdate);
-        return () => { socket.off('inventory_changed', handleInventoryUpdate); };
+        socket.on('product_created', handleProductCreated);
+        socket.on('product_archived', handleProductArchived);
+        return () => {
+            socket.off('inventory_changed', handleInventoryUpdate);
+            socket.off('product_created', handleProductCreated);
+            socket.off('product_archived', handleProductArchived);
+        };
     }, [socket]);
 
     useEffect(() => {
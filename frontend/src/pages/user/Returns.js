@@ -0,0 +1,165 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { useSocket } from '../../contexts/SocketContext';
+import { Loader2, RotateCcw, Truck } from 'lucide-react';
+import toast from 'react-hot-toast';
+import ReturnStatusBadge from '../../components/ReturnStatusBadge';
+
+const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  return new Date(dateString).toLocaleString();
+};
+
+const Returns = () => {
+  const { token, user } = useAuth();
+  const { socket } = useSocket();
+
+  const [returns, setReturns] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchReturns = useCallback(async () => {
+    if (!token) return;
+    setLoading(true);
+    try {
+      const res = await fetch('http://localhost:5000/api/user/returns', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to fetch your returns');
+      setReturns(data.returns);
+    } catch (err) {
+      console.error(err);
+      toast.error(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchReturns();
+  }, [fetchReturns]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleReturnUpdate = (returnRequest) => {
+      if (user && returnRequest.user_id === user.id) {
+        setReturns(prev => prev.some(r => r.id === returnRequest.id)
+          ? prev.map(r => r.id === returnRequest.id ? returnRequest : r)
+          : [returnRequest, ...prev]
+        );
+      }
+    };
+
+    socket.on('return_updated', handleReturnUpdate);
+    return () => {
+      socket.off('return_updated', handleReturnUpdate);
+    };
+  }, [socket, user]);
+
+  const handleMarkShipped = async (returnRequest) => {
+    try {
+      const res = await fetch(`http://localhost:5000/api/user/returns/${returnRequest.id}/ship`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to update return');
+      setReturns(prev => prev.map(r => r.id === data.return.id ? data.return : r));
+      toast.success(data.message);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-screen">
+        <Loader2 className="h-12 w-12 text-indigo-600 animate-spin" />
+        <p className="ml-3 text-lg text-gray-700">Loading your returns...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2 flex items-center">
+          <RotateCcw className="h-8 w-8 mr-3 text-indigo-600" /> My Returns
+        </h1>
+        <p className="text-gray-600 mb-8">Returns can be requested from the details page of a delivered order.</p>
+
+        {returns.length === 0 ? (
+          <div className="bg-white rounded-lg shadow p-10 text-center text-gray-500">
+            You have not requested any returns. <Link to="/orders" className="text-indigo-600 hover:underline">View your orders</Link>
+          </div>
+        ) : (
+          <div className="bg-white rounded-lg shadow overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">RMA</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Order</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Items</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Return Tracking</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Credit Note</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {returns.map(returnRequest => (
+                  <tr key={returnRequest.id} className="hover:bg-gray-50 align-top">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <p className="font-semibold text-gray-900">{returnRequest.rma_number}</p>
+                      <p className="text-xs text-gray-500">{formatDate(returnRequest.created_at)}</p>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <Link to={`/orders/${returnRequest.order_id}`} className="text-indigo-600 hover:underline">#{returnRequest.order_id}</Link>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      {returnRequest.items.map(item => (
+                        <p key={item.id}>{item.quantity} × {item.product_name}</p>
+                      ))}
+                      {returnRequest.admin_notes && <p className="mt-1 text-xs text-gray-500">Note: {returnRequest.admin_notes}</p>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap"><ReturnStatusBadge status={returnRequest.status} /></td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      {returnRequest.shipment ? (
+                        <>
+                          <p>{returnRequest.shipment.tracking_number}</p>
+                          {returnRequest.status === 'approved' && (
+                            <button
+                              onClick={() => handleMarkShipped(returnRequest)}
+                              className="mt-1 inline-flex items-center text-indigo-600 hover:underline"
+                            >
+                              <Truck className="h-4 w-4 mr-1" /> Mark as shipped
+                            </button>
+                          )}
+                        </>
+                      ) : (
+                        <span className="text-gray-400">Issued on approval</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      {returnRequest.credit_note ? (
+                        <>
+                          <p className="font-medium text-green-700">${returnRequest.credit_note.amount.toFixed(2)}</p>
+                          <p className="text-xs text-gray-500">{returnRequest.credit_note.credit_note_number}</p>
+                        </>
+                      ) : (
+                        <span className="text-gray-400">—</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Returns;
@@ -0,0 +1,91 @@
+import axios from 'axios';
+import { api, refreshAccessToken } from '../api';
+
+// Answers requests from a table of handlers keyed by "METHOD url" instead of the network
+const respondWith = (handlers, calls) => async (config) => {
+  const key = `${config.method.toUpperCase()} ${config.url.replace(/^https?:\/\/[^/]+\/api/, '')}`;
+  calls.push({ key, authorization: config.headers?.Authorization, data: config.data });
+  const [status, data] = handlers[key](config);
+  const response = { status, data, headers: {}, config, statusText: '' };
+  if (status >= 400) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.config = config;
+    error.response = response;
+    throw error;
+  }
+  return response;
+};
+
+describe('silent token refresh', () => {
+  let calls;
+
+  const install = (handlers) => {
+    const adapter = respondWith(handlers, calls);
+    api.defaults.adapter = adapter;
+    axios.defaults.adapter = adapter;
+  };
+
+  beforeEach(() => {
+    calls = [];
+    localStorage.setItem('token', 'expired-access');
+    localStorage.setItem('refreshToken', 'refresh-1');
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('a 401 refreshes the token once and retries the request', async () => {
+    install({
+      'GET /auth/me': (config) => (config.headers.Authorization === 'Bearer new-access'
+        ? [200, { user: { id: 1 } }]
+        : [401, { error: 'Access token expired', code: 'token_expired' }]),
+      'POST /auth/refresh': () => [200, { token: 'new-access', refreshToken: 'refresh-2' }]
+    });
+    const refreshed = jest.fn();
+    window.addEventListener('auth:token-refreshed', refreshed);
+
+    const response = await api.get('/auth/me');
+
+    expect(response.data.user.id).toBe(1);
+    expect(calls.map(call => call.key)).toEqual(['GET /auth/me', 'POST /auth/refresh', 'GET /auth/me']);
+    expect(localStorage.getItem('token')).toBe('new-access');
+    expect(localStorage.getItem('refreshToken')).toBe('refresh-2');
+    expect(refreshed).toHaveBeenCalledTimes(1);
+    window.removeEventListener('auth:token-refreshed', refreshed);
+  });
+
+  test('requests failing together share one refresh', async () => {
+    install({
+      'POST /auth/refresh': () => [200, { token: 'new-access', refreshToken: 'refresh-2' }]
+    });
+    await Promise.all([refreshAccessToken(), refreshAccessToken()]);
+    expect(calls.filter(call => call.key === 'POST /auth/refresh')).toHaveLength(1);
+  });
+
+  test('a failed refresh clears the session', async () => {
+    install({
+      'GET /auth/me': () => [401, { error: 'Access token expired', code: 'token_expired' }],
+      'POST /auth/refresh': () => [401, { error: 'Refresh token has been revoked' }]
+    });
+    // jsdom reports the redirect to /login as not implemented
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(api.get('/auth/me')).rejects.toThrow();
+    consoleError.mockRestore();
+
+    expect(localStorage.getItem('token')).toBeNull();
+    expect(localStorage.getItem('refreshToken')).toBeNull();
+  });
+
+  test('bad credentials on login are not refreshed', async () => {
+    install({
+      'POST /auth/login': () => [401, { error: 'Invalid credentials' }]
+    });
+
+    await expect(api.post('/auth/login', { email: 'a@b.c', password: 'x' })).rejects.toThrow();
+
+    expect(calls.map(call => call.key)).toEqual(['POST /auth/login']);
+    expect(localStorage.getItem('refreshToken')).toBe('refresh-1');
+  });
+});
@@ -26,13 +26,62 @@ api.interceptors.request.use(
     }
 );
 
-// Response interceptor to handle errors
+// Stores the tokens of a new session, or clears them when given none
+export const storeSession = (token, refreshToken) => {
+    if (token) {
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', refreshToken);
+    } else {
+        localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
+    }
+};
+
+// One refresh at a time: requests that fail together all wait for the same new token
+let refreshPromise = null;
+
+// Exchanges the refresh token for a new access token (the refresh token rotates too) and tells AuthContext.
+// Uses plain axios so the interceptors below cannot loop back into it.
+export const refreshAccessToken = () => {
+    if (!refreshPromise) {
+        const refreshToken = localStorage.getItem('refreshToken');
+        refreshPromise = (refreshToken
+            ? axios.post(`${API_URL}/auth/refresh`, { refreshToken }, { timeout: 10000 })
+            : Promise.reject(new Error('No refresh token')))
+            .then((response) => {
+                const { token, refreshToken: nextRefreshToken } = response.data;
+                storeSession(token, nextRefreshToken);
+                window.dispatchEvent(new CustomEvent('auth:token-refreshed', { detail: { token } }));
+                return token;
+            })
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+    return refreshPromise;
+};
+
+// Auth endpoints answer 401 for bad credentials, not for an expired session
+const isAuthRequest = (config) => /^\/auth\/(login|register|refresh|logout|forgot-password|reset-password|verify-email)/.test(config?.url || '');
+
+// Response interceptor: an expired access token is refreshed and the request retried once;
+// only when the session cannot be refreshed is the user sent to log in again
 api.interceptors.response.use(
     (response) => response,
-    (error) => {
-        if (error.response?.status === 401) {
-            localStorage.removeItem('token');
-            window.location.href = '/login';
+    async (error) => {
+        const original = error.config;
+        // Requests sent without an access token (e.g. two-factor enrolment at sign-in) have nothing to refresh
+        if (error.response?.status === 401 && original && !original._retried && !isAuthRequest(original)
+            && original.headers?.Authorization) {
+            original._retried = true;
+            try {
+                const token = await refreshAccessToken();
+                original.headers.Authorization = `Bearer ${token}`;
+                return api(original);
+            } catch (refreshError) {
+                storeSession(null);
+                window.location.href = '/login';
+            }
         }
         return Promise.reject(error);
     }
@@ -45,6 +94,19 @@ export const authAPI = {
     getCurrentUser: () => api.get('/auth/me'),
     updateProfile: (profileData) => api.put('/auth/profile', profileData),
     changePassword: (passwordData) => api.put('/auth/change-password', passwordData),
+    refresh: (refreshToken) => api.post('/auth/refresh', { refreshToken }),
+    logout: (refreshToken) => api.post('/auth/logout', refreshToken ? { refreshToken } : {}),
+    forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+    resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+    verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+    resendVerification: () => api.post('/auth/resend-verification'),
+    loginTwoFactor: (challengeToken, code) => api.post('/auth/login/2fa', { challengeToken, code }),
+    getTwoFactorStatus: () => api.get('/auth/2fa'),
+    // challengeToken only while enrolling at sign-in; otherwise the session's access token is used
+    setupTwoFactor: (challengeToken) => api.post('/auth/2fa/setup', challengeToken ? { challengeToken } : {}),
+    enableTwoFactor: (code, challengeToken) => api.post('/auth/2fa/enable', challengeToken ? { code, challengeToken } : { code }),
+    regenerateBackupCodes: (code) => api.post('/auth/2fa/backup-codes', { code }),
+    disableTwoFactor: (code) => api.post('/auth/2fa/disable', { code }),
 };
 
 // User API calls
@@ -54,6 +116,11 @@ export const userAPI = {
     createOrder: (orderData) => api.post('/user/orders', orderData),
     getOrders: () => api.get('/user/orders'),
     getOrder: (id) => api.get(`/user/orders/${id}`),
+    cancelOrder: (id, reason) => api.post(`/user/orders/${id}/cancel`, reason ? { reason } : {}),
+    requestReturn: (orderId, data) => api.post(`/user/orders/${orderId}/returns`, data),
+    getReturns: () => api.get('/user/returns'),
+    getReturn: (id) => api.get(`/user/returns/${id}`),
+    markReturnShipped: (id) => api.post(`/user/returns/${id}/ship`),
     submitFeedback: (feedbackData) => api.post('/user/feedback', feedbackData),
 
     // --- NEW CART API CALLS ---
@@ -70,10 +137,85 @@ export const adminAPI = {
     getDashboard: () => api.get('/admin/dashboard'),
     getOrders: (params) => api.get('/admin/orders', { params }),
     updateOrderStatus: (id, status) => api.put(`/admin/orders/${id}/status`, { status }),
+    cancelOrder: (id, reason) => api.post(`/admin/orders/${id}/cancel`, reason ? { reason } : {}),
     getShipments: () => api.get('/admin/shipments'),
     updateShipmentStatus: (id, data) => api.put(`/admin/shipments/${id}/status`, data),
-    getProducts: () => api.get('/admin/products'),
+    splitShipment: (id, data) => api.post(`/admin/shipments/${id}/split`, data),
+    assignShipmentSerials: (id, data) => api.put(`/admin/shipments/${id}/serials`, data),
+    getBackorders: (params) => api.get('/admin/backorders', { params }),
+    getProducts: (params) => api.get('/admin/products', { params }),
     updateProductStock: (id, data) => api.put(`/admin/products/${id}/stock`, data),
+    createProduct: (data) => api.post('/admin/products', data),
+    updateProduct: (id, data) => api.put(`/admin/products/${id}`, data),
+    archiveProduct: (id) => api.delete(`/admin/products/${id}`),
+    restoreProduct: (id) => api.post(`/admin/products/${id}/restore`),
+    getWarehouses: () => api.get('/admin/warehouses'),
+    createWarehouse: (data) => api.post('/admin/warehouses', data),
+    updateWarehouse: (id, data) => api.put(`/admin/warehouses/${id}`, data),
+    getTransfers: (params) => api.get('/admin/transfers', { params }),
+    getTransfer: (id) => api.get(`/admin/transfers/${id}`),
+    createTransfer: (data) => api.post('/admin/transfers', data),
+    shipTransfer: (id) => api.post(`/admin/transfers/${id}/ship`),
+    receiveTransfer: (id) => api.post(`/admin/transfers/${id}/receive`),
+    cancelTransfer: (id) => api.post(`/admin/transfers/${id}/cancel`),
+    getReturns: (params) => api.get('/admin/returns', { params }),
+    getReturn: (id) => api.get(`/admin/returns/${id}`),
+    approveReturn: (id, notes) => api.post(`/admin/returns/${id}/approve`, notes ? { notes } : {}),
+    rejectReturn: (id, notes) => api.post(`/admin/returns/${id}/reject`, notes ? { notes } : {}),
+    receiveReturn: (id) => api.post(`/admin/returns/${id}/receive`),
+    inspectReturn: (id, items) => api.post(`/admin/returns/${id}/inspect`, { items }),
+    getSuppliers: (params) => api.get('/admin/suppliers', { params }),
+    getSupplier: (id) => api.get(`/admin/suppliers/${id}`),
+    createSupplier: (data) => api.post('/admin/suppliers', data),
+    updateSupplier: (id, data) => api.put(`/admin/suppliers/${id}`, data),
+    saveSupplierProduct: (id, productId, data) => api.put(`/admin/suppliers/${id}/products/${productId}`, data),
+    removeSupplierProduct: (id, productId) => api.delete(`/admin/suppliers/${id}/products/${productId}`),
+    getPurchaseOrders: (params) => api.get('/admin/purchase-orders', { params }),
+    getPurchaseOrder: (id) => api.get(`/admin/purchase-orders/${id}`),
+    createPurchaseOrder: (data) => api.post('/admin/purchase-orders', data),
+    updatePurchaseOrder: (id, data) => api.put(`/admin/purchase-orders/${id}`, data),
+    sendPurchaseOrder: (id) => api.post(`/admin/purchase-orders/${id}/send`),
+    receivePurchaseOrder: (id, data) => api.post(`/admin/purchase-orders/${id}/receive`, data),
+    cancelPurchaseOrder: (id) => api.post(`/admin/purchase-orders/${id}/cancel`),
+    getReplenishment: (params) => api.get('/admin/replenishment', { params }),
+    createReplenishmentOrders: (data) => api.post('/admin/replenishment/purchase-orders', data),
+    getForecast: (productId, params) => api.get(`/admin/forecast/${productId}`, { params }),
+    getLots: (params) => api.get('/admin/lots', { params }),
+    getExpiringLots: (days) => api.get('/admin/lots/expiring', { params: { days } }),
+    getLotRecall: (lotNumber, params) => api.get(`/admin/lots/recall/${encodeURIComponent(lotNumber)}`, { params }),
+    getSerials: (params) => api.get('/admin/serials', { params }),
+    registerSerials: (data) => api.post('/admin/serials', data),
+    lookupSerial: (serialNumber) => api.get(`/admin/serials/${encodeURIComponent(serialNumber)}`),
+    getCycleCounts: (params) => api.get('/admin/cycle-counts', { params }),
+    getCycleCount: (id) => api.get(`/admin/cycle-counts/${id}`),
+    createCycleCount: (data) => api.post('/admin/cycle-counts', data),
+    recordCycleCounts: (id, data) => api.post(`/admin/cycle-counts/${id}/counts`, data),
+    requestRecount: (id, lineId) => api.post(`/admin/cycle-counts/${id}/lines/${lineId}/recount`),
+    submitCycleCount: (id) => api.post(`/admin/cycle-counts/${id}/submit`),
+    approveCycleCountLines: (id, data) => api.post(`/admin/cycle-counts/${id}/approve`, data),
+    postCycleCount: (id) => api.post(`/admin/cycle-counts/${id}/post`),
+    cancelCycleCount: (id) => api.post(`/admin/cycle-counts/${id}/cancel`),
+    getLedgerIntegrity: (params) => api.get('/admin/inventory-ledger/integrity', { params }),
+    rebuildInventoryLedger: (data) => api.post('/admin/inventory-ledger/rebuild', data),
+    getInventoryValue: (params) => api.get('/admin/valuation', { params }),
+    getGrossMargin: (params) => api.get('/admin/valuation/margin', { params }),
+    classifyProducts: (data) => api.post('/admin/classification', data),
+    getFraudRuleSets: () => api.get('/admin/fraud-rules'),
+    getFraudRuleSet: (id) => api.get(`/admin/fraud-rules/${id}`),
+    createFraudRuleSet: (data) => api.post('/admin/fraud-rules', data),
+    updateFraudRuleSet: (id, data) => api.put(`/admin/fraud-rules/${id}`, data),
+    activateFraudRuleSet: (id) => api.post(`/admin/fraud-rules/${id}/activate`),
+    deleteFraudRuleSet: (id) => api.delete(`/admin/fraud-rules/${id}`),
+    dryRunFraudRules: (data) => api.post('/admin/fraud-rules/dry-run', data),
+    getFraudReviewQueue: () => api.get('/admin/fraud-reviews'),
+    getFraudReview: (orderId) => api.get(`/admin/fraud-reviews/${orderId}`),
+    approveHeldOrder: (orderId, data) => api.post(`/admin/fraud-reviews/${orderId}/approve`, data),
+    rejectHeldOrder: (orderId, data) => api.post(`/admin/fraud-reviews/${orderId}/reject`, data),
+    requestHeldOrderInfo: (orderId, data) => api.post(`/admin/fraud-reviews/${orderId}/request-info`, data),
+    getFraudLists: (params) => api.get('/admin/fraud-lists', { params }),
+    addFraudListEntry: (data) => api.post('/admin/fraud-lists', data),
+    deleteFraudListEntry: (id) => api.delete(`/admin/fraud-lists/${id}`),
+    importFraudLists: (data) => api.post('/admin/fraud-lists/import', data),
     getUsers: () => api.get('/admin/users'),
     getFeedback: () => api.get('/admin/feedback'),
     getInventoryTransactions: () => api.get('/admin/inventory-transactions'),